@@ -8,6 +8,8 @@ export var Animation = (function () {
         this._dur = null;
         this._es = null;
         this._rvEs = null;
+        this._spr = null;
+        this._sprDur = 0;
         this.hasChildren = false;
         this.isPlaying = false;
         this.hasCompleted = false;
@@ -62,6 +64,10 @@ export var Animation = (function () {
         if (opts && isDefined(opts.duration)) {
             return opts.duration;
         }
+        else if (this._spr) {
+            // a spring takes as long as it needs to settle
+            return this._sprDur;
+        }
         else if (this._dur !== null) {
             return this._dur;
         }
@@ -85,6 +91,10 @@ export var Animation = (function () {
         if (this._rv && this._rvEs) {
             return this._rvEs;
         }
+        var spring = this.getSpring();
+        if (spring) {
+            return getSpringEasing(spring, this.getDuration(), 0);
+        }
         return this._es !== null ? this._es : (this.parent && this.parent.getEasing()) || null;
     };
     /**
@@ -92,8 +102,39 @@ export var Animation = (function () {
      */
     Animation.prototype.easing = function (name) {
         this._es = name;
+        this._spr = null;
+        return this;
+    };
+    /**
+     * Use a spring instead of an easing curve and duration. The spring is defined by its
+     * `mass`, `stiffness` and `damping`, which default to `1`, `100` and `10`. When the
+     * animation is finished with `progressEnd()`, the spring starts at the gesture's velocity.
+     */
+    Animation.prototype.spring = function (opts) {
+        opts = opts || {};
+        this._spr = {
+            mass: isDefined(opts.mass) ? opts.mass : 1,
+            stiffness: isDefined(opts.stiffness) ? opts.stiffness : 100,
+            damping: isDefined(opts.damping) ? opts.damping : 10
+        };
+        // the spring's duration from rest only changes with the spring
+        this._sprDur = getSpringDuration(this._spr, 0);
+        this._es = null;
         return this;
     };
+    /**
+     * Get the spring of this animation. If this animation does not have
+     * an easing or spring, then it'll get the spring from its parent.
+     */
+    Animation.prototype.getSpring = function () {
+        if (this._spr) {
+            return this._spr;
+        }
+        if (this._es !== null) {
+            return null;
+        }
+        return (this.parent && this.parent.getSpring()) || null;
+    };
     /**
      * Set the easing for this reversed animation.
      */
@@ -126,6 +167,30 @@ export var Animation = (function () {
     Animation.prototype.fromTo = function (prop, fromVal, toVal, clearProperyAfterTransition) {
         return this.from(prop, fromVal).to(prop, toVal, clearProperyAfterTransition);
     };
+    /**
+     * Add multiple values for the same property, each at an `offset` from `0` to `1`.
+     * The first and last keyframes are the "from" and "to" values.
+     *
+     * Keyframes between the first and last are only played when the animation runs on
+     * Web Animations, which is the `webAnimations` option in a browser supporting them,
+     * and when it's stepped with `progressStep()`. A CSS transition can only go from one
+     * value to another, so on the CSS transition path a played animation goes straight
+     * from the first keyframe to the last and the keyframes in between are skipped.
+     */
+    Animation.prototype.keyframes = function (prop, keyframes, clearProperyAfterTransition) {
+        (void 0) /* assert */;
+        keyframes = keyframes.slice().sort(function (a, b) { return a.offset - b.offset; });
+        this.from(prop, keyframes[0].value);
+        this.to(prop, keyframes[keyframes.length - 1].value, clearProperyAfterTransition);
+        var fxProp = this._getProp(prop);
+        fxProp.stops = keyframes.map(function (keyframe) {
+            return {
+                offset: keyframe.offset,
+                state: createEffectState(keyframe.value)
+            };
+        });
+        return this;
+    };
     /**
      * @private
      * NO DOM
@@ -153,23 +218,9 @@ export var Animation = (function () {
             this._fx.push(fxProp);
         }
         // add from/to EffectState to the EffectProperty
-        var fxState = {
-            val: val,
-            num: null,
-            unit: '',
-        };
-        fxProp[state] = fxState;
-        if (typeof val === 'string' && val.indexOf(' ') < 0) {
-            var r = val.match(CSS_VALUE_REGEX);
-            var num = parseFloat(r[1]);
-            if (!isNaN(num)) {
-                fxState.num = num;
-            }
-            fxState.unit = (r[0] !== r[2] ? r[2] : '');
-        }
-        else if (typeof val === 'number') {
-            fxState.num = val;
-        }
+        fxProp[state] = createEffectState(val);
+        // setting the from or to makes it a two-point tween again
+        fxProp.stops = null;
         return fxProp;
     };
     /**
@@ -274,6 +325,8 @@ export var Animation = (function () {
         // FROM property and transition duration, wait a few frames, then
         // kick off the animation by setting the TO property for each animation
         this._isAsync = this._hasDuration(opts);
+        // use element.animate() rather than css transitions when it's available
+        this._waOn = this._useWebAnimations();
         // ensure all past transition end events have been cleared
         this._clearAsync();
         // recursively kicks off the correct progress step for each child animation
@@ -304,6 +357,7 @@ export var Animation = (function () {
         this._hasDur = (this.getDuration(opts) > ANIMATION_DURATION_MIN);
         var children = this._c;
         for (var i = 0; i < this._cL; i++) {
+            children[i]._waOn = this._waOn;
             // ******** DOM WRITE ****************
             children[i]._playInit(opts);
         }
@@ -330,10 +384,20 @@ export var Animation = (function () {
         // ******** DOM READ ****************
         // ******** DOM WRITE ****************
         this._beforeAnimation();
+        var dur = this.getDuration(opts);
+        if (this._waOn) {
+            // web animations start playing as soon as they're created,
+            // so there's no need to wait a frame for the TO properties
+            // ******** DOM WRITE ****************
+            this._playProgress(opts);
+            if (this._isAsync) {
+                this._asyncEnd(dur, true);
+            }
+            return;
+        }
         // for the root animation only
         // set the async TRANSITION END event
         // and run onFinishes when the transition ends
-        var dur = this.getDuration(opts);
         if (this._isAsync) {
             this._asyncEnd(dur, true);
         }
@@ -357,9 +421,16 @@ export var Animation = (function () {
             children[i]._playProgress(opts);
         }
         if (this._hasDur) {
-            // set the CSS TRANSITION duration/easing
-            // ******** DOM WRITE ****************
-            this._setTrans(this.getDuration(opts), false);
+            if (this._waOn) {
+                // play the web animation from start to finish
+                // ******** DOM WRITE ****************
+                this._waPlay(0, 1, this.getDuration(opts), this.getEasing(), false);
+            }
+            else {
+                // set the CSS TRANSITION duration/easing
+                // ******** DOM WRITE ****************
+                this._setTrans(this.getDuration(opts), false);
+            }
         }
         else {
             // this animation does not have a duration, so it should not animate
@@ -427,8 +498,18 @@ export var Animation = (function () {
             // transition finished
             self._didFinishAll(shouldComplete, true, false);
         }
-        // set the TRANSITION END event on one of the transition elements
-        self._unrgTrns = transitionEnd(self._transEl(), onTransitionEnd);
+        var player = self._waOn && self._waPlayer();
+        if (player) {
+            // web animations let us know exactly when they've finished
+            player.onfinish = onTransitionEnd;
+            self._unrgTrns = function () {
+                player.onfinish = null;
+            };
+        }
+        else {
+            // set the TRANSITION END event on one of the transition elements
+            self._unrgTrns = transitionEnd(self._transEl(), onTransitionEnd);
+        }
         // set a fallback timeout if the transition end event never fires, or is too slow
         // transition end fallback: (animation duration + XXms)
         self._tm = nativeTimeout(onTransitionFallback, (dur + TRANSITION_END_FALLBACK_PADDING_MS));
@@ -453,6 +534,14 @@ export var Animation = (function () {
                 // ******** DOM WRITE ****************
                 this._progress(stepValue);
             }
+            else if (this._wa) {
+                // keep where the web animation ended as inline styles
+                // ******** DOM WRITE ****************
+                this._progress(this._waTo);
+            }
+            // the inline styles have taken over from any web animations
+            // ******** DOM WRITE ****************
+            this._waCancel();
             // set the after styles
             // ******** DOM WRITE ****************
             this._setAfterStyles();
@@ -540,7 +629,7 @@ export var Animation = (function () {
             if (fx.from && fx.to) {
                 var fromNum = fx.from.num;
                 var toNum = fx.to.num;
-                var tweenEffect = (fromNum !== toNum);
+                var tweenEffect = (fromNum !== toNum) || !!fx.stops;
                 (void 0) /* assert */;
                 if (tweenEffect) {
                     this._twn = true;
@@ -553,6 +642,10 @@ export var Animation = (function () {
                     // TO
                     val = fx.to.val;
                 }
+                else if (fx.stops) {
+                    // EVERYTHING IN BETWEEN, BY KEYFRAME
+                    val = getEffectValue(fx, stepValue);
+                }
                 else if (tweenEffect) {
                     // EVERYTHING IN BETWEEN
                     var valNum = (((toNum - fromNum) * stepValue) + fromNum);
@@ -593,14 +686,15 @@ export var Animation = (function () {
      * DOM WRITE
      * NO RECURSION
      */
-    Animation.prototype._setTrans = function (dur, forcedLinearEasing) {
+    Animation.prototype._setTrans = function (dur, forcedLinearEasing, velocity) {
         // Transition is not enabled if there are not effects
         if (!this._fx) {
             return;
         }
         // set the TRANSITION properties inline on the element
         var elements = this._e;
-        var easing = (forcedLinearEasing ? 'linear' : this.getEasing());
+        var spring = this.getSpring();
+        var easing = (forcedLinearEasing ? 'linear' : spring ? getSpringEasing(spring, dur, velocity || 0) : this.getEasing());
         var durString = dur + 'ms';
         var cssTransform = CSS.transition;
         var cssTransitionDuration = CSS.transitionDuration;
@@ -827,6 +921,8 @@ export var Animation = (function () {
      * Start the animation with a user controlled progress.
      */
     Animation.prototype.progressStart = function () {
+        // use element.animate() rather than css transitions when it's available
+        this._waOn = this._useWebAnimations();
         // ensure all past transition end events have been cleared
         this._clearAsync();
         // ******** DOM READ/WRITE ****************
@@ -842,12 +938,20 @@ export var Animation = (function () {
     Animation.prototype._progressStart = function () {
         var children = this._c;
         for (var i = 0; i < this._cL; i++) {
+            children[i]._waOn = this._waOn;
             // ******** DOM WRITE ****************
             children[i]._progressStart();
         }
-        // force no duration, linear easing
-        // ******** DOM WRITE ****************
-        this._setTrans(0, true);
+        if (this._waOn) {
+            // a paused web animation which progressStep() seeks through
+            // ******** DOM WRITE ****************
+            this._waPlay(0, 1, WEB_ANIMATION_SEEK_DURATION, 'linear', true);
+        }
+        else {
+            // force no duration, linear easing
+            // ******** DOM WRITE ****************
+            this._setTrans(0, true);
+        }
         // ******** DOM WRITE ****************
         this._willChg(true);
     };
@@ -868,39 +972,59 @@ export var Animation = (function () {
             // flip the step value: 0 becomes 1, 1 becomes 0
             stepValue = ((stepValue * -1) + 1);
         }
-        // ******** DOM WRITE ****************
-        this._progress(stepValue);
+        if (this._wa) {
+            // ******** DOM WRITE ****************
+            this._waSeek(stepValue);
+        }
+        else {
+            // ******** DOM WRITE ****************
+            this._progress(stepValue);
+        }
     };
     /**
-     * End the progress animation.
+     * End the progress animation. The `velocity` is how fast the gesture was moving,
+     * in steps per millisecond, which a spring uses as its starting velocity.
      */
-    Animation.prototype.progressEnd = function (shouldComplete, currentStepValue, dur) {
+    Animation.prototype.progressEnd = function (shouldComplete, currentStepValue, dur, velocity) {
         if (dur === void 0) { dur = -1; }
+        if (velocity === void 0) { velocity = 0; }
         (void 0) /* console.debug */;
         if (this._rv) {
             // if the animation is going in reverse then
             // flip the step value: 0 becomes 1, 1 becomes 0
             currentStepValue = ((currentStepValue * -1) + 1);
+            velocity = -velocity;
         }
         var stepValue = shouldComplete ? 1 : 0;
         var diff = Math.abs(currentStepValue - stepValue);
+        var spring = this.getSpring();
+        // the velocity relative to the distance left to go
+        var springVelocity = 0;
         if (diff < 0.05) {
             dur = 0;
         }
+        else if (spring) {
+            // the spring starts at the gesture's velocity and
+            // takes however long it needs to settle from there
+            springVelocity = velocity / (stepValue - currentStepValue);
+            dur = getSpringDuration(spring, springVelocity);
+        }
         else if (dur < 0) {
             dur = this._dur;
         }
         this._isAsync = (dur > 30);
-        this._progressEnd(shouldComplete, stepValue, dur, this._isAsync);
+        this._progressEnd(shouldComplete, stepValue, dur, this._isAsync, springVelocity);
         if (this._isAsync) {
             // for the root animation only
             // set the async TRANSITION END event
             // and run onFinishes when the transition ends
             // ******** DOM WRITE ****************
             this._asyncEnd(dur, shouldComplete);
-            // this animation has a duration so we need another RAF
-            // for the CSS TRANSITION properties to kick in
-            this._raf && this._raf(this._playToStep.bind(this, stepValue));
+            if (!this._waOn) {
+                // this animation has a duration so we need another RAF
+                // for the CSS TRANSITION properties to kick in
+                this._raf && this._raf(this._playToStep.bind(this, stepValue));
+            }
         }
     };
     /**
@@ -908,17 +1032,18 @@ export var Animation = (function () {
      * DOM WRITE
      * RECURSION
      */
-    Animation.prototype._progressEnd = function (shouldComplete, stepValue, dur, isAsync) {
+    Animation.prototype._progressEnd = function (shouldComplete, stepValue, dur, isAsync, velocity) {
         var children = this._c;
         for (var i = 0; i < this._cL; i++) {
             // ******** DOM WRITE ****************
-            children[i]._progressEnd(shouldComplete, stepValue, dur, isAsync);
+            children[i]._progressEnd(shouldComplete, stepValue, dur, isAsync, velocity);
         }
         if (!isAsync) {
             // stop immediately
             // set all the animations to their final position
             // ******** DOM WRITE ****************
             this._progress(stepValue);
+            this._waCancel();
             this._willChg(false);
             this._setAfterStyles();
             this._didFinish(shouldComplete);
@@ -930,7 +1055,13 @@ export var Animation = (function () {
             this._hasDur = true;
             // ******** DOM WRITE ****************
             this._willChg(true);
-            this._setTrans(dur, false);
+            if (this._waOn) {
+                // continue from wherever progressStep() left off
+                this._waPlay(isDefined(this._waX) ? this._waX : 0, stepValue, dur, this.getEasing(), false, velocity);
+            }
+            else {
+                this._setTrans(dur, false, velocity);
+            }
         }
     };
     /**
@@ -1008,6 +1139,7 @@ export var Animation = (function () {
             children[i].destroy();
         }
         this._clearAsync();
+        this._waCancel();
         this.parent = this._e = this._rdFn = this._wrFn = this._raf = null;
         if (this._c) {
             this._c.length = this._cL = 0;
@@ -1034,8 +1166,262 @@ export var Animation = (function () {
         }
         return (this._twn && this._hasDur && this._eL ? this._e[0] : null);
     };
+    /**
+     * @private
+     * NO DOM
+     */
+    Animation.prototype._useWebAnimations = function () {
+        return !!(this.opts && this.opts.webAnimations && supportsWebAnimations());
+    };
+    /**
+     * @private
+     * DOM WRITE
+     * NO RECURSION
+     * Creates a web animation for each element, going from the `fromStep` to the `toStep`.
+     * The steps are the same as the ones given to `_progress()`, so the web animation
+     * can pick up from, or be handed back to, the inline styles.
+     */
+    Animation.prototype._waPlay = function (fromStep, toStep, dur, easing, paused, velocity) {
+        this._waCancel();
+        if (!this._fx || !this._eL) {
+            return;
+        }
+        // springs are sampled into keyframes, which play linearly
+        var spring = (paused ? null : this.getSpring());
+        var keyframes = this._waKeyframes(fromStep, toStep, spring, dur, velocity || 0);
+        var timing = {
+            duration: dur,
+            easing: (spring ? 'linear' : easing || 'linear'),
+            fill: 'both'
+        };
+        this._wa = [];
+        this._waTo = toStep;
+        this._waX = fromStep;
+        for (var i = 0; i < this._eL; i++) {
+            // ******** DOM WRITE ****************
+            var player = this._e[i].animate(keyframes, timing);
+            if (paused) {
+                player.pause();
+            }
+            this._wa.push(player);
+        }
+    };
+    /**
+     * @private
+     * NO DOM
+     * NO RECURSION
+     */
+    Animation.prototype._waKeyframes = function (fromStep, toStep, spring, dur, velocity) {
+        var effects = this._fx;
+        var isReverse = this._rv;
+        var range = toStep - fromStep;
+        var offsets = [0, 1];
+        var progress;
+        if (spring) {
+            // sample where the spring is at each frame, which
+            // can overshoot past the end before it settles
+            var frames = Math.max(1, Math.ceil(dur / SPRING_FRAME_MS));
+            offsets = [];
+            progress = [];
+            for (var i = 0; i <= frames; i++) {
+                offsets.push(i / frames);
+                progress.push(i === frames ? 1 : getSpringPosition(spring, velocity, (i / frames) * dur));
+            }
+        }
+        else if (range) {
+            // the keyframe offsets of every effect, placed within this range
+            for (var i = 0; i < effects.length; i++) {
+                var stops = getEffectStops(effects[i]);
+                for (var j = 0; j < stops.length; j++) {
+                    var step = (isReverse ? 1 - stops[j].offset : stops[j].offset);
+                    var offset = (step - fromStep) / range;
+                    if (offset > 0 && offset < 1 && offsets.indexOf(offset) < 0) {
+                        offsets.push(offset);
+                    }
+                }
+            }
+            offsets.sort(function (a, b) { return a - b; });
+        }
+        return offsets.map(function (offset, index) {
+            // same as _progress(), the step is flipped when reversed
+            var step = fromStep + (range * (progress ? progress[index] : offset));
+            var effectOffset = (isReverse ? 1 - step : step);
+            var keyframe = { offset: offset };
+            var transform = '';
+            for (var i = 0; i < effects.length; i++) {
+                var fx = effects[i];
+                if (fx.from && fx.to) {
+                    var val = getEffectValue(fx, effectOffset);
+                    if (fx.trans) {
+                        transform += fx.name + '(' + val + ') ';
+                    }
+                    else {
+                        keyframe[fx.name] = val;
+                    }
+                }
+            }
+            if (transform.length) {
+                keyframe['transform'] = transform.trim();
+            }
+            return keyframe;
+        });
+    };
+    /**
+     * @private
+     * DOM WRITE
+     * NO RECURSION
+     */
+    Animation.prototype._waSeek = function (stepValue) {
+        this._waX = stepValue;
+        for (var i = 0; i < this._wa.length; i++) {
+            // ******** DOM WRITE ****************
+            this._wa[i].currentTime = stepValue * WEB_ANIMATION_SEEK_DURATION;
+        }
+    };
+    /**
+     * @private
+     * DOM WRITE
+     * NO RECURSION
+     */
+    Animation.prototype._waCancel = function () {
+        if (this._wa) {
+            for (var i = 0; i < this._wa.length; i++) {
+                // ******** DOM WRITE ****************
+                this._wa[i].cancel();
+            }
+            this._wa = null;
+        }
+    };
+    /**
+     * @private
+     * NO DOM
+     */
+    Animation.prototype._waPlayer = function () {
+        // get the lowest level web animation, same as _transEl()
+        var player;
+        for (var i = 0; i < this._cL; i++) {
+            player = this._c[i]._waPlayer();
+            if (player) {
+                return player;
+            }
+        }
+        return (this._twn && this._hasDur && this._wa && this._wa.length ? this._wa[0] : null);
+    };
     return Animation;
 }());
+/**
+ * @private
+ */
+export function supportsWebAnimations() {
+    return (typeof Element !== 'undefined' && typeof Element.prototype.animate === 'function');
+}
+/**
+ * The offsets, from 0 to 1, of each state in the effect.
+ */
+function getEffectStops(fx) {
+    return fx.stops || [
+        { offset: 0, state: fx.from },
+        { offset: 1, state: fx.to }
+    ];
+}
+/**
+ * The effect's value at the offset, tweened between its
+ * states the same way _progress() tweens between them.
+ * Offsets outside of 0 to 1, such as when a spring
+ * overshoots, carry on from the first or last two states.
+ */
+function getEffectValue(fx, offset) {
+    var stops = getEffectStops(fx);
+    var last = stops.length - 1;
+    for (var i = 0; i <= last; i++) {
+        if (offset === stops[i].offset) {
+            return stops[i].state.val;
+        }
+    }
+    var j = 1;
+    while (j < last && offset > stops[j].offset) {
+        j++;
+    }
+    var a = stops[j - 1];
+    var b = stops[j];
+    if (a.state.num !== null && b.state.num !== null && a.state.num !== b.state.num) {
+        var valNum = (((b.state.num - a.state.num) * ((offset - a.offset) / (b.offset - a.offset))) + a.state.num);
+        return valNum + b.state.unit;
+    }
+    return (offset < b.offset ? a.state.val : b.state.val);
+}
+function createEffectState(val) {
+    var fxState = {
+        val: val,
+        num: null,
+        unit: '',
+    };
+    if (typeof val === 'string' && val.indexOf(' ') < 0) {
+        var r = val.match(CSS_VALUE_REGEX);
+        var num = parseFloat(r[1]);
+        if (!isNaN(num)) {
+            fxState.num = num;
+        }
+        fxState.unit = (r[0] !== r[2] ? r[2] : '');
+    }
+    else if (typeof val === 'number') {
+        fxState.num = val;
+    }
+    return fxState;
+}
+/**
+ * How far the spring has moved from 0 towards 1 after `time` milliseconds.
+ * The velocity is in distance per millisecond, where the full distance is 1.
+ */
+function getSpringPosition(spring, velocity, time) {
+    var t = time / 1000;
+    var v0 = velocity * 1000;
+    var w0 = Math.sqrt(spring.stiffness / spring.mass);
+    var zeta = spring.damping / (2 * Math.sqrt(spring.stiffness * spring.mass));
+    var remaining;
+    if (zeta < 1) {
+        // under damped, it bounces past the end before settling
+        var wd = w0 * Math.sqrt(1 - zeta * zeta);
+        remaining = Math.exp(-zeta * w0 * t) * (Math.cos(wd * t) + ((zeta * w0 - v0) / wd) * Math.sin(wd * t));
+    }
+    else if (zeta === 1) {
+        // critically damped
+        remaining = Math.exp(-w0 * t) * (1 + (w0 - v0) * t);
+    }
+    else {
+        // over damped
+        var r = w0 * Math.sqrt(zeta * zeta - 1);
+        var r1 = -zeta * w0 + r;
+        var r2 = -zeta * w0 - r;
+        var a = (-v0 - r2) / (r1 - r2);
+        remaining = a * Math.exp(r1 * t) + (1 - a) * Math.exp(r2 * t);
+    }
+    return 1 - remaining;
+}
+/**
+ * How many milliseconds until the spring has settled.
+ */
+function getSpringDuration(spring, velocity) {
+    var settled = 0;
+    for (var time = 0; time <= SPRING_MAX_DURATION; time += SPRING_FRAME_MS) {
+        if (Math.abs(1 - getSpringPosition(spring, velocity, time)) > SPRING_REST_DELTA) {
+            settled = time + SPRING_FRAME_MS;
+        }
+    }
+    return Math.round(settled);
+}
+/**
+ * Css transitions can't follow a spring, so instead they get a curve
+ * which starts at the same velocity and overshoots as far as the spring.
+ */
+function getSpringEasing(spring, dur, velocity) {
+    var zeta = spring.damping / (2 * Math.sqrt(spring.stiffness * spring.mass));
+    var overshoot = (zeta < 1 ? Math.exp(-zeta * Math.PI / Math.sqrt(1 - zeta * zeta)) : 0);
+    var x1 = 0.25;
+    var y1 = Math.min(2, Math.max(-1, x1 * velocity * dur));
+    var y2 = 1 + Math.min(0.5, overshoot);
+    return 'cubic-bezier(' + [x1, y1, 0.5, y2].map(function (n) { return Math.round(n * 1000) / 1000; }).join(',') + ')';
+}
 var TRANSFORMS = {
     'translateX': 1,
     'translateY': 1,
@@ -1054,5 +1440,9 @@ var TRANSFORMS = {
 };
 var CSS_VALUE_REGEX = /(^-?\d*\.?\d*)(.*)/;
 var ANIMATION_DURATION_MIN = 32;
+var WEB_ANIMATION_SEEK_DURATION = 1000;
+var SPRING_FRAME_MS = 1000 / 60;
+var SPRING_MAX_DURATION = 10000;
+var SPRING_REST_DELTA = 0.001;
 var TRANSITION_END_FALLBACK_PADDING_MS = 400;
 //# sourceMappingURL=animation.js.map
\ No newline at end of file
@@ -7897,7 +7897,11 @@ var NgModuleInjector = (function (_super) {
  * Used to load ng module factories.
  * @stable
  */
-
+var NgModuleFactoryLoader = (function () {
+    function NgModuleFactoryLoader() {
+    }
+    return NgModuleFactoryLoader;
+}());
 var moduleFactories = new Map();
 /**
  * Registers a loaded module. Should only be called from generated NgModuleFactory code.
@@ -8044,7 +8048,11 @@ var FACTORY_CLASS_SUFFIX = 'NgFactory';
  *
  * @experimental
  */
-
+var SystemJsNgModuleLoaderConfig = (function () {
+    function SystemJsNgModuleLoaderConfig() {
+    }
+    return SystemJsNgModuleLoaderConfig;
+}());
 var DEFAULT_CONFIG = {
     factoryPathPrefix: '',
     factoryPathSuffix: '.ngfactory',
@@ -8053,7 +8061,47 @@ var DEFAULT_CONFIG = {
  * NgModuleFactoryLoader that uses SystemJS to load NgModuleFactory
  * @experimental
  */
-
+var SystemJsNgModuleLoader = (function () {
+    function SystemJsNgModuleLoader(_compiler, config) {
+        this._compiler = _compiler;
+        this._config = config || DEFAULT_CONFIG;
+    }
+    SystemJsNgModuleLoader.prototype.load = function (path) {
+        var offlineMode = this._compiler instanceof Compiler;
+        return offlineMode ? this.loadFactory(path) : this.loadAndCompile(path);
+    };
+    SystemJsNgModuleLoader.prototype.loadAndCompile = function (path) {
+        var _this = this;
+        var _a = path.split(_SEPARATOR), module = _a[0], exportName = _a[1];
+        if (exportName === undefined) {
+            exportName = 'default';
+        }
+        return System.import(module)
+            .then(function (module) { return module[exportName]; })
+            .then(function (type) { return checkNotEmpty(type, module, exportName); })
+            .then(function (type) { return _this._compiler.compileModuleAsync(type); });
+    };
+    SystemJsNgModuleLoader.prototype.loadFactory = function (path) {
+        var _a = path.split(_SEPARATOR), module = _a[0], exportName = _a[1];
+        var factoryClassSuffix = FACTORY_CLASS_SUFFIX;
+        if (exportName === undefined) {
+            exportName = 'default';
+            factoryClassSuffix = '';
+        }
+        return System.import(this._config.factoryPathPrefix + module + this._config.factoryPathSuffix)
+            .then(function (module) { return module[exportName + factoryClassSuffix]; })
+            .then(function (factory) { return checkNotEmpty(factory, module, exportName); });
+    };
+    SystemJsNgModuleLoader.decorators = [
+        { type: Injectable },
+    ];
+    /** @nocollapse */
+    SystemJsNgModuleLoader.ctorParameters = [
+        { type: Compiler, },
+        { type: SystemJsNgModuleLoaderConfig, decorators: [{ type: Optional },] },
+    ];
+    return SystemJsNgModuleLoader;
+}());
 function checkNotEmpty(value, modulePath, exportName) {
     if (!value) {
         throw new Error("Cannot find '" + exportName + "' in '" + modulePath + "'");
@@ -22288,7 +22336,7 @@ var __extends$51 = (undefined && undefined.__extends) || function (d, b) {
  *
  * @experimental
  */
-var Response = (function (_super) {
+var Response$1 = (function (_super) {
     __extends$51(Response, _super);
     function Response(responseOptions) {
         _super.call(this);
@@ -22420,14 +22468,14 @@ var JSONPConnection_ = (function (_super) {
                     if (baseResponseOptions) {
                         responseOptions_1 = baseResponseOptions.merge(responseOptions_1);
                     }
-                    responseObserver.error(new Response(responseOptions_1));
+                    responseObserver.error(new Response$1(responseOptions_1));
                     return;
                 }
                 var responseOptions = new ResponseOptions({ body: _this._responseData, url: url });
                 if (_this.baseResponseOptions) {
                     responseOptions = _this.baseResponseOptions.merge(responseOptions);
                 }
-                responseObserver.next(new Response(responseOptions));
+                responseObserver.next(new Response$1(responseOptions));
                 responseObserver.complete();
             };
             var onError = function (error) {
@@ -22439,7 +22487,7 @@ var JSONPConnection_ = (function (_super) {
                 if (baseResponseOptions) {
                     responseOptions = baseResponseOptions.merge(responseOptions);
                 }
-                responseObserver.error(new Response(responseOptions));
+                responseObserver.error(new Response$1(responseOptions));
             };
             script.addEventListener('load', onLoad);
             script.addEventListener('error', onError);
@@ -22553,7 +22601,7 @@ var XHRConnection = (function () {
                 if (baseResponseOptions != null) {
                     responseOptions = baseResponseOptions.merge(responseOptions);
                 }
-                var response = new Response(responseOptions);
+                var response = new Response$1(responseOptions);
                 response.ok = isSuccess(status);
                 if (response.ok) {
                     responseObserver.next(response);
@@ -22574,7 +22622,7 @@ var XHRConnection = (function () {
                 if (baseResponseOptions != null) {
                     responseOptions = baseResponseOptions.merge(responseOptions);
                 }
-                responseObserver.error(new Response(responseOptions));
+                responseObserver.error(new Response$1(responseOptions));
             };
             _this.setDetectedContentType(req, _xhr);
             if (req.headers != null) {
@@ -23580,8 +23628,12 @@ var ASSERT_ENABLED = true;
  * | `backButtonText`         | `string`            | The text to display by the back button icon in the navbar.                                                                                       |
  * | `backButtonIcon`         | `string`            | The icon to use as the back button icon.                                                                                                         |
  * | `iconMode`               | `string`            | The mode to use for all icons throughout the application. Available options: `"ios"`, `"md"`                                                     |
+ * | `imgCacheMaxAge`         | `number`            | How long in milliseconds a persisted `ion-img` image is used before it's downloaded again. Defaults to 7 days.                                   |
+ * | `imgCacheMaxSize`        | `number`            | The most bytes of `ion-img` images to persist before the oldest are removed. Defaults to 50MB.                                                   |
+ * | `imgPersist`             | `boolean`           | Whether `ion-img` images are kept between app launches so they can be shown offline.                                                             |
  * | `loadingEnter`           | `string`            | The name of the transition to use while a loading indicator is presented.                                                                        |
  * | `loadingLeave`           | `string`            | The name of the transition to use while a loading indicator is dismissed.                                                                        |
+ * | `locationStrategy`       | `string`            | Set to `"path"` to use HTML5 pushState URLs instead of hash URLs. Available options: `"hash"`, `"path"`.                                         |
  * | `menuType`               | `string`            | Type of menu to display. Available options: `"overlay"`, `"reveal"`, `"push"`.                                                                   |
  * | `modalEnter`             | `string`            | The name of the transition to use while a modal is presented.                                                                                    |
  * | `modalLeave`             | `string`            | The name of the transition to use while a modal is dismiss.                                                                                      |
@@ -23591,14 +23643,23 @@ var ASSERT_ENABLED = true;
  * | `pickerLeave`            | `string`            | The name of the transition to use while a picker is dismissed.                                                                                   |
  * | `popoverEnter`           | `string`            | The name of the transition to use while a popover is presented.                                                                                  |
  * | `popoverLeave`           | `string`            | The name of the transition to use while a popover is dismissed.                                                                                  |
+ * | `preloadModules`         | `boolean`           | Whether to load the modules of lazy loaded pages in the background after the app has started.                                                    |
  * | `spinner`                | `string`            | The default spinner to use when a name is not defined.                                                                                           |
  * | `swipeBackEnabled`       | `boolean`           | Whether native iOS swipe to go back functionality is enabled.                                                                                    |
+ * | `tabsBack`               | `string`            | What the back button does at the root page of a tab. Available options: `"tab"`, `"history"`, `"initial"`.                                       |
  * | `tabsHighlight`          | `boolean`           | Whether to show a highlight line under the tab when it is selected.                                                                              |
  * | `tabsLayout`             | `string`            | The layout to use for all tabs. Available options: `"icon-top"`, `"icon-left"`, `"icon-right"`, `"icon-bottom"`, `"icon-hide"`, `"title-hide"`.  |
+ * | `tabsMax`                | `number`            | The most tab buttons in the tabbar before the rest are moved into a More tab. `0` shows every tab in the tabbar.                                 |
+ * | `tabsMoreIcon`           | `string`            | The icon of the More tab.                                                                                                                        |
+ * | `tabsMoreTitle`          | `string`            | The title of the More tab.                                                                                                                       |
  * | `tabsPlacement`          | `string`            | The position of the tabs relative to the content. Available options: `"top"`, `"bottom"`                                                         |
+ * | `tabsSwipe`              | `boolean`           | Whether the tabs can be switched by swiping the selected tab's root page to the side.                                                            |
  * | `tabsHideOnSubPages`     | `boolean`           | Whether to hide the tabs on child pages or not. If `true` it will not show the tabs on child pages.                                              |
  * | `toastEnter`             | `string`            | The name of the transition to use while a toast is presented.                                                                                    |
  * | `toastLeave`             | `string`            | The name of the transition to use while a toast is dismissed.                                                                                    |
+ * | `toastMaxStack`          | `number`            | The most toasts to show at each position when `toastStack` is enabled. Defaults to `3`.                                                          |
+ * | `toastStack`             | `boolean`           | Whether to stack toasts at the same position, rather than waiting for the last toast to be dismissed.                                            |
+ * | `webAnimations`          | `boolean`           | Whether page transitions and swipe to go back use the Web Animations API, when supported, instead of CSS transitions.                            |
  *
 **/
 var Config = (function () {
@@ -24128,6 +24189,10 @@ var Key;
     Key[Key["ESCAPE"] = 27] = "ESCAPE";
     Key[Key["SPACE"] = 32] = "SPACE";
     Key[Key["TAB"] = 9] = "TAB";
+    Key[Key["PAGE_UP"] = 33] = "PAGE_UP";
+    Key[Key["PAGE_DOWN"] = 34] = "PAGE_DOWN";
+    Key[Key["END"] = 35] = "END";
+    Key[Key["HOME"] = 36] = "HOME";
 })(Key || (Key = {}));
 
 /**
@@ -24714,6 +24779,18 @@ function setZIndex(nav, enteringView, leavingView, direction, renderer) {
         }
     }
 }
+function isViewMatch(view, pages) {
+    // guards and resolvers without any pages apply to every view
+    if (!pages || !pages.length) {
+        return true;
+    }
+    for (var i = 0; i < pages.length; i++) {
+        if (pages[i] === view.component || pages[i] === view.name) {
+            return true;
+        }
+    }
+    return false;
+}
 function isTabs(nav) {
     // Tabs (ion-tabs)
     return !!nav && !!nav.getSelected;
@@ -25707,6 +25784,7 @@ var MenuController = (function () {
      * @param {string} [menuId] Optionally get the menu by its id, or side.
      * @return {boolean} Returns true if the specified menu is currently open, otherwise false.
      * If the menuId is not specified, it returns true if ANY menu is currenly open.
+     * A menu docked in a split pane is always shown, but is never open.
      */
     MenuController.prototype.isOpen = function (menuId) {
         if (menuId) {
@@ -25806,6 +25884,101 @@ var MenuController = (function () {
 }());
 var menuTypes = {};
 
+/**
+ * @private
+ * Creates a JSON friendly snapshot of the nav, its views and all of
+ * its child navs. For Tabs only the selected tab's stack is included.
+ */
+function getNavState(nav) {
+    if (isTabs(nav)) {
+        var selectedTab = nav.getSelected();
+        return {
+            selectedIndex: selectedTab ? selectedTab.index : 0,
+            children: selectedTab ? [getNavState(selectedTab)] : []
+        };
+    }
+    if (!isNav(nav)) {
+        return null;
+    }
+    return {
+        views: nav.getViews().map(function (view) {
+            return {
+                page: getPageName(nav._linker, view.component),
+                params: serializeNavParams(view.data)
+            };
+        }),
+        children: nav._children.map(getNavState)
+    };
+}
+/**
+ * @private
+ * Rebuilds the nav and its child navs from a snapshot made by `getNavState()`.
+ * No transitions are animated and the URL is only updated once it has finished.
+ */
+function restoreNavState(nav, state) {
+    return restoreNav(nav, state).then(function () {
+        nav._linker && nav._linker.navChange(DIRECTION_SWITCH);
+    });
+}
+function restoreNav(nav, state) {
+    if (!nav || !state) {
+        return Promise.resolve();
+    }
+    if (isTabs(nav)) {
+        var selectedTab = nav.getByIndex(state.selectedIndex);
+        if (selectedTab && selectedTab !== nav.getSelected()) {
+            // selecting a tab never animates
+            nav.select(selectedTab, { updateUrl: false });
+        }
+        return restoreNav(selectedTab, state.children && state.children[0]);
+    }
+    if (!state.views || !state.views.length) {
+        return Promise.resolve();
+    }
+    var pages = state.views.map(function (v) {
+        return { page: v.page, params: v.params };
+    });
+    return nav.setPages(pages, { animate: false, updateUrl: false }).then(function () {
+        // the child navs of the newly active view have been created
+        // by now, and they're registered in the same order as before
+        var children = state.children || [];
+        return Promise.all(children.map(function (childState, i) {
+            return restoreNav(nav._children[i], childState);
+        }));
+    });
+}
+/**
+ * @private
+ * Only keeps the params which survive being converted to JSON, such as
+ * strings, numbers and plain objects. Functions and circular data are left out.
+ */
+function serializeNavParams(data) {
+    var params = {};
+    if (data) {
+        Object.keys(data).forEach(function (key) {
+            try {
+                var json = JSON.stringify(data[key]);
+                if (isPresent$4(json)) {
+                    params[key] = JSON.parse(json);
+                }
+            }
+            catch (e) {
+                console.warn("nav param \"" + key + "\" could not be serialized: " + e.message);
+            }
+        });
+    }
+    return params;
+}
+function getPageName(linker, component) {
+    // prefer the name from the deep link config, since
+    // a component's own name may not survive minification
+    var link = linker && linker._serializer.getLinkFromName(component);
+    if (link) {
+        return link.name;
+    }
+    return component ? component.name : null;
+}
+
 /**
  * @name App
  * @description
@@ -25959,6 +26132,34 @@ var App = (function () {
     App.prototype._setRootNav = function (nav) {
         this._rootNav = nav;
     };
+    /**
+     * Returns a snapshot of the navigation state of the entire app, starting
+     * from the root nav and including every child nav and the selected tab of
+     * any tabs. The snapshot can be saved with `JSON.stringify()` and handed
+     * back to `restoreNavState()`, such as after the app has been closed by the OS.
+     *
+     * Pages are saved using their name in the `DeepLinkConfig`, so each page
+     * in the stack should have a link. Only nav params which can be converted
+     * to JSON are saved.
+     *
+     * @return {NavState} Returns the navigation state of the app.
+     */
+    App.prototype.getNavState = function () {
+        return this._rootNav ? getNavState(this._rootNav) : null;
+    };
+    /**
+     * Rebuilds the navigation state of the app from a snapshot made by
+     * `getNavState()`. None of the pages will animate in.
+     *
+     * @param {NavState} state The navigation state to restore.
+     * @return {Promise} Returns a promise which is resolved once every nav has been restored.
+     */
+    App.prototype.restoreNavState = function (state$$1) {
+        if (!this._rootNav) {
+            return Promise.reject('no root nav to restore the navigation state into');
+        }
+        return restoreNavState(this._rootNav, state$$1);
+    };
     /**
      * @private
      */
@@ -26036,6 +26237,15 @@ function recursivePop(nav) {
             return nav.pop();
         }
     }
+    if (isTabs(nav)) {
+        // the selected tab is at its root page, so the
+        // tabs' back policy may select another tab instead
+        var backTab = nav._getBackTab();
+        if (backTab) {
+            nav.select(backTab, { direction: DIRECTION_BACK });
+            return Promise.resolve();
+        }
+    }
     // try again using the parent nav (if there is one)
     return recursivePop(nav.parent);
 }
@@ -26065,6 +26275,16 @@ var GESTURE_ITEM_SWIPE = 'item-swipe';
 var GESTURE_REFRESHER = 'refresher';
 /** @private */
 var GESTURE_TOGGLE = 'toggle';
+/** @private */
+var GESTURE_TRANSFORM = 'transform';
+/** @private */
+var GESTURE_PRESS = 'press';
+/** @private */
+var GESTURE_DOUBLE_TAP = 'double-tap';
+/** @private */
+var GESTURE_TOAST_SWIPE = 'toast-swipe';
+/** @private */
+var GESTURE_TABS_SWIPE = 'tabs-swipe';
 /**
 * @private
 */
@@ -27432,6 +27652,55 @@ var ids = 0;
  *
  *
  *
+ * ### Query Params
+ *
+ * Data which shouldn't be part of the URL's path can go in the query string instead. The link's `queryParams`
+ * property lists the data keys which are written to, and read from, the query string:
+ *
+ * ```ts
+ *  links: [
+ *    { component: SearchPage, name: 'Search', segment: 'search', queryParams: ['q', 'sort'] }
+ *  ]
+ *  ```
+ *
+ * Pushing `SearchPage` with `{ q: 'ionic', sort: 'new' }` updates the URL to `/search?q=ionic&sort=new`. Query params
+ * the link doesn't list are ignored.
+ *
+ *
+ * ### Optional and Wildcard Segments
+ *
+ * A `:param` part ending with `?` is optional, so a link with the segment `detail/:userId?` matches both
+ * `/detail` and `/detail/4`.
+ *
+ * A `**` part matches the rest of the URL. The parts it matched are kept in the page's data under the `**`
+ * key, so `/files/a/b` gives a `files/**` link the data `{ '**': 'a/b' }`, which is written back into the
+ * URL when the page is navigated to. A link with a segment of just `**` is only used when no other
+ * link matched the URL, which makes it the place for a "page not found" page:
+ *
+ * ```ts
+ *  links: [
+ *    { component: HomePage, name: 'Home', segment: 'home' },
+ *    { component: NotFoundPage, name: 'NotFound', segment: '**' }
+ *  ]
+ *  ```
+ *
+ *
+ * ### Redirects
+ *
+ * A link with `redirectTo` sends the matched part of the URL to another segment. `:param` parts in the
+ * `redirectTo` are filled in from the data of the matched segment:
+ *
+ * ```ts
+ *  links: [
+ *    { name: 'OldDetail', segment: 'user/:userId', redirectTo: 'detail/:userId' },
+ *    { component: DetailPage, name: 'Detail', segment: 'detail/:userId' },
+ *    { name: 'NotFound', segment: '**', redirectTo: 'home' }
+ *  ]
+ *  ```
+ *
+ * The browser's URL is updated to the redirected URL once the page has been shown.
+ *
+ *
  * ### Default History
  *
  * While pages can be navigated to anywhere and loaded at any time, what happens when an app is launched from a deeplink while cold or suspended?
@@ -27457,12 +27726,83 @@ var ids = 0;
  *
  * In this example above, if we launch the app at myapp.com/detail/4, then the user will see the DetailPage and then the back button will
  * go to the HomePage.
+ *
+ *
+ * ### Tabs
+ *
+ * The URL of a tab has all of the pages in the tab's stack, such as `/tabs/contacts/list/~/contact/4/history`, as long
+ * as each of the pages has a link. The tab's root page comes first, and the rest of its stack follows the `~`.
+ * Loading the URL, or going back to it with the browser's back button, restores the tab's whole stack. When the
+ * active page within a tab has its own `ion-nav`, the URL has the tab's active page followed by the pages of
+ * that nav instead.
+ *
+ * A tab which is shown within the More tab, because it didn't fit in the tabbar, keeps the same URL it would have
+ * in the tabbar, and loading it selects the More tab with the tab's pages on top of the More tab's list.
+ *
+ *
+ * ### Lazy Loaded Pages
+ *
+ * Pages don't have to be part of the main bundle. Instead of a `component`, a link can provide a `loadChildren`
+ * path to the NgModule of the page, which will be loaded the first time the page is navigated to. The module
+ * provides its page with `IonicPageModule.forChild()`.
+ *
+ * ```ts
+ *  links: [
+ *    { component: HomePage, name: 'Home', segment: 'home' },
+ *    { loadChildren: './pages/detail/detail.module#DetailPageModule', name: 'DetailPage', segment: 'detail/:userId' }
+ *  ]
+ *  ```
+ *
+ * ```ts
+ * @NgModule({
+ *   declarations: [DetailPage],
+ *   imports: [IonicPageModule.forChild(DetailPage)]
+ * })
+ * export class DetailPageModule {}
+ * ```
+ *
+ * A lazy loaded page is navigated to using the name of its link, such as `navCtrl.push('DetailPage')`, and deep links
+ * to it wait for its module to load before the page is shown.
+ *
+ * Setting the `preloadModules` config to `true` loads the lazy modules in the background once the app has started.
+ * Links with a `priority` of `high` are loaded first, followed by the `low` priority links, which is the default.
+ * Links with a priority of `off` are only loaded when they're navigated to.
+ *
+ *
+ * ### Path URLs
+ *
+ * URLs use the hash by default, such as `myapp.com/#/detail/4`. Setting the `locationStrategy` config
+ * to `path` uses HTML5 pushState URLs instead, such as `myapp.com/detail/4`. The server has to respond
+ * with the app's `index.html` for each of the app's URLs.
+ *
+ * ```ts
+ *  imports: [
+ *     IonicModule.forRoot(MyApp, { locationStrategy: 'path' }, {
+ *       links: []
+ *    })
+ *   ]
+ * ```
+ *
+ * Each browser history entry remembers its place in the app's history, and the index of its page
+ * within the stack of its nav, so the browser's back and forward buttons go back and forward through
+ * the app's navigation.
  */
 var DeepLinker = (function () {
-    function DeepLinker(_app, _serializer, _location) {
+    function DeepLinker(_app, _serializer, _location, _moduleLoader, _locationStrategy) {
         this._app = _app;
         this._serializer = _serializer;
         this._location = _location;
+        this._moduleLoader = _moduleLoader;
+        this._locationStrategy = _locationStrategy;
+        /**
+         * @internal
+         */
+        this._historyIndex = -1;
+        /**
+         * The history index of the first entry in `history`.
+         * @internal
+         */
+        this._historyStart = 0;
         /**
          * @internal
          */
@@ -27482,59 +27822,113 @@ var DeepLinker = (function () {
         (void 0) /* console.debug */;
         // update the Path from the browser URL
         this.segments = this._serializer.parse(browserUrl);
-        // remember this URL in our internal history stack
-        this.historyPush(browserUrl);
-        // listen for browser URL changes
-        this._location.subscribe(function (locationChg) {
-            _this.urlChange(normalizeUrl(locationChg.url));
+        var state = getHistoryState();
+        if (isHistoryState(state)) {
+            // the app was reloaded, so pick up where
+            // this browser history entry left off
+            this._historyIndex = state.historyIndex;
+            this._setHistory(state.historyIndex, createHistoryEntry(browserUrl, state));
+        }
+        else {
+            // remember this URL in our internal history stack
+            this.historyPush(browserUrl);
+            this._replaceState(browserUrl);
+        }
+        // listen for browser URL changes, the browser's history
+        // state tells where in the history the new URL is
+        this._location.subscribe(function () {
+            _this.urlChange(normalizeUrl(_this._location.path()), getHistoryState());
         });
     };
     /**
      * The browser's location has been updated somehow.
      * @internal
      */
-    DeepLinker.prototype.urlChange = function (browserUrl) {
-        // do nothing if this url is the same as the current one
-        if (!this.isCurrentUrl(browserUrl)) {
-            if (this.isBackUrl(browserUrl)) {
-                // scenario 2: user clicked the browser back button
-                // scenario 4: user changed the browser URL to what was the back url was
-                // scenario 5: user clicked a link href that was the back url
-                (void 0) /* console.debug */;
-                this.historyPop();
+    DeepLinker.prototype.urlChange = function (browserUrl, state) {
+        var _this = this;
+        if (isHistoryState(state)) {
+            // the browser moved to one of our own history entries, which
+            // knows exactly where it is in the history stack
+            if (state.historyIndex === this._historyIndex) {
+                // already there, such as after calling location.back()
+                return;
             }
-            else {
-                // scenario 3: user click forward button
-                // scenario 4: user changed browser URL that wasn't the back url
-                // scenario 5: user clicked a link href that wasn't the back url
-                (void 0) /* console.debug */;
-                this.historyPush(browserUrl);
-            }
-            // get the app's root nav
-            var appRootNav = this._app.getRootNav();
-            if (appRootNav) {
-                if (browserUrl === '/') {
-                    // a url change to the index url
-                    if (isPresent$4(this.indexAliasUrl)) {
-                        // we already know the indexAliasUrl
-                        // update the url to use the know alias
-                        browserUrl = this.indexAliasUrl;
-                    }
-                    else {
-                        // the url change is to the root but we don't
-                        // already know the url used. So let's just
-                        // reset the root nav to its root page
-                        appRootNav.goToRoot({
-                            updateUrl: false,
-                            isNavRoot: true
-                        });
-                        return;
-                    }
+            // scenario 2: user clicked the browser back button
+            // scenario 3: user click forward button
+            (void 0) /* console.debug */;
+            this._historyIndex = state.historyIndex;
+            this._setHistory(state.historyIndex, createHistoryEntry(browserUrl, state));
+        }
+        else if (this.isCurrentUrl(browserUrl)) {
+            // do nothing if this url is the same as the current one
+            return;
+        }
+        else if (this.isBackUrl(browserUrl)) {
+            // scenario 2: user clicked the browser back button
+            // scenario 4: user changed the browser URL to what was the back url was
+            // scenario 5: user clicked a link href that was the back url
+            (void 0) /* console.debug */;
+            this.historyPop();
+        }
+        else {
+            // scenario 3: user click forward button
+            // scenario 4: user changed browser URL that wasn't the back url
+            // scenario 5: user clicked a link href that wasn't the back url
+            (void 0) /* console.debug */;
+            this.historyPush(browserUrl);
+            // the browser created this entry, so give it our state
+            this._replaceState(browserUrl);
+        }
+        // get the app's root nav
+        var appRootNav = this._app.getRootNav();
+        if (appRootNav) {
+            if (browserUrl === '/') {
+                // a url change to the index url
+                if (isPresent$4(this.indexAliasUrl)) {
+                    // we already know the indexAliasUrl
+                    // update the url to use the know alias
+                    browserUrl = this.indexAliasUrl;
+                }
+                else {
+                    // the url change is to the root but we don't
+                    // already know the url used. So let's just
+                    // reset the root nav to its root page
+                    appRootNav.goToRoot({
+                        updateUrl: false,
+                        isNavRoot: true
+                    });
+                    return;
                 }
-                // normal url
-                this.segments = this._serializer.parse(browserUrl);
-                this.loadNavFromPath(appRootNav);
             }
+            // normal url
+            this.segments = this._serializer.parse(browserUrl);
+            // lazy loaded pages in the path need their
+            // modules loaded before the navs can show them
+            this.loadSegmentComponents(this.segments).then(function () {
+                _this.loadNavFromPath(appRootNav, function () {
+                    // the entry now knows where the navs ended up
+                    _this._updateHistoryNav();
+                });
+            }).catch(function (err) {
+                console.error("DeepLinker: unable to load the pages of " + browserUrl + ": " + err);
+                // the navs stay on their current pages, so
+                // the url goes back to the one of their stack
+                _this._resetUrl();
+            });
+        }
+    };
+    /**
+     * Replaces the browser's URL with the URL of the active nav's stack,
+     * without adding a browser history entry.
+     * @internal
+     */
+    DeepLinker.prototype._resetUrl = function () {
+        var activeNav = this._app.getActiveNav();
+        if (activeNav) {
+            this.segments = this.pathFromNavs(activeNav);
+            var browserUrl = this._serializer.serialize(this.segments);
+            this._setHistory(this._historyIndex, this._getNavEntry(browserUrl));
+            this._replaceState(browserUrl);
         }
     };
     /**
@@ -27574,19 +27968,110 @@ var DeepLinker = (function () {
             // probably navigating forward
             (void 0) /* console.debug */;
             this.historyPush(browserUrl);
+            this._pushState(browserUrl);
+        }
+        else {
+            // the same URL, but the page may be at another index of its nav
+            this._updateHistoryNav();
+        }
+    };
+    /**
+     * @internal
+     */
+    DeepLinker.prototype._pushState = function (browserUrl) {
+        if (this._locationStrategy) {
+            this._locationStrategy.pushState(this._getHistoryState(), '', browserUrl, '');
+        }
+        else {
             this._location.go(browserUrl);
         }
     };
+    /**
+     * @internal
+     */
+    DeepLinker.prototype._replaceState = function (browserUrl) {
+        if (this._locationStrategy) {
+            this._locationStrategy.replaceState(this._getHistoryState(), '', browserUrl, '');
+        }
+        else {
+            this._location.replaceState(browserUrl);
+        }
+    };
     /**
      * @internal
      */
     DeepLinker.prototype.getComponentFromName = function (componentName) {
+        // lazy loaded pages that haven't been loaded yet return their link
+        // name, which the NavController will load before it's created
         var segment = this._serializer.createSegmentFromName(componentName);
         if (segment && segment.component) {
             return segment.component;
         }
         return null;
     };
+    /**
+     * Resolves with the component for the link's name. If the link is lazy
+     * loaded then its module is loaded first.
+     * @internal
+     */
+    DeepLinker.prototype.loadComponent = function (nameOrComponent) {
+        var link = this._serializer.getLinkFromName(nameOrComponent);
+        if (!link) {
+            return Promise.reject("invalid page component: " + nameOrComponent);
+        }
+        if (link.component) {
+            return Promise.resolve(link.component);
+        }
+        if (!this._moduleLoader) {
+            return Promise.reject("no module loader to load the lazy loaded page: " + link.name);
+        }
+        return this._moduleLoader.load(link.loadChildren).then(function (component) {
+            // from now on the link knows its component, which
+            // lets it be serialized into urls like any other link
+            link.component = component;
+            return component;
+        });
+    };
+    /**
+     * Loads the components of all lazy loaded segments in the path.
+     * @internal
+     */
+    DeepLinker.prototype.loadSegmentComponents = function (segments) {
+        var _this = this;
+        return Promise.all(segments.filter(function (s) { return isString(s.component); }).map(function (segment) {
+            return _this.loadComponent(segment.component).then(function (component) {
+                segment.component = component;
+            });
+        }));
+    };
+    /**
+     * Returns the NgModuleRef which loaded a lazy loaded component,
+     * or `null` if the component is part of the app's module.
+     * @internal
+     */
+    DeepLinker.prototype.getNgModuleRef = function (component) {
+        return this._moduleLoader ? this._moduleLoader.getNgModuleRef(component) : null;
+    };
+    /**
+     * Loads the modules of the lazy loaded links with the given priority.
+     * Modules are loaded one after another so they don't compete with the app.
+     * A module which fails to load is logged and skipped, and is attempted
+     * again the next time its page is navigated to.
+     * @internal
+     */
+    DeepLinker.prototype.preloadModules = function (priority) {
+        var _this = this;
+        var links = this._serializer.links.filter(function (link) {
+            return !link.component && isPresent$4(link.loadChildren) && (link.priority || 'low') === priority;
+        });
+        return links.reduce(function (promise, link) {
+            return promise.then(function () {
+                return _this.loadComponent(link.name).catch(function (err) {
+                    console.error("DeepLinker: unable to preload " + link.name + ": " + err);
+                });
+            });
+        }, Promise.resolve());
+    };
     /**
      * @internal
      */
@@ -27618,6 +28103,31 @@ var DeepLinker = (function () {
         // recursivly climb up the nav ancestors
         // and set each segment's data
         while (nav) {
+            if (!component && !segments.length && nav._isMore && nav.length() < 2) {
+                // the more tab's list of tabs doesn't have a link, so
+                // only the selector of the more tab goes into the url
+                tabSelector = this.getTabSelector(nav);
+                segments.push({
+                    id: tabSelector,
+                    name: tabSelector,
+                    component: null,
+                    data: null
+                });
+                nav = nav.parent && nav.parent.parent;
+                continue;
+            }
+            if (!component && !segments.length && isTab(nav)) {
+                // the lowest nav is a tab, so its pages under the active page
+                // also go into the url, which lets going back through the
+                // browser's history restore the tab's whole stack
+                var stackSegments = this._serializeStack(nav);
+                if (stackSegments) {
+                    var rootView = nav.getByIndex(nav._isMore ? 1 : 0);
+                    segments.push.apply(segments, stackSegments);
+                    component = rootView.component;
+                    data = rootView.data;
+                }
+            }
             // this could be an ion-nav, ion-tab or ion-portal
             // if a component and data was already passed in then use it
             // otherwise get this nav's active view controller
@@ -27641,7 +28151,8 @@ var DeepLinker = (function () {
             if (isTab(nav)) {
                 // this nav is a Tab, which is a child of Tabs
                 // add a segment to represent which Tab is the selected one
-                tabSelector = this.getTabSelector(nav);
+                // the more tab uses the selector of the tab it's showing
+                tabSelector = this.getTabSelector(nav._isMore && nav._overflowTab ? nav._overflowTab : nav);
                 segments.push({
                     id: tabSelector,
                     name: tabSelector,
@@ -27661,6 +28172,33 @@ var DeepLinker = (function () {
         // segments added from bottom to top, so Ti esrever dna ti pilf
         return segments.reverse();
     };
+    /**
+     * Serializes every page above the root page of the tab, starting with the
+     * active page, followed by the separator which marks where the stack
+     * starts. Returns `null` if any of the pages doesn't have a link.
+     * The root page of the more tab is the root page of the tab it's showing.
+     * @internal
+     */
+    DeepLinker.prototype._serializeStack = function (tab) {
+        var segments = [];
+        var views = tab.getViews();
+        for (var i = views.length - 1; i > (tab._isMore ? 1 : 0); i--) {
+            var segment = this._serializer.serializeComponent(views[i].component, views[i].data);
+            if (!segment) {
+                return null;
+            }
+            segments.push(segment);
+        }
+        if (segments.length) {
+            segments.push({
+                id: STACK_SEPARATOR,
+                name: STACK_SEPARATOR,
+                component: null,
+                data: null
+            });
+        }
+        return segments;
+    };
     /**
      * @internal
      */
@@ -27708,9 +28246,21 @@ var DeepLinker = (function () {
                 return path[0];
             }
             for (var i = 1; i < path.length; i++) {
-                if (path[i - 1].navId === nav.parent.id) {
+                if (path[i - 1].navId === nav.parent.id && path[i].navId !== nav.parent.id) {
                     // this nav's parent segment is the one before this segment's index
                     path[i].navId = nav.id;
+                    if (isTab(nav) && path[i + 1] && path[i + 1].id === STACK_SEPARATOR) {
+                        // the rest of the tab's stack follows the separator after
+                        // its root page, so the pages of a nav within the tab's
+                        // active page aren't mistaken for the tab's own pages
+                        path[i + 1].navId = nav.id;
+                        var stack = [path[i]];
+                        for (var j = i + 2; j < path.length && path[j].component; j++) {
+                            path[j].navId = nav.id;
+                            stack.push(path[j]);
+                        }
+                        path[i].stack = stack;
+                    }
                     return path[i];
                 }
             }
@@ -27722,6 +28272,10 @@ var DeepLinker = (function () {
      */
     DeepLinker.prototype.initViews = function (segment) {
         var views;
+        if (segment.stack && segment.stack.length > 1) {
+            // the url has the tab's whole stack, which replaces the default history
+            return stackToViews(segment.stack);
+        }
         if (isArray$2(segment.defaultHistory)) {
             views = convertToViews(this, segment.defaultHistory);
         }
@@ -27765,14 +28319,29 @@ var DeepLinker = (function () {
             return;
         }
         if (isTabs(navInstance)) {
-            navInstance.select(this.getSelectedTabIndex(navInstance, segment.name), {
+            var tab = navInstance.getByIndex(this.getSelectedTabIndex(navInstance, segment.name));
+            if (tab && tab._overflow) {
+                // the tab didn't fit in the tabbar, so the more tab
+                // shows the pages the url has for it
+                tab._segment = this.initNav(tab);
+            }
+            navInstance.select(tab, {
                 updateUrl: false,
                 animate: false
             });
             done();
             return;
         }
+        if (navInstance._isMore) {
+            // the more tab's pages were set when its tab was selected
+            done();
+            return;
+        }
         var nav = navInstance;
+        if (segment.stack && segment.stack.length > 1) {
+            this._loadStackFromSegment(nav, segment, done);
+            return;
+        }
         // walk backwards to see if the exact view we want to show here
         // is already in the stack that we can just pop back to
         var view;
@@ -27799,31 +28368,93 @@ var DeepLinker = (function () {
             }
         }
         // ok, so they must be pushing a new view to the stack
-        // since we didn't find this same component already in the stack
-        nav.push(segment.component, segment.data, {
+        // since we didn't find this same component already in the stack.
+        // inserted rather than pushed so the master nav of a master-detail
+        // keeps its own segment instead of handing it to its detail nav
+        nav.insert(-1, segment.component, segment.data, {
             id: segment.id, animate: false, updateUrl: false
         }, done);
     };
     /**
+     * Updates a tab so its stack matches the stack in the url, keeping
+     * the pages at the bottom of its stack which already match.
+     * @internal
+     */
+    DeepLinker.prototype._loadStackFromSegment = function (nav, segment, done) {
+        var stack = segment.stack;
+        var opts = { animate: false, updateUrl: false };
+        var matched = 0;
+        while (matched < stack.length && this._isSegmentView(nav.getByIndex(matched), stack[matched])) {
+            matched++;
+        }
+        if (matched === stack.length) {
+            if (nav.length() === matched) {
+                // the tab already has the same stack
+                done();
+            }
+            else {
+                // the tab is deeper than the url, so go back to its last page
+                nav.popTo(nav.getByIndex(matched - 1), opts, done);
+            }
+            return;
+        }
+        var views = stackToViews(stack.slice(matched));
+        if (!matched) {
+            nav.setPages(views, opts, done);
+            return;
+        }
+        if (nav.length() > matched) {
+            nav.remove(matched, nav.length() - matched, opts);
+        }
+        nav.insertPages(matched, views, opts, done);
+    };
+    /**
+     * @internal
+     */
+    DeepLinker.prototype._isSegmentView = function (view, segment) {
+        if (!view) {
+            return false;
+        }
+        if (view.id === segment.id) {
+            return true;
+        }
+        var viewSegment = this._serializer.serializeComponent(view.component, view.data);
+        return !!viewSegment && viewSegment.id === segment.id && viewSegment.name === segment.name;
+    };
+    /**
+     * The back URL is the URL of the previous history entry. Within the same
+     * nav, the previous entry's page also has to be below the current one.
      * @internal
      */
     DeepLinker.prototype.isBackUrl = function (browserUrl) {
-        return (browserUrl === this.history[this.history.length - 2]);
+        var backEntry = this._getHistory(this._historyIndex - 1);
+        if (!backEntry || backEntry.url !== browserUrl) {
+            return false;
+        }
+        var currentEntry = this._getHistory(this._historyIndex);
+        return (!currentEntry || backEntry.navId !== currentEntry.navId || backEntry.navIndex < currentEntry.navIndex);
     };
     /**
      * @internal
      */
     DeepLinker.prototype.isCurrentUrl = function (browserUrl) {
-        return (browserUrl === this.history[this.history.length - 1]);
+        var currentEntry = this._getHistory(this._historyIndex);
+        return (!!currentEntry && currentEntry.url === browserUrl);
     };
     /**
      * @internal
      */
     DeepLinker.prototype.historyPush = function (browserUrl) {
         if (!this.isCurrentUrl(browserUrl)) {
-            this.history.push(browserUrl);
-            if (this.history.length > 30) {
+            this._historyIndex++;
+            // a new entry replaces everything forward of the current one
+            this.history.length = Math.max(0, this._historyIndex - this._historyStart);
+            this._setHistory(this._historyIndex, this._getNavEntry(browserUrl));
+            if (this.history.length > MAX_HISTORY) {
+                // only the most recent entries are kept, the browser's
+                // history state still knows the place of older entries
                 this.history.shift();
+                this._historyStart++;
             }
         }
     };
@@ -27831,18 +28462,89 @@ var DeepLinker = (function () {
      * @internal
      */
     DeepLinker.prototype.historyPop = function () {
-        this.history.pop();
-        if (!this.history.length) {
-            this.historyPush(this._location.path());
+        this._historyIndex = Math.max(0, this._historyIndex - 1);
+        if (!this._getHistory(this._historyIndex)) {
+            this._setHistory(this._historyIndex, this._getNavEntry(normalizeUrl(this._location.path())));
         }
     };
+    /**
+     * @internal
+     */
+    DeepLinker.prototype._getHistory = function (historyIndex) {
+        return this.history[historyIndex - this._historyStart] || null;
+    };
+    /**
+     * @internal
+     */
+    DeepLinker.prototype._setHistory = function (historyIndex, entry) {
+        if (historyIndex < this._historyStart || historyIndex > this._historyStart + this.history.length) {
+            // the entry isn't next to the ones we know, so start over from it
+            this.history.length = 0;
+            this._historyStart = historyIndex;
+        }
+        this.history[historyIndex - this._historyStart] = entry;
+    };
+    /**
+     * Creates a history entry for the URL with the active nav,
+     * and the index of its active page within the nav's stack.
+     * @internal
+     */
+    DeepLinker.prototype._getNavEntry = function (browserUrl) {
+        var activeNav = this._app.getActiveNav();
+        var activeView = activeNav && activeNav.getActive();
+        return {
+            url: browserUrl,
+            navId: activeNav ? activeNav.id : null,
+            navIndex: activeView ? activeView.index : -1
+        };
+    };
+    /**
+     * Updates the current history entry, and the browser's history state,
+     * with where the active nav's stack is now.
+     * @internal
+     */
+    DeepLinker.prototype._updateHistoryNav = function () {
+        var currentEntry = this._getHistory(this._historyIndex);
+        if (currentEntry) {
+            var navEntry = this._getNavEntry(currentEntry.url);
+            if (navEntry.navId !== currentEntry.navId || navEntry.navIndex !== currentEntry.navIndex) {
+                this._setHistory(this._historyIndex, navEntry);
+                this._replaceState(currentEntry.url);
+            }
+        }
+    };
+    /**
+     * The state of the current browser history entry.
+     * @internal
+     */
+    DeepLinker.prototype._getHistoryState = function () {
+        var currentEntry = this._getHistory(this._historyIndex);
+        return {
+            historyIndex: this._historyIndex,
+            navId: currentEntry ? currentEntry.navId : null,
+            navIndex: currentEntry ? currentEntry.navIndex : -1
+        };
+    };
     return DeepLinker;
 }());
-function setupDeepLinker(app, serializer, location) {
-    var deepLinker = new DeepLinker(app, serializer, location);
+function setupDeepLinker(app, serializer, location, moduleLoader, locationStrategy) {
+    var deepLinker = new DeepLinker(app, serializer, location, moduleLoader, locationStrategy);
     deepLinker.init();
     return deepLinker;
 }
+function getHistoryState() {
+    return (typeof window !== 'undefined' && window.history && window.history.state) || null;
+}
+function isHistoryState(state) {
+    return isPresent$4(state) && isNumber(state.historyIndex) && isNumber(state.navIndex);
+}
+function createHistoryEntry(browserUrl, state) {
+    return {
+        url: browserUrl,
+        navId: state.navId,
+        navIndex: state.navIndex
+    };
+}
 function normalizeUrl(browserUrl) {
     browserUrl = browserUrl.trim();
     if (browserUrl.charAt(0) !== '/') {
@@ -27855,6 +28557,15 @@ function normalizeUrl(browserUrl) {
     }
     return browserUrl;
 }
+var MAX_HISTORY = 30;
+var STACK_SEPARATOR = '~';
+function stackToViews(stack) {
+    return stack.map(function (segment) {
+        var view = new ViewController(segment.component, segment.data);
+        view.id = segment.id;
+        return view;
+    });
+}
 
 var DomDebouncer = (function () {
     function DomDebouncer(dom) {
@@ -28471,6 +29182,67 @@ var KEYBOARD_POLLING_CHECKS_MAX = 100;
  * Similar to `ionViewCanLeave` we still need a catch on the original `navCtrl.push` in order to handle it properly.
  * When handling the back button in the `ion-navbar`, the catch is already taken care of for you by the framework.
  *
+ * ## Registered Guards and Resolvers
+ *
+ * When the same check is needed by many pages, a guard can be registered on a
+ * nav instead of repeating `ionViewCanEnter` in each page. Guards registered on
+ * a nav also apply to all of its child navs, so registering on the root nav
+ * covers the entire app. A guard can be limited to specific pages by listing
+ * their components, or their names, in `pages`.
+ *
+ * Resolvers fetch data before a page is created. The resolved value is added
+ * to the entering page's `NavParams` under the resolver's `key`. If a guard
+ * rejects, or a resolver's promise rejects, the transition does not happen.
+ *
+ * ```ts
+ * export class MyApp {
+ *   @ViewChild(Nav) nav: Nav;
+ *
+ *   constructor(public auth: AuthService, public api: ApiService) {}
+ *
+ *   ngAfterViewInit() {
+ *     // the nav is only available once the view has been initialized
+ *     this.nav.registerGuard({
+ *       pages: [AccountPage, OrdersPage],
+ *       canEnter: () => this.auth.isLoggedIn()
+ *     });
+ *
+ *     this.nav.registerResolver({
+ *       key: 'user',
+ *       pages: [AccountPage],
+ *       resolve: (view: ViewController) => this.api.getUser(view.data.userId)
+ *     });
+ *   }
+ * }
+ *
+ * export class AccountPage {
+ *   constructor(navParams: NavParams) {
+ *     let user = navParams.get('user');
+ *   }
+ * }
+ * ```
+ *
+ * ## Shared Element Transitions
+ *
+ * An element can morph into an element on the next page during `push` and `pop`, such as a
+ * product's thumbnail in a list growing into the large image on the product's detail page.
+ * Give both elements a `shared-element` attribute with the same value, and the element's
+ * position, size and border radius animate between the two while the pages transition.
+ * Swiping back to the previous page drives the same animation.
+ *
+ * ```html
+ * <!-- list page -->
+ * <ion-item *ngFor="let product of products" (click)="openProduct(product)">
+ *   <ion-thumbnail item-left>
+ *     <img [src]="product.image" [attr.shared-element]="'product-' + product.id">
+ *   </ion-thumbnail>
+ *   {{product.name}}
+ * </ion-item>
+ *
+ * <!-- detail page -->
+ * <img [src]="product.image" [attr.shared-element]="'product-' + product.id">
+ * ```
+ *
  * ## NavOptions
  *
  * Some methods on `NavController` allow for customizing the current transition.
@@ -28486,6 +29258,8 @@ var KEYBOARD_POLLING_CHECKS_MAX = 100;
  * | easing    | `string`  | The easing for the animation.                                                                              |
  *
  * The property 'animation' understands the following values: `md-transition`, `ios-transition` and `wp-transition`.
+ * Transitions registered with `TransitionController.register()` can also be used by their name, and an
+ * unknown name rejects the transition.
  *
  * @see {@link /docs/v2/components#navigation Navigation Component Docs}
  */
@@ -28546,6 +29320,120 @@ var PanRecognizer = (function () {
     };
     return PanRecognizer;
 }());
+var PinchRecognizer = (function () {
+    function PinchRecognizer(threshold) {
+        this.dirty = false;
+        this._distance = 0;
+        this._scale = 1;
+        this.threshold = threshold;
+    }
+    PinchRecognizer.prototype.start = function (coordA, coordB) {
+        this.startDistance = getDistance(coordA, coordB);
+        this._distance = this.startDistance;
+        this._scale = 1;
+        this.dirty = true;
+    };
+    PinchRecognizer.prototype.detect = function (coordA, coordB) {
+        this._distance = getDistance(coordA, coordB);
+        this._scale = (this.startDistance > 0 ? this._distance / this.startDistance : 1);
+        if (this.dirty && Math.abs(this._distance - this.startDistance) >= this.threshold) {
+            this.dirty = false;
+            return true;
+        }
+        return false;
+    };
+    PinchRecognizer.prototype.scale = function () {
+        return this._scale;
+    };
+    return PinchRecognizer;
+}());
+var RotateRecognizer = (function () {
+    function RotateRecognizer(threshold) {
+        this.dirty = false;
+        this._lastAngle = 0;
+        this._rotation = 0;
+        this.threshold = threshold;
+    }
+    RotateRecognizer.prototype.start = function (coordA, coordB) {
+        this._lastAngle = getAngle(coordA, coordB);
+        this._rotation = 0;
+        this.dirty = true;
+    };
+    RotateRecognizer.prototype.detect = function (coordA, coordB) {
+        var angle = getAngle(coordA, coordB);
+        // keep the change within -180 to 180 so the
+        // rotation doesn't jump when the angle wraps around
+        var delta = angle - this._lastAngle;
+        if (delta > 180) {
+            delta -= 360;
+        }
+        else if (delta < -180) {
+            delta += 360;
+        }
+        this._rotation += delta;
+        this._lastAngle = angle;
+        if (this.dirty && Math.abs(this._rotation) >= this.threshold) {
+            this.dirty = false;
+            return true;
+        }
+        return false;
+    };
+    RotateRecognizer.prototype.rotation = function () {
+        return this._rotation;
+    };
+    return RotateRecognizer;
+}());
+var TapRecognizer = (function () {
+    function TapRecognizer(taps, interval, threshold) {
+        this.taps = taps;
+        this.interval = interval;
+        this._count = 0;
+        this._lastTapTime = 0;
+        this.threshold = threshold * threshold;
+    }
+    TapRecognizer.prototype.start = function (coord, timestamp) {
+        if (this._count > 0 && (timestamp - this._lastTapTime > this.interval || this._isFar(coord, this._lastTapCoord))) {
+            // too long, or too far, since the last tap
+            this._count = 0;
+        }
+        this.startCoord = coord;
+    };
+    TapRecognizer.prototype.detect = function (coord, timestamp) {
+        if (this._isFar(coord, this.startCoord)) {
+            // the pointer moved, so it wasn't a tap
+            this._count = 0;
+            return false;
+        }
+        this._count++;
+        this._lastTapTime = timestamp;
+        this._lastTapCoord = coord;
+        if (this._count >= this.taps) {
+            this._count = 0;
+            return true;
+        }
+        return false;
+    };
+    TapRecognizer.prototype.reset = function () {
+        this._count = 0;
+    };
+    TapRecognizer.prototype._isFar = function (coordA, coordB) {
+        if (!coordA || !coordB) {
+            return true;
+        }
+        var deltaX = (coordA.x - coordB.x);
+        var deltaY = (coordA.y - coordB.y);
+        return (deltaX * deltaX + deltaY * deltaY) > this.threshold;
+    };
+    return TapRecognizer;
+}());
+function getDistance(coordA, coordB) {
+    var deltaX = (coordB.x - coordA.x);
+    var deltaY = (coordB.y - coordA.y);
+    return Math.sqrt(deltaX * deltaX + deltaY * deltaY);
+}
+function getAngle(coordA, coordB) {
+    return Math.atan2(coordB.y - coordA.y, coordB.x - coordA.x) * (180 / Math.PI);
+}
 
 // Test via a getter in the options object to see if the passive property is accessed
 var supportsOptions = false;
@@ -29072,7 +29960,7 @@ var SwipeBackGesture = (function (_super) {
         var isMovingFast = Math.abs(slide.velocity) > 0.4;
         var isInResetZone = Math.abs(slide.delta) < Math.abs(slide.max) * 0.5;
         var shouldComplete = !swipeShouldReset(isResetDirecction, isMovingFast, isInResetZone);
-        this._nav.swipeBackEnd(shouldComplete, currentStepValue, velocity);
+        this._nav.swipeBackEnd(shouldComplete, currentStepValue, velocity, velocity / slide.max);
     };
     return SwipeBackGesture;
 }(SlideEdgeGesture));
@@ -29101,6 +29989,8 @@ var NavControllerBase = (function (_super) {
         this._linker = _linker;
         this._domCtrl = _domCtrl;
         this._children = [];
+        this._guards = [];
+        this._resolvers = [];
         this._ids = -1;
         this._init = false;
         this._queue = [];
@@ -29118,6 +30008,11 @@ var NavControllerBase = (function (_super) {
         this.id = 'n' + (++ctrlIds);
     }
     NavControllerBase.prototype.push = function (page, params, opts, done) {
+        if (this._masterDetail) {
+            // this is the master nav of a master-detail, which
+            // decides whether the page goes into its detail nav
+            return this._masterDetail._push(page, params, opts, done);
+        }
         return this._queueTrns({
             insertStart: -1,
             insertViews: [convertToView(this._linker, page, params)],
@@ -29271,6 +30166,9 @@ var NavControllerBase = (function (_super) {
             ti.reject('no views in the stack to be removed');
             return promise;
         }
+        if (ti.opts && this._rejectUnknownTransition(ti, ti.opts.animation)) {
+            return promise;
+        }
         this._queue.push(ti);
         // if there isn't a transition already happening
         // then this will kick off this transition
@@ -29290,6 +30188,29 @@ var NavControllerBase = (function (_super) {
         if (!ti) {
             return false;
         }
+        // lazy loaded pages are only known by their name until their
+        // module has been loaded, so load those before going any further
+        var lazyViews = ti.insertViews ? ti.insertViews.filter(function (v) { return isString(v.component); }) : [];
+        if (lazyViews.length) {
+            return this._loadLazyViews(lazyViews, ti);
+        }
+        return this._startTI(ti);
+    };
+    NavControllerBase.prototype._loadLazyViews = function (lazyViews, ti) {
+        var _this = this;
+        // block any other transitions while the modules load
+        this.setTransitioning(true);
+        Promise.all(lazyViews.map(function (view) {
+            return _this._linker.loadComponent(view.component).then(function (component) {
+                view.component = component;
+            });
+        })).then(function () {
+            _this.setTransitioning(false);
+            _this._startTI(ti);
+        }).catch(ti.reject);
+        return true;
+    };
+    NavControllerBase.prototype._startTI = function (ti) {
         // Get entering and leaving views
         var leavingView = this.getActive();
         var enteringView = this._getEnteringView(ti, leavingView);
@@ -29299,14 +30220,22 @@ var NavControllerBase = (function (_super) {
         }
         // set that this nav is actively transitioning
         this.setTransitioning(true);
+        // Only test guards and canLeave/canEnter if there is transition
+        var requiresTransition = (ti.enteringRequiresTransition || ti.leavingRequiresTransition) && enteringView !== leavingView;
+        if (requiresTransition) {
+            // registered guards and resolvers run before the entering view
+            // is created, so any resolved data is already in its NavParams
+            return this._guardTest(enteringView, leavingView, ti);
+        }
+        return this._viewInitTest(enteringView, leavingView, ti, false);
+    };
+    NavControllerBase.prototype._viewInitTest = function (enteringView, leavingView, ti, requiresTransition) {
         // Initialize enteringView
         if (enteringView && isBlank$5(enteringView._state)) {
             // render the entering view, and all child navs and views
             // ******** DOM WRITE ****************
             this._viewInit(enteringView);
         }
-        // Only test canLeave/canEnter if there is transition
-        var requiresTransition = (ti.enteringRequiresTransition || ti.leavingRequiresTransition) && enteringView !== leavingView;
         if (requiresTransition) {
             // views have been initialized, now let's test
             // to see if the transition is even allowed or not
@@ -29404,6 +30333,36 @@ var NavControllerBase = (function (_super) {
             ti.reject('navigation stack needs at least one root page');
             return false;
         }
+        if (insertViews && ti.enteringRequiresTransition) {
+            // default to forward if not already set
+            opts.direction = opts.direction || DIRECTION_FORWARD;
+        }
+        var requiresTransition = ti.enteringRequiresTransition || ti.leavingRequiresTransition && enteringView !== leavingView;
+        if (requiresTransition) {
+            // set which animation it should use if it wasn't set yet
+            if (!opts.animation) {
+                if (enteringView && !enteringView._nav) {
+                    // a new view only gets its nav once it's inserted into the
+                    // stack, but it already needs it to look up its transition
+                    enteringView._setNav(this);
+                }
+                if (isPresent$4(ti.removeStart)) {
+                    opts.animation = (leavingView || enteringView).getTransitionName(opts.direction);
+                }
+                else {
+                    opts.animation = (enteringView || leavingView).getTransitionName(opts.direction);
+                }
+            }
+            // the name may come from the config, so check it before the stack changes
+            if (this._rejectUnknownTransition(ti, opts.animation)) {
+                if (insertViews && insertViews.indexOf(enteringView) > -1 && this._views.indexOf(enteringView) < 0) {
+                    // the entering view was created for this transition but
+                    // never made it into the stack, so don't leave it behind
+                    this._destroyView(enteringView);
+                }
+                return false;
+            }
+        }
         // there are views to insert
         if (insertViews) {
             // manually set the new view's id if an id was passed in the options
@@ -29416,10 +30375,6 @@ var NavControllerBase = (function (_super) {
                 (void 0) /* assert */;
                 this._insertViewAt(view, ti.insertStart + i);
             }
-            if (ti.enteringRequiresTransition) {
-                // default to forward if not already set
-                opts.direction = opts.direction || DIRECTION_FORWARD;
-            }
         }
         // if the views to be removed are in the beginning or middle
         // and there is not a view that needs to visually transition out
@@ -29440,16 +30395,7 @@ var NavControllerBase = (function (_super) {
                 this._destroyView(destroyQueue[i]);
             }
         }
-        if (ti.enteringRequiresTransition || ti.leavingRequiresTransition && enteringView !== leavingView) {
-            // set which animation it should use if it wasn't set yet
-            if (!opts.animation) {
-                if (isPresent$4(ti.removeStart)) {
-                    opts.animation = (leavingView || enteringView).getTransitionName(opts.direction);
-                }
-                else {
-                    opts.animation = (enteringView || leavingView).getTransitionName(opts.direction);
-                }
-            }
+        if (requiresTransition) {
             // huzzah! let us transition these views
             this._transition(enteringView, leavingView, opts, ti.resolve);
         }
@@ -29461,6 +30407,18 @@ var NavControllerBase = (function (_super) {
         }
         return true;
     };
+    /**
+     * Rejects the transition when its animation name hasn't been
+     * registered with the TransitionController.
+     */
+    NavControllerBase.prototype._rejectUnknownTransition = function (ti, animation) {
+        if (animation && !this._trnsCtrl.has(animation)) {
+            console.error("Unknown transition \"" + animation + "\". Transitions must be registered with TransitionController.register() before they can be used.");
+            ti.reject("unknown transition: " + animation);
+            return true;
+        }
+        return false;
+    };
     /**
      * DOM WRITE
      */
@@ -29471,8 +30429,12 @@ var NavControllerBase = (function (_super) {
             { provide: ViewController, useValue: enteringView },
             { provide: NavParams, useValue: enteringView.getNavParams() }
         ]);
-        var componentFactory = this._cfr.resolveComponentFactory(enteringView.component);
-        var childInjector = ReflectiveInjector.fromResolvedProviders(componentProviders, this._viewport.parentInjector);
+        // lazy loaded components are resolved and injected by their own module
+        var ngModuleRef = this._linker.getNgModuleRef(enteringView.component);
+        var cfr = ngModuleRef ? ngModuleRef.componentFactoryResolver : this._cfr;
+        var componentFactory = cfr.resolveComponentFactory(enteringView.component);
+        var parentInjector = ngModuleRef ? ngModuleRef.injector : this._viewport.parentInjector;
+        var childInjector = ReflectiveInjector.fromResolvedProviders(componentProviders, parentInjector);
         // create ComponentRef and set it to the entering view
         enteringView.init(componentFactory.create(childInjector, []));
         enteringView._state = ViewState.INITIALIZED;
@@ -29497,6 +30459,85 @@ var NavControllerBase = (function (_super) {
         // fire off the "didLoad" lifecycle events
         this._zone.run(this._didLoad.bind(this, view));
     };
+    NavControllerBase.prototype._guardTest = function (enteringView, leavingView, ti) {
+        var _this = this;
+        var guards = this._getNavItems('_guards');
+        var promises = [];
+        var result;
+        for (var i = 0; i < guards.length; i++) {
+            if (leavingView) {
+                result = guardResult(guards[i], 'canLeave', leavingView, this);
+                if (result === false) {
+                    // synchronous reject
+                    ti.reject('nav guard canLeave rejected');
+                    return false;
+                }
+                else if (result instanceof Promise) {
+                    promises.push(result);
+                }
+            }
+            if (enteringView) {
+                result = guardResult(guards[i], 'canEnter', enteringView, this);
+                if (result === false) {
+                    // synchronous reject
+                    ti.reject('nav guard canEnter rejected');
+                    return false;
+                }
+                else if (result instanceof Promise) {
+                    promises.push(result);
+                }
+            }
+        }
+        // only views which haven't been created yet get resolved data,
+        // cached views already had their NavParams handed to the component
+        var resolvers = (enteringView && isBlank$5(enteringView._state)) ? this._getNavItems('_resolvers') : [];
+        resolvers = resolvers.filter(function (r) { return isViewMatch(enteringView, r.pages); });
+        if (!promises.length && !resolvers.length) {
+            // nothing async to wait for, keep going synchronously
+            return this._viewInitTest(enteringView, leavingView, ti, true);
+        }
+        Promise.all(promises).then(function (values) {
+            if (values.some(function (r) { return r === false; })) {
+                throw 'nav guard rejected';
+            }
+            // all guards passed, now resolve the data for the entering view
+            return Promise.all(resolvers.map(function (r) {
+                return Promise.resolve(r.resolve(enteringView, _this)).then(function (data) {
+                    enteringView.data[r.key] = data;
+                });
+            }));
+        }).then(function () {
+            _this._viewInitTest(enteringView, leavingView, ti, true);
+        }).catch(ti.reject);
+        return true;
+    };
+    NavControllerBase.prototype._getNavItems = function (prop) {
+        // items registered on ancestor navs also apply to their child navs
+        var items = [];
+        var nav = this;
+        while (nav) {
+            if (nav[prop]) {
+                items = nav[prop].concat(items);
+            }
+            nav = nav.parent;
+        }
+        return items;
+    };
+    NavControllerBase.prototype.registerGuard = function (guard) {
+        var _this = this;
+        this._guards.push(guard);
+        return function () {
+            removeArrayItem(_this._guards, guard);
+        };
+    };
+    NavControllerBase.prototype.registerResolver = function (resolver) {
+        var _this = this;
+        (void 0) /* assert */;
+        this._resolvers.push(resolver);
+        return function () {
+            removeArrayItem(_this._resolvers, resolver);
+        };
+    };
     NavControllerBase.prototype._viewTest = function (enteringView, leavingView, ti) {
         var _this = this;
         var promises = [];
@@ -29559,6 +30600,7 @@ var NavControllerBase = (function (_super) {
             easing: opts.easing,
             isRTL: this._config.platform.isRTL(),
             ev: opts.ev,
+            webAnimations: this._config.getBoolean('webAnimations'),
         };
         // create the transition animation from the TransitionController
         // this will either create the root transition, or add it as a child transition
@@ -29845,6 +30887,8 @@ var NavControllerBase = (function (_super) {
         }
         // purge stack
         this._views.length = 0;
+        this._guards.length = 0;
+        this._resolvers.length = 0;
         // release swipe back gesture and transition
         this._sbGesture && this._sbGesture.destroy();
         this._sbTrns && this._sbTrns.destroy();
@@ -29878,11 +30922,11 @@ var NavControllerBase = (function (_super) {
             this._sbTrns.progressStep(stepValue);
         }
     };
-    NavControllerBase.prototype.swipeBackEnd = function (shouldComplete, currentStepValue, velocity) {
+    NavControllerBase.prototype.swipeBackEnd = function (shouldComplete, currentStepValue, velocity, stepVelocity) {
         if (this._sbTrns && this._sbGesture) {
             // the swipe back gesture has ended
             var dur = this._sbTrns.getDuration() / (Math.abs(velocity) + 1);
-            this._sbTrns.progressEnd(shouldComplete, currentStepValue, dur);
+            this._sbTrns.progressEnd(shouldComplete, currentStepValue, dur, stepVelocity);
         }
     };
     NavControllerBase.prototype._swipeBackCheck = function () {
@@ -29970,6 +31014,25 @@ var NavControllerBase = (function (_super) {
     };
     return NavControllerBase;
 }(Ion));
+function guardResult(guard, methodName, view, nav) {
+    if (!guard[methodName] || !isViewMatch(view, guard.pages)) {
+        return true;
+    }
+    try {
+        var result = guard[methodName](view, nav);
+        if (result === false) {
+            return false;
+        }
+        else if (result instanceof Promise) {
+            return result;
+        }
+        return true;
+    }
+    catch (e) {
+        console.error(view.name + " nav guard " + methodName + " error: " + e.message);
+        return false;
+    }
+}
 var ctrlIds = -1;
 var DISABLE_APP_MINIMUM_DURATION = 64;
 var ACTIVE_TRANSITION_DEFAULT = 5000;
@@ -29983,6 +31046,8 @@ var Animation = (function () {
         this._dur = null;
         this._es = null;
         this._rvEs = null;
+        this._spr = null;
+        this._sprDur = 0;
         this.hasChildren = false;
         this.isPlaying = false;
         this.hasCompleted = false;
@@ -30037,6 +31102,10 @@ var Animation = (function () {
         if (opts && isDefined(opts.duration)) {
             return opts.duration;
         }
+        else if (this._spr) {
+            // a spring takes as long as it needs to settle
+            return this._sprDur;
+        }
         else if (this._dur !== null) {
             return this._dur;
         }
@@ -30060,6 +31129,10 @@ var Animation = (function () {
         if (this._rv && this._rvEs) {
             return this._rvEs;
         }
+        var spring = this.getSpring();
+        if (spring) {
+            return getSpringEasing(spring, this.getDuration(), 0);
+        }
         return this._es !== null ? this._es : (this.parent && this.parent.getEasing()) || null;
     };
     /**
@@ -30067,8 +31140,39 @@ var Animation = (function () {
      */
     Animation.prototype.easing = function (name) {
         this._es = name;
+        this._spr = null;
+        return this;
+    };
+    /**
+     * Use a spring instead of an easing curve and duration. The spring is defined by its
+     * `mass`, `stiffness` and `damping`, which default to `1`, `100` and `10`. When the
+     * animation is finished with `progressEnd()`, the spring starts at the gesture's velocity.
+     */
+    Animation.prototype.spring = function (opts) {
+        opts = opts || {};
+        this._spr = {
+            mass: isDefined(opts.mass) ? opts.mass : 1,
+            stiffness: isDefined(opts.stiffness) ? opts.stiffness : 100,
+            damping: isDefined(opts.damping) ? opts.damping : 10
+        };
+        // the spring's duration from rest only changes with the spring
+        this._sprDur = getSpringDuration(this._spr, 0);
+        this._es = null;
         return this;
     };
+    /**
+     * Get the spring of this animation. If this animation does not have
+     * an easing or spring, then it'll get the spring from its parent.
+     */
+    Animation.prototype.getSpring = function () {
+        if (this._spr) {
+            return this._spr;
+        }
+        if (this._es !== null) {
+            return null;
+        }
+        return (this.parent && this.parent.getSpring()) || null;
+    };
     /**
      * Set the easing for this reversed animation.
      */
@@ -30101,6 +31205,30 @@ var Animation = (function () {
     Animation.prototype.fromTo = function (prop, fromVal, toVal, clearProperyAfterTransition) {
         return this.from(prop, fromVal).to(prop, toVal, clearProperyAfterTransition);
     };
+    /**
+     * Add multiple values for the same property, each at an `offset` from `0` to `1`.
+     * The first and last keyframes are the "from" and "to" values.
+     *
+     * Keyframes between the first and last are only played when the animation runs on
+     * Web Animations, which is the `webAnimations` option in a browser supporting them,
+     * and when it's stepped with `progressStep()`. A CSS transition can only go from one
+     * value to another, so on the CSS transition path a played animation goes straight
+     * from the first keyframe to the last and the keyframes in between are skipped.
+     */
+    Animation.prototype.keyframes = function (prop, keyframes, clearProperyAfterTransition) {
+        (void 0) /* assert */;
+        keyframes = keyframes.slice().sort(function (a, b) { return a.offset - b.offset; });
+        this.from(prop, keyframes[0].value);
+        this.to(prop, keyframes[keyframes.length - 1].value, clearProperyAfterTransition);
+        var fxProp = this._getProp(prop);
+        fxProp.stops = keyframes.map(function (keyframe) {
+            return {
+                offset: keyframe.offset,
+                state: createEffectState(keyframe.value)
+            };
+        });
+        return this;
+    };
     /**
      * @private
      * NO DOM
@@ -30128,23 +31256,9 @@ var Animation = (function () {
             this._fx.push(fxProp);
         }
         // add from/to EffectState to the EffectProperty
-        var fxState = {
-            val: val,
-            num: null,
-            unit: '',
-        };
-        fxProp[state] = fxState;
-        if (typeof val === 'string' && val.indexOf(' ') < 0) {
-            var r = val.match(CSS_VALUE_REGEX);
-            var num = parseFloat(r[1]);
-            if (!isNaN(num)) {
-                fxState.num = num;
-            }
-            fxState.unit = (r[0] !== r[2] ? r[2] : '');
-        }
-        else if (typeof val === 'number') {
-            fxState.num = val;
-        }
+        fxProp[state] = createEffectState(val);
+        // setting the from or to makes it a two-point tween again
+        fxProp.stops = null;
         return fxProp;
     };
     /**
@@ -30249,6 +31363,8 @@ var Animation = (function () {
         // FROM property and transition duration, wait a few frames, then
         // kick off the animation by setting the TO property for each animation
         this._isAsync = this._hasDuration(opts);
+        // use element.animate() rather than css transitions when it's available
+        this._waOn = this._useWebAnimations();
         // ensure all past transition end events have been cleared
         this._clearAsync();
         // recursively kicks off the correct progress step for each child animation
@@ -30279,6 +31395,7 @@ var Animation = (function () {
         this._hasDur = (this.getDuration(opts) > ANIMATION_DURATION_MIN);
         var children = this._c;
         for (var i = 0; i < this._cL; i++) {
+            children[i]._waOn = this._waOn;
             // ******** DOM WRITE ****************
             children[i]._playInit(opts);
         }
@@ -30305,10 +31422,20 @@ var Animation = (function () {
         // ******** DOM READ ****************
         // ******** DOM WRITE ****************
         this._beforeAnimation();
+        var dur = this.getDuration(opts);
+        if (this._waOn) {
+            // web animations start playing as soon as they're created,
+            // so there's no need to wait a frame for the TO properties
+            // ******** DOM WRITE ****************
+            this._playProgress(opts);
+            if (this._isAsync) {
+                this._asyncEnd(dur, true);
+            }
+            return;
+        }
         // for the root animation only
         // set the async TRANSITION END event
         // and run onFinishes when the transition ends
-        var dur = this.getDuration(opts);
         if (this._isAsync) {
             this._asyncEnd(dur, true);
         }
@@ -30332,9 +31459,16 @@ var Animation = (function () {
             children[i]._playProgress(opts);
         }
         if (this._hasDur) {
-            // set the CSS TRANSITION duration/easing
-            // ******** DOM WRITE ****************
-            this._setTrans(this.getDuration(opts), false);
+            if (this._waOn) {
+                // play the web animation from start to finish
+                // ******** DOM WRITE ****************
+                this._waPlay(0, 1, this.getDuration(opts), this.getEasing(), false);
+            }
+            else {
+                // set the CSS TRANSITION duration/easing
+                // ******** DOM WRITE ****************
+                this._setTrans(this.getDuration(opts), false);
+            }
         }
         else {
             // this animation does not have a duration, so it should not animate
@@ -30402,8 +31536,18 @@ var Animation = (function () {
             // transition finished
             self._didFinishAll(shouldComplete, true, false);
         }
-        // set the TRANSITION END event on one of the transition elements
-        self._unrgTrns = transitionEnd(self._transEl(), onTransitionEnd);
+        var player = self._waOn && self._waPlayer();
+        if (player) {
+            // web animations let us know exactly when they've finished
+            player.onfinish = onTransitionEnd;
+            self._unrgTrns = function () {
+                player.onfinish = null;
+            };
+        }
+        else {
+            // set the TRANSITION END event on one of the transition elements
+            self._unrgTrns = transitionEnd(self._transEl(), onTransitionEnd);
+        }
         // set a fallback timeout if the transition end event never fires, or is too slow
         // transition end fallback: (animation duration + XXms)
         self._tm = nativeTimeout(onTransitionFallback, (dur + TRANSITION_END_FALLBACK_PADDING_MS));
@@ -30428,6 +31572,14 @@ var Animation = (function () {
                 // ******** DOM WRITE ****************
                 this._progress(stepValue);
             }
+            else if (this._wa) {
+                // keep where the web animation ended as inline styles
+                // ******** DOM WRITE ****************
+                this._progress(this._waTo);
+            }
+            // the inline styles have taken over from any web animations
+            // ******** DOM WRITE ****************
+            this._waCancel();
             // set the after styles
             // ******** DOM WRITE ****************
             this._setAfterStyles();
@@ -30515,7 +31667,7 @@ var Animation = (function () {
             if (fx.from && fx.to) {
                 var fromNum = fx.from.num;
                 var toNum = fx.to.num;
-                var tweenEffect = (fromNum !== toNum);
+                var tweenEffect = (fromNum !== toNum) || !!fx.stops;
                 (void 0) /* assert */;
                 if (tweenEffect) {
                     this._twn = true;
@@ -30528,6 +31680,10 @@ var Animation = (function () {
                     // TO
                     val = fx.to.val;
                 }
+                else if (fx.stops) {
+                    // EVERYTHING IN BETWEEN, BY KEYFRAME
+                    val = getEffectValue(fx, stepValue);
+                }
                 else if (tweenEffect) {
                     // EVERYTHING IN BETWEEN
                     var valNum = (((toNum - fromNum) * stepValue) + fromNum);
@@ -30568,14 +31724,15 @@ var Animation = (function () {
      * DOM WRITE
      * NO RECURSION
      */
-    Animation.prototype._setTrans = function (dur, forcedLinearEasing) {
+    Animation.prototype._setTrans = function (dur, forcedLinearEasing, velocity) {
         // Transition is not enabled if there are not effects
         if (!this._fx) {
             return;
         }
         // set the TRANSITION properties inline on the element
         var elements = this._e;
-        var easing = (forcedLinearEasing ? 'linear' : this.getEasing());
+        var spring = this.getSpring();
+        var easing = (forcedLinearEasing ? 'linear' : spring ? getSpringEasing(spring, dur, velocity || 0) : this.getEasing());
         var durString = dur + 'ms';
         var cssTransform = CSS.transition;
         var cssTransitionDuration = CSS.transitionDuration;
@@ -30802,6 +31959,8 @@ var Animation = (function () {
      * Start the animation with a user controlled progress.
      */
     Animation.prototype.progressStart = function () {
+        // use element.animate() rather than css transitions when it's available
+        this._waOn = this._useWebAnimations();
         // ensure all past transition end events have been cleared
         this._clearAsync();
         // ******** DOM READ/WRITE ****************
@@ -30817,12 +31976,20 @@ var Animation = (function () {
     Animation.prototype._progressStart = function () {
         var children = this._c;
         for (var i = 0; i < this._cL; i++) {
+            children[i]._waOn = this._waOn;
             // ******** DOM WRITE ****************
             children[i]._progressStart();
         }
-        // force no duration, linear easing
-        // ******** DOM WRITE ****************
-        this._setTrans(0, true);
+        if (this._waOn) {
+            // a paused web animation which progressStep() seeks through
+            // ******** DOM WRITE ****************
+            this._waPlay(0, 1, WEB_ANIMATION_SEEK_DURATION, 'linear', true);
+        }
+        else {
+            // force no duration, linear easing
+            // ******** DOM WRITE ****************
+            this._setTrans(0, true);
+        }
         // ******** DOM WRITE ****************
         this._willChg(true);
     };
@@ -30843,39 +32010,59 @@ var Animation = (function () {
             // flip the step value: 0 becomes 1, 1 becomes 0
             stepValue = ((stepValue * -1) + 1);
         }
-        // ******** DOM WRITE ****************
-        this._progress(stepValue);
+        if (this._wa) {
+            // ******** DOM WRITE ****************
+            this._waSeek(stepValue);
+        }
+        else {
+            // ******** DOM WRITE ****************
+            this._progress(stepValue);
+        }
     };
     /**
-     * End the progress animation.
+     * End the progress animation. The `velocity` is how fast the gesture was moving,
+     * in steps per millisecond, which a spring uses as its starting velocity.
      */
-    Animation.prototype.progressEnd = function (shouldComplete, currentStepValue, dur) {
+    Animation.prototype.progressEnd = function (shouldComplete, currentStepValue, dur, velocity) {
         if (dur === void 0) { dur = -1; }
+        if (velocity === void 0) { velocity = 0; }
         (void 0) /* console.debug */;
         if (this._rv) {
             // if the animation is going in reverse then
             // flip the step value: 0 becomes 1, 1 becomes 0
             currentStepValue = ((currentStepValue * -1) + 1);
+            velocity = -velocity;
         }
         var stepValue = shouldComplete ? 1 : 0;
         var diff = Math.abs(currentStepValue - stepValue);
+        var spring = this.getSpring();
+        // the velocity relative to the distance left to go
+        var springVelocity = 0;
         if (diff < 0.05) {
             dur = 0;
         }
+        else if (spring) {
+            // the spring starts at the gesture's velocity and
+            // takes however long it needs to settle from there
+            springVelocity = velocity / (stepValue - currentStepValue);
+            dur = getSpringDuration(spring, springVelocity);
+        }
         else if (dur < 0) {
             dur = this._dur;
         }
         this._isAsync = (dur > 30);
-        this._progressEnd(shouldComplete, stepValue, dur, this._isAsync);
+        this._progressEnd(shouldComplete, stepValue, dur, this._isAsync, springVelocity);
         if (this._isAsync) {
             // for the root animation only
             // set the async TRANSITION END event
             // and run onFinishes when the transition ends
             // ******** DOM WRITE ****************
             this._asyncEnd(dur, shouldComplete);
-            // this animation has a duration so we need another RAF
-            // for the CSS TRANSITION properties to kick in
-            this._raf && this._raf(this._playToStep.bind(this, stepValue));
+            if (!this._waOn) {
+                // this animation has a duration so we need another RAF
+                // for the CSS TRANSITION properties to kick in
+                this._raf && this._raf(this._playToStep.bind(this, stepValue));
+            }
         }
     };
     /**
@@ -30883,17 +32070,18 @@ var Animation = (function () {
      * DOM WRITE
      * RECURSION
      */
-    Animation.prototype._progressEnd = function (shouldComplete, stepValue, dur, isAsync) {
+    Animation.prototype._progressEnd = function (shouldComplete, stepValue, dur, isAsync, velocity) {
         var children = this._c;
         for (var i = 0; i < this._cL; i++) {
             // ******** DOM WRITE ****************
-            children[i]._progressEnd(shouldComplete, stepValue, dur, isAsync);
+            children[i]._progressEnd(shouldComplete, stepValue, dur, isAsync, velocity);
         }
         if (!isAsync) {
             // stop immediately
             // set all the animations to their final position
             // ******** DOM WRITE ****************
             this._progress(stepValue);
+            this._waCancel();
             this._willChg(false);
             this._setAfterStyles();
             this._didFinish(shouldComplete);
@@ -30905,7 +32093,13 @@ var Animation = (function () {
             this._hasDur = true;
             // ******** DOM WRITE ****************
             this._willChg(true);
-            this._setTrans(dur, false);
+            if (this._waOn) {
+                // continue from wherever progressStep() left off
+                this._waPlay(isDefined(this._waX) ? this._waX : 0, stepValue, dur, this.getEasing(), false, velocity);
+            }
+            else {
+                this._setTrans(dur, false, velocity);
+            }
         }
     };
     /**
@@ -30983,6 +32177,7 @@ var Animation = (function () {
             children[i].destroy();
         }
         this._clearAsync();
+        this._waCancel();
         this.parent = this._e = this._rdFn = this._wrFn = this._raf = null;
         if (this._c) {
             this._c.length = this._cL = 0;
@@ -31009,8 +32204,262 @@ var Animation = (function () {
         }
         return (this._twn && this._hasDur && this._eL ? this._e[0] : null);
     };
+    /**
+     * @private
+     * NO DOM
+     */
+    Animation.prototype._useWebAnimations = function () {
+        return !!(this.opts && this.opts.webAnimations && supportsWebAnimations());
+    };
+    /**
+     * @private
+     * DOM WRITE
+     * NO RECURSION
+     * Creates a web animation for each element, going from the `fromStep` to the `toStep`.
+     * The steps are the same as the ones given to `_progress()`, so the web animation
+     * can pick up from, or be handed back to, the inline styles.
+     */
+    Animation.prototype._waPlay = function (fromStep, toStep, dur, easing, paused, velocity) {
+        this._waCancel();
+        if (!this._fx || !this._eL) {
+            return;
+        }
+        // springs are sampled into keyframes, which play linearly
+        var spring = (paused ? null : this.getSpring());
+        var keyframes = this._waKeyframes(fromStep, toStep, spring, dur, velocity || 0);
+        var timing = {
+            duration: dur,
+            easing: (spring ? 'linear' : easing || 'linear'),
+            fill: 'both'
+        };
+        this._wa = [];
+        this._waTo = toStep;
+        this._waX = fromStep;
+        for (var i = 0; i < this._eL; i++) {
+            // ******** DOM WRITE ****************
+            var player = this._e[i].animate(keyframes, timing);
+            if (paused) {
+                player.pause();
+            }
+            this._wa.push(player);
+        }
+    };
+    /**
+     * @private
+     * NO DOM
+     * NO RECURSION
+     */
+    Animation.prototype._waKeyframes = function (fromStep, toStep, spring, dur, velocity) {
+        var effects = this._fx;
+        var isReverse = this._rv;
+        var range = toStep - fromStep;
+        var offsets = [0, 1];
+        var progress;
+        if (spring) {
+            // sample where the spring is at each frame, which
+            // can overshoot past the end before it settles
+            var frames = Math.max(1, Math.ceil(dur / SPRING_FRAME_MS));
+            offsets = [];
+            progress = [];
+            for (var i = 0; i <= frames; i++) {
+                offsets.push(i / frames);
+                progress.push(i === frames ? 1 : getSpringPosition(spring, velocity, (i / frames) * dur));
+            }
+        }
+        else if (range) {
+            // the keyframe offsets of every effect, placed within this range
+            for (var i = 0; i < effects.length; i++) {
+                var stops = getEffectStops(effects[i]);
+                for (var j = 0; j < stops.length; j++) {
+                    var step = (isReverse ? 1 - stops[j].offset : stops[j].offset);
+                    var offset = (step - fromStep) / range;
+                    if (offset > 0 && offset < 1 && offsets.indexOf(offset) < 0) {
+                        offsets.push(offset);
+                    }
+                }
+            }
+            offsets.sort(function (a, b) { return a - b; });
+        }
+        return offsets.map(function (offset, index) {
+            // same as _progress(), the step is flipped when reversed
+            var step = fromStep + (range * (progress ? progress[index] : offset));
+            var effectOffset = (isReverse ? 1 - step : step);
+            var keyframe = { offset: offset };
+            var transform = '';
+            for (var i = 0; i < effects.length; i++) {
+                var fx = effects[i];
+                if (fx.from && fx.to) {
+                    var val = getEffectValue(fx, effectOffset);
+                    if (fx.trans) {
+                        transform += fx.name + '(' + val + ') ';
+                    }
+                    else {
+                        keyframe[fx.name] = val;
+                    }
+                }
+            }
+            if (transform.length) {
+                keyframe['transform'] = transform.trim();
+            }
+            return keyframe;
+        });
+    };
+    /**
+     * @private
+     * DOM WRITE
+     * NO RECURSION
+     */
+    Animation.prototype._waSeek = function (stepValue) {
+        this._waX = stepValue;
+        for (var i = 0; i < this._wa.length; i++) {
+            // ******** DOM WRITE ****************
+            this._wa[i].currentTime = stepValue * WEB_ANIMATION_SEEK_DURATION;
+        }
+    };
+    /**
+     * @private
+     * DOM WRITE
+     * NO RECURSION
+     */
+    Animation.prototype._waCancel = function () {
+        if (this._wa) {
+            for (var i = 0; i < this._wa.length; i++) {
+                // ******** DOM WRITE ****************
+                this._wa[i].cancel();
+            }
+            this._wa = null;
+        }
+    };
+    /**
+     * @private
+     * NO DOM
+     */
+    Animation.prototype._waPlayer = function () {
+        // get the lowest level web animation, same as _transEl()
+        var player;
+        for (var i = 0; i < this._cL; i++) {
+            player = this._c[i]._waPlayer();
+            if (player) {
+                return player;
+            }
+        }
+        return (this._twn && this._hasDur && this._wa && this._wa.length ? this._wa[0] : null);
+    };
     return Animation;
 }());
+/**
+ * @private
+ */
+function supportsWebAnimations() {
+    return (typeof Element !== 'undefined' && typeof Element.prototype.animate === 'function');
+}
+/**
+ * The offsets, from 0 to 1, of each state in the effect.
+ */
+function getEffectStops(fx) {
+    return fx.stops || [
+        { offset: 0, state: fx.from },
+        { offset: 1, state: fx.to }
+    ];
+}
+/**
+ * The effect's value at the offset, tweened between its
+ * states the same way _progress() tweens between them.
+ * Offsets outside of 0 to 1, such as when a spring
+ * overshoots, carry on from the first or last two states.
+ */
+function getEffectValue(fx, offset) {
+    var stops = getEffectStops(fx);
+    var last = stops.length - 1;
+    for (var i = 0; i <= last; i++) {
+        if (offset === stops[i].offset) {
+            return stops[i].state.val;
+        }
+    }
+    var j = 1;
+    while (j < last && offset > stops[j].offset) {
+        j++;
+    }
+    var a = stops[j - 1];
+    var b = stops[j];
+    if (a.state.num !== null && b.state.num !== null && a.state.num !== b.state.num) {
+        var valNum = (((b.state.num - a.state.num) * ((offset - a.offset) / (b.offset - a.offset))) + a.state.num);
+        return valNum + b.state.unit;
+    }
+    return (offset < b.offset ? a.state.val : b.state.val);
+}
+function createEffectState(val) {
+    var fxState = {
+        val: val,
+        num: null,
+        unit: '',
+    };
+    if (typeof val === 'string' && val.indexOf(' ') < 0) {
+        var r = val.match(CSS_VALUE_REGEX);
+        var num = parseFloat(r[1]);
+        if (!isNaN(num)) {
+            fxState.num = num;
+        }
+        fxState.unit = (r[0] !== r[2] ? r[2] : '');
+    }
+    else if (typeof val === 'number') {
+        fxState.num = val;
+    }
+    return fxState;
+}
+/**
+ * How far the spring has moved from 0 towards 1 after `time` milliseconds.
+ * The velocity is in distance per millisecond, where the full distance is 1.
+ */
+function getSpringPosition(spring, velocity, time) {
+    var t = time / 1000;
+    var v0 = velocity * 1000;
+    var w0 = Math.sqrt(spring.stiffness / spring.mass);
+    var zeta = spring.damping / (2 * Math.sqrt(spring.stiffness * spring.mass));
+    var remaining;
+    if (zeta < 1) {
+        // under damped, it bounces past the end before settling
+        var wd = w0 * Math.sqrt(1 - zeta * zeta);
+        remaining = Math.exp(-zeta * w0 * t) * (Math.cos(wd * t) + ((zeta * w0 - v0) / wd) * Math.sin(wd * t));
+    }
+    else if (zeta === 1) {
+        // critically damped
+        remaining = Math.exp(-w0 * t) * (1 + (w0 - v0) * t);
+    }
+    else {
+        // over damped
+        var r = w0 * Math.sqrt(zeta * zeta - 1);
+        var r1 = -zeta * w0 + r;
+        var r2 = -zeta * w0 - r;
+        var a = (-v0 - r2) / (r1 - r2);
+        remaining = a * Math.exp(r1 * t) + (1 - a) * Math.exp(r2 * t);
+    }
+    return 1 - remaining;
+}
+/**
+ * How many milliseconds until the spring has settled.
+ */
+function getSpringDuration(spring, velocity) {
+    var settled = 0;
+    for (var time = 0; time <= SPRING_MAX_DURATION; time += SPRING_FRAME_MS) {
+        if (Math.abs(1 - getSpringPosition(spring, velocity, time)) > SPRING_REST_DELTA) {
+            settled = time + SPRING_FRAME_MS;
+        }
+    }
+    return Math.round(settled);
+}
+/**
+ * Css transitions can't follow a spring, so instead they get a curve
+ * which starts at the same velocity and overshoots as far as the spring.
+ */
+function getSpringEasing(spring, dur, velocity) {
+    var zeta = spring.damping / (2 * Math.sqrt(spring.stiffness * spring.mass));
+    var overshoot = (zeta < 1 ? Math.exp(-zeta * Math.PI / Math.sqrt(1 - zeta * zeta)) : 0);
+    var x1 = 0.25;
+    var y1 = Math.min(2, Math.max(-1, x1 * velocity * dur));
+    var y2 = 1 + Math.min(0.5, overshoot);
+    return 'cubic-bezier(' + [x1, y1, 0.5, y2].map(function (n) { return Math.round(n * 1000) / 1000; }).join(',') + ')';
+}
 var TRANSFORMS = {
     'translateX': 1,
     'translateY': 1,
@@ -31029,6 +32478,10 @@ var TRANSFORMS = {
 };
 var CSS_VALUE_REGEX = /(^-?\d*\.?\d*)(.*)/;
 var ANIMATION_DURATION_MIN = 32;
+var WEB_ANIMATION_SEEK_DURATION = 1000;
+var SPRING_FRAME_MS = 1000 / 60;
+var SPRING_MAX_DURATION = 10000;
+var SPRING_REST_DELTA = 0.001;
 var TRANSITION_END_FALLBACK_PADDING_MS = 400;
 
 var __extends$65 = (undefined && undefined.__extends) || function (d, b) {
@@ -31081,6 +32534,12 @@ var __extends$64 = (undefined && undefined.__extends) || function (d, b) {
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
 };
+var SHARED_ELEMENT_ATTR = 'shared-element';
+var TRANSLATEX$1 = 'translateX';
+var TRANSLATEY = 'translateY';
+var SCALEX = 'scaleX';
+var SCALEY = 'scaleY';
+var BORDER_RADIUS = 'borderRadius';
 /**
  * @private
  */
@@ -31097,6 +32556,102 @@ var PageTransition = (function (_super) {
             this.beforeAddRead(this.readDimensions.bind(this));
             this.beforeAddWrite(this.writeDimensions.bind(this));
         }
+        if (this.enteringView && this.leavingView) {
+            this.initSharedElements();
+        }
+    };
+    /**
+     * Elements on the leaving and entering pages with the same
+     * `shared-element` attribute value morph from one into the other.
+     * A copy of the entering element is placed over the leaving element,
+     * and it's moved and resized to the entering element's position
+     * while both of the real elements are hidden.
+     * NO DOM
+     */
+    PageTransition.prototype.initSharedElements = function () {
+        var enteringPageEle = this.enteringView.pageRef().nativeElement;
+        var leavingPageEle = this.leavingView.pageRef().nativeElement;
+        var enteringEles = enteringPageEle.querySelectorAll('[' + SHARED_ELEMENT_ATTR + ']');
+        var leavingEles = leavingPageEle.querySelectorAll('[' + SHARED_ELEMENT_ATTR + ']');
+        var sharedElements = [];
+        for (var i = 0; i < enteringEles.length; i++) {
+            var enteringEle = enteringEles[i];
+            var leavingEle = findSharedElement(leavingEles, enteringEle.getAttribute(SHARED_ELEMENT_ATTR));
+            if (!leavingEle) {
+                continue;
+            }
+            var cloneEle = enteringEle.cloneNode(true);
+            cloneEle.removeAttribute(SHARED_ELEMENT_ATTR);
+            // the real values aren't known until the pages can be measured,
+            // so they're updated with the "to" values in writeSharedElements()
+            var cloneAnimation = new Animation(cloneEle)
+                .fromTo(TRANSLATEX$1, '0px', '0px')
+                .fromTo(TRANSLATEY, '0px', '0px')
+                .fromTo(SCALEX, 1, 1)
+                .fromTo(SCALEY, 1, 1)
+                .fromTo(BORDER_RADIUS, '0px', '0px');
+            cloneAnimation.onFinish(removeSharedClone.bind(null, cloneEle));
+            var sharedAnimation = new Animation([leavingEle, enteringEle]);
+            sharedAnimation.beforeStyles({ 'visibility': 'hidden' });
+            sharedAnimation.afterClearStyles(['visibility']);
+            this.add(cloneAnimation).add(sharedAnimation);
+            sharedElements.push({
+                leavingEle: leavingEle,
+                enteringEle: enteringEle,
+                cloneEle: cloneEle,
+                cloneAnimation: cloneAnimation
+            });
+        }
+        if (sharedElements.length) {
+            this._sharedElements = sharedElements;
+            this.beforeAddWrite(this.writeSharedElements.bind(this));
+        }
+    };
+    /**
+     * DOM READ
+     * DOM WRITE
+     */
+    PageTransition.prototype.writeSharedElements = function () {
+        var sharedElements = this._sharedElements;
+        var enteringPageEle = this.enteringView.pageRef().nativeElement;
+        var leavingPageEle = this.leavingView.pageRef().nativeElement;
+        // the entering content's dimensions have just been written, so
+        // this is the first chance to read where its elements will end up
+        // ******** DOM READ ****************
+        var rects = sharedElements.map(function (shared) {
+            return {
+                from: getSharedElementRect(shared.leavingEle, leavingPageEle),
+                to: getSharedElementRect(shared.enteringEle, enteringPageEle)
+            };
+        });
+        var containerEle = enteringPageEle.parentElement;
+        for (var i = 0; i < sharedElements.length; i++) {
+            var shared = sharedElements[i];
+            var from = rects[i].from;
+            var to = rects[i].to;
+            var scaleX = (from.width ? to.width / from.width : 1);
+            var scaleY = (from.height ? to.height / from.height : 1);
+            // ******** DOM WRITE ****************
+            var style = shared.cloneEle.style;
+            style.position = 'absolute';
+            style.left = from.left + 'px';
+            style.top = from.top + 'px';
+            style.width = from.width + 'px';
+            style.height = from.height + 'px';
+            style.margin = '0';
+            style.boxSizing = 'border-box';
+            style.transformOrigin = style.webkitTransformOrigin = '0 0';
+            style.pointerEvents = 'none';
+            style.zIndex = '1000';
+            containerEle.appendChild(shared.cloneEle);
+            shared.cloneAnimation
+                .to(TRANSLATEX$1, (to.left - from.left) + 'px')
+                .to(TRANSLATEY, (to.top - from.top) + 'px')
+                .to(SCALEX, scaleX)
+                .to(SCALEY, scaleY)
+                .from(BORDER_RADIUS, from.radius + 'px')
+                .to(BORDER_RADIUS, (to.radius / scaleX) + 'px');
+        }
     };
     /**
      * DOM READ
@@ -31118,10 +32673,56 @@ var PageTransition = (function (_super) {
     };
     PageTransition.prototype.destroy = function () {
         _super.prototype.destroy.call(this);
-        this.enteringPage = null;
+        if (this._sharedElements) {
+            this._sharedElements.forEach(function (shared) { return removeSharedClone(shared.cloneEle); });
+        }
+        this.enteringPage = this._sharedElements = null;
     };
     return PageTransition;
 }(Transition));
+function findSharedElement(eles, sharedId) {
+    for (var i = 0; i < eles.length; i++) {
+        if (eles[i].getAttribute(SHARED_ELEMENT_ATTR) === sharedId) {
+            return eles[i];
+        }
+    }
+    return null;
+}
+/**
+ * DOM READ
+ * Position of the element relative to its page's container. Offsets are
+ * used rather than the bounding rect so the transforms the transition
+ * has already put on the pages don't throw off the measurement.
+ */
+function getSharedElementRect(ele, pageEle) {
+    var left = pageEle.offsetLeft;
+    var top = pageEle.offsetTop;
+    var node = ele;
+    while (node && node !== pageEle) {
+        left += node.offsetLeft;
+        top += node.offsetTop;
+        node = node.offsetParent;
+    }
+    // take off how far each of the scrollable parents have scrolled
+    node = ele.parentElement;
+    while (node && node !== pageEle) {
+        left -= node.scrollLeft;
+        top -= node.scrollTop;
+        node = node.parentElement;
+    }
+    return {
+        left: left,
+        top: top,
+        width: ele.offsetWidth,
+        height: ele.offsetHeight,
+        radius: parseFloat(window.getComputedStyle(ele).borderTopLeftRadius) || 0
+    };
+}
+function removeSharedClone(cloneEle) {
+    if (cloneEle.parentNode) {
+        cloneEle.parentNode.removeChild(cloneEle);
+    }
+}
 
 var __extends$63 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
@@ -31290,7 +32891,7 @@ var __extends$66 = (undefined && undefined.__extends) || function (d, b) {
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
 };
-var TRANSLATEY = 'translateY';
+var TRANSLATEY$1 = 'translateY';
 var OFF_BOTTOM = '40px';
 var CENTER$1 = '0px';
 var SHOW_BACK_BTN_CSS$1 = 'show-back-button';
@@ -31313,7 +32914,7 @@ var MDTransition = (function (_super) {
             else {
                 this.duration(isPresent$4(opts.duration) ? opts.duration : 280).easing('cubic-bezier(0.36,0.66,0.04,1)');
                 this.enteringPage
-                    .fromTo(TRANSLATEY, OFF_BOTTOM, CENTER$1, true)
+                    .fromTo(TRANSLATEY$1, OFF_BOTTOM, CENTER$1, true)
                     .fromTo('opacity', 0.01, 1, true);
             }
             if (enteringView.hasNavbar()) {
@@ -31336,7 +32937,7 @@ var MDTransition = (function (_super) {
             // leaving content
             this.duration(opts.duration || 200).easing('cubic-bezier(0.47,0,0.745,0.715)');
             var leavingPage = new Animation(leavingView.pageRef());
-            this.add(leavingPage.fromTo(TRANSLATEY, CENTER$1, OFF_BOTTOM).fromTo('opacity', 1, 0));
+            this.add(leavingPage.fromTo(TRANSLATEY$1, CENTER$1, OFF_BOTTOM).fromTo('opacity', 1, 0));
         }
     };
     return MDTransition;
@@ -32340,16 +33941,68 @@ function registerTransitions(config) {
     };
 }
 function createTransition(config, transitionName, enteringView, leavingView, opts) {
+    if (!transitionName) {
+        // no transition name was given, default to ios-transition
+        transitionName = 'ios-transition';
+    }
     var TransitionClass = config.getTransition(transitionName);
     if (!TransitionClass) {
-        // didn't find a transition animation, default to ios-transition
-        TransitionClass = config.getTransition('ios-transition');
+        throw new Error("Unknown transition \"" + transitionName + "\". Transitions must be registered with TransitionController.register() before they can be used.");
     }
     return new TransitionClass(enteringView, leavingView, opts);
 }
 
 /**
- * @private
+ * @name TransitionController
+ * @description
+ * The TransitionController creates the animations used when navigating between pages and
+ * presenting overlays. Transitions are looked up by their registered name, which is the
+ * name used by the `animation` nav option, and by the `pageTransition`, `modalEnter`,
+ * `modalLeave`, `popoverEnter`, `popoverLeave`, `toastEnter` and `toastLeave` configs.
+ *
+ * New transitions extend `PageTransition`, or `Transition` for overlays, and are
+ * registered with a name before they're used.
+ *
+ * @usage
+ * ```ts
+ * import { PageTransition, TransitionController } from 'ionic-angular';
+ *
+ * export class FadeThroughTransition extends PageTransition {
+ *   init() {
+ *     super.init();
+ *     ...
+ *   }
+ * }
+ *
+ * @Component({...})
+ * export class MyApp {
+ *   constructor(transitionCtrl: TransitionController) {
+ *     transitionCtrl.register('fade-through', FadeThroughTransition);
+ *   }
+ * }
+ * ```
+ *
+ * ```ts
+ * this.navCtrl.push(DetailPage, null, { animation: 'fade-through' });
+ * ```
+ *
+ * Overlay transitions are registered the same way, with a name for entering and one for
+ * leaving, which are then set as the overlay's configs:
+ *
+ * ```ts
+ * transitionCtrl.register('modal-fade-in', ModalFadeIn);
+ * transitionCtrl.register('modal-fade-out', ModalFadeOut);
+ * ```
+ *
+ * ```ts
+ * IonicModule.forRoot(MyApp, {
+ *   modalEnter: 'modal-fade-in',
+ *   modalLeave: 'modal-fade-out'
+ * })
+ * ```
+ *
+ * Using a name that hasn't been registered is an error, rather than
+ * silently falling back to the default transition.
  */
 var TransitionController = (function () {
     function TransitionController(_config) {
@@ -32357,6 +34010,28 @@ var TransitionController = (function () {
         this._ids = 0;
         this._trns = {};
     }
+    /**
+     * Register a transition class so it can be used by its name.
+     * Registering a name again replaces its transition.
+     * @param {string} name The name of the transition.
+     * @param {any} transitionClass The class extending `Transition` to create for this name.
+     */
+    TransitionController.prototype.register = function (name, transitionClass) {
+        (void 0) /* assert */;
+        (void 0) /* assert */;
+        this._config.setTransition(name, transitionClass);
+    };
+    /**
+     * Whether a transition has been registered with the name.
+     * @param {string} name The name of the transition.
+     * @returns {boolean}
+     */
+    TransitionController.prototype.has = function (name) {
+        return !!this._config.getTransition(name);
+    };
+    /**
+     * @private
+     */
     TransitionController.prototype.getRootTrnsId = function (nav) {
         var parent = nav.parent;
         while (parent) {
@@ -32367,9 +34042,15 @@ var TransitionController = (function () {
         }
         return null;
     };
+    /**
+     * @private
+     */
     TransitionController.prototype.nextId = function () {
         return this._ids++;
     };
+    /**
+     * @private
+     */
     TransitionController.prototype.get = function (trnsId, enteringView, leavingView, opts) {
         var trns = createTransition(this._config, opts.animation, enteringView, leavingView, opts);
         trns.trnsId = trnsId;
@@ -32384,6 +34065,9 @@ var TransitionController = (function () {
         }
         return trns;
     };
+    /**
+     * @private
+     */
     TransitionController.prototype.destroy = function (trnsId) {
         if (this._trns[trnsId]) {
             this._trns[trnsId].destroy();
@@ -33424,12 +35108,288 @@ var Haptic = (function () {
     return Haptic;
 }());
 
+/**
+ * @private
+ * Keeps downloaded images between app launches so `ion-img` can render
+ * them without a connection. Images are stored with the Cache API where
+ * it's available, otherwise with IndexedDB. Images older than `maxAge` in
+ * milliseconds are never used again, and once the stored images add up to
+ * more than `maxSize` in bytes the oldest ones are removed first.
+ */
+var ImgCache = (function () {
+    function ImgCache(name, maxSize, maxAge) {
+        this.name = name;
+        this.maxSize = maxSize;
+        this.maxAge = maxAge;
+        this._index = {};
+    }
+    /**
+     * Resolves the stored image for the `src`, or `null` when
+     * it hasn't been stored or it has expired.
+     */
+    ImgCache.prototype.get = function (src) {
+        var _this = this;
+        var key = getKey(src);
+        return this._open().then(function (store) {
+            var meta = _this._index[key];
+            if (!store || !meta) {
+                return null;
+            }
+            if (_this._isExpired(meta)) {
+                return _this._remove(store, key).then(function () { return null; });
+            }
+            return store.get(key);
+        }).catch(function (err) {
+            console.warn("img cache, unable to read " + src + ": " + err);
+            return null;
+        });
+    };
+    ImgCache.prototype.put = function (src, contentType, data) {
+        var _this = this;
+        var entry = {
+            src: getKey(src),
+            contentType: contentType,
+            data: data,
+            len: data.byteLength,
+            time: Date.now()
+        };
+        if (entry.len > this.maxSize) {
+            // this one image would push everything else out
+            return Promise.resolve();
+        }
+        return this._open().then(function (store) {
+            if (!store) {
+                return;
+            }
+            return store.put(entry).then(function () {
+                _this._index[entry.src] = { src: entry.src, len: entry.len, time: entry.time };
+                return _this._evict(store);
+            });
+        }).catch(function (err) {
+            console.warn("img cache, unable to store " + src + ": " + err);
+        });
+    };
+    ImgCache.prototype.clear = function () {
+        var _this = this;
+        return this._open().then(function (store) {
+            _this._index = {};
+            return store && store.clear();
+        });
+    };
+    ImgCache.prototype._open = function () {
+        var _this = this;
+        if (!this._store) {
+            this._store = openStore(this.name).then(function (store) {
+                if (!store) {
+                    console.warn('img cache, neither the Cache API nor IndexedDB are available');
+                    return null;
+                }
+                return store.keys().then(function (metas) {
+                    metas.forEach(function (meta) {
+                        // removed while the keys were being read
+                        if (meta) {
+                            _this._index[meta.src] = meta;
+                        }
+                    });
+                    return _this._evict(store);
+                }).then(function () { return store; });
+            }).catch(function (err) {
+                console.warn("img cache, unable to open: " + err);
+                return null;
+            });
+        }
+        return this._store;
+    };
+    ImgCache.prototype._evict = function (store) {
+        var _this = this;
+        var metas = Object.keys(this._index).map(function (key) { return _this._index[key]; });
+        var removes = [];
+        var total = 0;
+        // newest first, so whatever is over the limit is the oldest
+        metas.sort(function (a, b) { return b.time - a.time; });
+        metas.forEach(function (meta) {
+            total += meta.len;
+            if (total > _this.maxSize || _this._isExpired(meta)) {
+                total -= meta.len;
+                removes.push(_this._remove(store, meta.src));
+            }
+        });
+        return Promise.all(removes);
+    };
+    ImgCache.prototype._remove = function (store, key) {
+        delete this._index[key];
+        return store.remove(key);
+    };
+    ImgCache.prototype._isExpired = function (meta) {
+        return (Date.now() - meta.time) > this.maxAge;
+    };
+    return ImgCache;
+}());
+function openStore(name) {
+    if (typeof caches !== 'undefined') {
+        return caches.open(name).then(openCacheStore, function () {
+            // the Cache API can exist but refuse to open, such as on file://
+            return openIdbStore(name);
+        });
+    }
+    return openIdbStore(name);
+}
+function openCacheStore(cache) {
+    return {
+        keys: function () {
+            return cache.keys().then(function (requests) {
+                return Promise.all(requests.map(function (request) {
+                    return cache.match(request).then(function (rsp) {
+                        return rsp && {
+                            src: request.url,
+                            len: parseInt(rsp.headers.get('Content-Length'), 10) || 0,
+                            time: parseInt(rsp.headers.get(TIME_HEADER), 10) || 0
+                        };
+                    });
+                }));
+            });
+        },
+        get: function (src) {
+            return cache.match(src).then(function (rsp) {
+                if (!rsp) {
+                    return null;
+                }
+                return rsp.arrayBuffer().then(function (data) {
+                    return {
+                        src: src,
+                        contentType: rsp.headers.get('Content-Type'),
+                        data: data,
+                        len: data.byteLength,
+                        time: parseInt(rsp.headers.get(TIME_HEADER), 10) || 0
+                    };
+                });
+            });
+        },
+        put: function (entry) {
+            var headers = {
+                'Content-Type': entry.contentType,
+                'Content-Length': String(entry.len)
+            };
+            headers[TIME_HEADER] = String(entry.time);
+            return cache.put(entry.src, new Response(entry.data, { headers: headers }));
+        },
+        remove: function (src) {
+            return cache.delete(src);
+        },
+        clear: function () {
+            return cache.keys().then(function (requests) {
+                return Promise.all(requests.map(function (request) { return cache.delete(request); }));
+            });
+        }
+    };
+}
+function openIdbStore(name) {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.resolve(null);
+    }
+    var openReq = indexedDB.open(name, 1);
+    openReq.onupgradeneeded = function () {
+        // the image data is kept apart from its meta data so the
+        // meta data can be read on startup without reading every image
+        openReq.result.createObjectStore(IDB_DATA, { keyPath: 'src' });
+        openReq.result.createObjectStore(IDB_META, { keyPath: 'src' });
+    };
+    return idbRequest(openReq).then(function (db) {
+        return {
+            keys: function () {
+                return new Promise(function (resolve, reject) {
+                    var metas = [];
+                    var cursorReq = db.transaction(IDB_META).objectStore(IDB_META).openCursor();
+                    cursorReq.onsuccess = function () {
+                        var cursor = cursorReq.result;
+                        if (cursor) {
+                            metas.push(cursor.value);
+                            cursor.continue();
+                        }
+                        else {
+                            resolve(metas);
+                        }
+                    };
+                    cursorReq.onerror = function () { return reject(cursorReq.error); };
+                });
+            },
+            get: function (src) {
+                return Promise.all([
+                    idbRequest(db.transaction(IDB_DATA).objectStore(IDB_DATA).get(src)),
+                    idbRequest(db.transaction(IDB_META).objectStore(IDB_META).get(src))
+                ]).then(function (results) {
+                    var data = results[0];
+                    var meta = results[1];
+                    if (!data || !meta) {
+                        return null;
+                    }
+                    return {
+                        src: src,
+                        contentType: data.contentType,
+                        data: data.data,
+                        len: meta.len,
+                        time: meta.time
+                    };
+                });
+            },
+            put: function (entry) {
+                var tx = db.transaction([IDB_DATA, IDB_META], 'readwrite');
+                tx.objectStore(IDB_DATA).put({ src: entry.src, contentType: entry.contentType, data: entry.data });
+                tx.objectStore(IDB_META).put({ src: entry.src, len: entry.len, time: entry.time });
+                return idbTransaction(tx);
+            },
+            remove: function (src) {
+                var tx = db.transaction([IDB_DATA, IDB_META], 'readwrite');
+                tx.objectStore(IDB_DATA).delete(src);
+                tx.objectStore(IDB_META).delete(src);
+                return idbTransaction(tx);
+            },
+            clear: function () {
+                var tx = db.transaction([IDB_DATA, IDB_META], 'readwrite');
+                tx.objectStore(IDB_DATA).clear();
+                tx.objectStore(IDB_META).clear();
+                return idbTransaction(tx);
+            }
+        };
+    });
+}
+function idbRequest(req) {
+    return new Promise(function (resolve, reject) {
+        req.onsuccess = function () { return resolve(req.result); };
+        req.onerror = function () { return reject(req.error); };
+    });
+}
+function idbTransaction(tx) {
+    return new Promise(function (resolve, reject) {
+        tx.oncomplete = function () { return resolve(); };
+        tx.onerror = tx.onabort = function () { return reject(tx.error); };
+    });
+}
+function getKey(src) {
+    // the Cache API keys requests by their absolute url
+    // so every store uses the absolute url as the key
+    try {
+        return new URL(src, document.baseURI).href;
+    }
+    catch (e) {
+        return src;
+    }
+}
+var TIME_HEADER = 'X-Ionic-Img-Time';
+var IDB_DATA = 'data';
+var IDB_META = 'meta';
+
 var ImgLoader = (function () {
-    function ImgLoader() {
+    function ImgLoader(config) {
         this.imgs = [];
+        this._persist = config.getBoolean('imgPersist', false);
+        this._store = new ImgCache(PERSIST_CACHE_NAME, config.getNumber('imgCacheMaxSize', PERSIST_CACHE_LIMIT), config.getNumber('imgCacheMaxAge', PERSIST_CACHE_AGE));
     }
-    ImgLoader.prototype.load = function (src, useCache, callback) {
+    ImgLoader.prototype.load = function (src, useCache, callback, persist) {
         var _this = this;
+        if (!isPresent$4(persist)) {
+            persist = this._persist;
+        }
         // see if we already have image data for this src
         var img = this.imgs.find(function (i) { return i.src === src; });
         if (img && img.datauri && useCache) {
@@ -33438,9 +35398,45 @@ var ImgLoader = (function () {
             callback(200, null, img.datauri);
             return;
         }
+        if (img && img.lookup) {
+            // the persistent cache is already being checked
+            // for this same source, so let's wait on that
+            img.lookup.push(callback);
+            return;
+        }
+        if (!img) {
+            // no image data yet, so let's create it
+            img = { src: src, len: 0 };
+            this.imgs.push(img);
+        }
+        if (persist && !(img.xhr && img.xhr.readyState !== 4)) {
+            // before going to the network, see if the image
+            // was stored the last time the app downloaded it
+            var lookup_1 = img.lookup = [callback];
+            this._store.get(src).then(function (entry) {
+                if (img.lookup !== lookup_1) {
+                    // aborted while the cache was being checked
+                    return;
+                }
+                img.lookup = null;
+                lookup_1.forEach(function (cb) {
+                    if (entry) {
+                        onXhrLoad(cb, 200, entry.contentType, entry.data, useCache, img, _this.imgs);
+                    }
+                    else {
+                        _this._request(img, useCache, persist, cb);
+                    }
+                });
+            });
+            return;
+        }
+        this._request(img, useCache, persist, callback);
+    };
+    ImgLoader.prototype._request = function (img, useCache, persist, callback) {
+        var _this = this;
         // so no cached image data, so we'll
         // need to do a new http request
-        if (img && img.xhr && img.xhr.readyState !== 4) {
+        if (img.xhr && img.xhr.readyState !== 4) {
             // looks like there's already an active http request going on
             // for this same source, so let's just add another listener
             img.xhr.addEventListener('load', function (xhrEvent) {
@@ -33453,19 +35449,18 @@ var ImgLoader = (function () {
             });
             return;
         }
-        if (!img) {
-            // no image data yet, so let's create it
-            img = { src: src, len: 0 };
-            this.imgs.push(img);
-        }
         // ok, let's do a full request for the image
         img.xhr = new XMLHttpRequest();
-        img.xhr.open('GET', src, true);
+        img.xhr.open('GET', img.src, true);
         img.xhr.responseType = 'arraybuffer';
         // add the listeners if it loaded or errored
         img.xhr.addEventListener('load', function (xhrEvent) {
             var target = xhrEvent.target;
             var contentType = target.getResponseHeader('Content-Type');
+            if (persist && target.status === 200) {
+                // keep it around for when the app is offline
+                _this._store.put(img.src, contentType, target.response);
+            }
             onXhrLoad(callback, target.status, contentType, target.response, useCache, img, _this.imgs);
         });
         img.xhr.addEventListener('error', function (xhrErrorEvent) {
@@ -33476,6 +35471,11 @@ var ImgLoader = (function () {
     };
     ImgLoader.prototype.abort = function (src) {
         var img = this.imgs.find(function (i) { return i.src === src; });
+        if (img && img.lookup) {
+            // still checking the persistent cache, so
+            // don't respond or request once it's done
+            img.lookup = null;
+        }
         if (img && img.xhr && img.xhr.readyState !== 4) {
             // we found the image data and there's an active
             // http request, so let's abort the request
@@ -33483,6 +35483,24 @@ var ImgLoader = (function () {
             img.xhr = null;
         }
     };
+    /**
+     * Removes every image from the in-memory cache, and
+     * from the persistent cache kept between app launches.
+     */
+    ImgLoader.prototype.clearCache = function () {
+        this.imgs.forEach(function (img) {
+            img.datauri = null;
+            img.len = 0;
+        });
+        return this._store.clear();
+    };
+    ImgLoader.decorators = [
+        { type: Injectable },
+    ];
+    /** @nocollapse */
+    ImgLoader.ctorParameters = [
+        { type: Config, },
+    ];
     return ImgLoader;
 }());
 function onXhrLoad(callback, status, contentType, responseData, useCache, img, imgs) {
@@ -33562,6 +35580,9 @@ function getDataUri(contentType, arrayBuffer) {
 // used by the setData function
 var ENCODINGS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
 var CACHE_LIMIT = 1381855 * 20;
+var PERSIST_CACHE_NAME = 'ionic-img';
+var PERSIST_CACHE_LIMIT = 1024 * 1024 * 50;
+var PERSIST_CACHE_AGE = 1000 * 60 * 60 * 24 * 7;
 
 var __extends$75 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
@@ -34127,6 +36148,89 @@ var ModalController = (function () {
     return ModalController;
 }());
 
+/**
+ * @private
+ * Token which lazy loaded modules use to provide the page
+ * component the DeepLinker should navigate to.
+ */
+var LAZY_LOADED_TOKEN = new OpaqueToken('LZYCMP');
+/**
+ * @private
+ */
+var ModuleLoader = (function () {
+    function ModuleLoader(_ngModuleLoader, _injector) {
+        this._ngModuleLoader = _ngModuleLoader;
+        this._injector = _injector;
+        this._ngModuleRefs = new Map();
+        this._promises = {};
+    }
+    /**
+     * Load the NgModule found at the `loadChildren` path, such as
+     * `./pages/detail/detail.module#DetailPageModule`, and resolve
+     * with the page component the module provides.
+     */
+    ModuleLoader.prototype.load = function (modulePath) {
+        var _this = this;
+        if (!this._promises[modulePath]) {
+            // only load each module once, every request after the
+            // first one shares the same promise. a loader which throws
+            // right away rejects the promise rather than the caller
+            this._promises[modulePath] = new Promise(function (resolve) {
+                resolve(_this._ngModuleLoader.load(modulePath));
+            }).then(function (ngModuleFactory) {
+                var ngModuleRef = ngModuleFactory.create(_this._injector);
+                var component = ngModuleRef.injector.get(LAZY_LOADED_TOKEN);
+                // remember the module, the app's root resolver and injector
+                // don't know about the lazy loaded component or its providers
+                _this._ngModuleRefs.set(component, ngModuleRef);
+                return component;
+            }).catch(function (err) {
+                // allow a failed module to be attempted again later
+                delete _this._promises[modulePath];
+                throw err;
+            });
+        }
+        return this._promises[modulePath];
+    };
+    /**
+     * Returns the NgModuleRef of the module which loaded
+     * the given component, or `null` if it wasn't lazy loaded.
+     */
+    ModuleLoader.prototype.getNgModuleRef = function (component) {
+        return this._ngModuleRefs.get(component) || null;
+    };
+    ModuleLoader.decorators = [
+        { type: Injectable },
+    ];
+    /** @nocollapse */
+    ModuleLoader.ctorParameters = [
+        { type: NgModuleFactoryLoader, },
+        { type: Injector, },
+    ];
+    return ModuleLoader;
+}());
+/**
+ * @private
+ */
+function setupPreloading(config, deepLinker, zone) {
+    return function () {
+        if (config.getBoolean('preloadModules')) {
+            // wait for the app to finish its first render, then
+            // load the modules with a `high` priority before the `low` ones
+            zone.runOutsideAngular(function () {
+                setTimeout(function () {
+                    deepLinker.preloadModules('high').then(function () {
+                        return deepLinker.preloadModules('low');
+                    }).catch(function (err) {
+                        console.error('preloading modules failed: ' + err);
+                    });
+                }, PRELOAD_DELAY);
+            });
+        }
+    };
+}
+var PRELOAD_DELAY = 1000;
+
 /**
  * @private
  */
@@ -35716,36 +37820,90 @@ function setupTapClick(config, app, zone, gestureCtrl) {
     };
 }
 
+var __extends$81 = (undefined && undefined.__extends) || function (d, b) {
+    for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
+    function __() { this.constructor = d; }
+    d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+};
+/**
+ * @private
+ */
+var ToastGesture = (function (_super) {
+    __extends$81(ToastGesture, _super);
+    function ToastGesture(toast, element, gestureCtrl, domCtrl) {
+        _super.call(this, element, {
+            direction: 'x',
+            domController: domCtrl,
+            gesture: gestureCtrl.createGesture({
+                name: GESTURE_TOAST_SWIPE,
+                priority: 30 /* ToastSwipe */,
+            })
+        });
+        this.toast = toast;
+    }
+    ToastGesture.prototype.canStart = function (ev) {
+        return this.toast.enabled;
+    };
+    ToastGesture.prototype.onDragStart = function (ev) {
+        ev.preventDefault();
+        this.toast._onDragStart(pointerCoord(ev).x);
+    };
+    ToastGesture.prototype.onDragMove = function (ev) {
+        ev.preventDefault();
+        this.toast._onDragMove(pointerCoord(ev).x);
+    };
+    ToastGesture.prototype.onDragEnd = function (ev) {
+        ev.preventDefault();
+        this.toast._onDragEnd(pointerCoord(ev).x);
+    };
+    return ToastGesture;
+}(PanGesture));
+
 /**
  * @private
  */
 var ToastCmp = (function () {
-    function ToastCmp(_viewCtrl, _config, _elementRef, params, renderer) {
+    function ToastCmp(_viewCtrl, _config, _elementRef, params, _renderer, _gestureCtrl, _domCtrl) {
         this._viewCtrl = _viewCtrl;
         this._config = _config;
         this._elementRef = _elementRef;
+        this._renderer = _renderer;
+        this._gestureCtrl = _gestureCtrl;
+        this._domCtrl = _domCtrl;
         this.dismissTimeout = undefined;
-        renderer.setElementClass(_elementRef.nativeElement, "toast-" + _config.get('mode'), true);
+        this._remaining = 0;
+        this._hovered = false;
+        this._dragging = false;
+        this._lastTouch = 0;
+        _renderer.setElementClass(_elementRef.nativeElement, "toast-" + _config.get('mode'), true);
         this.d = params.data;
         if (this.d.cssClass) {
             this.d.cssClass.split(' ').forEach(function (cssClass) {
                 // Make sure the class isn't whitespace, otherwise it throws exceptions
                 if (cssClass.trim() !== '')
-                    renderer.setElementClass(_elementRef.nativeElement, cssClass, true);
+                    _renderer.setElementClass(_elementRef.nativeElement, cssClass, true);
             });
         }
+        this.d.buttons = (this.d.buttons || []).map(function (button) {
+            if (typeof button === 'string') {
+                return { text: button };
+            }
+            return button;
+        });
         this.id = (++toastIds);
         if (this.d.message) {
             this.hdrId = 'toast-hdr-' + this.id;
         }
     }
     ToastCmp.prototype.ngAfterViewInit = function () {
-        var _this = this;
         // if there's a `duration` set, automatically dismiss.
         if (this.d.duration) {
-            this.dismissTimeout = setTimeout(function () {
-                _this.dismiss('backdrop');
-            }, this.d.duration);
+            this._remaining = this.d.duration;
+            this._startTimer();
+        }
+        if (this.d.swipeToDismiss) {
+            this._gesture = new ToastGesture(this, this._getElement('.toast-container'), this._gestureCtrl, this._domCtrl);
+            this._gesture.listen();
         }
         this.enabled = true;
     };
@@ -35764,11 +37922,117 @@ var ToastCmp = (function () {
             this.dismiss('close');
         }
     };
+    ToastCmp.prototype.btnClick = function (button) {
+        if (!this.enabled) {
+            return;
+        }
+        var shouldDismiss = true;
+        if (button.handler) {
+            // a handler has been provided, execute it
+            if (button.handler() === false) {
+                // if the return value of the handler is false then do not dismiss
+                shouldDismiss = false;
+            }
+        }
+        if (shouldDismiss) {
+            this.dismiss(button.role);
+        }
+    };
     ToastCmp.prototype.dismiss = function (role) {
         clearTimeout(this.dismissTimeout);
         this.dismissTimeout = undefined;
+        this.enabled = false;
         return this._viewCtrl.dismiss(null, role, { disableApp: false });
     };
+    /**
+     * Pauses the `duration` timer while the toast is hovered or touched.
+     */
+    ToastCmp.prototype.pointerEnter = function (ev) {
+        if (this._isEmulatedMouse(ev) || this.d.pauseOnHover === false) {
+            return;
+        }
+        this._hovered = true;
+        this._pause();
+    };
+    ToastCmp.prototype.pointerLeave = function (ev) {
+        if (this._isEmulatedMouse(ev) || !this._hovered) {
+            return;
+        }
+        this._hovered = false;
+        this._resume();
+    };
+    ToastCmp.prototype._isEmulatedMouse = function (ev) {
+        if (ev.type.indexOf('touch') === 0) {
+            this._lastTouch = Date.now();
+            return false;
+        }
+        // browsers fire mouse events after touch events, and
+        // the mouseleave wouldn't come until somewhere else is tapped
+        return (this._lastTouch + MOUSE_WAIT > Date.now());
+    };
+    ToastCmp.prototype._startTimer = function () {
+        var _this = this;
+        this._timerStart = Date.now();
+        this.dismissTimeout = setTimeout(function () {
+            _this.dismiss('backdrop');
+        }, this._remaining);
+    };
+    ToastCmp.prototype._pause = function () {
+        if (this.dismissTimeout === undefined) {
+            return;
+        }
+        clearTimeout(this.dismissTimeout);
+        this.dismissTimeout = undefined;
+        this._remaining -= Date.now() - this._timerStart;
+    };
+    ToastCmp.prototype._resume = function () {
+        if (!this.enabled || !this.d.duration || this.dismissTimeout !== undefined || this._hovered || this._dragging) {
+            return;
+        }
+        this._startTimer();
+    };
+    ToastCmp.prototype._onDragStart = function (x) {
+        this._dragging = true;
+        this._startX = x;
+        this._pause();
+    };
+    ToastCmp.prototype._onDragMove = function (x) {
+        var ele = this._getElement('.toast-container');
+        var deltaX = x - this._startX;
+        var opacity = Math.max(0, 1 - Math.abs(deltaX) / ele.offsetWidth);
+        this._renderer.setElementStyle(ele, CSS.transform, "translateX(" + deltaX + "px)");
+        this._renderer.setElementStyle(ele, 'opacity', opacity + '');
+    };
+    ToastCmp.prototype._onDragEnd = function (x) {
+        this._dragging = false;
+        var ele = this._getElement('.toast-container');
+        if (Math.abs(x - this._startX) > ele.offsetWidth * SWIPE_DISMISS_RATIO) {
+            // leave it where it was swiped to while the toast is dismissed
+            this.dismiss('swipe');
+            return;
+        }
+        this._renderer.setElementStyle(ele, CSS.transform, '');
+        this._renderer.setElementStyle(ele, 'opacity', '');
+        this._resume();
+    };
+    /**
+     * Moves the toast away from the edge of the screen, so
+     * stacked toasts at the same position don't overlap.
+     */
+    ToastCmp.prototype._setStackOffset = function (offset) {
+        var margin = (this.d.position === 'bottom' ? 'margin-bottom' : 'margin-top');
+        this._renderer.setElementStyle(this._getElement('.toast-wrapper'), margin, offset + 'px');
+    };
+    ToastCmp.prototype._getStackHeight = function () {
+        return this._getElement('.toast-wrapper').offsetHeight;
+    };
+    ToastCmp.prototype._getElement = function (selector) {
+        return this._elementRef.nativeElement.querySelector(selector);
+    };
+    ToastCmp.prototype.ngOnDestroy = function () {
+        clearTimeout(this.dismissTimeout);
+        this._gesture && this._gesture.destroy();
+    };
     ToastCmp.decorators = [
         { type: Component, args: [{
                     selector: 'ion-toast',
@@ -35776,11 +38040,14 @@ var ToastCmp = (function () {
                         '[class.toast-bottom]="d.position === \'bottom\'" ' +
                         '[class.toast-middle]="d.position === \'middle\'" ' +
                         '[class.toast-top]="d.position === \'top\'"> ' +
-                        '<div class="toast-container"> ' +
+                        '<div class="toast-container" (mouseenter)="pointerEnter($event)" (mouseleave)="pointerLeave($event)" (touchstart)="pointerEnter($event)" (touchend)="pointerLeave($event)" (touchcancel)="pointerLeave($event)"> ' +
                         '<div class="toast-message" id="{{hdrId}}" *ngIf="d.message">{{d.message}}</div> ' +
                         '<button ion-button clear class="toast-button" *ngIf="d.showCloseButton" (click)="cbClick()"> ' +
                         '{{ d.closeButtonText || \'Close\' }} ' +
                         '</button> ' +
+                        '<button ion-button clear class="toast-button" *ngFor="let b of d.buttons" [ngClass]="b.cssClass" (click)="btnClick(b)"> ' +
+                        '{{b.text}} ' +
+                        '</button> ' +
                         '</div> ' +
                         '</div>',
                     host: {
@@ -35797,10 +38064,14 @@ var ToastCmp = (function () {
         { type: ElementRef, },
         { type: NavParams, },
         { type: Renderer, },
+        { type: GestureController, },
+        { type: DomController, },
     ];
     return ToastCmp;
 }());
 var toastIds = -1;
+var MOUSE_WAIT = 2500;
+var SWIPE_DISMISS_RATIO = 0.35;
 
 var __extends$80 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
@@ -35812,11 +38083,12 @@ var __extends$80 = (undefined && undefined.__extends) || function (d, b) {
  */
 var Toast = (function (_super) {
     __extends$80(Toast, _super);
-    function Toast(app, opts) {
+    function Toast(app, opts, _ctrl) {
         if (opts === void 0) { opts = {}; }
         opts.dismissOnPageChange = isPresent$4(opts.dismissOnPageChange) ? !!opts.dismissOnPageChange : false;
         _super.call(this, ToastCmp, opts, null);
         this._app = app;
+        this._ctrl = _ctrl;
         // set the position to the bottom if not provided
         if (!opts.position || !this.isValidPosition(opts.position)) {
             opts.position = TOAST_POSITION_BOTTOM;
@@ -35851,12 +38123,41 @@ var Toast = (function (_super) {
     Toast.prototype.present = function (navOptions) {
         if (navOptions === void 0) { navOptions = {}; }
         navOptions.disableApp = false;
+        if (this._ctrl) {
+            // the controller presents it once there's room at its position
+            return this._ctrl._enqueue(this, navOptions);
+        }
+        return this._present(navOptions);
+    };
+    /**
+     * @private
+     */
+    Toast.prototype._present = function (navOptions) {
         return this._app.present(this, navOptions, 3 /* TOAST */);
     };
     /**
-     * Dismiss all toast components which have been presented.
+     * Dismiss the toast. If it is still waiting in the queue to be
+     * presented, it is removed from the queue instead.
+     *
+     * @param {any} [data] Data that you want to return when the toast is dismissed.
+     * @param {any} [role ]
+     * @param {NavOptions} NavOptions Options for the dismiss navigation.
+     * @returns {any} data Returns the data passed in, if any.
+     */
+    Toast.prototype.dismiss = function (data, role, navOptions) {
+        if (this._ctrl && this._ctrl._dequeue(this)) {
+            this._onDidDismiss && this._onDidDismiss(data, role);
+            this._onDidDismiss = null;
+            return Promise.resolve(data);
+        }
+        return _super.prototype.dismiss.call(this, data, role, navOptions);
+    };
+    /**
+     * Dismiss all toast components which have been presented,
+     * and remove any which are waiting in the queue.
      */
     Toast.prototype.dismissAll = function () {
+        this._ctrl && this._ctrl._clear();
         this._nav && this._nav.popAll();
     };
     return Toast;
@@ -35891,6 +38192,26 @@ var Toast = (function (_super) {
  * method on the Toast instance. The `onDidDismiss` function can be called to perform an action after the toast
  * is dismissed.
  *
+ * ### Queueing and Stacking
+ * Toasts created by the `ToastController` are queued, so only one toast at a time
+ * is shown at each position. Once it has been dismissed, the next toast in the queue
+ * for that position is presented. To show several toasts at once, set the `toastStack`
+ * config to `true`. Stacked toasts at the same position are moved out of each other's way,
+ * with the newest toast nearest the edge of the screen. The `toastMaxStack` config sets
+ * how many toasts are shown at each position before the rest wait in the queue.
+ *
+ * ### Buttons
+ * Along with the close button, toasts can have action buttons. Each button in the
+ * `buttons` option has a `text`, and optionally a `role`, a `cssClass` and a `handler`.
+ * Clicking a button calls its handler and dismisses the toast with the button's role,
+ * unless the handler returns `false`.
+ *
+ * ### Pausing and Swiping
+ * While a toast is hovered or touched, its `duration` timer is paused, so it isn't
+ * dismissed while the user is reading it or reaching for a button. Set `pauseOnHover`
+ * to `false` to keep the timer running. Setting `swipeToDismiss` to `true` lets the user
+ * swipe the toast to either side to dismiss it.
+ *
  * @usage
  * ```ts
  * constructor(private toastCtrl: ToastController) {
@@ -35911,6 +38232,23 @@ var Toast = (function (_super) {
  *   toast.present();
  * }
  * ```
+ *
+ * ```ts
+ * presentUndoToast() {
+ *   let toast = this.toastCtrl.create({
+ *     message: 'Message archived',
+ *     duration: 5000,
+ *     swipeToDismiss: true,
+ *     buttons: [{
+ *       text: 'Undo',
+ *       handler: () => {
+ *         this.unarchive();
+ *       }
+ *     }]
+ *   });
+ *   toast.present();
+ * }
+ * ```
  * @advanced
  * | Property              | Type      | Default         | Description                                                                                                   |
  * |-----------------------|-----------|-----------------|---------------------------------------------------------------------------------------------------------------|
@@ -35921,12 +38259,18 @@ var Toast = (function (_super) {
  * | showCloseButton       | `boolean` | false           | Whether or not to show a button to close the toast.                                                           |
  * | closeButtonText       | `string`  | "Close"         | Text to display in the close button.                                                                          |
  * | dismissOnPageChange   | `boolean` | false           | Whether to dismiss the toast when navigating to a new page.                                                   |
+ * | buttons               | `array`   | -               | Action buttons for the toast. Each button has a `text`, `role`, `cssClass` and `handler`.                     |
+ * | pauseOnHover          | `boolean` | true            | Whether to pause the `duration` timer while the toast is hovered or touched.                                  |
+ * | swipeToDismiss        | `boolean` | false           | Whether the toast can be swiped to either side to dismiss it.                                                 |
  *
  * @demo /docs/v2/demos/src/toast/
  */
 var ToastController = (function () {
-    function ToastController(_app) {
+    function ToastController(_app, _config) {
         this._app = _app;
+        this._config = _config;
+        this._queue = [];
+        this._visible = [];
     }
     /**
      * Create a new toast component. See options below
@@ -35934,7 +38278,115 @@ var ToastController = (function () {
      */
     ToastController.prototype.create = function (opts) {
         if (opts === void 0) { opts = {}; }
-        return new Toast(this._app, opts);
+        return new Toast(this._app, opts, this);
+    };
+    /**
+     * @private
+     */
+    ToastController.prototype._enqueue = function (toast, navOptions) {
+        var _this = this;
+        return new Promise(function (resolve, reject) {
+            _this._queue.push({ toast: toast, navOptions: navOptions, resolve: resolve, reject: reject });
+            _this._next();
+        });
+    };
+    /**
+     * @private
+     * Returns `true` if the toast was waiting in the queue.
+     */
+    ToastController.prototype._dequeue = function (toast) {
+        for (var i = 0; i < this._queue.length; i++) {
+            if (this._queue[i].toast === toast) {
+                this._queue.splice(i, 1)[0].resolve(false);
+                return true;
+            }
+        }
+        return false;
+    };
+    /**
+     * @private
+     */
+    ToastController.prototype._clear = function () {
+        this._queue.slice().forEach(function (entry) {
+            entry.toast.dismiss();
+        });
+    };
+    /**
+     * @private
+     * Presents the queued toasts while there's room for them. Each position
+     * has its own stack, so a toast at the top doesn't wait for one at the bottom.
+     */
+    ToastController.prototype._next = function () {
+        var max = this._getMax();
+        for (var i = 0; i < this._queue.length; i++) {
+            var position = this._queue[i].toast.data.position;
+            if (this._getVisible(position).length < max) {
+                this._show(this._queue.splice(i--, 1)[0]);
+            }
+        }
+    };
+    /**
+     * @private
+     */
+    ToastController.prototype._show = function (entry) {
+        var _this = this;
+        var toast = entry.toast;
+        this._visible.push(toast);
+        toast.willUnload.subscribe(function () {
+            _this._hide(toast);
+        });
+        toast._present(entry.navOptions).then(function (val) {
+            _this._restack(toast.data.position);
+            entry.resolve(val);
+        }, function (err) {
+            _this._hide(toast);
+            entry.reject(err);
+        });
+    };
+    /**
+     * @private
+     */
+    ToastController.prototype._hide = function (toast) {
+        var index = this._visible.indexOf(toast);
+        if (index > -1) {
+            this._visible.splice(index, 1);
+            this._restack(toast.data.position);
+            this._next();
+        }
+    };
+    /**
+     * @private
+     * The newest toast is nearest the edge of the screen,
+     * and the older toasts are moved out of its way.
+     */
+    ToastController.prototype._restack = function (position) {
+        if (!this._config.getBoolean('toastStack')) {
+            return;
+        }
+        var visible = this._getVisible(position);
+        var offset = 0;
+        for (var i = visible.length - 1; i >= 0; i--) {
+            var cmp = visible[i].instance;
+            if (cmp) {
+                cmp._setStackOffset(offset);
+                offset += cmp._getStackHeight();
+            }
+        }
+    };
+    /**
+     * @private
+     */
+    ToastController.prototype._getVisible = function (position) {
+        return this._visible.filter(function (toast) { return toast.data.position === position; });
+    };
+    /**
+     * @private
+     */
+    ToastController.prototype._getMax = function () {
+        if (!this._config.getBoolean('toastStack')) {
+            return 1;
+        }
+        return Math.max(1, this._config.getNumber('toastMaxStack', 3));
     };
     ToastController.decorators = [
         { type: Injectable },
@@ -35942,6 +38394,7 @@ var ToastController = (function () {
     /** @nocollapse */
     ToastController.ctorParameters = [
         { type: App, },
+        { type: Config, },
     ];
     return ToastController;
 }());
@@ -36064,20 +38517,37 @@ var UrlSerializer = (function () {
         if (browserUrl.charAt(0) === '/') {
             browserUrl = browserUrl.substr(1);
         }
-        // trim off data after ? and #
-        browserUrl = browserUrl.split('?')[0].split('#')[0];
-        return parseUrlParts(browserUrl.split('/'), this.links);
+        // trim off data after #
+        browserUrl = browserUrl.split('#')[0];
+        // the query string is kept for the links which declare query params
+        var queryParams = parseQueryString(browserUrl.split('?')[1]);
+        browserUrl = browserUrl.split('?')[0];
+        var segments;
+        for (var i = 0; i <= MAX_REDIRECTS; i++) {
+            segments = parseUrlParts(browserUrl.split('/'), this.links, queryParams);
+            if (!segments.some(function (s) { return isPresent$4(s.redirectTo); })) {
+                break;
+            }
+            // swap out the redirected parts of the url and try again
+            browserUrl = segments.map(function (s) {
+                return isPresent$4(s.redirectTo) ? createRedirectUrl(s.redirectTo, s.data) : s.id;
+            }).filter(function (part) { return part !== ''; }).join('/');
+        }
+        return segments;
     };
-    UrlSerializer.prototype.createSegmentFromName = function (nameOrComponent) {
-        var configLink = this.links.find(function (link) {
+    UrlSerializer.prototype.getLinkFromName = function (nameOrComponent) {
+        return this.links.find(function (link) {
             return (link.component === nameOrComponent) ||
                 (link.name === nameOrComponent) ||
-                (link.component.name === nameOrComponent);
+                (!!link.component && link.component.name === nameOrComponent);
         });
+    };
+    UrlSerializer.prototype.createSegmentFromName = function (nameOrComponent) {
+        var configLink = this.getLinkFromName(nameOrComponent);
         return configLink ? {
             id: configLink.name,
             name: configLink.name,
-            component: configLink.component,
+            component: getLinkComponent(configLink),
             data: null,
             defaultHistory: configLink.defaultHistory
         } : null;
@@ -36087,7 +38557,15 @@ var UrlSerializer = (function () {
      * into a URL string. Turn each segment into a string and concat them to a URL.
      */
     UrlSerializer.prototype.serialize = function (path) {
-        return '/' + path.map(function (segment) { return segment.id; }).join('/');
+        var queryParams = {};
+        path.forEach(function (segment) {
+            if (segment.queryParams) {
+                Object.keys(segment.queryParams).forEach(function (key) {
+                    queryParams[key] = segment.queryParams[key];
+                });
+            }
+        });
+        return '/' + path.map(function (segment) { return segment.id; }).join('/') + serializeQueryString(queryParams);
     };
     /**
      * Serializes a component and its data into a NavSegment.
@@ -36102,32 +38580,47 @@ var UrlSerializer = (function () {
         return null;
     };
     UrlSerializer.prototype.createSegment = function (configLink, data) {
-        var urlParts = configLink.parts;
-        if (isPresent$4(data)) {
-            // create a copy of the original parts in the link config
-            urlParts = urlParts.slice();
-            // loop through all the data and convert it to a string
-            var keys = Object.keys(data);
-            var keysLength = keys.length;
-            if (keysLength) {
-                for (var i = 0; i < urlParts.length; i++) {
-                    if (urlParts[i].charAt(0) === ':') {
-                        for (var j = 0; j < keysLength; j++) {
-                            if (urlParts[i] === ":" + keys[j]) {
-                                // this data goes into the URL part (between slashes)
-                                urlParts[i] = encodeURIComponent(data[keys[j]]);
-                                break;
-                            }
-                        }
-                    }
+        var urlParts = [];
+        var queryParams = null;
+        for (var i = 0; i < configLink.partsLen; i++) {
+            var part = configLink.parts[i];
+            if (part.charAt(0) === ':') {
+                var key = getPartKey(part);
+                if (isPresent$4(data) && isPresent$4(data[key])) {
+                    // this data goes into the URL part (between slashes)
+                    urlParts.push(encodeURIComponent(data[key]));
+                }
+                else if (!isOptionalPart(part)) {
+                    urlParts.push(part);
                 }
             }
+            else if (part === WILDCARD_PART) {
+                if (isPresent$4(data) && isPresent$4(data[WILDCARD_PART])) {
+                    // the parts the wildcard matched go back into the URL
+                    String(data[WILDCARD_PART]).split('/').forEach(function (rest) {
+                        urlParts.push(encodeURIComponent(rest));
+                    });
+                }
+            }
+            else {
+                urlParts.push(part);
+            }
+        }
+        if (isPresent$4(data) && configLink.queryParams) {
+            // this data goes into the query string
+            configLink.queryParams.forEach(function (key) {
+                if (isPresent$4(data[key])) {
+                    queryParams = queryParams || {};
+                    queryParams[key] = data[key];
+                }
+            });
         }
         return {
             id: urlParts.join('/'),
             name: configLink.name,
-            component: configLink.component,
+            component: getLinkComponent(configLink),
             data: data,
+            queryParams: queryParams,
             defaultHistory: configLink.defaultHistory
         };
     };
@@ -36149,15 +38642,33 @@ var UrlSerializer = (function () {
     };
     return UrlSerializer;
 }());
-var parseUrlParts = function (urlParts, configLinks) {
+var parseUrlParts = function (urlParts, configLinks, queryParams) {
     var configLinkLen = configLinks.length;
     var urlPartsLen = urlParts.length;
     var segments = new Array(urlPartsLen);
+    var hasMatch = false;
     for (var i = 0; i < configLinkLen; i++) {
         // compare url parts to config link parts to create nav segments
         var configLink = configLinks[i];
-        if (configLink.partsLen <= urlPartsLen) {
-            fillMatchedUrlParts(segments, urlParts, configLink);
+        if (configLink.minLen <= urlPartsLen && !isFallbackLink(configLink)) {
+            hasMatch = fillMatchedUrlParts(segments, urlParts, configLink, queryParams) || hasMatch;
+        }
+    }
+    if (!hasMatch && urlParts.join('') !== '') {
+        // nothing in the url matched any of the links, so
+        // the entire url goes to the "**" fallback link, if there is one
+        var fallbackLink = configLinks.find(isFallbackLink);
+        if (fallbackLink) {
+            segments.length = 1;
+            segments[0] = {
+                id: urlParts.join('/'),
+                name: fallbackLink.name,
+                component: getLinkComponent(fallbackLink),
+                data: createMatchedData(urlParts, fallbackLink, queryParams),
+                redirectTo: fallbackLink.redirectTo,
+                defaultHistory: fallbackLink.defaultHistory
+            };
+            return segments;
         }
     }
     // remove all the undefined segments
@@ -36180,18 +38691,11 @@ var parseUrlParts = function (urlParts, configLinks) {
     }
     return segments;
 };
-var fillMatchedUrlParts = function (segments, urlParts, configLink) {
+var fillMatchedUrlParts = function (segments, urlParts, configLink, queryParams) {
+    var hasMatch = false;
     for (var i = 0; i < urlParts.length; i++) {
-        var urlI = i;
-        for (var j = 0; j < configLink.partsLen; j++) {
-            if (isPartMatch(urlParts[urlI], configLink.parts[j])) {
-                urlI++;
-            }
-            else {
-                break;
-            }
-        }
-        if ((urlI - i) === configLink.partsLen) {
+        var urlI = matchUrlParts(urlParts, i, configLink, null);
+        if (urlI > i) {
             var matchedUrlParts = urlParts.slice(i, urlI);
             for (var j = i; j < urlI; j++) {
                 urlParts[j] = undefined;
@@ -36199,12 +38703,50 @@ var fillMatchedUrlParts = function (segments, urlParts, configLink) {
             segments[i] = {
                 id: matchedUrlParts.join('/'),
                 name: configLink.name,
-                component: configLink.component,
-                data: createMatchedData(matchedUrlParts, configLink),
+                component: getLinkComponent(configLink),
+                data: createMatchedData(matchedUrlParts, configLink, queryParams),
+                redirectTo: configLink.redirectTo,
                 defaultHistory: configLink.defaultHistory
             };
+            hasMatch = true;
         }
     }
+    return hasMatch;
+};
+/**
+ * Walks the link's parts over the url parts, starting at `startIndex`,
+ * and returns the index after the last matched url part. If the link
+ * doesn't match then `startIndex` is returned. When `data` is passed
+ * in it gets the values of the link's `:param` parts, and the url
+ * parts a `**` part took, joined by slashes, under the `**` key.
+ */
+var matchUrlParts = function (urlParts, startIndex, configLink, data) {
+    var urlI = startIndex;
+    for (var j = 0; j < configLink.partsLen; j++) {
+        var part = configLink.parts[j];
+        if (part === WILDCARD_PART) {
+            // catch-all, which is always the last part, takes
+            // every url part which hasn't already been matched
+            var restI = urlI;
+            while (isPresent$4(urlParts[urlI])) {
+                urlI++;
+            }
+            if (data && urlI > restI) {
+                data[WILDCARD_PART] = urlParts.slice(restI, urlI).map(decodeURIComponent).join('/');
+            }
+            break;
+        }
+        if (isPartMatch(urlParts[urlI], part)) {
+            if (data && part.charAt(0) === ':') {
+                data[getPartKey(part)] = decodeURIComponent(urlParts[urlI]);
+            }
+            urlI++;
+        }
+        else if (!isOptionalPart(part)) {
+            return startIndex;
+        }
+    }
+    return urlI;
 };
 var isPartMatch = function (urlPart, configLinkPart) {
     if (isPresent$4(urlPart) && isPresent$4(configLinkPart)) {
@@ -36215,15 +38757,18 @@ var isPartMatch = function (urlPart, configLinkPart) {
     }
     return false;
 };
-var createMatchedData = function (matchedUrlParts, link) {
-    var data = null;
-    for (var i = 0; i < link.partsLen; i++) {
-        if (link.parts[i].charAt(0) === ':') {
-            data = data || {};
-            data[link.parts[i].substring(1)] = decodeURIComponent(matchedUrlParts[i]);
-        }
+var createMatchedData = function (matchedUrlParts, link, queryParams) {
+    var data = {};
+    matchUrlParts(matchedUrlParts, 0, link, data);
+    if (queryParams && link.queryParams) {
+        // only the query params the link asked for are added to its data
+        link.queryParams.forEach(function (key) {
+            if (isPresent$4(queryParams[key])) {
+                data[key] = queryParams[key];
+            }
+        });
     }
-    return data;
+    return Object.keys(data).length ? data : null;
 };
 var findLinkByComponentData = function (links, component, instanceData) {
     var foundLink = null;
@@ -36255,6 +38800,14 @@ var findLinkByComponentData = function (links, component, instanceData) {
     }
     return foundLink;
 };
+var getLinkComponent = function (link) {
+    // a lazy loaded link doesn't have its component until the module
+    // has been loaded, so until then its name stands in for the component
+    if (link.component) {
+        return link.component;
+    }
+    return isPresent$4(link.loadChildren) ? link.name : null;
+};
 var normalizeLinks = function (links) {
     for (var i = 0, ilen = links.length; i < ilen; i++) {
         var link = links[i];
@@ -36264,19 +38817,40 @@ var normalizeLinks = function (links) {
         link.dataKeys = {};
         link.parts = link.segment.split('/');
         link.partsLen = link.parts.length;
+        // the fewest url parts the link can match
+        link.minLen = link.partsLen;
         // used for sorting
         link.staticLen = link.dataLen = 0;
         var stillCountingStatic = true;
         for (var j = 0; j < link.partsLen; j++) {
-            if (link.parts[j].charAt(0) === ':') {
-                link.dataLen++;
+            var part = link.parts[j];
+            if (part.charAt(0) === ':') {
                 stillCountingStatic = false;
-                link.dataKeys[link.parts[j].substring(1)] = true;
+                link.dataKeys[getPartKey(part)] = true;
+                if (isOptionalPart(part)) {
+                    link.minLen--;
+                }
+                else {
+                    link.dataLen++;
+                }
+            }
+            else if (part === WILDCARD_PART) {
+                (void 0) /* assert */;
+                stillCountingStatic = false;
+                link.dataKeys[WILDCARD_PART] = true;
+                link.minLen--;
             }
             else if (stillCountingStatic) {
                 link.staticLen++;
             }
         }
+        if (link.queryParams) {
+            // query params are used to find the link, but unlike url
+            // parts a link is still a match when they're missing
+            for (var j = 0; j < link.queryParams.length; j++) {
+                link.dataKeys[link.queryParams[j]] = true;
+            }
+        }
     }
     // sort by the number of parts, with the links
     // with the most parts first
@@ -36306,6 +38880,52 @@ function sortConfigLinks(a, b) {
     }
     return 0;
 }
+function isOptionalPart(part) {
+    return part.charAt(0) === ':' && part.charAt(part.length - 1) === '?';
+}
+function getPartKey(part) {
+    // ":id" and ":id?" both use the "id" key
+    return isOptionalPart(part) ? part.substring(1, part.length - 1) : part.substring(1);
+}
+function isFallbackLink(link) {
+    return link.partsLen === 1 && link.parts[0] === WILDCARD_PART;
+}
+function createRedirectUrl(redirectTo, data) {
+    return redirectTo.split('/').map(function (part) {
+        if (part.charAt(0) === ':') {
+            var key = getPartKey(part);
+            return (data && isPresent$4(data[key])) ? encodeURIComponent(data[key]) : '';
+        }
+        if (part === WILDCARD_PART) {
+            // carry over the parts of the url the wildcard matched
+            return (data && isPresent$4(data[WILDCARD_PART])) ? data[WILDCARD_PART].split('/').map(encodeURIComponent).join('/') : '';
+        }
+        return part;
+    }).filter(function (part) { return part !== ''; }).join('/');
+}
+function parseQueryString(queryString) {
+    var queryParams = {};
+    if (queryString) {
+        queryString.split('&').forEach(function (pair) {
+            var keyValue = pair.split('=');
+            if (keyValue[0]) {
+                queryParams[decodeURIComponent(keyValue[0])] = decodeURIComponent((keyValue[1] || '').replace(/\+/g, ' '));
+            }
+        });
+    }
+    return queryParams;
+}
+function serializeQueryString(queryParams) {
+    var keys = Object.keys(queryParams);
+    if (!keys.length) {
+        return '';
+    }
+    return '?' + keys.map(function (key) {
+        return encodeURIComponent(key) + '=' + encodeURIComponent(queryParams[key]);
+    }).join('&');
+}
+var WILDCARD_PART = '**';
+var MAX_REDIRECTS = 10;
 var URL_REPLACE_REG = /\s+|\?|\!|\$|\,|\.|\+|\"|\'|\*|\^|\||\/|\\|\[|\]|#|%|`|>|<|;|:|@|&|=/g;
 /**
  * @private
@@ -36368,7 +38988,7 @@ var Backdrop = (function () {
     return Backdrop;
 }());
 
-var __extends$81 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$82 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -36381,7 +39001,7 @@ var __extends$81 = (undefined && undefined.__extends) || function (d, b) {
   * @see {@link /docs/v2/components/#badges Badges Component Docs}
  */
 var Badge = (function (_super) {
-    __extends$81(Badge, _super);
+    __extends$82(Badge, _super);
     function Badge(config, elementRef, renderer) {
         _super.call(this, config, elementRef, renderer, 'badge');
     }
@@ -36423,7 +39043,7 @@ var Badge = (function (_super) {
     return Badge;
 }(Ion));
 
-var __extends$82 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$83 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -36544,7 +39164,7 @@ var __extends$82 = (undefined && undefined.__extends) || function (d, b) {
   * @see {@link ../../fab/FabContainer FabContainer API Docs}
  */
 var Button = (function (_super) {
-    __extends$82(Button, _super);
+    __extends$83(Button, _super);
     function Button(ionButton, config, elementRef, renderer) {
         _super.call(this, config, elementRef, renderer);
         /** @private */
@@ -36793,7 +39413,7 @@ var Button = (function (_super) {
     return Button;
 }(Ion));
 
-var __extends$83 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$84 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -36802,7 +39422,7 @@ var __extends$83 = (undefined && undefined.__extends) || function (d, b) {
   * @private
   */
 var Card = (function (_super) {
-    __extends$83(Card, _super);
+    __extends$84(Card, _super);
     function Card(config, elementRef, renderer) {
         _super.call(this, config, elementRef, renderer, 'card');
     }
@@ -36847,7 +39467,7 @@ var Card = (function (_super) {
  * @private
  */
 var CardContent = (function (_super) {
-    __extends$83(CardContent, _super);
+    __extends$84(CardContent, _super);
     function CardContent(config, elementRef, renderer) {
         _super.call(this, config, elementRef, renderer, 'card-content');
     }
@@ -36892,7 +39512,7 @@ var CardContent = (function (_super) {
  * @private
  */
 var CardHeader = (function (_super) {
-    __extends$83(CardHeader, _super);
+    __extends$84(CardHeader, _super);
     function CardHeader(config, elementRef, renderer) {
         _super.call(this, config, elementRef, renderer, 'card-header');
     }
@@ -36937,7 +39557,7 @@ var CardHeader = (function (_super) {
  * @private
  */
 var CardTitle = (function (_super) {
-    __extends$83(CardTitle, _super);
+    __extends$84(CardTitle, _super);
     function CardTitle(config, elementRef, renderer) {
         _super.call(this, config, elementRef, renderer, 'card-title');
     }
@@ -36979,7 +39599,7 @@ var CardTitle = (function (_super) {
     return CardTitle;
 }(Ion));
 
-var __extends$86 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$87 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -37016,7 +39636,7 @@ var __extends$86 = (undefined && undefined.__extends) || function (d, b) {
  *
  */
 var Icon = (function (_super) {
-    __extends$86(Icon, _super);
+    __extends$87(Icon, _super);
     function Icon(config, elementRef, renderer) {
         _super.call(this, config, elementRef, renderer, 'icon');
         /** @private */
@@ -37195,7 +39815,7 @@ var Icon = (function (_super) {
     return Icon;
 }(Ion));
 
-var __extends$87 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$88 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -37250,7 +39870,7 @@ var __extends$87 = (undefined && undefined.__extends) || function (d, b) {
  *
  */
 var Label = (function (_super) {
-    __extends$87(Label, _super);
+    __extends$88(Label, _super);
     function Label(config, elementRef, renderer, isFloating, isStacked, isFixed, isInset) {
         _super.call(this, config, elementRef, renderer, 'label');
         this.type = (isFloating === '' ? 'floating' : (isStacked === '' ? 'stacked' : (isFixed === '' ? 'fixed' : (isInset === '' ? 'inset' : null))));
@@ -37336,6 +39956,10 @@ var TabHighlight = (function () {
         rafFrames(3, function () {
             var d = tab.btn.getDimensions();
             var ele = _this._elementRef.nativeElement;
+            if (_this._init) {
+                // settle into place after being dragged with the tabs
+                ele.classList.add('animate');
+            }
             ele.style[CSS.transform] = "translate3d(" + d.left + "px,0,0) scaleX(" + d.width + ")";
             if (!_this._init) {
                 _this._init = true;
@@ -37345,6 +39969,19 @@ var TabHighlight = (function () {
             }
         });
     };
+    /**
+     * Moves the highlight part of the way from one tab to another,
+     * in step with the tabs being swiped.
+     */
+    TabHighlight.prototype.progress = function (fromTab, toTab, stepValue) {
+        var from = fromTab.btn.getDimensions();
+        var to = toTab.btn.getDimensions();
+        var left = from.left + (to.left - from.left) * stepValue;
+        var width = from.width + (to.width - from.width) * stepValue;
+        var ele = this._elementRef.nativeElement;
+        ele.classList.remove('animate');
+        ele.style[CSS.transform] = "translate3d(" + left + "px,0,0) scaleX(" + width + ")";
+    };
     TabHighlight.decorators = [
         { type: Directive, args: [{
                     selector: '.tab-highlight'
@@ -37357,7 +39994,112 @@ var TabHighlight = (function () {
     return TabHighlight;
 }());
 
-var __extends$89 = (undefined && undefined.__extends) || function (d, b) {
+/**
+ * @private
+ * The root page of the more tab, which lists the tabs that didn't fit in
+ * the tabbar. The list can be reordered by the user.
+ */
+var TabsMoreCmp = (function () {
+    function TabsMoreCmp(navCtrl) {
+        this.reorder = false;
+        // the more tab's parent is the tabs it belongs to
+        this.tabs = navCtrl.parent;
+    }
+    TabsMoreCmp.prototype.open = function (tab) {
+        this.tabs.select(tab);
+    };
+    TabsMoreCmp.prototype.reorderTabs = function (indexes) {
+        this.tabs._reorderMore(indexes);
+    };
+    TabsMoreCmp.decorators = [
+        { type: Component, args: [{
+                    selector: 'ion-tabs-more',
+                    template: '<ion-header>' +
+                        '<ion-navbar>' +
+                        '<ion-title>{{tabs.tabsMoreTitle}}</ion-title>' +
+                        '<ion-buttons end>' +
+                        '<button ion-button icon-only (click)="reorder = !reorder" [attr.aria-pressed]="reorder">' +
+                        '<ion-icon name="reorder"></ion-icon>' +
+                        '</button>' +
+                        '</ion-buttons>' +
+                        '</ion-navbar>' +
+                        '</ion-header>' +
+                        '<ion-content>' +
+                        '<ion-list [reorder]="reorder" (ionItemReorder)="reorderTabs($event)">' +
+                        '<button ion-item *ngFor="let t of tabs._moreTabs" (click)="open(t)" [disabled]="!t.enabled" class="tabs-more-item">' +
+                        '<ion-icon *ngIf="t.tabIcon" [name]="t.tabIcon" item-left></ion-icon>' +
+                        '{{t.tabTitle}}' +
+                        '<ion-badge *ngIf="t.tabBadge" [color]="t.tabBadgeStyle" item-right>{{t.tabBadge}}</ion-badge>' +
+                        '</button>' +
+                        '</ion-list>' +
+                        '</ion-content>',
+                    encapsulation: ViewEncapsulation.None,
+                },] },
+    ];
+    /** @nocollapse */
+    TabsMoreCmp.ctorParameters = [
+        { type: NavController, },
+    ];
+    return TabsMoreCmp;
+}());
+
+var __extends$91 = (undefined && undefined.__extends) || function (d, b) {
+    for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
+    function __() { this.constructor = d; }
+    d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+};
+/**
+ * @private
+ * Gesture attached to the tabs which drags the selected
+ * tab's page aside to show the tab next to it
+ */
+var TabsSwipeGesture = (function (_super) {
+    __extends$91(TabsSwipeGesture, _super);
+    function TabsSwipeGesture(tabs, gestureCtrl, domCtrl) {
+        _super.call(this, tabs.getNativeElement(), {
+            direction: 'x',
+            threshold: 10,
+            zone: false,
+            domController: domCtrl,
+            gesture: gestureCtrl.createGesture({
+                name: GESTURE_TABS_SWIPE,
+                priority: -20 /* TabsSwipe */,
+                disableScroll: true
+            })
+        });
+        this.tabs = tabs;
+    }
+    TabsSwipeGesture.prototype.canStart = function (ev) {
+        return this.tabs._canSwipe() && _super.prototype.canStart.call(this, ev);
+    };
+    TabsSwipeGesture.prototype.onSlideBeforeStart = function (ev) {
+        this.tabs._swipeStart();
+    };
+    TabsSwipeGesture.prototype.onSlide = function (slide, ev) {
+        ev.preventDefault();
+        this.tabs._swipeProgress(slide.distance);
+    };
+    TabsSwipeGesture.prototype.onSlideEnd = function (slide, ev) {
+        var width = this.tabs._swipe.width;
+        var velocity = slide.velocity;
+        // dragging to the left shows the next tab, and to the right the previous tab
+        var isResetDirection = slide.distance < 0 ? velocity > 0 : velocity < 0;
+        var isMovingFast = Math.abs(velocity) > 0.4;
+        var isInResetZone = Math.abs(slide.distance) < width * 0.5;
+        var shouldComplete = slide.distance !== 0 && !swipeShouldReset(isResetDirection, isMovingFast, isInResetZone);
+        this.tabs._swipeEnd(shouldComplete, slide.distance, velocity);
+    };
+    TabsSwipeGesture.prototype.getSlideBoundaries = function () {
+        var swipe = this.tabs._swipe;
+        return {
+            min: swipe.nextTab ? -swipe.width : 0,
+            max: swipe.prevTab ? swipe.width : 0
+        };
+    };
+    return TabsSwipeGesture;
+}(SlideGesture));
+
+var __extends$90 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -37394,6 +40136,77 @@ var __extends$89 = (undefined && undefined.__extends) || function (d, b) {
  * and a title for iOS. See the [Input Properties](#input-properties)
  * below for the available values of `tabsLayout`.
  *
+ * ### Back Button and History
+ *
+ * Each tab keeps its own stack of pages, and the url has the selected
+ * tab's whole stack. Going back with the browser's back button first goes
+ * back through the selected tab's pages, then through the previously
+ * selected tabs, with each tab's stack restored from the url.
+ *
+ * The `tabsBack` property decides what the app's back button, such as the
+ * hardware back button on Android, does once the selected tab is at its
+ * root page:
+ *
+ * - `tab`: Leaves the tabs, which is the default.
+ * - `history`: Selects the previously selected tabs, one after another.
+ * - `initial`: Selects the first tab which was selected, then leaves the tabs.
+ *
+ * ```html
+ * <ion-tabs tabsBack="history">
+ *   ...
+ * </ion-tabs>
+ * ```
+ *
+ * ### Swiping Between Tabs
+ *
+ * Setting `tabsSwipe` to `true` lets the user switch to the tab beside the
+ * selected tab by dragging the selected tab's root page to the side, which
+ * is how many Material Design apps work. A tab's root page is loaded the
+ * first time it's dragged into view, disabled and hidden tabs are skipped,
+ * and the highlight bar follows the drag when `tabsHighlight` is enabled.
+ * The tab is only selected, and `ionChange` only fires, once the drag is
+ * let go far or fast enough, otherwise the tabs settle back into place.
+ *
+ * Swiping to go back and swiping open a menu both take priority over
+ * swiping the tabs, and pages above a tab's root page can't be swiped.
+ *
+ * ```html
+ * <ion-tabs tabsSwipe="true" tabsHighlight="true">
+ *   ...
+ * </ion-tabs>
+ * ```
+ *
+ * ### More Tab
+ *
+ * By default every tab button is in the tabbar. When `tabsMax` is set and
+ * there are more tabs than that, the last button becomes a "More" tab which
+ * lists the tabs that didn't fit, and selecting one of them shows its pages
+ * within the More tab. Hidden tabs don't count toward `tabsMax`. The title
+ * and icon of the More tab are set with `tabsMoreTitle` and `tabsMoreIcon`.
+ *
+ * The user can reorder the list of the More tab. To keep their order, pass
+ * an object with a `get()` and a `set(order)` method to `tabsMoreStorage`.
+ * The order is an array of each tab's `tabUrlPath`, or its title formatted
+ * for the url, and `get()` may return a promise of it.
+ *
+ * ```html
+ * <ion-tabs tabsMax="4" [tabsMoreStorage]="moreStorage">
+ *   ...
+ * </ion-tabs>
+ * ```
+ *
+ * ```ts
+ * moreStorage = {
+ *   get: () => JSON.parse(localStorage.getItem('moreTabs')),
+ *   set: (order: string[]) => localStorage.setItem('moreTabs', JSON.stringify(order))
+ * };
+ * ```
+ *
+ * A tab in the More tab is still selected with `select()` using its own
+ * index, and the url of its pages is the same as if it was in the tabbar.
+ * `getSelected()` returns the More tab while it's showing one of them,
+ * while `ionChange` emits the tab itself.
+ *
  * ### Selecting a Tab
  *
  * There are different ways you can select a specific tab from the tabs
@@ -37495,19 +40308,25 @@ var __extends$89 = (undefined && undefined.__extends) || function (d, b) {
  *
  */
 var Tabs = (function (_super) {
-    __extends$89(Tabs, _super);
-    function Tabs(parent, viewCtrl, _app, config, elementRef, _platform, renderer, _linker) {
+    __extends$90(Tabs, _super);
+    function Tabs(parent, viewCtrl, _app, config, elementRef, _platform, renderer, _linker, _gestureCtrl, _domCtrl) {
         _super.call(this, config, elementRef, renderer, 'tabs');
         this.viewCtrl = viewCtrl;
         this._app = _app;
         this._platform = _platform;
         this._linker = _linker;
+        this._gestureCtrl = _gestureCtrl;
+        this._domCtrl = _domCtrl;
         /** @internal */
         this._ids = -1;
         /** @internal */
         this._tabs = [];
         /** @internal */
         this._selectHistory = [];
+        /** @internal */
+        this._moreTabs = [];
+        /** @internal */
+        this._moreRoot = TabsMoreCmp;
         /**
          * @input {any} Expression to evaluate when the tab changes.
          */
@@ -37516,6 +40335,11 @@ var Tabs = (function (_super) {
         this.id = 't' + (++tabIds);
         this._sbPadding = config.getBoolean('statusbarPadding');
         this.tabsHighlight = config.getBoolean('tabsHighlight');
+        this.tabsBack = config.get('tabsBack', 'tab');
+        this.tabsSwipe = config.getBoolean('tabsSwipe');
+        this.tabsMax = config.getNumber('tabsMax', 0);
+        this.tabsMoreTitle = config.get('tabsMoreTitle', 'More');
+        this.tabsMoreIcon = config.get('tabsMoreIcon', 'more');
         if (this.parent) {
             // this Tabs has a parent Nav
             this.parent.registerChildNav(this);
@@ -37557,9 +40381,66 @@ var Tabs = (function (_super) {
         enumerable: true,
         configurable: true
     });
+    Object.defineProperty(Tabs.prototype, "tabsSwipe", {
+        /**
+         * @input {boolean} Whether the tabs can be switched by swiping the selected tab's root page to the side. Default: `false`.
+         */
+        get: function () {
+            return this._tabsSwipe;
+        },
+        set: function (val) {
+            this._tabsSwipe = isTrueProperty(val);
+            if (this._tabsSwipe) {
+                if (!this._swipeGesture) {
+                    this._swipeGesture = new TabsSwipeGesture(this, this._gestureCtrl, this._domCtrl);
+                }
+                this._swipeGesture.listen();
+            }
+            else if (this._swipeGesture) {
+                this._swipeGesture.unlisten();
+                // settle a drag which was still going on back into place
+                this._swipe && !this._swipeAni && this._swipeEnd(false, 0, 0);
+            }
+        },
+        enumerable: true,
+        configurable: true
+    });
     Tabs.prototype.ngOnDestroy = function () {
+        this._swipeGesture && this._swipeGesture.destroy();
+        this._swipeAni && this._swipeAni.destroy();
+        this._swipeGesture = this._swipeAni = this._swipe = null;
         this.parent.unregisterChildNav(this);
     };
+    /**
+     * @internal
+     */
+    Tabs.prototype.ngAfterContentInit = function () {
+        var _this = this;
+        var max = parseInt(this.tabsMax, 10);
+        var shownTabs = this._tabs.filter(function (t) { return t.show; });
+        if (!(max > 0) || shownTabs.length <= max) {
+            return;
+        }
+        // the last button in the tabbar is taken by the more tab
+        this._hasMore = true;
+        this._moreTabs = shownTabs.slice(max - 1);
+        this._moreTabs.forEach(function (t) {
+            t._overflow = true;
+        });
+        var storage = this.tabsMoreStorage;
+        if (storage) {
+            // a storage which throws right away rejects the promise, rather than init
+            new Promise(function (resolve) {
+                resolve(storage.get());
+            }).then(function (order) {
+                if (isArray$2(order)) {
+                    _this._sortMore(order);
+                }
+            }).catch(function (err) {
+                console.error('Tabs: unable to get the order of the more tabs', err);
+            });
+        }
+    };
     /**
      * @internal
      */
@@ -37604,7 +40485,11 @@ var Tabs = (function (_super) {
                 if (selectedTabSegment && selectedTabSegment.component) {
                     selectedTab.root = selectedTabSegment.component;
                     selectedTab.rootParams = selectedTabSegment.data;
-                    pageId = selectedTabSegment.id;
+                    selectedTab._segment = selectedTabSegment;
+                    if (!selectedTabSegment.stack || selectedTabSegment.stack.length < 2) {
+                        // a whole stack from the url already has an id for each page
+                        pageId = selectedTabSegment.id;
+                    }
                 }
             }
             this.select(selectedTab, {
@@ -37630,6 +40515,12 @@ var Tabs = (function (_super) {
      * @private
      */
     Tabs.prototype.add = function (tab) {
+        if (tab.getNativeElement().hasAttribute('tabs-more')) {
+            // the more tab is created by the tabs itself, after the
+            // other tabs, so it doesn't change the index of any tab
+            tab._isMore = true;
+            this._moreTab = tab;
+        }
         this._tabs.push(tab);
         return this.id + '-' + (++this._ids);
     };
@@ -37643,8 +40534,17 @@ var Tabs = (function (_super) {
         if (isBlank$5(selectedTab)) {
             return;
         }
+        var overflowTab;
+        if (selectedTab._overflow && this._moreTab) {
+            // a tab which didn't fit in the tabbar is shown within the more tab
+            overflowTab = selectedTab;
+            selectedTab = this._moreTab;
+        }
         var deselectedTab = this.getSelected();
         if (selectedTab === deselectedTab) {
+            if (overflowTab) {
+                return this._selectOverflow(overflowTab, opts);
+            }
             // no change
             return this._touchActive(selectedTab);
         }
@@ -37654,11 +40554,14 @@ var Tabs = (function (_super) {
             deselectedPage && deselectedPage._willLeave(false);
         }
         opts.animate = false;
-        var selectedPage = selectedTab.getActive();
+        // a page which is still preloading enters once it's loaded
+        var selectedPage = selectedTab._preloading ? null : selectedTab.getActive();
         selectedPage && selectedPage._willEnter();
-        selectedTab.load(opts, function (alreadyLoaded) {
-            selectedTab.ionSelect.emit(selectedTab);
-            _this.ionChange.emit(selectedTab);
+        var loadOpts = overflowTab ? { animate: false, updateUrl: false } : opts;
+        var changedTab = overflowTab || selectedTab;
+        selectedTab.load(loadOpts, function (alreadyLoaded) {
+            changedTab.ionSelect.emit(changedTab);
+            _this.ionChange.emit(changedTab);
             if (selectedTab.root) {
                 // only show the selectedTab if it has a root
                 // it's possible the tab is only for opening modal's or signing out
@@ -37670,19 +40573,97 @@ var Tabs = (function (_super) {
                 if (_this.tabsHighlight) {
                     _this._highlight.select(selectedTab);
                 }
-                if (opts.updateUrl !== false) {
-                    _this._linker.navChange(DIRECTION_SWITCH);
+                if (overflowTab) {
+                    // the url is updated once the tab's pages are in the more tab
+                    _this._showOverflowTab(overflowTab, false, opts);
+                }
+                else if (opts.updateUrl !== false) {
+                    _this._linker.navChange(opts.direction || DIRECTION_SWITCH);
                 }
             }
             selectedPage && selectedPage._didEnter();
             deselectedPage && deselectedPage._didLeave();
-            // track the order of which tabs have been selected, by their index
-            // do not track if the tab index is the same as the previous
-            if (_this._selectHistory[_this._selectHistory.length - 1] !== selectedTab.id) {
-                _this._selectHistory.push(selectedTab.id);
-            }
+            _this._trackHistory(changedTab);
+        });
+    };
+    /**
+     * Shows a tab which didn't fit in the tabbar when the more tab is
+     * already selected, pushing its root page on top of the list.
+     * @internal
+     */
+    Tabs.prototype._selectOverflow = function (tab, opts) {
+        var moreTab = this._moreTab;
+        if (moreTab._overflowTab === tab && moreTab.length() > 1 && !tab._segment) {
+            // no change
+            return;
+        }
+        tab.ionSelect.emit(tab);
+        this.ionChange.emit(tab);
+        this._showOverflowTab(tab, opts.animate !== false, opts);
+        this._trackHistory(tab);
+    };
+    /**
+     * Replaces the pages above the more tab's list with the
+     * pages of a tab which didn't fit in the tabbar.
+     * @internal
+     */
+    Tabs.prototype._showOverflowTab = function (tab, animate$$1, opts) {
+        var moreTab = this._moreTab;
+        var segment = tab._segment;
+        tab._segment = null;
+        // the deep linker already knows which pages the url has for this tab
+        var pages = segment ? this._linker.initViews(segment) : [{ page: tab.root, params: tab.rootParams }];
+        moreTab._overflowTab = tab;
+        if (moreTab.length() > 1) {
+            moreTab.remove(1, moreTab.length() - 1, { animate: false, updateUrl: false });
+        }
+        moreTab.insertPages(1, pages, {
+            animate: animate$$1,
+            updateUrl: opts.updateUrl,
+            id: segment ? null : opts.id
         });
     };
+    /**
+     * Tracks the order of which tabs have been selected, by their id.
+     * Does not track if the tab is the same as the previous.
+     * @internal
+     */
+    Tabs.prototype._trackHistory = function (tab) {
+        if (this._selectHistory[this._selectHistory.length - 1] !== tab.id) {
+            this._selectHistory.push(tab.id);
+        }
+    };
+    /**
+     * Sorts the tabs within the more tab by the order of their url selectors.
+     * @internal
+     */
+    Tabs.prototype._sortMore = function (order) {
+        var _this = this;
+        var indexOf = function (t) {
+            var index = order.indexOf(_this._linker.getTabSelector(t));
+            return index > -1 ? index : order.length;
+        };
+        // sort() isn't stable, so tabs missing from the order keep theirs by their index
+        this._moreTabs.sort(function (a, b) { return (indexOf(a) - indexOf(b)) || (a.index - b.index); });
+    };
+    /**
+     * Reorders the tabs within the more tab, and saves
+     * the new order with the `tabsMoreStorage`.
+     * @internal
+     */
+    Tabs.prototype._reorderMore = function (indexes) {
+        var _this = this;
+        reorderArray(this._moreTabs, indexes);
+        var storage = this.tabsMoreStorage;
+        if (storage) {
+            var order = this._moreTabs.map(function (t) { return _this._linker.getTabSelector(t); });
+            new Promise(function (resolve) {
+                resolve(storage.set(order));
+            }).catch(function (err) {
+                console.error('Tabs: unable to save the order of the more tabs', err);
+            });
+        }
+    };
     /**
      * Get the previously selected Tab which is currently not disabled or hidden.
      * @param {boolean} trimHistory If the selection history should be trimmed up to the previous tab selection or not.
@@ -37705,6 +40686,121 @@ var Tabs = (function (_super) {
         }
         return null;
     };
+    /**
+     * The tab the back button should select when the selected tab is
+     * already at its root page, or `null` if it should leave the tabs.
+     * @internal
+     */
+    Tabs.prototype._getBackTab = function () {
+        var _this = this;
+        if (this.tabsBack === 'history') {
+            return this.previousTab(true);
+        }
+        if (this.tabsBack === 'initial') {
+            var initialTab = this._tabs.find(function (t) { return t.id === _this._selectHistory[0]; });
+            if (initialTab && initialTab !== this.getSelected() && initialTab.enabled && initialTab.show) {
+                this._selectHistory.splice(1);
+                return initialTab;
+            }
+        }
+        return null;
+    };
+    /**
+     * The closest tab before, when the direction is `-1`, or after, when the
+     * direction is `1`, the selected tab which can be swiped to.
+     * @internal
+     */
+    Tabs.prototype._getSwipeTab = function (direction) {
+        var index = this.getIndex(this.getSelected());
+        for (var i = index + direction; index > -1 && i > -1 && i < this._tabs.length; i += direction) {
+            var tab = this._tabs[i];
+            if (tab.enabled && tab.show && tab.root && !tab._overflow) {
+                return tab;
+            }
+        }
+        return null;
+    };
+    /**
+     * @internal
+     */
+    Tabs.prototype._canSwipe = function () {
+        var selectedTab = this.getSelected();
+        // only a tab's root page can be swiped aside, so
+        // dragging a sub page is left to swipe to go back
+        return !!selectedTab && !this._swipe && selectedTab.length() < 2 &&
+            !selectedTab.isTransitioning() && !!(this._getSwipeTab(-1) || this._getSwipeTab(1));
+    };
+    /**
+     * @internal
+     */
+    Tabs.prototype._swipeStart = function () {
+        var swipe = this._swipe = {
+            selectedTab: this.getSelected(),
+            prevTab: this._getSwipeTab(-1),
+            nextTab: this._getSwipeTab(1),
+            width: this.getNativeElement().offsetWidth
+        };
+        showSwipeTab(swipe.prevTab, -swipe.width);
+        showSwipeTab(swipe.nextTab, swipe.width);
+    };
+    /**
+     * @internal
+     */
+    Tabs.prototype._swipeProgress = function (x) {
+        var swipe = this._swipe;
+        if (!swipe) {
+            return;
+        }
+        setTabTransform(swipe.selectedTab, x);
+        swipe.prevTab && setTabTransform(swipe.prevTab, x - swipe.width);
+        swipe.nextTab && setTabTransform(swipe.nextTab, x + swipe.width);
+        var toTab = (x < 0 ? swipe.nextTab : swipe.prevTab);
+        if (this.tabsHighlight && toTab) {
+            this._highlight.progress(swipe.selectedTab, toTab, Math.abs(x) / swipe.width);
+        }
+    };
+    /**
+     * @internal
+     */
+    Tabs.prototype._swipeEnd = function (shouldComplete, x, velocity) {
+        var _this = this;
+        var swipe = this._swipe;
+        if (!swipe) {
+            return;
+        }
+        var toTab = (x < 0 ? swipe.nextTab : swipe.prevTab);
+        shouldComplete = shouldComplete && !!toTab;
+        var endX = shouldComplete ? (x < 0 ? -swipe.width : swipe.width) : 0;
+        // the faster the drag the quicker the tabs settle into place
+        var dur = Math.min(SWIPE_DURATION, Math.abs(endX - x) / Math.max(Math.abs(velocity), 1));
+        var tabs = [swipe.selectedTab, swipe.prevTab, swipe.nextTab].filter(function (t) { return !!t; });
+        var ani = this._swipeAni = new Animation();
+        ani.duration(dur).easing('cubic-bezier(0.0, 0.0, 0.2, 1)');
+        tabs.forEach(function (tab) {
+            var offset = (tab === swipe.prevTab ? -swipe.width : tab === swipe.nextTab ? swipe.width : 0);
+            ani.add(new Animation(tab.getNativeElement()).fromTo('translateX', (x + offset) + 'px', (endX + offset) + 'px'));
+        });
+        ani.onFinish(function () {
+            _this._swipeAni = _this._swipe = null;
+            tabs.forEach(function (tab) {
+                setTabTransform(tab, null);
+            });
+            if (shouldComplete) {
+                // selecting the tab hides the others, and is
+                // the only time the tabs emit ionChange
+                _this.select(toTab);
+            }
+            else {
+                swipe.prevTab && swipe.prevTab.setElementClass('show-tab', false);
+                swipe.nextTab && swipe.nextTab.setElementClass('show-tab', false);
+                if (_this.tabsHighlight) {
+                    _this._highlight.select(swipe.selectedTab);
+                }
+            }
+            ani.destroy();
+        }, true);
+        ani.play();
+    };
     /**
      * @param {number} index Index of the tab you want to get
      * @returns {Tab} Returns the tab who's index matches the one passed
@@ -37781,7 +40877,7 @@ var Tabs = (function (_super) {
         { type: Component, args: [{
                     selector: 'ion-tabs',
                     template: '<div class="tabbar" role="tablist" #tabbar>' +
-                        '<a *ngFor="let t of _tabs" [tab]="t" class="tab-button" [class.tab-disabled]="!t.enabled" [class.tab-hidden]="!t.show" role="tab" href="#" (ionSelect)="select($event)">' +
+                        '<a *ngFor="let t of _tabs" [tab]="t" class="tab-button" [class.tab-disabled]="!t.enabled" [class.tab-hidden]="!t.show || t._overflow" role="tab" href="#" (ionSelect)="select($event)">' +
                         '<ion-icon *ngIf="t.tabIcon" [name]="t.tabIcon" [isActive]="t.isSelected" class="tab-button-icon"></ion-icon>' +
                         '<span *ngIf="t.tabTitle" class="tab-button-text">{{t.tabTitle}}</span>' +
                         '<ion-badge *ngIf="t.tabBadge" class="tab-badge" [color]="t.tabBadgeStyle">{{t.tabBadge}}</ion-badge>' +
@@ -37790,6 +40886,7 @@ var Tabs = (function (_super) {
                         '<div class="tab-highlight"></div>' +
                         '</div>' +
                         '<ng-content></ng-content>' +
+                        '<ion-tab *ngIf="_hasMore" tabs-more [root]="_moreRoot" [tabTitle]="tabsMoreTitle" [tabIcon]="tabsMoreIcon"></ion-tab>' +
                         '<div #portal tab-portal></div>',
                     encapsulation: ViewEncapsulation.None,
                 },] },
@@ -37804,6 +40901,8 @@ var Tabs = (function (_super) {
         { type: Platform, },
         { type: Renderer, },
         { type: DeepLinker, },
+        { type: GestureController, },
+        { type: DomController, },
     ];
     Tabs.propDecorators = {
         'color': [{ type: Input },],
@@ -37812,6 +40911,12 @@ var Tabs = (function (_super) {
         'tabsLayout': [{ type: Input },],
         'tabsPlacement': [{ type: Input },],
         'tabsHighlight': [{ type: Input },],
+        'tabsBack': [{ type: Input },],
+        'tabsSwipe': [{ type: Input },],
+        'tabsMax': [{ type: Input },],
+        'tabsMoreTitle': [{ type: Input },],
+        'tabsMoreIcon': [{ type: Input },],
+        'tabsMoreStorage': [{ type: Input },],
         'ionChange': [{ type: Output },],
         '_highlight': [{ type: ViewChild, args: [TabHighlight,] },],
         '_tabbar': [{ type: ViewChild, args: ['tabbar',] },],
@@ -37819,9 +40924,29 @@ var Tabs = (function (_super) {
     };
     return Tabs;
 }(Ion));
+/**
+ * Shows a tab beside the selected tab while it's being swiped.
+ */
+function showSwipeTab(tab, x) {
+    if (!tab) {
+        return;
+    }
+    setTabTransform(tab, x);
+    if (tab._loaded) {
+        tab.setElementClass('show-tab', true);
+        return;
+    }
+    // the tab's root page is loaded the first time it's swiped to,
+    // and only enters once the tab is selected
+    tab._preload();
+}
+function setTabTransform(tab, x) {
+    tab.getNativeElement().style[CSS.transform] = (x === null ? '' : "translate3d(" + x + "px,0,0)");
+}
 var tabIds = -1;
+var SWIPE_DURATION = 300;
 
-var __extends$88 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$89 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -37916,7 +41041,7 @@ var __extends$88 = (undefined && undefined.__extends) || function (d, b) {
  *
  */
 var Content = (function (_super) {
-    __extends$88(Content, _super);
+    __extends$89(Content, _super);
     function Content(config, elementRef, renderer, _app, _keyboard, _zone, viewCtrl, _tabs, _dom) {
         _super.call(this, config, elementRef, renderer, 'content');
         this._app = _app;
@@ -37930,6 +41055,8 @@ var Content = (function (_super) {
         this._inputPolling = false;
         /** @internal */
         this._imgs = [];
+        /** @internal */
+        this._virtualScrolls = [];
         /**
          * @output {ScrollEvent} Emitted when the scrolling first starts.
          */
@@ -38204,6 +41331,26 @@ var Content = (function (_super) {
     Content.prototype.removeImg = function (img) {
         removeArrayItem(this._imgs, img);
     };
+    /**
+     * @private
+     */
+    Content.prototype.addVirtualScroll = function (virtualScroll) {
+        this._virtualScrolls.push(virtualScroll);
+    };
+    /**
+     * @private
+     */
+    Content.prototype.removeVirtualScroll = function (virtualScroll) {
+        removeArrayItem(this._virtualScrolls, virtualScroll);
+    };
+    /**
+     * @private
+     * Whether the content has a VirtualScroll, which keeps
+     * the records in view anchored on its own.
+     */
+    Content.prototype.hasVirtualScroll = function () {
+        return this._virtualScrolls.length > 0;
+    };
     /**
      * @private
      * DOM WRITE
@@ -39115,7 +42262,7 @@ function indexForItem(element) {
  * @private
  */
 
-var __extends$85 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$86 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -39383,7 +42530,7 @@ var __extends$85 = (undefined && undefined.__extends) || function (d, b) {
  * @see {@link ../ItemSliding ItemSliding API Docs}
  */
 var Item = (function (_super) {
-    __extends$85(Item, _super);
+    __extends$86(Item, _super);
     function Item(form, config, elementRef, renderer, reorder) {
         _super.call(this, config, elementRef, renderer, 'item');
         this._ids = -1;
@@ -39570,7 +42717,7 @@ var Item = (function (_super) {
  * @private
  */
 var ItemDivider = (function (_super) {
-    __extends$85(ItemDivider, _super);
+    __extends$86(ItemDivider, _super);
     function ItemDivider(form, config, elementRef, renderer) {
         _super.call(this, config, elementRef, renderer, 'item-divider');
     }
@@ -39649,7 +42796,7 @@ var ItemGroup = (function () {
     return ItemGroup;
 }());
 
-var __extends$84 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$85 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -39698,7 +42845,7 @@ var CHECKBOX_VALUE_ACCESSOR$1 = {
  * @see {@link /docs/v2/components#checkbox Checkbox Component Docs}
  */
 var Checkbox = (function (_super) {
-    __extends$84(Checkbox, _super);
+    __extends$85(Checkbox, _super);
     function Checkbox(config, _form, _item, elementRef, renderer) {
         _super.call(this, config, elementRef, renderer, 'checkbox');
         this._form = _form;
@@ -39882,7 +43029,7 @@ var Checkbox = (function (_super) {
     return Checkbox;
 }(Ion));
 
-var __extends$90 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$92 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -39975,7 +43122,7 @@ var __extends$90 = (undefined && undefined.__extends) || function (d, b) {
   * @demo /docs/v2/demos/src/chip/
  **/
 var Chip = (function (_super) {
-    __extends$90(Chip, _super);
+    __extends$92(Chip, _super);
     function Chip(config, elementRef, renderer) {
         _super.call(this, config, elementRef, renderer, 'chip');
     }
@@ -40181,8 +43328,13 @@ function parseDate(val) {
     for (var i = 1; i < 8; i++) {
         parse[i] = (parse[i] !== undefined ? parseInt(parse[i], 10) : null);
     }
-    var tzOffset = 0;
-    if (isPresent$4(parse[9]) && isPresent$4(parse[10])) {
+    // a value without an offset is left without one, rather than UTC, so a
+    // time zone can tell it apart and treat it as its own local time
+    var tzOffset = null;
+    if (parse[8] === 'Z') {
+        tzOffset = 0;
+    }
+    else if (isPresent$4(parse[9]) && isPresent$4(parse[10])) {
         // hours
         tzOffset = parseInt(parse[10], 10) * 60;
         if (isPresent$4(parse[11])) {
@@ -40317,7 +43469,8 @@ function convertDataToISO(data) {
                         }
                         else {
                             // YYYY-MM-DDTHH:mm:SS+/-HH:mm
-                            rtn += (data.tzOffset > 0 ? '+' : '-') + twoDigit(Math.floor(data.tzOffset / 60)) + ':' + twoDigit(data.tzOffset % 60);
+                            var tzOffset = Math.abs(data.tzOffset);
+                            rtn += (data.tzOffset > 0 ? '+' : '-') + twoDigit(Math.floor(tzOffset / 60)) + ':' + twoDigit(tzOffset % 60);
                         }
                     }
                 }
@@ -40338,6 +43491,244 @@ function convertDataToISO(data) {
     }
     return rtn;
 }
+function convertDataToTimeZone(data, timeZone, isLocal) {
+    // only a full date and time is a moment which can be moved between time zones
+    if (!timeZone || isBlank$5(data.year) || isBlank$5(data.month) || isBlank$5(data.day) || isBlank$5(data.hour)) {
+        return;
+    }
+    if (!isLocal && isPresent$4(data.tzOffset)) {
+        // move the moment in time to the same moment in the time zone
+        var zoneData = getTimeZoneData(getDataTime(data) - (data.tzOffset * 60000), timeZone);
+        if (zoneData) {
+            assign(data, zoneData);
+        }
+        return;
+    }
+    // the date and time is already in the time zone, so it only needs the zone's offset
+    var tzOffset = getTimeZoneOffset(data, timeZone);
+    if (isPresent$4(tzOffset)) {
+        data.tzOffset = tzOffset;
+    }
+}
+function getTimeZoneOffset(data, timeZone) {
+    // the offset can change during the day, such as with daylight saving time, so the
+    // offset for the date and time as if it was UTC is used to find the actual moment
+    var localTime = getDataTime(data);
+    var zoneData = getTimeZoneData(localTime, timeZone);
+    if (!zoneData) {
+        return null;
+    }
+    zoneData = getTimeZoneData(localTime - (zoneData.tzOffset * 60000), timeZone);
+    return zoneData.tzOffset;
+}
+function getLocaleNames(locale) {
+    var names = {
+        monthNames: [],
+        monthShortNames: [],
+        dayNames: [],
+        dayShortNames: [],
+    };
+    try {
+        var monthFormat = new Intl.DateTimeFormat(locale, { month: 'long', timeZone: 'UTC' });
+        var monthShortFormat = new Intl.DateTimeFormat(locale, { month: 'short', timeZone: 'UTC' });
+        var dayFormat = new Intl.DateTimeFormat(locale, { weekday: 'long', timeZone: 'UTC' });
+        var dayShortFormat = new Intl.DateTimeFormat(locale, { weekday: 'short', timeZone: 'UTC' });
+        for (var i = 0; i < 12; i++) {
+            var month = new Date(Date.UTC(2017, i, 1));
+            names.monthNames.push(monthFormat.format(month));
+            names.monthShortNames.push(monthShortFormat.format(month));
+        }
+        for (var i = 0; i < 7; i++) {
+            // January 1st, 2017 was a Sunday
+            var day = new Date(Date.UTC(2017, 0, i + 1));
+            names.dayNames.push(dayFormat.format(day));
+            names.dayShortNames.push(dayShortFormat.format(day));
+        }
+    }
+    catch (e) {
+        // either Intl isn't available, or the locale isn't valid
+        return null;
+    }
+    return names;
+}
+function isLocale24Hour(locale) {
+    try {
+        return !new Intl.DateTimeFormat(locale, { hour: 'numeric' }).resolvedOptions().hour12;
+    }
+    catch (e) {
+        return null;
+    }
+}
+function getLocaleFirstDay(locale) {
+    // the first day of the week, from 0 for Sunday to 6 for Saturday
+    try {
+        var intlLocale = new Intl.Locale(locale);
+        var weekInfo = intlLocale.getWeekInfo ? intlLocale.getWeekInfo() : intlLocale.weekInfo;
+        if (weekInfo) {
+            // the week info counts from 1 for Monday to 7 for Sunday
+            return weekInfo.firstDay % 7;
+        }
+    }
+    catch (e) {
+        // either Intl.Locale isn't available, or the locale isn't valid
+    }
+    // otherwise go by the locale's region, or the language's most likely region
+    var subtags = locale.split(/[-_]/);
+    var region = subtags.slice(1).filter(function (subtag) { return /^([a-z]{2}|\d{3})$/i.test(subtag); })[0];
+    region = (region || LIKELY_REGIONS[subtags[0].toLowerCase()] || '').toUpperCase();
+    if (SUNDAY_REGIONS.indexOf(region) > -1) {
+        return 0;
+    }
+    if (SATURDAY_REGIONS.indexOf(region) > -1) {
+        return 6;
+    }
+    return 1;
+}
+function localizeTemplate(template, locale) {
+    var cacheKey = locale + '|' + template;
+    var localized = LOCALIZED_TEMPLATES[cacheKey];
+    if (localized === undefined) {
+        localized = template;
+        try {
+            localized = createLocaleTemplate(template, locale);
+        }
+        catch (e) {
+            // either Intl isn't available, or the locale isn't valid
+        }
+        LOCALIZED_TEMPLATES[cacheKey] = localized;
+    }
+    return localized;
+}
+function createLocaleTemplate(template, locale) {
+    var formats = parseTemplate(template);
+    var tokens = {};
+    formats.forEach(function (format) {
+        var type = (format === FORMAT_DDDD || format === FORMAT_DDD) ? 'weekday' : convertFormatToKey(format);
+        if (!tokens[type]) {
+            tokens[type] = format;
+        }
+    });
+    var is24Hour = isLocale24Hour(locale);
+    if (tokens.hour && is24Hour !== null) {
+        // use the hour cycle the locale prefers
+        var is12HourFormat = (tokens.hour === FORMAT_hh || tokens.hour === FORMAT_h);
+        if (is24Hour && is12HourFormat) {
+            tokens.hour = (tokens.hour === FORMAT_hh ? FORMAT_HH : FORMAT_H);
+            delete tokens.ampm;
+        }
+        else if (!is24Hour && !is12HourFormat) {
+            tokens.hour = (tokens.hour === FORMAT_HH ? FORMAT_hh : FORMAT_h);
+            tokens.ampm = tokens.ampm || FORMAT_A;
+        }
+    }
+    var opts = { timeZone: 'UTC' };
+    if (tokens.year) {
+        opts.year = (tokens.year === FORMAT_YY ? '2-digit' : 'numeric');
+    }
+    if (tokens.month) {
+        opts.month = (tokens.month === FORMAT_MMMM ? 'long' : tokens.month === FORMAT_MMM ? 'short' : tokens.month === FORMAT_MM ? '2-digit' : 'numeric');
+    }
+    if (tokens.day) {
+        opts.day = 'numeric';
+    }
+    if (tokens.weekday) {
+        opts.weekday = (tokens.weekday === FORMAT_DDDD ? 'long' : 'short');
+    }
+    if (tokens.hour) {
+        opts.hour = 'numeric';
+        opts.hour12 = !!tokens.ampm;
+    }
+    if (tokens.minute) {
+        opts.minute = '2-digit';
+    }
+    if (tokens.second) {
+        opts.second = '2-digit';
+    }
+    // format a date with every part, then swap each part for its token
+    var parts = new Intl.DateTimeFormat(locale, opts).formatToParts(new Date(Date.UTC(2017, 10, 23, 15, 45, 30)));
+    var localized = '';
+    var hasAmPm = false;
+    parts.forEach(function (part) {
+        var type = (part.type === 'dayPeriod' || part.type === 'dayperiod') ? 'ampm' : part.type;
+        if (type === 'literal') {
+            // latin letters in between parts, such as "de" or "at",
+            // would be mistaken for tokens, so only keep everything else
+            localized += part.value.replace(/[a-z]/gi, '');
+        }
+        else if (type === 'ampm') {
+            // am/pm is only recognized after the time, so it's always added at the end
+            hasAmPm = !!tokens.ampm;
+        }
+        else if (type === 'month' && /^\d+$/.test(part.value) && tokens.month !== FORMAT_MM && tokens.month !== FORMAT_M) {
+            // some locales, such as Japanese, write even long month names as numbers
+            localized += FORMAT_M;
+            tokens.month = FORMAT_M;
+        }
+        else if (tokens[type]) {
+            localized += tokens[type];
+        }
+    });
+    localized = localized.replace(/\s+/g, ' ').trim();
+    if (hasAmPm) {
+        localized += ' ' + tokens.ampm;
+    }
+    // the template is only localized if it still has every part
+    var hasAllParts = Object.keys(tokens).every(function (type) {
+        return localized.indexOf(tokens[type]) > -1;
+    });
+    return hasAllParts ? localized : template;
+}
+function getTimeZoneData(time, timeZone) {
+    var formatter = getTimeZoneFormatter(timeZone);
+    if (!formatter) {
+        return null;
+    }
+    var parts = {};
+    formatter.formatToParts(new Date(time)).forEach(function (part) {
+        parts[part.type] = parseInt(part.value, 10);
+    });
+    var zoneData = {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        // some browsers use 24 for midnight
+        hour: parts.hour % 24,
+        minute: parts.minute,
+        second: parts.second,
+    };
+    zoneData.tzOffset = Math.round((getDataTime(zoneData) - Math.floor(time / 1000) * 1000) / 60000);
+    return zoneData;
+}
+function getTimeZoneFormatter(timeZone) {
+    var formatter = TIME_ZONE_FORMATTERS[timeZone];
+    if (formatter === undefined) {
+        formatter = null;
+        try {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: timeZone,
+                hour12: false,
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            });
+            if (!formatter.formatToParts) {
+                console.warn('Time zones require Intl.DateTimeFormat formatToParts()');
+                formatter = null;
+            }
+        }
+        catch (e) {
+            console.warn("Invalid time zone: \"" + timeZone + "\"");
+        }
+        TIME_ZONE_FORMATTERS[timeZone] = formatter;
+    }
+    return formatter;
+}
+function getDataTime(data) {
+    return Date.UTC(data.year, data.month - 1, data.day, data.hour, data.minute || 0, data.second || 0, data.millisecond || 0);
+}
 function twoDigit(val) {
     return ('0' + (isPresent$4(val) ? Math.abs(val) : '0')).slice(-2);
 }
@@ -40435,11 +43826,24 @@ var MONTH_SHORT_NAMES = [
     'Nov',
     'Dec',
 ];
+var TIME_ZONE_FORMATTERS = {};
+var LOCALIZED_TEMPLATES = {};
+var SUNDAY_REGIONS = [
+    'AG', 'AS', 'BD', 'BR', 'BS', 'BT', 'BW', 'BZ', 'CA', 'CO', 'DM', 'DO', 'ET', 'GT', 'GU', 'HK', 'HN', 'ID',
+    'IL', 'IN', 'JM', 'JP', 'KE', 'KH', 'KR', 'LA', 'MH', 'MM', 'MO', 'MT', 'MX', 'MZ', 'NI', 'NP', 'PA', 'PE',
+    'PH', 'PK', 'PR', 'PT', 'PY', 'SA', 'SG', 'SV', 'TH', 'TT', 'TW', 'UM', 'US', 'VE', 'VI', 'WS', 'YE', 'ZA', 'ZW'
+];
+var SATURDAY_REGIONS = [
+    'AE', 'AF', 'BH', 'DJ', 'DZ', 'EG', 'IQ', 'IR', 'JO', 'KW', 'LY', 'OM', 'QA', 'SD', 'SY'
+];
+var LIKELY_REGIONS = {
+    ar: 'EG', en: 'US', fa: 'IR', he: 'IL', hi: 'IN', id: 'ID', ja: 'JP', ko: 'KR', pt: 'BR', th: 'TH'
+};
 var VALID_AMPM_PREFIX = [
     FORMAT_hh, FORMAT_h, FORMAT_mm, FORMAT_m, FORMAT_ss, FORMAT_s
 ];
 
-var __extends$91 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$93 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -40610,21 +44014,85 @@ var DATETIME_VALUE_ACCESSOR = {
  * ```
  *
  *
- * ## Month Names and Day of the Week Names
+ * ## Calendar
+ *
+ * Setting `presentation` to `calendar` shows a month of days inline, instead of opening a
+ * picker. The days outside of the `min` and `max`, or not in the `dayValues`, `monthValues`
+ * or `yearValues`, can't be selected. The arrow buttons page through the months, and the
+ * arrow keys move between days, while the page up and page down keys move between months. The
+ * home and end keys move to the first and last day of the week, which starts on the locale's
+ * first day of the week.
+ * Selecting a day keeps the time of the value, which is still an ISO 8601 datetime string.
+ *
+ * ```html
+ * <ion-datetime presentation="calendar" min="2017-03-01" max="2017-12-31" [(ngModel)]="myDate">
+ * </ion-datetime>
+ * ```
+ *
+ * With the `range` input, the first day selected is the start of the range and the second is
+ * its end. The value of a range is its start and end separated by a slash, which is the
+ * ISO 8601 format for a time interval, such as `2017-03-08/2017-03-12`.
+ *
+ * ```html
+ * <ion-datetime presentation="calendar" range [(ngModel)]="stay"></ion-datetime>
+ * ```
+ *
+ *
+ * ## Time Zones
+ *
+ * By default, the datetime's value is displayed exactly as it was given, whatever its
+ * offset. The `timeZone` input takes an
+ * [IANA time zone name](https://www.iana.org/time-zones), such as `America/New_York`, and
+ * displays the value in that time zone instead. Values which include an offset, such as
+ * `2017-03-12T08:30:00+01:00`, are moved to the same moment in the time zone, while values
+ * without an offset are treated as already being in the time zone.
+ *
+ * The model value is still an ISO 8601 string, which includes the time zone's offset for
+ * that date. Selecting 9am on July 1st with a `timeZone` of `America/New_York` sets the
+ * value to `2017-07-01T09:00:00-04:00`. Time zones require a browser which supports the
+ * [Intl.DateTimeFormat](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/DateTimeFormat)
+ * API, and only apply to values with a date and time.
+ *
+ * ```html
+ * <ion-item>
+ *   <ion-label>Meeting</ion-label>
+ *   <ion-datetime displayFormat="MMM D, YYYY HH:mm" timeZone="Europe/London" [(ngModel)]="meeting">
+ *   </ion-datetime>
+ * </ion-item>
+ * ```
+ *
+ *
+ * ## Locales
  *
- * At this time, there is no one-size-fits-all standard to automatically choose the correct
- * language/spelling for a month name, or day of the week name, depending on the language
- * or locale. Good news is that there is an
+ * The `locale` input takes a locale, such as `de` or `pt-BR`, and uses the browser's
  * [Intl.DateTimeFormat](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/DateTimeFormat)
- * standard which *most* browsers have adopted. However, at this time the standard has not
- * been fully implemented by all popular browsers so Ionic is unavailable to take advantage
- * of it *yet*. Additionally, Angular also provides an internationalization service, but it
- * is still under heavy development so Ionic does not depend on it at this time.
+ * API to localize the datetime. The month and day names are in the locale's language, and when
+ * the datetime doesn't have a `displayFormat` or `pickerFormat`, its default format is put in the
+ * locale's order. For example, the default format is shown as `5. Mär 2017` with a `locale` of
+ * `de`. A `displayFormat` or `pickerFormat` which is given is always used exactly as it's written.
+ * The `locale` can also be set in the app's config.
+ *
+ * ```html
+ * <ion-item>
+ *   <ion-label>Datum</ion-label>
+ *   <ion-datetime locale="de" [(ngModel)]="myDate"></ion-datetime>
+ * </ion-item>
+ * ```
+ *
+ * Without a `locale`, the month and day names come from the language of the platform, which is
+ * the `lang` attribute of the app's `<html>` element, but the default format isn't reordered.
+ *
+ * The locale also decides which day the weeks of the calendar start on, such as Sunday
+ * for `en-US` and Monday for `de`. The `firstDayOfWeek` input, or config, overrides it
+ * with a number from `0` for Sunday to `6` for Saturday.
+ *
+ *
+ * ## Month Names and Day of the Week Names
  *
- * All things considered, the by far easiest solution is to just provide an array of names
- * if the app needs to use names other than the default English version of month and day
- * names. The month names and day names can be either configured at the app level, or
- * individual `ion-datetime` level.
+ * The month names and day names can also be given as arrays, which take precedence over the
+ * locale's names. This is useful for browsers without the `Intl.DateTimeFormat` API, or when the
+ * app needs names other than the locale's. The names can be either configured at the app level,
+ * or individual `ion-datetime` level.
  *
  * ### App Config Level
  *
@@ -40682,17 +44150,26 @@ var DATETIME_VALUE_ACCESSOR = {
  * @demo /docs/v2/demos/src/datetime/
  */
 var DateTime = (function (_super) {
-    __extends$91(DateTime, _super);
-    function DateTime(_form, config, elementRef, renderer, _item, _pickerCtrl) {
+    __extends$93(DateTime, _super);
+    function DateTime(_form, config, elementRef, renderer, _item, _pickerCtrl, _plt) {
         _super.call(this, config, elementRef, renderer, 'datetime');
         this._form = _form;
         this._item = _item;
         this._pickerCtrl = _pickerCtrl;
+        this._plt = _plt;
         this._disabled = false;
         this._text = '';
         this._isOpen = false;
         this._value = {};
+        this._valueEnd = {};
         this._locale = {};
+        this._localeId = null;
+        this._firstDay = 0;
+        this._range = false;
+        this._calendar = false;
+        this._calFocus = null;
+        this._calWeeks = [];
+        this._calWeekdays = [];
         /**
          * @input {string} The text to display on the picker's cancel button. Default: `Cancel`.
          */
@@ -40701,11 +44178,27 @@ var DateTime = (function (_super) {
          * @input {string} The text to display on the picker's "Done" button. Default: `Done`.
          */
         this.doneText = 'Done';
+        /**
+         * @input {string} The label read by screen readers for the calendar's previous
+         * month button. Default: `Previous month`.
+         */
+        this.prevMonthText = 'Previous month';
+        /**
+         * @input {string} The label read by screen readers for the calendar's next
+         * month button. Default: `Next month`.
+         */
+        this.nextMonthText = 'Next month';
         /**
          * @input {any} Any additional options that the picker interface can accept.
          * See the [Picker API docs](../../picker/Picker) for the picker options.
          */
         this.pickerOptions = {};
+        /**
+         * @input {string} How to present the datetime, either `picker` or `calendar`.
+         * The `picker` opens a picker with a column for each part of the `pickerFormat`,
+         * while the `calendar` shows a month of days inline. Default: `picker`.
+         */
+        this.presentation = 'picker';
         /**
          * @output {any} Any expression to evaluate when the datetime selection has changed.
          */
@@ -40732,8 +44225,9 @@ var DateTime = (function (_super) {
         configurable: true
     });
     DateTime.prototype._click = function (ev) {
-        if (ev.detail === 0) {
+        if (ev.detail === 0 || this._calendar) {
             // do not continue if the click event came from a form submit
+            // or from the calendar, which handles its own clicks
             return;
         }
         ev.preventDefault();
@@ -40741,16 +44235,54 @@ var DateTime = (function (_super) {
         this.open();
     };
     DateTime.prototype._keyup = function () {
-        if (!this._isOpen) {
+        if (!this._isOpen && !this._calendar) {
             this.open();
         }
     };
+    DateTime.prototype._keydown = function (ev) {
+        if (!this._calendar || this._disabled) {
+            return;
+        }
+        var keyCode = ev.keyCode;
+        if (keyCode === Key.LEFT) {
+            this.moveCalendarFocus(-1);
+        }
+        else if (keyCode === Key.RIGHT) {
+            this.moveCalendarFocus(1);
+        }
+        else if (keyCode === Key.UP) {
+            this.moveCalendarFocus(-7);
+        }
+        else if (keyCode === Key.DOWN) {
+            this.moveCalendarFocus(7);
+        }
+        else if (keyCode === Key.HOME) {
+            // the first day of the focused day's week
+            this.moveCalendarFocus(-this.getCalendarColumn(this._calFocus));
+        }
+        else if (keyCode === Key.END) {
+            // the last day of the focused day's week
+            this.moveCalendarFocus(6 - this.getCalendarColumn(this._calFocus));
+        }
+        else if (keyCode === Key.PAGE_UP) {
+            this.pageCalendar(-1);
+        }
+        else if (keyCode === Key.PAGE_DOWN) {
+            this.pageCalendar(1);
+        }
+        else {
+            // enter and space click the focused day's button
+            return;
+        }
+        ev.preventDefault();
+        this.focusCalendarDay();
+    };
     /**
      * @private
      */
     DateTime.prototype.open = function () {
         var _this = this;
-        if (this._disabled) {
+        if (this._disabled || this._calendar) {
             return;
         }
         (void 0) /* console.debug */;
@@ -40792,7 +44324,7 @@ var DateTime = (function (_super) {
         var _this = this;
         // if a picker format wasn't provided, then fallback
         // to use the display format
-        var template = this.pickerFormat || this.displayFormat || DEFAULT_FORMAT;
+        var template = this.pickerFormat || this.displayFormat || this.getTemplate(DEFAULT_FORMAT);
         if (isPresent$4(template)) {
             // make sure we've got up to date sizing information
             this.calcMinMax();
@@ -40949,7 +44481,32 @@ var DateTime = (function (_super) {
      * @private
      */
     DateTime.prototype.setValue = function (newData) {
+        if (this._range && isString(newData)) {
+            // a range is two ISO datetimes separated by a slash, which
+            // is how ISO 8601 writes a time interval: start/end
+            var dates = newData.split('/');
+            newData = dates[0];
+            updateDate(this._valueEnd, dates[1] || '');
+            if (this.timeZone) {
+                convertDataToTimeZone(this._valueEnd, this.timeZone);
+            }
+        }
         updateDate(this._value, newData);
+        if (this.timeZone) {
+            // an ISO string is a moment which gets shown in the time zone, while
+            // values from the picker are already in it and only need its offset
+            convertDataToTimeZone(this._value, this.timeZone, !isString(newData));
+        }
+    };
+    /**
+     * @private
+     */
+    DateTime.prototype.getISOValue = function () {
+        var value = convertDataToISO(this._value);
+        if (this._range && isPresent$4(this._valueEnd.year)) {
+            value += '/' + convertDataToISO(this._valueEnd);
+        }
+        return value;
     };
     /**
      * @private
@@ -40970,8 +44527,22 @@ var DateTime = (function (_super) {
      */
     DateTime.prototype.updateText = function () {
         // create the text of the formatted data
-        var template = this.displayFormat || this.pickerFormat || DEFAULT_FORMAT;
+        var template = this.displayFormat || this.pickerFormat || this.getTemplate(DEFAULT_FORMAT);
         this._text = renderDateTime(template, this._value, this._locale);
+        if (this._range && this._text) {
+            var endText = renderDateTime(template, this._valueEnd, this._locale);
+            if (endText) {
+                this._text += ' - ' + endText;
+            }
+        }
+    };
+    /**
+     * @private
+     */
+    DateTime.prototype.getTemplate = function (template) {
+        // only the datetime's own formats are put in the order of a locale
+        // which was set, the formats the app gives are used as they're written
+        return this._localeId ? localizeTemplate(template, this._localeId) : template;
     };
     /**
      * @private
@@ -41018,6 +44589,183 @@ var DateTime = (function (_super) {
         max.minute = max.minute || 59;
         max.second = max.second || 59;
     };
+    /**
+     * @private
+     */
+    DateTime.prototype.renderCalendar = function () {
+        var _this = this;
+        this.calcMinMax();
+        var minCompareVal = dateDataSortValue(this._min);
+        var maxCompareVal = dateDataSortValue(this._max);
+        if (!this._calFocus) {
+            // start on the selected day, or today
+            var value = this._value;
+            var today = new Date();
+            this._calFocus = (isPresent$4(value.year) && isPresent$4(value.month))
+                ? { year: value.year, month: value.month, day: value.day || 1 }
+                : { year: today.getFullYear(), month: today.getMonth() + 1, day: today.getDate() };
+        }
+        // keep the focused day within the min and max
+        var focus = this._calFocus;
+        var focusCompareVal = dateDataSortValue(focus);
+        if (focusCompareVal < minCompareVal) {
+            focus = this._calFocus = { year: this._min.year, month: this._min.month, day: this._min.day };
+        }
+        else if (focusCompareVal > maxCompareVal) {
+            focus = this._calFocus = { year: this._max.year, month: this._max.month, day: Math.min(this._max.day, daysInMonth(this._max.month, this._max.year)) };
+        }
+        var year = focus.year;
+        var month = focus.month;
+        var numDaysInMonth = daysInMonth(month, year);
+        var yearValues = isPresent$4(this.yearValues) ? convertToArrayOfNumbers(this.yearValues, 'year') : null;
+        var monthValues = isPresent$4(this.monthValues) ? convertToArrayOfNumbers(this.monthValues, 'month') : null;
+        var dayValues = isPresent$4(this.dayValues) ? convertToArrayOfNumbers(this.dayValues, 'day') : null;
+        var start = this._value;
+        var end = this._valueEnd;
+        var startCompareVal = (isPresent$4(start.day) ? dateDataSortValue(start) : -1);
+        var endCompareVal = (this._range && isPresent$4(end.day) ? dateDataSortValue(end) : -1);
+        var now = new Date();
+        var todayCompareVal = dateSortValue(now.getFullYear(), now.getMonth() + 1, now.getDate());
+        this._calTitle = renderDateTime(this.getTemplate('MMMM YYYY'), { year: year, month: month, day: 1 }, this._locale);
+        this._calWeekdays = [];
+        for (var i = 0; i < 7; i++) {
+            // January 1st, 2017 was a Sunday, and the week starts on the locale's first day
+            this._calWeekdays.push(renderTextFormat('DDD', null, { year: 2017, month: 1, day: 1 + ((this._firstDay + i) % 7) }, this._locale));
+        }
+        this._calPrev = (dateSortValue(year, month, 1) > minCompareVal);
+        this._calNext = (dateSortValue(year, month, numDaysInMonth) < maxCompareVal);
+        // a row for each week, with blank days before the 1st and after the last day
+        var days = [];
+        var firstColumn = this.getCalendarColumn({ year: year, month: month, day: 1 });
+        for (var i = 0; i < firstColumn; i++) {
+            days.push({ disabled: true });
+        }
+        for (var day = 1; day <= numDaysInMonth; day++) {
+            var compareVal = dateSortValue(year, month, day);
+            days.push({
+                year: year,
+                month: month,
+                day: day,
+                text: day.toString(),
+                disabled: (compareVal < minCompareVal ||
+                    compareVal > maxCompareVal ||
+                    (yearValues && yearValues.indexOf(year) < 0) ||
+                    (monthValues && monthValues.indexOf(month) < 0) ||
+                    (dayValues && dayValues.indexOf(day) < 0)),
+                selected: (compareVal === startCompareVal || compareVal === endCompareVal),
+                inRange: (endCompareVal > -1 && compareVal > startCompareVal && compareVal < endCompareVal),
+                today: (compareVal === todayCompareVal),
+                focused: (day === focus.day)
+            });
+        }
+        while (days.length % 7) {
+            days.push({ disabled: true });
+        }
+        this._calWeeks = [];
+        for (var i = 0; i < days.length; i += 7) {
+            this._calWeeks.push(days.slice(i, i + 7));
+        }
+    };
+    /**
+     * @private
+     * The column of the day within its week of the calendar,
+     * from `0` for the first day of the week to `6` for the last.
+     */
+    DateTime.prototype.getCalendarColumn = function (date) {
+        var weekday = new Date(date.year, date.month - 1, date.day).getDay();
+        return (weekday - this._firstDay + 7) % 7;
+    };
+    /**
+     * @private
+     */
+    DateTime.prototype.pageCalendar = function (months) {
+        var focus = this._calFocus;
+        var date = new Date(focus.year, focus.month - 1 + months, 1);
+        var year = date.getFullYear();
+        var month = date.getMonth() + 1;
+        this._calFocus = {
+            year: year,
+            month: month,
+            day: Math.min(focus.day, daysInMonth(month, year))
+        };
+        this.renderCalendar();
+    };
+    /**
+     * @private
+     */
+    DateTime.prototype.moveCalendarFocus = function (days) {
+        var focus = this._calFocus;
+        var date = new Date(focus.year, focus.month - 1, focus.day + days);
+        var compareVal = dateSortValue(date.getFullYear(), date.getMonth() + 1, date.getDate());
+        if (compareVal < dateDataSortValue(this._min) || compareVal > dateDataSortValue(this._max)) {
+            // don't move past the min or max
+            return;
+        }
+        this._calFocus = {
+            year: date.getFullYear(),
+            month: date.getMonth() + 1,
+            day: date.getDate()
+        };
+        this.renderCalendar();
+    };
+    /**
+     * @private
+     */
+    DateTime.prototype.focusCalendarDay = function () {
+        var _this = this;
+        // wait for the calendar to be rendered before focusing the day's button
+        nativeTimeout(function () {
+            var ele = _this._elementRef.nativeElement.querySelector('.calendar-day-focused');
+            ele && ele.focus();
+        }, 0);
+    };
+    /**
+     * @private
+     */
+    DateTime.prototype.selectDay = function (day) {
+        if (!day || !day.day || day.disabled || this._disabled) {
+            return;
+        }
+        this._calFocus = { year: day.year, month: day.month, day: day.day };
+        var date = { year: day.year, month: day.month, day: day.day };
+        var data;
+        if (!this._range) {
+            data = {
+                year: { value: day.year },
+                month: { value: day.month },
+                day: { value: day.day }
+            };
+        }
+        else {
+            var start = this._value;
+            if (isBlank$5(start.day) || isPresent$4(this._valueEnd.day) || dateDataSortValue(date) < dateDataSortValue(start)) {
+                // start a new range
+                data = convertDataToISO(assign({}, start, date));
+            }
+            else {
+                // finish the range, with the same time as its start
+                data = convertDataToISO(start) + '/' + convertDataToISO(assign({}, start, date));
+            }
+        }
+        this.onChange(data);
+        this.ionChange.emit(data);
+        this.renderCalendar();
+    };
+    Object.defineProperty(DateTime.prototype, "range", {
+        /**
+         * @input {boolean} Whether the calendar selects a range of days, from a start to an end.
+         * The value of a range is the start and end ISO datetimes separated by a slash,
+         * such as `2017-03-08/2017-03-12`. Default `false`.
+         */
+        get: function () {
+            return this._range;
+        },
+        set: function (val) {
+            this._range = isTrueProperty(val);
+        },
+        enumerable: true,
+        configurable: true
+    });
     Object.defineProperty(DateTime.prototype, "disabled", {
         /**
          * @input {boolean} Whether or not the datetime component is disabled. Default `false`.
@@ -41040,20 +44788,46 @@ var DateTime = (function (_super) {
         this.setValue(val);
         this.updateText();
         this.checkHasValue(val);
+        if (this._calendar) {
+            // show the month of the new value
+            this._calFocus = null;
+            this.renderCalendar();
+        }
     };
     /**
      * @private
      */
     DateTime.prototype.ngAfterContentInit = function () {
         var _this = this;
+        // the locale comes from the input, then the config, and only a locale which
+        // was set changes the default formats, otherwise the platform's language
+        // is still used for the names and the first day of the week
+        this._localeId = this.locale || this._config.get('locale') || null;
+        var localeId = this._localeId || (this._plt && this._plt.lang()) || null;
+        var localeNames = localeId ? getLocaleNames(localeId) : null;
         // first see if locale names were provided in the inputs
         // then check to see if they're in the config
-        // if neither were provided then it will use default English names
+        // then use the names of the locale from the Intl api
+        // if none were provided then it will use default English names
         ['monthNames', 'monthShortNames', 'dayNames', 'dayShortNames'].forEach(function (type) {
-            _this._locale[type] = convertToArrayOfStrings(isPresent$4(_this[type]) ? _this[type] : _this._config.get(type), type);
+            var names = isPresent$4(_this[type]) ? _this[type] : _this._config.get(type);
+            if (isBlank$5(names) && localeNames) {
+                names = localeNames[type];
+            }
+            _this._locale[type] = convertToArrayOfStrings(names, type);
         });
+        // the first day of the week comes from the input, then the config, then the locale
+        var firstDay = parseInt(isPresent$4(this.firstDayOfWeek) ? this.firstDayOfWeek : this._config.get('firstDayOfWeek'), 10);
+        if (isNaN(firstDay)) {
+            firstDay = (localeId ? getLocaleFirstDay(localeId) : 0);
+        }
+        this._firstDay = ((firstDay % 7) + 7) % 7;
         // update how the datetime value is displayed as formatted text
         this.updateText();
+        this._calendar = (this.presentation === 'calendar');
+        if (this._calendar) {
+            this.renderCalendar();
+        }
     };
     /**
      * @private
@@ -41067,7 +44841,7 @@ var DateTime = (function (_super) {
             _this.updateText();
             _this.checkHasValue(val);
             // convert DateTimeData value to iso datetime format
-            fn(convertDataToISO(_this._value));
+            fn(_this.getISOValue());
             _this.onTouched();
         };
     };
@@ -41098,17 +44872,46 @@ var DateTime = (function (_super) {
     DateTime.decorators = [
         { type: Component, args: [{
                     selector: 'ion-datetime',
-                    template: '<div class="datetime-text">{{_text}}</div>' +
-                        '<button aria-haspopup="true" ' +
+                    template: '<div *ngIf="!_calendar" class="datetime-text">{{_text}}</div>' +
+                        '<button *ngIf="!_calendar" aria-haspopup="true" ' +
                         'type="button" ' +
                         '[id]="id" ' +
                         'ion-button="item-cover" ' +
                         '[attr.aria-labelledby]="_labelId" ' +
                         '[attr.aria-disabled]="_disabled" ' +
                         'class="item-cover">' +
-                        '</button>',
+                        '</button>' +
+                        '<div *ngIf="_calendar" class="datetime-calendar" role="grid" [attr.aria-labelledby]="_labelId">' +
+                        '<div class="calendar-header">' +
+                        '<button ion-button clear icon-only type="button" class="calendar-prev" ' +
+                        '[disabled]="!_calPrev" (click)="pageCalendar(-1)" [attr.aria-label]="prevMonthText">' +
+                        '<ion-icon name="arrow-back"></ion-icon>' +
+                        '</button>' +
+                        '<div class="calendar-title" aria-live="polite">{{_calTitle}}</div>' +
+                        '<button ion-button clear icon-only type="button" class="calendar-next" ' +
+                        '[disabled]="!_calNext" (click)="pageCalendar(1)" [attr.aria-label]="nextMonthText">' +
+                        '<ion-icon name="arrow-forward"></ion-icon>' +
+                        '</button>' +
+                        '</div>' +
+                        '<div class="calendar-week" role="row">' +
+                        '<div *ngFor="let name of _calWeekdays" class="calendar-weekday" role="columnheader">{{name}}</div>' +
+                        '</div>' +
+                        '<div *ngFor="let week of _calWeeks" class="calendar-week" role="row">' +
+                        '<button *ngFor="let d of week" type="button" role="gridcell" class="calendar-day" ' +
+                        '[class.calendar-day-empty]="!d.day" ' +
+                        '[class.calendar-day-today]="d.today" ' +
+                        '[class.calendar-day-selected]="d.selected" ' +
+                        '[class.calendar-day-range]="d.inRange" ' +
+                        '[class.calendar-day-focused]="d.focused" ' +
+                        '[disabled]="d.disabled" ' +
+                        '[attr.tabindex]="d.focused ? 0 : -1" ' +
+                        '[attr.aria-selected]="!!d.selected" ' +
+                        '(click)="selectDay(d)">{{d.text}}</button>' +
+                        '</div>' +
+                        '</div>',
                     host: {
-                        '[class.datetime-disabled]': '_disabled'
+                        '[class.datetime-disabled]': '_disabled',
+                        '[class.datetime-calendar-presentation]': '_calendar'
                     },
                     providers: [DATETIME_VALUE_ACCESSOR],
                     encapsulation: ViewEncapsulation.None,
@@ -41122,6 +44925,7 @@ var DateTime = (function (_super) {
         { type: Renderer, },
         { type: Item, decorators: [{ type: Optional },] },
         { type: PickerController, decorators: [{ type: Optional },] },
+        { type: Platform, },
     ];
     DateTime.propDecorators = {
         'min': [{ type: Input },],
@@ -41130,6 +44934,8 @@ var DateTime = (function (_super) {
         'pickerFormat': [{ type: Input },],
         'cancelText': [{ type: Input },],
         'doneText': [{ type: Input },],
+        'prevMonthText': [{ type: Input },],
+        'nextMonthText': [{ type: Input },],
         'yearValues': [{ type: Input },],
         'monthValues': [{ type: Input },],
         'dayValues': [{ type: Input },],
@@ -41139,12 +44945,18 @@ var DateTime = (function (_super) {
         'monthShortNames': [{ type: Input },],
         'dayNames': [{ type: Input },],
         'dayShortNames': [{ type: Input },],
+        'locale': [{ type: Input },],
+        'firstDayOfWeek': [{ type: Input },],
+        'timeZone': [{ type: Input },],
         'pickerOptions': [{ type: Input },],
+        'presentation': [{ type: Input },],
         'mode': [{ type: Input },],
         'ionChange': [{ type: Output },],
         'ionCancel': [{ type: Output },],
         '_click': [{ type: HostListener, args: ['click', ['$event'],] },],
         '_keyup': [{ type: HostListener, args: ['keyup.space',] },],
+        '_keydown': [{ type: HostListener, args: ['keydown', ['$event'],] },],
+        'range': [{ type: Input },],
         'disabled': [{ type: Input },],
     };
     return DateTime;
@@ -41205,7 +45017,7 @@ function convertToArrayOfStrings(input, type) {
 }
 var DEFAULT_FORMAT = 'MMM D, YYYY';
 
-var __extends$92 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$94 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -41256,7 +45068,7 @@ var __extends$92 = (undefined && undefined.__extends) || function (d, b) {
   * @see {@link /docs/v2/components#fabs FAB Component Docs}
  */
 var FabButton = (function (_super) {
-    __extends$92(FabButton, _super);
+    __extends$94(FabButton, _super);
     function FabButton(config, elementRef, renderer) {
         _super.call(this, config, elementRef, renderer, 'fab');
     }
@@ -41733,6 +45545,67 @@ var Col = (function () {
  * does not have the same problems which `ion-img` is solving, then it's
  * recommended to just use the standard `img` HTML element instead.
  *
+ *
+ * ### Offline Images
+ *
+ * The in-memory cache only lasts while the app is open. Setting `persist`
+ * also keeps each downloaded image between app launches, using the Cache API
+ * where it's available, otherwise IndexedDB. Persisted images are used before
+ * making a request, so they're still shown when the app has no connection.
+ * Every image can be persisted by setting the `imgPersist` config to `true`.
+ *
+ * Persisted images older than the `imgCacheMaxAge` config in milliseconds,
+ * which defaults to 7 days, are downloaded again. Once they add up to more
+ * than the `imgCacheMaxSize` config in bytes, which defaults to 50MB, the
+ * oldest images are removed first.
+ *
+ * While an image is loading the `placeholder` image is shown, and the
+ * `fallback` image is shown when it can't be loaded, such as when the app
+ * is offline and it hasn't been persisted yet. Both are used as is, rather
+ * than going through the image requests above, so they should be small
+ * images, such as a tiny low quality version of the image or an image which
+ * is bundled with the app. Once the image has loaded it fades in over the
+ * placeholder.
+ *
+ * ```html
+ * <ion-img persist placeholder="assets/img/loading.png" fallback="assets/img/offline.png" src="..."></ion-img>
+ * ```
+ *
+ *
+ * ### Responsive Images
+ *
+ * Like the standard `img` element, `srcset` can list sources of different
+ * widths, such as `photo-400.jpg 400w, photo-800.jpg 800w`, or for different
+ * pixel densities, such as `photo.jpg 1x, photo@2x.jpg 2x`. The smallest
+ * source which is still sharp on the device's pixel ratio is requested, and
+ * `src` is used when `srcset` isn't set.
+ *
+ * For width descriptors, `sizes` sets how wide the image is shown, such as
+ * `(min-width: 768px) 50vw, 100vw`. Without `sizes`, the `width` of the
+ * image is used when it's set in pixels, otherwise the width of the viewport.
+ * If the viewport grows, such as when the device is rotated, a larger source
+ * is requested when it's needed.
+ *
+ * ```html
+ * <ion-img width="160" height="160" src="photo-160.jpg" srcset="photo-160.jpg 160w, photo-320.jpg 320w, photo-480.jpg 480w"></ion-img>
+ * ```
+ *
+ *
+ * ### Lazy Loading Outside of Content
+ *
+ * Images which aren't within an `ion-content`, or which have the `observe`
+ * property, are loaded once they come within view of any scrollable element,
+ * using an `IntersectionObserver`. This is useful for images within an
+ * element which scrolls horizontally, since `ion-content` only follows its
+ * own vertical scrolling. Where `IntersectionObserver` isn't available, these
+ * images are loaded right away.
+ *
+ * ```html
+ * <div class="carousel">
+ *   <ion-img observe width="120" height="80" *ngFor="let photo of photos" [src]="photo.src"></ion-img>
+ * </div>
+ * ```
+ *
  */
 var Img = (function () {
     function Img(_ldr, _elementRef, _renderer, _platform, _zone, _content, _dom) {
@@ -41746,6 +45619,16 @@ var Img = (function () {
         /** @internal */
         this._cache = true;
         /** @internal */
+        this._persist = null;
+        /** @internal */
+        this._srcs = null;
+        /** @internal */
+        this._srcIndex = -1;
+        /** @internal */
+        this._sizes = '';
+        /** @internal */
+        this._observed = false;
+        /** @internal */
         this._w = '';
         /** @internal */
         this._h = '';
@@ -41759,7 +45642,9 @@ var Img = (function () {
          */
         this.alt = '';
         if (!this._content) {
-            console.warn("ion-img can only be used within an ion-content");
+            // there isn't an ion-content scroll to follow, so
+            // load the image once it's within view of anything
+            this._observeView();
         }
         else {
             this._content.addImg(this);
@@ -41768,35 +45653,149 @@ var Img = (function () {
     }
     Object.defineProperty(Img.prototype, "src", {
         /**
-         * @input {string} Image src.
+         * @input {string} Image src. When `srcset` is set, this is the source
+         * picked from `srcset` instead.
          */
         get: function () {
             return this._src;
         },
         set: function (newSrc) {
-            // if the source hasn't changed, then um, let's not change it
-            if (newSrc !== this._src) {
-                // we're changing the source
-                // so abort any active http requests
-                // and render the image empty
-                this.reset();
-                // update to the new src
-                this._src = newSrc;
-                if (newSrc.indexOf('data:') === 0) {
-                    // they're using an actual datauri already
-                    this._tmpDataUri = newSrc;
-                }
-                else {
-                    // reset any existing datauri we might be holding onto
-                    this._tmpDataUri = null;
-                }
-                // run update to kick off requests or render if everything is good
-                this.update();
-            }
+            this._defaultSrc = newSrc;
+            this._pickSrc();
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(Img.prototype, "srcset", {
+        /**
+         * @input {string}  A comma separated list of sources, each followed by
+         * its width, such as `400w`, or its pixel density, such as `2x`.
+         */
+        get: function () {
+            return this._srcset;
+        },
+        set: function (val) {
+            this._srcset = val;
+            this._srcs = parseSrcset(val);
+            this._srcIndex = -1;
+            this._pickSrc();
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(Img.prototype, "sizes", {
+        /**
+         * @input {string}  A comma separated list of how wide the image is shown,
+         * each but the last following a media condition, such as `(max-width: 600px) 100vw, 50vw`.
+         */
+        get: function () {
+            return this._sizes;
+        },
+        set: function (val) {
+            this._sizes = val || '';
+            this._pickSrc();
         },
         enumerable: true,
         configurable: true
     });
+    /**
+     * @internal
+     */
+    Img.prototype._pickSrc = function (onlyLarger) {
+        var _this = this;
+        if (!this._srcs || !this._srcs.length) {
+            this._defaultSrc && this._setSrc(this._defaultSrc);
+            return;
+        }
+        var index = pickSrcIndex(this._srcs, this._getSlotWidth(), window.devicePixelRatio || 1);
+        if (onlyLarger && index <= this._srcIndex) {
+            // the source already loaded is sharp enough
+            return;
+        }
+        this._srcIndex = index;
+        this._setSrc(this._srcs[index].src);
+        if (!this._unregResize) {
+            this._unregResize = this._platform.onResize(function () {
+                _this._pickSrc(true);
+            });
+        }
+    };
+    /**
+     * @internal
+     */
+    Img.prototype._getSlotWidth = function () {
+        var platformWidth = this._platform.width();
+        if (this._sizes) {
+            return getSizesWidth(this._sizes, platformWidth);
+        }
+        if (this._wQ.indexOf('px') > -1) {
+            return parseFloat(this._wQ);
+        }
+        return platformWidth;
+    };
+    /**
+     * @internal
+     */
+    Img.prototype._setSrc = function (newSrc) {
+        // if the source hasn't changed, then um, let's not change it
+        if (newSrc !== this._src) {
+            // we're changing the source
+            // so abort any active http requests
+            // and render the image empty
+            this.reset();
+            this._setPlaceholder(this._placeholder);
+            // update to the new src
+            this._src = newSrc;
+            if (newSrc.indexOf('data:') === 0) {
+                // they're using an actual datauri already
+                this._tmpDataUri = newSrc;
+            }
+            else {
+                // reset any existing datauri we might be holding onto
+                this._tmpDataUri = null;
+            }
+            // run update to kick off requests or render if everything is good
+            this.update();
+        }
+    };
+    /**
+     * @internal
+     */
+    Img.prototype._observeView = function () {
+        var _this = this;
+        if (this._observed) {
+            return;
+        }
+        this._observed = true;
+        // the observer decides when to load, rather than the content's scrolling
+        this._content && this._content.removeImg(this);
+        if (typeof IntersectionObserver === 'undefined') {
+            // there's no telling when it's within view, so load it now
+            this._inView();
+            return;
+        }
+        this._observer = new IntersectionObserver(function (entries) {
+            if (entries.some(function (entry) { return entry.isIntersecting || entry.intersectionRatio > 0; })) {
+                _this._inView();
+            }
+        }, { rootMargin: OBSERVER_MARGIN });
+        this._observer.observe(this._elementRef.nativeElement);
+    };
+    /**
+     * @internal
+     */
+    Img.prototype._inView = function () {
+        this._unobserveView();
+        this.canRequest = this.canRender = true;
+        this.update();
+    };
+    /**
+     * @internal
+     */
+    Img.prototype._unobserveView = function () {
+        this._observer && this._observer.disconnect();
+        this._observer = null;
+    };
     /**
      * @private
      */
@@ -41821,7 +45820,7 @@ var Img = (function () {
         var _this = this;
         // only attempt an update if there is an active src
         // and the content containing the image considers it updatable
-        if (this._src && this._content.isImgsUpdatable()) {
+        if (this._src && (this._observed || this._content.isImgsUpdatable())) {
             if (this.canRequest && (this._src !== this._renderedSrc && this._src !== this._requestingSrc) && !this._tmpDataUri) {
                 // only begin the request if we "can" request
                 // begin the image request if the src is different from the rendered src
@@ -41833,7 +45832,7 @@ var Img = (function () {
                     _this._cb = null;
                 };
                 // post the message to the web worker
-                this._ldr.load(this._src, this._cache, this._cb);
+                this._ldr.load(this._src, this._cache, this._cb, this._persist);
                 // set the dimensions of the image if we do have different data
                 this._setDims();
             }
@@ -41868,6 +45867,7 @@ var Img = (function () {
             this._renderedSrc = this._tmpDataUri = null;
             this._dom.write(function () {
                 _this._isLoaded(false);
+                _this._setPlaceholder(_this._fallback || _this._placeholder);
             });
         }
     };
@@ -41889,6 +45889,15 @@ var Img = (function () {
         renderer.setElementAttribute(imgEle, 'src', srcAttr);
         renderer.setElementAttribute(imgEle, 'alt', this.alt);
     };
+    /**
+     * @internal
+     */
+    Img.prototype._setPlaceholder = function (placeholder) {
+        // the placeholder stays behind the img so the img can fade in over it
+        var ele = this._elementRef.nativeElement;
+        this._renderer.setElementClass(ele, 'img-placeholder', !!placeholder);
+        this._renderer.setElementStyle(ele, 'background-image', placeholder ? 'url("' + placeholder + '")' : '');
+    };
     Object.defineProperty(Img.prototype, "top", {
         /**
          * @private
@@ -41955,6 +45964,70 @@ var Img = (function () {
         enumerable: true,
         configurable: true
     });
+    Object.defineProperty(Img.prototype, "persist", {
+        /**
+         * @input {boolean}  Whether to keep the downloaded image between app launches,
+         * so it can still be shown when the app is offline. Defaults to the `imgPersist`
+         * config, which is `false`.
+         */
+        get: function () {
+            return this._persist;
+        },
+        set: function (val) {
+            this._persist = isTrueProperty(val);
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(Img.prototype, "placeholder", {
+        /**
+         * @input {string}  The src of an image to show while the image is loading.
+         */
+        get: function () {
+            return this._placeholder;
+        },
+        set: function (val) {
+            var _this = this;
+            this._placeholder = val;
+            this._dom.write(function () {
+                _this._setPlaceholder(val);
+            });
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(Img.prototype, "fallback", {
+        /**
+         * @input {string}  The src of an image to show when the image can't be loaded,
+         * such as when the app is offline. Defaults to the `placeholder` image.
+         */
+        get: function () {
+            return this._fallback;
+        },
+        set: function (val) {
+            this._fallback = val;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(Img.prototype, "observe", {
+        /**
+         * @input {boolean}  Whether to load the image once it's within view of any
+         * scrollable element using an `IntersectionObserver`, rather than by following
+         * the scrolling of its `ion-content`. Images which aren't within an `ion-content`
+         * always do this.
+         */
+        get: function () {
+            return this._observed;
+        },
+        set: function (val) {
+            if (isTrueProperty(val)) {
+                this._observeView();
+            }
+        },
+        enumerable: true,
+        configurable: true
+    });
     Object.defineProperty(Img.prototype, "width", {
         /**
          * @input {string}  Image width. If this property is not set it's important that
@@ -41964,6 +46037,10 @@ var Img = (function () {
         set: function (val) {
             this._wQ = getUnitValue(val);
             this._setDims();
+            if (this._srcs && !this._sizes) {
+                // the width decides which source is sharp enough
+                this._pickSrc();
+            }
         },
         enumerable: true,
         configurable: true
@@ -42005,6 +46082,8 @@ var Img = (function () {
      */
     Img.prototype.ngOnDestroy = function () {
         this._cb = null;
+        this._unobserveView();
+        this._unregResize && this._unregResize();
         this._content && this._content.removeImg(this);
     };
     Img.decorators = [
@@ -42027,8 +46106,14 @@ var Img = (function () {
     ];
     Img.propDecorators = {
         'src': [{ type: Input },],
+        'srcset': [{ type: Input },],
+        'sizes': [{ type: Input },],
         'bounds': [{ type: Input },],
         'cache': [{ type: Input },],
+        'persist': [{ type: Input },],
+        'placeholder': [{ type: Input },],
+        'fallback': [{ type: Input },],
+        'observe': [{ type: Input },],
         'width': [{ type: Input },],
         'height': [{ type: Input },],
         'alt': [{ type: Input },],
@@ -42051,6 +46136,66 @@ function getUnitValue(val) {
     }
     return '';
 }
+function parseSrcset(srcset) {
+    var candidates = [];
+    (srcset || '').split(',').forEach(function (candidate) {
+        var parts = candidate.trim().split(/\s+/);
+        if (!parts[0]) {
+            return;
+        }
+        var descriptor = parts[1] || '1x';
+        var value = parseFloat(descriptor) || 1;
+        var isWidth = descriptor.charAt(descriptor.length - 1) === 'w';
+        candidates.push({
+            src: parts[0],
+            w: isWidth ? value : 0,
+            x: isWidth ? 0 : value
+        });
+    });
+    // smallest first, so the first sharp enough source is also the smallest
+    return candidates.sort(function (a, b) { return (a.w || a.x) - (b.w || b.x); });
+}
+function pickSrcIndex(candidates, slotWidth, pixelRatio) {
+    for (var i = 0; i < candidates.length; i++) {
+        var density = candidates[i].w ? candidates[i].w / slotWidth : candidates[i].x;
+        if (density >= pixelRatio) {
+            return i;
+        }
+    }
+    // nothing is sharp enough, so go with the largest
+    return candidates.length - 1;
+}
+function getSizesWidth(sizes, platformWidth) {
+    var sources = sizes.split(',');
+    for (var i = 0; i < sources.length; i++) {
+        var source = sources[i].trim();
+        var media = null;
+        var mediaEnd = source.lastIndexOf(')');
+        if (source.charAt(0) === '(' && mediaEnd > -1) {
+            media = source.substr(0, mediaEnd + 1);
+            source = source.substr(mediaEnd + 1).trim();
+        }
+        if (!media || window.matchMedia(media).matches) {
+            return getSizeLength(source, platformWidth);
+        }
+    }
+    return platformWidth;
+}
+function getSizeLength(length, platformWidth) {
+    var value = parseFloat(length);
+    if (isNaN(value)) {
+        return platformWidth;
+    }
+    if (length.indexOf('vw') > -1) {
+        return platformWidth * value / 100;
+    }
+    if (length.indexOf('em') > -1) {
+        return value * 16;
+    }
+    return value;
+}
+// how far outside of view an observed image starts loading
+var OBSERVER_MARGIN = '200px';
 
 /**
  * @name InfiniteScroll
@@ -42127,6 +46272,40 @@ function getUnitValue(val) {
  *  ```
  *
  *
+ * ## Loading Above
+ *
+ * Setting `position` to `top` calls the `ionInfinite` event when the user
+ * scrolls a specified distance from the top of the page instead, which is
+ * useful for loading older messages above a chat. The infinite scroll
+ * should then be placed above the list. Once `complete()` has been called,
+ * the scroll position is kept the same distance from the bottom, so the
+ * items which were in view don't move as the new items are added above them.
+ * A list with `virtualScroll` keeps its records in view anchored itself.
+ *
+ *  ```html
+ *  <ion-content>
+ *
+ *    <ion-infinite-scroll position="top" (ionInfinite)="loadOlder($event)">
+ *      <ion-infinite-scroll-content></ion-infinite-scroll-content>
+ *    </ion-infinite-scroll>
+ *
+ *    <ion-list [virtualScroll]="messages" approxItemHeight="60px">
+ *      <ion-item *virtualItem="let message">{% raw %}{{message.text}}{% endraw %}</ion-item>
+ *    </ion-list>
+ *
+ *  </ion-content>
+ *  ```
+ *
+ *  ```ts
+ *  loadOlder(infiniteScroll) {
+ *    this.chat.getOlder(this.messages[0]).then(older => {
+ *      this.messages.unshift(...older);
+ *      infiniteScroll.complete();
+ *    });
+ *  }
+ *  ```
+ *
+ *
  * ## Further Customizing Infinite Scroll Content
  *
  * The `ion-infinite-scroll` component holds the infinite scroll logic.
@@ -42151,6 +46330,7 @@ var InfiniteScroll = (function () {
         this._thr = '15%';
         this._thrPx = 0;
         this._thrPc = 0.15;
+        this._position = POSITION_BOTTOM;
         this._init = false;
         /**
          * @internal
@@ -42193,6 +46373,23 @@ var InfiniteScroll = (function () {
         enumerable: true,
         configurable: true
     });
+    Object.defineProperty(InfiniteScroll.prototype, "position", {
+        /**
+         * @input {string} The position of the infinite scroll element.
+         * The value can be either `top` or `bottom`. When `top`, the
+         * `infinite` output event is called when scrolled within the
+         * threshold distance from the top of the content instead.
+         * Default is `bottom`.
+         */
+        get: function () {
+            return this._position;
+        },
+        set: function (val) {
+            this._position = (val === POSITION_TOP ? POSITION_TOP : POSITION_BOTTOM);
+        },
+        enumerable: true,
+        configurable: true
+    });
     Object.defineProperty(InfiniteScroll.prototype, "enabled", {
         /**
          * @input {boolean} Whether or not the infinite scroll should be
@@ -42223,15 +46420,15 @@ var InfiniteScroll = (function () {
         }
         // ******** DOM READ ****************
         var d = this._content.getContentDimensions();
-        var reloadY = d.contentHeight;
-        if (this._thrPc) {
-            reloadY += (reloadY * this._thrPc);
+        var threshold = (this._thrPc ? (d.contentHeight * this._thrPc) : this._thrPx);
+        // ******** DOM READS ABOVE / DOM WRITES BELOW ****************
+        var distanceFromInfinite;
+        if (this._position === POSITION_TOP) {
+            distanceFromInfinite = (d.scrollTop - infiniteHeight) - threshold;
         }
         else {
-            reloadY += this._thrPx;
+            distanceFromInfinite = ((d.scrollHeight - infiniteHeight) - d.scrollTop) - (d.contentHeight + threshold);
         }
-        // ******** DOM READS ABOVE / DOM WRITES BELOW ****************
-        var distanceFromInfinite = ((d.scrollHeight - infiniteHeight) - d.scrollTop) - reloadY;
         if (distanceFromInfinite < 0) {
             // ******** DOM WRITE ****************
             this._dom.write(function () {
@@ -42257,7 +46454,31 @@ var InfiniteScroll = (function () {
      * to `enabled`.
      */
     InfiniteScroll.prototype.complete = function () {
-        this.state = STATE_ENABLED;
+        var _this = this;
+        if (this._position !== POSITION_TOP || this.state !== STATE_LOADING || this._content.hasVirtualScroll()) {
+            // a VirtualScroll already keeps the records in view anchored
+            this.state = STATE_ENABLED;
+            return;
+        }
+        // the new items haven't been rendered above what's in view yet, so measure
+        // how far from the bottom it is now, then once they have been rendered,
+        // scroll back to the same distance from the bottom. it stays loading
+        // until then so it isn't called again meanwhile
+        // ******** DOM READ ****************
+        var d = this._content.getContentDimensions();
+        var scrollBottom = d.scrollHeight - d.scrollTop;
+        var scrollTop;
+        this._dom.read(function () {
+            // ******** DOM READ ****************
+            scrollTop = _this._content.getContentDimensions().scrollHeight - scrollBottom;
+        });
+        this._dom.write(function () {
+            // ******** DOM WRITE ****************
+            _this._content.scrollTop = scrollTop;
+            if (_this.state === STATE_LOADING) {
+                _this.state = STATE_ENABLED;
+            }
+        });
     };
     /**
      * Call `enable(false)` to disable the infinite scroll from actively
@@ -42318,6 +46539,7 @@ var InfiniteScroll = (function () {
     ];
     InfiniteScroll.propDecorators = {
         'threshold': [{ type: Input },],
+        'position': [{ type: Input },],
         'enabled': [{ type: Input },],
         'ionInfinite': [{ type: Output },],
     };
@@ -42326,6 +46548,8 @@ var InfiniteScroll = (function () {
 var STATE_ENABLED = 'enabled';
 var STATE_DISABLED = 'disabled';
 var STATE_LOADING = 'loading';
+var POSITION_TOP = 'top';
+var POSITION_BOTTOM = 'bottom';
 
 /**
  * @private
@@ -42370,7 +46594,7 @@ var InfiniteScrollContent = (function () {
     return InfiniteScrollContent;
 }());
 
-var __extends$94 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$96 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -42379,7 +46603,7 @@ var __extends$94 = (undefined && undefined.__extends) || function (d, b) {
  * @private
  */
 var ItemSlidingGesture = (function (_super) {
-    __extends$94(ItemSlidingGesture, _super);
+    __extends$96(ItemSlidingGesture, _super);
     function ItemSlidingGesture(list, gestureCtrl, domCtrl) {
         _super.call(this, list.getNativeElement(), {
             maxAngle: 20,
@@ -42473,7 +46697,7 @@ function clickedOptionButton(ev) {
     return !!ele;
 }
 
-var __extends$93 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$95 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -42514,7 +46738,7 @@ var __extends$93 = (undefined && undefined.__extends) || function (d, b) {
  *
  */
 var List = (function (_super) {
-    __extends$93(List, _super);
+    __extends$95(List, _super);
     function List(config, elementRef, renderer, _gestureCtrl, _domCtrl) {
         _super.call(this, config, elementRef, renderer, 'list');
         this._gestureCtrl = _gestureCtrl;
@@ -43040,7 +47264,7 @@ var ItemSliding = (function () {
     return ItemSliding;
 }());
 
-var __extends$95 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$97 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -43049,7 +47273,7 @@ var __extends$95 = (undefined && undefined.__extends) || function (d, b) {
  * @private
  */
 var ListHeader = (function (_super) {
-    __extends$95(ListHeader, _super);
+    __extends$97(ListHeader, _super);
     function ListHeader(config, renderer, elementRef, _id) {
         _super.call(this, config, elementRef, renderer, 'list-header');
         this._id = _id;
@@ -43104,7 +47328,7 @@ var ListHeader = (function (_super) {
     return ListHeader;
 }(Ion));
 
-var __extends$96 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$98 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -43113,7 +47337,7 @@ var __extends$96 = (undefined && undefined.__extends) || function (d, b) {
  * Gesture attached to the content which the menu is assigned to
  */
 var MenuContentGesture = (function (_super) {
-    __extends$96(MenuContentGesture, _super);
+    __extends$98(MenuContentGesture, _super);
     function MenuContentGesture(menu, gestureCtrl, domCtrl) {
         _super.call(this, document.body, {
             direction: 'x',
@@ -43162,13 +47386,14 @@ var MenuContentGesture = (function (_super) {
         var z = (this.menu.side === 'right' ? slide.min : slide.max);
         var currentStepValue = (slide.distance / z);
         var velocity = slide.velocity;
+        var stepVelocity = (velocity / z);
         z = Math.abs(z * 0.5);
         var shouldCompleteRight = (velocity >= 0)
             && (velocity > 0.2 || slide.delta > z);
         var shouldCompleteLeft = (velocity <= 0)
             && (velocity < -0.2 || slide.delta < -z);
         (void 0) /* console.debug */;
-        this.menu._swipeEnd(shouldCompleteLeft, shouldCompleteRight, currentStepValue, velocity);
+        this.menu._swipeEnd(shouldCompleteLeft, shouldCompleteRight, currentStepValue, velocity, stepVelocity);
     };
     MenuContentGesture.prototype.getElementStartPos = function (slide, ev) {
         if (this.menu.side === 'right') {
@@ -43244,6 +47469,13 @@ var MenuContentGesture = (function (_super) {
  * to the `Menu` with `persistent` set to true, any other `MenuToggle` buttons will not be affected.
  *
  *
+ * ### Split Pane
+ *
+ * On wider screens, such as tablets and desktops, a menu can be docked beside its content by
+ * placing them both within a [SplitPane](../../split-pane/SplitPane). While it's docked, the
+ * menu is always shown and can't be opened, closed or swiped.
+ *
+ *
  * @usage
  *
  * To add a menu to an application, the `<ion-menu>` element should be added as a sibling to
@@ -43374,6 +47606,7 @@ var Menu = (function () {
         this._isSwipeEnabled = true;
         this._isAnimating = false;
         this._isPersistent = false;
+        this._isPane = false;
         this._init = false;
         this._events = new UIEventManager();
         /**
@@ -43406,6 +47639,7 @@ var Menu = (function () {
         set: function (val) {
             this._isEnabled = isTrueProperty(val);
             this._setListeners();
+            this._setPaneClass();
         },
         enumerable: true,
         configurable: true
@@ -43492,13 +47726,14 @@ var Menu = (function () {
             return;
         }
         var gesture = this._gesture;
+        var shouldListen = this._isEnabled && this._isSwipeEnabled && !this._isPane;
         // only listen/unlisten if the menu has initialized
-        if (this._isEnabled && this._isSwipeEnabled && !gesture.isListening) {
+        if (shouldListen && !gesture.isListening) {
             // should listen, but is not currently listening
             (void 0) /* console.debug */;
             gesture.listen();
         }
-        else if (gesture.isListening && (!this._isEnabled || !this._isSwipeEnabled)) {
+        else if (gesture.isListening && !shouldListen) {
             // should not listen, but is currently listening
             (void 0) /* console.debug */;
             gesture.unlisten();
@@ -43522,8 +47757,8 @@ var Menu = (function () {
     Menu.prototype.setOpen = function (shouldOpen, animated) {
         var _this = this;
         if (animated === void 0) { animated = true; }
-        // If the menu is disabled or it is currenly being animated, let's do nothing
-        if ((shouldOpen === this.isOpen) || !this._isEnabled || this._isAnimating) {
+        // If the menu is disabled, docked in a split pane or it is currenly being animated, let's do nothing
+        if ((shouldOpen === this.isOpen) || !this._isEnabled || this._isPane || this._isAnimating) {
             return Promise.resolve(this.isOpen);
         }
         this._before();
@@ -43540,6 +47775,7 @@ var Menu = (function () {
     Menu.prototype.canSwipe = function () {
         return this._isEnabled &&
             this._isSwipeEnabled &&
+            !this._isPane &&
             !this._isAnimating &&
             this._app.isEnabled();
     };
@@ -43574,7 +47810,7 @@ var Menu = (function () {
             ionDrag.emit(stepValue);
         }
     };
-    Menu.prototype._swipeEnd = function (shouldCompleteLeft, shouldCompleteRight, stepValue, velocity) {
+    Menu.prototype._swipeEnd = function (shouldCompleteLeft, shouldCompleteRight, stepValue, velocity, stepVelocity) {
         var _this = this;
         if (!this._isAnimating) {
             (void 0) /* assert */;
@@ -43589,7 +47825,7 @@ var Menu = (function () {
         else {
             shouldComplete = (this.side === 'right') ? shouldCompleteRight : shouldCompleteLeft;
         }
-        this._getType().setProgressEnd(shouldComplete, stepValue, velocity, function (isOpen) {
+        this._getType().setProgressEnd(shouldComplete, stepValue, velocity, stepVelocity, function (isOpen) {
             (void 0) /* console.debug */;
             _this._after(isOpen);
         });
@@ -43681,6 +47917,37 @@ var Menu = (function () {
         // what happens if menu swipe is disabled while swipping?
         return this;
     };
+    /**
+     * @private
+     * @return {boolean} Returns `true` if the menu is docked in a split pane.
+     */
+    Menu.prototype.isPane = function () {
+        return this._isPane;
+    };
+    /**
+     * @private
+     * Called by the split pane when the menu is docked beside the content
+     * or goes back to being a menu which is opened over the content.
+     */
+    Menu.prototype._setPane = function (isPane) {
+        if (isPane === this._isPane) {
+            return;
+        }
+        if (isPane && this.isOpen) {
+            // a docked menu is never open, so close it without animating first
+            this.setOpen(false, false);
+        }
+        this._isPane = isPane;
+        this._setListeners();
+        this._setPaneClass();
+    };
+    /**
+     * @private
+     */
+    Menu.prototype._setPaneClass = function () {
+        // a disabled menu isn't shown in the split pane
+        this.setElementClass('split-pane-side', this._isPane && this._isEnabled);
+    };
     /**
      * @private
      */
@@ -43784,6 +48051,680 @@ var Menu = (function () {
     return Menu;
 }());
 
+/**
+ * @name SplitPane
+ * @description
+ * A split pane docks a menu, or a secondary nav, beside the app's main
+ * content when the screen is wide enough, such as on tablets and desktops.
+ * On smaller screens, such as phones, the menu goes back to being a normal
+ * menu which is swiped or toggled open over the content, and a secondary
+ * nav is hidden.
+ *
+ * The element which should fill the rest of the split pane needs the
+ * `main` attribute. Every other child of the split pane is docked beside
+ * it, and a menu is docked on its `side`.
+ *
+ *
+ * ### Breakpoints
+ *
+ * By default the side content is docked once the platform's width is
+ * `992px` or wider. This can be changed with the `when` property, which
+ * takes one of the below breakpoints, a minimum width such as `600px`, or
+ * `true` or `false` to always or never dock the side content.
+ *
+ * | Breakpoint | Minimum Width |
+ * |------------|---------------|
+ * | `xs`       | `0px`         |
+ * | `sm`       | `576px`       |
+ * | `md`       | `768px`       |
+ * | `lg`       | `992px`       |
+ * | `xl`       | `1200px`      |
+ *
+ *
+ * ### Docked Menus
+ *
+ * A docked menu is always shown, so it is not open, cannot be swiped open
+ * or closed, and any [MenuToggle](../../menu/MenuToggle) buttons for it are
+ * hidden. Calling `open()` on the [MenuController](../../menu/MenuController)
+ * for a docked menu resolves `false`, and `isOpen()` keeps returning `false`.
+ * Disabling a docked menu with `enable(false)` hides it from the split pane,
+ * and the main content fills the space it leaves.
+ *
+ *
+ * @usage
+ *
+ * ```html
+ * <ion-split-pane>
+ *   <ion-menu [content]="content">
+ *     <ion-content>
+ *       <ion-list>
+ *       ...
+ *       </ion-list>
+ *     </ion-content>
+ *   </ion-menu>
+ *
+ *   <ion-nav main #content [root]="rootPage"></ion-nav>
+ * </ion-split-pane>
+ * ```
+ *
+ * The side content can also be another nav, which is only shown on wide screens:
+ *
+ * ```html
+ * <ion-split-pane when="md" (ionChange)="splitPaneChanged($event)">
+ *   <ion-nav [root]="listPage"></ion-nav>
+ *   <ion-nav main [root]="detailPage"></ion-nav>
+ * </ion-split-pane>
+ * ```
+ *
+ * @see {@link ../../menu/Menu Menu API Docs}
+ * @see {@link ../../nav/Nav Nav API Docs}
+ */
+var SplitPane = (function () {
+    function SplitPane(_platform, _zone, _elementRef, _renderer) {
+        this._platform = _platform;
+        this._zone = _zone;
+        this._elementRef = _elementRef;
+        this._renderer = _renderer;
+        this._when = 'lg';
+        this._isEnabled = true;
+        this._visible = false;
+        this._init = false;
+        /**
+         * @output {SplitPane} Emitted when the side content is docked or
+         * undocked. Use `isVisible()` to know which it is.
+         */
+        this.ionChange = new EventEmitter();
+    }
+    Object.defineProperty(SplitPane.prototype, "when", {
+        /**
+         * @input {string | boolean} When the side content should be docked.
+         * Either a breakpoint, such as `md`, a minimum width, such as `600px`,
+         * or a boolean. Default `lg`.
+         */
+        get: function () {
+            return this._when;
+        },
+        set: function (val) {
+            this._when = val;
+            this._update();
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(SplitPane.prototype, "enabled", {
+        /**
+         * @input {boolean} Whether or not the split pane should dock its side
+         * content. When `false` it always acts as it does on a small screen.
+         * Default `true`.
+         */
+        get: function () {
+            return this._isEnabled;
+        },
+        set: function (val) {
+            this._isEnabled = isTrueProperty(val);
+            this._update();
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * @private
+     */
+    SplitPane.prototype.ngAfterContentInit = function () {
+        var _this = this;
+        this._init = true;
+        this._unregResize = this._platform.onResize(function () {
+            _this._zone.run(function () { return _this._update(); });
+        });
+        // menus added later, such as within an ngIf, also need to be docked
+        this._menuSub = this._menus.changes.subscribe(function () {
+            _this._setMenus();
+        });
+        this._update();
+    };
+    /**
+     * @return {boolean} Returns `true` if the side content is currently docked.
+     */
+    SplitPane.prototype.isVisible = function () {
+        return this._visible;
+    };
+    /**
+     * @private
+     */
+    SplitPane.prototype._update = function () {
+        if (!this._init) {
+            return;
+        }
+        var visible = this._isEnabled && matchesWhen(this._when, this._platform.width());
+        if (visible === this._visible) {
+            return;
+        }
+        (void 0) /* console.debug */;
+        this._visible = visible;
+        this._renderer.setElementClass(this._elementRef.nativeElement, 'split-pane-visible', visible);
+        this._setMenus();
+        this.ionChange.emit(this);
+    };
+    /**
+     * @private
+     */
+    SplitPane.prototype._setMenus = function () {
+        var _this = this;
+        this._menus.forEach(function (menu) {
+            menu._setPane(_this._visible);
+        });
+    };
+    /**
+     * @private
+     */
+    SplitPane.prototype.ngOnDestroy = function () {
+        this._unregResize && this._unregResize();
+        this._menuSub && this._menuSub.unsubscribe();
+        this._menus && this._menus.forEach(function (menu) {
+            menu._setPane(false);
+        });
+        this._unregResize = this._menuSub = null;
+    };
+    SplitPane.decorators = [
+        { type: Component, args: [{
+                    selector: 'ion-split-pane',
+                    template: '<ng-content></ng-content>',
+                    encapsulation: ViewEncapsulation.None,
+                },] },
+    ];
+    /** @nocollapse */
+    SplitPane.ctorParameters = [
+        { type: Platform, },
+        { type: NgZone, },
+        { type: ElementRef, },
+        { type: Renderer, },
+    ];
+    SplitPane.propDecorators = {
+        '_menus': [{ type: ContentChildren, args: [Menu,] },],
+        'when': [{ type: Input },],
+        'enabled': [{ type: Input },],
+        'ionChange': [{ type: Output },],
+    };
+    return SplitPane;
+}());
+/**
+ * @private
+ * Whether the `when` of a split pane, which is either a breakpoint, a
+ * minimum width or a boolean, matches the platform's width.
+ */
+function matchesWhen(when, width) {
+    if (typeof when === 'boolean') {
+        return when;
+    }
+    if (when === 'true' || when === '') {
+        return true;
+    }
+    if (when === 'false') {
+        return false;
+    }
+    var minWidth = QUERY.hasOwnProperty(when) ? QUERY[when] : parseFloat(when);
+    if (isNaN(minWidth)) {
+        console.warn("split pane, invalid when: " + when);
+        return false;
+    }
+    return width >= minWidth;
+}
+var QUERY = {
+    xs: 0,
+    sm: 576,
+    md: 768,
+    lg: 992,
+    xl: 1200
+};
+
+var __extends$99 = (undefined && undefined.__extends) || function (d, b) {
+    for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
+    function __() { this.constructor = d; }
+    d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+};
+/**
+ * @name Nav
+ * @description
+ *
+ * `ion-nav` is the declarative component for a [NavController](../../../navigation/NavController/).
+ *
+ * For more information on using nav controllers like Nav or [Tab](../../Tabs/Tab/),
+ * take a look at the [NavController API Docs](../../../navigation/NavController/).
+ *
+ *
+ * @usage
+ * You must set a root page to be loaded initially by any Nav you create, using
+ * the 'root' property:
+ *
+ * ```ts
+ * import { Component } from '@angular/core';
+ * import { GettingStartedPage } from './getting-started';
+ *
+ * @Component({
+ *   template: `<ion-nav [root]="root"></ion-nav>`
+ * })
+ * class MyApp {
+ *   root = GettingStartedPage;
+ *
+ *   constructor(){
+ *   }
+ * }
+ * ```
+ *
+ * @demo /docs/v2/demos/src/navigation/
+ * @see {@link /docs/v2/components#navigation Navigation Component Docs}
+ */
+var Nav = (function (_super) {
+    __extends$99(Nav, _super);
+    function Nav(viewCtrl, parent, app, config, keyboard, elementRef, zone, renderer, cfr, gestureCtrl, transCtrl, linker, domCtrl) {
+        _super.call(this, parent, app, config, keyboard, elementRef, zone, renderer, cfr, gestureCtrl, transCtrl, linker, domCtrl);
+        this._hasInit = false;
+        if (viewCtrl) {
+            // an ion-nav can also act as an ion-page within a parent ion-nav
+            // this would happen when an ion-nav nests a child ion-nav.
+            viewCtrl._setContent(this);
+        }
+        if (parent) {
+            // this Nav has a parent Nav
+            parent.registerChildNav(this);
+        }
+        else if (viewCtrl && viewCtrl.getNav()) {
+            // this Nav was opened from a modal
+            this.parent = viewCtrl.getNav();
+            this.parent.registerChildNav(this);
+        }
+        else if (app && !app.getRootNav()) {
+            // a root nav has not been registered yet with the app
+            // this is the root navcontroller for the entire app
+            app._setRootNav(this);
+        }
+    }
+    Object.defineProperty(Nav.prototype, "_vp", {
+        /**
+         * @private
+         */
+        set: function (val) {
+            this.setViewport(val);
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Nav.prototype.ngAfterViewInit = function () {
+        this._hasInit = true;
+        var navSegment = this._linker.initNav(this);
+        if (navSegment && navSegment.component) {
+            // there is a segment match in the linker
+            this.setPages(this._linker.initViews(navSegment), null, null);
+        }
+        else if (this._root) {
+            // no segment match, so use the root property
+            this.push(this._root, this.rootParams, {
+                isNavRoot: (this._app.getRootNav() === this)
+            }, null);
+        }
+    };
+    Nav.prototype.goToRoot = function (opts) {
+        this.setRoot(this._root, this.rootParams, opts, null);
+    };
+    Object.defineProperty(Nav.prototype, "root", {
+        /**
+         * @input {Page} The Page component to load as the root page within this nav.
+         */
+        get: function () {
+            return this._root;
+        },
+        set: function (page) {
+            this._root = page;
+            if (this._hasInit) {
+                this.setRoot(page);
+            }
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(Nav.prototype, "swipeBackEnabled", {
+        /**
+         * @input {boolean} Whether it's possible to swipe-to-go-back on this nav controller or not.
+         */
+        get: function () {
+            return this._sbEnabled;
+        },
+        set: function (val) {
+            this._sbEnabled = isTrueProperty(val);
+            this._swipeBackCheck();
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * @private
+     */
+    Nav.prototype.destroy = function () {
+        this.destroy();
+    };
+    Nav.decorators = [
+        { type: Component, args: [{
+                    selector: 'ion-nav',
+                    template: '<div #viewport nav-viewport></div>' +
+                        '<div class="nav-decor"></div>',
+                    encapsulation: ViewEncapsulation.None,
+                },] },
+    ];
+    /** @nocollapse */
+    Nav.ctorParameters = [
+        { type: ViewController, decorators: [{ type: Optional },] },
+        { type: NavController, decorators: [{ type: Optional },] },
+        { type: App, },
+        { type: Config, },
+        { type: Keyboard, },
+        { type: ElementRef, },
+        { type: NgZone, },
+        { type: Renderer, },
+        { type: ComponentFactoryResolver, },
+        { type: GestureController, },
+        { type: TransitionController, },
+        { type: DeepLinker, decorators: [{ type: Optional },] },
+        { type: DomController, },
+    ];
+    Nav.propDecorators = {
+        '_vp': [{ type: ViewChild, args: ['viewport', { read: ViewContainerRef },] },],
+        'root': [{ type: Input },],
+        'rootParams': [{ type: Input },],
+        'swipeBackEnabled': [{ type: Input },],
+    };
+    return Nav;
+}(NavControllerBase));
+
+/**
+ * @name MasterDetail
+ * @description
+ * A master-detail coordinates two navs, such as a list of items and the
+ * details of the selected item. On wide screens, such as tablets and desktops,
+ * the `master` nav is shown beside the `detail` nav, and pages pushed from the
+ * master nav are shown in the detail nav instead. On smaller screens, such as
+ * phones, only the master nav is shown and pages are pushed onto it like any
+ * other nav.
+ *
+ * When the screen changes from one layout to the other, such as when a
+ * tablet is rotated, the pages which were pushed from the master nav are
+ * moved into the nav which now shows them.
+ *
+ *
+ * ### Navigating
+ *
+ * Pages within the master nav push pages with their `NavController` as usual.
+ * While both navs are shown, the pushed page becomes the root of the detail
+ * nav, and pages within the detail nav push onto the detail nav. The detail
+ * nav is a child nav of the master nav, so the hardware back button first
+ * goes back within the detail nav, then within the master nav, and
+ * `App.getActiveNav()` returns the detail nav.
+ *
+ *
+ * ### Deep Linking
+ *
+ * While both navs are shown, the url is made up of the master nav's page
+ * followed by the detail nav's page, such as `/contacts/contact/23`, and each
+ * nav is given its own part of the url when the app is loaded from a url.
+ *
+ *
+ * ### Breakpoints
+ *
+ * By default both navs are shown once the platform's width is `768px` or
+ * wider. This can be changed with the `when` property, which takes the same
+ * values as a [SplitPane](../../split-pane/SplitPane)'s `when`.
+ *
+ *
+ * @usage
+ *
+ * ```html
+ * <ion-master-detail>
+ *   <ion-nav master [root]="contactsPage"></ion-nav>
+ *   <ion-nav detail [root]="noContactPage"></ion-nav>
+ * </ion-master-detail>
+ * ```
+ *
+ * ```ts
+ * @Component({...})
+ * export class ContactsPage {
+ *   constructor(public navCtrl: NavController) {}
+ *
+ *   openContact(contact) {
+ *     // shown in the detail nav on tablets, and pushed onto this nav on phones
+ *     this.navCtrl.push(ContactPage, { contact: contact });
+ *   }
+ * }
+ * ```
+ *
+ * @see {@link ../../split-pane/SplitPane SplitPane API Docs}
+ * @see {@link ../../nav/Nav Nav API Docs}
+ */
+var MasterDetail = (function () {
+    function MasterDetail(_app, _platform, _zone, _elementRef, _renderer) {
+        this._app = _app;
+        this._platform = _platform;
+        this._zone = _zone;
+        this._elementRef = _elementRef;
+        this._renderer = _renderer;
+        this._when = 'md';
+        this._isEnabled = true;
+        this._visible = false;
+        this._init = false;
+        // the index in the master nav of the first page which was pushed
+        // from the master nav while only the master nav was shown
+        this._detailStart = -1;
+        // whether the detail nav is showing a page pushed from the master nav
+        this._hasDetail = false;
+        /**
+         * @output {MasterDetail} Emitted when the navs change from being shown
+         * beside each other to only the master nav being shown, or back again.
+         */
+        this.ionChange = new EventEmitter();
+    }
+    Object.defineProperty(MasterDetail.prototype, "when", {
+        /**
+         * @input {string | boolean} When both navs should be shown beside each other.
+         * Either a breakpoint, such as `lg`, a minimum width, such as `600px`,
+         * or a boolean. Default `md`.
+         */
+        get: function () {
+            return this._when;
+        },
+        set: function (val) {
+            this._when = val;
+            this._update();
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(MasterDetail.prototype, "enabled", {
+        /**
+         * @input {boolean} Whether or not both navs can be shown beside each other.
+         * When `false` only the master nav is shown. Default `true`.
+         */
+        get: function () {
+            return this._isEnabled;
+        },
+        set: function (val) {
+            this._isEnabled = isTrueProperty(val);
+            this._update();
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * @private
+     */
+    MasterDetail.prototype.ngAfterContentInit = function () {
+        var _this = this;
+        var navs = this._navs.toArray();
+        this._master = navs.find(function (nav) { return hasAttribute(nav, 'master'); }) || navs[0];
+        this._detail = navs.find(function (nav) { return hasAttribute(nav, 'detail'); }) || navs[navs.length - 1];
+        if (!this._master || this._master === this._detail) {
+            return console.error('MasterDetail: must have a master and a detail nav. Example:\n\n<ion-master-detail>\n  <ion-nav master [root]="listPage"></ion-nav>\n  <ion-nav detail></ion-nav>\n</ion-master-detail>');
+        }
+        var master = this._master;
+        var detail = this._detail;
+        master.setElementClass('master-detail-master', true);
+        detail.setElementClass('master-detail-detail', true);
+        // the detail nav is always a child of the master nav, which is
+        // what gives it its own part of the url. This happens before
+        // either nav has loaded its pages from the deep linker
+        if (this._app.getRootNav() === detail) {
+            this._app._setRootNav(master);
+        }
+        if (detail.parent) {
+            detail.parent.unregisterChildNav(detail);
+        }
+        detail.parent = master;
+        master._masterDetail = this;
+        this._init = true;
+        this._unregResize = this._platform.onResize(function () {
+            _this._zone.run(function () { return _this._update(); });
+        });
+        this._update();
+    };
+    /**
+     * @return {boolean} Returns `true` if the master and detail navs are shown beside each other.
+     */
+    MasterDetail.prototype.isVisible = function () {
+        return this._visible;
+    };
+    /**
+     * @return {NavController} Returns the master nav.
+     */
+    MasterDetail.prototype.getMasterNav = function () {
+        return this._master;
+    };
+    /**
+     * @return {NavController} Returns the detail nav.
+     */
+    MasterDetail.prototype.getDetailNav = function () {
+        return this._detail;
+    };
+    /**
+     * @private
+     * Called by the master nav for every page pushed onto it.
+     */
+    MasterDetail.prototype._push = function (page, params, opts, done) {
+        var master = this._master;
+        if (!master.length()) {
+            // the master nav's own root page
+            return master.insert(-1, page, params, opts, done);
+        }
+        if (this._visible) {
+            this._hasDetail = true;
+            return this._detail.setRoot(page, params, opts, done);
+        }
+        if (this._detailStart < 0 || this._detailStart > master.length()) {
+            // this is the first page pushed since the master's own pages
+            this._detailStart = master.length();
+        }
+        return master.insert(-1, page, params, opts, done);
+    };
+    /**
+     * @private
+     */
+    MasterDetail.prototype._update = function () {
+        if (!this._init) {
+            return;
+        }
+        var visible = this._isEnabled && matchesWhen(this._when, this._platform.width());
+        if (visible === this._visible) {
+            return;
+        }
+        (void 0) /* console.debug */;
+        this._visible = visible;
+        this._renderer.setElementClass(this._elementRef.nativeElement, 'master-detail-visible', visible);
+        if (visible) {
+            this._showDetail();
+        }
+        else {
+            this._hideDetail();
+        }
+        this.ionChange.emit(this);
+    };
+    /**
+     * @private
+     * Moves the pages pushed from the master nav into the detail nav.
+     */
+    MasterDetail.prototype._showDetail = function () {
+        var master = this._master;
+        var detail = this._detail;
+        // the detail nav is now the active nav for the back button and urls
+        master.registerChildNav(detail);
+        var start = this._detailStart;
+        this._detailStart = -1;
+        if (start < 0 || master.length() <= start) {
+            return;
+        }
+        var pages = master.getViews().slice(start).map(getPage);
+        this._hasDetail = true;
+        detail.setPages(pages, { animate: false });
+        master.remove(start, pages.length, { animate: false });
+    };
+    /**
+     * @private
+     * Moves the pages in the detail nav onto the end of the master nav.
+     */
+    MasterDetail.prototype._hideDetail = function () {
+        var master = this._master;
+        var detail = this._detail;
+        master.unregisterChildNav(detail);
+        if (!this._hasDetail || !detail.length()) {
+            return;
+        }
+        var pages = detail.getViews().map(getPage);
+        this._hasDetail = false;
+        this._detailStart = master.length();
+        master.insertPages(-1, pages, { animate: false });
+        // the detail nav is hidden, so it goes back to its own root for next time
+        if (detail.root) {
+            detail.goToRoot({ animate: false });
+        }
+        else {
+            detail.remove(0, detail.length(), { animate: false });
+        }
+    };
+    /**
+     * @private
+     */
+    MasterDetail.prototype.ngOnDestroy = function () {
+        this._unregResize && this._unregResize();
+        if (this._master) {
+            this._master._masterDetail = null;
+        }
+        this._unregResize = this._master = this._detail = null;
+    };
+    MasterDetail.decorators = [
+        { type: Component, args: [{
+                    selector: 'ion-master-detail',
+                    template: '<ng-content></ng-content>',
+                    encapsulation: ViewEncapsulation.None,
+                },] },
+    ];
+    /** @nocollapse */
+    MasterDetail.ctorParameters = [
+        { type: App, },
+        { type: Platform, },
+        { type: NgZone, },
+        { type: ElementRef, },
+        { type: Renderer, },
+    ];
+    MasterDetail.propDecorators = {
+        '_navs': [{ type: ContentChildren, args: [Nav,] },],
+        'when': [{ type: Input },],
+        'enabled': [{ type: Input },],
+        'ionChange': [{ type: Output },],
+    };
+    return MasterDetail;
+}());
+function hasAttribute(nav, name) {
+    return nav.getNativeElement().hasAttribute(name);
+}
+function getPage(view) {
+    return { page: view.component, params: view.data };
+}
+
 /**
  * @name MenuClose
  * @description
@@ -43835,7 +48776,7 @@ var MenuClose = (function () {
     return MenuClose;
 }());
 
-var __extends$98 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$101 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -43864,7 +48805,7 @@ var __extends$98 = (undefined && undefined.__extends) || function (d, b) {
  *
  */
 var Header = (function (_super) {
-    __extends$98(Header, _super);
+    __extends$101(Header, _super);
     function Header(config, elementRef, renderer, viewCtrl) {
         _super.call(this, config, elementRef, renderer, 'header');
         viewCtrl && viewCtrl._setHeader(this);
@@ -43903,7 +48844,7 @@ var Header = (function (_super) {
  *
  */
 var Footer = (function (_super) {
-    __extends$98(Footer, _super);
+    __extends$101(Footer, _super);
     function Footer(config, elementRef, renderer, viewCtrl) {
         _super.call(this, config, elementRef, renderer, 'footer');
         viewCtrl && viewCtrl._setFooter(this);
@@ -43926,7 +48867,7 @@ var Footer = (function (_super) {
  * @private
  */
 var ToolbarBase = (function (_super) {
-    __extends$98(ToolbarBase, _super);
+    __extends$101(ToolbarBase, _super);
     function ToolbarBase(config, elementRef, renderer) {
         _super.call(this, config, elementRef, renderer, 'toolbar');
     }
@@ -44034,7 +48975,7 @@ var ToolbarBase = (function (_super) {
  * @see {@link ../../navbar/Navbar/ Navbar API Docs}
  */
 var Toolbar = (function (_super) {
-    __extends$98(Toolbar, _super);
+    __extends$101(Toolbar, _super);
     function Toolbar(viewCtrl, config, elementRef, renderer) {
         _super.call(this, config, elementRef, renderer);
         this._sbPadding = config.getBoolean('statusbarPadding');
@@ -44090,7 +49031,7 @@ var Toolbar = (function (_super) {
     return Toolbar;
 }(ToolbarBase));
 
-var __extends$97 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$100 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -44132,7 +49073,7 @@ var __extends$97 = (undefined && undefined.__extends) || function (d, b) {
  * @see {@link ../../toolbar/Toolbar/ Toolbar API Docs}
  */
 var Navbar = (function (_super) {
-    __extends$97(Navbar, _super);
+    __extends$100(Navbar, _super);
     function Navbar(_app, viewCtrl, navCtrl, config, elementRef, renderer) {
         _super.call(this, config, elementRef, renderer);
         this._app = _app;
@@ -44356,12 +49297,16 @@ var MenuToggle = (function () {
         * @private
         */
         get: function () {
+            var menu = this._menu.get(this.menuToggle);
+            if (menu && menu.isPane()) {
+                // the menu is docked in a split pane, so there's nothing to toggle
+                return true;
+            }
             if (this._inNavbar && this._viewCtrl) {
                 if (this._viewCtrl.isFirst()) {
                     // this is the first view, so it should always show
                     return false;
                 }
-                var menu = this._menu.get(this.menuToggle);
                 if (menu) {
                     // this is not the root view, so see if this menu
                     // is configured to still be enabled if it's not the root view
@@ -44613,164 +49558,6 @@ var NextInput = (function () {
     return NextInput;
 }());
 
-var __extends$99 = (undefined && undefined.__extends) || function (d, b) {
-    for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
-    function __() { this.constructor = d; }
-    d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
-};
-/**
- * @name Nav
- * @description
- *
- * `ion-nav` is the declarative component for a [NavController](../../../navigation/NavController/).
- *
- * For more information on using nav controllers like Nav or [Tab](../../Tabs/Tab/),
- * take a look at the [NavController API Docs](../../../navigation/NavController/).
- *
- *
- * @usage
- * You must set a root page to be loaded initially by any Nav you create, using
- * the 'root' property:
- *
- * ```ts
- * import { Component } from '@angular/core';
- * import { GettingStartedPage } from './getting-started';
- *
- * @Component({
- *   template: `<ion-nav [root]="root"></ion-nav>`
- * })
- * class MyApp {
- *   root = GettingStartedPage;
- *
- *   constructor(){
- *   }
- * }
- * ```
- *
- * @demo /docs/v2/demos/src/navigation/
- * @see {@link /docs/v2/components#navigation Navigation Component Docs}
- */
-var Nav = (function (_super) {
-    __extends$99(Nav, _super);
-    function Nav(viewCtrl, parent, app, config, keyboard, elementRef, zone, renderer, cfr, gestureCtrl, transCtrl, linker, domCtrl) {
-        _super.call(this, parent, app, config, keyboard, elementRef, zone, renderer, cfr, gestureCtrl, transCtrl, linker, domCtrl);
-        this._hasInit = false;
-        if (viewCtrl) {
-            // an ion-nav can also act as an ion-page within a parent ion-nav
-            // this would happen when an ion-nav nests a child ion-nav.
-            viewCtrl._setContent(this);
-        }
-        if (parent) {
-            // this Nav has a parent Nav
-            parent.registerChildNav(this);
-        }
-        else if (viewCtrl && viewCtrl.getNav()) {
-            // this Nav was opened from a modal
-            this.parent = viewCtrl.getNav();
-            this.parent.registerChildNav(this);
-        }
-        else if (app && !app.getRootNav()) {
-            // a root nav has not been registered yet with the app
-            // this is the root navcontroller for the entire app
-            app._setRootNav(this);
-        }
-    }
-    Object.defineProperty(Nav.prototype, "_vp", {
-        /**
-         * @private
-         */
-        set: function (val) {
-            this.setViewport(val);
-        },
-        enumerable: true,
-        configurable: true
-    });
-    Nav.prototype.ngAfterViewInit = function () {
-        this._hasInit = true;
-        var navSegment = this._linker.initNav(this);
-        if (navSegment && navSegment.component) {
-            // there is a segment match in the linker
-            this.setPages(this._linker.initViews(navSegment), null, null);
-        }
-        else if (this._root) {
-            // no segment match, so use the root property
-            this.push(this._root, this.rootParams, {
-                isNavRoot: (this._app.getRootNav() === this)
-            }, null);
-        }
-    };
-    Nav.prototype.goToRoot = function (opts) {
-        this.setRoot(this._root, this.rootParams, opts, null);
-    };
-    Object.defineProperty(Nav.prototype, "root", {
-        /**
-         * @input {Page} The Page component to load as the root page within this nav.
-         */
-        get: function () {
-            return this._root;
-        },
-        set: function (page) {
-            this._root = page;
-            if (this._hasInit) {
-                this.setRoot(page);
-            }
-        },
-        enumerable: true,
-        configurable: true
-    });
-    Object.defineProperty(Nav.prototype, "swipeBackEnabled", {
-        /**
-         * @input {boolean} Whether it's possible to swipe-to-go-back on this nav controller or not.
-         */
-        get: function () {
-            return this._sbEnabled;
-        },
-        set: function (val) {
-            this._sbEnabled = isTrueProperty(val);
-            this._swipeBackCheck();
-        },
-        enumerable: true,
-        configurable: true
-    });
-    /**
-     * @private
-     */
-    Nav.prototype.destroy = function () {
-        this.destroy();
-    };
-    Nav.decorators = [
-        { type: Component, args: [{
-                    selector: 'ion-nav',
-                    template: '<div #viewport nav-viewport></div>' +
-                        '<div class="nav-decor"></div>',
-                    encapsulation: ViewEncapsulation.None,
-                },] },
-    ];
-    /** @nocollapse */
-    Nav.ctorParameters = [
-        { type: ViewController, decorators: [{ type: Optional },] },
-        { type: NavController, decorators: [{ type: Optional },] },
-        { type: App, },
-        { type: Config, },
-        { type: Keyboard, },
-        { type: ElementRef, },
-        { type: NgZone, },
-        { type: Renderer, },
-        { type: ComponentFactoryResolver, },
-        { type: GestureController, },
-        { type: TransitionController, },
-        { type: DeepLinker, decorators: [{ type: Optional },] },
-        { type: DomController, },
-    ];
-    Nav.propDecorators = {
-        '_vp': [{ type: ViewChild, args: ['viewport', { read: ViewContainerRef },] },],
-        'root': [{ type: Input },],
-        'rootParams': [{ type: Input },],
-        'swipeBackEnabled': [{ type: Input },],
-    };
-    return Nav;
-}(NavControllerBase));
-
 /**
  * @name NavPop
  * @description
@@ -44970,7 +49757,7 @@ var NavPushAnchor = (function () {
     return NavPushAnchor;
 }());
 
-var __extends$100 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$102 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -44979,7 +49766,7 @@ var __extends$100 = (undefined && undefined.__extends) || function (d, b) {
   * @private
   */
 var Note = (function (_super) {
-    __extends$100(Note, _super);
+    __extends$102(Note, _super);
     function Note(config, elementRef, renderer) {
         _super.call(this, config, elementRef, renderer, 'note');
     }
@@ -45330,7 +50117,7 @@ var RadioGroup = (function () {
 }());
 var radioGroupIds = -1;
 
-var __extends$101 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$103 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -45371,7 +50158,7 @@ var __extends$101 = (undefined && undefined.__extends) || function (d, b) {
  * @see {@link ../RadioGroup RadioGroup API Docs}
  */
 var RadioButton = (function (_super) {
-    __extends$101(RadioButton, _super);
+    __extends$103(RadioButton, _super);
     function RadioButton(_form, config, elementRef, renderer, _item, _group) {
         _super.call(this, config, elementRef, renderer, 'radio');
         this._form = _form;
@@ -45573,7 +50360,7 @@ var TimeoutDebouncer = (function () {
     return TimeoutDebouncer;
 }());
 
-var __extends$102 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$104 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -45758,7 +50545,7 @@ var RangeKnob = (function () {
  * @demo /docs/v2/demos/src/range/
  */
 var Range = (function (_super) {
-    __extends$102(Range, _super);
+    __extends$104(Range, _super);
     function Range(_form, _haptic, _item, config, elementRef, renderer) {
         _super.call(this, config, elementRef, renderer, 'range');
         this._form = _form;
@@ -46913,7 +51700,7 @@ var Scroll = (function () {
     return Scroll;
 }());
 
-var __extends$103 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$105 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -46938,7 +51725,7 @@ var __extends$103 = (undefined && undefined.__extends) || function (d, b) {
  * @see {@link /docs/v2/components#searchbar Searchbar Component Docs}
  */
 var Searchbar = (function (_super) {
-    __extends$103(Searchbar, _super);
+    __extends$105(Searchbar, _super);
     function Searchbar(config, elementRef, renderer, ngControl) {
         _super.call(this, config, elementRef, renderer, 'searchbar');
         this._value = '';
@@ -47347,7 +52134,7 @@ var Searchbar = (function (_super) {
     return Searchbar;
 }(Ion));
 
-var __extends$104 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$106 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -47528,7 +52315,7 @@ var SegmentButton = (function () {
  * @see [Angular 2 Forms](http://learnangular2.com/forms/)
  */
 var Segment = (function (_super) {
-    __extends$104(Segment, _super);
+    __extends$106(Segment, _super);
     function Segment(config, elementRef, renderer, ngControl) {
         _super.call(this, config, elementRef, renderer, 'segment');
         this._disabled = false;
@@ -47652,7 +52439,290 @@ var Segment = (function (_super) {
     return Segment;
 }(Ion));
 
-var __extends$105 = (undefined && undefined.__extends) || function (d, b) {
+/**
+ * @private
+ */
+var SelectModalCmp = (function () {
+    function SelectModalCmp(_viewCtrl, _elementRef, config, params, _renderer) {
+        this._viewCtrl = _viewCtrl;
+        this._loadId = 0;
+        this.items = [];
+        this.loading = false;
+        this.d = params.data;
+        this.mode = config.get('mode');
+        _renderer.setElementClass(_elementRef.nativeElement, "select-modal-" + this.mode, true);
+        if (this.d.cssClass) {
+            this.d.cssClass.split(' ').forEach(function (cssClass) {
+                // Make sure the class isn't whitespace, otherwise it throws exceptions
+                if (cssClass.trim() !== '')
+                    _renderer.setElementClass(_elementRef.nativeElement, cssClass, true);
+            });
+        }
+        // copy the selected options so cancelling leaves the select untouched
+        this.selected = this.d.selected.slice();
+    }
+    SelectModalCmp.prototype.ionViewDidLoad = function () {
+        this.search('');
+    };
+    /**
+     * Filters the options by their text, or asks the select's
+     * `loadOptions` function for the options to show.
+     */
+    SelectModalCmp.prototype.search = function (searchText) {
+        var _this = this;
+        searchText = (searchText || '').trim();
+        if (!this.d.loadOptions) {
+            var lowerText = searchText.toLowerCase();
+            this.setItems(this.d.options.filter(function (o) {
+                return !lowerText || o.text.toLowerCase().indexOf(lowerText) > -1;
+            }));
+            return;
+        }
+        // only the latest search is shown, even when an
+        // earlier one takes longer to load
+        var loadId = ++this._loadId;
+        this.loading = true;
+        Promise.resolve(this.d.loadOptions(searchText)).then(function (options) {
+            if (loadId === _this._loadId) {
+                _this.loading = false;
+                _this.setItems((options || []).map(normalizeOption));
+            }
+        }, function (err) {
+            console.error(err);
+            if (loadId === _this._loadId) {
+                _this.loading = false;
+                _this.setItems([]);
+            }
+        });
+    };
+    SelectModalCmp.prototype.setItems = function (items) {
+        var _this = this;
+        items.forEach(function (item) {
+            item.checked = _this.isSelected(item.value);
+        });
+        this.items = items;
+    };
+    SelectModalCmp.prototype.isSelected = function (value) {
+        return this.selected.some(function (o) { return isCheckedProperty(o.value, value); });
+    };
+    SelectModalCmp.prototype.select = function (item) {
+        if (item.disabled) {
+            return;
+        }
+        if (!this.d.multiple) {
+            this.selected = [item];
+            item.handler && item.handler(item);
+            this.done();
+            return;
+        }
+        item.checked = !item.checked;
+        if (item.checked) {
+            this.selected.push(item);
+            item.handler && item.handler(item);
+        }
+        else {
+            this.deselect(item);
+        }
+    };
+    SelectModalCmp.prototype.deselect = function (option) {
+        this.selected = this.selected.filter(function (o) { return !isCheckedProperty(o.value, option.value); });
+        this.items.forEach(function (item) {
+            if (isCheckedProperty(item.value, option.value)) {
+                item.checked = false;
+            }
+        });
+    };
+    SelectModalCmp.prototype.done = function () {
+        return this._viewCtrl.dismiss(this.selected);
+    };
+    SelectModalCmp.prototype.cancel = function () {
+        return this._viewCtrl.dismiss(null, 'cancel');
+    };
+    SelectModalCmp.decorators = [
+        { type: Component, args: [{
+                    selector: 'ion-select-modal',
+                    template: '<ion-header>' +
+                        '<ion-toolbar>' +
+                        '<ion-buttons start>' +
+                        '<button ion-button (click)="cancel()">{{d.cancelText}}</button>' +
+                        '</ion-buttons>' +
+                        '<ion-title>{{d.title}}</ion-title>' +
+                        '<ion-buttons end *ngIf="d.multiple">' +
+                        '<button ion-button (click)="done()">{{d.okText}}</button>' +
+                        '</ion-buttons>' +
+                        '</ion-toolbar>' +
+                        '<ion-toolbar>' +
+                        '<ion-searchbar #searchbar [placeholder]="d.searchPlaceholder" [debounce]="d.searchDebounce" (ionInput)="search(searchbar.value)"></ion-searchbar>' +
+                        '</ion-toolbar>' +
+                        '<div *ngIf="d.multiple && selected.length" class="select-modal-chips">' +
+                        '<ion-chip *ngFor="let o of selected">' +
+                        '<ion-label>{{o.text}}</ion-label>' +
+                        '<button ion-button clear (click)="deselect(o)">' +
+                        '<ion-icon name="close-circle"></ion-icon>' +
+                        '</button>' +
+                        '</ion-chip>' +
+                        '</div>' +
+                        '</ion-header>' +
+                        '<ion-content>' +
+                        '<ion-list [virtualScroll]="items" [approxItemHeight]="d.approxItemHeight">' +
+                        '<button ion-item *virtualItem="let o" (click)="select(o)" [disabled]="o.disabled" [attr.role]="d.multiple ? \'checkbox\' : \'radio\'" [attr.aria-checked]="o.checked" class="select-modal-option" [class.select-modal-option-checked]="o.checked">' +
+                        '{{o.text}}' +
+                        '<ion-icon *ngIf="o.checked" name="checkmark" item-right></ion-icon>' +
+                        '</button>' +
+                        '</ion-list>' +
+                        '<div *ngIf="loading" class="select-modal-loading">' +
+                        '<ion-spinner></ion-spinner>' +
+                        '</div>' +
+                        '</ion-content>',
+                    host: {
+                        'role': 'dialog'
+                    },
+                    encapsulation: ViewEncapsulation.None,
+                },] },
+    ];
+    /** @nocollapse */
+    SelectModalCmp.ctorParameters = [
+        { type: ViewController, },
+        { type: ElementRef, },
+        { type: Config, },
+        { type: NavParams, },
+        { type: Renderer, },
+    ];
+    return SelectModalCmp;
+}());
+function normalizeOption(option) {
+    return {
+        text: option.text,
+        value: isPresent$4(option.value) ? option.value : option.text,
+        disabled: !!option.disabled
+    };
+}
+
+/**
+ * @private
+ */
+var SelectPopoverCmp = (function () {
+    function SelectPopoverCmp(_viewCtrl, _elementRef, params) {
+        var _this = this;
+        this._viewCtrl = _viewCtrl;
+        this._elementRef = _elementRef;
+        this.activeIndex = -1;
+        this.d = params.data;
+        // copy the selected options so cancelling leaves the select untouched
+        this.selected = this.d.selected.slice();
+        this.d.options.forEach(function (option, index) {
+            option.checked = _this.isSelected(option.value);
+            if (option.checked && _this.activeIndex < 0) {
+                _this.activeIndex = index;
+            }
+        });
+        if (this.activeIndex < 0) {
+            this.activeIndex = this.nextIndex(-1, 1);
+        }
+    }
+    SelectPopoverCmp.prototype.ionViewDidEnter = function () {
+        this.focusOption();
+    };
+    SelectPopoverCmp.prototype.isSelected = function (value) {
+        return this.selected.some(function (o) { return isCheckedProperty(o.value, value); });
+    };
+    SelectPopoverCmp.prototype.select = function (option) {
+        if (!option || option.disabled) {
+            return;
+        }
+        this.activeIndex = this.d.options.indexOf(option);
+        if (!this.d.multiple) {
+            this.selected = [option];
+            option.handler && option.handler(option);
+            this.done();
+            return;
+        }
+        option.checked = !option.checked;
+        if (option.checked) {
+            this.selected.push(option);
+            option.handler && option.handler(option);
+        }
+        else {
+            this.selected = this.selected.filter(function (o) { return !isCheckedProperty(o.value, option.value); });
+        }
+    };
+    SelectPopoverCmp.prototype.done = function () {
+        return this._viewCtrl.dismiss(this.selected);
+    };
+    SelectPopoverCmp.prototype.cancel = function () {
+        return this._viewCtrl.dismiss(null, 'cancel');
+    };
+    SelectPopoverCmp.prototype._keyDown = function (ev) {
+        if (!this._viewCtrl.isLast()) {
+            return;
+        }
+        var keyCode = ev.keyCode;
+        if (keyCode === Key.UP || keyCode === Key.DOWN) {
+            ev.preventDefault();
+            this.activeIndex = this.nextIndex(this.activeIndex, keyCode === Key.UP ? -1 : 1);
+            this.focusOption();
+        }
+        else if (keyCode === Key.ENTER) {
+            var target = ev.target;
+            if (target && target.tagName === 'BUTTON' && !isOption(target)) {
+                // the cancel and ok buttons handle their own enter
+                return;
+            }
+            // an option button's own click would select it a second time
+            ev.preventDefault();
+            this.select(this.d.options[this.activeIndex]);
+        }
+    };
+    /**
+     * Returns the index of the next option which isn't disabled,
+     * wrapping around at either end of the list.
+     */
+    SelectPopoverCmp.prototype.nextIndex = function (index, step) {
+        var options = this.d.options;
+        for (var i = 0; i < options.length; i++) {
+            index = (index + step + options.length) % options.length;
+            if (!options[index].disabled) {
+                return index;
+            }
+        }
+        return -1;
+    };
+    SelectPopoverCmp.prototype.focusOption = function () {
+        var ele = this._elementRef.nativeElement.querySelectorAll('.select-popover-option')[this.activeIndex];
+        ele && ele.focus();
+    };
+    SelectPopoverCmp.decorators = [
+        { type: Component, args: [{
+                    selector: 'ion-select-popover',
+                    template: '<ion-list [attr.role]="d.multiple ? \'group\' : \'radiogroup\'">' +
+                        '<button ion-item *ngFor="let o of d.options; let i = index" (click)="select(o)" (focus)="activeIndex = i" [disabled]="o.disabled" [attr.role]="d.multiple ? \'checkbox\' : \'radio\'" [attr.aria-checked]="o.checked" [attr.tabindex]="i === activeIndex ? 0 : -1" class="select-popover-option" [class.select-popover-option-checked]="o.checked">' +
+                        '{{o.text}}' +
+                        '<ion-icon *ngIf="o.checked" name="checkmark" item-right></ion-icon>' +
+                        '</button>' +
+                        '</ion-list>' +
+                        '<div *ngIf="d.multiple" class="select-popover-buttons">' +
+                        '<button ion-button clear (click)="cancel()">{{d.cancelText}}</button>' +
+                        '<button ion-button clear (click)="done()">{{d.okText}}</button>' +
+                        '</div>',
+                    encapsulation: ViewEncapsulation.None,
+                },] },
+    ];
+    /** @nocollapse */
+    SelectPopoverCmp.ctorParameters = [
+        { type: ViewController, },
+        { type: ElementRef, },
+        { type: NavParams, },
+    ];
+    SelectPopoverCmp.propDecorators = {
+        '_keyDown': [{ type: HostListener, args: ['body:keydown', ['$event'],] },],
+    };
+    return SelectPopoverCmp;
+}());
+function isOption(ele) {
+    return !!ele && !!ele.classList && ele.classList.contains('select-popover-option');
+}
+
+var __extends$107 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -47682,6 +52752,17 @@ var SELECT_VALUE_ACCESSOR$1 = {
  * `action-sheet` to the `interface` property. Read the other sections for the limitations of the
  * action sheet interface.
  *
+ * Passing `modal` to the `interface` property opens the options in a full page
+ * {@link ../../modal/ModalController Modal} instead. The modal has a searchbar to filter
+ * the options by their text, and uses `VirtualScroll` for the list, so it is the best
+ * choice when there are hundreds of options. Read the Modal Interface section below.
+ *
+ * On tablets and desktops, passing `popover` to the `interface` property opens the options
+ * in a {@link ../../popover/PopoverController Popover} which is anchored to the select.
+ * The up and down arrow keys move through the options, and enter selects the focused option.
+ * Like the modal, a multi-value select's popover has `Cancel` and `OK` buttons, while a single
+ * value select's popover closes as soon as an option is selected.
+ *
  * ### Single Value: Radio Buttons
  *
  * The standard `ion-select` component allows the user to select only one
@@ -47762,10 +52843,42 @@ var SELECT_VALUE_ACCESSOR$1 = {
  * };
  * ```
  *
+ * ### Modal Interface
+ *
+ * The `modal` interface has a `Cancel` button, and a multi-value select also has
+ * an `OK` button. A single value select closes the modal as soon as an option is
+ * tapped. With a multi-value select, the options which have been selected so far
+ * are shown as chips under the searchbar, and can be removed from there.
+ *
+ * Rather than using `ion-option` children, the options can be loaded as the user
+ * searches by passing a function to the `loadOptions` property. It is given the
+ * searchbar's text, which is empty when the modal opens, and returns a promise of
+ * the options to show. Each option is an object with a `text`, and optionally a
+ * `value` and `disabled`. Only the latest search is shown, even if an earlier
+ * search resolves after it.
+ *
+ * ```html
+ * <ion-select [(ngModel)]="country" interface="modal" [loadOptions]="searchCountries">
+ * </ion-select>
+ * ```
+ *
+ * ```ts
+ * searchCountries = (searchText: string) => {
+ *   return this.http.get('/countries?q=' + searchText)
+ *     .map(res => res.json().map(c => ({ text: c.name, value: c.code })))
+ *     .toPromise();
+ * }
+ * ```
+ *
+ * The select remembers the text of loaded options once they are selected. When the
+ * value is set before the modal has been opened, use `selectedText` to display it.
+ * The `selectOptions` for the modal interface can include a `title`, `cssClass`,
+ * `searchPlaceholder`, `searchDebounce` and the `approxItemHeight` of each option.
+ *
  * @demo /docs/v2/demos/src/select/
  */
 var Select = (function (_super) {
-    __extends$105(Select, _super);
+    __extends$107(Select, _super);
     function Select(_app, _form, config, elementRef, renderer, _item, _nav) {
         _super.call(this, config, elementRef, renderer, 'select');
         this._app = _app;
@@ -47778,6 +52891,7 @@ var Select = (function (_super) {
         this._texts = [];
         this._text = '';
         this._isOpen = false;
+        this._loaded = [];
         /**
          * @input {string} The text to display on the cancel button. Default: `Cancel`.
          */
@@ -47794,9 +52908,14 @@ var Select = (function (_super) {
          */
         this.selectOptions = {};
         /**
-         * @input {string} The interface the select should use: `action-sheet` or `alert`. Default: `alert`.
+         * @input {string} The interface the select should use: `action-sheet`, `alert`, `modal` or `popover`. Default: `alert`.
          */
         this.interface = '';
+        /**
+         * @input {Function} A function which is given the search text and returns a promise of
+         * the options to show in the `modal` interface. Read the Modal Interface section for more.
+         */
+        this.loadOptions = null;
         /**
          * @input {string} The text to display instead of the selected option's value.
          */
@@ -47892,6 +53011,63 @@ var Select = (function (_super) {
             selectOptions.cssClass = selectCssClass;
             overlay = new ActionSheet(this._app, selectOptions);
         }
+        else if (this.interface === 'modal' || this.interface === 'popover') {
+            selectOptions.cancelText = this.cancelText;
+            selectOptions.okText = this.okText;
+            selectOptions.multiple = this._multi;
+            selectOptions.options = options.map(function (input) {
+                return {
+                    text: input.text,
+                    value: input.value,
+                    disabled: input.disabled,
+                    handler: function () {
+                        input.ionSelect.emit(input.value);
+                    }
+                };
+            });
+            // options which were loaded and then selected aren't ion-options,
+            // so they're added to the selected ion-options
+            selectOptions.selected = options.filter(function (input) { return input.selected; }).map(function (input) {
+                return { text: input.text, value: input.value };
+            }).concat(this._loaded);
+            var selectCssClass = 'select-' + this.interface;
+            // If the user passed a cssClass for the select, add it
+            selectCssClass += selectOptions.cssClass ? ' ' + selectOptions.cssClass : '';
+            if (this.interface === 'modal') {
+                defaults(selectOptions, {
+                    searchPlaceholder: 'Search',
+                    searchDebounce: 250,
+                    approxItemHeight: '40px'
+                });
+                selectOptions.loadOptions = this.loadOptions;
+                selectOptions.cssClass = selectCssClass;
+                overlay = new Modal(this._app, SelectModalCmp, selectOptions);
+            }
+            else {
+                // anchor the popover to the select rather than the center of the screen
+                selectOptions.ev = { target: this.getNativeElement() };
+                overlay = new Popover(this._app, SelectPopoverCmp, selectOptions, {
+                    cssClass: selectCssClass
+                });
+            }
+            overlay.onWillDismiss(function (selected, role) {
+                if (role === 'cancel') {
+                    _this.ionCancel.emit(null);
+                    return;
+                }
+                if (!selected) {
+                    // dismissed by the backdrop
+                    return;
+                }
+                _this._loaded = selected.map(function (o) {
+                    return { text: o.text, value: o.value };
+                });
+                var values = selected.map(function (o) { return o.value; });
+                var value = _this._multi ? values : values[0];
+                _this.onChange(value);
+                _this.ionChange.emit(value);
+            });
+        }
         else {
             // default to use the alert interface
             this.interface = 'alert';
@@ -47997,6 +53173,18 @@ var Select = (function (_super) {
                 }
             });
         }
+        // only keep the loaded options which are still selected
+        // and aren't also one of the ion-options
+        this._loaded = this._loaded.filter(function (loaded) {
+            return _this._values.some(function (selectValue) {
+                return isCheckedProperty(selectValue, loaded.value);
+            }) && !(_this._options && _this._options.some(function (option) {
+                return isCheckedProperty(option.value, loaded.value);
+            }));
+        });
+        this._loaded.forEach(function (loaded) {
+            _this._texts.push(loaded.text);
+        });
         this._text = this._texts.join(', ');
     };
     Object.defineProperty(Select.prototype, "disabled", {
@@ -48103,6 +53291,7 @@ var Select = (function (_super) {
         'placeholder': [{ type: Input },],
         'selectOptions': [{ type: Input },],
         'interface': [{ type: Input },],
+        'loadOptions': [{ type: Input },],
         'selectedText': [{ type: Input },],
         'mode': [{ type: Input },],
         'ionChange': [{ type: Output },],
@@ -48116,7 +53305,7 @@ var Select = (function (_super) {
     return Select;
 }(Ion));
 
-var __extends$106 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$108 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -48208,7 +53397,7 @@ var DisplayWhen = (function () {
  * @see {@link ../../../platform/Platform Platform API Docs}
  */
 var ShowWhen = (function (_super) {
-    __extends$106(ShowWhen, _super);
+    __extends$108(ShowWhen, _super);
     function ShowWhen(showWhen, platform, zone) {
         _super.call(this, showWhen, platform, zone);
     }
@@ -48270,7 +53459,7 @@ var ShowWhen = (function (_super) {
  * @see {@link ../../../platform/Platform Platform API Docs}
 */
 var HideWhen = (function (_super) {
-    __extends$106(HideWhen, _super);
+    __extends$108(HideWhen, _super);
     function HideWhen(hideWhen, platform, zone) {
         _super.call(this, hideWhen, platform, zone);
     }
@@ -48704,8 +53893,8 @@ function computeInputData(manager, input) {
     var center = input.center = getCenter(pointers);
     input.timeStamp = now();
     input.deltaTime = input.timeStamp - firstInput.timeStamp;
-    input.angle = getAngle(offsetCenter, center);
-    input.distance = getDistance(offsetCenter, center);
+    input.angle = getAngle$1(offsetCenter, center);
+    input.distance = getDistance$1(offsetCenter, center);
     computeDeltaXY(session, input);
     input.offsetDirection = getDirection(input.deltaX, input.deltaY);
     var overallVelocity = getVelocity(input.deltaTime, input.deltaX, input.deltaY);
@@ -48856,7 +54045,7 @@ function getDirection(x, y) {
  * @param {Array} [props] containing x and y keys
  * @return {Number} distance
  */
-function getDistance(p1, p2, props) {
+function getDistance$1(p1, p2, props) {
     if (!props) {
         props = PROPS_XY;
     }
@@ -48870,7 +54059,7 @@ function getDistance(p1, p2, props) {
  * @param {Array} [props] containing x and y keys
  * @return {Number} angle
  */
-function getAngle(p1, p2, props) {
+function getAngle$1(p1, p2, props) {
     if (!props) {
         props = PROPS_XY;
     }
@@ -48884,7 +54073,7 @@ function getAngle(p1, p2, props) {
  * @return {Number} rotation
  */
 function getRotation(start, end) {
-    return getAngle(end[1], end[0], PROPS_CLIENT_XY) + getAngle(start[1], start[0], PROPS_CLIENT_XY);
+    return getAngle$1(end[1], end[0], PROPS_CLIENT_XY) + getAngle$1(start[1], start[0], PROPS_CLIENT_XY);
 }
 /**
  * calculate the scale factor between two pointersets
@@ -48894,7 +54083,7 @@ function getRotation(start, end) {
  * @return {Number} scale
  */
 function getScale(start, end) {
-    return getDistance(end[0], end[1], PROPS_CLIENT_XY) / getDistance(start[0], start[1], PROPS_CLIENT_XY);
+    return getDistance$1(end[0], end[1], PROPS_CLIENT_XY) / getDistance$1(start[0], start[1], PROPS_CLIENT_XY);
 }
 var MOUSE_INPUT_MAP = {
     mousedown: INPUT_START,
@@ -49759,10 +54948,10 @@ inherit(PanRecognizer$1, AttrRecognizer, {
  * @constructor
  * @extends AttrRecognizer
  */
-function PinchRecognizer() {
+function PinchRecognizer$1() {
     AttrRecognizer.apply(this, arguments);
 }
-inherit(PinchRecognizer, AttrRecognizer, {
+inherit(PinchRecognizer$1, AttrRecognizer, {
     /**
      * @namespace
      * @memberof PinchRecognizer
@@ -49857,10 +55046,10 @@ inherit(PressRecognizer, Recognizer, {
  * @constructor
  * @extends AttrRecognizer
  */
-function RotateRecognizer() {
+function RotateRecognizer$1() {
     AttrRecognizer.apply(this, arguments);
 }
-inherit(RotateRecognizer, AttrRecognizer, {
+inherit(RotateRecognizer$1, AttrRecognizer, {
     /**
      * @namespace
      * @memberof RotateRecognizer
@@ -49938,7 +55127,7 @@ inherit(SwipeRecognizer, AttrRecognizer, {
  * @constructor
  * @extends Recognizer
  */
-function TapRecognizer() {
+function TapRecognizer$1() {
     Recognizer.apply(this, arguments);
     // previous time and center,
     // used for tap counting
@@ -49948,7 +55137,7 @@ function TapRecognizer() {
     this._input = null;
     this.count = 0;
 }
-inherit(TapRecognizer, Recognizer, {
+inherit(TapRecognizer$1, Recognizer, {
     /**
      * @namespace
      * @memberof PinchRecognizer
@@ -49981,7 +55170,7 @@ inherit(TapRecognizer, Recognizer, {
                 return this.failTimeout();
             }
             var validInterval = this.pTime ? (input.timeStamp - this.pTime < options.interval) : true;
-            var validMultiTap = !this.pCenter || getDistance(this.pCenter, input.center) < options.posThreshold;
+            var validMultiTap = !this.pCenter || getDistance$1(this.pCenter, input.center) < options.posThreshold;
             this.pTime = input.timeStamp;
             this.pCenter = input.center;
             if (!validMultiTap || !validInterval) {
@@ -50083,12 +55272,12 @@ var _defaults = {
      */
     preset: [
         // RecognizerClass, options, [recognizeWith, ...], [requireFailure, ...]
-        [RotateRecognizer, { enable: false }],
-        [PinchRecognizer, { enable: false }, ['rotate']],
+        [RotateRecognizer$1, { enable: false }],
+        [PinchRecognizer$1, { enable: false }, ['rotate']],
         [SwipeRecognizer, { direction: DIRECTION_HORIZONTAL }],
         [PanRecognizer$1, { direction: DIRECTION_HORIZONTAL }, ['swipe']],
-        [TapRecognizer],
-        [TapRecognizer, { event: 'doubletap', taps: 2 }, ['tap']],
+        [TapRecognizer$1],
+        [TapRecognizer$1, { event: 'doubletap', taps: 2 }, ['tap']],
         [PressRecognizer]
     ],
     /**
@@ -50421,11 +55610,11 @@ assign(Hammer$1, {
     SingleTouchInput: SingleTouchInput,
     Recognizer: Recognizer,
     AttrRecognizer: AttrRecognizer,
-    Tap: TapRecognizer,
+    Tap: TapRecognizer$1,
     Pan: PanRecognizer$1,
     Swipe: SwipeRecognizer,
-    Pinch: PinchRecognizer,
-    Rotate: RotateRecognizer,
+    Pinch: PinchRecognizer$1,
+    Rotate: RotateRecognizer$1,
     Press: PressRecognizer,
     on: addEventListeners,
     off: removeEventListeners,
@@ -54452,7 +59641,7 @@ function Swiper(container, params) {
       }
   }
 
-var __extends$107 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$109 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -54629,7 +59818,7 @@ var __extends$107 = (undefined && undefined.__extends) || function (d, b) {
  * Licensed under MIT
  */
 var Slides = (function (_super) {
-    __extends$107(Slides, _super);
+    __extends$109(Slides, _super);
     function Slides(config, elementRef, renderer) {
         var _this = this;
         _super.call(this, config, elementRef, renderer, 'slides');
@@ -55170,7 +60359,7 @@ var SlideLazy = (function () {
 }());
 var slidesId = -1;
 
-var __extends$108 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$110 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -55269,7 +60458,7 @@ var __extends$108 = (undefined && undefined.__extends) || function (d, b) {
  * ```
  */
 var Spinner = (function (_super) {
-    __extends$108(Spinner, _super);
+    __extends$110(Spinner, _super);
     function Spinner(config, elementRef, renderer) {
         _super.call(this, config, elementRef, renderer, 'spinner');
         this._dur = null;
@@ -55503,7 +60692,7 @@ var SPINNERS = {
     }
 };
 
-var __extends$109 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$111 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -55615,7 +60804,7 @@ var __extends$109 = (undefined && undefined.__extends) || function (d, b) {
  * @see {@link ../../nav/NavController NavController API Docs}
  */
 var Tab = (function (_super) {
-    __extends$109(Tab, _super);
+    __extends$111(Tab, _super);
     function Tab(parent, app, config, keyboard, elementRef, zone, renderer, cfr, _cd, gestureCtrl, transCtrl, linker, domCtrl) {
         // A Tab is a NavController for its child pages
         _super.call(this, parent, app, config, keyboard, elementRef, zone, renderer, cfr, gestureCtrl, transCtrl, linker, domCtrl);
@@ -55717,7 +60906,15 @@ var Tab = (function (_super) {
         var _this = this;
         if (!this._loaded && this.root) {
             this.setElementClass('show-tab', true);
-            this.push(this.root, this.rootParams, opts, done);
+            var segment = this._segment;
+            this._segment = null;
+            if (segment && segment.stack && segment.stack.length > 1) {
+                // the url has the pages above this tab's root page too
+                this.setPages(this.linker.initViews(segment), opts, done);
+            }
+            else {
+                this.push(this.root, this.rootParams, opts, done);
+            }
             this._loaded = true;
         }
         else {
@@ -55735,6 +60932,45 @@ var Tab = (function (_super) {
             done(true);
         }
     };
+    /**
+     * @private
+     * Loads the tab's root page before the tab is selected, such as while
+     * it's being swiped into view. The page doesn't enter until the tabs
+     * select this tab.
+     */
+    Tab.prototype._preload = function () {
+        var _this = this;
+        if (this._loaded) {
+            this.setElementClass('show-tab', true);
+            return;
+        }
+        this._preloading = true;
+        this.load({ animate: false, updateUrl: false }, function () {
+            _this._preloading = false;
+            var active = _this.getActive();
+            if (_this.isSelected && active) {
+                // the tab was selected before its page finished loading
+                active._willEnter();
+                active._didEnter();
+            }
+        });
+    };
+    /**
+     * @private
+     */
+    Tab.prototype._willEnter = function (view) {
+        if (!this._preloading) {
+            _super.prototype._willEnter.call(this, view);
+        }
+    };
+    /**
+     * @private
+     */
+    Tab.prototype._didEnter = function (view) {
+        if (!this._preloading) {
+            _super.prototype._didEnter.call(this, view);
+        }
+    };
     /**
      * @private
      */
@@ -55839,7 +61075,7 @@ var Tab = (function (_super) {
     return Tab;
 }(NavControllerBase));
 
-var __extends$110 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$112 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -55848,7 +61084,7 @@ var __extends$110 = (undefined && undefined.__extends) || function (d, b) {
  * @private
  */
 var TabButton = (function (_super) {
-    __extends$110(TabButton, _super);
+    __extends$112(TabButton, _super);
     function TabButton(config, elementRef, renderer) {
         _super.call(this, config, elementRef, renderer);
         this.ionSelect = new EventEmitter();
@@ -55901,7 +61137,7 @@ var TabButton = (function (_super) {
     return TabButton;
 }(Ion));
 
-var __extends$112 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$114 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -55911,7 +61147,7 @@ var __extends$112 = (undefined && undefined.__extends) || function (d, b) {
  * Hopefully someday a majority of the auto-scrolling tricks can get removed.
  */
 var InputBase = (function (_super) {
-    __extends$112(InputBase, _super);
+    __extends$114(InputBase, _super);
     function InputBase(config, _form, _item, _app, _platform, elementRef, renderer, _content, nav, ngControl, _dom) {
         var _this = this;
         _super.call(this, config, elementRef, renderer, 'input');
@@ -56392,7 +61628,7 @@ function getScrollAssistDuration(distanceToScroll) {
     return Math.min(400, Math.max(150, duration));
 }
 
-var __extends$111 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$113 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -56455,7 +61691,7 @@ var __extends$111 = (undefined && undefined.__extends) || function (d, b) {
  * @demo /docs/v2/demos/src/input/
  */
 var TextInput = (function (_super) {
-    __extends$111(TextInput, _super);
+    __extends$113(TextInput, _super);
     function TextInput(config, form, item, app, platform, elementRef, renderer, scrollView, nav, ngControl, dom) {
         _super.call(this, config, form, item, app, platform, elementRef, renderer, scrollView, nav, ngControl, dom);
         /**
@@ -56704,7 +61940,7 @@ var TextInput = (function (_super) {
  * @demo /docs/v2/demos/src/textarea/
  */
 var TextArea = (function (_super) {
-    __extends$111(TextArea, _super);
+    __extends$113(TextArea, _super);
     function TextArea(config, form, item, app, platform, elementRef, renderer, scrollView, nav, ngControl, dom) {
         _super.call(this, config, form, item, app, platform, elementRef, renderer, scrollView, nav, ngControl, dom);
         /**
@@ -56873,7 +62109,7 @@ var Thumbnail = (function () {
     return Thumbnail;
 }());
 
-var __extends$114 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$116 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -56882,7 +62118,7 @@ var __extends$114 = (undefined && undefined.__extends) || function (d, b) {
  * @private
  */
 var ToggleGesture = (function (_super) {
-    __extends$114(ToggleGesture, _super);
+    __extends$116(ToggleGesture, _super);
     function ToggleGesture(toogle, gestureCtrl, domCtrl) {
         _super.call(this, toogle.getNativeElement(), {
             threshold: 0,
@@ -56912,7 +62148,7 @@ var ToggleGesture = (function (_super) {
     return ToggleGesture;
 }(PanGesture));
 
-var __extends$113 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$115 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -56960,7 +62196,7 @@ var TOGGLE_VALUE_ACCESSOR = {
  * @see {@link /docs/v2/components#toggle Toggle Component Docs}
  */
 var Toggle = (function (_super) {
-    __extends$113(Toggle, _super);
+    __extends$115(Toggle, _super);
     function Toggle(_form, config, elementRef, renderer, _haptic, _item, _gestureCtrl, _domCtrl) {
         _super.call(this, config, elementRef, renderer, 'toggle');
         this._form = _form;
@@ -57209,7 +62445,7 @@ var Toggle = (function (_super) {
     return Toggle;
 }(Ion));
 
-var __extends$115 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$117 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -57218,7 +62454,7 @@ var __extends$115 = (undefined && undefined.__extends) || function (d, b) {
  * @private
  */
 var ToolbarItem = (function (_super) {
-    __extends$115(ToolbarItem, _super);
+    __extends$117(ToolbarItem, _super);
     function ToolbarItem(config, elementRef, renderer, toolbar, navbar) {
         _super.call(this, config, elementRef, renderer, 'bar-buttons');
         this.inToolbar = !!(toolbar || navbar);
@@ -57253,7 +62489,7 @@ var ToolbarItem = (function (_super) {
     return ToolbarItem;
 }(Ion));
 
-var __extends$116 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$118 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -57294,7 +62530,7 @@ var __extends$116 = (undefined && undefined.__extends) || function (d, b) {
  * @demo /docs/v2/demos/src/title/
  */
 var ToolbarTitle = (function (_super) {
-    __extends$116(ToolbarTitle, _super);
+    __extends$118(ToolbarTitle, _super);
     function ToolbarTitle(config, elementRef, renderer, toolbar, navbar) {
         _super.call(this, config, elementRef, renderer, 'title');
         toolbar && toolbar._setTitle(this);
@@ -57327,7 +62563,7 @@ var ToolbarTitle = (function (_super) {
     return ToolbarTitle;
 }(Ion));
 
-var __extends$117 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$119 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -57375,7 +62611,7 @@ var __extends$117 = (undefined && undefined.__extends) || function (d, b) {
   *
  */
 var Typography = (function (_super) {
-    __extends$117(Typography, _super);
+    __extends$119(Typography, _super);
     function Typography(config, elementRef, renderer, ionText) {
         _super.call(this, config, elementRef, renderer, 'text');
         // TODO: Deprecated: all selectors besides `[ion-text]` rc.3
@@ -57719,6 +62955,79 @@ function updateNodeContext(nodes, cells, data) {
         }
     }
 }
+/**
+ * DOM READ
+ * Re-reads the dimensions of the rendered cells which `isResized`, and moves
+ * the cells after the first one which changed size. Returns how far the first
+ * cell within view has moved, which the scroll position should follow so the
+ * viewable cells don't jump, or `null` when none of the cells changed size.
+ */
+function resizeCells(nodes, cells, data, isResized) {
+    var anchorIndex = getAnchorCell(cells, data.scrollTop);
+    var anchorTop = anchorIndex > -1 ? cells[anchorIndex].top : 0;
+    var firstResized = -1;
+    var node;
+    var element;
+    var cell;
+    var width;
+    var height;
+    for (var i = 0; i < nodes.length; i++) {
+        node = nodes[i];
+        cell = cells[node.cell];
+        element = cell && getElement(node);
+        if (!element || !isResized(element)) {
+            continue;
+        }
+        width = cell.width;
+        height = cell.height;
+        // ******** DOM READ ****************
+        readElements(cell, element);
+        cell.reads = REQUIRED_DOM_READS;
+        if ((cell.width !== width || cell.height !== height) && (firstResized < 0 || node.cell < firstResized)) {
+            firstResized = node.cell;
+        }
+    }
+    if (firstResized < 0) {
+        return null;
+    }
+    // only the cells after the first resized cell could have moved
+    layoutCells(cells, firstResized + 1, data.viewWidth);
+    return anchorIndex > -1 ? (cells[anchorIndex].top - anchorTop) : 0;
+}
+/**
+ * NO DOM
+ */
+function getAnchorCell(cells, scrollTop) {
+    for (var i = 0; i < cells.length; i++) {
+        if (cells[i].top + cells[i].height > scrollTop) {
+            return i;
+        }
+    }
+    return -1;
+}
+/**
+ * NO DOM
+ */
+function layoutCells(cells, startCellIndex, viewportWidth) {
+    var cell;
+    var previousCell;
+    for (var i = Math.max(startCellIndex, 1); i < cells.length; i++) {
+        cell = cells[i];
+        previousCell = cells[i - 1];
+        if (previousCell.left + previousCell.width + cell.width > viewportWidth) {
+            // new row
+            cell.row = (previousCell.row + 1);
+            cell.top = (previousCell.top + previousCell.height);
+            cell.left = 0;
+        }
+        else {
+            // same row
+            cell.row = previousCell.row;
+            cell.top = previousCell.top;
+            cell.left = (previousCell.left + previousCell.width);
+        }
+    }
+}
 /**
  * DOM READ
  */
@@ -58073,6 +63382,25 @@ var VirtualItem = (function () {
  * slightly different heights between platforms, which is perfectly fine.
  *
  *
+ * ### Variable Height Items
+ *
+ * Items don't all need to be the same height. Each cell is measured once
+ * it has rendered, and cells which change size afterwards, such as a card
+ * which expands or an image which loads late, are measured again using a
+ * `ResizeObserver`. Only the cells after a resized cell are moved, and when
+ * cells above the viewable area change size the scroll position follows,
+ * so the viewable cells don't jump. Where `ResizeObserver` isn't available,
+ * cells are only measured again when an image within them has loaded.
+ *
+ *
+ * ### Adding Records Above
+ *
+ * When records are added or removed above the first viewable record, such
+ * as older messages being loaded above a chat, the virtual scroll scrolls
+ * so that record stays where it was. This works well with an
+ * `ion-infinite-scroll` which has its `position` set to `top`.
+ *
+ *
  * ### Images Within Virtual Scroll
  *
  * HTTP requests, image decoding, and image rendering can cause jank while
@@ -58200,6 +63528,7 @@ var VirtualScroll = (function () {
         this._nodes = [];
         this._vHeight = 0;
         this._lastCheck = 0;
+        this._resizeEles = [];
         this._data = {
             scrollTop: 0,
         };
@@ -58269,6 +63598,7 @@ var VirtualScroll = (function () {
         // see jank as it loads up, but we're still able to read
         // dimensions because it's still rendered and only opacity hidden
         this._renderer.setElementClass(_elementRef.nativeElement, 'virtual-loading', true);
+        _content.addVirtualScroll(this);
         // wait for the content to be rendered and has readable dimensions
         _content.readReady.subscribe(function () {
             _this._init = true;
@@ -58341,8 +63671,9 @@ var VirtualScroll = (function () {
         if (this._init && this._hasChanges()) {
             // only continue if we've already initialized
             // and if there actually are changes
+            var anchor = this._getAnchor(this._changes);
             this.readUpdate();
-            this.writeUpdate();
+            this.writeUpdate(anchor);
         }
     };
     VirtualScroll.prototype.readUpdate = function () {
@@ -58351,17 +63682,116 @@ var VirtualScroll = (function () {
         this._cells.length = 0;
         this._nodes.length = 0;
         this._itmTmp.viewContainer.clear();
+        this._resizeObs && this._resizeObs.disconnect();
+        this._resizeEles.length = 0;
         // ******** DOM READ ****************
         calcDimensions(this._data, this._elementRef.nativeElement, this.approxItemWidth, this.approxItemHeight, this.approxHeaderWidth, this.approxHeaderHeight, this.approxFooterWidth, this.approxFooterHeight, this.bufferRatio);
     };
-    VirtualScroll.prototype.writeUpdate = function () {
+    VirtualScroll.prototype.writeUpdate = function (anchor) {
         (void 0) /* console.debug */;
-        processRecords(this._data.renderHeight, this._records, this._cells, this._hdrFn, this._ftrFn, this._data);
+        var data = this._data;
+        var cells = this._cells;
+        var stopAtHeight = data.renderHeight;
+        processRecords(stopAtHeight, this._records, cells, this._hdrFn, this._ftrFn, data);
         // ******** DOM WRITE ****************
         this.renderVirtual();
+        if (anchor) {
+            // the anchor's record could be further down than what fills the
+            // render height, so keep processing records until it's reached
+            while (cells.length && cells[cells.length - 1].record < anchor.record && !cells[cells.length - 1].isLast) {
+                stopAtHeight += data.renderHeight;
+                processRecords(stopAtHeight, this._records, cells, this._hdrFn, this._ftrFn, data);
+            }
+            this._scrollToAnchor(anchor);
+        }
     };
     VirtualScroll.prototype._hasChanges = function () {
-        return (isPresent$4(this._records) && isPresent$4(this._differ) && isPresent$4(this._differ.diff(this._records)));
+        this._changes = (isPresent$4(this._records) && isPresent$4(this._differ)) ? this._differ.diff(this._records) : null;
+        return isPresent$4(this._changes);
+    };
+    /**
+     * @private
+     * NO DOM
+     * Returns where the record of the first viewable cell is now, and how
+     * far its cell is from the scroll top, when records have been added or
+     * removed above it. Otherwise returns `null`.
+     */
+    VirtualScroll.prototype._getAnchor = function (changes) {
+        var cells = this._cells;
+        var scrollTop = this._data.scrollTop;
+        var oldIndex = -1;
+        var newIndex = -1;
+        var offset = 0;
+        for (var i = 0; i < cells.length; i++) {
+            if (cells[i].top + cells[i].height > scrollTop) {
+                oldIndex = cells[i].record;
+                offset = cells[i].top - scrollTop;
+                break;
+            }
+        }
+        if (oldIndex < 0) {
+            return null;
+        }
+        changes.forEachItem(function (record) {
+            if (record.previousIndex === oldIndex) {
+                newIndex = record.currentIndex;
+            }
+        });
+        if (newIndex < 0 || newIndex === oldIndex) {
+            // the record was removed, or nothing changed above it
+            return null;
+        }
+        return { record: newIndex, offset: offset };
+    };
+    /**
+     * @private
+     * DOM WRITE
+     * Scrolls so the anchor's record is where it was before the records
+     * changed, then renders the cells which are viewable from there.
+     */
+    VirtualScroll.prototype._scrollToAnchor = function (anchor) {
+        var _this = this;
+        var nodes = this._nodes;
+        var cells = this._cells;
+        var data = this._data;
+        this._dom.write(function () {
+            var cell;
+            for (var i = 0; i < cells.length; i++) {
+                if (cells[i].record === anchor.record) {
+                    cell = cells[i];
+                    break;
+                }
+            }
+            if (!cell) {
+                return;
+            }
+            var scrollTop = Math.max(cell.top - anchor.offset, 0);
+            // ******** DOM WRITE ****************
+            _this._setHeight(estimateHeight(_this._records.length, cells[cells.length - 1], _this._vHeight, 0));
+            _this._content.scrollTop = data.scrollTop = scrollTop;
+            _this._dom.read(function () {
+                // ******** DOM READ ****************
+                updateDimensions(nodes, cells, data, false);
+                data.scrollDiff = (scrollTop - _this._lastCheck);
+                _this._lastCheck = scrollTop;
+                adjustRendered(cells, data);
+                populateNodeData(data.topCell, data.bottomCell, data.viewWidth, data.scrollDiff > 0, cells, _this._records, nodes, _this._itmTmp.viewContainer, _this._itmTmp.templateRef, _this._hdrTmp && _this._hdrTmp.templateRef, _this._ftrTmp && _this._ftrTmp.templateRef, false);
+                _this._dom.write(function () {
+                    // update the bound context for each node
+                    updateNodeContext(nodes, cells, data);
+                    // ******** DOM WRITE ****************
+                    for (var i = 0; i < nodes.length; i++) {
+                        if (nodes[i].hasChanges) {
+                            nodes[i].view.detectChanges();
+                        }
+                    }
+                    // ******** DOM WRITE ****************
+                    writeToNodes(nodes, cells, _this._records.length);
+                    _this._observeNodes();
+                    _this._queue = SCROLL_QUEUE_NO_CHANGES;
+                });
+            });
+        });
     };
     /**
      * @private
@@ -58411,6 +63841,7 @@ var VirtualScroll = (function () {
             writeToNodes(nodes, cells, recordsLength);
             // ******** DOM WRITE ****************
             _this._setHeight(estimateHeight(recordsLength, cells[cells.length - 1], _this._vHeight, 0.25));
+            _this._observeNodes();
             _this._content.imgsUpdate();
         });
     };
@@ -58434,6 +63865,7 @@ var VirtualScroll = (function () {
                 writeToNodes(nodes, cells, recordsLength);
                 // ******** DOM WRITE ****************
                 _this._setHeight(estimateHeight(recordsLength, cells[cells.length - 1], _this._vHeight, 0.25));
+                _this._observeNodes();
                 // we're done here, good work
                 _this._queue = SCROLL_QUEUE_NO_CHANGES;
             });
@@ -58503,6 +63935,7 @@ var VirtualScroll = (function () {
             writeToNodes(nodes, cells, recordsLength);
             // ******** DOM WRITE ****************
             _this._setHeight(estimateHeight(recordsLength, cells[cells.length - 1], _this._vHeight, 0.05));
+            _this._observeNodes();
             _this._queue = SCROLL_QUEUE_NO_CHANGES;
         });
     };
@@ -58525,7 +63958,73 @@ var VirtualScroll = (function () {
             this._scrollEndSub = this._content.ionScrollEnd.subscribe(function (ev) {
                 _this.scrollEnd(ev);
             });
+            if (typeof ResizeObserver !== 'undefined') {
+                this._resizeObs = new ResizeObserver(function (entries) {
+                    var targets = entries.map(function (entry) { return entry.target; });
+                    _this._cellsResized(function (ele) { return targets.indexOf(ele) > -1; });
+                });
+            }
+            else {
+                // without ResizeObserver, the most common resize is an
+                // image which loads after its cell has been rendered
+                this._unregLoad = listenEvent(this._elementRef.nativeElement, 'load', false, true, function (ev) {
+                    _this._cellsResized(function (ele) { return ele.contains(ev.target); });
+                });
+            }
+        }
+    };
+    /**
+     * DOM WRITE
+     */
+    VirtualScroll.prototype._observeNodes = function () {
+        var ele;
+        if (!this._resizeObs) {
+            return;
         }
+        for (var i = 0; i < this._nodes.length; i++) {
+            ele = getElement(this._nodes[i]);
+            // nodes are reused, so each element only needs to be observed once
+            if (ele && this._resizeEles.indexOf(ele) < 0) {
+                this._resizeEles.push(ele);
+                this._resizeObs.observe(ele);
+            }
+        }
+    };
+    /**
+     * @private
+     * Re-reads the cells which changed size, such as an expanding card or
+     * an image which loaded late, and moves the cells after them. The scroll
+     * position follows the first viewable cell, so the cells within view
+     * stay where they are when cells above them change size.
+     */
+    VirtualScroll.prototype._cellsResized = function (isResized) {
+        var _this = this;
+        var nodes = this._nodes;
+        var cells = this._cells;
+        var data = this._data;
+        var anchorDiff = null;
+        this._dom.read(function () {
+            // ******** DOM READ ****************
+            anchorDiff = resizeCells(nodes, cells, data, isResized);
+        });
+        this._dom.write(function () {
+            if (anchorDiff === null) {
+                return;
+            }
+            var recordsLength = _this._records.length;
+            // update the bound context for each node
+            updateNodeContext(nodes, cells, data);
+            // ******** DOM WRITE ****************
+            writeToNodes(nodes, cells, recordsLength);
+            // ******** DOM WRITE ****************
+            _this._setHeight(estimateHeight(recordsLength, cells[cells.length - 1], _this._vHeight, 0.05));
+            if (anchorDiff !== 0) {
+                // ******** DOM WRITE ****************
+                data.scrollTop += anchorDiff;
+                _this._lastCheck += anchorDiff;
+                _this._content.scrollTop = data.scrollTop;
+            }
+        });
     };
     /**
      * DOM WRITE
@@ -58556,6 +64055,9 @@ var VirtualScroll = (function () {
     VirtualScroll.prototype.ngOnDestroy = function () {
         this._scrollSub && this._scrollSub.unsubscribe();
         this._scrollEndSub && this._scrollEndSub.unsubscribe();
+        this._resizeObs && this._resizeObs.disconnect();
+        this._unregLoad && this._unregLoad();
+        this._content.removeVirtualScroll(this);
     };
     VirtualScroll.decorators = [
         { type: Directive, args: [{
@@ -58598,7 +64100,7 @@ var SCROLL_QUEUE_NO_CHANGES = 1;
 var SCROLL_QUEUE_CHANGE_DETECTION = 2;
 var SCROLL_QUEUE_DOM_WRITE = 3;
 
-var __extends$118 = (undefined && undefined.__extends) || function (d, b) {
+var __extends$120 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -58640,7 +64142,7 @@ var MenuType = (function () {
         // adjust progress value depending if it opening or closing
         this.ani.progressStep(stepValue);
     };
-    MenuType.prototype.setProgressEnd = function (shouldComplete, currentStepValue, velocity, done) {
+    MenuType.prototype.setProgressEnd = function (shouldComplete, currentStepValue, velocity, stepVelocity, done) {
         var _this = this;
         var isOpen = (this.isOpening && shouldComplete);
         if (!this.isOpening && !shouldComplete) {
@@ -58652,7 +64154,7 @@ var MenuType = (function () {
         }, true);
         var factor = 1 - Math.min(Math.abs(velocity) / 4, 0.7);
         var dur = this.ani.getDuration() * factor;
-        this.ani.progressEnd(shouldComplete, currentStepValue, dur);
+        this.ani.progressEnd(shouldComplete, currentStepValue, dur, stepVelocity);
     };
     MenuType.prototype.destroy = function () {
         this.ani && this.ani.destroy();
@@ -58666,7 +64168,7 @@ var MenuType = (function () {
  * The menu itself, which is under the content, does not move.
  */
 var MenuRevealType = (function (_super) {
-    __extends$118(MenuRevealType, _super);
+    __extends$120(MenuRevealType, _super);
     function MenuRevealType(menu, platform) {
         _super.call(this);
         var openedX = (menu.width() * (menu.side === 'right' ? -1 : 1)) + 'px';
@@ -58684,7 +64186,7 @@ MenuController.registerType('reveal', MenuRevealType);
  * The menu itself also slides over to reveal its bad self.
  */
 var MenuPushType = (function (_super) {
-    __extends$118(MenuPushType, _super);
+    __extends$120(MenuPushType, _super);
     function MenuPushType(menu, platform) {
         _super.call(this);
         var contentOpenedX, menuClosedX, menuOpenedX;
@@ -58716,7 +64218,7 @@ MenuController.registerType('push', MenuPushType);
  * itself, which is under the menu, does not move.
  */
 var MenuOverlayType = (function (_super) {
-    __extends$118(MenuOverlayType, _super);
+    __extends$120(MenuOverlayType, _super);
     function MenuOverlayType(menu, platform) {
         _super.call(this);
         var closedX, openedX;
@@ -58786,6 +64288,7 @@ var IONIC_DIRECTIVES = [
     Label,
     List,
     ListHeader,
+    MasterDetail,
     Menu,
     MenuClose,
     MenuToggle,
@@ -58819,6 +64322,7 @@ var IONIC_DIRECTIVES = [
     Slides,
     SlideLazy,
     Spinner,
+    SplitPane,
     Tab,
     Tabs,
     TabButton,
@@ -58906,8 +64410,10 @@ var IonicModule = (function () {
                 { provide: APP_INITIALIZER, useFactory: registerTransitions, deps: [Config], multi: true },
                 { provide: APP_INITIALIZER, useFactory: setupProvideEvents, deps: [Platform, DomController], multi: true },
                 { provide: APP_INITIALIZER, useFactory: setupTapClick, deps: [Config, App, NgZone, GestureController], multi: true },
+                { provide: APP_INITIALIZER, useFactory: setupPreloading, deps: [Config, DeepLinker, NgZone], multi: true },
                 // useClass
                 { provide: HAMMER_GESTURE_CONFIG, useClass: IonicGestureConfig },
+                { provide: NgModuleFactoryLoader, useClass: SystemJsNgModuleLoader },
                 // useValue
                 { provide: ANALYZE_FOR_ENTRY_COMPONENTS, useValue: appRoot, multi: true },
                 // ionic providers
@@ -58925,6 +64431,7 @@ var IonicModule = (function () {
                 Location,
                 MenuController,
                 ModalController,
+                ModuleLoader,
                 PickerController,
                 PopoverController,
                 TapClick,
@@ -58932,7 +64439,7 @@ var IonicModule = (function () {
                 TransitionController,
                 { provide: LocationStrategy, useFactory: provideLocationStrategy, deps: [PlatformLocation, [new Inject(APP_BASE_HREF), new Optional()], Config] },
                 { provide: UrlSerializer, useFactory: setupUrlSerializer, deps: [DeepLinkConfigToken] },
-                { provide: DeepLinker, useFactory: setupDeepLinker, deps: [App, UrlSerializer, Location] },
+                { provide: DeepLinker, useFactory: setupDeepLinker, deps: [App, UrlSerializer, Location, ModuleLoader, LocationStrategy] },
             ]
         };
     };
@@ -58949,6 +64456,9 @@ var IonicModule = (function () {
                         ModalCmp,
                         PickerCmp,
                         PopoverCmp,
+                        SelectModalCmp,
+                        SelectPopoverCmp,
+                        TabsMoreCmp,
                         ToastCmp
                     ],
                     entryComponents: [
@@ -58959,6 +64469,9 @@ var IonicModule = (function () {
                         ModalCmp,
                         PickerCmp,
                         PopoverCmp,
+                        SelectModalCmp,
+                        SelectPopoverCmp,
+                        TabsMoreCmp,
                         ToastCmp
                     ]
                 },] },
@@ -58967,6 +64480,55 @@ var IonicModule = (function () {
     IonicModule.ctorParameters = [];
     return IonicModule;
 }());
+/**
+ * @name IonicPageModule
+ * @description
+ * IonicPageModule is an NgModule for pages which are lazy loaded by the DeepLinker. The page passed
+ * to `forChild` is the component the DeepLinker navigates to once the module has been loaded.
+ *
+ * @usage
+ * ```ts
+ * import { NgModule } from '@angular/core';
+ * import { IonicPageModule } from 'ionic-angular';
+ * import { DetailPage } from './detail';
+ *
+ * @NgModule({
+ *   declarations: [
+ *     DetailPage
+ *   ],
+ *   imports: [
+ *     IonicPageModule.forChild(DetailPage)
+ *   ]
+ * })
+ * export class DetailPageModule {}
+ * ```
+ */
+var IonicPageModule = (function () {
+    function IonicPageModule() {
+    }
+    /**
+     * Set the page component this lazy loaded module provides
+     * @param {any} page The page component the DeepLinker should navigate to.
+     */
+    IonicPageModule.forChild = function (page) {
+        return {
+            ngModule: IonicPageModule,
+            providers: [
+                { provide: LAZY_LOADED_TOKEN, useValue: page },
+                { provide: ANALYZE_FOR_ENTRY_COMPONENTS, useValue: page, multi: true },
+            ]
+        };
+    };
+    IonicPageModule.decorators = [
+        { type: NgModule, args: [{
+                    imports: [IonicModule],
+                    exports: [IonicModule]
+                },] },
+    ];
+    /** @nocollapse */
+    IonicPageModule.ctorParameters = [];
+    return IonicPageModule;
+}());
 /**
  * @private
  */
@@ -59006,7 +64568,411 @@ function provideDocumentLang() {
     return document && document.documentElement.lang;
 }
 
-var __extends$119 = (undefined && undefined.__extends) || function (d, b) {
+/**
+ * Recognizes a pointer which is held down without moving for the `time` in milliseconds.
+ *
+ * When the time is up, the gesture is captured with its `GestureDelegate` and then
+ * `onPress` is called. Once captured, pan gestures such as swipe to go back won't
+ * start, and `onPressUp` is called when the pointer is released. Moving the pointer
+ * further than the `threshold` before the time is up cancels the press.
+ */
+var PressGesture = (function () {
+    function PressGesture(element, opts) {
+        if (opts === void 0) { opts = {}; }
+        this.element = element;
+        this.events = new UIEventManager(false);
+        this.started = false;
+        this.captured = false;
+        this.isListening = false;
+        this.timer = null;
+        defaults(opts, {
+            time: 500,
+            threshold: 10,
+            zone: true,
+            capture: false,
+            passive: false,
+        });
+        this.gestute = opts.gesture;
+        this.time = opts.time;
+        this.threshold = opts.threshold;
+        this.eventsConfig = {
+            element: this.element,
+            pointerDown: this.pointerDown.bind(this),
+            pointerMove: this.pointerMove.bind(this),
+            pointerUp: this.pointerUp.bind(this),
+            zone: opts.zone,
+            capture: opts.capture,
+            passive: opts.passive
+        };
+    }
+    PressGesture.prototype.listen = function () {
+        if (this.isListening) {
+            return;
+        }
+        this.pointerEvents = this.events.pointerEvents(this.eventsConfig);
+        this.isListening = true;
+    };
+    PressGesture.prototype.unlisten = function () {
+        if (!this.isListening) {
+            return;
+        }
+        this.cancel();
+        this.events.unlistenAll();
+        this.isListening = false;
+    };
+    PressGesture.prototype.destroy = function () {
+        this.gestute && this.gestute.destroy();
+        this.gestute = null;
+        this.unlisten();
+        this.element = null;
+    };
+    PressGesture.prototype.pointerDown = function (ev) {
+        var _this = this;
+        if (this.started) {
+            // another finger went down, so it's no longer a press
+            this.cancel();
+            return;
+        }
+        if (!this.canStart(ev)) {
+            return false;
+        }
+        if (this.gestute) {
+            // Release fallback
+            this.gestute.release();
+            // Start gesture
+            if (!this.gestute.start()) {
+                return false;
+            }
+        }
+        this.started = true;
+        this.captured = false;
+        this.startCoord = pointerCoord(ev);
+        this.timer = setTimeout(function () {
+            _this.timer = null;
+            _this.tryToCapture(ev);
+        }, this.time);
+        return true;
+    };
+    PressGesture.prototype.pointerMove = function (ev) {
+        if (!this.started || this.captured) {
+            return;
+        }
+        if (hasPointerMoved(this.threshold, this.startCoord, pointerCoord(ev))) {
+            this.cancel();
+        }
+    };
+    PressGesture.prototype.pointerUp = function (ev) {
+        var wasCaptured = this.captured;
+        this.cancel();
+        if (wasCaptured) {
+            this.onPressUp(ev);
+        }
+    };
+    PressGesture.prototype.tryToCapture = function (ev) {
+        if (this.gestute && !this.gestute.capture()) {
+            this.cancel();
+            return false;
+        }
+        this.captured = true;
+        this.onPress(ev);
+        return true;
+    };
+    PressGesture.prototype.cancel = function () {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.gestute && this.gestute.release();
+        this.started = false;
+        this.captured = false;
+    };
+    PressGesture.prototype.getNativeElement = function () {
+        return this.element;
+    };
+    // Implemented in a subclass
+    PressGesture.prototype.canStart = function (ev) { return true; };
+    PressGesture.prototype.onPress = function (ev) { };
+    PressGesture.prototype.onPressUp = function (ev) { };
+    return PressGesture;
+}());
+/**
+ * Recognizes two taps in a row, each within the `interval` in milliseconds of
+ * the last and within the `threshold` in pixels of where the last one was.
+ *
+ * The gesture is captured with its `GestureDelegate` for the moment `onDoubleTap`
+ * is called, so it isn't called while another gesture, such as a menu swipe,
+ * has already been captured.
+ */
+var DoubleTapGesture = (function () {
+    function DoubleTapGesture(element, opts) {
+        if (opts === void 0) { opts = {}; }
+        this.element = element;
+        this.events = new UIEventManager(false);
+        this.isListening = false;
+        defaults(opts, {
+            interval: 300,
+            threshold: 20,
+            zone: true,
+            capture: false,
+            passive: false,
+        });
+        this.gestute = opts.gesture;
+        this.eventsConfig = {
+            element: this.element,
+            pointerDown: this.pointerDown.bind(this),
+            pointerUp: this.pointerUp.bind(this),
+            zone: opts.zone,
+            capture: opts.capture,
+            passive: opts.passive
+        };
+        this.detector = new TapRecognizer(2, opts.interval, opts.threshold);
+    }
+    DoubleTapGesture.prototype.listen = function () {
+        if (this.isListening) {
+            return;
+        }
+        this.pointerEvents = this.events.pointerEvents(this.eventsConfig);
+        this.isListening = true;
+    };
+    DoubleTapGesture.prototype.unlisten = function () {
+        if (!this.isListening) {
+            return;
+        }
+        this.gestute && this.gestute.release();
+        this.detector.reset();
+        this.events.unlistenAll();
+        this.isListening = false;
+    };
+    DoubleTapGesture.prototype.destroy = function () {
+        this.gestute && this.gestute.destroy();
+        this.gestute = null;
+        this.unlisten();
+        this.element = null;
+    };
+    DoubleTapGesture.prototype.pointerDown = function (ev) {
+        if (ev.touches && ev.touches.length > 1) {
+            // a tap is only ever one finger
+            this.detector.reset();
+            return false;
+        }
+        if (!this.canStart(ev)) {
+            return false;
+        }
+        this.detector.start(pointerCoord(ev), Date.now());
+        return true;
+    };
+    DoubleTapGesture.prototype.pointerUp = function (ev) {
+        if (!this.detector.detect(pointerCoord(ev), Date.now())) {
+            return;
+        }
+        if (this.gestute) {
+            if (!this.gestute.capture()) {
+                return;
+            }
+            this.onDoubleTap(ev);
+            this.gestute.release();
+            return;
+        }
+        this.onDoubleTap(ev);
+    };
+    DoubleTapGesture.prototype.getNativeElement = function () {
+        return this.element;
+    };
+    // Implemented in a subclass
+    DoubleTapGesture.prototype.canStart = function (ev) { return true; };
+    DoubleTapGesture.prototype.onDoubleTap = function (ev) { };
+    return DoubleTapGesture;
+}());
+
+/**
+ * A two finger gesture which recognizes pinching, rotating, or both.
+ *
+ * The gesture starts once two fingers are down and have pinched further than
+ * the `threshold` in pixels, or rotated further than the `rotateThreshold` in degrees.
+ * It uses the same `GestureDelegate` priority and capture as the other gestures,
+ * so once a transform has captured, pan gestures such as swipe to go back won't start.
+ *
+ * Subclasses implement `onTransformStart`, `onTransformMove` and `onTransformEnd`.
+ * Each is given the `scale` and `rotation` since the second finger went down,
+ * and the `center` between the two fingers.
+ */
+var TransformGesture = (function () {
+    function TransformGesture(element, opts) {
+        if (opts === void 0) { opts = {}; }
+        this.element = element;
+        this.events = new UIEventManager(false);
+        this.started = false;
+        this.captured = false;
+        this.isListening = false;
+        defaults(opts, {
+            pinch: true,
+            rotate: true,
+            threshold: 10,
+            rotateThreshold: 15,
+            zone: true,
+            capture: false,
+            passive: false,
+        });
+        if (opts.domController) {
+            this.debouncer = opts.domController.debouncer();
+        }
+        this.gestute = opts.gesture;
+        this.eventsConfig = {
+            element: this.element,
+            pointerDown: this.pointerDown.bind(this),
+            pointerMove: this.pointerMove.bind(this),
+            pointerUp: this.pointerUp.bind(this),
+            zone: opts.zone,
+            capture: opts.capture,
+            passive: opts.passive
+        };
+        if (opts.pinch) {
+            this.pinchDetector = new PinchRecognizer(opts.threshold);
+        }
+        if (opts.rotate) {
+            this.rotateDetector = new RotateRecognizer(opts.rotateThreshold);
+        }
+    }
+    TransformGesture.prototype.listen = function () {
+        if (this.isListening) {
+            return;
+        }
+        this.pointerEvents = this.events.pointerEvents(this.eventsConfig);
+        this.isListening = true;
+    };
+    TransformGesture.prototype.unlisten = function () {
+        if (!this.isListening) {
+            return;
+        }
+        this.gestute && this.gestute.release();
+        this.events.unlistenAll();
+        this.isListening = false;
+    };
+    TransformGesture.prototype.destroy = function () {
+        this.gestute && this.gestute.destroy();
+        this.gestute = null;
+        this.unlisten();
+        this.element = null;
+    };
+    TransformGesture.prototype.pointerDown = function (ev) {
+        if (this.started) {
+            return;
+        }
+        var touches = ev.touches;
+        if (!touches) {
+            // a mouse can't pinch or rotate
+            return false;
+        }
+        if (touches.length < 2) {
+            // keep listening to the first finger until the second one is down
+            return true;
+        }
+        if (!this.canStart(ev)) {
+            return false;
+        }
+        if (this.gestute) {
+            // Release fallback
+            this.gestute.release();
+            // Start gesture
+            if (!this.gestute.start()) {
+                return false;
+            }
+        }
+        this.started = true;
+        this.captured = false;
+        var coordA = touchCoord(touches[0]);
+        var coordB = touchCoord(touches[1]);
+        this.pinchDetector && this.pinchDetector.start(coordA, coordB);
+        this.rotateDetector && this.rotateDetector.start(coordA, coordB);
+        return true;
+    };
+    TransformGesture.prototype.pointerMove = function (ev) {
+        var _this = this;
+        if (!this.started) {
+            return;
+        }
+        var touches = ev.touches;
+        if (!touches || touches.length < 2) {
+            return;
+        }
+        var coordA = touchCoord(touches[0]);
+        var coordB = touchCoord(touches[1]);
+        // both detectors always need to see the move so their values stay up to date
+        var isPinch = !!this.pinchDetector && this.pinchDetector.detect(coordA, coordB);
+        var isRotate = !!this.rotateDetector && this.rotateDetector.detect(coordA, coordB);
+        var detail = this.getDetail(coordA, coordB);
+        if (this.captured) {
+            if (this.debouncer) {
+                this.debouncer.write(function () {
+                    _this.onTransformMove(detail, ev);
+                });
+            }
+            else {
+                // without a DomController every move is handled right away
+                this.onTransformMove(detail, ev);
+            }
+            return;
+        }
+        if (isPinch || isRotate) {
+            if (!this.tryToCapture(detail, ev)) {
+                this.abort(ev);
+            }
+        }
+    };
+    TransformGesture.prototype.pointerUp = function (ev) {
+        this.debouncer && this.debouncer.cancel();
+        this.gestute && this.gestute.release();
+        if (this.captured) {
+            this.onTransformEnd(this.getDetail(), ev);
+        }
+        else if (this.started) {
+            this.notCaptured(ev);
+        }
+        this.captured = false;
+        this.started = false;
+    };
+    TransformGesture.prototype.tryToCapture = function (detail, ev) {
+        if (this.gestute && !this.gestute.capture()) {
+            return false;
+        }
+        this.onTransformStart(detail, ev);
+        this.captured = true;
+        return true;
+    };
+    TransformGesture.prototype.abort = function (ev) {
+        this.started = false;
+        this.captured = false;
+        this.gestute && this.gestute.release();
+        this.pointerEvents.stop();
+        this.notCaptured(ev);
+    };
+    TransformGesture.prototype.getDetail = function (coordA, coordB) {
+        if (coordA && coordB) {
+            this.center = {
+                x: (coordA.x + coordB.x) / 2,
+                y: (coordA.y + coordB.y) / 2
+            };
+        }
+        return {
+            scale: this.pinchDetector ? this.pinchDetector.scale() : 1,
+            rotation: this.rotateDetector ? this.rotateDetector.rotation() : 0,
+            center: this.center
+        };
+    };
+    TransformGesture.prototype.getNativeElement = function () {
+        return this.element;
+    };
+    // Implemented in a subclass
+    TransformGesture.prototype.canStart = function (ev) { return true; };
+    TransformGesture.prototype.onTransformStart = function (detail, ev) { };
+    TransformGesture.prototype.onTransformMove = function (detail, ev) { };
+    TransformGesture.prototype.onTransformEnd = function (detail, ev) { };
+    TransformGesture.prototype.notCaptured = function (ev) { };
+    return TransformGesture;
+}());
+function touchCoord(touch) {
+    return { x: touch.clientX, y: touch.clientY };
+}
+
+var __extends$121 = (undefined && undefined.__extends) || function (d, b) {
     for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
     function __() { this.constructor = d; }
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -59052,7 +65018,7 @@ var __extends$119 = (undefined && undefined.__extends) || function (d, b) {
  * More information about Angular's [`ErrorHandler`](https://angular.io/docs/ts/latest/api/core/index/ErrorHandler-class.html).
  */
 var IonicErrorHandler = (function (_super) {
-    __extends$119(IonicErrorHandler, _super);
+    __extends$121(IonicErrorHandler, _super);
     function IonicErrorHandler() {
         _super.call(this, false);
     }
@@ -59074,6 +65040,7 @@ var IonicErrorHandler = (function (_super) {
 
 exports.reorderArray = reorderArray;
 exports.IonicModule = IonicModule;
+exports.IonicPageModule = IonicPageModule;
 exports.provideLocationStrategy = provideLocationStrategy;
 exports.provideUserAgent = provideUserAgent;
 exports.provideNavigatorPlatform = provideNavigatorPlatform;
@@ -59149,6 +65116,7 @@ exports.List = List;
 exports.ListHeader = ListHeader;
 exports.Loading = Loading;
 exports.LoadingController = LoadingController;
+exports.MasterDetail = MasterDetail;
 exports.Menu = Menu;
 exports.MenuClose = MenuClose;
 exports.MenuController = MenuController;
@@ -59189,6 +65157,7 @@ exports.Slides = Slides;
 exports.Slide = Slide;
 exports.SlideLazy = SlideLazy;
 exports.Spinner = Spinner;
+exports.SplitPane = SplitPane;
 exports.Tab = Tab;
 exports.Tabs = Tabs;
 exports.TabButton = TabButton;
@@ -59215,15 +65184,26 @@ exports.PickerCmp = PickerCmp;
 exports.PickerColumnCmp = PickerColumnCmp;
 exports.PopoverCmp = PopoverCmp;
 exports.ToastCmp = ToastCmp;
+exports.SelectModalCmp = SelectModalCmp;
+exports.SelectPopoverCmp = SelectPopoverCmp;
+exports.TabsMoreCmp = TabsMoreCmp;
 exports.PanGesture = PanGesture;
 exports.Gesture = Gesture;
 exports.SlideEdgeGesture = SlideEdgeGesture;
 exports.SlideGesture = SlideGesture;
+exports.PressGesture = PressGesture;
+exports.DoubleTapGesture = DoubleTapGesture;
+exports.TransformGesture = TransformGesture;
 exports.GESTURE_GO_BACK_SWIPE = GESTURE_GO_BACK_SWIPE;
 exports.GESTURE_MENU_SWIPE = GESTURE_MENU_SWIPE;
 exports.GESTURE_ITEM_SWIPE = GESTURE_ITEM_SWIPE;
 exports.GESTURE_REFRESHER = GESTURE_REFRESHER;
 exports.GESTURE_TOGGLE = GESTURE_TOGGLE;
+exports.GESTURE_TRANSFORM = GESTURE_TRANSFORM;
+exports.GESTURE_PRESS = GESTURE_PRESS;
+exports.GESTURE_DOUBLE_TAP = GESTURE_DOUBLE_TAP;
+exports.GESTURE_TOAST_SWIPE = GESTURE_TOAST_SWIPE;
+exports.GESTURE_TABS_SWIPE = GESTURE_TABS_SWIPE;
 exports.BLOCK_ALL = BLOCK_ALL;
 exports.GestureController = GestureController;
 exports.GestureDelegate = GestureDelegate;
@@ -59237,8 +65217,10 @@ exports.Form = Form;
 exports.IonicTapInput = IonicTapInput;
 exports.IonicFormInput = IonicFormInput;
 exports.Animation = Animation;
+exports.supportsWebAnimations = supportsWebAnimations;
 exports.PageTransition = PageTransition;
 exports.Transition = Transition;
+exports.TransitionController = TransitionController;
 exports.NavControllerBase = NavControllerBase;
 
 Object.defineProperty(exports, '__esModule', { value: true });
@@ -1,9 +1,10 @@
 import { EventEmitter, Injectable, Optional } from '@angular/core';
 import { Title } from '@angular/platform-browser';
 import { Config } from '../../config/config';
-import { isNav, DIRECTION_FORWARD, DIRECTION_BACK } from '../../navigation/nav-util';
+import { isNav, isTabs, DIRECTION_FORWARD, DIRECTION_BACK } from '../../navigation/nav-util';
 import { Platform } from '../../platform/platform';
 import { MenuController } from '../menu/menu-controller';
+import { getNavState, restoreNavState } from '../../navigation/nav-state';
 /**
  * @name App
  * @description
@@ -157,6 +158,34 @@ export var App = (function () {
     App.prototype._setRootNav = function (nav) {
         this._rootNav = nav;
     };
+    /**
+     * Returns a snapshot of the navigation state of the entire app, starting
+     * from the root nav and including every child nav and the selected tab of
+     * any tabs. The snapshot can be saved with `JSON.stringify()` and handed
+     * back to `restoreNavState()`, such as after the app has been closed by the OS.
+     *
+     * Pages are saved using their name in the `DeepLinkConfig`, so each page
+     * in the stack should have a link. Only nav params which can be converted
+     * to JSON are saved.
+     *
+     * @return {NavState} Returns the navigation state of the app.
+     */
+    App.prototype.getNavState = function () {
+        return this._rootNav ? getNavState(this._rootNav) : null;
+    };
+    /**
+     * Rebuilds the navigation state of the app from a snapshot made by
+     * `getNavState()`. None of the pages will animate in.
+     *
+     * @param {NavState} state The navigation state to restore.
+     * @return {Promise} Returns a promise which is resolved once every nav has been restored.
+     */
+    App.prototype.restoreNavState = function (state) {
+        if (!this._rootNav) {
+            return Promise.reject('no root nav to restore the navigation state into');
+        }
+        return restoreNavState(this._rootNav, state);
+    };
     /**
      * @private
      */
@@ -234,6 +263,15 @@ function recursivePop(nav) {
             return nav.pop();
         }
     }
+    if (isTabs(nav)) {
+        // the selected tab is at its root page, so the
+        // tabs' back policy may select another tab instead
+        var backTab = nav._getBackTab();
+        if (backTab) {
+            nav.select(backTab, { direction: DIRECTION_BACK });
+            return Promise.resolve();
+        }
+    }
     // try again using the parent nav (if there is one)
     return recursivePop(nav.parent);
 }
@@ -118,6 +118,8 @@ export var Content = (function (_super) {
         this._inputPolling = false;
         /** @internal */
         this._imgs = [];
+        /** @internal */
+        this._virtualScrolls = [];
         /**
          * @output {ScrollEvent} Emitted when the scrolling first starts.
          */
@@ -392,6 +394,26 @@ export var Content = (function (_super) {
     Content.prototype.removeImg = function (img) {
         removeArrayItem(this._imgs, img);
     };
+    /**
+     * @private
+     */
+    Content.prototype.addVirtualScroll = function (virtualScroll) {
+        this._virtualScrolls.push(virtualScroll);
+    };
+    /**
+     * @private
+     */
+    Content.prototype.removeVirtualScroll = function (virtualScroll) {
+        removeArrayItem(this._virtualScrolls, virtualScroll);
+    };
+    /**
+     * @private
+     * Whether the content has a VirtualScroll, which keeps
+     * the records in view anchored on its own.
+     */
+    Content.prototype.hasVirtualScroll = function () {
+        return this._virtualScrolls.length > 0;
+    };
     /**
      * @private
      * DOM WRITE
@@ -5,6 +5,7 @@ import { Picker, PickerController } from '../picker/picker';
 import { Form } from '../../util/form';
 import { Ion } from '../ion';
 import { Item } from '../item/item';
+import { Platform } from '../../platform/platform';
 import { DateTimeData, LocaleData } from '../../util/datetime-util';
 export declare const DATETIME_VALUE_ACCESSOR: any;
 /**
@@ -168,21 +169,85 @@ export declare const DATETIME_VALUE_ACCESSOR: any;
  * ```
  *
  *
- * ## Month Names and Day of the Week Names
+ * ## Calendar
+ *
+ * Setting `presentation` to `calendar` shows a month of days inline, instead of opening a
+ * picker. The days outside of the `min` and `max`, or not in the `dayValues`, `monthValues`
+ * or `yearValues`, can't be selected. The arrow buttons page through the months, and the
+ * arrow keys move between days, while the page up and page down keys move between months. The
+ * home and end keys move to the first and last day of the week, which starts on the locale's
+ * first day of the week.
+ * Selecting a day keeps the time of the value, which is still an ISO 8601 datetime string.
+ *
+ * ```html
+ * <ion-datetime presentation="calendar" min="2017-03-01" max="2017-12-31" [(ngModel)]="myDate">
+ * </ion-datetime>
+ * ```
+ *
+ * With the `range` input, the first day selected is the start of the range and the second is
+ * its end. The value of a range is its start and end separated by a slash, which is the
+ * ISO 8601 format for a time interval, such as `2017-03-08/2017-03-12`.
+ *
+ * ```html
+ * <ion-datetime presentation="calendar" range [(ngModel)]="stay"></ion-datetime>
+ * ```
+ *
  *
- * At this time, there is no one-size-fits-all standard to automatically choose the correct
- * language/spelling for a month name, or day of the week name, depending on the language
- * or locale. Good news is that there is an
+ * ## Time Zones
+ *
+ * By default, the datetime's value is displayed exactly as it was given, whatever its
+ * offset. The `timeZone` input takes an
+ * [IANA time zone name](https://www.iana.org/time-zones), such as `America/New_York`, and
+ * displays the value in that time zone instead. Values which include an offset, such as
+ * `2017-03-12T08:30:00+01:00`, are moved to the same moment in the time zone, while values
+ * without an offset are treated as already being in the time zone.
+ *
+ * The model value is still an ISO 8601 string, which includes the time zone's offset for
+ * that date. Selecting 9am on July 1st with a `timeZone` of `America/New_York` sets the
+ * value to `2017-07-01T09:00:00-04:00`. Time zones require a browser which supports the
  * [Intl.DateTimeFormat](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/DateTimeFormat)
- * standard which *most* browsers have adopted. However, at this time the standard has not
- * been fully implemented by all popular browsers so Ionic is unavailable to take advantage
- * of it *yet*. Additionally, Angular also provides an internationalization service, but it
- * is still under heavy development so Ionic does not depend on it at this time.
+ * API, and only apply to values with a date and time.
+ *
+ * ```html
+ * <ion-item>
+ *   <ion-label>Meeting</ion-label>
+ *   <ion-datetime displayFormat="MMM D, YYYY HH:mm" timeZone="Europe/London" [(ngModel)]="meeting">
+ *   </ion-datetime>
+ * </ion-item>
+ * ```
+ *
  *
- * All things considered, the by far easiest solution is to just provide an array of names
- * if the app needs to use names other than the default English version of month and day
- * names. The month names and day names can be either configured at the app level, or
- * individual `ion-datetime` level.
+ * ## Locales
+ *
+ * The `locale` input takes a locale, such as `de` or `pt-BR`, and uses the browser's
+ * [Intl.DateTimeFormat](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/DateTimeFormat)
+ * API to localize the datetime. The month and day names are in the locale's language, and when
+ * the datetime doesn't have a `displayFormat` or `pickerFormat`, its default format is put in the
+ * locale's order. For example, the default format is shown as `5. Mär 2017` with a `locale` of
+ * `de`. A `displayFormat` or `pickerFormat` which is given is always used exactly as it's written.
+ * The `locale` can also be set in the app's config.
+ *
+ * ```html
+ * <ion-item>
+ *   <ion-label>Datum</ion-label>
+ *   <ion-datetime locale="de" [(ngModel)]="myDate"></ion-datetime>
+ * </ion-item>
+ * ```
+ *
+ * Without a `locale`, the month and day names come from the language of the platform, which is
+ * the `lang` attribute of the app's `<html>` element, but the default format isn't reordered.
+ *
+ * The locale also decides which day the weeks of the calendar start on, such as Sunday
+ * for `en-US` and Monday for `de`. The `firstDayOfWeek` input, or config, overrides it
+ * with a number from `0` for Sunday to `6` for Saturday.
+ *
+ *
+ * ## Month Names and Day of the Week Names
+ *
+ * The month names and day names can also be given as arrays, which take precedence over the
+ * locale's names. This is useful for browsers without the `Intl.DateTimeFormat` API, or when the
+ * app needs names other than the locale's. The names can be either configured at the app level,
+ * or individual `ion-datetime` level.
  *
  * ### App Config Level
  *
@@ -243,6 +308,7 @@ export declare class DateTime extends Ion implements AfterContentInit, ControlVa
     private _form;
     private _item;
     private _pickerCtrl;
+    private _plt;
     _disabled: any;
     _labelId: string;
     _text: string;
@@ -251,7 +317,18 @@ export declare class DateTime extends Ion implements AfterContentInit, ControlVa
     _min: DateTimeData;
     _max: DateTimeData;
     _value: DateTimeData;
+    _valueEnd: DateTimeData;
     _locale: LocaleData;
+    _localeId: string;
+    _firstDay: number;
+    _range: boolean;
+    _calendar: boolean;
+    _calFocus: DateTimeData;
+    _calTitle: string;
+    _calPrev: boolean;
+    _calNext: boolean;
+    _calWeeks: CalendarDay[][];
+    _calWeekdays: string[];
     /**
      * @private
      */
@@ -299,6 +376,16 @@ export declare class DateTime extends Ion implements AfterContentInit, ControlVa
      * @input {string} The text to display on the picker's "Done" button. Default: `Done`.
      */
     doneText: string;
+    /**
+     * @input {string} The label read by screen readers for the calendar's previous
+     * month button. Default: `Previous month`.
+     */
+    prevMonthText: string;
+    /**
+     * @input {string} The label read by screen readers for the calendar's next
+     * month button. Default: `Next month`.
+     */
+    nextMonthText: string;
     /**
      * @input {array | string} Values used to create the list of selectable years. By default
      * the year values range between the `min` and `max` datetime inputs. However, to
@@ -360,11 +447,34 @@ export declare class DateTime extends Ion implements AfterContentInit, ControlVa
      * locale names for each day in the week. Defaults to English.
      */
     dayShortNames: any;
+    /**
+     * @input {string} The IANA name of the time zone to display the value in, such as
+     * `America/New_York`. The value's offset is set from the time zone. See the
+     * [Time Zones](#time-zones) section for more info.
+     */
+    timeZone: string;
+    /**
+     * @input {string} The locale to use for the month and day names, and the order of the
+     * default format, such as `de` or `pt-BR`. The names default to the platform's language.
+     * See the [Locales](#locales) section for more info.
+     */
+    locale: string;
+    /**
+     * @input {number} The day the weeks of the calendar start on, from `0` for Sunday
+     * to `6` for Saturday. Defaults to the first day of the week of the `locale`.
+     */
+    firstDayOfWeek: any;
     /**
      * @input {any} Any additional options that the picker interface can accept.
      * See the [Picker API docs](../../picker/Picker) for the picker options.
      */
     pickerOptions: any;
+    /**
+     * @input {string} How to present the datetime, either `picker` or `calendar`.
+     * The `picker` opens a picker with a column for each part of the `pickerFormat`,
+     * while the `calendar` shows a month of days inline. Default: `picker`.
+     */
+    presentation: string;
     /**
      * @input {string} The mode to apply to this component.
      */
@@ -377,9 +487,10 @@ export declare class DateTime extends Ion implements AfterContentInit, ControlVa
      * @output {any} Any expression to evaluate when the datetime selection was cancelled.
      */
     ionCancel: EventEmitter<any>;
-    constructor(_form: Form, config: Config, elementRef: ElementRef, renderer: Renderer, _item: Item, _pickerCtrl: PickerController);
+    constructor(_form: Form, config: Config, elementRef: ElementRef, renderer: Renderer, _item: Item, _pickerCtrl: PickerController, _plt: Platform);
     _click(ev: UIEvent): void;
     _keyup(): void;
+    _keydown(ev: KeyboardEvent): void;
     /**
      * @private
      */
@@ -400,6 +511,10 @@ export declare class DateTime extends Ion implements AfterContentInit, ControlVa
      * @private
      */
     setValue(newData: any): void;
+    /**
+     * @private
+     */
+    getISOValue(): string;
     /**
      * @private
      */
@@ -412,10 +527,46 @@ export declare class DateTime extends Ion implements AfterContentInit, ControlVa
      * @private
      */
     updateText(): void;
+    /**
+     * @private
+     */
+    getTemplate(template: string): string;
     /**
      * @private
      */
     calcMinMax(now?: Date): void;
+    /**
+     * @private
+     */
+    renderCalendar(): void;
+    /**
+     * @private
+     * The column of the day within its week of the calendar,
+     * from `0` for the first day of the week to `6` for the last.
+     */
+    getCalendarColumn(date: DateTimeData): number;
+    /**
+     * @private
+     */
+    pageCalendar(months: number): void;
+    /**
+     * @private
+     */
+    moveCalendarFocus(days: number): void;
+    /**
+     * @private
+     */
+    focusCalendarDay(): void;
+    /**
+     * @private
+     */
+    selectDay(day: CalendarDay): void;
+    /**
+     * @input {boolean} Whether the calendar selects a range of days, from a start to an end.
+     * The value of a range is the start and end ISO datetimes separated by a slash,
+     * such as `2017-03-08/2017-03-12`. Default `false`.
+     */
+    range: any;
     /**
      * @input {boolean} Whether or not the datetime component is disabled. Default `false`.
      */
@@ -449,3 +600,17 @@ export declare class DateTime extends Ion implements AfterContentInit, ControlVa
      */
     ngOnDestroy(): void;
 }
+/**
+ * @private
+ */
+export interface CalendarDay {
+    year?: number;
+    month?: number;
+    day?: number;
+    text?: string;
+    disabled?: boolean;
+    selected?: boolean;
+    inRange?: boolean;
+    today?: boolean;
+    focused?: boolean;
+}
@@ -0,0 +1,271 @@
+/**
+ * @private
+ * Keeps downloaded images between app launches so `ion-img` can render
+ * them without a connection. Images are stored with the Cache API where
+ * it's available, otherwise with IndexedDB. Images older than `maxAge` in
+ * milliseconds are never used again, and once the stored images add up to
+ * more than `maxSize` in bytes the oldest ones are removed first.
+ */
+export var ImgCache = (function () {
+    function ImgCache(name, maxSize, maxAge) {
+        this.name = name;
+        this.maxSize = maxSize;
+        this.maxAge = maxAge;
+        this._index = {};
+    }
+    /**
+     * Resolves the stored image for the `src`, or `null` when
+     * it hasn't been stored or it has expired.
+     */
+    ImgCache.prototype.get = function (src) {
+        var _this = this;
+        var key = getKey(src);
+        return this._open().then(function (store) {
+            var meta = _this._index[key];
+            if (!store || !meta) {
+                return null;
+            }
+            if (_this._isExpired(meta)) {
+                return _this._remove(store, key).then(function () { return null; });
+            }
+            return store.get(key);
+        }).catch(function (err) {
+            console.warn("img cache, unable to read " + src + ": " + err);
+            return null;
+        });
+    };
+    ImgCache.prototype.put = function (src, contentType, data) {
+        var _this = this;
+        var entry = {
+            src: getKey(src),
+            contentType: contentType,
+            data: data,
+            len: data.byteLength,
+            time: Date.now()
+        };
+        if (entry.len > this.maxSize) {
+            // this one image would push everything else out
+            return Promise.resolve();
+        }
+        return this._open().then(function (store) {
+            if (!store) {
+                return;
+            }
+            return store.put(entry).then(function () {
+                _this._index[entry.src] = { src: entry.src, len: entry.len, time: entry.time };
+                return _this._evict(store);
+            });
+        }).catch(function (err) {
+            console.warn("img cache, unable to store " + src + ": " + err);
+        });
+    };
+    ImgCache.prototype.clear = function () {
+        var _this = this;
+        return this._open().then(function (store) {
+            _this._index = {};
+            return store && store.clear();
+        });
+    };
+    ImgCache.prototype._open = function () {
+        var _this = this;
+        if (!this._store) {
+            this._store = openStore(this.name).then(function (store) {
+                if (!store) {
+                    console.warn('img cache, neither the Cache API nor IndexedDB are available');
+                    return null;
+                }
+                return store.keys().then(function (metas) {
+                    metas.forEach(function (meta) {
+                        // removed while the keys were being read
+                        if (meta) {
+                            _this._index[meta.src] = meta;
+                        }
+                    });
+                    return _this._evict(store);
+                }).then(function () { return store; });
+            }).catch(function (err) {
+                console.warn("img cache, unable to open: " + err);
+                return null;
+            });
+        }
+        return this._store;
+    };
+    ImgCache.prototype._evict = function (store) {
+        var _this = this;
+        var metas = Object.keys(this._index).map(function (key) { return _this._index[key]; });
+        var removes = [];
+        var total = 0;
+        // newest first, so whatever is over the limit is the oldest
+        metas.sort(function (a, b) { return b.time - a.time; });
+        metas.forEach(function (meta) {
+            total += meta.len;
+            if (total > _this.maxSize || _this._isExpired(meta)) {
+                total -= meta.len;
+                removes.push(_this._remove(store, meta.src));
+            }
+        });
+        return Promise.all(removes);
+    };
+    ImgCache.prototype._remove = function (store, key) {
+        delete this._index[key];
+        return store.remove(key);
+    };
+    ImgCache.prototype._isExpired = function (meta) {
+        return (Date.now() - meta.time) > this.maxAge;
+    };
+    return ImgCache;
+}());
+function openStore(name) {
+    if (typeof caches !== 'undefined') {
+        return caches.open(name).then(openCacheStore, function () {
+            // the Cache API can exist but refuse to open, such as on file://
+            return openIdbStore(name);
+        });
+    }
+    return openIdbStore(name);
+}
+function openCacheStore(cache) {
+    return {
+        keys: function () {
+            return cache.keys().then(function (requests) {
+                return Promise.all(requests.map(function (request) {
+                    return cache.match(request).then(function (rsp) {
+                        return rsp && {
+                            src: request.url,
+                            len: parseInt(rsp.headers.get('Content-Length'), 10) || 0,
+                            time: parseInt(rsp.headers.get(TIME_HEADER), 10) || 0
+                        };
+                    });
+                }));
+            });
+        },
+        get: function (src) {
+            return cache.match(src).then(function (rsp) {
+                if (!rsp) {
+                    return null;
+                }
+                return rsp.arrayBuffer().then(function (data) {
+                    return {
+                        src: src,
+                        contentType: rsp.headers.get('Content-Type'),
+                        data: data,
+                        len: data.byteLength,
+                        time: parseInt(rsp.headers.get(TIME_HEADER), 10) || 0
+                    };
+                });
+            });
+        },
+        put: function (entry) {
+            var headers = {
+                'Content-Type': entry.contentType,
+                'Content-Length': String(entry.len)
+            };
+            headers[TIME_HEADER] = String(entry.time);
+            return cache.put(entry.src, new Response(entry.data, { headers: headers }));
+        },
+        remove: function (src) {
+            return cache.delete(src);
+        },
+        clear: function () {
+            return cache.keys().then(function (requests) {
+                return Promise.all(requests.map(function (request) { return cache.delete(request); }));
+            });
+        }
+    };
+}
+function openIdbStore(name) {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.resolve(null);
+    }
+    var openReq = indexedDB.open(name, 1);
+    openReq.onupgradeneeded = function () {
+        // the image data is kept apart from its meta data so the
+        // meta data can be read on startup without reading every image
+        openReq.result.createObjectStore(IDB_DATA, { keyPath: 'src' });
+        openReq.result.createObjectStore(IDB_META, { keyPath: 'src' });
+    };
+    return idbRequest(openReq).then(function (db) {
+        return {
+            keys: function () {
+                return new Promise(function (resolve, reject) {
+                    var metas = [];
+                    var cursorReq = db.transaction(IDB_META).objectStore(IDB_META).openCursor();
+                    cursorReq.onsuccess = function () {
+                        var cursor = cursorReq.result;
+                        if (cursor) {
+                            metas.push(cursor.value);
+                            cursor.continue();
+                        }
+                        else {
+                            resolve(metas);
+                        }
+                    };
+                    cursorReq.onerror = function () { return reject(cursorReq.error); };
+                });
+            },
+            get: function (src) {
+                return Promise.all([
+                    idbRequest(db.transaction(IDB_DATA).objectStore(IDB_DATA).get(src)),
+                    idbRequest(db.transaction(IDB_META).objectStore(IDB_META).get(src))
+                ]).then(function (results) {
+                    var data = results[0];
+                    var meta = results[1];
+                    if (!data || !meta) {
+                        return null;
+                    }
+                    return {
+                        src: src,
+                        contentType: data.contentType,
+                        data: data.data,
+                        len: meta.len,
+                        time: meta.time
+                    };
+                });
+            },
+            put: function (entry) {
+                var tx = db.transaction([IDB_DATA, IDB_META], 'readwrite');
+                tx.objectStore(IDB_DATA).put({ src: entry.src, contentType: entry.contentType, data: entry.data });
+                tx.objectStore(IDB_META).put({ src: entry.src, len: entry.len, time: entry.time });
+                return idbTransaction(tx);
+            },
+            remove: function (src) {
+                var tx = db.transaction([IDB_DATA, IDB_META], 'readwrite');
+                tx.objectStore(IDB_DATA).delete(src);
+                tx.objectStore(IDB_META).delete(src);
+                return idbTransaction(tx);
+            },
+            clear: function () {
+                var tx = db.transaction([IDB_DATA, IDB_META], 'readwrite');
+                tx.objectStore(IDB_DATA).clear();
+                tx.objectStore(IDB_META).clear();
+                return idbTransaction(tx);
+            }
+        };
+    });
+}
+function idbRequest(req) {
+    return new Promise(function (resolve, reject) {
+        req.onsuccess = function () { return resolve(req.result); };
+        req.onerror = function () { return reject(req.error); };
+    });
+}
+function idbTransaction(tx) {
+    return new Promise(function (resolve, reject) {
+        tx.oncomplete = function () { return resolve(); };
+        tx.onerror = tx.onabort = function () { return reject(tx.error); };
+    });
+}
+function getKey(src) {
+    // the Cache API keys requests by their absolute url
+    // so every store uses the absolute url as the key
+    try {
+        return new URL(src, document.baseURI).href;
+    }
+    catch (e) {
+        return src;
+    }
+}
+var TIME_HEADER = 'X-Ionic-Img-Time';
+var IDB_DATA = 'data';
+var IDB_META = 'meta';
+//# sourceMappingURL=img-cache.js.map
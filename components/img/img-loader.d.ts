@@ -1,7 +1,17 @@
+import { Config } from '../../config/config';
 export declare class ImgLoader {
     private imgs;
-    load(src: string, useCache: boolean, callback: ImgLoadCallback): void;
+    private _persist;
+    private _store;
+    constructor(config: Config);
+    load(src: string, useCache: boolean, callback: ImgLoadCallback, persist?: boolean): void;
+    private _request(img, useCache, persist, callback);
     abort(src: string): void;
+    /**
+     * Removes every image from the in-memory cache, and
+     * from the persistent cache kept between app launches.
+     */
+    clearCache(): Promise<any>;
 }
 export declare function onXhrLoad(callback: ImgLoadCallback, status: number, contentType: string, responseData: ArrayBuffer, useCache: boolean, img: ImgData, imgs: ImgData[]): any;
 export declare function cleanCache(imgs: ImgData[], cacheLimit: number): void;
@@ -10,6 +20,7 @@ export interface ImgData {
     datauri?: string;
     len?: number;
     xhr?: XMLHttpRequest;
+    lookup?: ImgLoadCallback[];
 }
 export declare type ImgLoadCallback = {
     (status: number, msg: string, datauri: string): void;
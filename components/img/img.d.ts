@@ -111,6 +111,67 @@ import { Platform } from '../../platform/platform';
  * does not have the same problems which `ion-img` is solving, then it's
  * recommended to just use the standard `img` HTML element instead.
  *
+ *
+ * ### Offline Images
+ *
+ * The in-memory cache only lasts while the app is open. Setting `persist`
+ * also keeps each downloaded image between app launches, using the Cache API
+ * where it's available, otherwise IndexedDB. Persisted images are used before
+ * making a request, so they're still shown when the app has no connection.
+ * Every image can be persisted by setting the `imgPersist` config to `true`.
+ *
+ * Persisted images older than the `imgCacheMaxAge` config in milliseconds,
+ * which defaults to 7 days, are downloaded again. Once they add up to more
+ * than the `imgCacheMaxSize` config in bytes, which defaults to 50MB, the
+ * oldest images are removed first.
+ *
+ * While an image is loading the `placeholder` image is shown, and the
+ * `fallback` image is shown when it can't be loaded, such as when the app
+ * is offline and it hasn't been persisted yet. Both are used as is, rather
+ * than going through the image requests above, so they should be small
+ * images, such as a tiny low quality version of the image or an image which
+ * is bundled with the app. Once the image has loaded it fades in over the
+ * placeholder.
+ *
+ * ```html
+ * <ion-img persist placeholder="assets/img/loading.png" fallback="assets/img/offline.png" src="..."></ion-img>
+ * ```
+ *
+ *
+ * ### Responsive Images
+ *
+ * Like the standard `img` element, `srcset` can list sources of different
+ * widths, such as `photo-400.jpg 400w, photo-800.jpg 800w`, or for different
+ * pixel densities, such as `photo.jpg 1x, photo@2x.jpg 2x`. The smallest
+ * source which is still sharp on the device's pixel ratio is requested, and
+ * `src` is used when `srcset` isn't set.
+ *
+ * For width descriptors, `sizes` sets how wide the image is shown, such as
+ * `(min-width: 768px) 50vw, 100vw`. Without `sizes`, the `width` of the
+ * image is used when it's set in pixels, otherwise the width of the viewport.
+ * If the viewport grows, such as when the device is rotated, a larger source
+ * is requested when it's needed.
+ *
+ * ```html
+ * <ion-img width="160" height="160" src="photo-160.jpg" srcset="photo-160.jpg 160w, photo-320.jpg 320w, photo-480.jpg 480w"></ion-img>
+ * ```
+ *
+ *
+ * ### Lazy Loading Outside of Content
+ *
+ * Images which aren't within an `ion-content`, or which have the `observe`
+ * property, are loaded once they come within view of any scrollable element,
+ * using an `IntersectionObserver`. This is useful for images within an
+ * element which scrolls horizontally, since `ion-content` only follows its
+ * own vertical scrolling. Where `IntersectionObserver` isn't available, these
+ * images are loaded right away.
+ *
+ * ```html
+ * <div class="carousel">
+ *   <ion-img observe width="120" height="80" *ngFor="let photo of photos" [src]="photo.src"></ion-img>
+ * </div>
+ * ```
+ *
  */
 export declare class Img implements OnDestroy {
     private _ldr;
@@ -131,6 +192,28 @@ export declare class Img implements OnDestroy {
     /** @internal */
     _cache: boolean;
     /** @internal */
+    _persist: boolean;
+    /** @internal */
+    _placeholder: string;
+    /** @internal */
+    _fallback: string;
+    /** @internal */
+    _defaultSrc: string;
+    /** @internal */
+    _srcset: string;
+    /** @internal */
+    _srcs: ImgSrcCandidate[];
+    /** @internal */
+    _srcIndex: number;
+    /** @internal */
+    _sizes: string;
+    /** @internal */
+    _observed: boolean;
+    /** @internal */
+    _observer: any;
+    /** @internal */
+    _unregResize: Function;
+    /** @internal */
     _cb: ImgLoadCallback;
     /** @internal */
     _bounds: any;
@@ -150,9 +233,44 @@ export declare class Img implements OnDestroy {
     canRender: boolean;
     constructor(_ldr: ImgLoader, _elementRef: ElementRef, _renderer: Renderer, _platform: Platform, _zone: NgZone, _content: Content, _dom: DomController);
     /**
-     * @input {string} Image src.
+     * @input {string} Image src. When `srcset` is set, this is the source
+     * picked from `srcset` instead.
      */
     src: string;
+    /**
+     * @input {string}  A comma separated list of sources, each followed by
+     * its width, such as `400w`, or its pixel density, such as `2x`.
+     */
+    srcset: string;
+    /**
+     * @input {string}  A comma separated list of how wide the image is shown,
+     * each but the last following a media condition, such as `(max-width: 600px) 100vw, 50vw`.
+     */
+    sizes: string;
+    /**
+     * @internal
+     */
+    _pickSrc(onlyLarger?: boolean): void;
+    /**
+     * @internal
+     */
+    _getSlotWidth(): number;
+    /**
+     * @internal
+     */
+    _setSrc(newSrc: string): void;
+    /**
+     * @internal
+     */
+    _observeView(): void;
+    /**
+     * @internal
+     */
+    _inView(): void;
+    /**
+     * @internal
+     */
+    _unobserveView(): void;
     /**
      * @private
      */
@@ -170,6 +288,10 @@ export declare class Img implements OnDestroy {
      * @internal
      */
     _srcAttr(srcAttr: string): void;
+    /**
+     * @internal
+     */
+    _setPlaceholder(placeholder: string): void;
     /**
      * @private
      */
@@ -192,6 +314,28 @@ export declare class Img implements OnDestroy {
      * smoother scrolling.
      */
     cache: boolean;
+    /**
+     * @input {boolean}  Whether to keep the downloaded image between app launches,
+     * so it can still be shown when the app is offline. Defaults to the `imgPersist`
+     * config, which is `false`.
+     */
+    persist: boolean;
+    /**
+     * @input {string}  The src of an image to show while the image is loading.
+     */
+    placeholder: string;
+    /**
+     * @input {string}  The src of an image to show when the image can't be loaded,
+     * such as when the app is offline. Defaults to the `placeholder` image.
+     */
+    fallback: string;
+    /**
+     * @input {boolean}  Whether to load the image once it's within view of any
+     * scrollable element using an `IntersectionObserver`, rather than by following
+     * the scrolling of its `ion-content`. Images which aren't within an `ion-content`
+     * always do this.
+     */
+    observe: boolean;
     /**
      * @input {string}  Image width. If this property is not set it's important that
      * the dimensions are still set using CSS. If the dimension is just a number it
@@ -215,3 +359,8 @@ export declare class Img implements OnDestroy {
      */
     ngOnDestroy(): void;
 }
+export interface ImgSrcCandidate {
+    src: string;
+    w: number;
+    x: number;
+}
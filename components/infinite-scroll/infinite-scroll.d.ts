@@ -76,6 +76,40 @@ import { DomController } from '../../util/dom-controller';
  *  ```
  *
  *
+ * ## Loading Above
+ *
+ * Setting `position` to `top` calls the `ionInfinite` event when the user
+ * scrolls a specified distance from the top of the page instead, which is
+ * useful for loading older messages above a chat. The infinite scroll
+ * should then be placed above the list. Once `complete()` has been called,
+ * the scroll position is kept the same distance from the bottom, so the
+ * items which were in view don't move as the new items are added above them.
+ * A list with `virtualScroll` keeps its records in view anchored itself.
+ *
+ *  ```html
+ *  <ion-content>
+ *
+ *    <ion-infinite-scroll position="top" (ionInfinite)="loadOlder($event)">
+ *      <ion-infinite-scroll-content></ion-infinite-scroll-content>
+ *    </ion-infinite-scroll>
+ *
+ *    <ion-list [virtualScroll]="messages" approxItemHeight="60px">
+ *      <ion-item *virtualItem="let message">{% raw %}{{message.text}}{% endraw %}</ion-item>
+ *    </ion-list>
+ *
+ *  </ion-content>
+ *  ```
+ *
+ *  ```ts
+ *  loadOlder(infiniteScroll) {
+ *    this.chat.getOlder(this.messages[0]).then(older => {
+ *      this.messages.unshift(...older);
+ *      infiniteScroll.complete();
+ *    });
+ *  }
+ *  ```
+ *
+ *
  * ## Further Customizing Infinite Scroll Content
  *
  * The `ion-infinite-scroll` component holds the infinite scroll logic.
@@ -100,6 +134,7 @@ export declare class InfiniteScroll {
     _thr: string;
     _thrPx: number;
     _thrPc: number;
+    _position: string;
     _init: boolean;
     /**
      * @internal
@@ -116,6 +151,14 @@ export declare class InfiniteScroll {
      * Default is `15%`.
      */
     threshold: string;
+    /**
+     * @input {string} The position of the infinite scroll element.
+     * The value can be either `top` or `bottom`. When `top`, the
+     * `infinite` output event is called when scrolled within the
+     * threshold distance from the top of the content instead.
+     * Default is `bottom`.
+     */
+    position: string;
     /**
      * @input {boolean} Whether or not the infinite scroll should be
      * enabled or not. Setting to `false` will remove scroll event listeners
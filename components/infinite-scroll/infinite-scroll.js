@@ -76,6 +76,40 @@ import { DomController } from '../../util/dom-controller';
  *  ```
  *
  *
+ * ## Loading Above
+ *
+ * Setting `position` to `top` calls the `ionInfinite` event when the user
+ * scrolls a specified distance from the top of the page instead, which is
+ * useful for loading older messages above a chat. The infinite scroll
+ * should then be placed above the list. Once `complete()` has been called,
+ * the scroll position is kept the same distance from the bottom, so the
+ * items which were in view don't move as the new items are added above them.
+ * A list with `virtualScroll` keeps its records in view anchored itself.
+ *
+ *  ```html
+ *  <ion-content>
+ *
+ *    <ion-infinite-scroll position="top" (ionInfinite)="loadOlder($event)">
+ *      <ion-infinite-scroll-content></ion-infinite-scroll-content>
+ *    </ion-infinite-scroll>
+ *
+ *    <ion-list [virtualScroll]="messages" approxItemHeight="60px">
+ *      <ion-item *virtualItem="let message">{% raw %}{{message.text}}{% endraw %}</ion-item>
+ *    </ion-list>
+ *
+ *  </ion-content>
+ *  ```
+ *
+ *  ```ts
+ *  loadOlder(infiniteScroll) {
+ *    this.chat.getOlder(this.messages[0]).then(older => {
+ *      this.messages.unshift(...older);
+ *      infiniteScroll.complete();
+ *    });
+ *  }
+ *  ```
+ *
+ *
  * ## Further Customizing Infinite Scroll Content
  *
  * The `ion-infinite-scroll` component holds the infinite scroll logic.
@@ -100,6 +134,7 @@ export var InfiniteScroll = (function () {
         this._thr = '15%';
         this._thrPx = 0;
         this._thrPc = 0.15;
+        this._position = POSITION_BOTTOM;
         this._init = false;
         /**
          * @internal
@@ -142,6 +177,23 @@ export var InfiniteScroll = (function () {
         enumerable: true,
         configurable: true
     });
+    Object.defineProperty(InfiniteScroll.prototype, "position", {
+        /**
+         * @input {string} The position of the infinite scroll element.
+         * The value can be either `top` or `bottom`. When `top`, the
+         * `infinite` output event is called when scrolled within the
+         * threshold distance from the top of the content instead.
+         * Default is `bottom`.
+         */
+        get: function () {
+            return this._position;
+        },
+        set: function (val) {
+            this._position = (val === POSITION_TOP ? POSITION_TOP : POSITION_BOTTOM);
+        },
+        enumerable: true,
+        configurable: true
+    });
     Object.defineProperty(InfiniteScroll.prototype, "enabled", {
         /**
          * @input {boolean} Whether or not the infinite scroll should be
@@ -172,15 +224,15 @@ export var InfiniteScroll = (function () {
         }
         // ******** DOM READ ****************
         var d = this._content.getContentDimensions();
-        var reloadY = d.contentHeight;
-        if (this._thrPc) {
-            reloadY += (reloadY * this._thrPc);
+        var threshold = (this._thrPc ? (d.contentHeight * this._thrPc) : this._thrPx);
+        // ******** DOM READS ABOVE / DOM WRITES BELOW ****************
+        var distanceFromInfinite;
+        if (this._position === POSITION_TOP) {
+            distanceFromInfinite = (d.scrollTop - infiniteHeight) - threshold;
         }
         else {
-            reloadY += this._thrPx;
+            distanceFromInfinite = ((d.scrollHeight - infiniteHeight) - d.scrollTop) - (d.contentHeight + threshold);
         }
-        // ******** DOM READS ABOVE / DOM WRITES BELOW ****************
-        var distanceFromInfinite = ((d.scrollHeight - infiniteHeight) - d.scrollTop) - reloadY;
         if (distanceFromInfinite < 0) {
             // ******** DOM WRITE ****************
             this._dom.write(function () {
@@ -206,7 +258,31 @@ export var InfiniteScroll = (function () {
      * to `enabled`.
      */
     InfiniteScroll.prototype.complete = function () {
-        this.state = STATE_ENABLED;
+        var _this = this;
+        if (this._position !== POSITION_TOP || this.state !== STATE_LOADING || this._content.hasVirtualScroll()) {
+            // a VirtualScroll already keeps the records in view anchored
+            this.state = STATE_ENABLED;
+            return;
+        }
+        // the new items haven't been rendered above what's in view yet, so measure
+        // how far from the bottom it is now, then once they have been rendered,
+        // scroll back to the same distance from the bottom. it stays loading
+        // until then so it isn't called again meanwhile
+        // ******** DOM READ ****************
+        var d = this._content.getContentDimensions();
+        var scrollBottom = d.scrollHeight - d.scrollTop;
+        var scrollTop;
+        this._dom.read(function () {
+            // ******** DOM READ ****************
+            scrollTop = _this._content.getContentDimensions().scrollHeight - scrollBottom;
+        });
+        this._dom.write(function () {
+            // ******** DOM WRITE ****************
+            _this._content.scrollTop = scrollTop;
+            if (_this.state === STATE_LOADING) {
+                _this.state = STATE_ENABLED;
+            }
+        });
     };
     /**
      * Call `enable(false)` to disable the infinite scroll from actively
@@ -267,6 +343,7 @@ export var InfiniteScroll = (function () {
     ];
     InfiniteScroll.propDecorators = {
         'threshold': [{ type: Input },],
+        'position': [{ type: Input },],
         'enabled': [{ type: Input },],
         'ionInfinite': [{ type: Output },],
     };
@@ -275,4 +352,6 @@ export var InfiniteScroll = (function () {
 var STATE_ENABLED = 'enabled';
 var STATE_DISABLED = 'disabled';
 var STATE_LOADING = 'loading';
+var POSITION_TOP = 'top';
+var POSITION_BOTTOM = 'bottom';
 //# sourceMappingURL=infinite-scroll.js.map
\ No newline at end of file
@@ -58,13 +58,14 @@ export var MenuContentGesture = (function (_super) {
         var z = (this.menu.side === 'right' ? slide.min : slide.max);
         var currentStepValue = (slide.distance / z);
         var velocity = slide.velocity;
+        var stepVelocity = (velocity / z);
         z = Math.abs(z * 0.5);
         var shouldCompleteRight = (velocity >= 0)
             && (velocity > 0.2 || slide.delta > z);
         var shouldCompleteLeft = (velocity <= 0)
             && (velocity < -0.2 || slide.delta < -z);
         (void 0) /* console.debug */;
-        this.menu._swipeEnd(shouldCompleteLeft, shouldCompleteRight, currentStepValue, velocity);
+        this.menu._swipeEnd(shouldCompleteLeft, shouldCompleteRight, currentStepValue, velocity, stepVelocity);
     };
     MenuContentGesture.prototype.getElementStartPos = function (slide, ev) {
         if (this.menu.side === 'right') {
@@ -13,6 +13,6 @@ export declare class MenuType {
     setOpen(shouldOpen: boolean, animated: boolean, done: Function): void;
     setProgressStart(isOpen: boolean): void;
     setProgessStep(stepValue: number): void;
-    setProgressEnd(shouldComplete: boolean, currentStepValue: number, velocity: number, done: Function): void;
+    setProgressEnd(shouldComplete: boolean, currentStepValue: number, velocity: number, stepVelocity: number, done: Function): void;
     destroy(): void;
 }
@@ -42,7 +42,7 @@ export var MenuType = (function () {
         // adjust progress value depending if it opening or closing
         this.ani.progressStep(stepValue);
     };
-    MenuType.prototype.setProgressEnd = function (shouldComplete, currentStepValue, velocity, done) {
+    MenuType.prototype.setProgressEnd = function (shouldComplete, currentStepValue, velocity, stepVelocity, done) {
         var _this = this;
         var isOpen = (this.isOpening && shouldComplete);
         if (!this.isOpening && !shouldComplete) {
@@ -54,7 +54,7 @@ export var MenuType = (function () {
         }, true);
         var factor = 1 - Math.min(Math.abs(velocity) / 4, 0.7);
         var dur = this.ani.getDuration() * factor;
-        this.ani.progressEnd(shouldComplete, currentStepValue, dur);
+        this.ani.progressEnd(shouldComplete, currentStepValue, dur, stepVelocity);
     };
     MenuType.prototype.destroy = function () {
         this.ani && this.ani.destroy();
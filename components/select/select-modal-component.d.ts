@@ -0,0 +1,48 @@
+import { ElementRef, Renderer } from '@angular/core';
+import { Config } from '../../config/config';
+import { NavParams } from '../../navigation/nav-params';
+import { ViewController } from '../../navigation/view-controller';
+/**
+ * @private
+ */
+export declare class SelectModalCmp {
+    _viewCtrl: ViewController;
+    _loadId: number;
+    d: {
+        cssClass?: string;
+        title?: string;
+        cancelText?: string;
+        okText?: string;
+        searchPlaceholder?: string;
+        searchDebounce?: number;
+        approxItemHeight?: string;
+        multiple?: boolean;
+        options?: SelectModalOption[];
+        selected?: SelectModalOption[];
+        loadOptions?: (searchText: string) => Promise<SelectModalOption[]>;
+    };
+    items: SelectModalOption[];
+    selected: SelectModalOption[];
+    loading: boolean;
+    mode: string;
+    constructor(_viewCtrl: ViewController, _elementRef: ElementRef, config: Config, params: NavParams, _renderer: Renderer);
+    ionViewDidLoad(): void;
+    /**
+     * Filters the options by their text, or asks the select's
+     * `loadOptions` function for the options to show.
+     */
+    search(searchText: string): void;
+    setItems(items: SelectModalOption[]): void;
+    isSelected(value: any): boolean;
+    select(item: SelectModalOption): void;
+    deselect(option: SelectModalOption): void;
+    done(): Promise<any>;
+    cancel(): Promise<any>;
+}
+export interface SelectModalOption {
+    text: string;
+    value?: any;
+    disabled?: boolean;
+    checked?: boolean;
+    handler?: Function;
+}
@@ -0,0 +1,33 @@
+import { ElementRef } from '@angular/core';
+import { NavParams } from '../../navigation/nav-params';
+import { SelectModalOption } from './select-modal-component';
+import { ViewController } from '../../navigation/view-controller';
+/**
+ * @private
+ */
+export declare class SelectPopoverCmp {
+    _viewCtrl: ViewController;
+    _elementRef: ElementRef;
+    d: {
+        cancelText?: string;
+        okText?: string;
+        multiple?: boolean;
+        options?: SelectModalOption[];
+        selected?: SelectModalOption[];
+    };
+    selected: SelectModalOption[];
+    activeIndex: number;
+    constructor(_viewCtrl: ViewController, _elementRef: ElementRef, params: NavParams);
+    ionViewDidEnter(): void;
+    isSelected(value: any): boolean;
+    select(option: SelectModalOption): void;
+    done(): Promise<any>;
+    cancel(): Promise<any>;
+    _keyDown(ev: KeyboardEvent): void;
+    /**
+     * Returns the index of the next option which isn't disabled,
+     * wrapping around at either end of the list.
+     */
+    nextIndex(index: number, step: number): number;
+    focusOption(): void;
+}
@@ -11,10 +11,14 @@ import { App } from '../app/app';
 import { Config } from '../../config/config';
 import { Form } from '../../util/form';
 import { Ion } from '../ion';
-import { isBlank, isCheckedProperty, isTrueProperty, merge } from '../../util/util';
+import { defaults, isBlank, isCheckedProperty, isTrueProperty, merge } from '../../util/util';
 import { Item } from '../item/item';
+import { Modal } from '../modal/modal';
 import { NavController } from '../../navigation/nav-controller';
 import { Option } from '../option/option';
+import { Popover } from '../popover/popover';
+import { SelectModalCmp } from './select-modal-component';
+import { SelectPopoverCmp } from './select-popover-component';
 export var SELECT_VALUE_ACCESSOR = {
     provide: NG_VALUE_ACCESSOR,
     useExisting: forwardRef(function () { return Select; }),
@@ -40,6 +44,17 @@ export var SELECT_VALUE_ACCESSOR = {
  * `action-sheet` to the `interface` property. Read the other sections for the limitations of the
  * action sheet interface.
  *
+ * Passing `modal` to the `interface` property opens the options in a full page
+ * {@link ../../modal/ModalController Modal} instead. The modal has a searchbar to filter
+ * the options by their text, and uses `VirtualScroll` for the list, so it is the best
+ * choice when there are hundreds of options. Read the Modal Interface section below.
+ *
+ * On tablets and desktops, passing `popover` to the `interface` property opens the options
+ * in a {@link ../../popover/PopoverController Popover} which is anchored to the select.
+ * The up and down arrow keys move through the options, and enter selects the focused option.
+ * Like the modal, a multi-value select's popover has `Cancel` and `OK` buttons, while a single
+ * value select's popover closes as soon as an option is selected.
+ *
  * ### Single Value: Radio Buttons
  *
  * The standard `ion-select` component allows the user to select only one
@@ -120,6 +135,38 @@ export var SELECT_VALUE_ACCESSOR = {
  * };
  * ```
  *
+ * ### Modal Interface
+ *
+ * The `modal` interface has a `Cancel` button, and a multi-value select also has
+ * an `OK` button. A single value select closes the modal as soon as an option is
+ * tapped. With a multi-value select, the options which have been selected so far
+ * are shown as chips under the searchbar, and can be removed from there.
+ *
+ * Rather than using `ion-option` children, the options can be loaded as the user
+ * searches by passing a function to the `loadOptions` property. It is given the
+ * searchbar's text, which is empty when the modal opens, and returns a promise of
+ * the options to show. Each option is an object with a `text`, and optionally a
+ * `value` and `disabled`. Only the latest search is shown, even if an earlier
+ * search resolves after it.
+ *
+ * ```html
+ * <ion-select [(ngModel)]="country" interface="modal" [loadOptions]="searchCountries">
+ * </ion-select>
+ * ```
+ *
+ * ```ts
+ * searchCountries = (searchText: string) => {
+ *   return this.http.get('/countries?q=' + searchText)
+ *     .map(res => res.json().map(c => ({ text: c.name, value: c.code })))
+ *     .toPromise();
+ * }
+ * ```
+ *
+ * The select remembers the text of loaded options once they are selected. When the
+ * value is set before the modal has been opened, use `selectedText` to display it.
+ * The `selectOptions` for the modal interface can include a `title`, `cssClass`,
+ * `searchPlaceholder`, `searchDebounce` and the `approxItemHeight` of each option.
+ *
  * @demo /docs/v2/demos/src/select/
  */
 export var Select = (function (_super) {
@@ -136,6 +183,7 @@ export var Select = (function (_super) {
         this._texts = [];
         this._text = '';
         this._isOpen = false;
+        this._loaded = [];
         /**
          * @input {string} The text to display on the cancel button. Default: `Cancel`.
          */
@@ -152,9 +200,14 @@ export var Select = (function (_super) {
          */
         this.selectOptions = {};
         /**
-         * @input {string} The interface the select should use: `action-sheet` or `alert`. Default: `alert`.
+         * @input {string} The interface the select should use: `action-sheet`, `alert`, `modal` or `popover`. Default: `alert`.
          */
         this.interface = '';
+        /**
+         * @input {Function} A function which is given the search text and returns a promise of
+         * the options to show in the `modal` interface. Read the Modal Interface section for more.
+         */
+        this.loadOptions = null;
         /**
          * @input {string} The text to display instead of the selected option's value.
          */
@@ -250,6 +303,63 @@ export var Select = (function (_super) {
             selectOptions.cssClass = selectCssClass;
             overlay = new ActionSheet(this._app, selectOptions);
         }
+        else if (this.interface === 'modal' || this.interface === 'popover') {
+            selectOptions.cancelText = this.cancelText;
+            selectOptions.okText = this.okText;
+            selectOptions.multiple = this._multi;
+            selectOptions.options = options.map(function (input) {
+                return {
+                    text: input.text,
+                    value: input.value,
+                    disabled: input.disabled,
+                    handler: function () {
+                        input.ionSelect.emit(input.value);
+                    }
+                };
+            });
+            // options which were loaded and then selected aren't ion-options,
+            // so they're added to the selected ion-options
+            selectOptions.selected = options.filter(function (input) { return input.selected; }).map(function (input) {
+                return { text: input.text, value: input.value };
+            }).concat(this._loaded);
+            var selectCssClass = 'select-' + this.interface;
+            // If the user passed a cssClass for the select, add it
+            selectCssClass += selectOptions.cssClass ? ' ' + selectOptions.cssClass : '';
+            if (this.interface === 'modal') {
+                defaults(selectOptions, {
+                    searchPlaceholder: 'Search',
+                    searchDebounce: 250,
+                    approxItemHeight: '40px'
+                });
+                selectOptions.loadOptions = this.loadOptions;
+                selectOptions.cssClass = selectCssClass;
+                overlay = new Modal(this._app, SelectModalCmp, selectOptions);
+            }
+            else {
+                // anchor the popover to the select rather than the center of the screen
+                selectOptions.ev = { target: this.getNativeElement() };
+                overlay = new Popover(this._app, SelectPopoverCmp, selectOptions, {
+                    cssClass: selectCssClass
+                });
+            }
+            overlay.onWillDismiss(function (selected, role) {
+                if (role === 'cancel') {
+                    _this.ionCancel.emit(null);
+                    return;
+                }
+                if (!selected) {
+                    // dismissed by the backdrop
+                    return;
+                }
+                _this._loaded = selected.map(function (o) {
+                    return { text: o.text, value: o.value };
+                });
+                var values = selected.map(function (o) { return o.value; });
+                var value = _this._multi ? values : values[0];
+                _this.onChange(value);
+                _this.ionChange.emit(value);
+            });
+        }
         else {
             // default to use the alert interface
             this.interface = 'alert';
@@ -355,6 +465,18 @@ export var Select = (function (_super) {
                 }
             });
         }
+        // only keep the loaded options which are still selected
+        // and aren't also one of the ion-options
+        this._loaded = this._loaded.filter(function (loaded) {
+            return _this._values.some(function (selectValue) {
+                return isCheckedProperty(selectValue, loaded.value);
+            }) && !(_this._options && _this._options.some(function (option) {
+                return isCheckedProperty(option.value, loaded.value);
+            }));
+        });
+        this._loaded.forEach(function (loaded) {
+            _this._texts.push(loaded.text);
+        });
         this._text = this._texts.join(', ');
     };
     Object.defineProperty(Select.prototype, "disabled", {
@@ -461,6 +583,7 @@ export var Select = (function (_super) {
         'placeholder': [{ type: Input },],
         'selectOptions': [{ type: Input },],
         'interface': [{ type: Input },],
+        'loadOptions': [{ type: Input },],
         'selectedText': [{ type: Input },],
         'mode': [{ type: Input },],
         'ionChange': [{ type: Output },],
@@ -0,0 +1,131 @@
+import { ElementRef, EventEmitter, NgZone, QueryList, Renderer } from '@angular/core';
+import { Menu } from '../menu/menu';
+import { Platform } from '../../platform/platform';
+/**
+ * @name SplitPane
+ * @description
+ * A split pane docks a menu, or a secondary nav, beside the app's main
+ * content when the screen is wide enough, such as on tablets and desktops.
+ * On smaller screens, such as phones, the menu goes back to being a normal
+ * menu which is swiped or toggled open over the content, and a secondary
+ * nav is hidden.
+ *
+ * The element which should fill the rest of the split pane needs the
+ * `main` attribute. Every other child of the split pane is docked beside
+ * it, and a menu is docked on its `side`.
+ *
+ *
+ * ### Breakpoints
+ *
+ * By default the side content is docked once the platform's width is
+ * `992px` or wider. This can be changed with the `when` property, which
+ * takes one of the below breakpoints, a minimum width such as `600px`, or
+ * `true` or `false` to always or never dock the side content.
+ *
+ * | Breakpoint | Minimum Width |
+ * |------------|---------------|
+ * | `xs`       | `0px`         |
+ * | `sm`       | `576px`       |
+ * | `md`       | `768px`       |
+ * | `lg`       | `992px`       |
+ * | `xl`       | `1200px`      |
+ *
+ *
+ * ### Docked Menus
+ *
+ * A docked menu is always shown, so it is not open, cannot be swiped open
+ * or closed, and any [MenuToggle](../../menu/MenuToggle) buttons for it are
+ * hidden. Calling `open()` on the [MenuController](../../menu/MenuController)
+ * for a docked menu resolves `false`, and `isOpen()` keeps returning `false`.
+ * Disabling a docked menu with `enable(false)` hides it from the split pane,
+ * and the main content fills the space it leaves.
+ *
+ *
+ * @usage
+ *
+ * ```html
+ * <ion-split-pane>
+ *   <ion-menu [content]="content">
+ *     <ion-content>
+ *       <ion-list>
+ *       ...
+ *       </ion-list>
+ *     </ion-content>
+ *   </ion-menu>
+ *
+ *   <ion-nav main #content [root]="rootPage"></ion-nav>
+ * </ion-split-pane>
+ * ```
+ *
+ * The side content can also be another nav, which is only shown on wide screens:
+ *
+ * ```html
+ * <ion-split-pane when="md" (ionChange)="splitPaneChanged($event)">
+ *   <ion-nav [root]="listPage"></ion-nav>
+ *   <ion-nav main [root]="detailPage"></ion-nav>
+ * </ion-split-pane>
+ * ```
+ *
+ * @see {@link ../../menu/Menu Menu API Docs}
+ * @see {@link ../../nav/Nav Nav API Docs}
+ */
+export declare class SplitPane {
+    private _platform;
+    private _zone;
+    private _elementRef;
+    private _renderer;
+    _when: string | boolean;
+    _isEnabled: boolean;
+    _visible: boolean;
+    _init: boolean;
+    _unregResize: Function;
+    _menuSub: any;
+    /**
+     * @private
+     */
+    _menus: QueryList<Menu>;
+    /**
+     * @input {string | boolean} When the side content should be docked.
+     * Either a breakpoint, such as `md`, a minimum width, such as `600px`,
+     * or a boolean. Default `lg`.
+     */
+    when: string | boolean;
+    /**
+     * @input {boolean} Whether or not the split pane should dock its side
+     * content. When `false` it always acts as it does on a small screen.
+     * Default `true`.
+     */
+    enabled: boolean;
+    /**
+     * @output {SplitPane} Emitted when the side content is docked or
+     * undocked. Use `isVisible()` to know which it is.
+     */
+    ionChange: EventEmitter<SplitPane>;
+    constructor(_platform: Platform, _zone: NgZone, _elementRef: ElementRef, _renderer: Renderer);
+    /**
+     * @private
+     */
+    ngAfterContentInit(): void;
+    /**
+     * @return {boolean} Returns `true` if the side content is currently docked.
+     */
+    isVisible(): boolean;
+    /**
+     * @private
+     */
+    _update(): void;
+    /**
+     * @private
+     */
+    _setMenus(): void;
+    /**
+     * @private
+     */
+    ngOnDestroy(): void;
+}
+/**
+ * @private
+ * Whether the `when` of a split pane, which is either a breakpoint, a
+ * minimum width or a boolean, matches the platform's width.
+ */
+export declare function matchesWhen(when: string | boolean, width: number): boolean;
@@ -12,6 +12,10 @@ export var TabHighlight = (function () {
         rafFrames(3, function () {
             var d = tab.btn.getDimensions();
             var ele = _this._elementRef.nativeElement;
+            if (_this._init) {
+                // settle into place after being dragged with the tabs
+                ele.classList.add('animate');
+            }
             ele.style[CSS.transform] = "translate3d(" + d.left + "px,0,0) scaleX(" + d.width + ")";
             if (!_this._init) {
                 _this._init = true;
@@ -21,6 +25,19 @@ export var TabHighlight = (function () {
             }
         });
     };
+    /**
+     * Moves the highlight part of the way from one tab to another,
+     * in step with the tabs being swiped.
+     */
+    TabHighlight.prototype.progress = function (fromTab, toTab, stepValue) {
+        var from = fromTab.btn.getDimensions();
+        var to = toTab.btn.getDimensions();
+        var left = from.left + (to.left - from.left) * stepValue;
+        var width = from.width + (to.width - from.width) * stepValue;
+        var ele = this._elementRef.nativeElement;
+        ele.classList.remove('animate');
+        ele.style[CSS.transform] = "translate3d(" + left + "px,0,0) scaleX(" + width + ")";
+    };
     TabHighlight.decorators = [
         { type: Directive, args: [{
                     selector: '.tab-highlight'
@@ -224,7 +224,15 @@ export var Tab = (function (_super) {
         var _this = this;
         if (!this._loaded && this.root) {
             this.setElementClass('show-tab', true);
-            this.push(this.root, this.rootParams, opts, done);
+            var segment = this._segment;
+            this._segment = null;
+            if (segment && segment.stack && segment.stack.length > 1) {
+                // the url has the pages above this tab's root page too
+                this.setPages(this.linker.initViews(segment), opts, done);
+            }
+            else {
+                this.push(this.root, this.rootParams, opts, done);
+            }
             this._loaded = true;
         }
         else {
@@ -242,6 +250,45 @@ export var Tab = (function (_super) {
             done(true);
         }
     };
+    /**
+     * @private
+     * Loads the tab's root page before the tab is selected, such as while
+     * it's being swiped into view. The page doesn't enter until the tabs
+     * select this tab.
+     */
+    Tab.prototype._preload = function () {
+        var _this = this;
+        if (this._loaded) {
+            this.setElementClass('show-tab', true);
+            return;
+        }
+        this._preloading = true;
+        this.load({ animate: false, updateUrl: false }, function () {
+            _this._preloading = false;
+            var active = _this.getActive();
+            if (_this.isSelected && active) {
+                // the tab was selected before its page finished loading
+                active._willEnter();
+                active._didEnter();
+            }
+        });
+    };
+    /**
+     * @private
+     */
+    Tab.prototype._willEnter = function (view) {
+        if (!this._preloading) {
+            _super.prototype._willEnter.call(this, view);
+        }
+    };
+    /**
+     * @private
+     */
+    Tab.prototype._didEnter = function (view) {
+        if (!this._preloading) {
+            _super.prototype._didEnter.call(this, view);
+        }
+    };
     /**
      * @private
      */
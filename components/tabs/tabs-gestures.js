@@ -0,0 +1,59 @@
+var __extends = (this && this.__extends) || function (d, b) {
+    for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
+    function __() { this.constructor = d; }
+    d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+};
+import { GESTURE_TABS_SWIPE } from '../../gestures/gesture-controller';
+import { SlideGesture } from '../../gestures/slide-gesture';
+import { swipeShouldReset } from '../../util/util';
+/**
+ * @private
+ * Gesture attached to the tabs which drags the selected
+ * tab's page aside to show the tab next to it
+ */
+export var TabsSwipeGesture = (function (_super) {
+    __extends(TabsSwipeGesture, _super);
+    function TabsSwipeGesture(tabs, gestureCtrl, domCtrl) {
+        _super.call(this, tabs.getNativeElement(), {
+            direction: 'x',
+            threshold: 10,
+            zone: false,
+            domController: domCtrl,
+            gesture: gestureCtrl.createGesture({
+                name: GESTURE_TABS_SWIPE,
+                priority: -20 /* TabsSwipe */,
+                disableScroll: true
+            })
+        });
+        this.tabs = tabs;
+    }
+    TabsSwipeGesture.prototype.canStart = function (ev) {
+        return this.tabs._canSwipe() && _super.prototype.canStart.call(this, ev);
+    };
+    TabsSwipeGesture.prototype.onSlideBeforeStart = function (ev) {
+        this.tabs._swipeStart();
+    };
+    TabsSwipeGesture.prototype.onSlide = function (slide, ev) {
+        ev.preventDefault();
+        this.tabs._swipeProgress(slide.distance);
+    };
+    TabsSwipeGesture.prototype.onSlideEnd = function (slide, ev) {
+        var width = this.tabs._swipe.width;
+        var velocity = slide.velocity;
+        // dragging to the left shows the next tab, and to the right the previous tab
+        var isResetDirection = slide.distance < 0 ? velocity > 0 : velocity < 0;
+        var isMovingFast = Math.abs(velocity) > 0.4;
+        var isInResetZone = Math.abs(slide.distance) < width * 0.5;
+        var shouldComplete = slide.distance !== 0 && !swipeShouldReset(isResetDirection, isMovingFast, isInResetZone);
+        this.tabs._swipeEnd(shouldComplete, slide.distance, velocity);
+    };
+    TabsSwipeGesture.prototype.getSlideBoundaries = function () {
+        var swipe = this.tabs._swipe;
+        return {
+            min: swipe.nextTab ? -swipe.width : 0,
+            max: swipe.prevTab ? swipe.width : 0
+        };
+    };
+    return TabsSwipeGesture;
+}(SlideGesture));
+//# sourceMappingURL=tabs-gestures.js.map
@@ -0,0 +1,51 @@
+import { Component, ViewEncapsulation } from '@angular/core';
+import { NavController } from '../../navigation/nav-controller';
+/**
+ * @private
+ * The root page of the more tab, which lists the tabs that didn't fit in
+ * the tabbar. The list can be reordered by the user.
+ */
+export var TabsMoreCmp = (function () {
+    function TabsMoreCmp(navCtrl) {
+        this.reorder = false;
+        // the more tab's parent is the tabs it belongs to
+        this.tabs = navCtrl.parent;
+    }
+    TabsMoreCmp.prototype.open = function (tab) {
+        this.tabs.select(tab);
+    };
+    TabsMoreCmp.prototype.reorderTabs = function (indexes) {
+        this.tabs._reorderMore(indexes);
+    };
+    TabsMoreCmp.decorators = [
+        { type: Component, args: [{
+                    selector: 'ion-tabs-more',
+                    template: '<ion-header>' +
+                        '<ion-navbar>' +
+                        '<ion-title>{{tabs.tabsMoreTitle}}</ion-title>' +
+                        '<ion-buttons end>' +
+                        '<button ion-button icon-only (click)="reorder = !reorder" [attr.aria-pressed]="reorder">' +
+                        '<ion-icon name="reorder"></ion-icon>' +
+                        '</button>' +
+                        '</ion-buttons>' +
+                        '</ion-navbar>' +
+                        '</ion-header>' +
+                        '<ion-content>' +
+                        '<ion-list [reorder]="reorder" (ionItemReorder)="reorderTabs($event)">' +
+                        '<button ion-item *ngFor="let t of tabs._moreTabs" (click)="open(t)" [disabled]="!t.enabled" class="tabs-more-item">' +
+                        '<ion-icon *ngIf="t.tabIcon" [name]="t.tabIcon" item-left></ion-icon>' +
+                        '{{t.tabTitle}}' +
+                        '<ion-badge *ngIf="t.tabBadge" [color]="t.tabBadgeStyle" item-right>{{t.tabBadge}}</ion-badge>' +
+                        '</button>' +
+                        '</ion-list>' +
+                        '</ion-content>',
+                    encapsulation: ViewEncapsulation.None,
+                },] },
+    ];
+    /** @nocollapse */
+    TabsMoreCmp.ctorParameters = [
+        { type: NavController, },
+    ];
+    return TabsMoreCmp;
+}());
+//# sourceMappingURL=tabs-more-component.js.map
@@ -0,0 +1,42 @@
+var __extends = (this && this.__extends) || function (d, b) {
+    for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
+    function __() { this.constructor = d; }
+    d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+};
+import { GESTURE_TOAST_SWIPE } from '../../gestures/gesture-controller';
+import { PanGesture } from '../../gestures/drag-gesture';
+import { pointerCoord } from '../../util/dom';
+/**
+ * @private
+ */
+export var ToastGesture = (function (_super) {
+    __extends(ToastGesture, _super);
+    function ToastGesture(toast, element, gestureCtrl, domCtrl) {
+        _super.call(this, element, {
+            direction: 'x',
+            domController: domCtrl,
+            gesture: gestureCtrl.createGesture({
+                name: GESTURE_TOAST_SWIPE,
+                priority: 30 /* ToastSwipe */,
+            })
+        });
+        this.toast = toast;
+    }
+    ToastGesture.prototype.canStart = function (ev) {
+        return this.toast.enabled;
+    };
+    ToastGesture.prototype.onDragStart = function (ev) {
+        ev.preventDefault();
+        this.toast._onDragStart(pointerCoord(ev).x);
+    };
+    ToastGesture.prototype.onDragMove = function (ev) {
+        ev.preventDefault();
+        this.toast._onDragMove(pointerCoord(ev).x);
+    };
+    ToastGesture.prototype.onDragEnd = function (ev) {
+        ev.preventDefault();
+        this.toast._onDragEnd(pointerCoord(ev).x);
+    };
+    return ToastGesture;
+}(PanGesture));
+//# sourceMappingURL=toast-gesture.js.map
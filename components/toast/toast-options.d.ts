@@ -6,4 +6,13 @@ export interface ToastOptions {
     closeButtonText?: string;
     dismissOnPageChange?: boolean;
     position?: string;
+    buttons?: Array<ToastButton | string>;
+    pauseOnHover?: boolean;
+    swipeToDismiss?: boolean;
+}
+export interface ToastButton {
+    text?: string;
+    role?: string;
+    cssClass?: string;
+    handler?: Function;
 }
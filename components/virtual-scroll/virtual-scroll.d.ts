@@ -95,6 +95,25 @@ import { VirtualFooter, VirtualHeader, VirtualItem } from './virtual-item';
  * slightly different heights between platforms, which is perfectly fine.
  *
  *
+ * ### Variable Height Items
+ *
+ * Items don't all need to be the same height. Each cell is measured once
+ * it has rendered, and cells which change size afterwards, such as a card
+ * which expands or an image which loads late, are measured again using a
+ * `ResizeObserver`. Only the cells after a resized cell are moved, and when
+ * cells above the viewable area change size the scroll position follows,
+ * so the viewable cells don't jump. Where `ResizeObserver` isn't available,
+ * cells are only measured again when an image within them has loaded.
+ *
+ *
+ * ### Adding Records Above
+ *
+ * When records are added or removed above the first viewable record, such
+ * as older messages being loaded above a chat, the virtual scroll scrolls
+ * so that record stays where it was. This works well with an
+ * `ion-infinite-scroll` which has its `position` set to `top`.
+ *
+ *
  * ### Images Within Virtual Scroll
  *
  * HTTP requests, image decoding, and image rendering can cause jank while
@@ -216,6 +235,7 @@ export declare class VirtualScroll implements DoCheck, AfterContentInit, OnDestr
     private _config;
     private _dom;
     _differ: IterableDiffer;
+    _changes: any;
     _scrollSub: any;
     _scrollEndSub: any;
     _init: boolean;
@@ -227,6 +247,9 @@ export declare class VirtualScroll implements DoCheck, AfterContentInit, OnDestr
     _nodes: VirtualNode[];
     _vHeight: number;
     _lastCheck: number;
+    _resizeObs: any;
+    _resizeEles: HTMLElement[];
+    _unregLoad: Function;
     _data: VirtualData;
     _queue: number;
     _itmTmp: VirtualItem;
@@ -343,8 +366,23 @@ export declare class VirtualScroll implements DoCheck, AfterContentInit, OnDestr
      */
     ngDoCheck(): void;
     readUpdate(): void;
-    writeUpdate(): void;
+    writeUpdate(anchor?: VirtualAnchor): void;
     private _hasChanges();
+    /**
+     * @private
+     * NO DOM
+     * Returns where the record of the first viewable cell is now, and how
+     * far its cell is from the scroll top, when records have been added or
+     * removed above it. Otherwise returns `null`.
+     */
+    private _getAnchor(changes);
+    /**
+     * @private
+     * DOM WRITE
+     * Scrolls so the anchor's record is where it was before the records
+     * changed, then renders the cells which are viewable from there.
+     */
+    private _scrollToAnchor(anchor);
     /**
      * @private
      * DOM WRITE
@@ -363,6 +401,18 @@ export declare class VirtualScroll implements DoCheck, AfterContentInit, OnDestr
      * NO DOM
      */
     private _listeners();
+    /**
+     * DOM WRITE
+     */
+    private _observeNodes();
+    /**
+     * @private
+     * Re-reads the cells which changed size, such as an expanding card or
+     * an image which loaded late, and moves the cells after them. The scroll
+     * position follows the first viewable cell, so the cells within view
+     * stay where they are when cells above them change size.
+     */
+    private _cellsResized(isResized);
     /**
      * DOM WRITE
      */
@@ -376,3 +426,7 @@ export declare class VirtualScroll implements DoCheck, AfterContentInit, OnDestr
      */
     ngOnDestroy(): void;
 }
+export interface VirtualAnchor {
+    record: number;
+    offset: number;
+}
@@ -16,6 +16,14 @@ export declare function initReadNodes(nodes: VirtualNode[], cells: VirtualCell[]
  */
 export declare function updateDimensions(nodes: VirtualNode[], cells: VirtualCell[], data: VirtualData, initialUpdate: boolean): void;
 export declare function updateNodeContext(nodes: VirtualNode[], cells: VirtualCell[], data: VirtualData): void;
+/**
+ * DOM READ
+ * Re-reads the dimensions of the rendered cells which `isResized`, and moves
+ * the cells after the first one which changed size. Returns how far the first
+ * cell within view has moved, which the scroll position should follow so the
+ * viewable cells don't jump, or `null` when none of the cells changed size.
+ */
+export declare function resizeCells(nodes: VirtualNode[], cells: VirtualCell[], data: VirtualData, isResized: (element: HTMLElement) => boolean): number;
 /**
  * DOM WRITE
  */
@@ -36,6 +44,10 @@ export declare function estimateHeight(totalRecords: number, lastCell: VirtualCe
  * DOM READ
  */
 export declare function calcDimensions(data: VirtualData, virtualScrollElement: HTMLElement, approxItemWidth: string, approxItemHeight: string, appoxHeaderWidth: string, approxHeaderHeight: string, approxFooterWidth: string, approxFooterHeight: string, bufferRatio: number): void;
+/**
+ * NO DOM
+ */
+export declare function getElement(node: VirtualNode): HTMLElement;
 export interface VirtualHtmlElement {
     clientTop: number;
     clientLeft: number;
@@ -36,6 +36,7 @@ export { List } from './components/list/list';
 export { ListHeader } from './components/list/list-header';
 export { Loading, LoadingController } from './components/loading/loading';
 export { LoadingOptions } from './components/loading/loading-options';
+export { MasterDetail } from './components/master-detail/master-detail';
 export { Menu } from './components/menu/menu';
 export { MenuClose } from './components/menu/menu-close';
 export { MenuController } from './components/menu/menu-controller';
@@ -67,13 +68,14 @@ export { Select } from './components/select/select';
 export { ShowWhen, HideWhen, DisplayWhen } from './components/show-hide-when/show-hide-when';
 export { Slides, Slide, SlideLazy } from './components/slides/slides';
 export { Spinner } from './components/spinner/spinner';
+export { SplitPane } from './components/split-pane/split-pane';
 export { Tab } from './components/tabs/tab';
 export { Tabs } from './components/tabs/tabs';
 export { TabButton } from './components/tabs/tab-button';
 export { TabHighlight } from './components/tabs/tab-highlight';
 export { TapClick, isActivatable } from './components/tap-click/tap-click';
 export { Toast, ToastController } from './components/toast/toast';
-export { ToastOptions } from './components/toast/toast-options';
+export { ToastOptions, ToastButton } from './components/toast/toast-options';
 export { Toggle } from './components/toggle/toggle';
 export { Toolbar, ToolbarBase, Header, Footer } from './components/toolbar/toolbar';
 export { ToolbarItem } from './components/toolbar/toolbar-item';
@@ -88,6 +90,9 @@ export { ModalCmp } from './components/modal/modal-component';
 export { PickerCmp, PickerColumnCmp } from './components/picker/picker-component';
 export { PopoverCmp } from './components/popover/popover-component';
 export { ToastCmp } from './components/toast/toast-component';
+export { SelectModalCmp, SelectModalOption } from './components/select/select-modal-component';
+export { SelectPopoverCmp } from './components/select/select-popover-component';
+export { TabsMoreCmp } from './components/tabs/tabs-more-component';
 /**
  * @private
  * @name IONIC_DIRECTIVES
@@ -8,6 +8,8 @@ export class Animation {
         this._dur = null;
         this._es = null;
         this._rvEs = null;
+        this._spr = null;
+        this._sprDur = 0;
         this.hasChildren = false;
         this.isPlaying = false;
         this.hasCompleted = false;
@@ -62,6 +64,10 @@ export class Animation {
         if (opts && isDefined(opts.duration)) {
             return opts.duration;
         }
+        else if (this._spr) {
+            // a spring takes as long as it needs to settle
+            return this._sprDur;
+        }
         else if (this._dur !== null) {
             return this._dur;
         }
@@ -85,6 +91,10 @@ export class Animation {
         if (this._rv && this._rvEs) {
             return this._rvEs;
         }
+        const spring = this.getSpring();
+        if (spring) {
+            return getSpringEasing(spring, this.getDuration(), 0);
+        }
         return this._es !== null ? this._es : (this.parent && this.parent.getEasing()) || null;
     }
     /**
@@ -92,8 +102,39 @@ export class Animation {
      */
     easing(name) {
         this._es = name;
+        this._spr = null;
+        return this;
+    }
+    /**
+     * Use a spring instead of an easing curve and duration. The spring is defined by its
+     * `mass`, `stiffness` and `damping`, which default to `1`, `100` and `10`. When the
+     * animation is finished with `progressEnd()`, the spring starts at the gesture's velocity.
+     */
+    spring(opts) {
+        opts = opts || {};
+        this._spr = {
+            mass: isDefined(opts.mass) ? opts.mass : 1,
+            stiffness: isDefined(opts.stiffness) ? opts.stiffness : 100,
+            damping: isDefined(opts.damping) ? opts.damping : 10
+        };
+        // the spring's duration from rest only changes with the spring
+        this._sprDur = getSpringDuration(this._spr, 0);
+        this._es = null;
         return this;
     }
+    /**
+     * Get the spring of this animation. If this animation does not have
+     * an easing or spring, then it'll get the spring from its parent.
+     */
+    getSpring() {
+        if (this._spr) {
+            return this._spr;
+        }
+        if (this._es !== null) {
+            return null;
+        }
+        return (this.parent && this.parent.getSpring()) || null;
+    }
     /**
      * Set the easing for this reversed animation.
      */
@@ -126,6 +167,30 @@ export class Animation {
     fromTo(prop, fromVal, toVal, clearProperyAfterTransition) {
         return this.from(prop, fromVal).to(prop, toVal, clearProperyAfterTransition);
     }
+    /**
+     * Add multiple values for the same property, each at an `offset` from `0` to `1`.
+     * The first and last keyframes are the "from" and "to" values.
+     *
+     * Keyframes between the first and last are only played when the animation runs on
+     * Web Animations, which is the `webAnimations` option in a browser supporting them,
+     * and when it's stepped with `progressStep()`. A CSS transition can only go from one
+     * value to another, so on the CSS transition path a played animation goes straight
+     * from the first keyframe to the last and the keyframes in between are skipped.
+     */
+    keyframes(prop, keyframes, clearProperyAfterTransition) {
+        (void 0) /* assert */;
+        keyframes = keyframes.slice().sort((a, b) => a.offset - b.offset);
+        this.from(prop, keyframes[0].value);
+        this.to(prop, keyframes[keyframes.length - 1].value, clearProperyAfterTransition);
+        const fxProp = this._getProp(prop);
+        fxProp.stops = keyframes.map(keyframe => {
+            return {
+                offset: keyframe.offset,
+                state: createEffectState(keyframe.value)
+            };
+        });
+        return this;
+    }
     /**
      * @private
      * NO DOM
@@ -153,23 +218,9 @@ export class Animation {
             this._fx.push(fxProp);
         }
         // add from/to EffectState to the EffectProperty
-        let fxState = {
-            val: val,
-            num: null,
-            unit: '',
-        };
-        fxProp[state] = fxState;
-        if (typeof val === 'string' && val.indexOf(' ') < 0) {
-            let r = val.match(CSS_VALUE_REGEX);
-            let num = parseFloat(r[1]);
-            if (!isNaN(num)) {
-                fxState.num = num;
-            }
-            fxState.unit = (r[0] !== r[2] ? r[2] : '');
-        }
-        else if (typeof val === 'number') {
-            fxState.num = val;
-        }
+        fxProp[state] = createEffectState(val);
+        // setting the from or to makes it a two-point tween again
+        fxProp.stops = null;
         return fxProp;
     }
     /**
@@ -273,6 +324,8 @@ export class Animation {
         // FROM property and transition duration, wait a few frames, then
         // kick off the animation by setting the TO property for each animation
         this._isAsync = this._hasDuration(opts);
+        // use element.animate() rather than css transitions when it's available
+        this._waOn = this._useWebAnimations();
         // ensure all past transition end events have been cleared
         this._clearAsync();
         // recursively kicks off the correct progress step for each child animation
@@ -302,7 +355,8 @@ export class Animation {
         this.hasCompleted = false;
         this._hasDur = (this.getDuration(opts) > ANIMATION_DURATION_MIN);
         const children = this._c;
-        for (var i = 0; i < this._cL; i++) {
+        for (let i = 0; i < this._cL; i++) {
+            children[i]._waOn = this._waOn;
             // ******** DOM WRITE ****************
             children[i]._playInit(opts);
         }
@@ -329,10 +383,20 @@ export class Animation {
         // ******** DOM READ ****************
         // ******** DOM WRITE ****************
         this._beforeAnimation();
+        const dur = this.getDuration(opts);
+        if (this._waOn) {
+            // web animations start playing as soon as they're created,
+            // so there's no need to wait a frame for the TO properties
+            // ******** DOM WRITE ****************
+            this._playProgress(opts);
+            if (this._isAsync) {
+                this._asyncEnd(dur, true);
+            }
+            return;
+        }
         // for the root animation only
         // set the async TRANSITION END event
         // and run onFinishes when the transition ends
-        const dur = this.getDuration(opts);
         if (this._isAsync) {
             this._asyncEnd(dur, true);
         }
@@ -356,9 +420,16 @@ export class Animation {
             children[i]._playProgress(opts);
         }
         if (this._hasDur) {
-            // set the CSS TRANSITION duration/easing
-            // ******** DOM WRITE ****************
-            this._setTrans(this.getDuration(opts), false);
+            if (this._waOn) {
+                // play the web animation from start to finish
+                // ******** DOM WRITE ****************
+                this._waPlay(0, 1, this.getDuration(opts), this.getEasing(), false);
+            }
+            else {
+                // set the CSS TRANSITION duration/easing
+                // ******** DOM WRITE ****************
+                this._setTrans(this.getDuration(opts), false);
+            }
         }
         else {
             // this animation does not have a duration, so it should not animate
@@ -426,8 +497,18 @@ export class Animation {
             // transition finished
             self._didFinishAll(shouldComplete, true, false);
         }
-        // set the TRANSITION END event on one of the transition elements
-        self._unrgTrns = transitionEnd(self._transEl(), onTransitionEnd);
+        const player = self._waOn && self._waPlayer();
+        if (player) {
+            // web animations let us know exactly when they've finished
+            player.onfinish = onTransitionEnd;
+            self._unrgTrns = function () {
+                player.onfinish = null;
+            };
+        }
+        else {
+            // set the TRANSITION END event on one of the transition elements
+            self._unrgTrns = transitionEnd(self._transEl(), onTransitionEnd);
+        }
         // set a fallback timeout if the transition end event never fires, or is too slow
         // transition end fallback: (animation duration + XXms)
         self._tm = nativeTimeout(onTransitionFallback, (dur + TRANSITION_END_FALLBACK_PADDING_MS));
@@ -452,6 +533,14 @@ export class Animation {
                 // ******** DOM WRITE ****************
                 this._progress(stepValue);
             }
+            else if (this._wa) {
+                // keep where the web animation ended as inline styles
+                // ******** DOM WRITE ****************
+                this._progress(this._waTo);
+            }
+            // the inline styles have taken over from any web animations
+            // ******** DOM WRITE ****************
+            this._waCancel();
             // set the after styles
             // ******** DOM WRITE ****************
             this._setAfterStyles();
@@ -536,9 +625,9 @@ export class Animation {
         for (i = 0; i < effects.length; i++) {
             var fx = effects[i];
             if (fx.from && fx.to) {
-                var fromNum = fx.from.num;
-                var toNum = fx.to.num;
-                var tweenEffect = (fromNum !== toNum);
+                const fromNum = fx.from.num;
+                const toNum = fx.to.num;
+                const tweenEffect = (fromNum !== toNum) || !!fx.stops;
                 (void 0) /* assert */;
                 if (tweenEffect) {
                     this._twn = true;
@@ -551,6 +640,10 @@ export class Animation {
                     // TO
                     val = fx.to.val;
                 }
+                else if (fx.stops) {
+                    // EVERYTHING IN BETWEEN, BY KEYFRAME
+                    val = getEffectValue(fx, stepValue);
+                }
                 else if (tweenEffect) {
                     // EVERYTHING IN BETWEEN
                     var valNum = (((toNum - fromNum) * stepValue) + fromNum);
@@ -591,14 +684,15 @@ export class Animation {
      * DOM WRITE
      * NO RECURSION
      */
-    _setTrans(dur, forcedLinearEasing) {
+    _setTrans(dur, forcedLinearEasing, velocity) {
         // Transition is not enabled if there are not effects
         if (!this._fx) {
             return;
         }
         // set the TRANSITION properties inline on the element
         const elements = this._e;
-        const easing = (forcedLinearEasing ? 'linear' : this.getEasing());
+        const spring = this.getSpring();
+        const easing = (forcedLinearEasing ? 'linear' : spring ? getSpringEasing(spring, dur, velocity || 0) : this.getEasing());
         const durString = dur + 'ms';
         const cssTransform = CSS.transition;
         const cssTransitionDuration = CSS.transitionDuration;
@@ -825,6 +919,8 @@ export class Animation {
      * Start the animation with a user controlled progress.
      */
     progressStart() {
+        // use element.animate() rather than css transitions when it's available
+        this._waOn = this._useWebAnimations();
         // ensure all past transition end events have been cleared
         this._clearAsync();
         // ******** DOM READ/WRITE ****************
@@ -839,13 +935,21 @@ export class Animation {
      */
     _progressStart() {
         const children = this._c;
-        for (var i = 0; i < this._cL; i++) {
+        for (let i = 0; i < this._cL; i++) {
+            children[i]._waOn = this._waOn;
             // ******** DOM WRITE ****************
             children[i]._progressStart();
         }
-        // force no duration, linear easing
-        // ******** DOM WRITE ****************
-        this._setTrans(0, true);
+        if (this._waOn) {
+            // a paused web animation which progressStep() seeks through
+            // ******** DOM WRITE ****************
+            this._waPlay(0, 1, WEB_ANIMATION_SEEK_DURATION, 'linear', true);
+        }
+        else {
+            // force no duration, linear easing
+            // ******** DOM WRITE ****************
+            this._setTrans(0, true);
+        }
         // ******** DOM WRITE ****************
         this._willChg(true);
     }
@@ -866,38 +970,57 @@ export class Animation {
             // flip the step value: 0 becomes 1, 1 becomes 0
             stepValue = ((stepValue * -1) + 1);
         }
-        // ******** DOM WRITE ****************
-        this._progress(stepValue);
+        if (this._wa) {
+            // ******** DOM WRITE ****************
+            this._waSeek(stepValue);
+        }
+        else {
+            // ******** DOM WRITE ****************
+            this._progress(stepValue);
+        }
     }
     /**
-     * End the progress animation.
+     * End the progress animation. The `velocity` is how fast the gesture was moving,
+     * in steps per millisecond, which a spring uses as its starting velocity.
      */
-    progressEnd(shouldComplete, currentStepValue, dur = -1) {
+    progressEnd(shouldComplete, currentStepValue, dur = -1, velocity = 0) {
         (void 0) /* console.debug */;
         if (this._rv) {
             // if the animation is going in reverse then
             // flip the step value: 0 becomes 1, 1 becomes 0
             currentStepValue = ((currentStepValue * -1) + 1);
+            velocity = -velocity;
         }
         const stepValue = shouldComplete ? 1 : 0;
         const diff = Math.abs(currentStepValue - stepValue);
+        const spring = this.getSpring();
+        // the velocity relative to the distance left to go
+        let springVelocity = 0;
         if (diff < 0.05) {
             dur = 0;
         }
+        else if (spring) {
+            // the spring starts at the gesture's velocity and
+            // takes however long it needs to settle from there
+            springVelocity = velocity / (stepValue - currentStepValue);
+            dur = getSpringDuration(spring, springVelocity);
+        }
         else if (dur < 0) {
             dur = this._dur;
         }
         this._isAsync = (dur > 30);
-        this._progressEnd(shouldComplete, stepValue, dur, this._isAsync);
+        this._progressEnd(shouldComplete, stepValue, dur, this._isAsync, springVelocity);
         if (this._isAsync) {
             // for the root animation only
             // set the async TRANSITION END event
             // and run onFinishes when the transition ends
             // ******** DOM WRITE ****************
             this._asyncEnd(dur, shouldComplete);
-            // this animation has a duration so we need another RAF
-            // for the CSS TRANSITION properties to kick in
-            this._raf && this._raf(this._playToStep.bind(this, stepValue));
+            if (!this._waOn) {
+                // this animation has a duration so we need another RAF
+                // for the CSS TRANSITION properties to kick in
+                this._raf && this._raf(this._playToStep.bind(this, stepValue));
+            }
         }
     }
     /**
@@ -905,17 +1028,18 @@ export class Animation {
      * DOM WRITE
      * RECURSION
      */
-    _progressEnd(shouldComplete, stepValue, dur, isAsync) {
+    _progressEnd(shouldComplete, stepValue, dur, isAsync, velocity) {
         const children = this._c;
         for (var i = 0; i < this._cL; i++) {
             // ******** DOM WRITE ****************
-            children[i]._progressEnd(shouldComplete, stepValue, dur, isAsync);
+            children[i]._progressEnd(shouldComplete, stepValue, dur, isAsync, velocity);
         }
         if (!isAsync) {
             // stop immediately
             // set all the animations to their final position
             // ******** DOM WRITE ****************
             this._progress(stepValue);
+            this._waCancel();
             this._willChg(false);
             this._setAfterStyles();
             this._didFinish(shouldComplete);
@@ -927,7 +1051,13 @@ export class Animation {
             this._hasDur = true;
             // ******** DOM WRITE ****************
             this._willChg(true);
-            this._setTrans(dur, false);
+            if (this._waOn) {
+                // continue from wherever progressStep() left off
+                this._waPlay(isDefined(this._waX) ? this._waX : 0, stepValue, dur, this.getEasing(), false, velocity);
+            }
+            else {
+                this._setTrans(dur, false, velocity);
+            }
         }
     }
     /**
@@ -1002,6 +1132,7 @@ export class Animation {
             children[i].destroy();
         }
         this._clearAsync();
+        this._waCancel();
         this.parent = this._e = this._rdFn = this._wrFn = this._raf = null;
         if (this._c) {
             this._c.length = this._cL = 0;
@@ -1028,6 +1159,260 @@ export class Animation {
         }
         return (this._twn && this._hasDur && this._eL ? this._e[0] : null);
     }
+    /**
+     * @private
+     * NO DOM
+     */
+    _useWebAnimations() {
+        return !!(this.opts && this.opts.webAnimations && supportsWebAnimations());
+    }
+    /**
+     * @private
+     * DOM WRITE
+     * NO RECURSION
+     * Creates a web animation for each element, going from the `fromStep` to the `toStep`.
+     * The steps are the same as the ones given to `_progress()`, so the web animation
+     * can pick up from, or be handed back to, the inline styles.
+     */
+    _waPlay(fromStep, toStep, dur, easing, paused, velocity) {
+        this._waCancel();
+        if (!this._fx || !this._eL) {
+            return;
+        }
+        // springs are sampled into keyframes, which play linearly
+        const spring = (paused ? null : this.getSpring());
+        const keyframes = this._waKeyframes(fromStep, toStep, spring, dur, velocity || 0);
+        const timing = {
+            duration: dur,
+            easing: (spring ? 'linear' : easing || 'linear'),
+            fill: 'both'
+        };
+        this._wa = [];
+        this._waTo = toStep;
+        this._waX = fromStep;
+        for (let i = 0; i < this._eL; i++) {
+            // ******** DOM WRITE ****************
+            const player = this._e[i].animate(keyframes, timing);
+            if (paused) {
+                player.pause();
+            }
+            this._wa.push(player);
+        }
+    }
+    /**
+     * @private
+     * NO DOM
+     * NO RECURSION
+     */
+    _waKeyframes(fromStep, toStep, spring, dur, velocity) {
+        const effects = this._fx;
+        const isReverse = this._rv;
+        const range = toStep - fromStep;
+        let offsets = [0, 1];
+        let progress;
+        if (spring) {
+            // sample where the spring is at each frame, which
+            // can overshoot past the end before it settles
+            const frames = Math.max(1, Math.ceil(dur / SPRING_FRAME_MS));
+            offsets = [];
+            progress = [];
+            for (let i = 0; i <= frames; i++) {
+                offsets.push(i / frames);
+                progress.push(i === frames ? 1 : getSpringPosition(spring, velocity, (i / frames) * dur));
+            }
+        }
+        else if (range) {
+            // the keyframe offsets of every effect, placed within this range
+            for (let i = 0; i < effects.length; i++) {
+                const stops = getEffectStops(effects[i]);
+                for (let j = 0; j < stops.length; j++) {
+                    const step = (isReverse ? 1 - stops[j].offset : stops[j].offset);
+                    const offset = (step - fromStep) / range;
+                    if (offset > 0 && offset < 1 && offsets.indexOf(offset) < 0) {
+                        offsets.push(offset);
+                    }
+                }
+            }
+            offsets.sort((a, b) => a - b);
+        }
+        return offsets.map((offset, index) => {
+            // same as _progress(), the step is flipped when reversed
+            const step = fromStep + (range * (progress ? progress[index] : offset));
+            const effectOffset = (isReverse ? 1 - step : step);
+            const keyframe = { offset: offset };
+            let transform = '';
+            for (let i = 0; i < effects.length; i++) {
+                const fx = effects[i];
+                if (fx.from && fx.to) {
+                    const val = getEffectValue(fx, effectOffset);
+                    if (fx.trans) {
+                        transform += fx.name + '(' + val + ') ';
+                    }
+                    else {
+                        keyframe[fx.name] = val;
+                    }
+                }
+            }
+            if (transform.length) {
+                keyframe['transform'] = transform.trim();
+            }
+            return keyframe;
+        });
+    }
+    /**
+     * @private
+     * DOM WRITE
+     * NO RECURSION
+     */
+    _waSeek(stepValue) {
+        this._waX = stepValue;
+        for (let i = 0; i < this._wa.length; i++) {
+            // ******** DOM WRITE ****************
+            this._wa[i].currentTime = stepValue * WEB_ANIMATION_SEEK_DURATION;
+        }
+    }
+    /**
+     * @private
+     * DOM WRITE
+     * NO RECURSION
+     */
+    _waCancel() {
+        if (this._wa) {
+            for (let i = 0; i < this._wa.length; i++) {
+                // ******** DOM WRITE ****************
+                this._wa[i].cancel();
+            }
+            this._wa = null;
+        }
+    }
+    /**
+     * @private
+     * NO DOM
+     */
+    _waPlayer() {
+        // get the lowest level web animation, same as _transEl()
+        let player;
+        for (let i = 0; i < this._cL; i++) {
+            player = this._c[i]._waPlayer();
+            if (player) {
+                return player;
+            }
+        }
+        return (this._twn && this._hasDur && this._wa && this._wa.length ? this._wa[0] : null);
+    }
+}
+/**
+ * @private
+ */
+export function supportsWebAnimations() {
+    return (typeof Element !== 'undefined' && typeof Element.prototype.animate === 'function');
+}
+/**
+ * The offsets, from 0 to 1, of each state in the effect.
+ */
+function getEffectStops(fx) {
+    return fx.stops || [
+        { offset: 0, state: fx.from },
+        { offset: 1, state: fx.to }
+    ];
+}
+/**
+ * The effect's value at the offset, tweened between its
+ * states the same way _progress() tweens between them.
+ * Offsets outside of 0 to 1, such as when a spring
+ * overshoots, carry on from the first or last two states.
+ */
+function getEffectValue(fx, offset) {
+    const stops = getEffectStops(fx);
+    const last = stops.length - 1;
+    for (let i = 0; i <= last; i++) {
+        if (offset === stops[i].offset) {
+            return stops[i].state.val;
+        }
+    }
+    let j = 1;
+    while (j < last && offset > stops[j].offset) {
+        j++;
+    }
+    const a = stops[j - 1];
+    const b = stops[j];
+    if (a.state.num !== null && b.state.num !== null && a.state.num !== b.state.num) {
+        const valNum = (((b.state.num - a.state.num) * ((offset - a.offset) / (b.offset - a.offset))) + a.state.num);
+        return valNum + b.state.unit;
+    }
+    return (offset < b.offset ? a.state.val : b.state.val);
+}
+function createEffectState(val) {
+    const fxState = {
+        val: val,
+        num: null,
+        unit: '',
+    };
+    if (typeof val === 'string' && val.indexOf(' ') < 0) {
+        const r = val.match(CSS_VALUE_REGEX);
+        const num = parseFloat(r[1]);
+        if (!isNaN(num)) {
+            fxState.num = num;
+        }
+        fxState.unit = (r[0] !== r[2] ? r[2] : '');
+    }
+    else if (typeof val === 'number') {
+        fxState.num = val;
+    }
+    return fxState;
+}
+/**
+ * How far the spring has moved from 0 towards 1 after `time` milliseconds.
+ * The velocity is in distance per millisecond, where the full distance is 1.
+ */
+function getSpringPosition(spring, velocity, time) {
+    const t = time / 1000;
+    const v0 = velocity * 1000;
+    const w0 = Math.sqrt(spring.stiffness / spring.mass);
+    const zeta = spring.damping / (2 * Math.sqrt(spring.stiffness * spring.mass));
+    let remaining;
+    if (zeta < 1) {
+        // under damped, it bounces past the end before settling
+        const wd = w0 * Math.sqrt(1 - zeta * zeta);
+        remaining = Math.exp(-zeta * w0 * t) * (Math.cos(wd * t) + ((zeta * w0 - v0) / wd) * Math.sin(wd * t));
+    }
+    else if (zeta === 1) {
+        // critically damped
+        remaining = Math.exp(-w0 * t) * (1 + (w0 - v0) * t);
+    }
+    else {
+        // over damped
+        const r = w0 * Math.sqrt(zeta * zeta - 1);
+        const r1 = -zeta * w0 + r;
+        const r2 = -zeta * w0 - r;
+        const a = (-v0 - r2) / (r1 - r2);
+        remaining = a * Math.exp(r1 * t) + (1 - a) * Math.exp(r2 * t);
+    }
+    return 1 - remaining;
+}
+/**
+ * How many milliseconds until the spring has settled.
+ */
+function getSpringDuration(spring, velocity) {
+    let settled = 0;
+    for (let time = 0; time <= SPRING_MAX_DURATION; time += SPRING_FRAME_MS) {
+        if (Math.abs(1 - getSpringPosition(spring, velocity, time)) > SPRING_REST_DELTA) {
+            settled = time + SPRING_FRAME_MS;
+        }
+    }
+    return Math.round(settled);
+}
+/**
+ * Css transitions can't follow a spring, so instead they get a curve
+ * which starts at the same velocity and overshoots as far as the spring.
+ */
+function getSpringEasing(spring, dur, velocity) {
+    const zeta = spring.damping / (2 * Math.sqrt(spring.stiffness * spring.mass));
+    const overshoot = (zeta < 1 ? Math.exp(-zeta * Math.PI / Math.sqrt(1 - zeta * zeta)) : 0);
+    const x1 = 0.25;
+    const y1 = Math.min(2, Math.max(-1, x1 * velocity * dur));
+    const y2 = 1 + Math.min(0.5, overshoot);
+    return 'cubic-bezier(' + [x1, y1, 0.5, y2].map(n => Math.round(n * 1000) / 1000).join(',') + ')';
 }
 const TRANSFORMS = {
     'translateX': 1,
@@ -1047,5 +1432,9 @@ const TRANSFORMS = {
 };
 const CSS_VALUE_REGEX = /(^-?\d*\.?\d*)(.*)/;
 const ANIMATION_DURATION_MIN = 32;
+const WEB_ANIMATION_SEEK_DURATION = 1000;
+const SPRING_FRAME_MS = 1000 / 60;
+const SPRING_MAX_DURATION = 10000;
+const SPRING_REST_DELTA = 0.001;
 const TRANSITION_END_FALLBACK_PADDING_MS = 400;
 //# sourceMappingURL=animation.js.map
\ No newline at end of file
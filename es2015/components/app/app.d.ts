@@ -3,6 +3,7 @@ import { AppPortal, IonicApp } from './app-root';
 import { ClickBlock } from '../../util/click-block';
 import { Config } from '../../config/config';
 import { NavOptions } from '../../navigation/nav-util';
+import { NavState } from '../../navigation/nav-state';
 import { NavController } from '../../navigation/nav-controller';
 import { Platform } from '../../platform/platform';
 import { ViewController } from '../../navigation/view-controller';
@@ -111,6 +112,27 @@ export declare class App {
      * @private
      */
     _setRootNav(nav: any): void;
+    /**
+     * Returns a snapshot of the navigation state of the entire app, starting
+     * from the root nav and including every child nav and the selected tab of
+     * any tabs. The snapshot can be saved with `JSON.stringify()` and handed
+     * back to `restoreNavState()`, such as after the app has been closed by the OS.
+     *
+     * Pages are saved using their name in the `DeepLinkConfig`, so each page
+     * in the stack should have a link. Only nav params which can be converted
+     * to JSON are saved.
+     *
+     * @return {NavState} Returns the navigation state of the app.
+     */
+    getNavState(): NavState;
+    /**
+     * Rebuilds the navigation state of the app from a snapshot made by
+     * `getNavState()`. None of the pages will animate in.
+     *
+     * @param {NavState} state The navigation state to restore.
+     * @return {Promise} Returns a promise which is resolved once every nav has been restored.
+     */
+    restoreNavState(state: NavState): Promise<any>;
     /**
      * @private
      */
@@ -8,6 +8,7 @@ import { Keyboard } from '../../util/keyboard';
 import { ScrollView, ScrollEvent } from '../../util/scroll-view';
 import { Tabs } from '../tabs/tabs';
 import { ViewController } from '../../navigation/view-controller';
+import { VirtualScroll } from '../virtual-scroll/virtual-scroll';
 export { ScrollEvent } from '../../util/scroll-view';
 /**
  * @name Content
@@ -150,6 +151,8 @@ export declare class Content extends Ion implements OnDestroy, OnInit {
     _fixedEle: HTMLElement;
     /** @internal */
     _imgs: Img[];
+    /** @internal */
+    _virtualScrolls: VirtualScroll[];
     private _imgReqBfr;
     private _imgRndBfr;
     private _imgVelMax;
@@ -315,6 +318,20 @@ export declare class Content extends Ion implements OnDestroy, OnInit {
      * @private
      */
     removeImg(img: Img): void;
+    /**
+     * @private
+     */
+    addVirtualScroll(virtualScroll: VirtualScroll): void;
+    /**
+     * @private
+     */
+    removeVirtualScroll(virtualScroll: VirtualScroll): void;
+    /**
+     * @private
+     * Whether the content has a VirtualScroll, which keeps
+     * the records in view anchored on its own.
+     */
+    hasVirtualScroll(): boolean;
     /**
      * @private
      * DOM WRITE
@@ -112,6 +112,8 @@ export class Content extends Ion {
         this._inputPolling = false;
         /** @internal */
         this._imgs = [];
+        /** @internal */
+        this._virtualScrolls = [];
         /**
          * @output {ScrollEvent} Emitted when the scrolling first starts.
          */
@@ -342,6 +344,26 @@ export class Content extends Ion {
     removeImg(img) {
         removeArrayItem(this._imgs, img);
     }
+    /**
+     * @private
+     */
+    addVirtualScroll(virtualScroll) {
+        this._virtualScrolls.push(virtualScroll);
+    }
+    /**
+     * @private
+     */
+    removeVirtualScroll(virtualScroll) {
+        removeArrayItem(this._virtualScrolls, virtualScroll);
+    }
+    /**
+     * @private
+     * Whether the content has a VirtualScroll, which keeps
+     * the records in view anchored on its own.
+     */
+    hasVirtualScroll() {
+        return this._virtualScrolls.length > 0;
+    }
     /**
      * @private
      * DOM WRITE
@@ -0,0 +1,34 @@
+/**
+ * @private
+ * Keeps downloaded images between app launches so `ion-img` can render
+ * them without a connection. Images are stored with the Cache API where
+ * it's available, otherwise with IndexedDB. Images older than `maxAge` in
+ * milliseconds are never used again, and once the stored images add up to
+ * more than `maxSize` in bytes the oldest ones are removed first.
+ */
+export declare class ImgCache {
+    name: string;
+    maxSize: number;
+    maxAge: number;
+    private _index;
+    private _store;
+    constructor(name: string, maxSize: number, maxAge: number);
+    /**
+     * Resolves the stored image for the `src`, or `null` when
+     * it hasn't been stored or it has expired.
+     */
+    get(src: string): Promise<ImgCacheEntry>;
+    put(src: string, contentType: string, data: ArrayBuffer): Promise<any>;
+    clear(): Promise<any>;
+    private _open();
+    private _evict(store);
+    private _remove(store, key);
+    private _isExpired(meta);
+}
+export interface ImgCacheEntry {
+    src: string;
+    contentType: string;
+    data: ArrayBuffer;
+    len: number;
+    time: number;
+}
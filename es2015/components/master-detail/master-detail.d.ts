@@ -0,0 +1,145 @@
+import { ElementRef, EventEmitter, NgZone, QueryList, Renderer } from '@angular/core';
+import { App } from '../app/app';
+import { Nav } from '../nav/nav';
+import { NavController } from '../../navigation/nav-controller';
+import { NavOptions } from '../../navigation/nav-util';
+import { Platform } from '../../platform/platform';
+/**
+ * @name MasterDetail
+ * @description
+ * A master-detail coordinates two navs, such as a list of items and the
+ * details of the selected item. On wide screens, such as tablets and desktops,
+ * the `master` nav is shown beside the `detail` nav, and pages pushed from the
+ * master nav are shown in the detail nav instead. On smaller screens, such as
+ * phones, only the master nav is shown and pages are pushed onto it like any
+ * other nav.
+ *
+ * When the screen changes from one layout to the other, such as when a
+ * tablet is rotated, the pages which were pushed from the master nav are
+ * moved into the nav which now shows them.
+ *
+ *
+ * ### Navigating
+ *
+ * Pages within the master nav push pages with their `NavController` as usual.
+ * While both navs are shown, the pushed page becomes the root of the detail
+ * nav, and pages within the detail nav push onto the detail nav. The detail
+ * nav is a child nav of the master nav, so the hardware back button first
+ * goes back within the detail nav, then within the master nav, and
+ * `App.getActiveNav()` returns the detail nav.
+ *
+ *
+ * ### Deep Linking
+ *
+ * While both navs are shown, the url is made up of the master nav's page
+ * followed by the detail nav's page, such as `/contacts/contact/23`, and each
+ * nav is given its own part of the url when the app is loaded from a url.
+ *
+ *
+ * ### Breakpoints
+ *
+ * By default both navs are shown once the platform's width is `768px` or
+ * wider. This can be changed with the `when` property, which takes the same
+ * values as a [SplitPane](../../split-pane/SplitPane)'s `when`.
+ *
+ *
+ * @usage
+ *
+ * ```html
+ * <ion-master-detail>
+ *   <ion-nav master [root]="contactsPage"></ion-nav>
+ *   <ion-nav detail [root]="noContactPage"></ion-nav>
+ * </ion-master-detail>
+ * ```
+ *
+ * ```ts
+ * @Component({...})
+ * export class ContactsPage {
+ *   constructor(public navCtrl: NavController) {}
+ *
+ *   openContact(contact) {
+ *     // shown in the detail nav on tablets, and pushed onto this nav on phones
+ *     this.navCtrl.push(ContactPage, { contact: contact });
+ *   }
+ * }
+ * ```
+ *
+ * @see {@link ../../split-pane/SplitPane SplitPane API Docs}
+ * @see {@link ../../nav/Nav Nav API Docs}
+ */
+export declare class MasterDetail {
+    private _app;
+    private _platform;
+    private _zone;
+    private _elementRef;
+    private _renderer;
+    _when: string | boolean;
+    _isEnabled: boolean;
+    _visible: boolean;
+    _init: boolean;
+    _detailStart: number;
+    _hasDetail: boolean;
+    _master: Nav;
+    _detail: Nav;
+    _unregResize: Function;
+    /**
+     * @private
+     */
+    _navs: QueryList<Nav>;
+    /**
+     * @input {string | boolean} When both navs should be shown beside each other.
+     * Either a breakpoint, such as `lg`, a minimum width, such as `600px`,
+     * or a boolean. Default `md`.
+     */
+    when: string | boolean;
+    /**
+     * @input {boolean} Whether or not both navs can be shown beside each other.
+     * When `false` only the master nav is shown. Default `true`.
+     */
+    enabled: boolean;
+    /**
+     * @output {MasterDetail} Emitted when the navs change from being shown
+     * beside each other to only the master nav being shown, or back again.
+     */
+    ionChange: EventEmitter<MasterDetail>;
+    constructor(_app: App, _platform: Platform, _zone: NgZone, _elementRef: ElementRef, _renderer: Renderer);
+    /**
+     * @private
+     */
+    ngAfterContentInit(): void;
+    /**
+     * @return {boolean} Returns `true` if the master and detail navs are shown beside each other.
+     */
+    isVisible(): boolean;
+    /**
+     * @return {NavController} Returns the master nav.
+     */
+    getMasterNav(): NavController;
+    /**
+     * @return {NavController} Returns the detail nav.
+     */
+    getDetailNav(): NavController;
+    /**
+     * @private
+     * Called by the master nav for every page pushed onto it.
+     */
+    _push(page: any, params?: any, opts?: NavOptions, done?: Function): Promise<any>;
+    /**
+     * @private
+     */
+    _update(): void;
+    /**
+     * @private
+     * Moves the pages pushed from the master nav into the detail nav.
+     */
+    _showDetail(): void;
+    /**
+     * @private
+     * Moves the pages in the detail nav onto the end of the master nav.
+     */
+    _hideDetail(): void;
+    /**
+     * @private
+     */
+    ngOnDestroy(): void;
+}
@@ -0,0 +1,286 @@
+import { Component, ContentChildren, ElementRef, EventEmitter, Input, NgZone, Output, Renderer, ViewEncapsulation } from '@angular/core';
+import { App } from '../app/app';
+import { isTrueProperty } from '../../util/util';
+import { matchesWhen } from '../split-pane/split-pane';
+import { Nav } from '../nav/nav';
+import { Platform } from '../../platform/platform';
+/**
+ * @name MasterDetail
+ * @description
+ * A master-detail coordinates two navs, such as a list of items and the
+ * details of the selected item. On wide screens, such as tablets and desktops,
+ * the `master` nav is shown beside the `detail` nav, and pages pushed from the
+ * master nav are shown in the detail nav instead. On smaller screens, such as
+ * phones, only the master nav is shown and pages are pushed onto it like any
+ * other nav.
+ *
+ * When the screen changes from one layout to the other, such as when a
+ * tablet is rotated, the pages which were pushed from the master nav are
+ * moved into the nav which now shows them.
+ *
+ *
+ * ### Navigating
+ *
+ * Pages within the master nav push pages with their `NavController` as usual.
+ * While both navs are shown, the pushed page becomes the root of the detail
+ * nav, and pages within the detail nav push onto the detail nav. The detail
+ * nav is a child nav of the master nav, so the hardware back button first
+ * goes back within the detail nav, then within the master nav, and
+ * `App.getActiveNav()` returns the detail nav.
+ *
+ *
+ * ### Deep Linking
+ *
+ * While both navs are shown, the url is made up of the master nav's page
+ * followed by the detail nav's page, such as `/contacts/contact/23`, and each
+ * nav is given its own part of the url when the app is loaded from a url.
+ *
+ *
+ * ### Breakpoints
+ *
+ * By default both navs are shown once the platform's width is `768px` or
+ * wider. This can be changed with the `when` property, which takes the same
+ * values as a [SplitPane](../../split-pane/SplitPane)'s `when`.
+ *
+ *
+ * @usage
+ *
+ * ```html
+ * <ion-master-detail>
+ *   <ion-nav master [root]="contactsPage"></ion-nav>
+ *   <ion-nav detail [root]="noContactPage"></ion-nav>
+ * </ion-master-detail>
+ * ```
+ *
+ * ```ts
+ * @Component({...})
+ * export class ContactsPage {
+ *   constructor(public navCtrl: NavController) {}
+ *
+ *   openContact(contact) {
+ *     // shown in the detail nav on tablets, and pushed onto this nav on phones
+ *     this.navCtrl.push(ContactPage, { contact: contact });
+ *   }
+ * }
+ * ```
+ *
+ * @see {@link ../../split-pane/SplitPane SplitPane API Docs}
+ * @see {@link ../../nav/Nav Nav API Docs}
+ */
+export class MasterDetail {
+    constructor(_app, _platform, _zone, _elementRef, _renderer) {
+        this._app = _app;
+        this._platform = _platform;
+        this._zone = _zone;
+        this._elementRef = _elementRef;
+        this._renderer = _renderer;
+        this._when = 'md';
+        this._isEnabled = true;
+        this._visible = false;
+        this._init = false;
+        // the index in the master nav of the first page which was pushed
+        // from the master nav while only the master nav was shown
+        this._detailStart = -1;
+        // whether the detail nav is showing a page pushed from the master nav
+        this._hasDetail = false;
+        /**
+         * @output {MasterDetail} Emitted when the navs change from being shown
+         * beside each other to only the master nav being shown, or back again.
+         */
+        this.ionChange = new EventEmitter();
+    }
+    /**
+     * @input {string | boolean} When both navs should be shown beside each other.
+     * Either a breakpoint, such as `lg`, a minimum width, such as `600px`,
+     * or a boolean. Default `md`.
+     */
+    get when() {
+        return this._when;
+    }
+    set when(val) {
+        this._when = val;
+        this._update();
+    }
+    /**
+     * @input {boolean} Whether or not both navs can be shown beside each other.
+     * When `false` only the master nav is shown. Default `true`.
+     */
+    get enabled() {
+        return this._isEnabled;
+    }
+    set enabled(val) {
+        this._isEnabled = isTrueProperty(val);
+        this._update();
+    }
+    /**
+     * @private
+     */
+    ngAfterContentInit() {
+        const navs = this._navs.toArray();
+        this._master = navs.find(nav => hasAttribute(nav, 'master')) || navs[0];
+        this._detail = navs.find(nav => hasAttribute(nav, 'detail')) || navs[navs.length - 1];
+        if (!this._master || this._master === this._detail) {
+            return console.error('MasterDetail: must have a master and a detail nav. Example:\n\n<ion-master-detail>\n  <ion-nav master [root]="listPage"></ion-nav>\n  <ion-nav detail></ion-nav>\n</ion-master-detail>');
+        }
+        const master = this._master;
+        const detail = this._detail;
+        master.setElementClass('master-detail-master', true);
+        detail.setElementClass('master-detail-detail', true);
+        // the detail nav is always a child of the master nav, which is
+        // what gives it its own part of the url. This happens before
+        // either nav has loaded its pages from the deep linker
+        if (this._app.getRootNav() === detail) {
+            this._app._setRootNav(master);
+        }
+        if (detail.parent) {
+            detail.parent.unregisterChildNav(detail);
+        }
+        detail.parent = master;
+        master._masterDetail = this;
+        this._init = true;
+        this._unregResize = this._platform.onResize(() => {
+            this._zone.run(() => this._update());
+        });
+        this._update();
+    }
+    /**
+     * @return {boolean} Returns `true` if the master and detail navs are shown beside each other.
+     */
+    isVisible() {
+        return this._visible;
+    }
+    /**
+     * @return {NavController} Returns the master nav.
+     */
+    getMasterNav() {
+        return this._master;
+    }
+    /**
+     * @return {NavController} Returns the detail nav.
+     */
+    getDetailNav() {
+        return this._detail;
+    }
+    /**
+     * @private
+     * Called by the master nav for every page pushed onto it.
+     */
+    _push(page, params, opts, done) {
+        const master = this._master;
+        if (!master.length()) {
+            // the master nav's own root page
+            return master.insert(-1, page, params, opts, done);
+        }
+        if (this._visible) {
+            this._hasDetail = true;
+            return this._detail.setRoot(page, params, opts, done);
+        }
+        if (this._detailStart < 0 || this._detailStart > master.length()) {
+            // this is the first page pushed since the master's own pages
+            this._detailStart = master.length();
+        }
+        return master.insert(-1, page, params, opts, done);
+    }
+    /**
+     * @private
+     */
+    _update() {
+        if (!this._init) {
+            return;
+        }
+        const visible = this._isEnabled && matchesWhen(this._when, this._platform.width());
+        if (visible === this._visible) {
+            return;
+        }
+        (void 0) /* console.debug */;
+        this._visible = visible;
+        this._renderer.setElementClass(this._elementRef.nativeElement, 'master-detail-visible', visible);
+        if (visible) {
+            this._showDetail();
+        }
+        else {
+            this._hideDetail();
+        }
+        this.ionChange.emit(this);
+    }
+    /**
+     * @private
+     * Moves the pages pushed from the master nav into the detail nav.
+     */
+    _showDetail() {
+        const master = this._master;
+        const detail = this._detail;
+        // the detail nav is now the active nav for the back button and urls
+        master.registerChildNav(detail);
+        const start = this._detailStart;
+        this._detailStart = -1;
+        if (start < 0 || master.length() <= start) {
+            return;
+        }
+        const pages = master.getViews().slice(start).map(getPage);
+        this._hasDetail = true;
+        detail.setPages(pages, { animate: false });
+        master.remove(start, pages.length, { animate: false });
+    }
+    /**
+     * @private
+     * Moves the pages in the detail nav onto the end of the master nav.
+     */
+    _hideDetail() {
+        const master = this._master;
+        const detail = this._detail;
+        master.unregisterChildNav(detail);
+        if (!this._hasDetail || !detail.length()) {
+            return;
+        }
+        const pages = detail.getViews().map(getPage);
+        this._hasDetail = false;
+        this._detailStart = master.length();
+        master.insertPages(-1, pages, { animate: false });
+        // the detail nav is hidden, so it goes back to its own root for next time
+        if (detail.root) {
+            detail.goToRoot({ animate: false });
+        }
+        else {
+            detail.remove(0, detail.length(), { animate: false });
+        }
+    }
+    /**
+     * @private
+     */
+    ngOnDestroy() {
+        this._unregResize && this._unregResize();
+        if (this._master) {
+            this._master._masterDetail = null;
+        }
+        this._unregResize = this._master = this._detail = null;
+    }
+}
+MasterDetail.decorators = [
+    { type: Component, args: [{
+                selector: 'ion-master-detail',
+                template: '<ng-content></ng-content>',
+                encapsulation: ViewEncapsulation.None,
+            },] },
+];
+/** @nocollapse */
+MasterDetail.ctorParameters = [
+    { type: App, },
+    { type: Platform, },
+    { type: NgZone, },
+    { type: ElementRef, },
+    { type: Renderer, },
+];
+MasterDetail.propDecorators = {
+    '_navs': [{ type: ContentChildren, args: [Nav,] },],
+    'when': [{ type: Input },],
+    'enabled': [{ type: Input },],
+    'ionChange': [{ type: Output },],
+};
+function hasAttribute(nav, name) {
+    return nav.getNativeElement().hasAttribute(name);
+}
+function getPage(view) {
+    return { page: view.component, params: view.data };
+}
+//# sourceMappingURL=master-detail.js.map
\ No newline at end of file
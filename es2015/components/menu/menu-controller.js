@@ -201,6 +201,7 @@ export class MenuController {
      * @param {string} [menuId] Optionally get the menu by its id, or side.
      * @return {boolean} Returns true if the specified menu is currently open, otherwise false.
      * If the menuId is not specified, it returns true if ANY menu is currenly open.
+     * A menu docked in a split pane is always shown, but is never open.
      */
     isOpen(menuId) {
         if (menuId) {
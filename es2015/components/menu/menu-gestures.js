@@ -50,15 +50,16 @@ export class MenuContentGesture extends SlideEdgeGesture {
     }
     onSlideEnd(slide, ev) {
         let z = (this.menu.side === 'right' ? slide.min : slide.max);
-        let currentStepValue = (slide.distance / z);
-        let velocity = slide.velocity;
+        const currentStepValue = (slide.distance / z);
+        const velocity = slide.velocity;
+        const stepVelocity = (velocity / z);
         z = Math.abs(z * 0.5);
         let shouldCompleteRight = (velocity >= 0)
             && (velocity > 0.2 || slide.delta > z);
         let shouldCompleteLeft = (velocity <= 0)
             && (velocity < -0.2 || slide.delta < -z);
         (void 0) /* console.debug */;
-        this.menu._swipeEnd(shouldCompleteLeft, shouldCompleteRight, currentStepValue, velocity);
+        this.menu._swipeEnd(shouldCompleteLeft, shouldCompleteRight, currentStepValue, velocity, stepVelocity);
     }
     getElementStartPos(slide, ev) {
         if (this.menu.side === 'right') {
@@ -108,12 +108,16 @@ export class MenuToggle {
     * @private
     */
     get isHidden() {
+        const menu = this._menu.get(this.menuToggle);
+        if (menu && menu.isPane()) {
+            // the menu is docked in a split pane, so there's nothing to toggle
+            return true;
+        }
         if (this._inNavbar && this._viewCtrl) {
             if (this._viewCtrl.isFirst()) {
                 // this is the first view, so it should always show
                 return false;
             }
-            let menu = this._menu.get(this.menuToggle);
             if (menu) {
                 // this is not the root view, so see if this menu
                 // is configured to still be enabled if it's not the root view
@@ -37,7 +37,7 @@ export class MenuType {
         // adjust progress value depending if it opening or closing
         this.ani.progressStep(stepValue);
     }
-    setProgressEnd(shouldComplete, currentStepValue, velocity, done) {
+    setProgressEnd(shouldComplete, currentStepValue, velocity, stepVelocity, done) {
         let isOpen = (this.isOpening && shouldComplete);
         if (!this.isOpening && !shouldComplete) {
             isOpen = true;
@@ -46,9 +46,9 @@ export class MenuType {
             this.isOpening = false;
             done(isOpen);
         }, true);
-        let factor = 1 - Math.min(Math.abs(velocity) / 4, 0.7);
-        let dur = this.ani.getDuration() * factor;
-        this.ani.progressEnd(shouldComplete, currentStepValue, dur);
+        const factor = 1 - Math.min(Math.abs(velocity) / 4, 0.7);
+        const dur = this.ani.getDuration() * factor;
+        this.ani.progressEnd(shouldComplete, currentStepValue, dur, stepVelocity);
     }
     destroy() {
         this.ani && this.ani.destroy();
@@ -62,6 +62,13 @@ import { DomController } from '../../util/dom-controller';
  * to the `Menu` with `persistent` set to true, any other `MenuToggle` buttons will not be affected.
  *
  *
+ * ### Split Pane
+ *
+ * On wider screens, such as tablets and desktops, a menu can be docked beside its content by
+ * placing them both within a [SplitPane](../../split-pane/SplitPane). While it's docked, the
+ * menu is always shown and can't be opened, closed or swiped.
+ *
+ *
  * @usage
  *
  * To add a menu to an application, the `<ion-menu>` element should be added as a sibling to
@@ -192,6 +199,7 @@ export class Menu {
         this._isSwipeEnabled = true;
         this._isAnimating = false;
         this._isPersistent = false;
+        this._isPane = false;
         this._init = false;
         this._events = new UIEventManager();
         /**
@@ -223,6 +231,7 @@ export class Menu {
     set enabled(val) {
         this._isEnabled = isTrueProperty(val);
         this._setListeners();
+        this._setPaneClass();
     }
     /**
      * @input {boolean} Whether or not swiping the menu should be enabled. Default `true`.
@@ -297,13 +306,14 @@ export class Menu {
             return;
         }
         const gesture = this._gesture;
+        const shouldListen = this._isEnabled && this._isSwipeEnabled && !this._isPane;
         // only listen/unlisten if the menu has initialized
-        if (this._isEnabled && this._isSwipeEnabled && !gesture.isListening) {
+        if (shouldListen && !gesture.isListening) {
             // should listen, but is not currently listening
             (void 0) /* console.debug */;
             gesture.listen();
         }
-        else if (gesture.isListening && (!this._isEnabled || !this._isSwipeEnabled)) {
+        else if (gesture.isListening && !shouldListen) {
             // should not listen, but is currently listening
             (void 0) /* console.debug */;
             gesture.unlisten();
@@ -325,8 +335,8 @@ export class Menu {
      * @private
      */
     setOpen(shouldOpen, animated = true) {
-        // If the menu is disabled or it is currenly being animated, let's do nothing
-        if ((shouldOpen === this.isOpen) || !this._isEnabled || this._isAnimating) {
+        // If the menu is disabled, docked in a split pane or it is currenly being animated, let's do nothing
+        if ((shouldOpen === this.isOpen) || !this._isEnabled || this._isPane || this._isAnimating) {
             return Promise.resolve(this.isOpen);
         }
         this._before();
@@ -343,6 +353,7 @@ export class Menu {
     canSwipe() {
         return this._isEnabled &&
             this._isSwipeEnabled &&
+            !this._isPane &&
             !this._isAnimating &&
             this._app.isEnabled();
     }
@@ -377,7 +388,7 @@ export class Menu {
             ionDrag.emit(stepValue);
         }
     }
-    _swipeEnd(shouldCompleteLeft, shouldCompleteRight, stepValue, velocity) {
+    _swipeEnd(shouldCompleteLeft, shouldCompleteRight, stepValue, velocity, stepVelocity) {
         if (!this._isAnimating) {
             (void 0) /* assert */;
             return;
@@ -391,7 +402,7 @@ export class Menu {
         else {
             shouldComplete = (this.side === 'right') ? shouldCompleteRight : shouldCompleteLeft;
         }
-        this._getType().setProgressEnd(shouldComplete, stepValue, velocity, (isOpen) => {
+        this._getType().setProgressEnd(shouldComplete, stepValue, velocity, stepVelocity, isOpen => {
             (void 0) /* console.debug */;
             this._after(isOpen);
         });
@@ -482,6 +493,37 @@ export class Menu {
         // what happens if menu swipe is disabled while swipping?
         return this;
     }
+    /**
+     * @private
+     * @return {boolean} Returns `true` if the menu is docked in a split pane.
+     */
+    isPane() {
+        return this._isPane;
+    }
+    /**
+     * @private
+     * Called by the split pane when the menu is docked beside the content
+     * or goes back to being a menu which is opened over the content.
+     */
+    _setPane(isPane) {
+        if (isPane === this._isPane) {
+            return;
+        }
+        if (isPane && this.isOpen) {
+            // a docked menu is never open, so close it without animating first
+            this.setOpen(false, false);
+        }
+        this._isPane = isPane;
+        this._setListeners();
+        this._setPaneClass();
+    }
+    /**
+     * @private
+     */
+    _setPaneClass() {
+        // a disabled menu isn't shown in the split pane
+        this.setElementClass('split-pane-side', this._isPane && this._isEnabled);
+    }
     /**
      * @private
      */
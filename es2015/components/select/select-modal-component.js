@@ -0,0 +1,161 @@
+import { Component, ElementRef, Renderer, ViewEncapsulation } from '@angular/core';
+import { Config } from '../../config/config';
+import { isCheckedProperty, isPresent } from '../../util/util';
+import { NavParams } from '../../navigation/nav-params';
+import { ViewController } from '../../navigation/view-controller';
+/**
+ * @private
+ */
+export class SelectModalCmp {
+    constructor(_viewCtrl, _elementRef, config, params, _renderer) {
+        this._viewCtrl = _viewCtrl;
+        this._loadId = 0;
+        this.items = [];
+        this.loading = false;
+        this.d = params.data;
+        this.mode = config.get('mode');
+        _renderer.setElementClass(_elementRef.nativeElement, "select-modal-" + this.mode, true);
+        if (this.d.cssClass) {
+            this.d.cssClass.split(' ').forEach(cssClass => {
+                // Make sure the class isn't whitespace, otherwise it throws exceptions
+                if (cssClass.trim() !== '')
+                    _renderer.setElementClass(_elementRef.nativeElement, cssClass, true);
+            });
+        }
+        // copy the selected options so cancelling leaves the select untouched
+        this.selected = this.d.selected.slice();
+    }
+    ionViewDidLoad() {
+        this.search('');
+    }
+    /**
+     * Filters the options by their text, or asks the select's
+     * `loadOptions` function for the options to show.
+     */
+    search(searchText) {
+        searchText = (searchText || '').trim();
+        if (!this.d.loadOptions) {
+            const lowerText = searchText.toLowerCase();
+            this.setItems(this.d.options.filter(o => {
+                return !lowerText || o.text.toLowerCase().indexOf(lowerText) > -1;
+            }));
+            return;
+        }
+        // only the latest search is shown, even when an
+        // earlier one takes longer to load
+        const loadId = ++this._loadId;
+        this.loading = true;
+        Promise.resolve(this.d.loadOptions(searchText)).then(options => {
+            if (loadId === this._loadId) {
+                this.loading = false;
+                this.setItems((options || []).map(normalizeOption));
+            }
+        }, err => {
+            console.error(err);
+            if (loadId === this._loadId) {
+                this.loading = false;
+                this.setItems([]);
+            }
+        });
+    }
+    setItems(items) {
+        items.forEach(item => {
+            item.checked = this.isSelected(item.value);
+        });
+        this.items = items;
+    }
+    isSelected(value) {
+        return this.selected.some(o => isCheckedProperty(o.value, value));
+    }
+    select(item) {
+        if (item.disabled) {
+            return;
+        }
+        if (!this.d.multiple) {
+            this.selected = [item];
+            item.handler && item.handler(item);
+            this.done();
+            return;
+        }
+        item.checked = !item.checked;
+        if (item.checked) {
+            this.selected.push(item);
+            item.handler && item.handler(item);
+        }
+        else {
+            this.deselect(item);
+        }
+    }
+    deselect(option) {
+        this.selected = this.selected.filter(o => !isCheckedProperty(o.value, option.value));
+        this.items.forEach(item => {
+            if (isCheckedProperty(item.value, option.value)) {
+                item.checked = false;
+            }
+        });
+    }
+    done() {
+        return this._viewCtrl.dismiss(this.selected);
+    }
+    cancel() {
+        return this._viewCtrl.dismiss(null, 'cancel');
+    }
+}
+SelectModalCmp.decorators = [
+    { type: Component, args: [{
+                selector: 'ion-select-modal',
+                template: '<ion-header>' +
+                    '<ion-toolbar>' +
+                    '<ion-buttons start>' +
+                    '<button ion-button (click)="cancel()">{{d.cancelText}}</button>' +
+                    '</ion-buttons>' +
+                    '<ion-title>{{d.title}}</ion-title>' +
+                    '<ion-buttons end *ngIf="d.multiple">' +
+                    '<button ion-button (click)="done()">{{d.okText}}</button>' +
+                    '</ion-buttons>' +
+                    '</ion-toolbar>' +
+                    '<ion-toolbar>' +
+                    '<ion-searchbar #searchbar [placeholder]="d.searchPlaceholder" [debounce]="d.searchDebounce" (ionInput)="search(searchbar.value)"></ion-searchbar>' +
+                    '</ion-toolbar>' +
+                    '<div *ngIf="d.multiple && selected.length" class="select-modal-chips">' +
+                    '<ion-chip *ngFor="let o of selected">' +
+                    '<ion-label>{{o.text}}</ion-label>' +
+                    '<button ion-button clear (click)="deselect(o)">' +
+                    '<ion-icon name="close-circle"></ion-icon>' +
+                    '</button>' +
+                    '</ion-chip>' +
+                    '</div>' +
+                    '</ion-header>' +
+                    '<ion-content>' +
+                    '<ion-list [virtualScroll]="items" [approxItemHeight]="d.approxItemHeight">' +
+                    '<button ion-item *virtualItem="let o" (click)="select(o)" [disabled]="o.disabled" [attr.role]="d.multiple ? \'checkbox\' : \'radio\'" [attr.aria-checked]="o.checked" class="select-modal-option" [class.select-modal-option-checked]="o.checked">' +
+                    '{{o.text}}' +
+                    '<ion-icon *ngIf="o.checked" name="checkmark" item-right></ion-icon>' +
+                    '</button>' +
+                    '</ion-list>' +
+                    '<div *ngIf="loading" class="select-modal-loading">' +
+                    '<ion-spinner></ion-spinner>' +
+                    '</div>' +
+                    '</ion-content>',
+                host: {
+                    'role': 'dialog'
+                },
+                encapsulation: ViewEncapsulation.None,
+            },] },
+];
+/** @nocollapse */
+SelectModalCmp.ctorParameters = [
+    { type: ViewController, },
+    { type: ElementRef, },
+    { type: Config, },
+    { type: NavParams, },
+    { type: Renderer, },
+];
+function normalizeOption(option) {
+    return {
+        text: option.text,
+        value: isPresent(option.value) ? option.value : option.text,
+        disabled: !!option.disabled
+    };
+}
+//# sourceMappingURL=select-modal-component.js.map
\ No newline at end of file
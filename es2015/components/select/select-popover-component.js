@@ -0,0 +1,127 @@
+import { Component, ElementRef, HostListener, ViewEncapsulation } from '@angular/core';
+import { isCheckedProperty } from '../../util/util';
+import { Key } from '../../util/key';
+import { NavParams } from '../../navigation/nav-params';
+import { ViewController } from '../../navigation/view-controller';
+/**
+ * @private
+ */
+export class SelectPopoverCmp {
+    constructor(_viewCtrl, _elementRef, params) {
+        this._viewCtrl = _viewCtrl;
+        this._elementRef = _elementRef;
+        this.activeIndex = -1;
+        this.d = params.data;
+        // copy the selected options so cancelling leaves the select untouched
+        this.selected = this.d.selected.slice();
+        this.d.options.forEach((option, index) => {
+            option.checked = this.isSelected(option.value);
+            if (option.checked && this.activeIndex < 0) {
+                this.activeIndex = index;
+            }
+        });
+        if (this.activeIndex < 0) {
+            this.activeIndex = this.nextIndex(-1, 1);
+        }
+    }
+    ionViewDidEnter() {
+        this.focusOption();
+    }
+    isSelected(value) {
+        return this.selected.some(o => isCheckedProperty(o.value, value));
+    }
+    select(option) {
+        if (!option || option.disabled) {
+            return;
+        }
+        this.activeIndex = this.d.options.indexOf(option);
+        if (!this.d.multiple) {
+            this.selected = [option];
+            option.handler && option.handler(option);
+            this.done();
+            return;
+        }
+        option.checked = !option.checked;
+        if (option.checked) {
+            this.selected.push(option);
+            option.handler && option.handler(option);
+        }
+        else {
+            this.selected = this.selected.filter(o => !isCheckedProperty(o.value, option.value));
+        }
+    }
+    done() {
+        return this._viewCtrl.dismiss(this.selected);
+    }
+    cancel() {
+        return this._viewCtrl.dismiss(null, 'cancel');
+    }
+    _keyDown(ev) {
+        if (!this._viewCtrl.isLast()) {
+            return;
+        }
+        const keyCode = ev.keyCode;
+        if (keyCode === Key.UP || keyCode === Key.DOWN) {
+            ev.preventDefault();
+            this.activeIndex = this.nextIndex(this.activeIndex, keyCode === Key.UP ? -1 : 1);
+            this.focusOption();
+        }
+        else if (keyCode === Key.ENTER) {
+            const target = ev.target;
+            if (target && target.tagName === 'BUTTON' && !isOption(target)) {
+                // the cancel and ok buttons handle their own enter
+                return;
+            }
+            // an option button's own click would select it a second time
+            ev.preventDefault();
+            this.select(this.d.options[this.activeIndex]);
+        }
+    }
+    /**
+     * Returns the index of the next option which isn't disabled,
+     * wrapping around at either end of the list.
+     */
+    nextIndex(index, step) {
+        const options = this.d.options;
+        for (let i = 0; i < options.length; i++) {
+            index = (index + step + options.length) % options.length;
+            if (!options[index].disabled) {
+                return index;
+            }
+        }
+        return -1;
+    }
+    focusOption() {
+        const ele = this._elementRef.nativeElement.querySelectorAll('.select-popover-option')[this.activeIndex];
+        ele && ele.focus();
+    }
+}
+SelectPopoverCmp.decorators = [
+    { type: Component, args: [{
+                selector: 'ion-select-popover',
+                template: '<ion-list [attr.role]="d.multiple ? \'group\' : \'radiogroup\'">' +
+                    '<button ion-item *ngFor="let o of d.options; let i = index" (click)="select(o)" (focus)="activeIndex = i" [disabled]="o.disabled" [attr.role]="d.multiple ? \'checkbox\' : \'radio\'" [attr.aria-checked]="o.checked" [attr.tabindex]="i === activeIndex ? 0 : -1" class="select-popover-option" [class.select-popover-option-checked]="o.checked">' +
+                    '{{o.text}}' +
+                    '<ion-icon *ngIf="o.checked" name="checkmark" item-right></ion-icon>' +
+                    '</button>' +
+                    '</ion-list>' +
+                    '<div *ngIf="d.multiple" class="select-popover-buttons">' +
+                    '<button ion-button clear (click)="cancel()">{{d.cancelText}}</button>' +
+                    '<button ion-button clear (click)="done()">{{d.okText}}</button>' +
+                    '</div>',
+                encapsulation: ViewEncapsulation.None,
+            },] },
+];
+/** @nocollapse */
+SelectPopoverCmp.ctorParameters = [
+    { type: ViewController, },
+    { type: ElementRef, },
+    { type: NavParams, },
+];
+SelectPopoverCmp.propDecorators = {
+    '_keyDown': [{ type: HostListener, args: ['body:keydown', ['$event'],] },],
+};
+function isOption(ele) {
+    return !!ele && !!ele.classList && ele.classList.contains('select-popover-option');
+}
+//# sourceMappingURL=select-popover-component.js.map
\ No newline at end of file
@@ -0,0 +1,219 @@
+import { Component, ContentChildren, ElementRef, EventEmitter, Input, NgZone, Output, Renderer, ViewEncapsulation } from '@angular/core';
+import { isTrueProperty } from '../../util/util';
+import { Menu } from '../menu/menu';
+import { Platform } from '../../platform/platform';
+/**
+ * @name SplitPane
+ * @description
+ * A split pane docks a menu, or a secondary nav, beside the app's main
+ * content when the screen is wide enough, such as on tablets and desktops.
+ * On smaller screens, such as phones, the menu goes back to being a normal
+ * menu which is swiped or toggled open over the content, and a secondary
+ * nav is hidden.
+ *
+ * The element which should fill the rest of the split pane needs the
+ * `main` attribute. Every other child of the split pane is docked beside
+ * it, and a menu is docked on its `side`.
+ *
+ *
+ * ### Breakpoints
+ *
+ * By default the side content is docked once the platform's width is
+ * `992px` or wider. This can be changed with the `when` property, which
+ * takes one of the below breakpoints, a minimum width such as `600px`, or
+ * `true` or `false` to always or never dock the side content.
+ *
+ * | Breakpoint | Minimum Width |
+ * |------------|---------------|
+ * | `xs`       | `0px`         |
+ * | `sm`       | `576px`       |
+ * | `md`       | `768px`       |
+ * | `lg`       | `992px`       |
+ * | `xl`       | `1200px`      |
+ *
+ *
+ * ### Docked Menus
+ *
+ * A docked menu is always shown, so it is not open, cannot be swiped open
+ * or closed, and any [MenuToggle](../../menu/MenuToggle) buttons for it are
+ * hidden. Calling `open()` on the [MenuController](../../menu/MenuController)
+ * for a docked menu resolves `false`, and `isOpen()` keeps returning `false`.
+ * Disabling a docked menu with `enable(false)` hides it from the split pane,
+ * and the main content fills the space it leaves.
+ *
+ *
+ * @usage
+ *
+ * ```html
+ * <ion-split-pane>
+ *   <ion-menu [content]="content">
+ *     <ion-content>
+ *       <ion-list>
+ *       ...
+ *       </ion-list>
+ *     </ion-content>
+ *   </ion-menu>
+ *
+ *   <ion-nav main #content [root]="rootPage"></ion-nav>
+ * </ion-split-pane>
+ * ```
+ *
+ * The side content can also be another nav, which is only shown on wide screens:
+ *
+ * ```html
+ * <ion-split-pane when="md" (ionChange)="splitPaneChanged($event)">
+ *   <ion-nav [root]="listPage"></ion-nav>
+ *   <ion-nav main [root]="detailPage"></ion-nav>
+ * </ion-split-pane>
+ * ```
+ *
+ * @see {@link ../../menu/Menu Menu API Docs}
+ * @see {@link ../../nav/Nav Nav API Docs}
+ */
+export class SplitPane {
+    constructor(_platform, _zone, _elementRef, _renderer) {
+        this._platform = _platform;
+        this._zone = _zone;
+        this._elementRef = _elementRef;
+        this._renderer = _renderer;
+        this._when = 'lg';
+        this._isEnabled = true;
+        this._visible = false;
+        this._init = false;
+        /**
+         * @output {SplitPane} Emitted when the side content is docked or
+         * undocked. Use `isVisible()` to know which it is.
+         */
+        this.ionChange = new EventEmitter();
+    }
+    /**
+     * @input {string | boolean} When the side content should be docked.
+     * Either a breakpoint, such as `md`, a minimum width, such as `600px`,
+     * or a boolean. Default `lg`.
+     */
+    get when() {
+        return this._when;
+    }
+    set when(val) {
+        this._when = val;
+        this._update();
+    }
+    /**
+     * @input {boolean} Whether or not the split pane should dock its side
+     * content. When `false` it always acts as it does on a small screen.
+     * Default `true`.
+     */
+    get enabled() {
+        return this._isEnabled;
+    }
+    set enabled(val) {
+        this._isEnabled = isTrueProperty(val);
+        this._update();
+    }
+    /**
+     * @private
+     */
+    ngAfterContentInit() {
+        this._init = true;
+        this._unregResize = this._platform.onResize(() => {
+            this._zone.run(() => this._update());
+        });
+        // menus added later, such as within an ngIf, also need to be docked
+        this._menuSub = this._menus.changes.subscribe(() => {
+            this._setMenus();
+        });
+        this._update();
+    }
+    /**
+     * @return {boolean} Returns `true` if the side content is currently docked.
+     */
+    isVisible() {
+        return this._visible;
+    }
+    /**
+     * @private
+     */
+    _update() {
+        if (!this._init) {
+            return;
+        }
+        const visible = this._isEnabled && matchesWhen(this._when, this._platform.width());
+        if (visible === this._visible) {
+            return;
+        }
+        (void 0) /* console.debug */;
+        this._visible = visible;
+        this._renderer.setElementClass(this._elementRef.nativeElement, 'split-pane-visible', visible);
+        this._setMenus();
+        this.ionChange.emit(this);
+    }
+    /**
+     * @private
+     */
+    _setMenus() {
+        this._menus.forEach(menu => {
+            menu._setPane(this._visible);
+        });
+    }
+    /**
+     * @private
+     */
+    ngOnDestroy() {
+        this._unregResize && this._unregResize();
+        this._menuSub && this._menuSub.unsubscribe();
+        this._menus && this._menus.forEach(menu => {
+            menu._setPane(false);
+        });
+        this._unregResize = this._menuSub = null;
+    }
+}
+SplitPane.decorators = [
+    { type: Component, args: [{
+                selector: 'ion-split-pane',
+                template: '<ng-content></ng-content>',
+                encapsulation: ViewEncapsulation.None,
+            },] },
+];
+/** @nocollapse */
+SplitPane.ctorParameters = [
+    { type: Platform, },
+    { type: NgZone, },
+    { type: ElementRef, },
+    { type: Renderer, },
+];
+SplitPane.propDecorators = {
+    '_menus': [{ type: ContentChildren, args: [Menu,] },],
+    'when': [{ type: Input },],
+    'enabled': [{ type: Input },],
+    'ionChange': [{ type: Output },],
+};
+/**
+ * @private
+ * Whether the `when` of a split pane, which is either a breakpoint, a
+ * minimum width or a boolean, matches the platform's width.
+ */
+export function matchesWhen(when, width) {
+    if (typeof when === 'boolean') {
+        return when;
+    }
+    if (when === 'true' || when === '') {
+        return true;
+    }
+    if (when === 'false') {
+        return false;
+    }
+    const minWidth = QUERY.hasOwnProperty(when) ? QUERY[when] : parseFloat(when);
+    if (isNaN(minWidth)) {
+        console.warn("split pane, invalid when: " + when);
+        return false;
+    }
+    return width >= minWidth;
+}
+const QUERY = {
+    xs: 0,
+    sm: 576,
+    md: 768,
+    lg: 992,
+    xl: 1200
+};
+//# sourceMappingURL=split-pane.js.map
\ No newline at end of file
@@ -8,4 +8,9 @@ export declare class TabHighlight {
     private _init;
     constructor(_elementRef: ElementRef);
     select(tab: Tab): void;
+    /**
+     * Moves the highlight part of the way from one tab to another,
+     * in step with the tabs being swiped.
+     */
+    progress(fromTab: Tab, toTab: Tab, stepValue: number): void;
 }
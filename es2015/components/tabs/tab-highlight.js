@@ -11,7 +11,11 @@ export class TabHighlight {
         rafFrames(3, () => {
             const d = tab.btn.getDimensions();
             const ele = this._elementRef.nativeElement;
-            ele.style[CSS.transform] = `translate3d(${d.left}px,0,0) scaleX(${d.width})`;
+            if (this._init) {
+                // settle into place after being dragged with the tabs
+                ele.classList.add('animate');
+            }
+            ele.style[CSS.transform] = "translate3d(" + d.left + "px,0,0) scaleX(" + d.width + ")";
             if (!this._init) {
                 this._init = true;
                 rafFrames(6, () => {
@@ -20,6 +24,19 @@ export class TabHighlight {
             }
         });
     }
+    /**
+     * Moves the highlight part of the way from one tab to another,
+     * in step with the tabs being swiped.
+     */
+    progress(fromTab, toTab, stepValue) {
+        const from = fromTab.btn.getDimensions();
+        const to = toTab.btn.getDimensions();
+        const left = from.left + (to.left - from.left) * stepValue;
+        const width = from.width + (to.width - from.width) * stepValue;
+        const ele = this._elementRef.nativeElement;
+        ele.classList.remove('animate');
+        ele.style[CSS.transform] = "translate3d(" + left + "px,0,0) scaleX(" + width + ")";
+    }
 }
 TabHighlight.decorators = [
     { type: Directive, args: [{
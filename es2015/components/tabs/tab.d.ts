@@ -5,7 +5,7 @@ import { DeepLinker } from '../../navigation/deep-linker';
 import { GestureController } from '../../gestures/gesture-controller';
 import { Keyboard } from '../../util/keyboard';
 import { NavControllerBase } from '../../navigation/nav-controller-base';
-import { NavOptions } from '../../navigation/nav-util';
+import { NavOptions, NavSegment } from '../../navigation/nav-util';
 import { TabButton } from './tab-button';
 import { Tabs } from './tabs';
 import { TransitionController } from '../../transitions/transition-controller';
@@ -144,6 +144,30 @@ export declare class Tab extends NavControllerBase {
      * @private
      */
     _loaded: boolean;
+    /**
+     * @private
+     */
+    _segment: NavSegment;
+    /**
+     * @private
+     * If this tab is the More tab, which shows the tabs that didn't fit in the tabbar
+     */
+    _isMore: boolean;
+    /**
+     * @private
+     * If this tab didn't fit in the tabbar, and is shown within the More tab
+     */
+    _overflow: boolean;
+    /**
+     * @private
+     * The tab the More tab is showing the pages of
+     */
+    _overflowTab: Tab;
+    /**
+     * @private
+     * If the tab's root page is loading before the tab is selected
+     */
+    _preloading: boolean;
     /**
      * @private
      */
@@ -221,6 +245,21 @@ export declare class Tab extends NavControllerBase {
      * @private
      */
     load(opts: NavOptions, done?: Function): void;
+    /**
+     * @private
+     * Loads the tab's root page before the tab is selected, such as while
+     * it's being swiped into view. The page doesn't enter until the tabs
+     * select this tab.
+     */
+    _preload(): void;
+    /**
+     * @private
+     */
+    _willEnter(view: ViewController): void;
+    /**
+     * @private
+     */
+    _didEnter(view: ViewController): void;
     /**
      * @private
      */
@@ -197,7 +197,15 @@ export class Tab extends NavControllerBase {
     load(opts, done) {
         if (!this._loaded && this.root) {
             this.setElementClass('show-tab', true);
-            this.push(this.root, this.rootParams, opts, done);
+            const segment = this._segment;
+            this._segment = null;
+            if (segment && segment.stack && segment.stack.length > 1) {
+                // the url has the pages above this tab's root page too
+                this.setPages(this.linker.initViews(segment), opts, done);
+            }
+            else {
+                this.push(this.root, this.rootParams, opts, done);
+            }
             this._loaded = true;
         }
         else {
@@ -215,6 +223,44 @@ export class Tab extends NavControllerBase {
             done(true);
         }
     }
+    /**
+     * @private
+     * Loads the tab's root page before the tab is selected, such as while
+     * it's being swiped into view. The page doesn't enter until the tabs
+     * select this tab.
+     */
+    _preload() {
+        if (this._loaded) {
+            this.setElementClass('show-tab', true);
+            return;
+        }
+        this._preloading = true;
+        this.load({ animate: false, updateUrl: false }, () => {
+            this._preloading = false;
+            const active = this.getActive();
+            if (this.isSelected && active) {
+                // the tab was selected before its page finished loading
+                active._willEnter();
+                active._didEnter();
+            }
+        });
+    }
+    /**
+     * @private
+     */
+    _willEnter(view) {
+        if (!this._preloading) {
+            super._willEnter(view);
+        }
+    }
+    /**
+     * @private
+     */
+    _didEnter(view) {
+        if (!this._preloading) {
+            super._didEnter(view);
+        }
+    }
     /**
      * @private
      */
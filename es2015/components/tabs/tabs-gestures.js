@@ -0,0 +1,52 @@
+import { GESTURE_TABS_SWIPE } from '../../gestures/gesture-controller';
+import { SlideGesture } from '../../gestures/slide-gesture';
+import { swipeShouldReset } from '../../util/util';
+/**
+ * @private
+ * Gesture attached to the tabs which drags the selected
+ * tab's page aside to show the tab next to it
+ */
+export class TabsSwipeGesture extends SlideGesture {
+    constructor(tabs, gestureCtrl, domCtrl) {
+        super(tabs.getNativeElement(), {
+            direction: 'x',
+            threshold: 10,
+            zone: false,
+            domController: domCtrl,
+            gesture: gestureCtrl.createGesture({
+                name: GESTURE_TABS_SWIPE,
+                priority: -20 /* TabsSwipe */,
+                disableScroll: true
+            })
+        });
+        this.tabs = tabs;
+    }
+    canStart(ev) {
+        return this.tabs._canSwipe() && super.canStart(ev);
+    }
+    onSlideBeforeStart(ev) {
+        this.tabs._swipeStart();
+    }
+    onSlide(slide, ev) {
+        ev.preventDefault();
+        this.tabs._swipeProgress(slide.distance);
+    }
+    onSlideEnd(slide, ev) {
+        const width = this.tabs._swipe.width;
+        const velocity = slide.velocity;
+        // dragging to the left shows the next tab, and to the right the previous tab
+        const isResetDirection = slide.distance < 0 ? velocity > 0 : velocity < 0;
+        const isMovingFast = Math.abs(velocity) > 0.4;
+        const isInResetZone = Math.abs(slide.distance) < width * 0.5;
+        const shouldComplete = slide.distance !== 0 && !swipeShouldReset(isResetDirection, isMovingFast, isInResetZone);
+        this.tabs._swipeEnd(shouldComplete, slide.distance, velocity);
+    }
+    getSlideBoundaries() {
+        const swipe = this.tabs._swipe;
+        return {
+            min: swipe.nextTab ? -swipe.width : 0,
+            max: swipe.prevTab ? swipe.width : 0
+        };
+    }
+}
+//# sourceMappingURL=tabs-gestures.js.map
\ No newline at end of file
@@ -0,0 +1,18 @@
+import { NavController } from '../../navigation/nav-controller';
+import { Tab } from './tab';
+import { Tabs } from './tabs';
+/**
+ * @private
+ * The root page of the more tab, which lists the tabs that didn't fit in
+ * the tabbar. The list can be reordered by the user.
+ */
+export declare class TabsMoreCmp {
+    reorder: boolean;
+    tabs: Tabs;
+    constructor(navCtrl: NavController);
+    open(tab: Tab): void;
+    reorderTabs(indexes: {
+        from: number;
+        to: number;
+    }): void;
+}
@@ -1,13 +1,19 @@
 import { Component, ElementRef, EventEmitter, Input, Output, Optional, Renderer, ViewChild, ViewContainerRef, ViewEncapsulation } from '@angular/core';
+import { Animation } from '../../animations/animation';
 import { App } from '../app/app';
 import { Config } from '../../config/config';
+import { CSS } from '../../util/dom';
 import { DeepLinker } from '../../navigation/deep-linker';
+import { DomController } from '../../util/dom-controller';
+import { GestureController } from '../../gestures/gesture-controller';
 import { Ion } from '../ion';
-import { isBlank } from '../../util/util';
+import { isArray, isBlank, isTrueProperty, reorderArray } from '../../util/util';
 import { NavController } from '../../navigation/nav-controller';
 import { getComponent, DIRECTION_SWITCH } from '../../navigation/nav-util';
 import { Platform } from '../../platform/platform';
 import { TabHighlight } from './tab-highlight';
+import { TabsMoreCmp } from './tabs-more-component';
+import { TabsSwipeGesture } from './tabs-gestures';
 import { ViewController } from '../../navigation/view-controller';
 /**
  * @name Tabs
@@ -41,6 +47,77 @@ import { ViewController } from '../../navigation/view-controller';
  * and a title for iOS. See the [Input Properties](#input-properties)
  * below for the available values of `tabsLayout`.
  *
+ * ### Back Button and History
+ *
+ * Each tab keeps its own stack of pages, and the url has the selected
+ * tab's whole stack. Going back with the browser's back button first goes
+ * back through the selected tab's pages, then through the previously
+ * selected tabs, with each tab's stack restored from the url.
+ *
+ * The `tabsBack` property decides what the app's back button, such as the
+ * hardware back button on Android, does once the selected tab is at its
+ * root page:
+ *
+ * - `tab`: Leaves the tabs, which is the default.
+ * - `history`: Selects the previously selected tabs, one after another.
+ * - `initial`: Selects the first tab which was selected, then leaves the tabs.
+ *
+ * ```html
+ * <ion-tabs tabsBack="history">
+ *   ...
+ * </ion-tabs>
+ * ```
+ *
+ * ### Swiping Between Tabs
+ *
+ * Setting `tabsSwipe` to `true` lets the user switch to the tab beside the
+ * selected tab by dragging the selected tab's root page to the side, which
+ * is how many Material Design apps work. A tab's root page is loaded the
+ * first time it's dragged into view, disabled and hidden tabs are skipped,
+ * and the highlight bar follows the drag when `tabsHighlight` is enabled.
+ * The tab is only selected, and `ionChange` only fires, once the drag is
+ * let go far or fast enough, otherwise the tabs settle back into place.
+ *
+ * Swiping to go back and swiping open a menu both take priority over
+ * swiping the tabs, and pages above a tab's root page can't be swiped.
+ *
+ * ```html
+ * <ion-tabs tabsSwipe="true" tabsHighlight="true">
+ *   ...
+ * </ion-tabs>
+ * ```
+ *
+ * ### More Tab
+ *
+ * By default every tab button is in the tabbar. When `tabsMax` is set and
+ * there are more tabs than that, the last button becomes a "More" tab which
+ * lists the tabs that didn't fit, and selecting one of them shows its pages
+ * within the More tab. Hidden tabs don't count toward `tabsMax`. The title
+ * and icon of the More tab are set with `tabsMoreTitle` and `tabsMoreIcon`.
+ *
+ * The user can reorder the list of the More tab. To keep their order, pass
+ * an object with a `get()` and a `set(order)` method to `tabsMoreStorage`.
+ * The order is an array of each tab's `tabUrlPath`, or its title formatted
+ * for the url, and `get()` may return a promise of it.
+ *
+ * ```html
+ * <ion-tabs tabsMax="4" [tabsMoreStorage]="moreStorage">
+ *   ...
+ * </ion-tabs>
+ * ```
+ *
+ * ```ts
+ * moreStorage = {
+ *   get: () => JSON.parse(localStorage.getItem('moreTabs')),
+ *   set: (order: string[]) => localStorage.setItem('moreTabs', JSON.stringify(order))
+ * };
+ * ```
+ *
+ * A tab in the More tab is still selected with `select()` using its own
+ * index, and the url of its pages is the same as if it was in the tabbar.
+ * `getSelected()` returns the More tab while it's showing one of them,
+ * while `ionChange` emits the tab itself.
+ *
  * ### Selecting a Tab
  *
  * There are different ways you can select a specific tab from the tabs
@@ -142,18 +219,24 @@ import { ViewController } from '../../navigation/view-controller';
  *
  */
 export class Tabs extends Ion {
-    constructor(parent, viewCtrl, _app, config, elementRef, _platform, renderer, _linker) {
+    constructor(parent, viewCtrl, _app, config, elementRef, _platform, renderer, _linker, _gestureCtrl, _domCtrl) {
         super(config, elementRef, renderer, 'tabs');
         this.viewCtrl = viewCtrl;
         this._app = _app;
         this._platform = _platform;
         this._linker = _linker;
+        this._gestureCtrl = _gestureCtrl;
+        this._domCtrl = _domCtrl;
         /** @internal */
         this._ids = -1;
         /** @internal */
         this._tabs = [];
         /** @internal */
         this._selectHistory = [];
+        /** @internal */
+        this._moreTabs = [];
+        /** @internal */
+        this._moreRoot = TabsMoreCmp;
         /**
          * @input {any} Expression to evaluate when the tab changes.
          */
@@ -162,6 +245,11 @@ export class Tabs extends Ion {
         this.id = 't' + (++tabIds);
         this._sbPadding = config.getBoolean('statusbarPadding');
         this.tabsHighlight = config.getBoolean('tabsHighlight');
+        this.tabsBack = config.get('tabsBack', 'tab');
+        this.tabsSwipe = config.getBoolean('tabsSwipe');
+        this.tabsMax = config.getNumber('tabsMax', 0);
+        this.tabsMoreTitle = config.get('tabsMoreTitle', 'More');
+        this.tabsMoreIcon = config.get('tabsMoreIcon', 'more');
         if (this.parent) {
             // this Tabs has a parent Nav
             this.parent.registerChildNav(this);
@@ -195,9 +283,61 @@ export class Tabs extends Ion {
     set mode(val) {
         this._setMode(val);
     }
+    /**
+     * @input {boolean} Whether the tabs can be switched by swiping the selected tab's root page to the side. Default: `false`.
+     */
+    get tabsSwipe() {
+        return this._tabsSwipe;
+    }
+    set tabsSwipe(val) {
+        this._tabsSwipe = isTrueProperty(val);
+        if (this._tabsSwipe) {
+            if (!this._swipeGesture) {
+                this._swipeGesture = new TabsSwipeGesture(this, this._gestureCtrl, this._domCtrl);
+            }
+            this._swipeGesture.listen();
+        }
+        else if (this._swipeGesture) {
+            this._swipeGesture.unlisten();
+            // settle a drag which was still going on back into place
+            this._swipe && !this._swipeAni && this._swipeEnd(false, 0, 0);
+        }
+    }
     ngOnDestroy() {
+        this._swipeGesture && this._swipeGesture.destroy();
+        this._swipeAni && this._swipeAni.destroy();
+        this._swipeGesture = this._swipeAni = this._swipe = null;
         this.parent.unregisterChildNav(this);
     }
+    /**
+     * @internal
+     */
+    ngAfterContentInit() {
+        const max = parseInt(this.tabsMax, 10);
+        const shownTabs = this._tabs.filter(t => t.show);
+        if (!(max > 0) || shownTabs.length <= max) {
+            return;
+        }
+        // the last button in the tabbar is taken by the more tab
+        this._hasMore = true;
+        this._moreTabs = shownTabs.slice(max - 1);
+        this._moreTabs.forEach(t => {
+            t._overflow = true;
+        });
+        const storage = this.tabsMoreStorage;
+        if (storage) {
+            // a storage which throws right away rejects the promise, rather than init
+            new Promise(resolve => {
+                resolve(storage.get());
+            }).then(order => {
+                if (isArray(order)) {
+                    this._sortMore(order);
+                }
+            }).catch(err => {
+                console.error('Tabs: unable to get the order of the more tabs', err);
+            });
+        }
+    }
     /**
      * @internal
      */
@@ -241,7 +381,11 @@ export class Tabs extends Ion {
                 if (selectedTabSegment && selectedTabSegment.component) {
                     selectedTab.root = selectedTabSegment.component;
                     selectedTab.rootParams = selectedTabSegment.data;
-                    pageId = selectedTabSegment.id;
+                    selectedTab._segment = selectedTabSegment;
+                    if (!selectedTabSegment.stack || selectedTabSegment.stack.length < 2) {
+                        // a whole stack from the url already has an id for each page
+                        pageId = selectedTabSegment.id;
+                    }
                 }
             }
             this.select(selectedTab, {
@@ -267,6 +411,12 @@ export class Tabs extends Ion {
      * @private
      */
     add(tab) {
+        if (tab.getNativeElement().hasAttribute('tabs-more')) {
+            // the more tab is created by the tabs itself, after the
+            // other tabs, so it doesn't change the index of any tab
+            tab._isMore = true;
+            this._moreTab = tab;
+        }
         this._tabs.push(tab);
         return this.id + '-' + (++this._ids);
     }
@@ -274,12 +424,21 @@ export class Tabs extends Ion {
      * @param {number|Tab} tabOrIndex Index, or the Tab instance, of the tab to select.
      */
     select(tabOrIndex, opts = {}) {
-        const selectedTab = (typeof tabOrIndex === 'number' ? this.getByIndex(tabOrIndex) : tabOrIndex);
+        let selectedTab = (typeof tabOrIndex === 'number' ? this.getByIndex(tabOrIndex) : tabOrIndex);
         if (isBlank(selectedTab)) {
             return;
         }
+        let overflowTab;
+        if (selectedTab._overflow && this._moreTab) {
+            // a tab which didn't fit in the tabbar is shown within the more tab
+            overflowTab = selectedTab;
+            selectedTab = this._moreTab;
+        }
         const deselectedTab = this.getSelected();
         if (selectedTab === deselectedTab) {
+            if (overflowTab) {
+                return this._selectOverflow(overflowTab, opts);
+            }
             // no change
             return this._touchActive(selectedTab);
         }
@@ -289,11 +448,14 @@ export class Tabs extends Ion {
             deselectedPage && deselectedPage._willLeave(false);
         }
         opts.animate = false;
-        const selectedPage = selectedTab.getActive();
+        // a page which is still preloading enters once it's loaded
+        const selectedPage = selectedTab._preloading ? null : selectedTab.getActive();
         selectedPage && selectedPage._willEnter();
-        selectedTab.load(opts, (alreadyLoaded) => {
-            selectedTab.ionSelect.emit(selectedTab);
-            this.ionChange.emit(selectedTab);
+        const loadOpts = overflowTab ? { animate: false, updateUrl: false } : opts;
+        const changedTab = overflowTab || selectedTab;
+        selectedTab.load(loadOpts, alreadyLoaded => {
+            changedTab.ionSelect.emit(changedTab);
+            this.ionChange.emit(changedTab);
             if (selectedTab.root) {
                 // only show the selectedTab if it has a root
                 // it's possible the tab is only for opening modal's or signing out
@@ -305,19 +467,95 @@ export class Tabs extends Ion {
                 if (this.tabsHighlight) {
                     this._highlight.select(selectedTab);
                 }
-                if (opts.updateUrl !== false) {
-                    this._linker.navChange(DIRECTION_SWITCH);
+                if (overflowTab) {
+                    // the url is updated once the tab's pages are in the more tab
+                    this._showOverflowTab(overflowTab, false, opts);
+                }
+                else if (opts.updateUrl !== false) {
+                    this._linker.navChange(opts.direction || DIRECTION_SWITCH);
                 }
             }
             selectedPage && selectedPage._didEnter();
             deselectedPage && deselectedPage._didLeave();
-            // track the order of which tabs have been selected, by their index
-            // do not track if the tab index is the same as the previous
-            if (this._selectHistory[this._selectHistory.length - 1] !== selectedTab.id) {
-                this._selectHistory.push(selectedTab.id);
-            }
+            this._trackHistory(changedTab);
         });
     }
+    /**
+     * Shows a tab which didn't fit in the tabbar when the more tab is
+     * already selected, pushing its root page on top of the list.
+     * @internal
+     */
+    _selectOverflow(tab, opts) {
+        const moreTab = this._moreTab;
+        if (moreTab._overflowTab === tab && moreTab.length() > 1 && !tab._segment) {
+            // no change
+            return;
+        }
+        tab.ionSelect.emit(tab);
+        this.ionChange.emit(tab);
+        this._showOverflowTab(tab, opts.animate !== false, opts);
+        this._trackHistory(tab);
+    }
+    /**
+     * Replaces the pages above the more tab's list with the
+     * pages of a tab which didn't fit in the tabbar.
+     * @internal
+     */
+    _showOverflowTab(tab, animate, opts) {
+        const moreTab = this._moreTab;
+        const segment = tab._segment;
+        tab._segment = null;
+        // the deep linker already knows which pages the url has for this tab
+        const pages = segment ? this._linker.initViews(segment) : [{ page: tab.root, params: tab.rootParams }];
+        moreTab._overflowTab = tab;
+        if (moreTab.length() > 1) {
+            moreTab.remove(1, moreTab.length() - 1, { animate: false, updateUrl: false });
+        }
+        moreTab.insertPages(1, pages, {
+            animate: animate,
+            updateUrl: opts.updateUrl,
+            id: segment ? null : opts.id
+        });
+    }
+    /**
+     * Tracks the order of which tabs have been selected, by their id.
+     * Does not track if the tab is the same as the previous.
+     * @internal
+     */
+    _trackHistory(tab) {
+        if (this._selectHistory[this._selectHistory.length - 1] !== tab.id) {
+            this._selectHistory.push(tab.id);
+        }
+    }
+    /**
+     * Sorts the tabs within the more tab by the order of their url selectors.
+     * @internal
+     */
+    _sortMore(order) {
+        const indexOf = t => {
+            const index = order.indexOf(this._linker.getTabSelector(t));
+            return index > -1 ? index : order.length;
+        };
+        // sort() isn't stable, so tabs missing from the order keep theirs by their index
+        this._moreTabs.sort((a, b) => (indexOf(a) - indexOf(b)) || (a.index - b.index));
+    }
+    /**
+     * Reorders the tabs within the more tab, and saves
+     * the new order with the `tabsMoreStorage`.
+     * @internal
+     */
+    _reorderMore(indexes) {
+        reorderArray(this._moreTabs, indexes);
+        const storage = this.tabsMoreStorage;
+        if (storage) {
+            const order = this._moreTabs.map(t => this._linker.getTabSelector(t));
+            new Promise(resolve => {
+                resolve(storage.set(order));
+            }).catch(err => {
+                console.error('Tabs: unable to save the order of the more tabs', err);
+            });
+        }
+    }
     /**
      * Get the previously selected Tab which is currently not disabled or hidden.
      * @param {boolean} trimHistory If the selection history should be trimmed up to the previous tab selection or not.
@@ -338,6 +576,119 @@ export class Tabs extends Ion {
         }
         return null;
     }
+    /**
+     * The tab the back button should select when the selected tab is
+     * already at its root page, or `null` if it should leave the tabs.
+     * @internal
+     */
+    _getBackTab() {
+        if (this.tabsBack === 'history') {
+            return this.previousTab(true);
+        }
+        if (this.tabsBack === 'initial') {
+            const initialTab = this._tabs.find(t => t.id === this._selectHistory[0]);
+            if (initialTab && initialTab !== this.getSelected() && initialTab.enabled && initialTab.show) {
+                this._selectHistory.splice(1);
+                return initialTab;
+            }
+        }
+        return null;
+    }
+    /**
+     * The closest tab before, when the direction is `-1`, or after, when the
+     * direction is `1`, the selected tab which can be swiped to.
+     * @internal
+     */
+    _getSwipeTab(direction) {
+        const index = this.getIndex(this.getSelected());
+        for (let i = index + direction; index > -1 && i > -1 && i < this._tabs.length; i += direction) {
+            const tab = this._tabs[i];
+            if (tab.enabled && tab.show && tab.root && !tab._overflow) {
+                return tab;
+            }
+        }
+        return null;
+    }
+    /**
+     * @internal
+     */
+    _canSwipe() {
+        const selectedTab = this.getSelected();
+        // only a tab's root page can be swiped aside, so
+        // dragging a sub page is left to swipe to go back
+        return !!selectedTab && !this._swipe && selectedTab.length() < 2 &&
+            !selectedTab.isTransitioning() && !!(this._getSwipeTab(-1) || this._getSwipeTab(1));
+    }
+    /**
+     * @internal
+     */
+    _swipeStart() {
+        const swipe = this._swipe = {
+            selectedTab: this.getSelected(),
+            prevTab: this._getSwipeTab(-1),
+            nextTab: this._getSwipeTab(1),
+            width: this.getNativeElement().offsetWidth
+        };
+        showSwipeTab(swipe.prevTab, -swipe.width);
+        showSwipeTab(swipe.nextTab, swipe.width);
+    }
+    /**
+     * @internal
+     */
+    _swipeProgress(x) {
+        const swipe = this._swipe;
+        if (!swipe) {
+            return;
+        }
+        setTabTransform(swipe.selectedTab, x);
+        swipe.prevTab && setTabTransform(swipe.prevTab, x - swipe.width);
+        swipe.nextTab && setTabTransform(swipe.nextTab, x + swipe.width);
+        const toTab = (x < 0 ? swipe.nextTab : swipe.prevTab);
+        if (this.tabsHighlight && toTab) {
+            this._highlight.progress(swipe.selectedTab, toTab, Math.abs(x) / swipe.width);
+        }
+    }
+    /**
+     * @internal
+     */
+    _swipeEnd(shouldComplete, x, velocity) {
+        const swipe = this._swipe;
+        if (!swipe) {
+            return;
+        }
+        const toTab = (x < 0 ? swipe.nextTab : swipe.prevTab);
+        shouldComplete = shouldComplete && !!toTab;
+        const endX = shouldComplete ? (x < 0 ? -swipe.width : swipe.width) : 0;
+        // the faster the drag the quicker the tabs settle into place
+        const dur = Math.min(SWIPE_DURATION, Math.abs(endX - x) / Math.max(Math.abs(velocity), 1));
+        const tabs = [swipe.selectedTab, swipe.prevTab, swipe.nextTab].filter(t => !!t);
+        const ani = this._swipeAni = new Animation();
+        ani.duration(dur).easing('cubic-bezier(0.0, 0.0, 0.2, 1)');
+        tabs.forEach(tab => {
+            const offset = (tab === swipe.prevTab ? -swipe.width : tab === swipe.nextTab ? swipe.width : 0);
+            ani.add(new Animation(tab.getNativeElement()).fromTo('translateX', (x + offset) + 'px', (endX + offset) + 'px'));
+        });
+        ani.onFinish(() => {
+            this._swipeAni = this._swipe = null;
+            tabs.forEach(tab => {
+                setTabTransform(tab, null);
+            });
+            if (shouldComplete) {
+                // selecting the tab hides the others, and is
+                // the only time the tabs emit ionChange
+                this.select(toTab);
+            }
+            else {
+                swipe.prevTab && swipe.prevTab.setElementClass('show-tab', false);
+                swipe.nextTab && swipe.nextTab.setElementClass('show-tab', false);
+                if (this.tabsHighlight) {
+                    this._highlight.select(swipe.selectedTab);
+                }
+            }
+            ani.destroy();
+        }, true);
+        ani.play();
+    }
     /**
      * @param {number} index Index of the tab you want to get
      * @returns {Tab} Returns the tab who's index matches the one passed
@@ -415,7 +766,7 @@ Tabs.decorators = [
     { type: Component, args: [{
                 selector: 'ion-tabs',
                 template: '<div class="tabbar" role="tablist" #tabbar>' +
-                    '<a *ngFor="let t of _tabs" [tab]="t" class="tab-button" [class.tab-disabled]="!t.enabled" [class.tab-hidden]="!t.show" role="tab" href="#" (ionSelect)="select($event)">' +
+                    '<a *ngFor="let t of _tabs" [tab]="t" class="tab-button" [class.tab-disabled]="!t.enabled" [class.tab-hidden]="!t.show || t._overflow" role="tab" href="#" (ionSelect)="select($event)">' +
                     '<ion-icon *ngIf="t.tabIcon" [name]="t.tabIcon" [isActive]="t.isSelected" class="tab-button-icon"></ion-icon>' +
                     '<span *ngIf="t.tabTitle" class="tab-button-text">{{t.tabTitle}}</span>' +
                     '<ion-badge *ngIf="t.tabBadge" class="tab-badge" [color]="t.tabBadgeStyle">{{t.tabBadge}}</ion-badge>' +
@@ -424,6 +775,7 @@ Tabs.decorators = [
                     '<div class="tab-highlight"></div>' +
                     '</div>' +
                     '<ng-content></ng-content>' +
+                    '<ion-tab *ngIf="_hasMore" tabs-more [root]="_moreRoot" [tabTitle]="tabsMoreTitle" [tabIcon]="tabsMoreIcon"></ion-tab>' +
                     '<div #portal tab-portal></div>',
                 encapsulation: ViewEncapsulation.None,
             },] },
@@ -438,6 +790,8 @@ Tabs.ctorParameters = [
     { type: Platform, },
     { type: Renderer, },
     { type: DeepLinker, },
+    { type: GestureController, },
+    { type: DomController, },
 ];
 Tabs.propDecorators = {
     'color': [{ type: Input },],
@@ -446,10 +800,36 @@ Tabs.propDecorators = {
     'tabsLayout': [{ type: Input },],
     'tabsPlacement': [{ type: Input },],
     'tabsHighlight': [{ type: Input },],
+    'tabsBack': [{ type: Input },],
+    'tabsSwipe': [{ type: Input },],
+    'tabsMax': [{ type: Input },],
+    'tabsMoreTitle': [{ type: Input },],
+    'tabsMoreIcon': [{ type: Input },],
+    'tabsMoreStorage': [{ type: Input },],
     'ionChange': [{ type: Output },],
     '_highlight': [{ type: ViewChild, args: [TabHighlight,] },],
     '_tabbar': [{ type: ViewChild, args: ['tabbar',] },],
     'portal': [{ type: ViewChild, args: ['portal', { read: ViewContainerRef },] },],
 };
+/**
+ * Shows a tab beside the selected tab while it's being swiped.
+ */
+function showSwipeTab(tab, x) {
+    if (!tab) {
+        return;
+    }
+    setTabTransform(tab, x);
+    if (tab._loaded) {
+        tab.setElementClass('show-tab', true);
+        return;
+    }
+    // the tab's root page is loaded the first time it's swiped to,
+    // and only enters once the tab is selected
+    tab._preload();
+}
+function setTabTransform(tab, x) {
+    tab.getNativeElement().style[CSS.transform] = (x === null ? '' : "translate3d(" + x + "px,0,0)");
+}
 let tabIds = -1;
+const SWIPE_DURATION = 300;
 //# sourceMappingURL=tabs.js.map
\ No newline at end of file
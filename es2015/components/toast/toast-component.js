@@ -1,25 +1,42 @@
 import { Component, ElementRef, Renderer } from '@angular/core';
 import { Config } from '../../config/config';
+import { CSS } from '../../util/dom';
+import { DomController } from '../../util/dom-controller';
+import { GestureController } from '../../gestures/gesture-controller';
 import { NavParams } from '../../navigation/nav-params';
+import { ToastGesture } from './toast-gesture';
 import { ViewController } from '../../navigation/view-controller';
 /**
  * @private
  */
 export class ToastCmp {
-    constructor(_viewCtrl, _config, _elementRef, params, renderer) {
+    constructor(_viewCtrl, _config, _elementRef, params, _renderer, _gestureCtrl, _domCtrl) {
         this._viewCtrl = _viewCtrl;
         this._config = _config;
         this._elementRef = _elementRef;
+        this._renderer = _renderer;
+        this._gestureCtrl = _gestureCtrl;
+        this._domCtrl = _domCtrl;
         this.dismissTimeout = undefined;
-        renderer.setElementClass(_elementRef.nativeElement, `toast-${_config.get('mode')}`, true);
+        this._remaining = 0;
+        this._hovered = false;
+        this._dragging = false;
+        this._lastTouch = 0;
+        _renderer.setElementClass(_elementRef.nativeElement, "toast-" + _config.get('mode'), true);
         this.d = params.data;
         if (this.d.cssClass) {
             this.d.cssClass.split(' ').forEach(cssClass => {
                 // Make sure the class isn't whitespace, otherwise it throws exceptions
                 if (cssClass.trim() !== '')
-                    renderer.setElementClass(_elementRef.nativeElement, cssClass, true);
+                    _renderer.setElementClass(_elementRef.nativeElement, cssClass, true);
             });
         }
+        this.d.buttons = (this.d.buttons || []).map(button => {
+            if (typeof button === 'string') {
+                return { text: button };
+            }
+            return button;
+        });
         this.id = (++toastIds);
         if (this.d.message) {
             this.hdrId = 'toast-hdr-' + this.id;
@@ -28,9 +45,12 @@ export class ToastCmp {
     ngAfterViewInit() {
         // if there's a `duration` set, automatically dismiss.
         if (this.d.duration) {
-            this.dismissTimeout = setTimeout(() => {
-                this.dismiss('backdrop');
-            }, this.d.duration);
+            this._remaining = this.d.duration;
+            this._startTimer();
+        }
+        if (this.d.swipeToDismiss) {
+            this._gesture = new ToastGesture(this, this._getElement('.toast-container'), this._gestureCtrl, this._domCtrl);
+            this._gesture.listen();
         }
         this.enabled = true;
     }
@@ -49,11 +69,116 @@ export class ToastCmp {
             this.dismiss('close');
         }
     }
+    btnClick(button) {
+        if (!this.enabled) {
+            return;
+        }
+        let shouldDismiss = true;
+        if (button.handler) {
+            // a handler has been provided, execute it
+            if (button.handler() === false) {
+                // if the return value of the handler is false then do not dismiss
+                shouldDismiss = false;
+            }
+        }
+        if (shouldDismiss) {
+            this.dismiss(button.role);
+        }
+    }
     dismiss(role) {
         clearTimeout(this.dismissTimeout);
         this.dismissTimeout = undefined;
+        this.enabled = false;
         return this._viewCtrl.dismiss(null, role, { disableApp: false });
     }
+    /**
+     * Pauses the `duration` timer while the toast is hovered or touched.
+     */
+    pointerEnter(ev) {
+        if (this._isEmulatedMouse(ev) || this.d.pauseOnHover === false) {
+            return;
+        }
+        this._hovered = true;
+        this._pause();
+    }
+    pointerLeave(ev) {
+        if (this._isEmulatedMouse(ev) || !this._hovered) {
+            return;
+        }
+        this._hovered = false;
+        this._resume();
+    }
+    _isEmulatedMouse(ev) {
+        if (ev.type.indexOf('touch') === 0) {
+            this._lastTouch = Date.now();
+            return false;
+        }
+        // browsers fire mouse events after touch events, and
+        // the mouseleave wouldn't come until somewhere else is tapped
+        return (this._lastTouch + MOUSE_WAIT > Date.now());
+    }
+    _startTimer() {
+        this._timerStart = Date.now();
+        this.dismissTimeout = setTimeout(() => {
+            this.dismiss('backdrop');
+        }, this._remaining);
+    }
+    _pause() {
+        if (this.dismissTimeout === undefined) {
+            return;
+        }
+        clearTimeout(this.dismissTimeout);
+        this.dismissTimeout = undefined;
+        this._remaining -= Date.now() - this._timerStart;
+    }
+    _resume() {
+        if (!this.enabled || !this.d.duration || this.dismissTimeout !== undefined || this._hovered || this._dragging) {
+            return;
+        }
+        this._startTimer();
+    }
+    _onDragStart(x) {
+        this._dragging = true;
+        this._startX = x;
+        this._pause();
+    }
+    _onDragMove(x) {
+        const ele = this._getElement('.toast-container');
+        const deltaX = x - this._startX;
+        const opacity = Math.max(0, 1 - Math.abs(deltaX) / ele.offsetWidth);
+        this._renderer.setElementStyle(ele, CSS.transform, "translateX(" + deltaX + "px)");
+        this._renderer.setElementStyle(ele, 'opacity', opacity + '');
+    }
+    _onDragEnd(x) {
+        this._dragging = false;
+        const ele = this._getElement('.toast-container');
+        if (Math.abs(x - this._startX) > ele.offsetWidth * SWIPE_DISMISS_RATIO) {
+            // leave it where it was swiped to while the toast is dismissed
+            this.dismiss('swipe');
+            return;
+        }
+        this._renderer.setElementStyle(ele, CSS.transform, '');
+        this._renderer.setElementStyle(ele, 'opacity', '');
+        this._resume();
+    }
+    /**
+     * Moves the toast away from the edge of the screen, so
+     * stacked toasts at the same position don't overlap.
+     */
+    _setStackOffset(offset) {
+        const margin = (this.d.position === 'bottom' ? 'margin-bottom' : 'margin-top');
+        this._renderer.setElementStyle(this._getElement('.toast-wrapper'), margin, offset + 'px');
+    }
+    _getStackHeight() {
+        return this._getElement('.toast-wrapper').offsetHeight;
+    }
+    _getElement(selector) {
+        return this._elementRef.nativeElement.querySelector(selector);
+    }
+    ngOnDestroy() {
+        clearTimeout(this.dismissTimeout);
+        this._gesture && this._gesture.destroy();
+    }
 }
 ToastCmp.decorators = [
     { type: Component, args: [{
@@ -62,11 +187,14 @@ ToastCmp.decorators = [
                     '[class.toast-bottom]="d.position === \'bottom\'" ' +
                     '[class.toast-middle]="d.position === \'middle\'" ' +
                     '[class.toast-top]="d.position === \'top\'"> ' +
-                    '<div class="toast-container"> ' +
+                    '<div class="toast-container" (mouseenter)="pointerEnter($event)" (mouseleave)="pointerLeave($event)" (touchstart)="pointerEnter($event)" (touchend)="pointerLeave($event)" (touchcancel)="pointerLeave($event)"> ' +
                     '<div class="toast-message" id="{{hdrId}}" *ngIf="d.message">{{d.message}}</div> ' +
                     '<button ion-button clear class="toast-button" *ngIf="d.showCloseButton" (click)="cbClick()"> ' +
                     '{{ d.closeButtonText || \'Close\' }} ' +
                     '</button> ' +
+                    '<button ion-button clear class="toast-button" *ngFor="let b of d.buttons" [ngClass]="b.cssClass" (click)="btnClick(b)"> ' +
+                    '{{b.text}} ' +
+                    '</button> ' +
                     '</div> ' +
                     '</div>',
                 host: {
@@ -83,6 +211,10 @@ ToastCmp.ctorParameters = [
     { type: ElementRef, },
     { type: NavParams, },
     { type: Renderer, },
+    { type: GestureController, },
+    { type: DomController, },
 ];
 let toastIds = -1;
+const MOUSE_WAIT = 2500;
+const SWIPE_DISMISS_RATIO = 0.35;
 //# sourceMappingURL=toast-component.js.map
\ No newline at end of file
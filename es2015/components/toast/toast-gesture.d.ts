@@ -0,0 +1,15 @@
+import { GestureController } from '../../gestures/gesture-controller';
+import { PanGesture } from '../../gestures/drag-gesture';
+import { DomController } from '../../util/dom-controller';
+import { ToastCmp } from './toast-component';
+/**
+ * @private
+ */
+export declare class ToastGesture extends PanGesture {
+    toast: ToastCmp;
+    constructor(toast: ToastCmp, element: HTMLElement, gestureCtrl: GestureController, domCtrl: DomController);
+    canStart(ev: any): boolean;
+    onDragStart(ev: any): void;
+    onDragMove(ev: any): void;
+    onDragEnd(ev: any): void;
+}
@@ -0,0 +1,35 @@
+import { GESTURE_TOAST_SWIPE } from '../../gestures/gesture-controller';
+import { PanGesture } from '../../gestures/drag-gesture';
+import { pointerCoord } from '../../util/dom';
+/**
+ * @private
+ */
+export class ToastGesture extends PanGesture {
+    constructor(toast, element, gestureCtrl, domCtrl) {
+        super(element, {
+            direction: 'x',
+            domController: domCtrl,
+            gesture: gestureCtrl.createGesture({
+                name: GESTURE_TOAST_SWIPE,
+                priority: 30 /* ToastSwipe */,
+            })
+        });
+        this.toast = toast;
+    }
+    canStart(ev) {
+        return this.toast.enabled;
+    }
+    onDragStart(ev) {
+        ev.preventDefault();
+        this.toast._onDragStart(pointerCoord(ev).x);
+    }
+    onDragMove(ev) {
+        ev.preventDefault();
+        this.toast._onDragMove(pointerCoord(ev).x);
+    }
+    onDragEnd(ev) {
+        ev.preventDefault();
+        this.toast._onDragEnd(pointerCoord(ev).x);
+    }
+}
+//# sourceMappingURL=toast-gesture.js.map
\ No newline at end of file
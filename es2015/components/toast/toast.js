@@ -1,5 +1,6 @@
 import { Injectable } from '@angular/core';
 import { App } from '../app/app';
+import { Config } from '../../config/config';
 import { isPresent } from '../../util/util';
 import { ToastCmp } from './toast-component';
 import { ViewController } from '../../navigation/view-controller';
@@ -7,10 +8,11 @@ import { ViewController } from '../../navigation/view-controller';
  * @private
  */
 export class Toast extends ViewController {
-    constructor(app, opts = {}) {
+    constructor(app, opts = {}, _ctrl) {
         opts.dismissOnPageChange = isPresent(opts.dismissOnPageChange) ? !!opts.dismissOnPageChange : false;
         super(ToastCmp, opts, null);
         this._app = app;
+        this._ctrl = _ctrl;
         // set the position to the bottom if not provided
         if (!opts.position || !this.isValidPosition(opts.position)) {
             opts.position = TOAST_POSITION_BOTTOM;
@@ -44,12 +46,41 @@ export class Toast extends ViewController {
      */
     present(navOptions = {}) {
         navOptions.disableApp = false;
+        if (this._ctrl) {
+            // the controller presents it once there's room at its position
+            return this._ctrl._enqueue(this, navOptions);
+        }
+        return this._present(navOptions);
+    }
+    /**
+     * @private
+     */
+    _present(navOptions) {
         return this._app.present(this, navOptions, 3 /* TOAST */);
     }
     /**
-     * Dismiss all toast components which have been presented.
+     * Dismiss the toast. If it is still waiting in the queue to be
+     * presented, it is removed from the queue instead.
+     *
+     * @param {any} [data] Data that you want to return when the toast is dismissed.
+     * @param {any} [role ]
+     * @param {NavOptions} NavOptions Options for the dismiss navigation.
+     * @returns {any} data Returns the data passed in, if any.
+     */
+    dismiss(data, role, navOptions) {
+        if (this._ctrl && this._ctrl._dequeue(this)) {
+            this._onDidDismiss && this._onDidDismiss(data, role);
+            this._onDidDismiss = null;
+            return Promise.resolve(data);
+        }
+        return super.dismiss(data, role, navOptions);
+    }
+    /**
+     * Dismiss all toast components which have been presented,
+     * and remove any which are waiting in the queue.
      */
     dismissAll() {
+        this._ctrl && this._ctrl._clear();
         this._nav && this._nav.popAll();
     }
 }
@@ -83,6 +114,26 @@ export class Toast extends ViewController {
  * method on the Toast instance. The `onDidDismiss` function can be called to perform an action after the toast
  * is dismissed.
  *
+ * ### Queueing and Stacking
+ * Toasts created by the `ToastController` are queued, so only one toast at a time
+ * is shown at each position. Once it has been dismissed, the next toast in the queue
+ * for that position is presented. To show several toasts at once, set the `toastStack`
+ * config to `true`. Stacked toasts at the same position are moved out of each other's way,
+ * with the newest toast nearest the edge of the screen. The `toastMaxStack` config sets
+ * how many toasts are shown at each position before the rest wait in the queue.
+ *
+ * ### Buttons
+ * Along with the close button, toasts can have action buttons. Each button in the
+ * `buttons` option has a `text`, and optionally a `role`, a `cssClass` and a `handler`.
+ * Clicking a button calls its handler and dismisses the toast with the button's role,
+ * unless the handler returns `false`.
+ *
+ * ### Pausing and Swiping
+ * While a toast is hovered or touched, its `duration` timer is paused, so it isn't
+ * dismissed while the user is reading it or reaching for a button. Set `pauseOnHover`
+ * to `false` to keep the timer running. Setting `swipeToDismiss` to `true` lets the user
+ * swipe the toast to either side to dismiss it.
+ *
  * @usage
  * ```ts
  * constructor(private toastCtrl: ToastController) {
@@ -103,6 +154,23 @@ export class Toast extends ViewController {
  *   toast.present();
  * }
  * ```
+ *
+ * ```ts
+ * presentUndoToast() {
+ *   let toast = this.toastCtrl.create({
+ *     message: 'Message archived',
+ *     duration: 5000,
+ *     swipeToDismiss: true,
+ *     buttons: [{
+ *       text: 'Undo',
+ *       handler: () => {
+ *         this.unarchive();
+ *       }
+ *     }]
+ *   });
+ *   toast.present();
+ * }
+ * ```
  * @advanced
  * | Property              | Type      | Default         | Description                                                                                                   |
  * |-----------------------|-----------|-----------------|---------------------------------------------------------------------------------------------------------------|
@@ -113,19 +181,131 @@ export class Toast extends ViewController {
  * | showCloseButton       | `boolean` | false           | Whether or not to show a button to close the toast.                                                           |
  * | closeButtonText       | `string`  | "Close"         | Text to display in the close button.                                                                          |
  * | dismissOnPageChange   | `boolean` | false           | Whether to dismiss the toast when navigating to a new page.                                                   |
+ * | buttons               | `array`   | -               | Action buttons for the toast. Each button has a `text`, `role`, `cssClass` and `handler`.                     |
+ * | pauseOnHover          | `boolean` | true            | Whether to pause the `duration` timer while the toast is hovered or touched.                                  |
+ * | swipeToDismiss        | `boolean` | false           | Whether the toast can be swiped to either side to dismiss it.                                                 |
  *
  * @demo /docs/v2/demos/src/toast/
  */
 export class ToastController {
-    constructor(_app) {
+    constructor(_app, _config) {
         this._app = _app;
+        this._config = _config;
+        this._queue = [];
+        this._visible = [];
     }
     /**
      * Create a new toast component. See options below
      * @param {ToastOptions} opts Toast options. See the below table for available options.
      */
     create(opts = {}) {
-        return new Toast(this._app, opts);
+        return new Toast(this._app, opts, this);
+    }
+    /**
+     * @private
+     */
+    _enqueue(toast, navOptions) {
+        return new Promise((resolve, reject) => {
+            this._queue.push({ toast: toast, navOptions: navOptions, resolve: resolve, reject: reject });
+            this._next();
+        });
+    }
+    /**
+     * @private
+     * Returns `true` if the toast was waiting in the queue.
+     */
+    _dequeue(toast) {
+        for (let i = 0; i < this._queue.length; i++) {
+            if (this._queue[i].toast === toast) {
+                this._queue.splice(i, 1)[0].resolve(false);
+                return true;
+            }
+        }
+        return false;
+    }
+    /**
+     * @private
+     */
+    _clear() {
+        this._queue.slice().forEach(entry => {
+            entry.toast.dismiss();
+        });
+    }
+    /**
+     * @private
+     * Presents the queued toasts while there's room for them. Each position
+     * has its own stack, so a toast at the top doesn't wait for one at the bottom.
+     */
+    _next() {
+        const max = this._getMax();
+        for (let i = 0; i < this._queue.length; i++) {
+            const position = this._queue[i].toast.data.position;
+            if (this._getVisible(position).length < max) {
+                this._show(this._queue.splice(i--, 1)[0]);
+            }
+        }
+    }
+    /**
+     * @private
+     */
+    _show(entry) {
+        const toast = entry.toast;
+        this._visible.push(toast);
+        toast.willUnload.subscribe(() => {
+            this._hide(toast);
+        });
+        toast._present(entry.navOptions).then(val => {
+            this._restack(toast.data.position);
+            entry.resolve(val);
+        }, err => {
+            this._hide(toast);
+            entry.reject(err);
+        });
+    }
+    /**
+     * @private
+     */
+    _hide(toast) {
+        const index = this._visible.indexOf(toast);
+        if (index > -1) {
+            this._visible.splice(index, 1);
+            this._restack(toast.data.position);
+            this._next();
+        }
+    }
+    /**
+     * @private
+     * The newest toast is nearest the edge of the screen,
+     * and the older toasts are moved out of its way.
+     */
+    _restack(position) {
+        if (!this._config.getBoolean('toastStack')) {
+            return;
+        }
+        const visible = this._getVisible(position);
+        let offset = 0;
+        for (let i = visible.length - 1; i >= 0; i--) {
+            const cmp = visible[i].instance;
+            if (cmp) {
+                cmp._setStackOffset(offset);
+                offset += cmp._getStackHeight();
+            }
+        }
+    }
+    /**
+     * @private
+     */
+    _getVisible(position) {
+        return this._visible.filter(toast => toast.data.position === position);
+    }
+    /**
+     * @private
+     */
+    _getMax() {
+        if (!this._config.getBoolean('toastStack')) {
+            return 1;
+        }
+        return Math.max(1, this._config.getNumber('toastMaxStack', 3));
     }
 }
 ToastController.decorators = [
@@ -134,6 +314,7 @@ ToastController.decorators = [
 /** @nocollapse */
 ToastController.ctorParameters = [
     { type: App, },
+    { type: Config, },
 ];
 const TOAST_POSITION_TOP = 'top';
 const TOAST_POSITION_MIDDLE = 'middle';
@@ -1,9 +1,10 @@
 import { ChangeDetectorRef, ContentChild, Directive, ElementRef, Input, IterableDiffers, NgZone, Optional, Renderer } from '@angular/core';
-import { adjustRendered, calcDimensions, estimateHeight, initReadNodes, processRecords, populateNodeData, updateDimensions, updateNodeContext, writeToNodes } from './virtual-util';
+import { adjustRendered, calcDimensions, estimateHeight, getElement, initReadNodes, processRecords, populateNodeData, resizeCells, updateDimensions, updateNodeContext, writeToNodes } from './virtual-util';
 import { Config } from '../../config/config';
 import { Content } from '../content/content';
 import { DomController } from '../../util/dom-controller';
 import { isBlank, isFunction, isPresent } from '../../util/util';
+import { listenEvent } from '../../util/ui-event-manager';
 import { Platform } from '../../platform/platform';
 import { ViewController } from '../../navigation/view-controller';
 import { VirtualFooter, VirtualHeader, VirtualItem } from './virtual-item';
@@ -96,6 +97,25 @@ import { VirtualFooter, VirtualHeader, VirtualItem } from './virtual-item';
  * slightly different heights between platforms, which is perfectly fine.
  *
  *
+ * ### Variable Height Items
+ *
+ * Items don't all need to be the same height. Each cell is measured once
+ * it has rendered, and cells which change size afterwards, such as a card
+ * which expands or an image which loads late, are measured again using a
+ * `ResizeObserver`. Only the cells after a resized cell are moved, and when
+ * cells above the viewable area change size the scroll position follows,
+ * so the viewable cells don't jump. Where `ResizeObserver` isn't available,
+ * cells are only measured again when an image within them has loaded.
+ *
+ *
+ * ### Adding Records Above
+ *
+ * When records are added or removed above the first viewable record, such
+ * as older messages being loaded above a chat, the virtual scroll scrolls
+ * so that record stays where it was. This works well with an
+ * `ion-infinite-scroll` which has its `position` set to `top`.
+ *
+ *
  * ### Images Within Virtual Scroll
  *
  * HTTP requests, image decoding, and image rendering can cause jank while
@@ -222,6 +242,7 @@ export class VirtualScroll {
         this._nodes = [];
         this._vHeight = 0;
         this._lastCheck = 0;
+        this._resizeEles = [];
         this._data = {
             scrollTop: 0,
         };
@@ -291,6 +312,7 @@ export class VirtualScroll {
         // see jank as it loads up, but we're still able to read
         // dimensions because it's still rendered and only opacity hidden
         this._renderer.setElementClass(_elementRef.nativeElement, 'virtual-loading', true);
+        _content.addVirtualScroll(this);
         // wait for the content to be rendered and has readable dimensions
         _content.readReady.subscribe(() => {
             this._init = true;
@@ -351,8 +373,9 @@ export class VirtualScroll {
         if (this._init && this._hasChanges()) {
             // only continue if we've already initialized
             // and if there actually are changes
+            const anchor = this._getAnchor(this._changes);
             this.readUpdate();
-            this.writeUpdate();
+            this.writeUpdate(anchor);
         }
     }
     readUpdate() {
@@ -361,17 +384,115 @@ export class VirtualScroll {
         this._cells.length = 0;
         this._nodes.length = 0;
         this._itmTmp.viewContainer.clear();
+        this._resizeObs && this._resizeObs.disconnect();
+        this._resizeEles.length = 0;
         // ******** DOM READ ****************
         calcDimensions(this._data, this._elementRef.nativeElement, this.approxItemWidth, this.approxItemHeight, this.approxHeaderWidth, this.approxHeaderHeight, this.approxFooterWidth, this.approxFooterHeight, this.bufferRatio);
     }
-    writeUpdate() {
+    writeUpdate(anchor) {
         (void 0) /* console.debug */;
-        processRecords(this._data.renderHeight, this._records, this._cells, this._hdrFn, this._ftrFn, this._data);
+        const data = this._data;
+        const cells = this._cells;
+        let stopAtHeight = data.renderHeight;
+        processRecords(stopAtHeight, this._records, cells, this._hdrFn, this._ftrFn, data);
         // ******** DOM WRITE ****************
         this.renderVirtual();
+        if (anchor) {
+            // the anchor's record could be further down than what fills the
+            // render height, so keep processing records until it's reached
+            while (cells.length && cells[cells.length - 1].record < anchor.record && !cells[cells.length - 1].isLast) {
+                stopAtHeight += data.renderHeight;
+                processRecords(stopAtHeight, this._records, cells, this._hdrFn, this._ftrFn, data);
+            }
+            this._scrollToAnchor(anchor);
+        }
     }
     _hasChanges() {
-        return (isPresent(this._records) && isPresent(this._differ) && isPresent(this._differ.diff(this._records)));
+        this._changes = (isPresent(this._records) && isPresent(this._differ)) ? this._differ.diff(this._records) : null;
+        return isPresent(this._changes);
+    }
+    /**
+     * @private
+     * NO DOM
+     * Returns where the record of the first viewable cell is now, and how
+     * far its cell is from the scroll top, when records have been added or
+     * removed above it. Otherwise returns `null`.
+     */
+    _getAnchor(changes) {
+        const cells = this._cells;
+        const scrollTop = this._data.scrollTop;
+        let oldIndex = -1;
+        let newIndex = -1;
+        let offset = 0;
+        for (let i = 0; i < cells.length; i++) {
+            if (cells[i].top + cells[i].height > scrollTop) {
+                oldIndex = cells[i].record;
+                offset = cells[i].top - scrollTop;
+                break;
+            }
+        }
+        if (oldIndex < 0) {
+            return null;
+        }
+        changes.forEachItem(record => {
+            if (record.previousIndex === oldIndex) {
+                newIndex = record.currentIndex;
+            }
+        });
+        if (newIndex < 0 || newIndex === oldIndex) {
+            // the record was removed, or nothing changed above it
+            return null;
+        }
+        return { record: newIndex, offset: offset };
+    }
+    /**
+     * @private
+     * DOM WRITE
+     * Scrolls so the anchor's record is where it was before the records
+     * changed, then renders the cells which are viewable from there.
+     */
+    _scrollToAnchor(anchor) {
+        const nodes = this._nodes;
+        const cells = this._cells;
+        const data = this._data;
+        this._dom.write(() => {
+            let cell;
+            for (let i = 0; i < cells.length; i++) {
+                if (cells[i].record === anchor.record) {
+                    cell = cells[i];
+                    break;
+                }
+            }
+            if (!cell) {
+                return;
+            }
+            const scrollTop = Math.max(cell.top - anchor.offset, 0);
+            // ******** DOM WRITE ****************
+            this._setHeight(estimateHeight(this._records.length, cells[cells.length - 1], this._vHeight, 0));
+            this._content.scrollTop = data.scrollTop = scrollTop;
+            this._dom.read(() => {
+                // ******** DOM READ ****************
+                updateDimensions(nodes, cells, data, false);
+                data.scrollDiff = (scrollTop - this._lastCheck);
+                this._lastCheck = scrollTop;
+                adjustRendered(cells, data);
+                populateNodeData(data.topCell, data.bottomCell, data.viewWidth, data.scrollDiff > 0, cells, this._records, nodes, this._itmTmp.viewContainer, this._itmTmp.templateRef, this._hdrTmp && this._hdrTmp.templateRef, this._ftrTmp && this._ftrTmp.templateRef, false);
+                this._dom.write(() => {
+                    // update the bound context for each node
+                    updateNodeContext(nodes, cells, data);
+                    // ******** DOM WRITE ****************
+                    for (let i = 0; i < nodes.length; i++) {
+                        if (nodes[i].hasChanges) {
+                            nodes[i].view.detectChanges();
+                        }
+                    }
+                    // ******** DOM WRITE ****************
+                    writeToNodes(nodes, cells, this._records.length);
+                    this._observeNodes();
+                    this._queue = SCROLL_QUEUE_NO_CHANGES;
+                });
+            });
+        });
     }
     /**
      * @private
@@ -420,6 +541,7 @@ export class VirtualScroll {
             writeToNodes(nodes, cells, recordsLength);
             // ******** DOM WRITE ****************
             this._setHeight(estimateHeight(recordsLength, cells[cells.length - 1], this._vHeight, 0.25));
+            this._observeNodes();
             this._content.imgsUpdate();
         });
     }
@@ -442,6 +564,7 @@ export class VirtualScroll {
                 writeToNodes(nodes, cells, recordsLength);
                 // ******** DOM WRITE ****************
                 this._setHeight(estimateHeight(recordsLength, cells[cells.length - 1], this._vHeight, 0.25));
+                this._observeNodes();
                 // we're done here, good work
                 this._queue = SCROLL_QUEUE_NO_CHANGES;
             });
@@ -510,6 +633,7 @@ export class VirtualScroll {
             writeToNodes(nodes, cells, recordsLength);
             // ******** DOM WRITE ****************
             this._setHeight(estimateHeight(recordsLength, cells[cells.length - 1], this._vHeight, 0.05));
+            this._observeNodes();
             this._queue = SCROLL_QUEUE_NO_CHANGES;
         });
     }
@@ -531,8 +655,73 @@ export class VirtualScroll {
             this._scrollEndSub = this._content.ionScrollEnd.subscribe((ev) => {
                 this.scrollEnd(ev);
             });
+            if (typeof ResizeObserver !== 'undefined') {
+                this._resizeObs = new ResizeObserver(entries => {
+                    const targets = entries.map(entry => entry.target);
+                    this._cellsResized(ele => targets.indexOf(ele) > -1);
+                });
+            }
+            else {
+                // without ResizeObserver, the most common resize is an
+                // image which loads after its cell has been rendered
+                this._unregLoad = listenEvent(this._elementRef.nativeElement, 'load', false, true, ev => {
+                    this._cellsResized(ele => ele.contains(ev.target));
+                });
+            }
         }
     }
+    /**
+     * DOM WRITE
+     */
+    _observeNodes() {
+        let ele;
+        if (!this._resizeObs) {
+            return;
+        }
+        for (let i = 0; i < this._nodes.length; i++) {
+            ele = getElement(this._nodes[i]);
+            // nodes are reused, so each element only needs to be observed once
+            if (ele && this._resizeEles.indexOf(ele) < 0) {
+                this._resizeEles.push(ele);
+                this._resizeObs.observe(ele);
+            }
+        }
+    }
+    /**
+     * @private
+     * Re-reads the cells which changed size, such as an expanding card or
+     * an image which loaded late, and moves the cells after them. The scroll
+     * position follows the first viewable cell, so the cells within view
+     * stay where they are when cells above them change size.
+     */
+    _cellsResized(isResized) {
+        const nodes = this._nodes;
+        const cells = this._cells;
+        const data = this._data;
+        let anchorDiff = null;
+        this._dom.read(() => {
+            // ******** DOM READ ****************
+            anchorDiff = resizeCells(nodes, cells, data, isResized);
+        });
+        this._dom.write(() => {
+            if (anchorDiff === null) {
+                return;
+            }
+            const recordsLength = this._records.length;
+            // update the bound context for each node
+            updateNodeContext(nodes, cells, data);
+            // ******** DOM WRITE ****************
+            writeToNodes(nodes, cells, recordsLength);
+            // ******** DOM WRITE ****************
+            this._setHeight(estimateHeight(recordsLength, cells[cells.length - 1], this._vHeight, 0.05));
+            if (anchorDiff !== 0) {
+                // ******** DOM WRITE ****************
+                data.scrollTop += anchorDiff;
+                this._lastCheck += anchorDiff;
+                this._content.scrollTop = data.scrollTop;
+            }
+        });
+    }
     /**
      * DOM WRITE
      */
@@ -562,6 +751,9 @@ export class VirtualScroll {
     ngOnDestroy() {
         this._scrollSub && this._scrollSub.unsubscribe();
         this._scrollEndSub && this._scrollEndSub.unsubscribe();
+        this._resizeObs && this._resizeObs.disconnect();
+        this._unregLoad && this._unregLoad();
+        this._content.removeVirtualScroll(this);
     }
 }
 VirtualScroll.decorators = [
@@ -295,6 +295,79 @@ export function updateNodeContext(nodes, cells, data) {
         }
     }
 }
+/**
+ * DOM READ
+ * Re-reads the dimensions of the rendered cells which `isResized`, and moves
+ * the cells after the first one which changed size. Returns how far the first
+ * cell within view has moved, which the scroll position should follow so the
+ * viewable cells don't jump, or `null` when none of the cells changed size.
+ */
+export function resizeCells(nodes, cells, data, isResized) {
+    const anchorIndex = getAnchorCell(cells, data.scrollTop);
+    const anchorTop = anchorIndex > -1 ? cells[anchorIndex].top : 0;
+    let firstResized = -1;
+    let node;
+    let element;
+    let cell;
+    let width;
+    let height;
+    for (let i = 0; i < nodes.length; i++) {
+        node = nodes[i];
+        cell = cells[node.cell];
+        element = cell && getElement(node);
+        if (!element || !isResized(element)) {
+            continue;
+        }
+        width = cell.width;
+        height = cell.height;
+        // ******** DOM READ ****************
+        readElements(cell, element);
+        cell.reads = REQUIRED_DOM_READS;
+        if ((cell.width !== width || cell.height !== height) && (firstResized < 0 || node.cell < firstResized)) {
+            firstResized = node.cell;
+        }
+    }
+    if (firstResized < 0) {
+        return null;
+    }
+    // only the cells after the first resized cell could have moved
+    layoutCells(cells, firstResized + 1, data.viewWidth);
+    return anchorIndex > -1 ? (cells[anchorIndex].top - anchorTop) : 0;
+}
+/**
+ * NO DOM
+ */
+function getAnchorCell(cells, scrollTop) {
+    for (let i = 0; i < cells.length; i++) {
+        if (cells[i].top + cells[i].height > scrollTop) {
+            return i;
+        }
+    }
+    return -1;
+}
+/**
+ * NO DOM
+ */
+function layoutCells(cells, startCellIndex, viewportWidth) {
+    let cell;
+    let previousCell;
+    for (let i = Math.max(startCellIndex, 1); i < cells.length; i++) {
+        cell = cells[i];
+        previousCell = cells[i - 1];
+        if (previousCell.left + previousCell.width + cell.width > viewportWidth) {
+            // new row
+            cell.row = (previousCell.row + 1);
+            cell.top = (previousCell.top + previousCell.height);
+            cell.left = 0;
+        }
+        else {
+            // same row
+            cell.row = previousCell.row;
+            cell.top = previousCell.top;
+            cell.left = (previousCell.left + previousCell.width);
+        }
+    }
+}
 /**
  * DOM READ
  */
@@ -465,7 +538,7 @@ function calcHeight(viewportHeight, approxHeight) {
 /**
  * NO DOM
  */
-function getElement(node) {
+export function getElement(node) {
     const rootNodes = node.view.rootNodes;
     for (var i = 0; i < rootNodes.length; i++) {
         if (rootNodes[i].nodeType === 1) {
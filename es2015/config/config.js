@@ -93,8 +93,12 @@ import { isObject, isDefined, isFunction, isArray } from '../util/util';
  * | `backButtonText`         | `string`            | The text to display by the back button icon in the navbar.                                                                                       |
  * | `backButtonIcon`         | `string`            | The icon to use as the back button icon.                                                                                                         |
  * | `iconMode`               | `string`            | The mode to use for all icons throughout the application. Available options: `"ios"`, `"md"`                                                     |
+ * | `imgCacheMaxAge`         | `number`            | How long in milliseconds a persisted `ion-img` image is used before it's downloaded again. Defaults to 7 days.                                   |
+ * | `imgCacheMaxSize`        | `number`            | The most bytes of `ion-img` images to persist before the oldest are removed. Defaults to 50MB.                                                   |
+ * | `imgPersist`             | `boolean`           | Whether `ion-img` images are kept between app launches so they can be shown offline.                                                             |
  * | `loadingEnter`           | `string`            | The name of the transition to use while a loading indicator is presented.                                                                        |
  * | `loadingLeave`           | `string`            | The name of the transition to use while a loading indicator is dismissed.                                                                        |
+ * | `locationStrategy`       | `string`            | Set to `"path"` to use HTML5 pushState URLs instead of hash URLs. Available options: `"hash"`, `"path"`.                                         |
  * | `menuType`               | `string`            | Type of menu to display. Available options: `"overlay"`, `"reveal"`, `"push"`.                                                                   |
  * | `modalEnter`             | `string`            | The name of the transition to use while a modal is presented.                                                                                    |
  * | `modalLeave`             | `string`            | The name of the transition to use while a modal is dismiss.                                                                                      |
@@ -104,14 +108,23 @@ import { isObject, isDefined, isFunction, isArray } from '../util/util';
  * | `pickerLeave`            | `string`            | The name of the transition to use while a picker is dismissed.                                                                                   |
  * | `popoverEnter`           | `string`            | The name of the transition to use while a popover is presented.                                                                                  |
  * | `popoverLeave`           | `string`            | The name of the transition to use while a popover is dismissed.                                                                                  |
+ * | `preloadModules`         | `boolean`           | Whether to load the modules of lazy loaded pages in the background after the app has started.                                                    |
  * | `spinner`                | `string`            | The default spinner to use when a name is not defined.                                                                                           |
  * | `swipeBackEnabled`       | `boolean`           | Whether native iOS swipe to go back functionality is enabled.                                                                                    |
+ * | `tabsBack`               | `string`            | What the back button does at the root page of a tab. Available options: `"tab"`, `"history"`, `"initial"`.                                       |
  * | `tabsHighlight`          | `boolean`           | Whether to show a highlight line under the tab when it is selected.                                                                              |
  * | `tabsLayout`             | `string`            | The layout to use for all tabs. Available options: `"icon-top"`, `"icon-left"`, `"icon-right"`, `"icon-bottom"`, `"icon-hide"`, `"title-hide"`.  |
+ * | `tabsMax`                | `number`            | The most tab buttons in the tabbar before the rest are moved into a More tab. `0` shows every tab in the tabbar.                                 |
+ * | `tabsMoreIcon`           | `string`            | The icon of the More tab.                                                                                                                        |
+ * | `tabsMoreTitle`          | `string`            | The title of the More tab.                                                                                                                       |
  * | `tabsPlacement`          | `string`            | The position of the tabs relative to the content. Available options: `"top"`, `"bottom"`                                                         |
+ * | `tabsSwipe`              | `boolean`           | Whether the tabs can be switched by swiping the selected tab's root page to the side.                                                            |
  * | `tabsHideOnSubPages`     | `boolean`           | Whether to hide the tabs on child pages or not. If `true` it will not show the tabs on child pages.                                              |
  * | `toastEnter`             | `string`            | The name of the transition to use while a toast is presented.                                                                                    |
  * | `toastLeave`             | `string`            | The name of the transition to use while a toast is dismissed.                                                                                    |
+ * | `toastMaxStack`          | `number`            | The most toasts to show at each position when `toastStack` is enabled. Defaults to `3`.                                                          |
+ * | `toastStack`             | `boolean`           | Whether to stack toasts at the same position, rather than waiting for the last toast to be dismissed.                                            |
+ * | `webAnimations`          | `boolean`           | Whether page transitions and swipe to go back use the Web Animations API, when supported, instead of CSS transitions.                            |
  *
 **/
 export class Config {
@@ -21,6 +21,7 @@ import { ItemSliding, ItemOptions } from './components/item/item-sliding';
 import { Label } from './components/label/label';
 import { List } from './components/list/list';
 import { ListHeader } from './components/list/list-header';
+import { MasterDetail } from './components/master-detail/master-detail';
 import { Menu } from './components/menu/menu';
 import { MenuClose } from './components/menu/menu-close';
 import { MenuToggle } from './components/menu/menu-toggle';
@@ -45,6 +46,7 @@ import { Select } from './components/select/select';
 import { ShowWhen, HideWhen } from './components/show-hide-when/show-hide-when';
 import { Slides, Slide, SlideLazy } from './components/slides/slides';
 import { Spinner } from './components/spinner/spinner';
+import { SplitPane } from './components/split-pane/split-pane';
 import { Tab } from './components/tabs/tab';
 import { Tabs } from './components/tabs/tabs';
 import { TabButton } from './components/tabs/tab-button';
@@ -93,6 +95,7 @@ export { Label } from './components/label/label';
 export { List } from './components/list/list';
 export { ListHeader } from './components/list/list-header';
 export { Loading, LoadingController } from './components/loading/loading';
+export { MasterDetail } from './components/master-detail/master-detail';
 export { Menu } from './components/menu/menu';
 export { MenuClose } from './components/menu/menu-close';
 export { MenuController } from './components/menu/menu-controller';
@@ -121,6 +124,7 @@ export { Select } from './components/select/select';
 export { ShowWhen, HideWhen, DisplayWhen } from './components/show-hide-when/show-hide-when';
 export { Slides, Slide, SlideLazy } from './components/slides/slides';
 export { Spinner } from './components/spinner/spinner';
+export { SplitPane } from './components/split-pane/split-pane';
 export { Tab } from './components/tabs/tab';
 export { Tabs } from './components/tabs/tabs';
 export { TabButton } from './components/tabs/tab-button';
@@ -141,6 +145,9 @@ export { ModalCmp } from './components/modal/modal-component';
 export { PickerCmp, PickerColumnCmp } from './components/picker/picker-component';
 export { PopoverCmp } from './components/popover/popover-component';
 export { ToastCmp } from './components/toast/toast-component';
+export { SelectModalCmp } from './components/select/select-modal-component';
+export { SelectPopoverCmp } from './components/select/select-popover-component';
+export { TabsMoreCmp } from './components/tabs/tabs-more-component';
 /**
  * @private
  * @name IONIC_DIRECTIVES
@@ -186,6 +193,7 @@ export const IONIC_DIRECTIVES = [
     Label,
     List,
     ListHeader,
+    MasterDetail,
     Menu,
     MenuClose,
     MenuToggle,
@@ -219,6 +227,7 @@ export const IONIC_DIRECTIVES = [
     Slides,
     SlideLazy,
     Spinner,
+    SplitPane,
     Tab,
     Tabs,
     TabButton,
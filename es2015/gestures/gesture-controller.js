@@ -10,6 +10,16 @@ export const GESTURE_ITEM_SWIPE = 'item-swipe';
 export const GESTURE_REFRESHER = 'refresher';
 /** @private */
 export const GESTURE_TOGGLE = 'toggle';
+/** @private */
+export const GESTURE_TRANSFORM = 'transform';
+/** @private */
+export const GESTURE_PRESS = 'press';
+/** @private */
+export const GESTURE_DOUBLE_TAP = 'double-tap';
+/** @private */
+export const GESTURE_TOAST_SWIPE = 'toast-swipe';
+/** @private */
+export const GESTURE_TABS_SWIPE = 'tabs-swipe';
 /**
 * @private
 */
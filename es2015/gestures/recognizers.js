@@ -48,4 +48,115 @@ export class PanRecognizer {
         return this._isPan;
     }
 }
+export class PinchRecognizer {
+    constructor(threshold) {
+        this.dirty = false;
+        this._distance = 0;
+        this._scale = 1;
+        this.threshold = threshold;
+    }
+    start(coordA, coordB) {
+        this.startDistance = getDistance(coordA, coordB);
+        this._distance = this.startDistance;
+        this._scale = 1;
+        this.dirty = true;
+    }
+    detect(coordA, coordB) {
+        this._distance = getDistance(coordA, coordB);
+        this._scale = (this.startDistance > 0 ? this._distance / this.startDistance : 1);
+        if (this.dirty && Math.abs(this._distance - this.startDistance) >= this.threshold) {
+            this.dirty = false;
+            return true;
+        }
+        return false;
+    }
+    scale() {
+        return this._scale;
+    }
+}
+export class RotateRecognizer {
+    constructor(threshold) {
+        this.dirty = false;
+        this._lastAngle = 0;
+        this._rotation = 0;
+        this.threshold = threshold;
+    }
+    start(coordA, coordB) {
+        this._lastAngle = getAngle(coordA, coordB);
+        this._rotation = 0;
+        this.dirty = true;
+    }
+    detect(coordA, coordB) {
+        const angle = getAngle(coordA, coordB);
+        // keep the change within -180 to 180 so the
+        // rotation doesn't jump when the angle wraps around
+        let delta = angle - this._lastAngle;
+        if (delta > 180) {
+            delta -= 360;
+        }
+        else if (delta < -180) {
+            delta += 360;
+        }
+        this._rotation += delta;
+        this._lastAngle = angle;
+        if (this.dirty && Math.abs(this._rotation) >= this.threshold) {
+            this.dirty = false;
+            return true;
+        }
+        return false;
+    }
+    rotation() {
+        return this._rotation;
+    }
+}
+export class TapRecognizer {
+    constructor(taps, interval, threshold) {
+        this.taps = taps;
+        this.interval = interval;
+        this._count = 0;
+        this._lastTapTime = 0;
+        this.threshold = threshold * threshold;
+    }
+    start(coord, timestamp) {
+        if (this._count > 0 && (timestamp - this._lastTapTime > this.interval || this._isFar(coord, this._lastTapCoord))) {
+            // too long, or too far, since the last tap
+            this._count = 0;
+        }
+        this.startCoord = coord;
+    }
+    detect(coord, timestamp) {
+        if (this._isFar(coord, this.startCoord)) {
+            // the pointer moved, so it wasn't a tap
+            this._count = 0;
+            return false;
+        }
+        this._count++;
+        this._lastTapTime = timestamp;
+        this._lastTapCoord = coord;
+        if (this._count >= this.taps) {
+            this._count = 0;
+            return true;
+        }
+        return false;
+    }
+    reset() {
+        this._count = 0;
+    }
+    _isFar(coordA, coordB) {
+        if (!coordA || !coordB) {
+            return true;
+        }
+        const deltaX = (coordA.x - coordB.x);
+        const deltaY = (coordA.y - coordB.y);
+        return (deltaX * deltaX + deltaY * deltaY) > this.threshold;
+    }
+}
+function getDistance(coordA, coordB) {
+    const deltaX = (coordB.x - coordA.x);
+    const deltaY = (coordB.y - coordA.y);
+    return Math.sqrt(deltaX * deltaX + deltaY * deltaY);
+}
+function getAngle(coordA, coordB) {
+    return Math.atan2(coordB.y - coordA.y, coordB.x - coordA.x) * (180 / Math.PI);
+}
 //# sourceMappingURL=recognizers.js.map
\ No newline at end of file
@@ -0,0 +1,190 @@
+import { defaults } from '../util/util';
+import { PinchRecognizer, RotateRecognizer } from './recognizers';
+import { UIEventManager } from '../util/ui-event-manager';
+/**
+ * A two finger gesture which recognizes pinching, rotating, or both.
+ *
+ * The gesture starts once two fingers are down and have pinched further than
+ * the `threshold` in pixels, or rotated further than the `rotateThreshold` in degrees.
+ * It uses the same `GestureDelegate` priority and capture as the other gestures,
+ * so once a transform has captured, pan gestures such as swipe to go back won't start.
+ *
+ * Subclasses implement `onTransformStart`, `onTransformMove` and `onTransformEnd`.
+ * Each is given the `scale` and `rotation` since the second finger went down,
+ * and the `center` between the two fingers.
+ */
+export class TransformGesture {
+    constructor(element, opts = {}) {
+        this.element = element;
+        this.events = new UIEventManager(false);
+        this.started = false;
+        this.captured = false;
+        this.isListening = false;
+        defaults(opts, {
+            pinch: true,
+            rotate: true,
+            threshold: 10,
+            rotateThreshold: 15,
+            zone: true,
+            capture: false,
+            passive: false,
+        });
+        if (opts.domController) {
+            this.debouncer = opts.domController.debouncer();
+        }
+        this.gestute = opts.gesture;
+        this.eventsConfig = {
+            element: this.element,
+            pointerDown: this.pointerDown.bind(this),
+            pointerMove: this.pointerMove.bind(this),
+            pointerUp: this.pointerUp.bind(this),
+            zone: opts.zone,
+            capture: opts.capture,
+            passive: opts.passive
+        };
+        if (opts.pinch) {
+            this.pinchDetector = new PinchRecognizer(opts.threshold);
+        }
+        if (opts.rotate) {
+            this.rotateDetector = new RotateRecognizer(opts.rotateThreshold);
+        }
+    }
+    listen() {
+        if (this.isListening) {
+            return;
+        }
+        this.pointerEvents = this.events.pointerEvents(this.eventsConfig);
+        this.isListening = true;
+    }
+    unlisten() {
+        if (!this.isListening) {
+            return;
+        }
+        this.gestute && this.gestute.release();
+        this.events.unlistenAll();
+        this.isListening = false;
+    }
+    destroy() {
+        this.gestute && this.gestute.destroy();
+        this.gestute = null;
+        this.unlisten();
+        this.element = null;
+    }
+    pointerDown(ev) {
+        if (this.started) {
+            return;
+        }
+        const touches = ev.touches;
+        if (!touches) {
+            // a mouse can't pinch or rotate
+            return false;
+        }
+        if (touches.length < 2) {
+            // keep listening to the first finger until the second one is down
+            return true;
+        }
+        if (!this.canStart(ev)) {
+            return false;
+        }
+        if (this.gestute) {
+            // Release fallback
+            this.gestute.release();
+            // Start gesture
+            if (!this.gestute.start()) {
+                return false;
+            }
+        }
+        this.started = true;
+        this.captured = false;
+        const coordA = touchCoord(touches[0]);
+        const coordB = touchCoord(touches[1]);
+        this.pinchDetector && this.pinchDetector.start(coordA, coordB);
+        this.rotateDetector && this.rotateDetector.start(coordA, coordB);
+        return true;
+    }
+    pointerMove(ev) {
+        if (!this.started) {
+            return;
+        }
+        const touches = ev.touches;
+        if (!touches || touches.length < 2) {
+            return;
+        }
+        const coordA = touchCoord(touches[0]);
+        const coordB = touchCoord(touches[1]);
+        // both detectors always need to see the move so their values stay up to date
+        const isPinch = !!this.pinchDetector && this.pinchDetector.detect(coordA, coordB);
+        const isRotate = !!this.rotateDetector && this.rotateDetector.detect(coordA, coordB);
+        const detail = this.getDetail(coordA, coordB);
+        if (this.captured) {
+            if (this.debouncer) {
+                this.debouncer.write(() => {
+                    this.onTransformMove(detail, ev);
+                });
+            }
+            else {
+                // without a DomController every move is handled right away
+                this.onTransformMove(detail, ev);
+            }
+            return;
+        }
+        if (isPinch || isRotate) {
+            if (!this.tryToCapture(detail, ev)) {
+                this.abort(ev);
+            }
+        }
+    }
+    pointerUp(ev) {
+        this.debouncer && this.debouncer.cancel();
+        this.gestute && this.gestute.release();
+        if (this.captured) {
+            this.onTransformEnd(this.getDetail(), ev);
+        }
+        else if (this.started) {
+            this.notCaptured(ev);
+        }
+        this.captured = false;
+        this.started = false;
+    }
+    tryToCapture(detail, ev) {
+        if (this.gestute && !this.gestute.capture()) {
+            return false;
+        }
+        this.onTransformStart(detail, ev);
+        this.captured = true;
+        return true;
+    }
+    abort(ev) {
+        this.started = false;
+        this.captured = false;
+        this.gestute && this.gestute.release();
+        this.pointerEvents.stop();
+        this.notCaptured(ev);
+    }
+    getDetail(coordA, coordB) {
+        if (coordA && coordB) {
+            this.center = {
+                x: (coordA.x + coordB.x) / 2,
+                y: (coordA.y + coordB.y) / 2
+            };
+        }
+        return {
+            scale: this.pinchDetector ? this.pinchDetector.scale() : 1,
+            rotation: this.rotateDetector ? this.rotateDetector.rotation() : 0,
+            center: this.center
+        };
+    }
+    getNativeElement() {
+        return this.element;
+    }
+    // Implemented in a subclass
+    canStart(ev) { return true; }
+    onTransformStart(detail, ev) { }
+    onTransformMove(detail, ev) { }
+    onTransformEnd(detail, ev) { }
+    notCaptured(ev) { }
+}
+function touchCoord(touch) {
+    return { x: touch.clientX, y: touch.clientY };
+}
+//# sourceMappingURL=transform-gesture.js.map
\ No newline at end of file
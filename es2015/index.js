@@ -4,6 +4,8 @@ export * from './gestures/drag-gesture';
 export * from './gestures/gesture';
 export * from './gestures/slide-edge-gesture';
 export * from './gestures/slide-gesture';
+export * from './gestures/tap-gesture';
+export * from './gestures/transform-gesture';
 export * from './gestures/gesture-controller';
 export * from './util/click-block';
 export * from './util/events';
@@ -15,5 +17,6 @@ export { reorderArray } from './util/util';
 export * from './animations/animation';
 export * from './transitions/page-transition';
 export * from './transitions/transition';
+export * from './transitions/transition-controller';
 export * from './navigation/nav-controller-base';
 //# sourceMappingURL=index.js.map
\ No newline at end of file
@@ -13,7 +13,8 @@ export { QueryParams, setupQueryParams, UrlToken } from './platform/query-params
 export { DeepLinker } from './navigation/deep-linker';
 export { NavController } from './navigation/nav-controller';
 export { NavParams } from './navigation/nav-params';
-export { NavLink, NavOptions, DeepLink, DeepLinkConfig, DeepLinkMetadata, DeepLinkMetadataType } from './navigation/nav-util';
+export { NavState, NavViewState } from './navigation/nav-state';
+export { NavLink, NavOptions, NavGuard, NavResolver, DeepLink, DeepLinkConfig, DeepLinkMetadata, DeepLinkMetadataType } from './navigation/nav-util';
 export { UrlSerializer, DeepLinkConfigToken } from './navigation/url-serializer';
 export { ViewController } from './navigation/view-controller';
 /**
@@ -59,6 +60,36 @@ export declare class IonicModule {
      */
     static forRoot(appRoot: any, config?: any, deepLinkConfig?: any): ModuleWithProviders;
 }
+/**
+ * @name IonicPageModule
+ * @description
+ * IonicPageModule is an NgModule for pages which are lazy loaded by the DeepLinker. The page passed
+ * to `forChild` is the component the DeepLinker navigates to once the module has been loaded.
+ *
+ * @usage
+ * ```ts
+ * import { NgModule } from '@angular/core';
+ * import { IonicPageModule } from 'ionic-angular';
+ * import { DetailPage } from './detail';
+ *
+ * @NgModule({
+ *   declarations: [
+ *     DetailPage
+ *   ],
+ *   imports: [
+ *     IonicPageModule.forChild(DetailPage)
+ *   ]
+ * })
+ * export class DetailPageModule {}
+ * ```
+ */
+export declare class IonicPageModule {
+    /**
+     * Set the page component this lazy loaded module provides
+     * @param {any} page The page component the DeepLinker should navigate to.
+     */
+    static forChild(page: any): ModuleWithProviders;
+}
 /**
  * @private
  */
@@ -1,4 +1,4 @@
-import { ANALYZE_FOR_ENTRY_COMPONENTS, APP_INITIALIZER, Inject, NgModule, NgZone, Optional } from '@angular/core';
+import { ANALYZE_FOR_ENTRY_COMPONENTS, APP_INITIALIZER, Inject, NgModule, NgModuleFactoryLoader, NgZone, Optional, SystemJsNgModuleLoader } from '@angular/core';
 import { APP_BASE_HREF, Location, LocationStrategy, HashLocationStrategy, PathLocationStrategy, PlatformLocation } from '@angular/common';
 import { BrowserModule, HAMMER_GESTURE_CONFIG } from '@angular/platform-browser';
 import { FormsModule, ReactiveFormsModule } from '@angular/forms';
@@ -21,6 +21,7 @@ import { Keyboard } from './util/keyboard';
 import { LoadingController } from './components/loading/loading';
 import { MenuController } from './components/menu/menu-controller';
 import { ModalController } from './components/modal/modal';
+import { LAZY_LOADED_TOKEN, ModuleLoader, setupPreloading } from './util/module-loader';
 import { PickerController } from './components/picker/picker';
 import { Platform, setupPlatform, UserAgentToken, NavigatorPlatformToken, DocumentDirToken, DocLangToken } from './platform/platform';
 import { PlatformConfigToken, providePlatformConfigs } from './platform/platform-registry';
@@ -40,6 +41,9 @@ import { LoadingCmp } from './components/loading/loading-component';
 import { ModalCmp } from './components/modal/modal-component';
 import { PickerCmp } from './components/picker/picker-component';
 import { PopoverCmp } from './components/popover/popover-component';
+import { SelectModalCmp } from './components/select/select-modal-component';
+import { SelectPopoverCmp } from './components/select/select-popover-component';
+import { TabsMoreCmp } from './components/tabs/tabs-more-component';
 import { ToastCmp } from './components/toast/toast-component';
 /**
  * Export Providers
@@ -121,8 +125,10 @@ export class IonicModule {
                 { provide: APP_INITIALIZER, useFactory: registerTransitions, deps: [Config], multi: true },
                 { provide: APP_INITIALIZER, useFactory: setupProvideEvents, deps: [Platform, DomController], multi: true },
                 { provide: APP_INITIALIZER, useFactory: setupTapClick, deps: [Config, App, NgZone, GestureController], multi: true },
+                { provide: APP_INITIALIZER, useFactory: setupPreloading, deps: [Config, DeepLinker, NgZone], multi: true },
                 // useClass
                 { provide: HAMMER_GESTURE_CONFIG, useClass: IonicGestureConfig },
+                { provide: NgModuleFactoryLoader, useClass: SystemJsNgModuleLoader },
                 // useValue
                 { provide: ANALYZE_FOR_ENTRY_COMPONENTS, useValue: appRoot, multi: true },
                 // ionic providers
@@ -140,6 +146,7 @@ export class IonicModule {
                 Location,
                 MenuController,
                 ModalController,
+                ModuleLoader,
                 PickerController,
                 PopoverController,
                 TapClick,
@@ -147,7 +154,7 @@ export class IonicModule {
                 TransitionController,
                 { provide: LocationStrategy, useFactory: provideLocationStrategy, deps: [PlatformLocation, [new Inject(APP_BASE_HREF), new Optional()], Config] },
                 { provide: UrlSerializer, useFactory: setupUrlSerializer, deps: [DeepLinkConfigToken] },
-                { provide: DeepLinker, useFactory: setupDeepLinker, deps: [App, UrlSerializer, Location] },
+                { provide: DeepLinker, useFactory: setupDeepLinker, deps: [App, UrlSerializer, Location, ModuleLoader, LocationStrategy] },
             ]
         };
     }
@@ -165,6 +172,9 @@ IonicModule.decorators = [
                     ModalCmp,
                     PickerCmp,
                     PopoverCmp,
+                    SelectModalCmp,
+                    SelectPopoverCmp,
+                    TabsMoreCmp,
                     ToastCmp
                 ],
                 entryComponents: [
@@ -175,12 +185,63 @@ IonicModule.decorators = [
                     ModalCmp,
                     PickerCmp,
                     PopoverCmp,
+                    SelectModalCmp,
+                    SelectPopoverCmp,
+                    TabsMoreCmp,
                     ToastCmp
                 ]
             },] },
 ];
 /** @nocollapse */
 IonicModule.ctorParameters = [];
+/**
+ * @name IonicPageModule
+ * @description
+ * IonicPageModule is an NgModule for pages which are lazy loaded by the DeepLinker. The page passed
+ * to `forChild` is the component the DeepLinker navigates to once the module has been loaded.
+ *
+ * @usage
+ * ```ts
+ * import { NgModule } from '@angular/core';
+ * import { IonicPageModule } from 'ionic-angular';
+ * import { DetailPage } from './detail';
+ *
+ * @NgModule({
+ *   declarations: [
+ *     DetailPage
+ *   ],
+ *   imports: [
+ *     IonicPageModule.forChild(DetailPage)
+ *   ]
+ * })
+ * export class DetailPageModule {}
+ * ```
+ */
+export class IonicPageModule {
+    constructor() {
+    }
+    /**
+     * Set the page component this lazy loaded module provides
+     * @param {any} page The page component the DeepLinker should navigate to.
+     */
+    static forChild(page) {
+        return {
+            ngModule: IonicPageModule,
+            providers: [
+                { provide: LAZY_LOADED_TOKEN, useValue: page },
+                { provide: ANALYZE_FOR_ENTRY_COMPONENTS, useValue: page, multi: true },
+            ]
+        };
+    }
+}
+IonicPageModule.decorators = [
+    { type: NgModule, args: [{
+                imports: [IonicModule],
+                exports: [IonicModule]
+            },] },
+];
+/** @nocollapse */
+IonicPageModule.ctorParameters = [];
 /**
  * @private
  */
@@ -1,9 +1,11 @@
-import { Location } from '@angular/common';
+import { NgModuleRef } from '@angular/core';
+import { Location, LocationStrategy } from '@angular/common';
 import { App } from '../components/app/app';
 import { NavSegment } from './nav-util';
 import { NavController } from './nav-controller';
 import { Tab } from '../components/tabs/tab';
 import { Tabs } from '../components/tabs/tabs';
+import { ModuleLoader } from '../util/module-loader';
 import { UrlSerializer } from './url-serializer';
 import { ViewController } from './view-controller';
 /**
@@ -85,6 +87,55 @@ import { ViewController } from './view-controller';
  *
  *
  *
+ * ### Query Params
+ *
+ * Data which shouldn't be part of the URL's path can go in the query string instead. The link's `queryParams`
+ * property lists the data keys which are written to, and read from, the query string:
+ *
+ * ```ts
+ *  links: [
+ *    { component: SearchPage, name: 'Search', segment: 'search', queryParams: ['q', 'sort'] }
+ *  ]
+ *  ```
+ *
+ * Pushing `SearchPage` with `{ q: 'ionic', sort: 'new' }` updates the URL to `/search?q=ionic&sort=new`. Query params
+ * the link doesn't list are ignored.
+ *
+ *
+ * ### Optional and Wildcard Segments
+ *
+ * A `:param` part ending with `?` is optional, so a link with the segment `detail/:userId?` matches both
+ * `/detail` and `/detail/4`.
+ *
+ * A `**` part matches the rest of the URL. The parts it matched are kept in the page's data under the `**`
+ * key, so `/files/a/b` gives a `files/**` link the data `{ '**': 'a/b' }`, which is written back into the
+ * URL when the page is navigated to. A link with a segment of just `**` is only used when no other
+ * link matched the URL, which makes it the place for a "page not found" page:
+ *
+ * ```ts
+ *  links: [
+ *    { component: HomePage, name: 'Home', segment: 'home' },
+ *    { component: NotFoundPage, name: 'NotFound', segment: '**' }
+ *  ]
+ *  ```
+ *
+ *
+ * ### Redirects
+ *
+ * A link with `redirectTo` sends the matched part of the URL to another segment. `:param` parts in the
+ * `redirectTo` are filled in from the data of the matched segment:
+ *
+ * ```ts
+ *  links: [
+ *    { name: 'OldDetail', segment: 'user/:userId', redirectTo: 'detail/:userId' },
+ *    { component: DetailPage, name: 'Detail', segment: 'detail/:userId' },
+ *    { name: 'NotFound', segment: '**', redirectTo: 'home' }
+ *  ]
+ *  ```
+ *
+ * The browser's URL is updated to the redirected URL once the page has been shown.
+ *
+ *
  * ### Default History
  *
  * While pages can be navigated to anywhere and loaded at any time, what happens when an app is launched from a deeplink while cold or suspended?
@@ -110,11 +161,82 @@ import { ViewController } from './view-controller';
  *
  * In this example above, if we launch the app at myapp.com/detail/4, then the user will see the DetailPage and then the back button will
  * go to the HomePage.
+ *
+ *
+ * ### Tabs
+ *
+ * The URL of a tab has all of the pages in the tab's stack, such as `/tabs/contacts/list/~/contact/4/history`, as long
+ * as each of the pages has a link. The tab's root page comes first, and the rest of its stack follows the `~`.
+ * Loading the URL, or going back to it with the browser's back button, restores the tab's whole stack. When the
+ * active page within a tab has its own `ion-nav`, the URL has the tab's active page followed by the pages of
+ * that nav instead.
+ *
+ * A tab which is shown within the More tab, because it didn't fit in the tabbar, keeps the same URL it would have
+ * in the tabbar, and loading it selects the More tab with the tab's pages on top of the More tab's list.
+ *
+ *
+ * ### Lazy Loaded Pages
+ *
+ * Pages don't have to be part of the main bundle. Instead of a `component`, a link can provide a `loadChildren`
+ * path to the NgModule of the page, which will be loaded the first time the page is navigated to. The module
+ * provides its page with `IonicPageModule.forChild()`.
+ *
+ * ```ts
+ *  links: [
+ *    { component: HomePage, name: 'Home', segment: 'home' },
+ *    { loadChildren: './pages/detail/detail.module#DetailPageModule', name: 'DetailPage', segment: 'detail/:userId' }
+ *  ]
+ *  ```
+ *
+ * ```ts
+ * @NgModule({
+ *   declarations: [DetailPage],
+ *   imports: [IonicPageModule.forChild(DetailPage)]
+ * })
+ * export class DetailPageModule {}
+ * ```
+ *
+ * A lazy loaded page is navigated to using the name of its link, such as `navCtrl.push('DetailPage')`, and deep links
+ * to it wait for its module to load before the page is shown.
+ *
+ * Setting the `preloadModules` config to `true` loads the lazy modules in the background once the app has started.
+ * Links with a `priority` of `high` are loaded first, followed by the `low` priority links, which is the default.
+ * Links with a priority of `off` are only loaded when they're navigated to.
+ *
+ *
+ * ### Path URLs
+ *
+ * URLs use the hash by default, such as `myapp.com/#/detail/4`. Setting the `locationStrategy` config
+ * to `path` uses HTML5 pushState URLs instead, such as `myapp.com/detail/4`. The server has to respond
+ * with the app's `index.html` for each of the app's URLs.
+ *
+ * ```ts
+ *  imports: [
+ *     IonicModule.forRoot(MyApp, { locationStrategy: 'path' }, {
+ *       links: []
+ *    })
+ *   ]
+ * ```
+ *
+ * Each browser history entry remembers its place in the app's history, and the index of its page
+ * within the stack of its nav, so the browser's back and forward buttons go back and forward through
+ * the app's navigation.
  */
 export declare class DeepLinker {
     _app: App;
     _serializer: UrlSerializer;
     _location: Location;
+    _moduleLoader: ModuleLoader;
+    _locationStrategy: LocationStrategy;
+    /**
+     * @internal
+     */
+    _historyIndex: number;
+    /**
+     * The history index of the first entry in `history`.
+     * @internal
+     */
+    _historyStart: number;
     /**
      * @internal
      */
@@ -122,12 +244,12 @@ export declare class DeepLinker {
     /**
      * @internal
      */
-    history: string[];
+    history: HistoryEntry[];
     /**
      * @internal
      */
     indexAliasUrl: string;
-    constructor(_app: App, _serializer: UrlSerializer, _location: Location);
+    constructor(_app: App, _serializer: UrlSerializer, _location: Location, _moduleLoader?: ModuleLoader, _locationStrategy?: LocationStrategy);
     /**
      * @internal
      */
@@ -136,7 +258,13 @@ export declare class DeepLinker {
      * The browser's location has been updated somehow.
      * @internal
      */
-    urlChange(browserUrl: string): void;
+    urlChange(browserUrl: string, state?: any): void;
+    /**
+     * Replaces the browser's URL with the URL of the active nav's stack,
+     * without adding a browser history entry.
+     * @internal
+     */
+    _resetUrl(): void;
     /**
      * Update the deep linker using the NavController's current active view.
      * @internal
@@ -146,10 +274,43 @@ export declare class DeepLinker {
      * @internal
      */
     updateLocation(browserUrl: string, direction: string): void;
+    /**
+     * @internal
+     */
+    _pushState(browserUrl: string): void;
+    /**
+     * @internal
+     */
+    _replaceState(browserUrl: string): void;
     /**
      * @internal
      */
     getComponentFromName(componentName: any): any;
+    /**
+     * Resolves with the component for the link's name. If the link is lazy
+     * loaded then its module is loaded first.
+     * @internal
+     */
+    loadComponent(nameOrComponent: any): Promise<any>;
+    /**
+     * Loads the components of all lazy loaded segments in the path.
+     * @internal
+     */
+    loadSegmentComponents(segments: NavSegment[]): Promise<any>;
+    /**
+     * Returns the NgModuleRef which loaded a lazy loaded component,
+     * or `null` if the component is part of the app's module.
+     * @internal
+     */
+    getNgModuleRef(component: any): NgModuleRef<any>;
+    /**
+     * Loads the modules of the lazy loaded links with the given priority.
+     * Modules are loaded one after another so they don't compete with the app.
+     * A module which fails to load is logged and skipped, and is attempted
+     * again the next time its page is navigated to.
+     * @internal
+     */
+    preloadModules(priority: string): Promise<any>;
     /**
      * @internal
      */
@@ -162,6 +323,14 @@ export declare class DeepLinker {
      * @internal
      */
     pathFromNavs(nav: NavController, component?: any, data?: any): NavSegment[];
+    /**
+     * Serializes every page above the root page of the tab, starting with the
+     * active page, followed by the separator which marks where the stack
+     * starts. Returns `null` if any of the pages doesn't have a link.
+     * The root page of the more tab is the root page of the tab it's showing.
+     * @internal
+     */
+    private _serializeStack(tab);
     /**
      * @internal
      */
@@ -197,6 +366,18 @@ export declare class DeepLinker {
      */
     loadViewFromSegment(navInstance: any, done: Function): void;
     /**
+     * Updates a tab so its stack matches the stack in the url, keeping
+     * the pages at the bottom of its stack which already match.
+     * @internal
+     */
+    private _loadStackFromSegment(nav, segment, done);
+    /**
+     * @internal
+     */
+    private _isSegmentView(view, segment);
+    /**
+     * The back URL is the URL of the previous history entry. Within the same
+     * nav, the previous entry's page also has to be below the current one.
      * @internal
      */
     isBackUrl(browserUrl: string): boolean;
@@ -212,6 +393,43 @@ export declare class DeepLinker {
      * @internal
      */
     historyPop(): void;
+    /**
+     * @internal
+     */
+    _getHistory(historyIndex: number): HistoryEntry;
+    /**
+     * @internal
+     */
+    _setHistory(historyIndex: number, entry: HistoryEntry): void;
+    /**
+     * Creates a history entry for the URL with the active nav,
+     * and the index of its active page within the nav's stack.
+     * @internal
+     */
+    _getNavEntry(browserUrl: string): HistoryEntry;
+    /**
+     * Updates the current history entry, and the browser's history state,
+     * with where the active nav's stack is now.
+     * @internal
+     */
+    _updateHistoryNav(): void;
+    /**
+     * The state of the current browser history entry.
+     * @internal
+     */
+    _getHistoryState(): {
+        historyIndex: number;
+        navId: string;
+        navIndex: number;
+    };
+}
+/**
+ * @internal
+ */
+export interface HistoryEntry {
+    url: string;
+    navId: string;
+    navIndex: number;
 }
-export declare function setupDeepLinker(app: App, serializer: UrlSerializer, location: Location): DeepLinker;
+export declare function setupDeepLinker(app: App, serializer: UrlSerializer, location: Location, moduleLoader: ModuleLoader, locationStrategy: LocationStrategy): DeepLinker;
 export declare function normalizeUrl(browserUrl: string): string;
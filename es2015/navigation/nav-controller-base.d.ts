@@ -1,12 +1,13 @@
 import { ComponentRef, ComponentFactoryResolver, ElementRef, EventEmitter, NgZone, Renderer, ViewContainerRef } from '@angular/core';
 import { App } from '../components/app/app';
 import { Config } from '../config/config';
-import { NavOptions, TransitionResolveFn, TransitionInstruction } from './nav-util';
+import { NavGuard, NavOptions, NavResolver, TransitionResolveFn, TransitionInstruction } from './nav-util';
 import { DeepLinker } from './deep-linker';
 import { GestureController } from '../gestures/gesture-controller';
 import { ViewController } from './view-controller';
 import { Ion } from '../components/ion';
 import { Keyboard } from '../util/keyboard';
+import { MasterDetail } from '../components/master-detail/master-detail';
 import { NavController } from './nav-controller';
 import { SwipeBackGesture } from './swipe-back';
 import { Transition } from '../transitions/transition';
@@ -28,9 +29,12 @@ export declare class NavControllerBase extends Ion implements NavController {
     _linker: DeepLinker;
     private _domCtrl;
     _children: any[];
+    _guards: NavGuard[];
+    _resolvers: NavResolver[];
     _ids: number;
     _init: boolean;
     _isPortal: boolean;
+    _masterDetail: MasterDetail;
     _queue: TransitionInstruction[];
     _sbEnabled: boolean;
     _sbGesture: SwipeBackGesture;
@@ -62,14 +66,26 @@ export declare class NavControllerBase extends Ion implements NavController {
     _setPages(viewControllers: ViewController[], opts?: NavOptions, done?: Function): Promise<any>;
     _queueTrns(ti: TransitionInstruction, done: Function): Promise<any>;
     _nextTrns(): boolean;
+    _viewInitTest(enteringView: ViewController, leavingView: ViewController, ti: TransitionInstruction, requiresTransition: boolean): boolean;
+    _loadLazyViews(lazyViews: ViewController[], ti: TransitionInstruction): boolean;
+    _startTI(ti: TransitionInstruction): boolean;
     _nextTI(): TransitionInstruction;
     _getEnteringView(ti: TransitionInstruction, leavingView: ViewController): ViewController;
     _postViewInit(enteringView: ViewController, leavingView: ViewController, ti: TransitionInstruction): boolean;
+    /**
+     * Rejects the transition when its animation name hasn't been
+     * registered with the TransitionController.
+     */
+    _rejectUnknownTransition(ti: TransitionInstruction, animation: string): boolean;
     /**
      * DOM WRITE
      */
     _viewInit(enteringView: ViewController): void;
     _viewAttachToDOM(view: ViewController, componentRef: ComponentRef<any>, viewport: ViewContainerRef): void;
+    _guardTest(enteringView: ViewController, leavingView: ViewController, ti: TransitionInstruction): boolean;
+    _getNavItems(prop: string): any[];
+    registerGuard(guard: NavGuard): Function;
+    registerResolver(resolver: NavResolver): Function;
     _viewTest(enteringView: ViewController, leavingView: ViewController, ti: TransitionInstruction): boolean;
     _transition(enteringView: ViewController, leavingView: ViewController, opts: NavOptions, resolve: TransitionResolveFn): void;
     _trnsStart(transition: Transition, enteringView: ViewController, leavingView: ViewController, opts: NavOptions, resolve: TransitionResolveFn): void;
@@ -96,7 +112,7 @@ export declare class NavControllerBase extends Ion implements NavController {
     destroy(): void;
     swipeBackStart(): void;
     swipeBackProgress(stepValue: number): void;
-    swipeBackEnd(shouldComplete: boolean, currentStepValue: number, velocity: number): void;
+    swipeBackEnd(shouldComplete: boolean, currentStepValue: number, velocity: number, stepVelocity?: number): void;
     _swipeBackCheck(): void;
     canSwipeBack(): boolean;
     canGoBack(): boolean;
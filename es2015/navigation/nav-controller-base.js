@@ -1,7 +1,7 @@
 import { EventEmitter, ReflectiveInjector } from '@angular/core';
-import { convertToView, convertToViews, DIRECTION_BACK, DIRECTION_FORWARD, INIT_ZINDEX, ViewState } from './nav-util';
+import { convertToView, convertToViews, DIRECTION_BACK, DIRECTION_FORWARD, INIT_ZINDEX, isViewMatch, ViewState } from './nav-util';
 import { setZIndex } from './nav-util';
-import { isBlank, isNumber, isPresent, removeArrayItem } from '../util/util';
+import { isBlank, isNumber, isPresent, isString, removeArrayItem } from '../util/util';
 import { isViewController, ViewController } from './view-controller';
 import { Ion } from '../components/ion';
 import { NavController } from './nav-controller';
@@ -25,6 +25,8 @@ export class NavControllerBase extends Ion {
         this._linker = _linker;
         this._domCtrl = _domCtrl;
         this._children = [];
+        this._guards = [];
+        this._resolvers = [];
         this._ids = -1;
         this._init = false;
         this._queue = [];
@@ -42,6 +44,11 @@ export class NavControllerBase extends Ion {
         this.id = 'n' + (++ctrlIds);
     }
     push(page, params, opts, done) {
+        if (this._masterDetail) {
+            // this is the master nav of a master-detail, which
+            // decides whether the page goes into its detail nav
+            return this._masterDetail._push(page, params, opts, done);
+        }
         return this._queueTrns({
             insertStart: -1,
             insertViews: [convertToView(this._linker, page, params)],
@@ -193,6 +200,9 @@ export class NavControllerBase extends Ion {
             ti.reject('no views in the stack to be removed');
             return promise;
         }
+        if (ti.opts && this._rejectUnknownTransition(ti, ti.opts.animation)) {
+            return promise;
+        }
         this._queue.push(ti);
         // if there isn't a transition already happening
         // then this will kick off this transition
@@ -212,6 +222,28 @@ export class NavControllerBase extends Ion {
         if (!ti) {
             return false;
         }
+        // lazy loaded pages are only known by their name until their
+        // module has been loaded, so load those before going any further
+        const lazyViews = ti.insertViews ? ti.insertViews.filter(v => isString(v.component)) : [];
+        if (lazyViews.length) {
+            return this._loadLazyViews(lazyViews, ti);
+        }
+        return this._startTI(ti);
+    }
+    _loadLazyViews(lazyViews, ti) {
+        // block any other transitions while the modules load
+        this.setTransitioning(true);
+        Promise.all(lazyViews.map(view => {
+            return this._linker.loadComponent(view.component).then(component => {
+                view.component = component;
+            });
+        })).then(() => {
+            this.setTransitioning(false);
+            this._startTI(ti);
+        }).catch(ti.reject);
+        return true;
+    }
+    _startTI(ti) {
         // Get entering and leaving views
         const leavingView = this.getActive();
         const enteringView = this._getEnteringView(ti, leavingView);
@@ -221,14 +253,22 @@ export class NavControllerBase extends Ion {
         }
         // set that this nav is actively transitioning
         this.setTransitioning(true);
+        // Only test guards and canLeave/canEnter if there is transition
+        const requiresTransition = (ti.enteringRequiresTransition || ti.leavingRequiresTransition) && enteringView !== leavingView;
+        if (requiresTransition) {
+            // registered guards and resolvers run before the entering view
+            // is created, so any resolved data is already in its NavParams
+            return this._guardTest(enteringView, leavingView, ti);
+        }
+        return this._viewInitTest(enteringView, leavingView, ti, false);
+    }
+    _viewInitTest(enteringView, leavingView, ti, requiresTransition) {
         // Initialize enteringView
         if (enteringView && isBlank(enteringView._state)) {
             // render the entering view, and all child navs and views
             // ******** DOM WRITE ****************
             this._viewInit(enteringView);
         }
-        // Only test canLeave/canEnter if there is transition
-        const requiresTransition = (ti.enteringRequiresTransition || ti.leavingRequiresTransition) && enteringView !== leavingView;
         if (requiresTransition) {
             // views have been initialized, now let's test
             // to see if the transition is even allowed or not
@@ -325,6 +365,36 @@ export class NavControllerBase extends Ion {
             ti.reject('navigation stack needs at least one root page');
             return false;
         }
+        if (insertViews && ti.enteringRequiresTransition) {
+            // default to forward if not already set
+            opts.direction = opts.direction || DIRECTION_FORWARD;
+        }
+        const requiresTransition = ti.enteringRequiresTransition || ti.leavingRequiresTransition && enteringView !== leavingView;
+        if (requiresTransition) {
+            // set which animation it should use if it wasn't set yet
+            if (!opts.animation) {
+                if (enteringView && !enteringView._nav) {
+                    // a new view only gets its nav once it's inserted into the
+                    // stack, but it already needs it to look up its transition
+                    enteringView._setNav(this);
+                }
+                if (isPresent(ti.removeStart)) {
+                    opts.animation = (leavingView || enteringView).getTransitionName(opts.direction);
+                }
+                else {
+                    opts.animation = (enteringView || leavingView).getTransitionName(opts.direction);
+                }
+            }
+            // the name may come from the config, so check it before the stack changes
+            if (this._rejectUnknownTransition(ti, opts.animation)) {
+                if (insertViews && insertViews.indexOf(enteringView) > -1 && this._views.indexOf(enteringView) < 0) {
+                    // the entering view was created for this transition but
+                    // never made it into the stack, so don't leave it behind
+                    this._destroyView(enteringView);
+                }
+                return false;
+            }
+        }
         // there are views to insert
         if (insertViews) {
             // manually set the new view's id if an id was passed in the options
@@ -337,10 +407,6 @@ export class NavControllerBase extends Ion {
                 (void 0) /* assert */;
                 this._insertViewAt(view, ti.insertStart + i);
             }
-            if (ti.enteringRequiresTransition) {
-                // default to forward if not already set
-                opts.direction = opts.direction || DIRECTION_FORWARD;
-            }
         }
         // if the views to be removed are in the beginning or middle
         // and there is not a view that needs to visually transition out
@@ -361,16 +427,7 @@ export class NavControllerBase extends Ion {
                 this._destroyView(destroyQueue[i]);
             }
         }
-        if (ti.enteringRequiresTransition || ti.leavingRequiresTransition && enteringView !== leavingView) {
-            // set which animation it should use if it wasn't set yet
-            if (!opts.animation) {
-                if (isPresent(ti.removeStart)) {
-                    opts.animation = (leavingView || enteringView).getTransitionName(opts.direction);
-                }
-                else {
-                    opts.animation = (enteringView || leavingView).getTransitionName(opts.direction);
-                }
-            }
+        if (requiresTransition) {
             // huzzah! let us transition these views
             this._transition(enteringView, leavingView, opts, ti.resolve);
         }
@@ -382,6 +439,18 @@ export class NavControllerBase extends Ion {
         }
         return true;
     }
+    /**
+     * Rejects the transition when its animation name hasn't been
+     * registered with the TransitionController.
+     */
+    _rejectUnknownTransition(ti, animation) {
+        if (animation && !this._trnsCtrl.has(animation)) {
+            console.error("Unknown transition \"" + animation + "\". Transitions must be registered with TransitionController.register() before they can be used.");
+            ti.reject("unknown transition: " + animation);
+            return true;
+        }
+        return false;
+    }
     /**
      * DOM WRITE
      */
@@ -392,8 +461,12 @@ export class NavControllerBase extends Ion {
             { provide: ViewController, useValue: enteringView },
             { provide: NavParams, useValue: enteringView.getNavParams() }
         ]);
-        const componentFactory = this._cfr.resolveComponentFactory(enteringView.component);
-        const childInjector = ReflectiveInjector.fromResolvedProviders(componentProviders, this._viewport.parentInjector);
+        // lazy loaded components are resolved and injected by their own module
+        const ngModuleRef = this._linker.getNgModuleRef(enteringView.component);
+        const cfr = ngModuleRef ? ngModuleRef.componentFactoryResolver : this._cfr;
+        const componentFactory = cfr.resolveComponentFactory(enteringView.component);
+        const parentInjector = ngModuleRef ? ngModuleRef.injector : this._viewport.parentInjector;
+        const childInjector = ReflectiveInjector.fromResolvedProviders(componentProviders, parentInjector);
         // create ComponentRef and set it to the entering view
         enteringView.init(componentFactory.create(childInjector, []));
         enteringView._state = ViewState.INITIALIZED;
@@ -418,6 +491,82 @@ export class NavControllerBase extends Ion {
         // fire off the "didLoad" lifecycle events
         this._zone.run(this._didLoad.bind(this, view));
     }
+    _guardTest(enteringView, leavingView, ti) {
+        const guards = this._getNavItems('_guards');
+        const promises = [];
+        let result;
+        for (let i = 0; i < guards.length; i++) {
+            if (leavingView) {
+                result = guardResult(guards[i], 'canLeave', leavingView, this);
+                if (result === false) {
+                    // synchronous reject
+                    ti.reject('nav guard canLeave rejected');
+                    return false;
+                }
+                else if (result instanceof Promise) {
+                    promises.push(result);
+                }
+            }
+            if (enteringView) {
+                result = guardResult(guards[i], 'canEnter', enteringView, this);
+                if (result === false) {
+                    // synchronous reject
+                    ti.reject('nav guard canEnter rejected');
+                    return false;
+                }
+                else if (result instanceof Promise) {
+                    promises.push(result);
+                }
+            }
+        }
+        // only views which haven't been created yet get resolved data,
+        // cached views already had their NavParams handed to the component
+        let resolvers = (enteringView && isBlank(enteringView._state)) ? this._getNavItems('_resolvers') : [];
+        resolvers = resolvers.filter(r => isViewMatch(enteringView, r.pages));
+        if (!promises.length && !resolvers.length) {
+            // nothing async to wait for, keep going synchronously
+            return this._viewInitTest(enteringView, leavingView, ti, true);
+        }
+        Promise.all(promises).then(values => {
+            if (values.some(r => r === false)) {
+                throw 'nav guard rejected';
+            }
+            // all guards passed, now resolve the data for the entering view
+            return Promise.all(resolvers.map(r => {
+                return Promise.resolve(r.resolve(enteringView, this)).then(data => {
+                    enteringView.data[r.key] = data;
+                });
+            }));
+        }).then(() => {
+            this._viewInitTest(enteringView, leavingView, ti, true);
+        }).catch(ti.reject);
+        return true;
+    }
+    _getNavItems(prop) {
+        // items registered on ancestor navs also apply to their child navs
+        let items = [];
+        let nav = this;
+        while (nav) {
+            if (nav[prop]) {
+                items = nav[prop].concat(items);
+            }
+            nav = nav.parent;
+        }
+        return items;
+    }
+    registerGuard(guard) {
+        this._guards.push(guard);
+        return () => {
+            removeArrayItem(this._guards, guard);
+        };
+    }
+    registerResolver(resolver) {
+        (void 0) /* assert */;
+        this._resolvers.push(resolver);
+        return () => {
+            removeArrayItem(this._resolvers, resolver);
+        };
+    }
     _viewTest(enteringView, leavingView, ti) {
         const promises = [];
         if (leavingView) {
@@ -478,6 +627,7 @@ export class NavControllerBase extends Ion {
             easing: opts.easing,
             isRTL: this._config.platform.isRTL(),
             ev: opts.ev,
+            webAnimations: this._config.getBoolean('webAnimations'),
         };
         // create the transition animation from the TransitionController
         // this will either create the root transition, or add it as a child transition
@@ -762,6 +912,8 @@ export class NavControllerBase extends Ion {
         }
         // purge stack
         this._views.length = 0;
+        this._guards.length = 0;
+        this._resolvers.length = 0;
         // release swipe back gesture and transition
         this._sbGesture && this._sbGesture.destroy();
         this._sbTrns && this._sbTrns.destroy();
@@ -795,11 +947,11 @@ export class NavControllerBase extends Ion {
             this._sbTrns.progressStep(stepValue);
         }
     }
-    swipeBackEnd(shouldComplete, currentStepValue, velocity) {
+    swipeBackEnd(shouldComplete, currentStepValue, velocity, stepVelocity) {
         if (this._sbTrns && this._sbGesture) {
             // the swipe back gesture has ended
-            var dur = this._sbTrns.getDuration() / (Math.abs(velocity) + 1);
-            this._sbTrns.progressEnd(shouldComplete, currentStepValue, dur);
+            const dur = this._sbTrns.getDuration() / (Math.abs(velocity) + 1);
+            this._sbTrns.progressEnd(shouldComplete, currentStepValue, dur, stepVelocity);
         }
     }
     _swipeBackCheck() {
@@ -885,6 +1037,25 @@ export class NavControllerBase extends Ion {
         this._viewport = val;
     }
 }
+function guardResult(guard, methodName, view, nav) {
+    if (!guard[methodName] || !isViewMatch(view, guard.pages)) {
+        return true;
+    }
+    try {
+        const result = guard[methodName](view, nav);
+        if (result === false) {
+            return false;
+        }
+        else if (result instanceof Promise) {
+            return result;
+        }
+        return true;
+    }
+    catch (e) {
+        console.error(view.name + " nav guard " + methodName + " error: " + e.message);
+        return false;
+    }
+}
 let ctrlIds = -1;
 const DISABLE_APP_MINIMUM_DURATION = 64;
 const ACTIVE_TRANSITION_DEFAULT = 5000;
@@ -322,6 +322,67 @@
  * Similar to `ionViewCanLeave` we still need a catch on the original `navCtrl.push` in order to handle it properly.
  * When handling the back button in the `ion-navbar`, the catch is already taken care of for you by the framework.
  *
+ * ## Registered Guards and Resolvers
+ *
+ * When the same check is needed by many pages, a guard can be registered on a
+ * nav instead of repeating `ionViewCanEnter` in each page. Guards registered on
+ * a nav also apply to all of its child navs, so registering on the root nav
+ * covers the entire app. A guard can be limited to specific pages by listing
+ * their components, or their names, in `pages`.
+ *
+ * Resolvers fetch data before a page is created. The resolved value is added
+ * to the entering page's `NavParams` under the resolver's `key`. If a guard
+ * rejects, or a resolver's promise rejects, the transition does not happen.
+ *
+ * ```ts
+ * export class MyApp {
+ *   @ViewChild(Nav) nav: Nav;
+ *
+ *   constructor(public auth: AuthService, public api: ApiService) {}
+ *
+ *   ngAfterViewInit() {
+ *     // the nav is only available once the view has been initialized
+ *     this.nav.registerGuard({
+ *       pages: [AccountPage, OrdersPage],
+ *       canEnter: () => this.auth.isLoggedIn()
+ *     });
+ *
+ *     this.nav.registerResolver({
+ *       key: 'user',
+ *       pages: [AccountPage],
+ *       resolve: (view: ViewController) => this.api.getUser(view.data.userId)
+ *     });
+ *   }
+ * }
+ *
+ * export class AccountPage {
+ *   constructor(navParams: NavParams) {
+ *     let user = navParams.get('user');
+ *   }
+ * }
+ * ```
+ *
+ * ## Shared Element Transitions
+ *
+ * An element can morph into an element on the next page during `push` and `pop`, such as a
+ * product's thumbnail in a list growing into the large image on the product's detail page.
+ * Give both elements a `shared-element` attribute with the same value, and the element's
+ * position, size and border radius animate between the two while the pages transition.
+ * Swiping back to the previous page drives the same animation.
+ *
+ * ```html
+ * <!-- list page -->
+ * <ion-item *ngFor="let product of products" (click)="openProduct(product)">
+ *   <ion-thumbnail item-left>
+ *     <img [src]="product.image" [attr.shared-element]="'product-' + product.id">
+ *   </ion-thumbnail>
+ *   {{product.name}}
+ * </ion-item>
+ *
+ * <!-- detail page -->
+ * <img [src]="product.image" [attr.shared-element]="'product-' + product.id">
+ * ```
+ *
  * ## NavOptions
  *
  * Some methods on `NavController` allow for customizing the current transition.
@@ -337,6 +398,8 @@
  * | easing    | `string`  | The easing for the animation.                                                                              |
  *
  * The property 'animation' understands the following values: `md-transition`, `ios-transition` and `wp-transition`.
+ * Transitions registered with `TransitionController.register()` can also be used by their name, and an
+ * unknown name rejects the transition.
  *
  * @see {@link /docs/v2/components#navigation Navigation Component Docs}
  */
@@ -0,0 +1,97 @@
+import { isNav, isTabs, DIRECTION_SWITCH } from './nav-util';
+import { isPresent } from '../util/util';
+/**
+ * @private
+ * Creates a JSON friendly snapshot of the nav, its views and all of
+ * its child navs. For Tabs only the selected tab's stack is included.
+ */
+export function getNavState(nav) {
+    if (isTabs(nav)) {
+        const selectedTab = nav.getSelected();
+        return {
+            selectedIndex: selectedTab ? selectedTab.index : 0,
+            children: selectedTab ? [getNavState(selectedTab)] : []
+        };
+    }
+    if (!isNav(nav)) {
+        return null;
+    }
+    return {
+        views: nav.getViews().map(view => {
+            return {
+                page: getPageName(nav._linker, view.component),
+                params: serializeNavParams(view.data)
+            };
+        }),
+        children: nav._children.map(getNavState)
+    };
+}
+/**
+ * @private
+ * Rebuilds the nav and its child navs from a snapshot made by `getNavState()`.
+ * No transitions are animated and the URL is only updated once it has finished.
+ */
+export function restoreNavState(nav, state) {
+    return restoreNav(nav, state).then(() => {
+        nav._linker && nav._linker.navChange(DIRECTION_SWITCH);
+    });
+}
+function restoreNav(nav, state) {
+    if (!nav || !state) {
+        return Promise.resolve();
+    }
+    if (isTabs(nav)) {
+        const selectedTab = nav.getByIndex(state.selectedIndex);
+        if (selectedTab && selectedTab !== nav.getSelected()) {
+            // selecting a tab never animates
+            nav.select(selectedTab, { updateUrl: false });
+        }
+        return restoreNav(selectedTab, state.children && state.children[0]);
+    }
+    if (!state.views || !state.views.length) {
+        return Promise.resolve();
+    }
+    const pages = state.views.map(v => {
+        return { page: v.page, params: v.params };
+    });
+    return nav.setPages(pages, { animate: false, updateUrl: false }).then(() => {
+        // the child navs of the newly active view have been created
+        // by now, and they're registered in the same order as before
+        const children = state.children || [];
+        return Promise.all(children.map((childState, i) => {
+            return restoreNav(nav._children[i], childState);
+        }));
+    });
+}
+/**
+ * @private
+ * Only keeps the params which survive being converted to JSON, such as
+ * strings, numbers and plain objects. Functions and circular data are left out.
+ */
+export function serializeNavParams(data) {
+    const params = {};
+    if (data) {
+        Object.keys(data).forEach(key => {
+            try {
+                const json = JSON.stringify(data[key]);
+                if (isPresent(json)) {
+                    params[key] = JSON.parse(json);
+                }
+            }
+            catch (e) {
+                console.warn("nav param \"" + key + "\" could not be serialized: " + e.message);
+            }
+        });
+    }
+    return params;
+}
+function getPageName(linker, component) {
+    // prefer the name from the deep link config, since
+    // a component's own name may not survive minification
+    const link = linker && linker._serializer.getLinkFromName(component);
+    if (link) {
+        return link.name;
+    }
+    return component ? component.name : null;
+}
+//# sourceMappingURL=nav-state.js.map
\ No newline at end of file
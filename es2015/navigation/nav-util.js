@@ -65,6 +65,18 @@ export function setZIndex(nav, enteringView, leavingView, direction, renderer) {
         }
     }
 }
+export function isViewMatch(view, pages) {
+    // guards and resolvers without any pages apply to every view
+    if (!pages || !pages.length) {
+        return true;
+    }
+    for (let i = 0; i < pages.length; i++) {
+        if (pages[i] === view.component || pages[i] === view.name) {
+            return true;
+        }
+    }
+    return false;
+}
 export function isTabs(nav) {
     // Tabs (ion-tabs)
     return !!nav && !!nav.getSelected;
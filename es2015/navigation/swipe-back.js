@@ -44,7 +44,7 @@ export class SwipeBackGesture extends SlideEdgeGesture {
         const isMovingFast = Math.abs(slide.velocity) > 0.4;
         const isInResetZone = Math.abs(slide.delta) < Math.abs(slide.max) * 0.5;
         const shouldComplete = !swipeShouldReset(isResetDirecction, isMovingFast, isInResetZone);
-        this._nav.swipeBackEnd(shouldComplete, currentStepValue, velocity);
+        this._nav.swipeBackEnd(shouldComplete, currentStepValue, velocity, velocity / slide.max);
     }
 }
 //# sourceMappingURL=swipe-back.js.map
\ No newline at end of file
@@ -20,20 +20,37 @@ export class UrlSerializer {
         if (browserUrl.charAt(0) === '/') {
             browserUrl = browserUrl.substr(1);
         }
-        // trim off data after ? and #
-        browserUrl = browserUrl.split('?')[0].split('#')[0];
-        return parseUrlParts(browserUrl.split('/'), this.links);
+        // trim off data after #
+        browserUrl = browserUrl.split('#')[0];
+        // the query string is kept for the links which declare query params
+        const queryParams = parseQueryString(browserUrl.split('?')[1]);
+        browserUrl = browserUrl.split('?')[0];
+        let segments;
+        for (let i = 0; i <= MAX_REDIRECTS; i++) {
+            segments = parseUrlParts(browserUrl.split('/'), this.links, queryParams);
+            if (!segments.some(s => isPresent(s.redirectTo))) {
+                break;
+            }
+            // swap out the redirected parts of the url and try again
+            browserUrl = segments.map(s => {
+                return isPresent(s.redirectTo) ? createRedirectUrl(s.redirectTo, s.data) : s.id;
+            }).filter(part => part !== '').join('/');
+        }
+        return segments;
     }
-    createSegmentFromName(nameOrComponent) {
-        const configLink = this.links.find((link) => {
+    getLinkFromName(nameOrComponent) {
+        return this.links.find(link => {
             return (link.component === nameOrComponent) ||
                 (link.name === nameOrComponent) ||
-                (link.component.name === nameOrComponent);
+                (!!link.component && link.component.name === nameOrComponent);
         });
+    }
+    createSegmentFromName(nameOrComponent) {
+        const configLink = this.getLinkFromName(nameOrComponent);
         return configLink ? {
             id: configLink.name,
             name: configLink.name,
-            component: configLink.component,
+            component: getLinkComponent(configLink),
             data: null,
             defaultHistory: configLink.defaultHistory
         } : null;
@@ -43,7 +60,15 @@ export class UrlSerializer {
      * into a URL string. Turn each segment into a string and concat them to a URL.
      */
     serialize(path) {
-        return '/' + path.map(segment => segment.id).join('/');
+        const queryParams = {};
+        path.forEach(segment => {
+            if (segment.queryParams) {
+                Object.keys(segment.queryParams).forEach(key => {
+                    queryParams[key] = segment.queryParams[key];
+                });
+            }
+        });
+        return '/' + path.map(segment => segment.id).join('/') + serializeQueryString(queryParams);
     }
     /**
      * Serializes a component and its data into a NavSegment.
@@ -58,32 +83,47 @@ export class UrlSerializer {
         return null;
     }
     createSegment(configLink, data) {
-        let urlParts = configLink.parts;
-        if (isPresent(data)) {
-            // create a copy of the original parts in the link config
-            urlParts = urlParts.slice();
-            // loop through all the data and convert it to a string
-            const keys = Object.keys(data);
-            const keysLength = keys.length;
-            if (keysLength) {
-                for (var i = 0; i < urlParts.length; i++) {
-                    if (urlParts[i].charAt(0) === ':') {
-                        for (var j = 0; j < keysLength; j++) {
-                            if (urlParts[i] === `:${keys[j]}`) {
-                                // this data goes into the URL part (between slashes)
-                                urlParts[i] = encodeURIComponent(data[keys[j]]);
-                                break;
-                            }
-                        }
-                    }
+        const urlParts = [];
+        let queryParams = null;
+        for (let i = 0; i < configLink.partsLen; i++) {
+            const part = configLink.parts[i];
+            if (part.charAt(0) === ':') {
+                const key = getPartKey(part);
+                if (isPresent(data) && isPresent(data[key])) {
+                    // this data goes into the URL part (between slashes)
+                    urlParts.push(encodeURIComponent(data[key]));
+                }
+                else if (!isOptionalPart(part)) {
+                    urlParts.push(part);
+                }
+            }
+            else if (part === WILDCARD_PART) {
+                if (isPresent(data) && isPresent(data[WILDCARD_PART])) {
+                    // the parts the wildcard matched go back into the URL
+                    String(data[WILDCARD_PART]).split('/').forEach(rest => {
+                        urlParts.push(encodeURIComponent(rest));
+                    });
                 }
             }
+            else {
+                urlParts.push(part);
+            }
+        }
+        if (isPresent(data) && configLink.queryParams) {
+            // this data goes into the query string
+            configLink.queryParams.forEach(key => {
+                if (isPresent(data[key])) {
+                    queryParams = queryParams || {};
+                    queryParams[key] = data[key];
+                }
+            });
         }
         return {
             id: urlParts.join('/'),
             name: configLink.name,
-            component: configLink.component,
+            component: getLinkComponent(configLink),
             data: data,
+            queryParams: queryParams,
             defaultHistory: configLink.defaultHistory
         };
     }
@@ -104,15 +144,33 @@ export class UrlSerializer {
         return encodeURIComponent(name);
     }
 }
-export const parseUrlParts = (urlParts, configLinks) => {
+export const parseUrlParts = (urlParts, configLinks, queryParams) => {
     const configLinkLen = configLinks.length;
     const urlPartsLen = urlParts.length;
     const segments = new Array(urlPartsLen);
-    for (var i = 0; i < configLinkLen; i++) {
+    let hasMatch = false;
+    for (let i = 0; i < configLinkLen; i++) {
         // compare url parts to config link parts to create nav segments
-        var configLink = configLinks[i];
-        if (configLink.partsLen <= urlPartsLen) {
-            fillMatchedUrlParts(segments, urlParts, configLink);
+        const configLink = configLinks[i];
+        if (configLink.minLen <= urlPartsLen && !isFallbackLink(configLink)) {
+            hasMatch = fillMatchedUrlParts(segments, urlParts, configLink, queryParams) || hasMatch;
+        }
+    }
+    if (!hasMatch && urlParts.join('') !== '') {
+        // nothing in the url matched any of the links, so
+        // the entire url goes to the "**" fallback link, if there is one
+        const fallbackLink = configLinks.find(isFallbackLink);
+        if (fallbackLink) {
+            segments.length = 1;
+            segments[0] = {
+                id: urlParts.join('/'),
+                name: fallbackLink.name,
+                component: getLinkComponent(fallbackLink),
+                data: createMatchedData(urlParts, fallbackLink, queryParams),
+                redirectTo: fallbackLink.redirectTo,
+                defaultHistory: fallbackLink.defaultHistory
+            };
+            return segments;
         }
     }
     // remove all the undefined segments
@@ -135,31 +193,62 @@ export const parseUrlParts = (urlParts, configLinks) => {
     }
     return segments;
 };
-export const fillMatchedUrlParts = (segments, urlParts, configLink) => {
-    for (var i = 0; i < urlParts.length; i++) {
-        var urlI = i;
-        for (var j = 0; j < configLink.partsLen; j++) {
-            if (isPartMatch(urlParts[urlI], configLink.parts[j])) {
-                urlI++;
-            }
-            else {
-                break;
-            }
-        }
-        if ((urlI - i) === configLink.partsLen) {
-            var matchedUrlParts = urlParts.slice(i, urlI);
-            for (var j = i; j < urlI; j++) {
+export const fillMatchedUrlParts = (segments, urlParts, configLink, queryParams) => {
+    let hasMatch = false;
+    for (let i = 0; i < urlParts.length; i++) {
+        const urlI = matchUrlParts(urlParts, i, configLink, null);
+        if (urlI > i) {
+            const matchedUrlParts = urlParts.slice(i, urlI);
+            for (let j = i; j < urlI; j++) {
                 urlParts[j] = undefined;
             }
             segments[i] = {
                 id: matchedUrlParts.join('/'),
                 name: configLink.name,
-                component: configLink.component,
-                data: createMatchedData(matchedUrlParts, configLink),
+                component: getLinkComponent(configLink),
+                data: createMatchedData(matchedUrlParts, configLink, queryParams),
+                redirectTo: configLink.redirectTo,
                 defaultHistory: configLink.defaultHistory
             };
+            hasMatch = true;
+        }
+    }
+    return hasMatch;
+};
+/**
+ * Walks the link's parts over the url parts, starting at `startIndex`,
+ * and returns the index after the last matched url part. If the link
+ * doesn't match then `startIndex` is returned. When `data` is passed
+ * in it gets the values of the link's `:param` parts, and the url
+ * parts a `**` part took, joined by slashes, under the `**` key.
+ */
+export const matchUrlParts = (urlParts, startIndex, configLink, data) => {
+    let urlI = startIndex;
+    for (let j = 0; j < configLink.partsLen; j++) {
+        const part = configLink.parts[j];
+        if (part === WILDCARD_PART) {
+            // catch-all, which is always the last part, takes
+            // every url part which hasn't already been matched
+            const restI = urlI;
+            while (isPresent(urlParts[urlI])) {
+                urlI++;
+            }
+            if (data && urlI > restI) {
+                data[WILDCARD_PART] = urlParts.slice(restI, urlI).map(decodeURIComponent).join('/');
+            }
+            break;
+        }
+        if (isPartMatch(urlParts[urlI], part)) {
+            if (data && part.charAt(0) === ':') {
+                data[getPartKey(part)] = decodeURIComponent(urlParts[urlI]);
+            }
+            urlI++;
+        }
+        else if (!isOptionalPart(part)) {
+            return startIndex;
         }
     }
+    return urlI;
 };
 export const isPartMatch = (urlPart, configLinkPart) => {
     if (isPresent(urlPart) && isPresent(configLinkPart)) {
@@ -170,15 +259,18 @@ export const isPartMatch = (urlPart, configLinkPart) => {
     }
     return false;
 };
-export const createMatchedData = (matchedUrlParts, link) => {
-    let data = null;
-    for (var i = 0; i < link.partsLen; i++) {
-        if (link.parts[i].charAt(0) === ':') {
-            data = data || {};
-            data[link.parts[i].substring(1)] = decodeURIComponent(matchedUrlParts[i]);
-        }
+export const createMatchedData = (matchedUrlParts, link, queryParams) => {
+    const data = {};
+    matchUrlParts(matchedUrlParts, 0, link, data);
+    if (queryParams && link.queryParams) {
+        // only the query params the link asked for are added to its data
+        link.queryParams.forEach(key => {
+            if (isPresent(queryParams[key])) {
+                data[key] = queryParams[key];
+            }
+        });
     }
-    return data;
+    return Object.keys(data).length ? data : null;
 };
 export const findLinkByComponentData = (links, component, instanceData) => {
     let foundLink = null;
@@ -210,28 +302,57 @@ export const findLinkByComponentData = (links, component, instanceData) => {
     }
     return foundLink;
 };
-export const normalizeLinks = (links) => {
-    for (var i = 0, ilen = links.length; i < ilen; i++) {
-        var link = links[i];
+export const getLinkComponent = link => {
+    // a lazy loaded link doesn't have its component until the module
+    // has been loaded, so until then its name stands in for the component
+    if (link.component) {
+        return link.component;
+    }
+    return isPresent(link.loadChildren) ? link.name : null;
+};
+export const normalizeLinks = links => {
+    for (let i = 0, ilen = links.length; i < ilen; i++) {
+        const link = links[i];
         if (isBlank(link.segment)) {
             link.segment = link.name;
         }
         link.dataKeys = {};
         link.parts = link.segment.split('/');
         link.partsLen = link.parts.length;
+        // the fewest url parts the link can match
+        link.minLen = link.partsLen;
         // used for sorting
         link.staticLen = link.dataLen = 0;
-        var stillCountingStatic = true;
-        for (var j = 0; j < link.partsLen; j++) {
-            if (link.parts[j].charAt(0) === ':') {
-                link.dataLen++;
+        let stillCountingStatic = true;
+        for (let j = 0; j < link.partsLen; j++) {
+            const part = link.parts[j];
+            if (part.charAt(0) === ':') {
+                stillCountingStatic = false;
+                link.dataKeys[getPartKey(part)] = true;
+                if (isOptionalPart(part)) {
+                    link.minLen--;
+                }
+                else {
+                    link.dataLen++;
+                }
+            }
+            else if (part === WILDCARD_PART) {
+                (void 0) /* assert */;
                 stillCountingStatic = false;
-                link.dataKeys[link.parts[j].substring(1)] = true;
+                link.dataKeys[WILDCARD_PART] = true;
+                link.minLen--;
             }
             else if (stillCountingStatic) {
                 link.staticLen++;
             }
         }
+        if (link.queryParams) {
+            // query params are used to find the link, but unlike url
+            // parts a link is still a match when they're missing
+            for (let j = 0; j < link.queryParams.length; j++) {
+                link.dataKeys[link.queryParams[j]] = true;
+            }
+        }
     }
     // sort by the number of parts, with the links
     // with the most parts first
@@ -261,6 +382,52 @@ function sortConfigLinks(a, b) {
     }
     return 0;
 }
+function isOptionalPart(part) {
+    return part.charAt(0) === ':' && part.charAt(part.length - 1) === '?';
+}
+function getPartKey(part) {
+    // ":id" and ":id?" both use the "id" key
+    return isOptionalPart(part) ? part.substring(1, part.length - 1) : part.substring(1);
+}
+function isFallbackLink(link) {
+    return link.partsLen === 1 && link.parts[0] === WILDCARD_PART;
+}
+function createRedirectUrl(redirectTo, data) {
+    return redirectTo.split('/').map(part => {
+        if (part.charAt(0) === ':') {
+            const key = getPartKey(part);
+            return (data && isPresent(data[key])) ? encodeURIComponent(data[key]) : '';
+        }
+        if (part === WILDCARD_PART) {
+            // carry over the parts of the url the wildcard matched
+            return (data && isPresent(data[WILDCARD_PART])) ? data[WILDCARD_PART].split('/').map(encodeURIComponent).join('/') : '';
+        }
+        return part;
+    }).filter(part => part !== '').join('/');
+}
+export function parseQueryString(queryString) {
+    const queryParams = {};
+    if (queryString) {
+        queryString.split('&').forEach(pair => {
+            const keyValue = pair.split('=');
+            if (keyValue[0]) {
+                queryParams[decodeURIComponent(keyValue[0])] = decodeURIComponent((keyValue[1] || '').replace(/\+/g, ' '));
+            }
+        });
+    }
+    return queryParams;
+}
+export function serializeQueryString(queryParams) {
+    const keys = Object.keys(queryParams);
+    if (!keys.length) {
+        return '';
+    }
+    return '?' + keys.map(key => {
+        return encodeURIComponent(key) + '=' + encodeURIComponent(queryParams[key]);
+    }).join('&');
+}
+const WILDCARD_PART = '**';
+const MAX_REDIRECTS = 10;
 const URL_REPLACE_REG = /\s+|\?|\!|\$|\,|\.|\+|\"|\'|\*|\^|\||\/|\\|\[|\]|#|%|`|>|<|;|:|@|&|=/g;
 /**
  * @private
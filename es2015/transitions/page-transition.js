@@ -1,5 +1,11 @@
 import { Animation } from '../animations/animation';
 import { Transition } from './transition';
+const SHARED_ELEMENT_ATTR = 'shared-element';
+const TRANSLATEX = 'translateX';
+const TRANSLATEY = 'translateY';
+const SCALEX = 'scaleX';
+const SCALEY = 'scaleY';
+const BORDER_RADIUS = 'borderRadius';
 /**
  * @private
  */
@@ -12,6 +18,102 @@ export class PageTransition extends Transition {
             this.beforeAddRead(this.readDimensions.bind(this));
             this.beforeAddWrite(this.writeDimensions.bind(this));
         }
+        if (this.enteringView && this.leavingView) {
+            this.initSharedElements();
+        }
+    }
+    /**
+     * Elements on the leaving and entering pages with the same
+     * `shared-element` attribute value morph from one into the other.
+     * A copy of the entering element is placed over the leaving element,
+     * and it's moved and resized to the entering element's position
+     * while both of the real elements are hidden.
+     * NO DOM
+     */
+    initSharedElements() {
+        const enteringPageEle = this.enteringView.pageRef().nativeElement;
+        const leavingPageEle = this.leavingView.pageRef().nativeElement;
+        const enteringEles = enteringPageEle.querySelectorAll('[' + SHARED_ELEMENT_ATTR + ']');
+        const leavingEles = leavingPageEle.querySelectorAll('[' + SHARED_ELEMENT_ATTR + ']');
+        const sharedElements = [];
+        for (let i = 0; i < enteringEles.length; i++) {
+            const enteringEle = enteringEles[i];
+            const leavingEle = findSharedElement(leavingEles, enteringEle.getAttribute(SHARED_ELEMENT_ATTR));
+            if (!leavingEle) {
+                continue;
+            }
+            const cloneEle = enteringEle.cloneNode(true);
+            cloneEle.removeAttribute(SHARED_ELEMENT_ATTR);
+            // the real values aren't known until the pages can be measured,
+            // so they're updated with the "to" values in writeSharedElements()
+            const cloneAnimation = new Animation(cloneEle)
+                .fromTo(TRANSLATEX, '0px', '0px')
+                .fromTo(TRANSLATEY, '0px', '0px')
+                .fromTo(SCALEX, 1, 1)
+                .fromTo(SCALEY, 1, 1)
+                .fromTo(BORDER_RADIUS, '0px', '0px');
+            cloneAnimation.onFinish(removeSharedClone.bind(null, cloneEle));
+            const sharedAnimation = new Animation([leavingEle, enteringEle]);
+            sharedAnimation.beforeStyles({ 'visibility': 'hidden' });
+            sharedAnimation.afterClearStyles(['visibility']);
+            this.add(cloneAnimation).add(sharedAnimation);
+            sharedElements.push({
+                leavingEle: leavingEle,
+                enteringEle: enteringEle,
+                cloneEle: cloneEle,
+                cloneAnimation: cloneAnimation
+            });
+        }
+        if (sharedElements.length) {
+            this._sharedElements = sharedElements;
+            this.beforeAddWrite(this.writeSharedElements.bind(this));
+        }
+    }
+    /**
+     * DOM READ
+     * DOM WRITE
+     */
+    writeSharedElements() {
+        const sharedElements = this._sharedElements;
+        const enteringPageEle = this.enteringView.pageRef().nativeElement;
+        const leavingPageEle = this.leavingView.pageRef().nativeElement;
+        // the entering content's dimensions have just been written, so
+        // this is the first chance to read where its elements will end up
+        // ******** DOM READ ****************
+        const rects = sharedElements.map(shared => {
+            return {
+                from: getSharedElementRect(shared.leavingEle, leavingPageEle),
+                to: getSharedElementRect(shared.enteringEle, enteringPageEle)
+            };
+        });
+        const containerEle = enteringPageEle.parentElement;
+        for (let i = 0; i < sharedElements.length; i++) {
+            const shared = sharedElements[i];
+            const from = rects[i].from;
+            const to = rects[i].to;
+            const scaleX = (from.width ? to.width / from.width : 1);
+            const scaleY = (from.height ? to.height / from.height : 1);
+            // ******** DOM WRITE ****************
+            const style = shared.cloneEle.style;
+            style.position = 'absolute';
+            style.left = from.left + 'px';
+            style.top = from.top + 'px';
+            style.width = from.width + 'px';
+            style.height = from.height + 'px';
+            style.margin = '0';
+            style.boxSizing = 'border-box';
+            style.transformOrigin = style.webkitTransformOrigin = '0 0';
+            style.pointerEvents = 'none';
+            style.zIndex = '1000';
+            containerEle.appendChild(shared.cloneEle);
+            shared.cloneAnimation
+                .to(TRANSLATEX, (to.left - from.left) + 'px')
+                .to(TRANSLATEY, (to.top - from.top) + 'px')
+                .to(SCALEX, scaleX)
+                .to(SCALEY, scaleY)
+                .from(BORDER_RADIUS, from.radius + 'px')
+                .to(BORDER_RADIUS, (to.radius / scaleX) + 'px');
+        }
     }
     /**
      * DOM READ
@@ -33,7 +135,53 @@ export class PageTransition extends Transition {
     }
     destroy() {
         super.destroy();
-        this.enteringPage = null;
+        if (this._sharedElements) {
+            this._sharedElements.forEach(shared => removeSharedClone(shared.cloneEle));
+        }
+        this.enteringPage = this._sharedElements = null;
+    }
+}
+function findSharedElement(eles, sharedId) {
+    for (let i = 0; i < eles.length; i++) {
+        if (eles[i].getAttribute(SHARED_ELEMENT_ATTR) === sharedId) {
+            return eles[i];
+        }
+    }
+    return null;
+}
+/**
+ * DOM READ
+ * Position of the element relative to its page's container. Offsets are
+ * used rather than the bounding rect so the transforms the transition
+ * has already put on the pages don't throw off the measurement.
+ */
+function getSharedElementRect(ele, pageEle) {
+    let left = pageEle.offsetLeft;
+    let top = pageEle.offsetTop;
+    let node = ele;
+    while (node && node !== pageEle) {
+        left += node.offsetLeft;
+        top += node.offsetTop;
+        node = node.offsetParent;
+    }
+    // take off how far each of the scrollable parents have scrolled
+    node = ele.parentElement;
+    while (node && node !== pageEle) {
+        left -= node.scrollLeft;
+        top -= node.scrollTop;
+        node = node.parentElement;
+    }
+    return {
+        left: left,
+        top: top,
+        width: ele.offsetWidth,
+        height: ele.offsetHeight,
+        radius: parseFloat(window.getComputedStyle(ele).borderTopLeftRadius) || 0
+    };
+}
+function removeSharedClone(cloneEle) {
+    if (cloneEle.parentNode) {
+        cloneEle.parentNode.removeChild(cloneEle);
     }
 }
 //# sourceMappingURL=page-transition.js.map
\ No newline at end of file
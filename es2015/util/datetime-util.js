@@ -163,8 +163,13 @@ export function parseDate(val) {
     for (var i = 1; i < 8; i++) {
         parse[i] = (parse[i] !== undefined ? parseInt(parse[i], 10) : null);
     }
-    var tzOffset = 0;
-    if (isPresent(parse[9]) && isPresent(parse[10])) {
+    // a value without an offset is left without one, rather than UTC, so a
+    // time zone can tell it apart and treat it as its own local time
+    let tzOffset = null;
+    if (parse[8] === 'Z') {
+        tzOffset = 0;
+    }
+    else if (isPresent(parse[9]) && isPresent(parse[10])) {
         // hours
         tzOffset = parseInt(parse[10], 10) * 60;
         if (isPresent(parse[11])) {
@@ -299,7 +304,8 @@ export function convertDataToISO(data) {
                         }
                         else {
                             // YYYY-MM-DDTHH:mm:SS+/-HH:mm
-                            rtn += (data.tzOffset > 0 ? '+' : '-') + twoDigit(Math.floor(data.tzOffset / 60)) + ':' + twoDigit(data.tzOffset % 60);
+                            const tzOffset = Math.abs(data.tzOffset);
+                            rtn += (data.tzOffset > 0 ? '+' : '-') + twoDigit(Math.floor(tzOffset / 60)) + ':' + twoDigit(tzOffset % 60);
                         }
                     }
                 }
@@ -320,6 +326,244 @@ export function convertDataToISO(data) {
     }
     return rtn;
 }
+export function convertDataToTimeZone(data, timeZone, isLocal) {
+    // only a full date and time is a moment which can be moved between time zones
+    if (!timeZone || isBlank(data.year) || isBlank(data.month) || isBlank(data.day) || isBlank(data.hour)) {
+        return;
+    }
+    if (!isLocal && isPresent(data.tzOffset)) {
+        // move the moment in time to the same moment in the time zone
+        const zoneData = getTimeZoneData(getDataTime(data) - (data.tzOffset * 60000), timeZone);
+        if (zoneData) {
+            assign(data, zoneData);
+        }
+        return;
+    }
+    // the date and time is already in the time zone, so it only needs the zone's offset
+    const tzOffset = getTimeZoneOffset(data, timeZone);
+    if (isPresent(tzOffset)) {
+        data.tzOffset = tzOffset;
+    }
+}
+export function getTimeZoneOffset(data, timeZone) {
+    // the offset can change during the day, such as with daylight saving time, so the
+    // offset for the date and time as if it was UTC is used to find the actual moment
+    const localTime = getDataTime(data);
+    let zoneData = getTimeZoneData(localTime, timeZone);
+    if (!zoneData) {
+        return null;
+    }
+    zoneData = getTimeZoneData(localTime - (zoneData.tzOffset * 60000), timeZone);
+    return zoneData.tzOffset;
+}
+export function getLocaleNames(locale) {
+    const names = {
+        monthNames: [],
+        monthShortNames: [],
+        dayNames: [],
+        dayShortNames: [],
+    };
+    try {
+        const monthFormat = new Intl.DateTimeFormat(locale, { month: 'long', timeZone: 'UTC' });
+        const monthShortFormat = new Intl.DateTimeFormat(locale, { month: 'short', timeZone: 'UTC' });
+        const dayFormat = new Intl.DateTimeFormat(locale, { weekday: 'long', timeZone: 'UTC' });
+        const dayShortFormat = new Intl.DateTimeFormat(locale, { weekday: 'short', timeZone: 'UTC' });
+        for (let i = 0; i < 12; i++) {
+            const month = new Date(Date.UTC(2017, i, 1));
+            names.monthNames.push(monthFormat.format(month));
+            names.monthShortNames.push(monthShortFormat.format(month));
+        }
+        for (let i = 0; i < 7; i++) {
+            // January 1st, 2017 was a Sunday
+            const day = new Date(Date.UTC(2017, 0, i + 1));
+            names.dayNames.push(dayFormat.format(day));
+            names.dayShortNames.push(dayShortFormat.format(day));
+        }
+    }
+    catch (e) {
+        // either Intl isn't available, or the locale isn't valid
+        return null;
+    }
+    return names;
+}
+export function isLocale24Hour(locale) {
+    try {
+        return !new Intl.DateTimeFormat(locale, { hour: 'numeric' }).resolvedOptions().hour12;
+    }
+    catch (e) {
+        return null;
+    }
+}
+export function getLocaleFirstDay(locale) {
+    // the first day of the week, from 0 for Sunday to 6 for Saturday
+    try {
+        const intlLocale = new Intl.Locale(locale);
+        const weekInfo = intlLocale.getWeekInfo ? intlLocale.getWeekInfo() : intlLocale.weekInfo;
+        if (weekInfo) {
+            // the week info counts from 1 for Monday to 7 for Sunday
+            return weekInfo.firstDay % 7;
+        }
+    }
+    catch (e) {
+        // either Intl.Locale isn't available, or the locale isn't valid
+    }
+    // otherwise go by the locale's region, or the language's most likely region
+    const subtags = locale.split(/[-_]/);
+    let region = subtags.slice(1).filter(subtag => /^([a-z]{2}|\d{3})$/i.test(subtag))[0];
+    region = (region || LIKELY_REGIONS[subtags[0].toLowerCase()] || '').toUpperCase();
+    if (SUNDAY_REGIONS.indexOf(region) > -1) {
+        return 0;
+    }
+    if (SATURDAY_REGIONS.indexOf(region) > -1) {
+        return 6;
+    }
+    return 1;
+}
+export function localizeTemplate(template, locale) {
+    const cacheKey = locale + '|' + template;
+    let localized = LOCALIZED_TEMPLATES[cacheKey];
+    if (localized === undefined) {
+        localized = template;
+        try {
+            localized = createLocaleTemplate(template, locale);
+        }
+        catch (e) {
+            // either Intl isn't available, or the locale isn't valid
+        }
+        LOCALIZED_TEMPLATES[cacheKey] = localized;
+    }
+    return localized;
+}
+function createLocaleTemplate(template, locale) {
+    const formats = parseTemplate(template);
+    const tokens = {};
+    formats.forEach(format => {
+        const type = (format === FORMAT_DDDD || format === FORMAT_DDD) ? 'weekday' : convertFormatToKey(format);
+        if (!tokens[type]) {
+            tokens[type] = format;
+        }
+    });
+    const is24Hour = isLocale24Hour(locale);
+    if (tokens.hour && is24Hour !== null) {
+        // use the hour cycle the locale prefers
+        const is12HourFormat = (tokens.hour === FORMAT_hh || tokens.hour === FORMAT_h);
+        if (is24Hour && is12HourFormat) {
+            tokens.hour = (tokens.hour === FORMAT_hh ? FORMAT_HH : FORMAT_H);
+            delete tokens.ampm;
+        }
+        else if (!is24Hour && !is12HourFormat) {
+            tokens.hour = (tokens.hour === FORMAT_HH ? FORMAT_hh : FORMAT_h);
+            tokens.ampm = tokens.ampm || FORMAT_A;
+        }
+    }
+    const opts = { timeZone: 'UTC' };
+    if (tokens.year) {
+        opts.year = (tokens.year === FORMAT_YY ? '2-digit' : 'numeric');
+    }
+    if (tokens.month) {
+        opts.month = (tokens.month === FORMAT_MMMM ? 'long' : tokens.month === FORMAT_MMM ? 'short' : tokens.month === FORMAT_MM ? '2-digit' : 'numeric');
+    }
+    if (tokens.day) {
+        opts.day = 'numeric';
+    }
+    if (tokens.weekday) {
+        opts.weekday = (tokens.weekday === FORMAT_DDDD ? 'long' : 'short');
+    }
+    if (tokens.hour) {
+        opts.hour = 'numeric';
+        opts.hour12 = !!tokens.ampm;
+    }
+    if (tokens.minute) {
+        opts.minute = '2-digit';
+    }
+    if (tokens.second) {
+        opts.second = '2-digit';
+    }
+    // format a date with every part, then swap each part for its token
+    const parts = new Intl.DateTimeFormat(locale, opts).formatToParts(new Date(Date.UTC(2017, 10, 23, 15, 45, 30)));
+    let localized = '';
+    let hasAmPm = false;
+    parts.forEach(part => {
+        const type = (part.type === 'dayPeriod' || part.type === 'dayperiod') ? 'ampm' : part.type;
+        if (type === 'literal') {
+            // latin letters in between parts, such as "de" or "at",
+            // would be mistaken for tokens, so only keep everything else
+            localized += part.value.replace(/[a-z]/gi, '');
+        }
+        else if (type === 'ampm') {
+            // am/pm is only recognized after the time, so it's always added at the end
+            hasAmPm = !!tokens.ampm;
+        }
+        else if (type === 'month' && /^\d+$/.test(part.value) && tokens.month !== FORMAT_MM && tokens.month !== FORMAT_M) {
+            // some locales, such as Japanese, write even long month names as numbers
+            localized += FORMAT_M;
+            tokens.month = FORMAT_M;
+        }
+        else if (tokens[type]) {
+            localized += tokens[type];
+        }
+    });
+    localized = localized.replace(/\s+/g, ' ').trim();
+    if (hasAmPm) {
+        localized += ' ' + tokens.ampm;
+    }
+    // the template is only localized if it still has every part
+    const hasAllParts = Object.keys(tokens).every(type => {
+        return localized.indexOf(tokens[type]) > -1;
+    });
+    return hasAllParts ? localized : template;
+}
+function getTimeZoneData(time, timeZone) {
+    const formatter = getTimeZoneFormatter(timeZone);
+    if (!formatter) {
+        return null;
+    }
+    const parts = {};
+    formatter.formatToParts(new Date(time)).forEach(part => {
+        parts[part.type] = parseInt(part.value, 10);
+    });
+    const zoneData = {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        // some browsers use 24 for midnight
+        hour: parts.hour % 24,
+        minute: parts.minute,
+        second: parts.second,
+    };
+    zoneData.tzOffset = Math.round((getDataTime(zoneData) - Math.floor(time / 1000) * 1000) / 60000);
+    return zoneData;
+}
+function getTimeZoneFormatter(timeZone) {
+    let formatter = TIME_ZONE_FORMATTERS[timeZone];
+    if (formatter === undefined) {
+        formatter = null;
+        try {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: timeZone,
+                hour12: false,
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            });
+            if (!formatter.formatToParts) {
+                console.warn('Time zones require Intl.DateTimeFormat formatToParts()');
+                formatter = null;
+            }
+        }
+        catch (e) {
+            console.warn("Invalid time zone: \"" + timeZone + "\"");
+        }
+        TIME_ZONE_FORMATTERS[timeZone] = formatter;
+    }
+    return formatter;
+}
+function getDataTime(data) {
+    return Date.UTC(data.year, data.month - 1, data.day, data.hour, data.minute || 0, data.second || 0, data.millisecond || 0);
+}
 function twoDigit(val) {
     return ('0' + (isPresent(val) ? Math.abs(val) : '0')).slice(-2);
 }
@@ -417,6 +661,19 @@ const MONTH_SHORT_NAMES = [
     'Nov',
     'Dec',
 ];
+const TIME_ZONE_FORMATTERS = {};
+const LOCALIZED_TEMPLATES = {};
+const SUNDAY_REGIONS = [
+    'AG', 'AS', 'BD', 'BR', 'BS', 'BT', 'BW', 'BZ', 'CA', 'CO', 'DM', 'DO', 'ET', 'GT', 'GU', 'HK', 'HN', 'ID',
+    'IL', 'IN', 'JM', 'JP', 'KE', 'KH', 'KR', 'LA', 'MH', 'MM', 'MO', 'MT', 'MX', 'MZ', 'NI', 'NP', 'PA', 'PE',
+    'PH', 'PK', 'PR', 'PT', 'PY', 'SA', 'SG', 'SV', 'TH', 'TT', 'TW', 'UM', 'US', 'VE', 'VI', 'WS', 'YE', 'ZA', 'ZW'
+];
+const SATURDAY_REGIONS = [
+    'AE', 'AF', 'BH', 'DJ', 'DZ', 'EG', 'IQ', 'IR', 'JO', 'KW', 'LY', 'OM', 'QA', 'SD', 'SY'
+];
+const LIKELY_REGIONS = {
+    ar: 'EG', en: 'US', fa: 'IR', he: 'IL', hi: 'IN', id: 'ID', ja: 'JP', ko: 'KR', pt: 'BR', th: 'TH'
+};
 const VALID_AMPM_PREFIX = [
     FORMAT_hh, FORMAT_h, FORMAT_mm, FORMAT_m, FORMAT_ss, FORMAT_s
 ];
@@ -7,4 +7,8 @@ export declare enum Key {
     ESCAPE = 27,
     SPACE = 32,
     TAB = 9,
+    PAGE_UP = 33,
+    PAGE_DOWN = 34,
+    END = 35,
+    HOME = 36,
 }
@@ -0,0 +1,34 @@
+import { Injector, NgModuleFactoryLoader, NgModuleRef, NgZone, OpaqueToken } from '@angular/core';
+import { Config } from '../config/config';
+import { DeepLinker } from '../navigation/deep-linker';
+/**
+ * @private
+ * Token which lazy loaded modules use to provide the page
+ * component the DeepLinker should navigate to.
+ */
+export declare const LAZY_LOADED_TOKEN: OpaqueToken;
+/**
+ * @private
+ */
+export declare class ModuleLoader {
+    private _ngModuleLoader;
+    private _injector;
+    private _ngModuleRefs;
+    private _promises;
+    constructor(_ngModuleLoader: NgModuleFactoryLoader, _injector: Injector);
+    /**
+     * Load the NgModule found at the `loadChildren` path, such as
+     * `./pages/detail/detail.module#DetailPageModule`, and resolve
+     * with the page component the module provides.
+     */
+    load(modulePath: string): Promise<any>;
+    /**
+     * Returns the NgModuleRef of the module which loaded
+     * the given component, or `null` if it wasn't lazy loaded.
+     */
+    getNgModuleRef(component: any): NgModuleRef<any>;
+}
+/**
+ * @private
+ */
+export declare function setupPreloading(config: Config, deepLinker: DeepLinker, zone: NgZone): () => void;
@@ -0,0 +1,82 @@
+import { Injectable, Injector, NgModuleFactoryLoader, OpaqueToken } from '@angular/core';
+/**
+ * @private
+ * Token which lazy loaded modules use to provide the page
+ * component the DeepLinker should navigate to.
+ */
+export const LAZY_LOADED_TOKEN = new OpaqueToken('LZYCMP');
+/**
+ * @private
+ */
+export class ModuleLoader {
+    constructor(_ngModuleLoader, _injector) {
+        this._ngModuleLoader = _ngModuleLoader;
+        this._injector = _injector;
+        this._ngModuleRefs = new Map();
+        this._promises = {};
+    }
+    /**
+     * Load the NgModule found at the `loadChildren` path, such as
+     * `./pages/detail/detail.module#DetailPageModule`, and resolve
+     * with the page component the module provides.
+     */
+    load(modulePath) {
+        if (!this._promises[modulePath]) {
+            // only load each module once, every request after the
+            // first one shares the same promise. a loader which throws
+            // right away rejects the promise rather than the caller
+            this._promises[modulePath] = new Promise(resolve => {
+                resolve(this._ngModuleLoader.load(modulePath));
+            }).then(ngModuleFactory => {
+                const ngModuleRef = ngModuleFactory.create(this._injector);
+                const component = ngModuleRef.injector.get(LAZY_LOADED_TOKEN);
+                // remember the module, the app's root resolver and injector
+                // don't know about the lazy loaded component or its providers
+                this._ngModuleRefs.set(component, ngModuleRef);
+                return component;
+            }).catch(err => {
+                // allow a failed module to be attempted again later
+                delete this._promises[modulePath];
+                throw err;
+            });
+        }
+        return this._promises[modulePath];
+    }
+    /**
+     * Returns the NgModuleRef of the module which loaded
+     * the given component, or `null` if it wasn't lazy loaded.
+     */
+    getNgModuleRef(component) {
+        return this._ngModuleRefs.get(component) || null;
+    }
+}
+ModuleLoader.decorators = [
+    { type: Injectable },
+];
+/** @nocollapse */
+ModuleLoader.ctorParameters = [
+    { type: NgModuleFactoryLoader, },
+    { type: Injector, },
+];
+/**
+ * @private
+ */
+export function setupPreloading(config, deepLinker, zone) {
+    return function () {
+        if (config.getBoolean('preloadModules')) {
+            // wait for the app to finish its first render, then
+            // load the modules with a `high` priority before the `low` ones
+            zone.runOutsideAngular(() => {
+                setTimeout(() => {
+                    deepLinker.preloadModules('high').then(() => {
+                        return deepLinker.preloadModules('low');
+                    }).catch(err => {
+                        console.error('preloading modules failed: ' + err);
+                    });
+                }, PRELOAD_DELAY);
+            });
+        }
+    };
+}
+const PRELOAD_DELAY = 1000;
+//# sourceMappingURL=module-loader.js.map
\ No newline at end of file
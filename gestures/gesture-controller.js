@@ -10,6 +10,16 @@ export var GESTURE_ITEM_SWIPE = 'item-swipe';
 export var GESTURE_REFRESHER = 'refresher';
 /** @private */
 export var GESTURE_TOGGLE = 'toggle';
+/** @private */
+export var GESTURE_TRANSFORM = 'transform';
+/** @private */
+export var GESTURE_PRESS = 'press';
+/** @private */
+export var GESTURE_DOUBLE_TAP = 'double-tap';
+/** @private */
+export var GESTURE_TOAST_SWIPE = 'toast-swipe';
+/** @private */
+export var GESTURE_TABS_SWIPE = 'tabs-swipe';
 /**
 * @private
 */
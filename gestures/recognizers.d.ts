@@ -13,3 +13,38 @@ export declare class PanRecognizer {
     angle(): any;
     pan(): number;
 }
+export declare class PinchRecognizer {
+    private dirty;
+    private threshold;
+    private startDistance;
+    private _distance;
+    private _scale;
+    constructor(threshold: number);
+    start(coordA: PointerCoordinates, coordB: PointerCoordinates): void;
+    detect(coordA: PointerCoordinates, coordB: PointerCoordinates): boolean;
+    scale(): number;
+}
+export declare class RotateRecognizer {
+    private dirty;
+    private threshold;
+    private _lastAngle;
+    private _rotation;
+    constructor(threshold: number);
+    start(coordA: PointerCoordinates, coordB: PointerCoordinates): void;
+    detect(coordA: PointerCoordinates, coordB: PointerCoordinates): boolean;
+    rotation(): number;
+}
+export declare class TapRecognizer {
+    private taps;
+    private interval;
+    private threshold;
+    private startCoord;
+    private _count;
+    private _lastTapTime;
+    private _lastTapCoord;
+    constructor(taps: number, interval: number, threshold: number);
+    start(coord: PointerCoordinates, timestamp: number): void;
+    detect(coord: PointerCoordinates, timestamp: number): boolean;
+    reset(): void;
+    private _isFar(coordA, coordB);
+}
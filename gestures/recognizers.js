@@ -49,4 +49,118 @@ export var PanRecognizer = (function () {
     };
     return PanRecognizer;
 }());
+export var PinchRecognizer = (function () {
+    function PinchRecognizer(threshold) {
+        this.dirty = false;
+        this._distance = 0;
+        this._scale = 1;
+        this.threshold = threshold;
+    }
+    PinchRecognizer.prototype.start = function (coordA, coordB) {
+        this.startDistance = getDistance(coordA, coordB);
+        this._distance = this.startDistance;
+        this._scale = 1;
+        this.dirty = true;
+    };
+    PinchRecognizer.prototype.detect = function (coordA, coordB) {
+        this._distance = getDistance(coordA, coordB);
+        this._scale = (this.startDistance > 0 ? this._distance / this.startDistance : 1);
+        if (this.dirty && Math.abs(this._distance - this.startDistance) >= this.threshold) {
+            this.dirty = false;
+            return true;
+        }
+        return false;
+    };
+    PinchRecognizer.prototype.scale = function () {
+        return this._scale;
+    };
+    return PinchRecognizer;
+}());
+export var RotateRecognizer = (function () {
+    function RotateRecognizer(threshold) {
+        this.dirty = false;
+        this._lastAngle = 0;
+        this._rotation = 0;
+        this.threshold = threshold;
+    }
+    RotateRecognizer.prototype.start = function (coordA, coordB) {
+        this._lastAngle = getAngle(coordA, coordB);
+        this._rotation = 0;
+        this.dirty = true;
+    };
+    RotateRecognizer.prototype.detect = function (coordA, coordB) {
+        var angle = getAngle(coordA, coordB);
+        // keep the change within -180 to 180 so the
+        // rotation doesn't jump when the angle wraps around
+        var delta = angle - this._lastAngle;
+        if (delta > 180) {
+            delta -= 360;
+        }
+        else if (delta < -180) {
+            delta += 360;
+        }
+        this._rotation += delta;
+        this._lastAngle = angle;
+        if (this.dirty && Math.abs(this._rotation) >= this.threshold) {
+            this.dirty = false;
+            return true;
+        }
+        return false;
+    };
+    RotateRecognizer.prototype.rotation = function () {
+        return this._rotation;
+    };
+    return RotateRecognizer;
+}());
+export var TapRecognizer = (function () {
+    function TapRecognizer(taps, interval, threshold) {
+        this.taps = taps;
+        this.interval = interval;
+        this._count = 0;
+        this._lastTapTime = 0;
+        this.threshold = threshold * threshold;
+    }
+    TapRecognizer.prototype.start = function (coord, timestamp) {
+        if (this._count > 0 && (timestamp - this._lastTapTime > this.interval || this._isFar(coord, this._lastTapCoord))) {
+            // too long, or too far, since the last tap
+            this._count = 0;
+        }
+        this.startCoord = coord;
+    };
+    TapRecognizer.prototype.detect = function (coord, timestamp) {
+        if (this._isFar(coord, this.startCoord)) {
+            // the pointer moved, so it wasn't a tap
+            this._count = 0;
+            return false;
+        }
+        this._count++;
+        this._lastTapTime = timestamp;
+        this._lastTapCoord = coord;
+        if (this._count >= this.taps) {
+            this._count = 0;
+            return true;
+        }
+        return false;
+    };
+    TapRecognizer.prototype.reset = function () {
+        this._count = 0;
+    };
+    TapRecognizer.prototype._isFar = function (coordA, coordB) {
+        if (!coordA || !coordB) {
+            return true;
+        }
+        var deltaX = (coordA.x - coordB.x);
+        var deltaY = (coordA.y - coordB.y);
+        return (deltaX * deltaX + deltaY * deltaY) > this.threshold;
+    };
+    return TapRecognizer;
+}());
+function getDistance(coordA, coordB) {
+    var deltaX = (coordB.x - coordA.x);
+    var deltaY = (coordB.y - coordA.y);
+    return Math.sqrt(deltaX * deltaX + deltaY * deltaY);
+}
+function getAngle(coordA, coordB) {
+    return Math.atan2(coordB.y - coordA.y, coordB.x - coordA.x) * (180 / Math.PI);
+}
 //# sourceMappingURL=recognizers.js.map
\ No newline at end of file
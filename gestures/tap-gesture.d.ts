@@ -0,0 +1,78 @@
+import { GestureDelegate } from '../gestures/gesture-controller';
+export interface PressGestureConfig {
+    time?: number;
+    threshold?: number;
+    gesture?: GestureDelegate;
+    zone?: boolean;
+    capture?: boolean;
+    passive?: boolean;
+}
+export interface DoubleTapGestureConfig {
+    interval?: number;
+    threshold?: number;
+    gesture?: GestureDelegate;
+    zone?: boolean;
+    capture?: boolean;
+    passive?: boolean;
+}
+/**
+ * Recognizes a pointer which is held down without moving for the `time` in milliseconds.
+ *
+ * When the time is up, the gesture is captured with its `GestureDelegate` and then
+ * `onPress` is called. Once captured, pan gestures such as swipe to go back won't
+ * start, and `onPressUp` is called when the pointer is released. Moving the pointer
+ * further than the `threshold` before the time is up cancels the press.
+ */
+export declare class PressGesture {
+    private element;
+    private events;
+    private pointerEvents;
+    private timer;
+    private time;
+    private threshold;
+    private startCoord;
+    protected started: boolean;
+    private captured;
+    isListening: boolean;
+    protected gestute: GestureDelegate;
+    private eventsConfig;
+    constructor(element: HTMLElement, opts?: PressGestureConfig);
+    listen(): void;
+    unlisten(): void;
+    destroy(): void;
+    pointerDown(ev: any): boolean;
+    pointerMove(ev: any): void;
+    pointerUp(ev: any): void;
+    tryToCapture(ev: any): boolean;
+    cancel(): void;
+    getNativeElement(): HTMLElement;
+    canStart(ev: any): boolean;
+    onPress(ev: any): void;
+    onPressUp(ev: any): void;
+}
+/**
+ * Recognizes two taps in a row, each within the `interval` in milliseconds of
+ * the last and within the `threshold` in pixels of where the last one was.
+ *
+ * The gesture is captured with its `GestureDelegate` for the moment `onDoubleTap`
+ * is called, so it isn't called while another gesture, such as a menu swipe,
+ * has already been captured.
+ */
+export declare class DoubleTapGesture {
+    private element;
+    private events;
+    private pointerEvents;
+    private detector;
+    isListening: boolean;
+    protected gestute: GestureDelegate;
+    private eventsConfig;
+    constructor(element: HTMLElement, opts?: DoubleTapGestureConfig);
+    listen(): void;
+    unlisten(): void;
+    destroy(): void;
+    pointerDown(ev: any): boolean;
+    pointerUp(ev: any): void;
+    getNativeElement(): HTMLElement;
+    canStart(ev: any): boolean;
+    onDoubleTap(ev: any): void;
+}
@@ -0,0 +1,218 @@
+import { defaults } from '../util/util';
+import { TapRecognizer } from './recognizers';
+import { UIEventManager } from '../util/ui-event-manager';
+import { hasPointerMoved, pointerCoord } from '../util/dom';
+/**
+ * Recognizes a pointer which is held down without moving for the `time` in milliseconds.
+ *
+ * When the time is up, the gesture is captured with its `GestureDelegate` and then
+ * `onPress` is called. Once captured, pan gestures such as swipe to go back won't
+ * start, and `onPressUp` is called when the pointer is released. Moving the pointer
+ * further than the `threshold` before the time is up cancels the press.
+ */
+export var PressGesture = (function () {
+    function PressGesture(element, opts) {
+        if (opts === void 0) { opts = {}; }
+        this.element = element;
+        this.events = new UIEventManager(false);
+        this.started = false;
+        this.captured = false;
+        this.isListening = false;
+        this.timer = null;
+        defaults(opts, {
+            time: 500,
+            threshold: 10,
+            zone: true,
+            capture: false,
+            passive: false,
+        });
+        this.gestute = opts.gesture;
+        this.time = opts.time;
+        this.threshold = opts.threshold;
+        this.eventsConfig = {
+            element: this.element,
+            pointerDown: this.pointerDown.bind(this),
+            pointerMove: this.pointerMove.bind(this),
+            pointerUp: this.pointerUp.bind(this),
+            zone: opts.zone,
+            capture: opts.capture,
+            passive: opts.passive
+        };
+    }
+    PressGesture.prototype.listen = function () {
+        if (this.isListening) {
+            return;
+        }
+        this.pointerEvents = this.events.pointerEvents(this.eventsConfig);
+        this.isListening = true;
+    };
+    PressGesture.prototype.unlisten = function () {
+        if (!this.isListening) {
+            return;
+        }
+        this.cancel();
+        this.events.unlistenAll();
+        this.isListening = false;
+    };
+    PressGesture.prototype.destroy = function () {
+        this.gestute && this.gestute.destroy();
+        this.gestute = null;
+        this.unlisten();
+        this.element = null;
+    };
+    PressGesture.prototype.pointerDown = function (ev) {
+        var _this = this;
+        if (this.started) {
+            // another finger went down, so it's no longer a press
+            this.cancel();
+            return;
+        }
+        if (!this.canStart(ev)) {
+            return false;
+        }
+        if (this.gestute) {
+            // Release fallback
+            this.gestute.release();
+            // Start gesture
+            if (!this.gestute.start()) {
+                return false;
+            }
+        }
+        this.started = true;
+        this.captured = false;
+        this.startCoord = pointerCoord(ev);
+        this.timer = setTimeout(function () {
+            _this.timer = null;
+            _this.tryToCapture(ev);
+        }, this.time);
+        return true;
+    };
+    PressGesture.prototype.pointerMove = function (ev) {
+        if (!this.started || this.captured) {
+            return;
+        }
+        if (hasPointerMoved(this.threshold, this.startCoord, pointerCoord(ev))) {
+            this.cancel();
+        }
+    };
+    PressGesture.prototype.pointerUp = function (ev) {
+        var wasCaptured = this.captured;
+        this.cancel();
+        if (wasCaptured) {
+            this.onPressUp(ev);
+        }
+    };
+    PressGesture.prototype.tryToCapture = function (ev) {
+        if (this.gestute && !this.gestute.capture()) {
+            this.cancel();
+            return false;
+        }
+        this.captured = true;
+        this.onPress(ev);
+        return true;
+    };
+    PressGesture.prototype.cancel = function () {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.gestute && this.gestute.release();
+        this.started = false;
+        this.captured = false;
+    };
+    PressGesture.prototype.getNativeElement = function () {
+        return this.element;
+    };
+    // Implemented in a subclass
+    PressGesture.prototype.canStart = function (ev) { return true; };
+    PressGesture.prototype.onPress = function (ev) { };
+    PressGesture.prototype.onPressUp = function (ev) { };
+    return PressGesture;
+}());
+/**
+ * Recognizes two taps in a row, each within the `interval` in milliseconds of
+ * the last and within the `threshold` in pixels of where the last one was.
+ *
+ * The gesture is captured with its `GestureDelegate` for the moment `onDoubleTap`
+ * is called, so it isn't called while another gesture, such as a menu swipe,
+ * has already been captured.
+ */
+export var DoubleTapGesture = (function () {
+    function DoubleTapGesture(element, opts) {
+        if (opts === void 0) { opts = {}; }
+        this.element = element;
+        this.events = new UIEventManager(false);
+        this.isListening = false;
+        defaults(opts, {
+            interval: 300,
+            threshold: 20,
+            zone: true,
+            capture: false,
+            passive: false,
+        });
+        this.gestute = opts.gesture;
+        this.eventsConfig = {
+            element: this.element,
+            pointerDown: this.pointerDown.bind(this),
+            pointerUp: this.pointerUp.bind(this),
+            zone: opts.zone,
+            capture: opts.capture,
+            passive: opts.passive
+        };
+        this.detector = new TapRecognizer(2, opts.interval, opts.threshold);
+    }
+    DoubleTapGesture.prototype.listen = function () {
+        if (this.isListening) {
+            return;
+        }
+        this.pointerEvents = this.events.pointerEvents(this.eventsConfig);
+        this.isListening = true;
+    };
+    DoubleTapGesture.prototype.unlisten = function () {
+        if (!this.isListening) {
+            return;
+        }
+        this.gestute && this.gestute.release();
+        this.detector.reset();
+        this.events.unlistenAll();
+        this.isListening = false;
+    };
+    DoubleTapGesture.prototype.destroy = function () {
+        this.gestute && this.gestute.destroy();
+        this.gestute = null;
+        this.unlisten();
+        this.element = null;
+    };
+    DoubleTapGesture.prototype.pointerDown = function (ev) {
+        if (ev.touches && ev.touches.length > 1) {
+            // a tap is only ever one finger
+            this.detector.reset();
+            return false;
+        }
+        if (!this.canStart(ev)) {
+            return false;
+        }
+        this.detector.start(pointerCoord(ev), Date.now());
+        return true;
+    };
+    DoubleTapGesture.prototype.pointerUp = function (ev) {
+        if (!this.detector.detect(pointerCoord(ev), Date.now())) {
+            return;
+        }
+        if (this.gestute) {
+            if (!this.gestute.capture()) {
+                return;
+            }
+            this.onDoubleTap(ev);
+            this.gestute.release();
+            return;
+        }
+        this.onDoubleTap(ev);
+    };
+    DoubleTapGesture.prototype.getNativeElement = function () {
+        return this.element;
+    };
+    // Implemented in a subclass
+    DoubleTapGesture.prototype.canStart = function (ev) { return true; };
+    DoubleTapGesture.prototype.onDoubleTap = function (ev) { };
+    return DoubleTapGesture;
+}());
+//# sourceMappingURL=tap-gesture.js.map
\ No newline at end of file
@@ -1,4 +1,4 @@
-import { ANALYZE_FOR_ENTRY_COMPONENTS, APP_INITIALIZER, Inject, NgModule, NgZone, Optional } from '@angular/core';
+import { ANALYZE_FOR_ENTRY_COMPONENTS, APP_INITIALIZER, Inject, NgModule, NgModuleFactoryLoader, NgZone, Optional, SystemJsNgModuleLoader } from '@angular/core';
 import { APP_BASE_HREF, Location, LocationStrategy, HashLocationStrategy, PathLocationStrategy, PlatformLocation } from '@angular/common';
 import { BrowserModule, HAMMER_GESTURE_CONFIG } from '@angular/platform-browser';
 import { FormsModule, ReactiveFormsModule } from '@angular/forms';
@@ -21,6 +21,7 @@ import { Keyboard } from './util/keyboard';
 import { LoadingController } from './components/loading/loading';
 import { MenuController } from './components/menu/menu-controller';
 import { ModalController } from './components/modal/modal';
+import { LAZY_LOADED_TOKEN, ModuleLoader, setupPreloading } from './util/module-loader';
 import { PickerController } from './components/picker/picker';
 import { Platform, setupPlatform, UserAgentToken, NavigatorPlatformToken, DocumentDirToken, DocLangToken } from './platform/platform';
 import { PlatformConfigToken, providePlatformConfigs } from './platform/platform-registry';
@@ -40,6 +41,9 @@ import { LoadingCmp } from './components/loading/loading-component';
 import { ModalCmp } from './components/modal/modal-component';
 import { PickerCmp } from './components/picker/picker-component';
 import { PopoverCmp } from './components/popover/popover-component';
+import { SelectModalCmp } from './components/select/select-modal-component';
+import { SelectPopoverCmp } from './components/select/select-popover-component';
+import { TabsMoreCmp } from './components/tabs/tabs-more-component';
 import { ToastCmp } from './components/toast/toast-component';
 /**
  * Export Providers
@@ -125,8 +129,10 @@ export var IonicModule = (function () {
                 { provide: APP_INITIALIZER, useFactory: registerTransitions, deps: [Config], multi: true },
                 { provide: APP_INITIALIZER, useFactory: setupProvideEvents, deps: [Platform, DomController], multi: true },
                 { provide: APP_INITIALIZER, useFactory: setupTapClick, deps: [Config, App, NgZone, GestureController], multi: true },
+                { provide: APP_INITIALIZER, useFactory: setupPreloading, deps: [Config, DeepLinker, NgZone], multi: true },
                 // useClass
                 { provide: HAMMER_GESTURE_CONFIG, useClass: IonicGestureConfig },
+                { provide: NgModuleFactoryLoader, useClass: SystemJsNgModuleLoader },
                 // useValue
                 { provide: ANALYZE_FOR_ENTRY_COMPONENTS, useValue: appRoot, multi: true },
                 // ionic providers
@@ -144,6 +150,7 @@ export var IonicModule = (function () {
                 Location,
                 MenuController,
                 ModalController,
+                ModuleLoader,
                 PickerController,
                 PopoverController,
                 TapClick,
@@ -151,7 +158,7 @@ export var IonicModule = (function () {
                 TransitionController,
                 { provide: LocationStrategy, useFactory: provideLocationStrategy, deps: [PlatformLocation, [new Inject(APP_BASE_HREF), new Optional()], Config] },
                 { provide: UrlSerializer, useFactory: setupUrlSerializer, deps: [DeepLinkConfigToken] },
-                { provide: DeepLinker, useFactory: setupDeepLinker, deps: [App, UrlSerializer, Location] },
+                { provide: DeepLinker, useFactory: setupDeepLinker, deps: [App, UrlSerializer, Location, ModuleLoader, LocationStrategy] },
             ]
         };
     };
@@ -168,6 +175,9 @@ export var IonicModule = (function () {
                         ModalCmp,
                         PickerCmp,
                         PopoverCmp,
+                        SelectModalCmp,
+                        SelectPopoverCmp,
+                        TabsMoreCmp,
                         ToastCmp
                     ],
                     entryComponents: [
@@ -178,6 +188,9 @@ export var IonicModule = (function () {
                         ModalCmp,
                         PickerCmp,
                         PopoverCmp,
+                        SelectModalCmp,
+                        SelectPopoverCmp,
+                        TabsMoreCmp,
                         ToastCmp
                     ]
                 },] },
@@ -186,6 +199,55 @@ export var IonicModule = (function () {
     IonicModule.ctorParameters = [];
     return IonicModule;
 }());
+/**
+ * @name IonicPageModule
+ * @description
+ * IonicPageModule is an NgModule for pages which are lazy loaded by the DeepLinker. The page passed
+ * to `forChild` is the component the DeepLinker navigates to once the module has been loaded.
+ *
+ * @usage
+ * ```ts
+ * import { NgModule } from '@angular/core';
+ * import { IonicPageModule } from 'ionic-angular';
+ * import { DetailPage } from './detail';
+ *
+ * @NgModule({
+ *   declarations: [
+ *     DetailPage
+ *   ],
+ *   imports: [
+ *     IonicPageModule.forChild(DetailPage)
+ *   ]
+ * })
+ * export class DetailPageModule {}
+ * ```
+ */
+export var IonicPageModule = (function () {
+    function IonicPageModule() {
+    }
+    /**
+     * Set the page component this lazy loaded module provides
+     * @param {any} page The page component the DeepLinker should navigate to.
+     */
+    IonicPageModule.forChild = function (page) {
+        return {
+            ngModule: IonicPageModule,
+            providers: [
+                { provide: LAZY_LOADED_TOKEN, useValue: page },
+                { provide: ANALYZE_FOR_ENTRY_COMPONENTS, useValue: page, multi: true },
+            ]
+        };
+    };
+    IonicPageModule.decorators = [
+        { type: NgModule, args: [{
+                    imports: [IonicModule],
+                    exports: [IonicModule]
+                },] },
+    ];
+    /** @nocollapse */
+    IonicPageModule.ctorParameters = [];
+    return IonicPageModule;
+}());
 /**
  * @private
  */
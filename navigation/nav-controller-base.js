@@ -4,9 +4,9 @@ var __extends = (this && this.__extends) || function (d, b) {
     d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
 };
 import { EventEmitter, ReflectiveInjector } from '@angular/core';
-import { convertToView, convertToViews, DIRECTION_BACK, DIRECTION_FORWARD, INIT_ZINDEX, ViewState } from './nav-util';
+import { convertToView, convertToViews, DIRECTION_BACK, DIRECTION_FORWARD, INIT_ZINDEX, isViewMatch, ViewState } from './nav-util';
 import { setZIndex } from './nav-util';
-import { isBlank, isNumber, isPresent, removeArrayItem } from '../util/util';
+import { isBlank, isNumber, isPresent, isString, removeArrayItem } from '../util/util';
 import { isViewController, ViewController } from './view-controller';
 import { Ion } from '../components/ion';
 import { NavController } from './nav-controller';
@@ -31,6 +31,8 @@ export var NavControllerBase = (function (_super) {
         this._linker = _linker;
         this._domCtrl = _domCtrl;
         this._children = [];
+        this._guards = [];
+        this._resolvers = [];
         this._ids = -1;
         this._init = false;
         this._queue = [];
@@ -48,6 +50,11 @@ export var NavControllerBase = (function (_super) {
         this.id = 'n' + (++ctrlIds);
     }
     NavControllerBase.prototype.push = function (page, params, opts, done) {
+        if (this._masterDetail) {
+            // this is the master nav of a master-detail, which
+            // decides whether the page goes into its detail nav
+            return this._masterDetail._push(page, params, opts, done);
+        }
         return this._queueTrns({
             insertStart: -1,
             insertViews: [convertToView(this._linker, page, params)],
@@ -201,6 +208,9 @@ export var NavControllerBase = (function (_super) {
             ti.reject('no views in the stack to be removed');
             return promise;
         }
+        if (ti.opts && this._rejectUnknownTransition(ti, ti.opts.animation)) {
+            return promise;
+        }
         this._queue.push(ti);
         // if there isn't a transition already happening
         // then this will kick off this transition
@@ -220,6 +230,29 @@ export var NavControllerBase = (function (_super) {
         if (!ti) {
             return false;
         }
+        // lazy loaded pages are only known by their name until their
+        // module has been loaded, so load those before going any further
+        var lazyViews = ti.insertViews ? ti.insertViews.filter(function (v) { return isString(v.component); }) : [];
+        if (lazyViews.length) {
+            return this._loadLazyViews(lazyViews, ti);
+        }
+        return this._startTI(ti);
+    };
+    NavControllerBase.prototype._loadLazyViews = function (lazyViews, ti) {
+        var _this = this;
+        // block any other transitions while the modules load
+        this.setTransitioning(true);
+        Promise.all(lazyViews.map(function (view) {
+            return _this._linker.loadComponent(view.component).then(function (component) {
+                view.component = component;
+            });
+        })).then(function () {
+            _this.setTransitioning(false);
+            _this._startTI(ti);
+        }).catch(ti.reject);
+        return true;
+    };
+    NavControllerBase.prototype._startTI = function (ti) {
         // Get entering and leaving views
         var leavingView = this.getActive();
         var enteringView = this._getEnteringView(ti, leavingView);
@@ -229,14 +262,22 @@ export var NavControllerBase = (function (_super) {
         }
         // set that this nav is actively transitioning
         this.setTransitioning(true);
+        // Only test guards and canLeave/canEnter if there is transition
+        var requiresTransition = (ti.enteringRequiresTransition || ti.leavingRequiresTransition) && enteringView !== leavingView;
+        if (requiresTransition) {
+            // registered guards and resolvers run before the entering view
+            // is created, so any resolved data is already in its NavParams
+            return this._guardTest(enteringView, leavingView, ti);
+        }
+        return this._viewInitTest(enteringView, leavingView, ti, false);
+    };
+    NavControllerBase.prototype._viewInitTest = function (enteringView, leavingView, ti, requiresTransition) {
         // Initialize enteringView
         if (enteringView && isBlank(enteringView._state)) {
             // render the entering view, and all child navs and views
             // ******** DOM WRITE ****************
             this._viewInit(enteringView);
         }
-        // Only test canLeave/canEnter if there is transition
-        var requiresTransition = (ti.enteringRequiresTransition || ti.leavingRequiresTransition) && enteringView !== leavingView;
         if (requiresTransition) {
             // views have been initialized, now let's test
             // to see if the transition is even allowed or not
@@ -334,6 +375,36 @@ export var NavControllerBase = (function (_super) {
             ti.reject('navigation stack needs at least one root page');
             return false;
         }
+        if (insertViews && ti.enteringRequiresTransition) {
+            // default to forward if not already set
+            opts.direction = opts.direction || DIRECTION_FORWARD;
+        }
+        var requiresTransition = ti.enteringRequiresTransition || ti.leavingRequiresTransition && enteringView !== leavingView;
+        if (requiresTransition) {
+            // set which animation it should use if it wasn't set yet
+            if (!opts.animation) {
+                if (enteringView && !enteringView._nav) {
+                    // a new view only gets its nav once it's inserted into the
+                    // stack, but it already needs it to look up its transition
+                    enteringView._setNav(this);
+                }
+                if (isPresent(ti.removeStart)) {
+                    opts.animation = (leavingView || enteringView).getTransitionName(opts.direction);
+                }
+                else {
+                    opts.animation = (enteringView || leavingView).getTransitionName(opts.direction);
+                }
+            }
+            // the name may come from the config, so check it before the stack changes
+            if (this._rejectUnknownTransition(ti, opts.animation)) {
+                if (insertViews && insertViews.indexOf(enteringView) > -1 && this._views.indexOf(enteringView) < 0) {
+                    // the entering view was created for this transition but
+                    // never made it into the stack, so don't leave it behind
+                    this._destroyView(enteringView);
+                }
+                return false;
+            }
+        }
         // there are views to insert
         if (insertViews) {
             // manually set the new view's id if an id was passed in the options
@@ -346,10 +417,6 @@ export var NavControllerBase = (function (_super) {
                 (void 0) /* assert */;
                 this._insertViewAt(view, ti.insertStart + i);
             }
-            if (ti.enteringRequiresTransition) {
-                // default to forward if not already set
-                opts.direction = opts.direction || DIRECTION_FORWARD;
-            }
         }
         // if the views to be removed are in the beginning or middle
         // and there is not a view that needs to visually transition out
@@ -370,16 +437,7 @@ export var NavControllerBase = (function (_super) {
                 this._destroyView(destroyQueue[i]);
             }
         }
-        if (ti.enteringRequiresTransition || ti.leavingRequiresTransition && enteringView !== leavingView) {
-            // set which animation it should use if it wasn't set yet
-            if (!opts.animation) {
-                if (isPresent(ti.removeStart)) {
-                    opts.animation = (leavingView || enteringView).getTransitionName(opts.direction);
-                }
-                else {
-                    opts.animation = (enteringView || leavingView).getTransitionName(opts.direction);
-                }
-            }
+        if (requiresTransition) {
             // huzzah! let us transition these views
             this._transition(enteringView, leavingView, opts, ti.resolve);
         }
@@ -391,6 +449,18 @@ export var NavControllerBase = (function (_super) {
         }
         return true;
     };
+    /**
+     * Rejects the transition when its animation name hasn't been
+     * registered with the TransitionController.
+     */
+    NavControllerBase.prototype._rejectUnknownTransition = function (ti, animation) {
+        if (animation && !this._trnsCtrl.has(animation)) {
+            console.error("Unknown transition \"" + animation + "\". Transitions must be registered with TransitionController.register() before they can be used.");
+            ti.reject("unknown transition: " + animation);
+            return true;
+        }
+        return false;
+    };
     /**
      * DOM WRITE
      */
@@ -401,8 +471,12 @@ export var NavControllerBase = (function (_super) {
             { provide: ViewController, useValue: enteringView },
             { provide: NavParams, useValue: enteringView.getNavParams() }
         ]);
-        var componentFactory = this._cfr.resolveComponentFactory(enteringView.component);
-        var childInjector = ReflectiveInjector.fromResolvedProviders(componentProviders, this._viewport.parentInjector);
+        // lazy loaded components are resolved and injected by their own module
+        var ngModuleRef = this._linker.getNgModuleRef(enteringView.component);
+        var cfr = ngModuleRef ? ngModuleRef.componentFactoryResolver : this._cfr;
+        var componentFactory = cfr.resolveComponentFactory(enteringView.component);
+        var parentInjector = ngModuleRef ? ngModuleRef.injector : this._viewport.parentInjector;
+        var childInjector = ReflectiveInjector.fromResolvedProviders(componentProviders, parentInjector);
         // create ComponentRef and set it to the entering view
         enteringView.init(componentFactory.create(childInjector, []));
         enteringView._state = ViewState.INITIALIZED;
@@ -427,6 +501,85 @@ export var NavControllerBase = (function (_super) {
         // fire off the "didLoad" lifecycle events
         this._zone.run(this._didLoad.bind(this, view));
     };
+    NavControllerBase.prototype._guardTest = function (enteringView, leavingView, ti) {
+        var _this = this;
+        var guards = this._getNavItems('_guards');
+        var promises = [];
+        var result;
+        for (var i = 0; i < guards.length; i++) {
+            if (leavingView) {
+                result = guardResult(guards[i], 'canLeave', leavingView, this);
+                if (result === false) {
+                    // synchronous reject
+                    ti.reject('nav guard canLeave rejected');
+                    return false;
+                }
+                else if (result instanceof Promise) {
+                    promises.push(result);
+                }
+            }
+            if (enteringView) {
+                result = guardResult(guards[i], 'canEnter', enteringView, this);
+                if (result === false) {
+                    // synchronous reject
+                    ti.reject('nav guard canEnter rejected');
+                    return false;
+                }
+                else if (result instanceof Promise) {
+                    promises.push(result);
+                }
+            }
+        }
+        // only views which haven't been created yet get resolved data,
+        // cached views already had their NavParams handed to the component
+        var resolvers = (enteringView && isBlank(enteringView._state)) ? this._getNavItems('_resolvers') : [];
+        resolvers = resolvers.filter(function (r) { return isViewMatch(enteringView, r.pages); });
+        if (!promises.length && !resolvers.length) {
+            // nothing async to wait for, keep going synchronously
+            return this._viewInitTest(enteringView, leavingView, ti, true);
+        }
+        Promise.all(promises).then(function (values) {
+            if (values.some(function (r) { return r === false; })) {
+                throw 'nav guard rejected';
+            }
+            // all guards passed, now resolve the data for the entering view
+            return Promise.all(resolvers.map(function (r) {
+                return Promise.resolve(r.resolve(enteringView, _this)).then(function (data) {
+                    enteringView.data[r.key] = data;
+                });
+            }));
+        }).then(function () {
+            _this._viewInitTest(enteringView, leavingView, ti, true);
+        }).catch(ti.reject);
+        return true;
+    };
+    NavControllerBase.prototype._getNavItems = function (prop) {
+        // items registered on ancestor navs also apply to their child navs
+        var items = [];
+        var nav = this;
+        while (nav) {
+            if (nav[prop]) {
+                items = nav[prop].concat(items);
+            }
+            nav = nav.parent;
+        }
+        return items;
+    };
+    NavControllerBase.prototype.registerGuard = function (guard) {
+        var _this = this;
+        this._guards.push(guard);
+        return function () {
+            removeArrayItem(_this._guards, guard);
+        };
+    };
+    NavControllerBase.prototype.registerResolver = function (resolver) {
+        var _this = this;
+        (void 0) /* assert */;
+        this._resolvers.push(resolver);
+        return function () {
+            removeArrayItem(_this._resolvers, resolver);
+        };
+    };
     NavControllerBase.prototype._viewTest = function (enteringView, leavingView, ti) {
         var _this = this;
         var promises = [];
@@ -489,6 +642,7 @@ export var NavControllerBase = (function (_super) {
             easing: opts.easing,
             isRTL: this._config.platform.isRTL(),
             ev: opts.ev,
+            webAnimations: this._config.getBoolean('webAnimations'),
         };
         // create the transition animation from the TransitionController
         // this will either create the root transition, or add it as a child transition
@@ -775,6 +929,8 @@ export var NavControllerBase = (function (_super) {
         }
         // purge stack
         this._views.length = 0;
+        this._guards.length = 0;
+        this._resolvers.length = 0;
         // release swipe back gesture and transition
         this._sbGesture && this._sbGesture.destroy();
         this._sbTrns && this._sbTrns.destroy();
@@ -808,11 +964,11 @@ export var NavControllerBase = (function (_super) {
             this._sbTrns.progressStep(stepValue);
         }
     };
-    NavControllerBase.prototype.swipeBackEnd = function (shouldComplete, currentStepValue, velocity) {
+    NavControllerBase.prototype.swipeBackEnd = function (shouldComplete, currentStepValue, velocity, stepVelocity) {
         if (this._sbTrns && this._sbGesture) {
             // the swipe back gesture has ended
             var dur = this._sbTrns.getDuration() / (Math.abs(velocity) + 1);
-            this._sbTrns.progressEnd(shouldComplete, currentStepValue, dur);
+            this._sbTrns.progressEnd(shouldComplete, currentStepValue, dur, stepVelocity);
         }
     };
     NavControllerBase.prototype._swipeBackCheck = function () {
@@ -900,6 +1056,25 @@ export var NavControllerBase = (function (_super) {
     };
     return NavControllerBase;
 }(Ion));
+function guardResult(guard, methodName, view, nav) {
+    if (!guard[methodName] || !isViewMatch(view, guard.pages)) {
+        return true;
+    }
+    try {
+        var result = guard[methodName](view, nav);
+        if (result === false) {
+            return false;
+        }
+        else if (result instanceof Promise) {
+            return result;
+        }
+        return true;
+    }
+    catch (e) {
+        console.error(view.name + " nav guard " + methodName + " error: " + e.message);
+        return false;
+    }
+}
 var ctrlIds = -1;
 var DISABLE_APP_MINIMUM_DURATION = 64;
 var ACTIVE_TRANSITION_DEFAULT = 5000;
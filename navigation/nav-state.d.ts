@@ -0,0 +1,27 @@
+/**
+ * @private
+ * Creates a JSON friendly snapshot of the nav, its views and all of
+ * its child navs. For Tabs only the selected tab's stack is included.
+ */
+export declare function getNavState(nav: any): NavState;
+/**
+ * @private
+ * Rebuilds the nav and its child navs from a snapshot made by `getNavState()`.
+ * No transitions are animated and the URL is only updated once it has finished.
+ */
+export declare function restoreNavState(nav: any, state: NavState): Promise<any>;
+/**
+ * @private
+ * Only keeps the params which survive being converted to JSON, such as
+ * strings, numbers and plain objects. Functions and circular data are left out.
+ */
+export declare function serializeNavParams(data: any): any;
+export interface NavState {
+    views?: NavViewState[];
+    selectedIndex?: number;
+    children: NavState[];
+}
+export interface NavViewState {
+    page: string;
+    params: any;
+}
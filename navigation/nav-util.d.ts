@@ -7,6 +7,7 @@ export declare function getComponent(linker: DeepLinker, nameOrPageOrView: any):
 export declare function convertToView(linker: DeepLinker, nameOrPageOrView: any, params: any): ViewController;
 export declare function convertToViews(linker: DeepLinker, pages: any[]): ViewController[];
 export declare function setZIndex(nav: NavControllerBase, enteringView: ViewController, leavingView: ViewController, direction: string, renderer: Renderer): void;
+export declare function isViewMatch(view: ViewController, pages: any[]): boolean;
 export declare function isTabs(nav: any): boolean;
 export declare function isTab(nav: any): boolean;
 export declare function isNav(nav: any): boolean;
@@ -14,6 +15,10 @@ export interface DeepLinkMetadataType {
     name: string;
     segment?: string;
     defaultHistory?: any[];
+    loadChildren?: string;
+    priority?: string;
+    queryParams?: string[];
+    redirectTo?: string;
 }
 /**
  * @private
@@ -23,6 +28,10 @@ export declare class DeepLinkMetadata implements DeepLinkMetadataType {
     name: string;
     segment?: string;
     defaultHistory?: any[];
+    loadChildren?: string;
+    priority?: string;
+    queryParams?: string[];
+    redirectTo?: string;
 }
 export interface DeepLinkDecorator extends TypeDecorator {
 }
@@ -46,20 +55,28 @@ export interface NavLink {
     segment?: string;
     parts?: string[];
     partsLen?: number;
+    minLen?: number;
     staticLen?: number;
     dataLen?: number;
     dataKeys?: {
         [key: string]: boolean;
     };
     defaultHistory?: any[];
+    loadChildren?: string;
+    priority?: string;
+    queryParams?: string[];
+    redirectTo?: string;
 }
 export interface NavSegment {
     id: string;
     name: string;
     component: any;
     data: any;
+    queryParams?: any;
+    redirectTo?: string;
     navId?: string;
     defaultHistory?: NavSegment[];
+    stack?: NavSegment[];
 }
 export interface NavOptions {
     animate?: boolean;
@@ -75,6 +92,16 @@ export interface NavOptions {
     updateUrl?: boolean;
     isNavRoot?: boolean;
 }
+export interface NavGuard {
+    pages?: any[];
+    canEnter?(view: ViewController, nav: NavControllerBase): boolean | Promise<any>;
+    canLeave?(view: ViewController, nav: NavControllerBase): boolean | Promise<any>;
+}
+export interface NavResolver {
+    key: string;
+    pages?: any[];
+    resolve(view: ViewController, nav: NavControllerBase): any;
+}
 export interface TransitionResolveFn {
     (hasCompleted: boolean, requiresTransition: boolean, enteringName?: string, leavingName?: string, direction?: string): void;
 }
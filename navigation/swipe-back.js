@@ -50,7 +50,7 @@ export var SwipeBackGesture = (function (_super) {
         var isMovingFast = Math.abs(slide.velocity) > 0.4;
         var isInResetZone = Math.abs(slide.delta) < Math.abs(slide.max) * 0.5;
         var shouldComplete = !swipeShouldReset(isResetDirecction, isMovingFast, isInResetZone);
-        this._nav.swipeBackEnd(shouldComplete, currentStepValue, velocity);
+        this._nav.swipeBackEnd(shouldComplete, currentStepValue, velocity, velocity / slide.max);
     };
     return SwipeBackGesture;
 }(SlideEdgeGesture));
@@ -11,6 +11,7 @@ export declare class UrlSerializer {
      * Match which components belong to each segment.
      */
     parse(browserUrl: string): NavSegment[];
+    getLinkFromName(nameOrComponent: any): NavLink;
     createSegmentFromName(nameOrComponent: any): NavSegment;
     /**
      * Serialize a path, which is made up of multiple NavSegments,
@@ -24,12 +25,22 @@ export declare class UrlSerializer {
     createSegment(configLink: NavLink, data: any): NavSegment;
     formatUrlPart(name: string): string;
 }
-export declare const parseUrlParts: (urlParts: string[], configLinks: NavLink[]) => NavSegment[];
-export declare const fillMatchedUrlParts: (segments: NavSegment[], urlParts: string[], configLink: NavLink) => void;
+export declare const parseUrlParts: (urlParts: string[], configLinks: NavLink[], queryParams?: any) => NavSegment[];
+export declare const fillMatchedUrlParts: (segments: NavSegment[], urlParts: string[], configLink: NavLink, queryParams?: any) => boolean;
+/**
+ * Walks the link's parts over the url parts, starting at `startIndex`,
+ * and returns the index after the last matched url part. If the link
+ * doesn't match then `startIndex` is returned. When `data` is passed
+ * in it gets the values of the link's `:param` parts.
+ */
+export declare const matchUrlParts: (urlParts: string[], startIndex: number, configLink: NavLink, data: any) => number;
 export declare const isPartMatch: (urlPart: string, configLinkPart: string) => boolean;
-export declare const createMatchedData: (matchedUrlParts: string[], link: NavLink) => any;
+export declare const createMatchedData: (matchedUrlParts: string[], link: NavLink, queryParams?: any) => any;
 export declare const findLinkByComponentData: (links: NavLink[], component: any, instanceData: any) => NavLink;
+export declare const getLinkComponent: (link: NavLink) => any;
 export declare const normalizeLinks: (links: NavLink[]) => NavLink[];
+export declare function parseQueryString(queryString: string): any;
+export declare function serializeQueryString(queryParams: any): string;
 /**
  * @private
  */
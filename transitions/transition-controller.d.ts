@@ -4,15 +4,89 @@ import { NavControllerBase } from '../navigation/nav-controller-base';
 import { Transition } from './transition';
 import { ViewController } from '../navigation/view-controller';
 /**
- * @private
+ * @name TransitionController
+ * @description
+ * The TransitionController creates the animations used when navigating between pages and
+ * presenting overlays. Transitions are looked up by their registered name, which is the
+ * name used by the `animation` nav option, and by the `pageTransition`, `modalEnter`,
+ * `modalLeave`, `popoverEnter`, `popoverLeave`, `toastEnter` and `toastLeave` configs.
+ *
+ * New transitions extend `PageTransition`, or `Transition` for overlays, and are
+ * registered with a name before they're used.
+ *
+ * @usage
+ * ```ts
+ * import { PageTransition, TransitionController } from 'ionic-angular';
+ *
+ * export class FadeThroughTransition extends PageTransition {
+ *   init() {
+ *     super.init();
+ *     ...
+ *   }
+ * }
+ *
+ * @Component({...})
+ * export class MyApp {
+ *   constructor(transitionCtrl: TransitionController) {
+ *     transitionCtrl.register('fade-through', FadeThroughTransition);
+ *   }
+ * }
+ * ```
+ *
+ * ```ts
+ * this.navCtrl.push(DetailPage, null, { animation: 'fade-through' });
+ * ```
+ *
+ * Overlay transitions are registered the same way, with a name for entering and one for
+ * leaving, which are then set as the overlay's configs:
+ *
+ * ```ts
+ * transitionCtrl.register('modal-fade-in', ModalFadeIn);
+ * transitionCtrl.register('modal-fade-out', ModalFadeOut);
+ * ```
+ *
+ * ```ts
+ * IonicModule.forRoot(MyApp, {
+ *   modalEnter: 'modal-fade-in',
+ *   modalLeave: 'modal-fade-out'
+ * })
+ * ```
+ *
+ * Using a name that hasn't been registered is an error, rather than
+ * silently falling back to the default transition.
  */
 export declare class TransitionController {
     private _config;
     private _ids;
     private _trns;
     constructor(_config: Config);
+    /**
+     * Register a transition class so it can be used by its name.
+     * Registering a name again replaces its transition.
+     * @param {string} name The name of the transition.
+     * @param {any} transitionClass The class extending `Transition` to create for this name.
+     */
+    register(name: string, transitionClass: any): void;
+    /**
+     * Whether a transition has been registered with the name.
+     * @param {string} name The name of the transition.
+     * @returns {boolean}
+     */
+    has(name: string): boolean;
+    /**
+     * @private
+     */
     getRootTrnsId(nav: NavControllerBase): number;
+    /**
+     * @private
+     */
     nextId(): number;
+    /**
+     * @private
+     */
     get(trnsId: number, enteringView: ViewController, leavingView: ViewController, opts: AnimationOptions): Transition;
+    /**
+     * @private
+     */
     destroy(trnsId: number): void;
 }
@@ -10,6 +10,8 @@ export declare class Animation {
     private _dur;
     private _es;
     private _rvEs;
+    private _spr;
+    private _sprDur;
     private _bfSty;
     private _bfAdd;
     private _bfRm;
@@ -27,6 +29,10 @@ export declare class Animation {
     private _isAsync;
     private _twn;
     private _raf;
+    private _waOn;
+    private _wa;
+    private _waTo;
+    private _waX;
     parent: Animation;
     opts: AnimationOptions;
     hasChildren: boolean;
@@ -60,6 +66,17 @@ export declare class Animation {
      * Set the easing for this animation.
      */
     easing(name: string): Animation;
+    /**
+     * Use a spring instead of an easing curve and duration. The spring is defined by its
+     * `mass`, `stiffness` and `damping`, which default to `1`, `100` and `10`. When the
+     * animation is finished with `progressEnd()`, the spring starts at the gesture's velocity.
+     */
+    spring(opts?: SpringOptions): Animation;
+    /**
+     * Get the spring of this animation. If this animation does not have
+     * an easing or spring, then it'll get the spring from its parent.
+     */
+    getSpring(): SpringOptions;
     /**
      * Set the easing for this reversed animation.
      */
@@ -76,6 +93,17 @@ export declare class Animation {
      * Shortcut to add both the "from" and "to" for the same property.
      */
     fromTo(prop: string, fromVal: any, toVal: any, clearProperyAfterTransition?: boolean): Animation;
+    /**
+     * Add multiple values for the same property, each at an `offset` from `0` to `1`.
+     * The first and last keyframes are the "from" and "to" values.
+     *
+     * Keyframes between the first and last are only played when the animation runs on
+     * Web Animations, which is the `webAnimations` option in a browser supporting them,
+     * and when it's stepped with `progressStep()`. A CSS transition can only go from one
+     * value to another, so on the CSS transition path a played animation goes straight
+     * from the first keyframe to the last and the keyframes in between are skipped.
+     */
+    keyframes(prop: string, keyframes: Keyframe[], clearProperyAfterTransition?: boolean): Animation;
     /**
      * @private
      * NO DOM
@@ -211,7 +239,7 @@ export declare class Animation {
      * DOM WRITE
      * NO RECURSION
      */
-    _setTrans(dur: number, forcedLinearEasing: boolean): void;
+    _setTrans(dur: number, forcedLinearEasing: boolean, velocity?: number): void;
     /**
      * @private
      * DOM READ
@@ -264,15 +292,16 @@ export declare class Animation {
      */
     progressStep(stepValue: number): void;
     /**
-     * End the progress animation.
+     * End the progress animation. The `velocity` is how fast the gesture was moving,
+     * in steps per millisecond, which a spring uses as its starting velocity.
      */
-    progressEnd(shouldComplete: boolean, currentStepValue: number, dur?: number): void;
+    progressEnd(shouldComplete: boolean, currentStepValue: number, dur?: number, velocity?: number): void;
     /**
      * @private
      * DOM WRITE
      * RECURSION
      */
-    _progressEnd(shouldComplete: boolean, stepValue: number, dur: number, isAsync: boolean): void;
+    _progressEnd(shouldComplete: boolean, stepValue: number, dur: number, isAsync: boolean, velocity?: number): void;
     /**
      * Add a callback to fire when the animation has finished.
      */
@@ -301,7 +330,48 @@ export declare class Animation {
      * NO DOM
      */
     _transEl(): HTMLElement;
+    /**
+     * @private
+     * NO DOM
+     */
+    _useWebAnimations(): boolean;
+    /**
+     * @private
+     * DOM WRITE
+     * NO RECURSION
+     * Creates a web animation for each element, going from the `fromStep` to the `toStep`.
+     * The steps are the same as the ones given to `_progress()`, so the web animation
+     * can pick up from, or be handed back to, the inline styles.
+     */
+    _waPlay(fromStep: number, toStep: number, dur: number, easing: string, paused: boolean, velocity?: number): void;
+    /**
+     * @private
+     * NO DOM
+     * NO RECURSION
+     */
+    _waKeyframes(fromStep: number, toStep: number, spring?: SpringOptions, dur?: number, velocity?: number): any[];
+    /**
+     * @private
+     * DOM WRITE
+     * NO RECURSION
+     */
+    _waSeek(stepValue: number): void;
+    /**
+     * @private
+     * DOM WRITE
+     * NO RECURSION
+     */
+    _waCancel(): void;
+    /**
+     * @private
+     * NO DOM
+     */
+    _waPlayer(): any;
 }
+/**
+ * @private
+ */
+export declare function supportsWebAnimations(): boolean;
 export interface AnimationOptions {
     animation?: string;
     duration?: number;
@@ -309,6 +379,7 @@ export interface AnimationOptions {
     direction?: string;
     isRTL?: boolean;
     ev?: any;
+    webAnimations?: boolean;
 }
 export interface PlayOptions {
     duration?: number;
@@ -319,6 +390,20 @@ export interface EffectProperty {
     wc?: string;
     to?: EffectState;
     from?: EffectState;
+    stops?: EffectStop[];
+}
+export interface EffectStop {
+    offset: number;
+    state: EffectState;
+}
+export interface Keyframe {
+    offset: number;
+    value: any;
+}
+export interface SpringOptions {
+    mass?: number;
+    stiffness?: number;
+    damping?: number;
 }
 export interface EffectState {
     val: any;
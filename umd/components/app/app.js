@@ -3,7 +3,7 @@
         var v = factory(require, exports); if (v !== undefined) module.exports = v;
     }
     else if (typeof define === 'function' && define.amd) {
-        define(["require", "exports", '@angular/core', '@angular/platform-browser', '../../config/config', '../../navigation/nav-util', '../../platform/platform', '../menu/menu-controller'], factory);
+        define(["require", "exports", '@angular/core', '@angular/platform-browser', '../../config/config', '../../navigation/nav-util', '../../platform/platform', '../menu/menu-controller', '../../navigation/nav-state'], factory);
     }
 })(function (require, exports) {
     "use strict";
@@ -13,6 +13,7 @@
     var nav_util_1 = require('../../navigation/nav-util');
     var platform_1 = require('../../platform/platform');
     var menu_controller_1 = require('../menu/menu-controller');
+    var nav_state_1 = require('../../navigation/nav-state');
     /**
      * @name App
      * @description
@@ -166,6 +167,34 @@
         App.prototype._setRootNav = function (nav) {
             this._rootNav = nav;
         };
+        /**
+         * Returns a snapshot of the navigation state of the entire app, starting
+         * from the root nav and including every child nav and the selected tab of
+         * any tabs. The snapshot can be saved with `JSON.stringify()` and handed
+         * back to `restoreNavState()`, such as after the app has been closed by the OS.
+         *
+         * Pages are saved using their name in the `DeepLinkConfig`, so each page
+         * in the stack should have a link. Only nav params which can be converted
+         * to JSON are saved.
+         *
+         * @return {NavState} Returns the navigation state of the app.
+         */
+        App.prototype.getNavState = function () {
+            return this._rootNav ? nav_state_1.getNavState(this._rootNav) : null;
+        };
+        /**
+         * Rebuilds the navigation state of the app from a snapshot made by
+         * `getNavState()`. None of the pages will animate in.
+         *
+         * @param {NavState} state The navigation state to restore.
+         * @return {Promise} Returns a promise which is resolved once every nav has been restored.
+         */
+        App.prototype.restoreNavState = function (state) {
+            if (!this._rootNav) {
+                return Promise.reject('no root nav to restore the navigation state into');
+            }
+            return nav_state_1.restoreNavState(this._rootNav, state);
+        };
         /**
          * @private
          */
@@ -244,6 +273,15 @@
                 return nav.pop();
             }
         }
+        if (nav_util_1.isTabs(nav)) {
+            // the selected tab is at its root page, so the
+            // tabs' back policy may select another tab instead
+            var backTab = nav._getBackTab();
+            if (backTab) {
+                nav.select(backTab, { direction: nav_util_1.DIRECTION_BACK });
+                return Promise.resolve();
+            }
+        }
         // try again using the parent nav (if there is one)
         return recursivePop(nav.parent);
     }
@@ -127,6 +127,8 @@ var __extends = (this && this.__extends) || function (d, b) {
             this._inputPolling = false;
             /** @internal */
             this._imgs = [];
+            /** @internal */
+            this._virtualScrolls = [];
             /**
              * @output {ScrollEvent} Emitted when the scrolling first starts.
              */
@@ -401,6 +403,26 @@ var __extends = (this && this.__extends) || function (d, b) {
         Content.prototype.removeImg = function (img) {
             util_1.removeArrayItem(this._imgs, img);
         };
+        /**
+         * @private
+         */
+        Content.prototype.addVirtualScroll = function (virtualScroll) {
+            this._virtualScrolls.push(virtualScroll);
+        };
+        /**
+         * @private
+         */
+        Content.prototype.removeVirtualScroll = function (virtualScroll) {
+            util_1.removeArrayItem(this._virtualScrolls, virtualScroll);
+        };
+        /**
+         * @private
+         * Whether the content has a VirtualScroll, which keeps
+         * the records in view anchored on its own.
+         */
+        Content.prototype.hasVirtualScroll = function () {
+            return this._virtualScrolls.length > 0;
+        };
         /**
          * @private
          * DOM WRITE
@@ -8,7 +8,7 @@ var __extends = (this && this.__extends) || function (d, b) {
         var v = factory(require, exports); if (v !== undefined) module.exports = v;
     }
     else if (typeof define === 'function' && define.amd) {
-        define(["require", "exports", '@angular/core', '@angular/forms', '../../config/config', '../picker/picker', '../../util/form', '../ion', '../item/item', '../../util/util', '../../util/datetime-util'], factory);
+        define(["require", "exports", '@angular/core', '@angular/forms', '../../config/config', '../picker/picker', '../../util/form', '../ion', '../item/item', '../../platform/platform', '../../util/util', '../../util/key', '../../util/dom', '../../util/datetime-util'], factory);
     }
 })(function (require, exports) {
     "use strict";
@@ -19,7 +19,10 @@ var __extends = (this && this.__extends) || function (d, b) {
     var form_1 = require('../../util/form');
     var ion_1 = require('../ion');
     var item_1 = require('../item/item');
+    var platform_1 = require('../../platform/platform');
     var util_1 = require('../../util/util');
+    var key_1 = require('../../util/key');
+    var dom_1 = require('../../util/dom');
     var datetime_util_1 = require('../../util/datetime-util');
     exports.DATETIME_VALUE_ACCESSOR = {
         provide: forms_1.NG_VALUE_ACCESSOR,
@@ -187,21 +190,85 @@ var __extends = (this && this.__extends) || function (d, b) {
      * ```
      *
      *
-     * ## Month Names and Day of the Week Names
+     * ## Calendar
+     *
+     * Setting `presentation` to `calendar` shows a month of days inline, instead of opening a
+     * picker. The days outside of the `min` and `max`, or not in the `dayValues`, `monthValues`
+     * or `yearValues`, can't be selected. The arrow buttons page through the months, and the
+     * arrow keys move between days, while the page up and page down keys move between months. The
+     * home and end keys move to the first and last day of the week, which starts on the locale's
+     * first day of the week.
+     * Selecting a day keeps the time of the value, which is still an ISO 8601 datetime string.
+     *
+     * ```html
+     * <ion-datetime presentation="calendar" min="2017-03-01" max="2017-12-31" [(ngModel)]="myDate">
+     * </ion-datetime>
+     * ```
+     *
+     * With the `range` input, the first day selected is the start of the range and the second is
+     * its end. The value of a range is its start and end separated by a slash, which is the
+     * ISO 8601 format for a time interval, such as `2017-03-08/2017-03-12`.
+     *
+     * ```html
+     * <ion-datetime presentation="calendar" range [(ngModel)]="stay"></ion-datetime>
+     * ```
+     *
+     *
+     * ## Time Zones
+     *
+     * By default, the datetime's value is displayed exactly as it was given, whatever its
+     * offset. The `timeZone` input takes an
+     * [IANA time zone name](https://www.iana.org/time-zones), such as `America/New_York`, and
+     * displays the value in that time zone instead. Values which include an offset, such as
+     * `2017-03-12T08:30:00+01:00`, are moved to the same moment in the time zone, while values
+     * without an offset are treated as already being in the time zone.
+     *
+     * The model value is still an ISO 8601 string, which includes the time zone's offset for
+     * that date. Selecting 9am on July 1st with a `timeZone` of `America/New_York` sets the
+     * value to `2017-07-01T09:00:00-04:00`. Time zones require a browser which supports the
+     * [Intl.DateTimeFormat](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/DateTimeFormat)
+     * API, and only apply to values with a date and time.
+     *
+     * ```html
+     * <ion-item>
+     *   <ion-label>Meeting</ion-label>
+     *   <ion-datetime displayFormat="MMM D, YYYY HH:mm" timeZone="Europe/London" [(ngModel)]="meeting">
+     *   </ion-datetime>
+     * </ion-item>
+     * ```
      *
-     * At this time, there is no one-size-fits-all standard to automatically choose the correct
-     * language/spelling for a month name, or day of the week name, depending on the language
-     * or locale. Good news is that there is an
+     *
+     * ## Locales
+     *
+     * The `locale` input takes a locale, such as `de` or `pt-BR`, and uses the browser's
      * [Intl.DateTimeFormat](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/DateTimeFormat)
-     * standard which *most* browsers have adopted. However, at this time the standard has not
-     * been fully implemented by all popular browsers so Ionic is unavailable to take advantage
-     * of it *yet*. Additionally, Angular also provides an internationalization service, but it
-     * is still under heavy development so Ionic does not depend on it at this time.
+     * API to localize the datetime. The month and day names are in the locale's language, and when
+     * the datetime doesn't have a `displayFormat` or `pickerFormat`, its default format is put in the
+     * locale's order. For example, the default format is shown as `5. Mär 2017` with a `locale` of
+     * `de`. A `displayFormat` or `pickerFormat` which is given is always used exactly as it's written.
+     * The `locale` can also be set in the app's config.
+     *
+     * ```html
+     * <ion-item>
+     *   <ion-label>Datum</ion-label>
+     *   <ion-datetime locale="de" [(ngModel)]="myDate"></ion-datetime>
+     * </ion-item>
+     * ```
+     *
+     * Without a `locale`, the month and day names come from the language of the platform, which is
+     * the `lang` attribute of the app's `<html>` element, but the default format isn't reordered.
+     *
+     * The locale also decides which day the weeks of the calendar start on, such as Sunday
+     * for `en-US` and Monday for `de`. The `firstDayOfWeek` input, or config, overrides it
+     * with a number from `0` for Sunday to `6` for Saturday.
+     *
+     *
+     * ## Month Names and Day of the Week Names
      *
-     * All things considered, the by far easiest solution is to just provide an array of names
-     * if the app needs to use names other than the default English version of month and day
-     * names. The month names and day names can be either configured at the app level, or
-     * individual `ion-datetime` level.
+     * The month names and day names can also be given as arrays, which take precedence over the
+     * locale's names. This is useful for browsers without the `Intl.DateTimeFormat` API, or when the
+     * app needs names other than the locale's. The names can be either configured at the app level,
+     * or individual `ion-datetime` level.
      *
      * ### App Config Level
      *
@@ -260,16 +327,25 @@ var __extends = (this && this.__extends) || function (d, b) {
      */
     var DateTime = (function (_super) {
         __extends(DateTime, _super);
-        function DateTime(_form, config, elementRef, renderer, _item, _pickerCtrl) {
+        function DateTime(_form, config, elementRef, renderer, _item, _pickerCtrl, _plt) {
             _super.call(this, config, elementRef, renderer, 'datetime');
             this._form = _form;
             this._item = _item;
             this._pickerCtrl = _pickerCtrl;
+            this._plt = _plt;
             this._disabled = false;
             this._text = '';
             this._isOpen = false;
             this._value = {};
+            this._valueEnd = {};
             this._locale = {};
+            this._localeId = null;
+            this._firstDay = 0;
+            this._range = false;
+            this._calendar = false;
+            this._calFocus = null;
+            this._calWeeks = [];
+            this._calWeekdays = [];
             /**
              * @input {string} The text to display on the picker's cancel button. Default: `Cancel`.
              */
@@ -278,11 +354,27 @@ var __extends = (this && this.__extends) || function (d, b) {
              * @input {string} The text to display on the picker's "Done" button. Default: `Done`.
              */
             this.doneText = 'Done';
+            /**
+             * @input {string} The label read by screen readers for the calendar's previous
+             * month button. Default: `Previous month`.
+             */
+            this.prevMonthText = 'Previous month';
+            /**
+             * @input {string} The label read by screen readers for the calendar's next
+             * month button. Default: `Next month`.
+             */
+            this.nextMonthText = 'Next month';
             /**
              * @input {any} Any additional options that the picker interface can accept.
              * See the [Picker API docs](../../picker/Picker) for the picker options.
              */
             this.pickerOptions = {};
+            /**
+             * @input {string} How to present the datetime, either `picker` or `calendar`.
+             * The `picker` opens a picker with a column for each part of the `pickerFormat`,
+             * while the `calendar` shows a month of days inline. Default: `picker`.
+             */
+            this.presentation = 'picker';
             /**
              * @output {any} Any expression to evaluate when the datetime selection has changed.
              */
@@ -309,8 +401,9 @@ var __extends = (this && this.__extends) || function (d, b) {
             configurable: true
         });
         DateTime.prototype._click = function (ev) {
-            if (ev.detail === 0) {
+            if (ev.detail === 0 || this._calendar) {
                 // do not continue if the click event came from a form submit
+                // or from the calendar, which handles its own clicks
                 return;
             }
             ev.preventDefault();
@@ -318,16 +411,54 @@ var __extends = (this && this.__extends) || function (d, b) {
             this.open();
         };
         DateTime.prototype._keyup = function () {
-            if (!this._isOpen) {
+            if (!this._isOpen && !this._calendar) {
                 this.open();
             }
         };
+        DateTime.prototype._keydown = function (ev) {
+            if (!this._calendar || this._disabled) {
+                return;
+            }
+            var keyCode = ev.keyCode;
+            if (keyCode === key_1.Key.LEFT) {
+                this.moveCalendarFocus(-1);
+            }
+            else if (keyCode === key_1.Key.RIGHT) {
+                this.moveCalendarFocus(1);
+            }
+            else if (keyCode === key_1.Key.UP) {
+                this.moveCalendarFocus(-7);
+            }
+            else if (keyCode === key_1.Key.DOWN) {
+                this.moveCalendarFocus(7);
+            }
+            else if (keyCode === key_1.Key.HOME) {
+                // the first day of the focused day's week
+                this.moveCalendarFocus(-this.getCalendarColumn(this._calFocus));
+            }
+            else if (keyCode === key_1.Key.END) {
+                // the last day of the focused day's week
+                this.moveCalendarFocus(6 - this.getCalendarColumn(this._calFocus));
+            }
+            else if (keyCode === key_1.Key.PAGE_UP) {
+                this.pageCalendar(-1);
+            }
+            else if (keyCode === key_1.Key.PAGE_DOWN) {
+                this.pageCalendar(1);
+            }
+            else {
+                // enter and space click the focused day's button
+                return;
+            }
+            ev.preventDefault();
+            this.focusCalendarDay();
+        };
         /**
          * @private
          */
         DateTime.prototype.open = function () {
             var _this = this;
-            if (this._disabled) {
+            if (this._disabled || this._calendar) {
                 return;
             }
             (void 0) /* console.debug */;
@@ -369,7 +500,7 @@ var __extends = (this && this.__extends) || function (d, b) {
             var _this = this;
             // if a picker format wasn't provided, then fallback
             // to use the display format
-            var template = this.pickerFormat || this.displayFormat || DEFAULT_FORMAT;
+            var template = this.pickerFormat || this.displayFormat || this.getTemplate(DEFAULT_FORMAT);
             if (util_1.isPresent(template)) {
                 // make sure we've got up to date sizing information
                 this.calcMinMax();
@@ -526,7 +657,32 @@ var __extends = (this && this.__extends) || function (d, b) {
          * @private
          */
         DateTime.prototype.setValue = function (newData) {
+            if (this._range && util_1.isString(newData)) {
+                // a range is two ISO datetimes separated by a slash, which
+                // is how ISO 8601 writes a time interval: start/end
+                var dates = newData.split('/');
+                newData = dates[0];
+                datetime_util_1.updateDate(this._valueEnd, dates[1] || '');
+                if (this.timeZone) {
+                    datetime_util_1.convertDataToTimeZone(this._valueEnd, this.timeZone);
+                }
+            }
             datetime_util_1.updateDate(this._value, newData);
+            if (this.timeZone) {
+                // an ISO string is a moment which gets shown in the time zone, while
+                // values from the picker are already in it and only need its offset
+                datetime_util_1.convertDataToTimeZone(this._value, this.timeZone, !util_1.isString(newData));
+            }
+        };
+        /**
+         * @private
+         */
+        DateTime.prototype.getISOValue = function () {
+            var value = datetime_util_1.convertDataToISO(this._value);
+            if (this._range && util_1.isPresent(this._valueEnd.year)) {
+                value += '/' + datetime_util_1.convertDataToISO(this._valueEnd);
+            }
+            return value;
         };
         /**
          * @private
@@ -547,8 +703,22 @@ var __extends = (this && this.__extends) || function (d, b) {
          */
         DateTime.prototype.updateText = function () {
             // create the text of the formatted data
-            var template = this.displayFormat || this.pickerFormat || DEFAULT_FORMAT;
+            var template = this.displayFormat || this.pickerFormat || this.getTemplate(DEFAULT_FORMAT);
             this._text = datetime_util_1.renderDateTime(template, this._value, this._locale);
+            if (this._range && this._text) {
+                var endText = datetime_util_1.renderDateTime(template, this._valueEnd, this._locale);
+                if (endText) {
+                    this._text += ' - ' + endText;
+                }
+            }
+        };
+        /**
+         * @private
+         */
+        DateTime.prototype.getTemplate = function (template) {
+            // only the datetime's own formats are put in the order of a locale
+            // which was set, the formats the app gives are used as they're written
+            return this._localeId ? datetime_util_1.localizeTemplate(template, this._localeId) : template;
         };
         /**
          * @private
@@ -595,6 +765,183 @@ var __extends = (this && this.__extends) || function (d, b) {
             max.minute = max.minute || 59;
             max.second = max.second || 59;
         };
+        /**
+         * @private
+         */
+        DateTime.prototype.renderCalendar = function () {
+            var _this = this;
+            this.calcMinMax();
+            var minCompareVal = datetime_util_1.dateDataSortValue(this._min);
+            var maxCompareVal = datetime_util_1.dateDataSortValue(this._max);
+            if (!this._calFocus) {
+                // start on the selected day, or today
+                var value = this._value;
+                var today = new Date();
+                this._calFocus = (util_1.isPresent(value.year) && util_1.isPresent(value.month))
+                    ? { year: value.year, month: value.month, day: value.day || 1 }
+                    : { year: today.getFullYear(), month: today.getMonth() + 1, day: today.getDate() };
+            }
+            // keep the focused day within the min and max
+            var focus = this._calFocus;
+            var focusCompareVal = datetime_util_1.dateDataSortValue(focus);
+            if (focusCompareVal < minCompareVal) {
+                focus = this._calFocus = { year: this._min.year, month: this._min.month, day: this._min.day };
+            }
+            else if (focusCompareVal > maxCompareVal) {
+                focus = this._calFocus = { year: this._max.year, month: this._max.month, day: Math.min(this._max.day, datetime_util_1.daysInMonth(this._max.month, this._max.year)) };
+            }
+            var year = focus.year;
+            var month = focus.month;
+            var numDaysInMonth = datetime_util_1.daysInMonth(month, year);
+            var yearValues = util_1.isPresent(this.yearValues) ? convertToArrayOfNumbers(this.yearValues, 'year') : null;
+            var monthValues = util_1.isPresent(this.monthValues) ? convertToArrayOfNumbers(this.monthValues, 'month') : null;
+            var dayValues = util_1.isPresent(this.dayValues) ? convertToArrayOfNumbers(this.dayValues, 'day') : null;
+            var start = this._value;
+            var end = this._valueEnd;
+            var startCompareVal = (util_1.isPresent(start.day) ? datetime_util_1.dateDataSortValue(start) : -1);
+            var endCompareVal = (this._range && util_1.isPresent(end.day) ? datetime_util_1.dateDataSortValue(end) : -1);
+            var now = new Date();
+            var todayCompareVal = datetime_util_1.dateSortValue(now.getFullYear(), now.getMonth() + 1, now.getDate());
+            this._calTitle = datetime_util_1.renderDateTime(this.getTemplate('MMMM YYYY'), { year: year, month: month, day: 1 }, this._locale);
+            this._calWeekdays = [];
+            for (var i = 0; i < 7; i++) {
+                // January 1st, 2017 was a Sunday, and the week starts on the locale's first day
+                this._calWeekdays.push(datetime_util_1.renderTextFormat('DDD', null, { year: 2017, month: 1, day: 1 + ((this._firstDay + i) % 7) }, this._locale));
+            }
+            this._calPrev = (datetime_util_1.dateSortValue(year, month, 1) > minCompareVal);
+            this._calNext = (datetime_util_1.dateSortValue(year, month, numDaysInMonth) < maxCompareVal);
+            // a row for each week, with blank days before the 1st and after the last day
+            var days = [];
+            var firstColumn = this.getCalendarColumn({ year: year, month: month, day: 1 });
+            for (var i = 0; i < firstColumn; i++) {
+                days.push({ disabled: true });
+            }
+            for (var day = 1; day <= numDaysInMonth; day++) {
+                var compareVal = datetime_util_1.dateSortValue(year, month, day);
+                days.push({
+                    year: year,
+                    month: month,
+                    day: day,
+                    text: day.toString(),
+                    disabled: (compareVal < minCompareVal ||
+                        compareVal > maxCompareVal ||
+                        (yearValues && yearValues.indexOf(year) < 0) ||
+                        (monthValues && monthValues.indexOf(month) < 0) ||
+                        (dayValues && dayValues.indexOf(day) < 0)),
+                    selected: (compareVal === startCompareVal || compareVal === endCompareVal),
+                    inRange: (endCompareVal > -1 && compareVal > startCompareVal && compareVal < endCompareVal),
+                    today: (compareVal === todayCompareVal),
+                    focused: (day === focus.day)
+                });
+            }
+            while (days.length % 7) {
+                days.push({ disabled: true });
+            }
+            this._calWeeks = [];
+            for (var i = 0; i < days.length; i += 7) {
+                this._calWeeks.push(days.slice(i, i + 7));
+            }
+        };
+        /**
+         * @private
+         * The column of the day within its week of the calendar,
+         * from `0` for the first day of the week to `6` for the last.
+         */
+        DateTime.prototype.getCalendarColumn = function (date) {
+            var weekday = new Date(date.year, date.month - 1, date.day).getDay();
+            return (weekday - this._firstDay + 7) % 7;
+        };
+        /**
+         * @private
+         */
+        DateTime.prototype.pageCalendar = function (months) {
+            var focus = this._calFocus;
+            var date = new Date(focus.year, focus.month - 1 + months, 1);
+            var year = date.getFullYear();
+            var month = date.getMonth() + 1;
+            this._calFocus = {
+                year: year,
+                month: month,
+                day: Math.min(focus.day, datetime_util_1.daysInMonth(month, year))
+            };
+            this.renderCalendar();
+        };
+        /**
+         * @private
+         */
+        DateTime.prototype.moveCalendarFocus = function (days) {
+            var focus = this._calFocus;
+            var date = new Date(focus.year, focus.month - 1, focus.day + days);
+            var compareVal = datetime_util_1.dateSortValue(date.getFullYear(), date.getMonth() + 1, date.getDate());
+            if (compareVal < datetime_util_1.dateDataSortValue(this._min) || compareVal > datetime_util_1.dateDataSortValue(this._max)) {
+                // don't move past the min or max
+                return;
+            }
+            this._calFocus = {
+                year: date.getFullYear(),
+                month: date.getMonth() + 1,
+                day: date.getDate()
+            };
+            this.renderCalendar();
+        };
+        /**
+         * @private
+         */
+        DateTime.prototype.focusCalendarDay = function () {
+            var _this = this;
+            // wait for the calendar to be rendered before focusing the day's button
+            dom_1.nativeTimeout(function () {
+                var ele = _this._elementRef.nativeElement.querySelector('.calendar-day-focused');
+                ele && ele.focus();
+            }, 0);
+        };
+        /**
+         * @private
+         */
+        DateTime.prototype.selectDay = function (day) {
+            if (!day || !day.day || day.disabled || this._disabled) {
+                return;
+            }
+            this._calFocus = { year: day.year, month: day.month, day: day.day };
+            var date = { year: day.year, month: day.month, day: day.day };
+            var data;
+            if (!this._range) {
+                data = {
+                    year: { value: day.year },
+                    month: { value: day.month },
+                    day: { value: day.day }
+                };
+            }
+            else {
+                var start = this._value;
+                if (util_1.isBlank(start.day) || util_1.isPresent(this._valueEnd.day) || datetime_util_1.dateDataSortValue(date) < datetime_util_1.dateDataSortValue(start)) {
+                    // start a new range
+                    data = datetime_util_1.convertDataToISO(util_1.assign({}, start, date));
+                }
+                else {
+                    // finish the range, with the same time as its start
+                    data = datetime_util_1.convertDataToISO(start) + '/' + datetime_util_1.convertDataToISO(util_1.assign({}, start, date));
+                }
+            }
+            this.onChange(data);
+            this.ionChange.emit(data);
+            this.renderCalendar();
+        };
+        Object.defineProperty(DateTime.prototype, "range", {
+            /**
+             * @input {boolean} Whether the calendar selects a range of days, from a start to an end.
+             * The value of a range is the start and end ISO datetimes separated by a slash,
+             * such as `2017-03-08/2017-03-12`. Default `false`.
+             */
+            get: function () {
+                return this._range;
+            },
+            set: function (val) {
+                this._range = util_1.isTrueProperty(val);
+            },
+            enumerable: true,
+            configurable: true
+        });
         Object.defineProperty(DateTime.prototype, "disabled", {
             /**
              * @input {boolean} Whether or not the datetime component is disabled. Default `false`.
@@ -617,20 +964,46 @@ var __extends = (this && this.__extends) || function (d, b) {
             this.setValue(val);
             this.updateText();
             this.checkHasValue(val);
+            if (this._calendar) {
+                // show the month of the new value
+                this._calFocus = null;
+                this.renderCalendar();
+            }
         };
         /**
          * @private
          */
         DateTime.prototype.ngAfterContentInit = function () {
             var _this = this;
+            // the locale comes from the input, then the config, and only a locale which
+            // was set changes the default formats, otherwise the platform's language
+            // is still used for the names and the first day of the week
+            this._localeId = this.locale || this._config.get('locale') || null;
+            var localeId = this._localeId || (this._plt && this._plt.lang()) || null;
+            var localeNames = localeId ? datetime_util_1.getLocaleNames(localeId) : null;
             // first see if locale names were provided in the inputs
             // then check to see if they're in the config
-            // if neither were provided then it will use default English names
+            // then use the names of the locale from the Intl api
+            // if none were provided then it will use default English names
             ['monthNames', 'monthShortNames', 'dayNames', 'dayShortNames'].forEach(function (type) {
-                _this._locale[type] = convertToArrayOfStrings(util_1.isPresent(_this[type]) ? _this[type] : _this._config.get(type), type);
+                var names = util_1.isPresent(_this[type]) ? _this[type] : _this._config.get(type);
+                if (util_1.isBlank(names) && localeNames) {
+                    names = localeNames[type];
+                }
+                _this._locale[type] = convertToArrayOfStrings(names, type);
             });
+            // the first day of the week comes from the input, then the config, then the locale
+            var firstDay = parseInt(util_1.isPresent(this.firstDayOfWeek) ? this.firstDayOfWeek : this._config.get('firstDayOfWeek'), 10);
+            if (isNaN(firstDay)) {
+                firstDay = (localeId ? datetime_util_1.getLocaleFirstDay(localeId) : 0);
+            }
+            this._firstDay = ((firstDay % 7) + 7) % 7;
             // update how the datetime value is displayed as formatted text
             this.updateText();
+            this._calendar = (this.presentation === 'calendar');
+            if (this._calendar) {
+                this.renderCalendar();
+            }
         };
         /**
          * @private
@@ -644,7 +1017,7 @@ var __extends = (this && this.__extends) || function (d, b) {
                 _this.updateText();
                 _this.checkHasValue(val);
                 // convert DateTimeData value to iso datetime format
-                fn(datetime_util_1.convertDataToISO(_this._value));
+                fn(_this.getISOValue());
                 _this.onTouched();
             };
         };
@@ -675,17 +1048,46 @@ var __extends = (this && this.__extends) || function (d, b) {
         DateTime.decorators = [
             { type: core_1.Component, args: [{
                         selector: 'ion-datetime',
-                        template: '<div class="datetime-text">{{_text}}</div>' +
-                            '<button aria-haspopup="true" ' +
+                        template: '<div *ngIf="!_calendar" class="datetime-text">{{_text}}</div>' +
+                            '<button *ngIf="!_calendar" aria-haspopup="true" ' +
                             'type="button" ' +
                             '[id]="id" ' +
                             'ion-button="item-cover" ' +
                             '[attr.aria-labelledby]="_labelId" ' +
                             '[attr.aria-disabled]="_disabled" ' +
                             'class="item-cover">' +
-                            '</button>',
+                            '</button>' +
+                            '<div *ngIf="_calendar" class="datetime-calendar" role="grid" [attr.aria-labelledby]="_labelId">' +
+                            '<div class="calendar-header">' +
+                            '<button ion-button clear icon-only type="button" class="calendar-prev" ' +
+                            '[disabled]="!_calPrev" (click)="pageCalendar(-1)" [attr.aria-label]="prevMonthText">' +
+                            '<ion-icon name="arrow-back"></ion-icon>' +
+                            '</button>' +
+                            '<div class="calendar-title" aria-live="polite">{{_calTitle}}</div>' +
+                            '<button ion-button clear icon-only type="button" class="calendar-next" ' +
+                            '[disabled]="!_calNext" (click)="pageCalendar(1)" [attr.aria-label]="nextMonthText">' +
+                            '<ion-icon name="arrow-forward"></ion-icon>' +
+                            '</button>' +
+                            '</div>' +
+                            '<div class="calendar-week" role="row">' +
+                            '<div *ngFor="let name of _calWeekdays" class="calendar-weekday" role="columnheader">{{name}}</div>' +
+                            '</div>' +
+                            '<div *ngFor="let week of _calWeeks" class="calendar-week" role="row">' +
+                            '<button *ngFor="let d of week" type="button" role="gridcell" class="calendar-day" ' +
+                            '[class.calendar-day-empty]="!d.day" ' +
+                            '[class.calendar-day-today]="d.today" ' +
+                            '[class.calendar-day-selected]="d.selected" ' +
+                            '[class.calendar-day-range]="d.inRange" ' +
+                            '[class.calendar-day-focused]="d.focused" ' +
+                            '[disabled]="d.disabled" ' +
+                            '[attr.tabindex]="d.focused ? 0 : -1" ' +
+                            '[attr.aria-selected]="!!d.selected" ' +
+                            '(click)="selectDay(d)">{{d.text}}</button>' +
+                            '</div>' +
+                            '</div>',
                         host: {
-                            '[class.datetime-disabled]': '_disabled'
+                            '[class.datetime-disabled]': '_disabled',
+                            '[class.datetime-calendar-presentation]': '_calendar'
                         },
                         providers: [exports.DATETIME_VALUE_ACCESSOR],
                         encapsulation: core_1.ViewEncapsulation.None,
@@ -699,6 +1101,7 @@ var __extends = (this && this.__extends) || function (d, b) {
             { type: core_1.Renderer, },
             { type: item_1.Item, decorators: [{ type: core_1.Optional },] },
             { type: picker_1.PickerController, decorators: [{ type: core_1.Optional },] },
+            { type: platform_1.Platform, },
         ];
         DateTime.propDecorators = {
             'min': [{ type: core_1.Input },],
@@ -707,6 +1110,8 @@ var __extends = (this && this.__extends) || function (d, b) {
             'pickerFormat': [{ type: core_1.Input },],
             'cancelText': [{ type: core_1.Input },],
             'doneText': [{ type: core_1.Input },],
+            'prevMonthText': [{ type: core_1.Input },],
+            'nextMonthText': [{ type: core_1.Input },],
             'yearValues': [{ type: core_1.Input },],
             'monthValues': [{ type: core_1.Input },],
             'dayValues': [{ type: core_1.Input },],
@@ -716,12 +1121,18 @@ var __extends = (this && this.__extends) || function (d, b) {
             'monthShortNames': [{ type: core_1.Input },],
             'dayNames': [{ type: core_1.Input },],
             'dayShortNames': [{ type: core_1.Input },],
+            'locale': [{ type: core_1.Input },],
+            'firstDayOfWeek': [{ type: core_1.Input },],
+            'timeZone': [{ type: core_1.Input },],
             'pickerOptions': [{ type: core_1.Input },],
+            'presentation': [{ type: core_1.Input },],
             'mode': [{ type: core_1.Input },],
             'ionChange': [{ type: core_1.Output },],
             'ionCancel': [{ type: core_1.Output },],
             '_click': [{ type: core_1.HostListener, args: ['click', ['$event'],] },],
             '_keyup': [{ type: core_1.HostListener, args: ['keyup.space',] },],
+            '_keydown': [{ type: core_1.HostListener, args: ['keydown', ['$event'],] },],
+            'range': [{ type: core_1.Input },],
             'disabled': [{ type: core_1.Input },],
         };
         return DateTime;
@@ -3,16 +3,25 @@
         var v = factory(require, exports); if (v !== undefined) module.exports = v;
     }
     else if (typeof define === 'function' && define.amd) {
-        define(["require", "exports"], factory);
+        define(["require", "exports", '@angular/core', '../../config/config', './img-cache', '../../util/util'], factory);
     }
 })(function (require, exports) {
     "use strict";
+    var core_1 = require('@angular/core');
+    var config_1 = require('../../config/config');
+    var img_cache_1 = require('./img-cache');
+    var util_1 = require('../../util/util');
     var ImgLoader = (function () {
-        function ImgLoader() {
+        function ImgLoader(config) {
             this.imgs = [];
+            this._persist = config.getBoolean('imgPersist', false);
+            this._store = new img_cache_1.ImgCache(PERSIST_CACHE_NAME, config.getNumber('imgCacheMaxSize', PERSIST_CACHE_LIMIT), config.getNumber('imgCacheMaxAge', PERSIST_CACHE_AGE));
         }
-        ImgLoader.prototype.load = function (src, useCache, callback) {
+        ImgLoader.prototype.load = function (src, useCache, callback, persist) {
             var _this = this;
+            if (!util_1.isPresent(persist)) {
+                persist = this._persist;
+            }
             // see if we already have image data for this src
             var img = this.imgs.find(function (i) { return i.src === src; });
             if (img && img.datauri && useCache) {
@@ -21,9 +30,45 @@
                 callback(200, null, img.datauri);
                 return;
             }
+            if (img && img.lookup) {
+                // the persistent cache is already being checked
+                // for this same source, so let's wait on that
+                img.lookup.push(callback);
+                return;
+            }
+            if (!img) {
+                // no image data yet, so let's create it
+                img = { src: src, len: 0 };
+                this.imgs.push(img);
+            }
+            if (persist && !(img.xhr && img.xhr.readyState !== 4)) {
+                // before going to the network, see if the image
+                // was stored the last time the app downloaded it
+                var lookup_1 = img.lookup = [callback];
+                this._store.get(src).then(function (entry) {
+                    if (img.lookup !== lookup_1) {
+                        // aborted while the cache was being checked
+                        return;
+                    }
+                    img.lookup = null;
+                    lookup_1.forEach(function (cb) {
+                        if (entry) {
+                            onXhrLoad(cb, 200, entry.contentType, entry.data, useCache, img, _this.imgs);
+                        }
+                        else {
+                            _this._request(img, useCache, persist, cb);
+                        }
+                    });
+                });
+                return;
+            }
+            this._request(img, useCache, persist, callback);
+        };
+        ImgLoader.prototype._request = function (img, useCache, persist, callback) {
+            var _this = this;
             // so no cached image data, so we'll
             // need to do a new http request
-            if (img && img.xhr && img.xhr.readyState !== 4) {
+            if (img.xhr && img.xhr.readyState !== 4) {
                 // looks like there's already an active http request going on
                 // for this same source, so let's just add another listener
                 img.xhr.addEventListener('load', function (xhrEvent) {
@@ -36,19 +81,18 @@
                 });
                 return;
             }
-            if (!img) {
-                // no image data yet, so let's create it
-                img = { src: src, len: 0 };
-                this.imgs.push(img);
-            }
             // ok, let's do a full request for the image
             img.xhr = new XMLHttpRequest();
-            img.xhr.open('GET', src, true);
+            img.xhr.open('GET', img.src, true);
             img.xhr.responseType = 'arraybuffer';
             // add the listeners if it loaded or errored
             img.xhr.addEventListener('load', function (xhrEvent) {
                 var target = xhrEvent.target;
                 var contentType = target.getResponseHeader('Content-Type');
+                if (persist && target.status === 200) {
+                    // keep it around for when the app is offline
+                    _this._store.put(img.src, contentType, target.response);
+                }
                 onXhrLoad(callback, target.status, contentType, target.response, useCache, img, _this.imgs);
             });
             img.xhr.addEventListener('error', function (xhrErrorEvent) {
@@ -59,6 +103,11 @@
         };
         ImgLoader.prototype.abort = function (src) {
             var img = this.imgs.find(function (i) { return i.src === src; });
+            if (img && img.lookup) {
+                // still checking the persistent cache, so
+                // don't respond or request once it's done
+                img.lookup = null;
+            }
             if (img && img.xhr && img.xhr.readyState !== 4) {
                 // we found the image data and there's an active
                 // http request, so let's abort the request
@@ -66,6 +115,24 @@
                 img.xhr = null;
             }
         };
+        /**
+         * Removes every image from the in-memory cache, and
+         * from the persistent cache kept between app launches.
+         */
+        ImgLoader.prototype.clearCache = function () {
+            this.imgs.forEach(function (img) {
+                img.datauri = null;
+                img.len = 0;
+            });
+            return this._store.clear();
+        };
+        ImgLoader.decorators = [
+            { type: core_1.Injectable },
+        ];
+        /** @nocollapse */
+        ImgLoader.ctorParameters = [
+            { type: config_1.Config, },
+        ];
         return ImgLoader;
     }());
     exports.ImgLoader = ImgLoader;
@@ -148,5 +215,8 @@
     // used by the setData function
     var ENCODINGS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
     var CACHE_LIMIT = 1381855 * 20;
+    var PERSIST_CACHE_NAME = 'ionic-img';
+    var PERSIST_CACHE_LIMIT = 1024 * 1024 * 50;
+    var PERSIST_CACHE_AGE = 1000 * 60 * 60 * 24 * 7;
 });
 //# sourceMappingURL=img-loader.js.map
\ No newline at end of file
@@ -121,6 +121,67 @@
      * does not have the same problems which `ion-img` is solving, then it's
      * recommended to just use the standard `img` HTML element instead.
      *
+     *
+     * ### Offline Images
+     *
+     * The in-memory cache only lasts while the app is open. Setting `persist`
+     * also keeps each downloaded image between app launches, using the Cache API
+     * where it's available, otherwise IndexedDB. Persisted images are used before
+     * making a request, so they're still shown when the app has no connection.
+     * Every image can be persisted by setting the `imgPersist` config to `true`.
+     *
+     * Persisted images older than the `imgCacheMaxAge` config in milliseconds,
+     * which defaults to 7 days, are downloaded again. Once they add up to more
+     * than the `imgCacheMaxSize` config in bytes, which defaults to 50MB, the
+     * oldest images are removed first.
+     *
+     * While an image is loading the `placeholder` image is shown, and the
+     * `fallback` image is shown when it can't be loaded, such as when the app
+     * is offline and it hasn't been persisted yet. Both are used as is, rather
+     * than going through the image requests above, so they should be small
+     * images, such as a tiny low quality version of the image or an image which
+     * is bundled with the app. Once the image has loaded it fades in over the
+     * placeholder.
+     *
+     * ```html
+     * <ion-img persist placeholder="assets/img/loading.png" fallback="assets/img/offline.png" src="..."></ion-img>
+     * ```
+     *
+     *
+     * ### Responsive Images
+     *
+     * Like the standard `img` element, `srcset` can list sources of different
+     * widths, such as `photo-400.jpg 400w, photo-800.jpg 800w`, or for different
+     * pixel densities, such as `photo.jpg 1x, photo@2x.jpg 2x`. The smallest
+     * source which is still sharp on the device's pixel ratio is requested, and
+     * `src` is used when `srcset` isn't set.
+     *
+     * For width descriptors, `sizes` sets how wide the image is shown, such as
+     * `(min-width: 768px) 50vw, 100vw`. Without `sizes`, the `width` of the
+     * image is used when it's set in pixels, otherwise the width of the viewport.
+     * If the viewport grows, such as when the device is rotated, a larger source
+     * is requested when it's needed.
+     *
+     * ```html
+     * <ion-img width="160" height="160" src="photo-160.jpg" srcset="photo-160.jpg 160w, photo-320.jpg 320w, photo-480.jpg 480w"></ion-img>
+     * ```
+     *
+     *
+     * ### Lazy Loading Outside of Content
+     *
+     * Images which aren't within an `ion-content`, or which have the `observe`
+     * property, are loaded once they come within view of any scrollable element,
+     * using an `IntersectionObserver`. This is useful for images within an
+     * element which scrolls horizontally, since `ion-content` only follows its
+     * own vertical scrolling. Where `IntersectionObserver` isn't available, these
+     * images are loaded right away.
+     *
+     * ```html
+     * <div class="carousel">
+     *   <ion-img observe width="120" height="80" *ngFor="let photo of photos" [src]="photo.src"></ion-img>
+     * </div>
+     * ```
+     *
      */
     var Img = (function () {
         function Img(_ldr, _elementRef, _renderer, _platform, _zone, _content, _dom) {
@@ -134,6 +195,16 @@
             /** @internal */
             this._cache = true;
             /** @internal */
+            this._persist = null;
+            /** @internal */
+            this._srcs = null;
+            /** @internal */
+            this._srcIndex = -1;
+            /** @internal */
+            this._sizes = '';
+            /** @internal */
+            this._observed = false;
+            /** @internal */
             this._w = '';
             /** @internal */
             this._h = '';
@@ -147,7 +218,9 @@
              */
             this.alt = '';
             if (!this._content) {
-                console.warn("ion-img can only be used within an ion-content");
+                // there isn't an ion-content scroll to follow, so
+                // load the image once it's within view of anything
+                this._observeView();
             }
             else {
                 this._content.addImg(this);
@@ -156,35 +229,149 @@
         }
         Object.defineProperty(Img.prototype, "src", {
             /**
-             * @input {string} Image src.
+             * @input {string} Image src. When `srcset` is set, this is the source
+             * picked from `srcset` instead.
              */
             get: function () {
                 return this._src;
             },
             set: function (newSrc) {
-                // if the source hasn't changed, then um, let's not change it
-                if (newSrc !== this._src) {
-                    // we're changing the source
-                    // so abort any active http requests
-                    // and render the image empty
-                    this.reset();
-                    // update to the new src
-                    this._src = newSrc;
-                    if (newSrc.indexOf('data:') === 0) {
-                        // they're using an actual datauri already
-                        this._tmpDataUri = newSrc;
-                    }
-                    else {
-                        // reset any existing datauri we might be holding onto
-                        this._tmpDataUri = null;
-                    }
-                    // run update to kick off requests or render if everything is good
-                    this.update();
-                }
+                this._defaultSrc = newSrc;
+                this._pickSrc();
             },
             enumerable: true,
             configurable: true
         });
+        Object.defineProperty(Img.prototype, "srcset", {
+            /**
+             * @input {string}  A comma separated list of sources, each followed by
+             * its width, such as `400w`, or its pixel density, such as `2x`.
+             */
+            get: function () {
+                return this._srcset;
+            },
+            set: function (val) {
+                this._srcset = val;
+                this._srcs = parseSrcset(val);
+                this._srcIndex = -1;
+                this._pickSrc();
+            },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(Img.prototype, "sizes", {
+            /**
+             * @input {string}  A comma separated list of how wide the image is shown,
+             * each but the last following a media condition, such as `(max-width: 600px) 100vw, 50vw`.
+             */
+            get: function () {
+                return this._sizes;
+            },
+            set: function (val) {
+                this._sizes = val || '';
+                this._pickSrc();
+            },
+            enumerable: true,
+            configurable: true
+        });
+        /**
+         * @internal
+         */
+        Img.prototype._pickSrc = function (onlyLarger) {
+            var _this = this;
+            if (!this._srcs || !this._srcs.length) {
+                this._defaultSrc && this._setSrc(this._defaultSrc);
+                return;
+            }
+            var index = pickSrcIndex(this._srcs, this._getSlotWidth(), window.devicePixelRatio || 1);
+            if (onlyLarger && index <= this._srcIndex) {
+                // the source already loaded is sharp enough
+                return;
+            }
+            this._srcIndex = index;
+            this._setSrc(this._srcs[index].src);
+            if (!this._unregResize) {
+                this._unregResize = this._platform.onResize(function () {
+                    _this._pickSrc(true);
+                });
+            }
+        };
+        /**
+         * @internal
+         */
+        Img.prototype._getSlotWidth = function () {
+            var platformWidth = this._platform.width();
+            if (this._sizes) {
+                return getSizesWidth(this._sizes, platformWidth);
+            }
+            if (this._wQ.indexOf('px') > -1) {
+                return parseFloat(this._wQ);
+            }
+            return platformWidth;
+        };
+        /**
+         * @internal
+         */
+        Img.prototype._setSrc = function (newSrc) {
+            // if the source hasn't changed, then um, let's not change it
+            if (newSrc !== this._src) {
+                // we're changing the source
+                // so abort any active http requests
+                // and render the image empty
+                this.reset();
+                this._setPlaceholder(this._placeholder);
+                // update to the new src
+                this._src = newSrc;
+                if (newSrc.indexOf('data:') === 0) {
+                    // they're using an actual datauri already
+                    this._tmpDataUri = newSrc;
+                }
+                else {
+                    // reset any existing datauri we might be holding onto
+                    this._tmpDataUri = null;
+                }
+                // run update to kick off requests or render if everything is good
+                this.update();
+            }
+        };
+        /**
+         * @internal
+         */
+        Img.prototype._observeView = function () {
+            var _this = this;
+            if (this._observed) {
+                return;
+            }
+            this._observed = true;
+            // the observer decides when to load, rather than the content's scrolling
+            this._content && this._content.removeImg(this);
+            if (typeof IntersectionObserver === 'undefined') {
+                // there's no telling when it's within view, so load it now
+                this._inView();
+                return;
+            }
+            this._observer = new IntersectionObserver(function (entries) {
+                if (entries.some(function (entry) { return entry.isIntersecting || entry.intersectionRatio > 0; })) {
+                    _this._inView();
+                }
+            }, { rootMargin: OBSERVER_MARGIN });
+            this._observer.observe(this._elementRef.nativeElement);
+        };
+        /**
+         * @internal
+         */
+        Img.prototype._inView = function () {
+            this._unobserveView();
+            this.canRequest = this.canRender = true;
+            this.update();
+        };
+        /**
+         * @internal
+         */
+        Img.prototype._unobserveView = function () {
+            this._observer && this._observer.disconnect();
+            this._observer = null;
+        };
         /**
          * @private
          */
@@ -209,7 +396,7 @@
             var _this = this;
             // only attempt an update if there is an active src
             // and the content containing the image considers it updatable
-            if (this._src && this._content.isImgsUpdatable()) {
+            if (this._src && (this._observed || this._content.isImgsUpdatable())) {
                 if (this.canRequest && (this._src !== this._renderedSrc && this._src !== this._requestingSrc) && !this._tmpDataUri) {
                     // only begin the request if we "can" request
                     // begin the image request if the src is different from the rendered src
@@ -221,7 +408,7 @@
                         _this._cb = null;
                     };
                     // post the message to the web worker
-                    this._ldr.load(this._src, this._cache, this._cb);
+                    this._ldr.load(this._src, this._cache, this._cb, this._persist);
                     // set the dimensions of the image if we do have different data
                     this._setDims();
                 }
@@ -256,6 +443,7 @@
                 this._renderedSrc = this._tmpDataUri = null;
                 this._dom.write(function () {
                     _this._isLoaded(false);
+                    _this._setPlaceholder(_this._fallback || _this._placeholder);
                 });
             }
         };
@@ -277,6 +465,15 @@
             renderer.setElementAttribute(imgEle, 'src', srcAttr);
             renderer.setElementAttribute(imgEle, 'alt', this.alt);
         };
+        /**
+         * @internal
+         */
+        Img.prototype._setPlaceholder = function (placeholder) {
+            // the placeholder stays behind the img so the img can fade in over it
+            var ele = this._elementRef.nativeElement;
+            this._renderer.setElementClass(ele, 'img-placeholder', !!placeholder);
+            this._renderer.setElementStyle(ele, 'background-image', placeholder ? 'url("' + placeholder + '")' : '');
+        };
         Object.defineProperty(Img.prototype, "top", {
             /**
              * @private
@@ -343,6 +540,70 @@
             enumerable: true,
             configurable: true
         });
+        Object.defineProperty(Img.prototype, "persist", {
+            /**
+             * @input {boolean}  Whether to keep the downloaded image between app launches,
+             * so it can still be shown when the app is offline. Defaults to the `imgPersist`
+             * config, which is `false`.
+             */
+            get: function () {
+                return this._persist;
+            },
+            set: function (val) {
+                this._persist = util_1.isTrueProperty(val);
+            },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(Img.prototype, "placeholder", {
+            /**
+             * @input {string}  The src of an image to show while the image is loading.
+             */
+            get: function () {
+                return this._placeholder;
+            },
+            set: function (val) {
+                var _this = this;
+                this._placeholder = val;
+                this._dom.write(function () {
+                    _this._setPlaceholder(val);
+                });
+            },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(Img.prototype, "fallback", {
+            /**
+             * @input {string}  The src of an image to show when the image can't be loaded,
+             * such as when the app is offline. Defaults to the `placeholder` image.
+             */
+            get: function () {
+                return this._fallback;
+            },
+            set: function (val) {
+                this._fallback = val;
+            },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(Img.prototype, "observe", {
+            /**
+             * @input {boolean}  Whether to load the image once it's within view of any
+             * scrollable element using an `IntersectionObserver`, rather than by following
+             * the scrolling of its `ion-content`. Images which aren't within an `ion-content`
+             * always do this.
+             */
+            get: function () {
+                return this._observed;
+            },
+            set: function (val) {
+                if (util_1.isTrueProperty(val)) {
+                    this._observeView();
+                }
+            },
+            enumerable: true,
+            configurable: true
+        });
         Object.defineProperty(Img.prototype, "width", {
             /**
              * @input {string}  Image width. If this property is not set it's important that
@@ -352,6 +613,10 @@
             set: function (val) {
                 this._wQ = getUnitValue(val);
                 this._setDims();
+                if (this._srcs && !this._sizes) {
+                    // the width decides which source is sharp enough
+                    this._pickSrc();
+                }
             },
             enumerable: true,
             configurable: true
@@ -393,6 +658,8 @@
          */
         Img.prototype.ngOnDestroy = function () {
             this._cb = null;
+            this._unobserveView();
+            this._unregResize && this._unregResize();
             this._content && this._content.removeImg(this);
         };
         Img.decorators = [
@@ -415,8 +682,14 @@
         ];
         Img.propDecorators = {
             'src': [{ type: core_1.Input },],
+            'srcset': [{ type: core_1.Input },],
+            'sizes': [{ type: core_1.Input },],
             'bounds': [{ type: core_1.Input },],
             'cache': [{ type: core_1.Input },],
+            'persist': [{ type: core_1.Input },],
+            'placeholder': [{ type: core_1.Input },],
+            'fallback': [{ type: core_1.Input },],
+            'observe': [{ type: core_1.Input },],
             'width': [{ type: core_1.Input },],
             'height': [{ type: core_1.Input },],
             'alt': [{ type: core_1.Input },],
@@ -440,5 +713,65 @@
         }
         return '';
     }
+    function parseSrcset(srcset) {
+        var candidates = [];
+        (srcset || '').split(',').forEach(function (candidate) {
+            var parts = candidate.trim().split(/\s+/);
+            if (!parts[0]) {
+                return;
+            }
+            var descriptor = parts[1] || '1x';
+            var value = parseFloat(descriptor) || 1;
+            var isWidth = descriptor.charAt(descriptor.length - 1) === 'w';
+            candidates.push({
+                src: parts[0],
+                w: isWidth ? value : 0,
+                x: isWidth ? 0 : value
+            });
+        });
+        // smallest first, so the first sharp enough source is also the smallest
+        return candidates.sort(function (a, b) { return (a.w || a.x) - (b.w || b.x); });
+    }
+    function pickSrcIndex(candidates, slotWidth, pixelRatio) {
+        for (var i = 0; i < candidates.length; i++) {
+            var density = candidates[i].w ? candidates[i].w / slotWidth : candidates[i].x;
+            if (density >= pixelRatio) {
+                return i;
+            }
+        }
+        // nothing is sharp enough, so go with the largest
+        return candidates.length - 1;
+    }
+    function getSizesWidth(sizes, platformWidth) {
+        var sources = sizes.split(',');
+        for (var i = 0; i < sources.length; i++) {
+            var source = sources[i].trim();
+            var media = null;
+            var mediaEnd = source.lastIndexOf(')');
+            if (source.charAt(0) === '(' && mediaEnd > -1) {
+                media = source.substr(0, mediaEnd + 1);
+                source = source.substr(mediaEnd + 1).trim();
+            }
+            if (!media || window.matchMedia(media).matches) {
+                return getSizeLength(source, platformWidth);
+            }
+        }
+        return platformWidth;
+    }
+    function getSizeLength(length, platformWidth) {
+        var value = parseFloat(length);
+        if (isNaN(value)) {
+            return platformWidth;
+        }
+        if (length.indexOf('vw') > -1) {
+            return platformWidth * value / 100;
+        }
+        if (length.indexOf('em') > -1) {
+            return value * 16;
+        }
+        return value;
+    }
+    // how far outside of view an observed image starts loading
+    var OBSERVER_MARGIN = '200px';
 });
 //# sourceMappingURL=img.js.map
\ No newline at end of file
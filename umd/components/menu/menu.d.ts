@@ -59,6 +59,13 @@ import { DomController } from '../../util/dom-controller';
  * to the `Menu` with `persistent` set to true, any other `MenuToggle` buttons will not be affected.
  *
  *
+ * ### Split Pane
+ *
+ * On wider screens, such as tablets and desktops, a menu can be docked beside its content by
+ * placing them both within a [SplitPane](../../split-pane/SplitPane). While it's docked, the
+ * menu is always shown and can't be opened, closed or swiped.
+ *
+ *
  * @usage
  *
  * To add a menu to an application, the `<ion-menu>` element should be added as a sibling to
@@ -191,6 +198,7 @@ export declare class Menu {
     private _isSwipeEnabled;
     private _isAnimating;
     private _isPersistent;
+    private _isPane;
     private _init;
     private _events;
     private _gestureBlocker;
@@ -284,7 +292,7 @@ export declare class Menu {
     _swipeBeforeStart(): void;
     _swipeStart(): void;
     _swipeProgress(stepValue: number): void;
-    _swipeEnd(shouldCompleteLeft: boolean, shouldCompleteRight: boolean, stepValue: number, velocity: number): void;
+    _swipeEnd(shouldCompleteLeft: boolean, shouldCompleteRight: boolean, stepValue: number, velocity: number, stepVelocity?: number): void;
     private _before();
     private _after(isOpen);
     /**
@@ -307,6 +315,18 @@ export declare class Menu {
      * @private
      */
     swipeEnable(shouldEnable: boolean): Menu;
+    /**
+     * @private
+     * @return {boolean} Returns `true` if the menu is docked in a split pane.
+     */
+    isPane(): boolean;
+    /**
+     * @private
+     * Called by the split pane when the menu is docked beside the content
+     * or goes back to being a menu which is opened over the content.
+     */
+    _setPane(isPane: boolean): void;
+    private _setPaneClass();
     /**
      * @private
      */
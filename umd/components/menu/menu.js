@@ -71,6 +71,13 @@
      * to the `Menu` with `persistent` set to true, any other `MenuToggle` buttons will not be affected.
      *
      *
+     * ### Split Pane
+     *
+     * On wider screens, such as tablets and desktops, a menu can be docked beside its content by
+     * placing them both within a [SplitPane](../../split-pane/SplitPane). While it's docked, the
+     * menu is always shown and can't be opened, closed or swiped.
+     *
+     *
      * @usage
      *
      * To add a menu to an application, the `<ion-menu>` element should be added as a sibling to
@@ -201,6 +208,7 @@
             this._isSwipeEnabled = true;
             this._isAnimating = false;
             this._isPersistent = false;
+            this._isPane = false;
             this._init = false;
             this._events = new ui_event_manager_1.UIEventManager();
             /**
@@ -233,6 +241,7 @@
             set: function (val) {
                 this._isEnabled = util_1.isTrueProperty(val);
                 this._setListeners();
+                this._setPaneClass();
             },
             enumerable: true,
             configurable: true
@@ -319,13 +328,14 @@
                 return;
             }
             var gesture = this._gesture;
+            var shouldListen = this._isEnabled && this._isSwipeEnabled && !this._isPane;
             // only listen/unlisten if the menu has initialized
-            if (this._isEnabled && this._isSwipeEnabled && !gesture.isListening) {
+            if (shouldListen && !gesture.isListening) {
                 // should listen, but is not currently listening
                 (void 0) /* console.debug */;
                 gesture.listen();
             }
-            else if (gesture.isListening && (!this._isEnabled || !this._isSwipeEnabled)) {
+            else if (gesture.isListening && !shouldListen) {
                 // should not listen, but is currently listening
                 (void 0) /* console.debug */;
                 gesture.unlisten();
@@ -349,8 +359,8 @@
         Menu.prototype.setOpen = function (shouldOpen, animated) {
             var _this = this;
             if (animated === void 0) { animated = true; }
-            // If the menu is disabled or it is currenly being animated, let's do nothing
-            if ((shouldOpen === this.isOpen) || !this._isEnabled || this._isAnimating) {
+            // If the menu is disabled, docked in a split pane or it is currenly being animated, let's do nothing
+            if ((shouldOpen === this.isOpen) || !this._isEnabled || this._isPane || this._isAnimating) {
                 return Promise.resolve(this.isOpen);
             }
             this._before();
@@ -367,6 +377,7 @@
         Menu.prototype.canSwipe = function () {
             return this._isEnabled &&
                 this._isSwipeEnabled &&
+                !this._isPane &&
                 !this._isAnimating &&
                 this._app.isEnabled();
         };
@@ -401,7 +412,7 @@
                 ionDrag.emit(stepValue);
             }
         };
-        Menu.prototype._swipeEnd = function (shouldCompleteLeft, shouldCompleteRight, stepValue, velocity) {
+        Menu.prototype._swipeEnd = function (shouldCompleteLeft, shouldCompleteRight, stepValue, velocity, stepVelocity) {
             var _this = this;
             if (!this._isAnimating) {
                 (void 0) /* assert */;
@@ -416,7 +427,7 @@
             else {
                 shouldComplete = (this.side === 'right') ? shouldCompleteRight : shouldCompleteLeft;
             }
-            this._getType().setProgressEnd(shouldComplete, stepValue, velocity, function (isOpen) {
+            this._getType().setProgressEnd(shouldComplete, stepValue, velocity, stepVelocity, function (isOpen) {
                 (void 0) /* console.debug */;
                 _this._after(isOpen);
             });
@@ -508,6 +519,37 @@
             // what happens if menu swipe is disabled while swipping?
             return this;
         };
+        /**
+         * @private
+         * @return {boolean} Returns `true` if the menu is docked in a split pane.
+         */
+        Menu.prototype.isPane = function () {
+            return this._isPane;
+        };
+        /**
+         * @private
+         * Called by the split pane when the menu is docked beside the content
+         * or goes back to being a menu which is opened over the content.
+         */
+        Menu.prototype._setPane = function (isPane) {
+            if (isPane === this._isPane) {
+                return;
+            }
+            if (isPane && this.isOpen) {
+                // a docked menu is never open, so close it without animating first
+                this.setOpen(false, false);
+            }
+            this._isPane = isPane;
+            this._setListeners();
+            this._setPaneClass();
+        };
+        /**
+         * @private
+         */
+        Menu.prototype._setPaneClass = function () {
+            // a disabled menu isn't shown in the split pane
+            this.setElementClass('split-pane-side', this._isPane && this._isEnabled);
+        };
         /**
          * @private
          */
@@ -0,0 +1,140 @@
+(function (factory) {
+    if (typeof module === 'object' && typeof module.exports === 'object') {
+        var v = factory(require, exports); if (v !== undefined) module.exports = v;
+    }
+    else if (typeof define === 'function' && define.amd) {
+        define(["require", "exports", '@angular/core', '../../util/util', '../../util/key', '../../navigation/nav-params', '../../navigation/view-controller'], factory);
+    }
+})(function (require, exports) {
+    "use strict";
+    var core_1 = require('@angular/core');
+    var util_1 = require('../../util/util');
+    var key_1 = require('../../util/key');
+    var nav_params_1 = require('../../navigation/nav-params');
+    var view_controller_1 = require('../../navigation/view-controller');
+    /**
+     * @private
+     */
+    var SelectPopoverCmp = (function () {
+        function SelectPopoverCmp(_viewCtrl, _elementRef, params) {
+            var _this = this;
+            this._viewCtrl = _viewCtrl;
+            this._elementRef = _elementRef;
+            this.activeIndex = -1;
+            this.d = params.data;
+            // copy the selected options so cancelling leaves the select untouched
+            this.selected = this.d.selected.slice();
+            this.d.options.forEach(function (option, index) {
+                option.checked = _this.isSelected(option.value);
+                if (option.checked && _this.activeIndex < 0) {
+                    _this.activeIndex = index;
+                }
+            });
+            if (this.activeIndex < 0) {
+                this.activeIndex = this.nextIndex(-1, 1);
+            }
+        }
+        SelectPopoverCmp.prototype.ionViewDidEnter = function () {
+            this.focusOption();
+        };
+        SelectPopoverCmp.prototype.isSelected = function (value) {
+            return this.selected.some(function (o) { return util_1.isCheckedProperty(o.value, value); });
+        };
+        SelectPopoverCmp.prototype.select = function (option) {
+            if (!option || option.disabled) {
+                return;
+            }
+            this.activeIndex = this.d.options.indexOf(option);
+            if (!this.d.multiple) {
+                this.selected = [option];
+                option.handler && option.handler(option);
+                this.done();
+                return;
+            }
+            option.checked = !option.checked;
+            if (option.checked) {
+                this.selected.push(option);
+                option.handler && option.handler(option);
+            }
+            else {
+                this.selected = this.selected.filter(function (o) { return !util_1.isCheckedProperty(o.value, option.value); });
+            }
+        };
+        SelectPopoverCmp.prototype.done = function () {
+            return this._viewCtrl.dismiss(this.selected);
+        };
+        SelectPopoverCmp.prototype.cancel = function () {
+            return this._viewCtrl.dismiss(null, 'cancel');
+        };
+        SelectPopoverCmp.prototype._keyDown = function (ev) {
+            if (!this._viewCtrl.isLast()) {
+                return;
+            }
+            var keyCode = ev.keyCode;
+            if (keyCode === key_1.Key.UP || keyCode === key_1.Key.DOWN) {
+                ev.preventDefault();
+                this.activeIndex = this.nextIndex(this.activeIndex, keyCode === key_1.Key.UP ? -1 : 1);
+                this.focusOption();
+            }
+            else if (keyCode === key_1.Key.ENTER) {
+                var target = ev.target;
+                if (target && target.tagName === 'BUTTON' && !isOption(target)) {
+                    // the cancel and ok buttons handle their own enter
+                    return;
+                }
+                // an option button's own click would select it a second time
+                ev.preventDefault();
+                this.select(this.d.options[this.activeIndex]);
+            }
+        };
+        /**
+         * Returns the index of the next option which isn't disabled,
+         * wrapping around at either end of the list.
+         */
+        SelectPopoverCmp.prototype.nextIndex = function (index, step) {
+            var options = this.d.options;
+            for (var i = 0; i < options.length; i++) {
+                index = (index + step + options.length) % options.length;
+                if (!options[index].disabled) {
+                    return index;
+                }
+            }
+            return -1;
+        };
+        SelectPopoverCmp.prototype.focusOption = function () {
+            var ele = this._elementRef.nativeElement.querySelectorAll('.select-popover-option')[this.activeIndex];
+            ele && ele.focus();
+        };
+        SelectPopoverCmp.decorators = [
+            { type: core_1.Component, args: [{
+                        selector: 'ion-select-popover',
+                        template: '<ion-list [attr.role]="d.multiple ? \'group\' : \'radiogroup\'">' +
+                            '<button ion-item *ngFor="let o of d.options; let i = index" (click)="select(o)" (focus)="activeIndex = i" [disabled]="o.disabled" [attr.role]="d.multiple ? \'checkbox\' : \'radio\'" [attr.aria-checked]="o.checked" [attr.tabindex]="i === activeIndex ? 0 : -1" class="select-popover-option" [class.select-popover-option-checked]="o.checked">' +
+                            '{{o.text}}' +
+                            '<ion-icon *ngIf="o.checked" name="checkmark" item-right></ion-icon>' +
+                            '</button>' +
+                            '</ion-list>' +
+                            '<div *ngIf="d.multiple" class="select-popover-buttons">' +
+                            '<button ion-button clear (click)="cancel()">{{d.cancelText}}</button>' +
+                            '<button ion-button clear (click)="done()">{{d.okText}}</button>' +
+                            '</div>',
+                        encapsulation: core_1.ViewEncapsulation.None,
+                    },] },
+        ];
+        /** @nocollapse */
+        SelectPopoverCmp.ctorParameters = [
+            { type: view_controller_1.ViewController, },
+            { type: core_1.ElementRef, },
+            { type: nav_params_1.NavParams, },
+        ];
+        SelectPopoverCmp.propDecorators = {
+            '_keyDown': [{ type: core_1.HostListener, args: ['body:keydown', ['$event'],] },],
+        };
+        return SelectPopoverCmp;
+    }());
+    exports.SelectPopoverCmp = SelectPopoverCmp;
+    function isOption(ele) {
+        return !!ele && !!ele.classList && ele.classList.contains('select-popover-option');
+    }
+});
+//# sourceMappingURL=select-popover-component.js.map
\ No newline at end of file
@@ -7,6 +7,7 @@ import { Ion } from '../ion';
 import { Item } from '../item/item';
 import { NavController } from '../../navigation/nav-controller';
 import { Option } from '../option/option';
+import { SelectModalOption } from './select-modal-component';
 export declare const SELECT_VALUE_ACCESSOR: any;
 /**
  * @name Select
@@ -28,6 +29,17 @@ export declare const SELECT_VALUE_ACCESSOR: any;
  * `action-sheet` to the `interface` property. Read the other sections for the limitations of the
  * action sheet interface.
  *
+ * Passing `modal` to the `interface` property opens the options in a full page
+ * {@link ../../modal/ModalController Modal} instead. The modal has a searchbar to filter
+ * the options by their text, and uses `VirtualScroll` for the list, so it is the best
+ * choice when there are hundreds of options. Read the Modal Interface section below.
+ *
+ * On tablets and desktops, passing `popover` to the `interface` property opens the options
+ * in a {@link ../../popover/PopoverController Popover} which is anchored to the select.
+ * The up and down arrow keys move through the options, and enter selects the focused option.
+ * Like the modal, a multi-value select's popover has `Cancel` and `OK` buttons, while a single
+ * value select's popover closes as soon as an option is selected.
+ *
  * ### Single Value: Radio Buttons
  *
  * The standard `ion-select` component allows the user to select only one
@@ -108,6 +120,38 @@ export declare const SELECT_VALUE_ACCESSOR: any;
  * };
  * ```
  *
+ * ### Modal Interface
+ *
+ * The `modal` interface has a `Cancel` button, and a multi-value select also has
+ * an `OK` button. A single value select closes the modal as soon as an option is
+ * tapped. With a multi-value select, the options which have been selected so far
+ * are shown as chips under the searchbar, and can be removed from there.
+ *
+ * Rather than using `ion-option` children, the options can be loaded as the user
+ * searches by passing a function to the `loadOptions` property. It is given the
+ * searchbar's text, which is empty when the modal opens, and returns a promise of
+ * the options to show. Each option is an object with a `text`, and optionally a
+ * `value` and `disabled`. Only the latest search is shown, even if an earlier
+ * search resolves after it.
+ *
+ * ```html
+ * <ion-select [(ngModel)]="country" interface="modal" [loadOptions]="searchCountries">
+ * </ion-select>
+ * ```
+ *
+ * ```ts
+ * searchCountries = (searchText: string) => {
+ *   return this.http.get('/countries?q=' + searchText)
+ *     .map(res => res.json().map(c => ({ text: c.name, value: c.code })))
+ *     .toPromise();
+ * }
+ * ```
+ *
+ * The select remembers the text of loaded options once they are selected. When the
+ * value is set before the modal has been opened, use `selectedText` to display it.
+ * The `selectOptions` for the modal interface can include a `title`, `cssClass`,
+ * `searchPlaceholder`, `searchDebounce` and the `approxItemHeight` of each option.
+ *
  * @demo /docs/v2/demos/src/select/
  */
 export declare class Select extends Ion implements AfterContentInit, ControlValueAccessor, OnDestroy {
@@ -124,6 +168,7 @@ export declare class Select extends Ion implements AfterContentInit, ControlValu
     _text: string;
     _fn: Function;
     _isOpen: boolean;
+    _loaded: SelectModalOption[];
     /**
      * @private
      */
@@ -148,9 +193,14 @@ export declare class Select extends Ion implements AfterContentInit, ControlValu
      */
     selectOptions: any;
     /**
-     * @input {string} The interface the select should use: `action-sheet` or `alert`. Default: `alert`.
+     * @input {string} The interface the select should use: `action-sheet`, `alert`, `modal` or `popover`. Default: `alert`.
      */
     interface: string;
+    /**
+     * @input {Function} A function which is given the search text and returns a promise of
+     * the options to show in the `modal` interface. Read the Modal Interface section for more.
+     */
+    loadOptions: (searchText: string) => Promise<SelectModalOption[]>;
     /**
      * @input {string} The text to display instead of the selected option's value.
      */
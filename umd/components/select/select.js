@@ -8,7 +8,7 @@ var __extends = (this && this.__extends) || function (d, b) {
         var v = factory(require, exports); if (v !== undefined) module.exports = v;
     }
     else if (typeof define === 'function' && define.amd) {
-        define(["require", "exports", '@angular/core', '@angular/forms', '../action-sheet/action-sheet', '../alert/alert', '../app/app', '../../config/config', '../../util/form', '../ion', '../../util/util', '../item/item', '../../navigation/nav-controller', '../option/option'], factory);
+        define(["require", "exports", '@angular/core', '@angular/forms', '../action-sheet/action-sheet', '../alert/alert', '../app/app', '../../config/config', '../../util/form', '../ion', '../../util/util', '../item/item', '../modal/modal', '../../navigation/nav-controller', '../option/option', '../popover/popover', './select-modal-component', './select-popover-component'], factory);
     }
 })(function (require, exports) {
     "use strict";
@@ -22,8 +22,12 @@ var __extends = (this && this.__extends) || function (d, b) {
     var ion_1 = require('../ion');
     var util_1 = require('../../util/util');
     var item_1 = require('../item/item');
+    var modal_1 = require('../modal/modal');
     var nav_controller_1 = require('../../navigation/nav-controller');
     var option_1 = require('../option/option');
+    var popover_1 = require('../popover/popover');
+    var select_modal_component_1 = require('./select-modal-component');
+    var select_popover_component_1 = require('./select-popover-component');
     exports.SELECT_VALUE_ACCESSOR = {
         provide: forms_1.NG_VALUE_ACCESSOR,
         useExisting: core_1.forwardRef(function () { return Select; }),
@@ -49,6 +53,17 @@ var __extends = (this && this.__extends) || function (d, b) {
      * `action-sheet` to the `interface` property. Read the other sections for the limitations of the
      * action sheet interface.
      *
+     * Passing `modal` to the `interface` property opens the options in a full page
+     * {@link ../../modal/ModalController Modal} instead. The modal has a searchbar to filter
+     * the options by their text, and uses `VirtualScroll` for the list, so it is the best
+     * choice when there are hundreds of options. Read the Modal Interface section below.
+     *
+     * On tablets and desktops, passing `popover` to the `interface` property opens the options
+     * in a {@link ../../popover/PopoverController Popover} which is anchored to the select.
+     * The up and down arrow keys move through the options, and enter selects the focused option.
+     * Like the modal, a multi-value select's popover has `Cancel` and `OK` buttons, while a single
+     * value select's popover closes as soon as an option is selected.
+     *
      * ### Single Value: Radio Buttons
      *
      * The standard `ion-select` component allows the user to select only one
@@ -129,6 +144,38 @@ var __extends = (this && this.__extends) || function (d, b) {
      * };
      * ```
      *
+     * ### Modal Interface
+     *
+     * The `modal` interface has a `Cancel` button, and a multi-value select also has
+     * an `OK` button. A single value select closes the modal as soon as an option is
+     * tapped. With a multi-value select, the options which have been selected so far
+     * are shown as chips under the searchbar, and can be removed from there.
+     *
+     * Rather than using `ion-option` children, the options can be loaded as the user
+     * searches by passing a function to the `loadOptions` property. It is given the
+     * searchbar's text, which is empty when the modal opens, and returns a promise of
+     * the options to show. Each option is an object with a `text`, and optionally a
+     * `value` and `disabled`. Only the latest search is shown, even if an earlier
+     * search resolves after it.
+     *
+     * ```html
+     * <ion-select [(ngModel)]="country" interface="modal" [loadOptions]="searchCountries">
+     * </ion-select>
+     * ```
+     *
+     * ```ts
+     * searchCountries = (searchText: string) => {
+     *   return this.http.get('/countries?q=' + searchText)
+     *     .map(res => res.json().map(c => ({ text: c.name, value: c.code })))
+     *     .toPromise();
+     * }
+     * ```
+     *
+     * The select remembers the text of loaded options once they are selected. When the
+     * value is set before the modal has been opened, use `selectedText` to display it.
+     * The `selectOptions` for the modal interface can include a `title`, `cssClass`,
+     * `searchPlaceholder`, `searchDebounce` and the `approxItemHeight` of each option.
+     *
      * @demo /docs/v2/demos/src/select/
      */
     var Select = (function (_super) {
@@ -145,6 +192,7 @@ var __extends = (this && this.__extends) || function (d, b) {
             this._texts = [];
             this._text = '';
             this._isOpen = false;
+            this._loaded = [];
             /**
              * @input {string} The text to display on the cancel button. Default: `Cancel`.
              */
@@ -161,9 +209,14 @@ var __extends = (this && this.__extends) || function (d, b) {
              */
             this.selectOptions = {};
             /**
-             * @input {string} The interface the select should use: `action-sheet` or `alert`. Default: `alert`.
+             * @input {string} The interface the select should use: `action-sheet`, `alert`, `modal` or `popover`. Default: `alert`.
              */
             this.interface = '';
+            /**
+             * @input {Function} A function which is given the search text and returns a promise of
+             * the options to show in the `modal` interface. Read the Modal Interface section for more.
+             */
+            this.loadOptions = null;
             /**
              * @input {string} The text to display instead of the selected option's value.
              */
@@ -259,6 +312,63 @@ var __extends = (this && this.__extends) || function (d, b) {
                 selectOptions.cssClass = selectCssClass;
                 overlay = new action_sheet_1.ActionSheet(this._app, selectOptions);
             }
+            else if (this.interface === 'modal' || this.interface === 'popover') {
+                selectOptions.cancelText = this.cancelText;
+                selectOptions.okText = this.okText;
+                selectOptions.multiple = this._multi;
+                selectOptions.options = options.map(function (input) {
+                    return {
+                        text: input.text,
+                        value: input.value,
+                        disabled: input.disabled,
+                        handler: function () {
+                            input.ionSelect.emit(input.value);
+                        }
+                    };
+                });
+                // options which were loaded and then selected aren't ion-options,
+                // so they're added to the selected ion-options
+                selectOptions.selected = options.filter(function (input) { return input.selected; }).map(function (input) {
+                    return { text: input.text, value: input.value };
+                }).concat(this._loaded);
+                var selectCssClass = 'select-' + this.interface;
+                // If the user passed a cssClass for the select, add it
+                selectCssClass += selectOptions.cssClass ? ' ' + selectOptions.cssClass : '';
+                if (this.interface === 'modal') {
+                    util_1.defaults(selectOptions, {
+                        searchPlaceholder: 'Search',
+                        searchDebounce: 250,
+                        approxItemHeight: '40px'
+                    });
+                    selectOptions.loadOptions = this.loadOptions;
+                    selectOptions.cssClass = selectCssClass;
+                    overlay = new modal_1.Modal(this._app, select_modal_component_1.SelectModalCmp, selectOptions);
+                }
+                else {
+                    // anchor the popover to the select rather than the center of the screen
+                    selectOptions.ev = { target: this.getNativeElement() };
+                    overlay = new popover_1.Popover(this._app, select_popover_component_1.SelectPopoverCmp, selectOptions, {
+                        cssClass: selectCssClass
+                    });
+                }
+                overlay.onWillDismiss(function (selected, role) {
+                    if (role === 'cancel') {
+                        _this.ionCancel.emit(null);
+                        return;
+                    }
+                    if (!selected) {
+                        // dismissed by the backdrop
+                        return;
+                    }
+                    _this._loaded = selected.map(function (o) {
+                        return { text: o.text, value: o.value };
+                    });
+                    var values = selected.map(function (o) { return o.value; });
+                    var value = _this._multi ? values : values[0];
+                    _this.onChange(value);
+                    _this.ionChange.emit(value);
+                });
+            }
             else {
                 // default to use the alert interface
                 this.interface = 'alert';
@@ -364,6 +474,18 @@ var __extends = (this && this.__extends) || function (d, b) {
                     }
                 });
             }
+            // only keep the loaded options which are still selected
+            // and aren't also one of the ion-options
+            this._loaded = this._loaded.filter(function (loaded) {
+                return _this._values.some(function (selectValue) {
+                    return util_1.isCheckedProperty(selectValue, loaded.value);
+                }) && !(_this._options && _this._options.some(function (option) {
+                    return util_1.isCheckedProperty(option.value, loaded.value);
+                }));
+            });
+            this._loaded.forEach(function (loaded) {
+                _this._texts.push(loaded.text);
+            });
             this._text = this._texts.join(', ');
         };
         Object.defineProperty(Select.prototype, "disabled", {
@@ -470,6 +592,7 @@ var __extends = (this && this.__extends) || function (d, b) {
             'placeholder': [{ type: core_1.Input },],
             'selectOptions': [{ type: core_1.Input },],
             'interface': [{ type: core_1.Input },],
+            'loadOptions': [{ type: core_1.Input },],
             'selectedText': [{ type: core_1.Input },],
             'mode': [{ type: core_1.Input },],
             'ionChange': [{ type: core_1.Output },],
@@ -21,6 +21,10 @@
             dom_1.rafFrames(3, function () {
                 var d = tab.btn.getDimensions();
                 var ele = _this._elementRef.nativeElement;
+                if (_this._init) {
+                    // settle into place after being dragged with the tabs
+                    ele.classList.add('animate');
+                }
                 ele.style[dom_1.CSS.transform] = "translate3d(" + d.left + "px,0,0) scaleX(" + d.width + ")";
                 if (!_this._init) {
                     _this._init = true;
@@ -30,6 +34,19 @@
                 }
             });
         };
+        /**
+         * Moves the highlight part of the way from one tab to another,
+         * in step with the tabs being swiped.
+         */
+        TabHighlight.prototype.progress = function (fromTab, toTab, stepValue) {
+            var from = fromTab.btn.getDimensions();
+            var to = toTab.btn.getDimensions();
+            var left = from.left + (to.left - from.left) * stepValue;
+            var width = from.width + (to.width - from.width) * stepValue;
+            var ele = this._elementRef.nativeElement;
+            ele.classList.remove('animate');
+            ele.style[dom_1.CSS.transform] = "translate3d(" + left + "px,0,0) scaleX(" + width + ")";
+        };
         TabHighlight.decorators = [
             { type: core_1.Directive, args: [{
                         selector: '.tab-highlight'
@@ -0,0 +1,21 @@
+import { DomController } from '../../util/dom-controller';
+import { GestureController } from '../../gestures/gesture-controller';
+import { SlideData, SlideGesture } from '../../gestures/slide-gesture';
+import { Tabs } from './tabs';
+/**
+ * @private
+ * Gesture attached to the tabs which drags the selected
+ * tab's page aside to show the tab next to it
+ */
+export declare class TabsSwipeGesture extends SlideGesture {
+    tabs: Tabs;
+    constructor(tabs: Tabs, gestureCtrl: GestureController, domCtrl: DomController);
+    canStart(ev: any): boolean;
+    onSlideBeforeStart(ev: any): void;
+    onSlide(slide: SlideData, ev: any): void;
+    onSlideEnd(slide: SlideData, ev: any): void;
+    getSlideBoundaries(): {
+        min: number;
+        max: number;
+    };
+}
@@ -1,7 +1,9 @@
-import { AfterViewInit, ElementRef, EventEmitter, Renderer, ViewContainerRef } from '@angular/core';
+import { AfterContentInit, AfterViewInit, ElementRef, EventEmitter, Renderer, ViewContainerRef } from '@angular/core';
 import { App } from '../app/app';
 import { Config } from '../../config/config';
 import { DeepLinker } from '../../navigation/deep-linker';
+import { DomController } from '../../util/dom-controller';
+import { GestureController } from '../../gestures/gesture-controller';
 import { Ion } from '../ion';
 import { NavController } from '../../navigation/nav-controller';
 import { NavControllerBase } from '../../navigation/nav-controller-base';
@@ -42,6 +44,77 @@ import { ViewController } from '../../navigation/view-controller';
  * and a title for iOS. See the [Input Properties](#input-properties)
  * below for the available values of `tabsLayout`.
  *
+ * ### Back Button and History
+ *
+ * Each tab keeps its own stack of pages, and the url has the selected
+ * tab's whole stack. Going back with the browser's back button first goes
+ * back through the selected tab's pages, then through the previously
+ * selected tabs, with each tab's stack restored from the url.
+ *
+ * The `tabsBack` property decides what the app's back button, such as the
+ * hardware back button on Android, does once the selected tab is at its
+ * root page:
+ *
+ * - `tab`: Leaves the tabs, which is the default.
+ * - `history`: Selects the previously selected tabs, one after another.
+ * - `initial`: Selects the first tab which was selected, then leaves the tabs.
+ *
+ * ```html
+ * <ion-tabs tabsBack="history">
+ *   ...
+ * </ion-tabs>
+ * ```
+ *
+ * ### Swiping Between Tabs
+ *
+ * Setting `tabsSwipe` to `true` lets the user switch to the tab beside the
+ * selected tab by dragging the selected tab's root page to the side, which
+ * is how many Material Design apps work. A tab's root page is loaded the
+ * first time it's dragged into view, disabled and hidden tabs are skipped,
+ * and the highlight bar follows the drag when `tabsHighlight` is enabled.
+ * The tab is only selected, and `ionChange` only fires, once the drag is
+ * let go far or fast enough, otherwise the tabs settle back into place.
+ *
+ * Swiping to go back and swiping open a menu both take priority over
+ * swiping the tabs, and pages above a tab's root page can't be swiped.
+ *
+ * ```html
+ * <ion-tabs tabsSwipe="true" tabsHighlight="true">
+ *   ...
+ * </ion-tabs>
+ * ```
+ *
+ * ### More Tab
+ *
+ * By default every tab button is in the tabbar. When `tabsMax` is set and
+ * there are more tabs than that, the last button becomes a "More" tab which
+ * lists the tabs that didn't fit, and selecting one of them shows its pages
+ * within the More tab. Hidden tabs don't count toward `tabsMax`. The title
+ * and icon of the More tab are set with `tabsMoreTitle` and `tabsMoreIcon`.
+ *
+ * The user can reorder the list of the More tab. To keep their order, pass
+ * an object with a `get()` and a `set(order)` method to `tabsMoreStorage`.
+ * The order is an array of each tab's `tabUrlPath`, or its title formatted
+ * for the url, and `get()` may return a promise of it.
+ *
+ * ```html
+ * <ion-tabs tabsMax="4" [tabsMoreStorage]="moreStorage">
+ *   ...
+ * </ion-tabs>
+ * ```
+ *
+ * ```ts
+ * moreStorage = {
+ *   get: () => JSON.parse(localStorage.getItem('moreTabs')),
+ *   set: (order: string[]) => localStorage.setItem('moreTabs', JSON.stringify(order))
+ * };
+ * ```
+ *
+ * A tab in the More tab is still selected with `select()` using its own
+ * index, and the url of its pages is the same as if it was in the tabbar.
+ * `getSelected()` returns the More tab while it's showing one of them,
+ * while `ionChange` emits the tab itself.
+ *
  * ### Selecting a Tab
  *
  * There are different ways you can select a specific tab from the tabs
@@ -142,11 +215,13 @@ import { ViewController } from '../../navigation/view-controller';
  * @see {@link ../../config/Config Config API Docs}
  *
  */
-export declare class Tabs extends Ion implements AfterViewInit {
+export declare class Tabs extends Ion implements AfterContentInit, AfterViewInit {
     viewCtrl: ViewController;
     private _app;
     private _platform;
     private _linker;
+    private _gestureCtrl;
+    private _domCtrl;
     /** @internal */
     _ids: number;
     /** @internal */
@@ -161,6 +236,14 @@ export declare class Tabs extends Ion implements AfterViewInit {
     id: string;
     /** @internal */
     _selectHistory: string[];
+    /** @internal */
+    _hasMore: boolean;
+    /** @internal */
+    _moreTab: Tab;
+    /** @internal */
+    _moreTabs: Tab[];
+    /** @internal */
+    _moreRoot: any;
     /**
      * @input {string} The predefined color to use. For example: `"primary"`, `"secondary"`, `"danger"`.
      */
@@ -185,6 +268,34 @@ export declare class Tabs extends Ion implements AfterViewInit {
      * @input {boolean} Whether to show the tab highlight bar under the selected tab. Default: `false`.
      */
     tabsHighlight: boolean;
+    /**
+     * @input {string} What the back button does at the root page of a tab: `tab`, `history`, `initial`. Default: `tab`.
+     */
+    tabsBack: string;
+    /**
+     * @internal
+     */
+    _tabsSwipe: boolean;
+    /**
+     * @input {boolean} Whether the tabs can be switched by swiping the selected tab's root page to the side. Default: `false`.
+     */
+    tabsSwipe: boolean;
+    /**
+     * @input {number} The most tab buttons in the tabbar before the rest are moved into a More tab, `0` for no limit. Default: `0`.
+     */
+    tabsMax: number;
+    /**
+     * @input {string} The title of the More tab. Default: `More`.
+     */
+    tabsMoreTitle: string;
+    /**
+     * @input {string} The icon of the More tab. Default: `more`.
+     */
+    tabsMoreIcon: string;
+    /**
+     * @input {TabsMoreStorage} Gets and sets the order of the tabs within the More tab, as set by the user.
+     */
+    tabsMoreStorage: TabsMoreStorage;
     /**
      * @input {any} Expression to evaluate when the tab changes.
      */
@@ -205,8 +316,16 @@ export declare class Tabs extends Ion implements AfterViewInit {
      * @private
      */
     parent: NavControllerBase;
-    constructor(parent: NavController, viewCtrl: ViewController, _app: App, config: Config, elementRef: ElementRef, _platform: Platform, renderer: Renderer, _linker: DeepLinker);
+    /** @internal */
+    _swipe: TabsSwipe;
+    private _swipeGesture;
+    private _swipeAni;
+    constructor(parent: NavController, viewCtrl: ViewController, _app: App, config: Config, elementRef: ElementRef, _platform: Platform, renderer: Renderer, _linker: DeepLinker, _gestureCtrl: GestureController, _domCtrl: DomController);
     ngOnDestroy(): void;
+    /**
+     * @internal
+     */
+    ngAfterContentInit(): void;
     /**
      * @internal
      */
@@ -227,12 +346,72 @@ export declare class Tabs extends Ion implements AfterViewInit {
      * @param {number|Tab} tabOrIndex Index, or the Tab instance, of the tab to select.
      */
     select(tabOrIndex: number | Tab, opts?: NavOptions): void;
+    /**
+     * Shows a tab which didn't fit in the tabbar when the more tab is
+     * already selected, pushing its root page on top of the list.
+     * @internal
+     */
+    _selectOverflow(tab: Tab, opts: NavOptions): void;
+    /**
+     * Replaces the pages above the more tab's list with the
+     * pages of a tab which didn't fit in the tabbar.
+     * @internal
+     */
+    _showOverflowTab(tab: Tab, animate: boolean, opts: NavOptions): void;
+    /**
+     * Tracks the order of which tabs have been selected, by their id.
+     * Does not track if the tab is the same as the previous.
+     * @internal
+     */
+    _trackHistory(tab: Tab): void;
+    /**
+     * Sorts the tabs within the more tab by the order of their url selectors.
+     * @internal
+     */
+    _sortMore(order: string[]): void;
+    /**
+     * Reorders the tabs within the more tab, and saves
+     * the new order with the `tabsMoreStorage`.
+     * @internal
+     */
+    _reorderMore(indexes: {
+        from: number;
+        to: number;
+    }): void;
     /**
      * Get the previously selected Tab which is currently not disabled or hidden.
      * @param {boolean} trimHistory If the selection history should be trimmed up to the previous tab selection or not.
      * @returns {Tab}
      */
     previousTab(trimHistory?: boolean): Tab;
+    /**
+     * The tab the back button should select when the selected tab is
+     * already at its root page, or `null` if it should leave the tabs.
+     * @internal
+     */
+    _getBackTab(): Tab;
+    /**
+     * The closest tab before, when the direction is `-1`, or after, when the
+     * direction is `1`, the selected tab which can be swiped to.
+     * @internal
+     */
+    _getSwipeTab(direction: number): Tab;
+    /**
+     * @internal
+     */
+    _canSwipe(): boolean;
+    /**
+     * @internal
+     */
+    _swipeStart(): void;
+    /**
+     * @internal
+     */
+    _swipeProgress(x: number): void;
+    /**
+     * @internal
+     */
+    _swipeEnd(shouldComplete: boolean, x: number, velocity: number): void;
     /**
      * @param {number} index Index of the tab you want to get
      * @returns {Tab} Returns the tab who's index matches the one passed
@@ -265,3 +444,20 @@ export declare class Tabs extends Ion implements AfterViewInit {
      */
     setTabbarPosition(top: number, bottom: number): void;
 }
+/**
+ * @internal
+ */
+export interface TabsSwipe {
+    selectedTab: Tab;
+    prevTab: Tab;
+    nextTab: Tab;
+    width: number;
+}
+/**
+ * Keeps the order of the tabs within the More tab. The order is an
+ * array of each tab's url selector, and `get()` may return a promise.
+ */
+export interface TabsMoreStorage {
+    get(): string[] | Promise<string[]>;
+    set(order: string[]): void;
+}
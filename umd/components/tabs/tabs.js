@@ -8,20 +8,26 @@ var __extends = (this && this.__extends) || function (d, b) {
         var v = factory(require, exports); if (v !== undefined) module.exports = v;
     }
     else if (typeof define === 'function' && define.amd) {
-        define(["require", "exports", '@angular/core', '../app/app', '../../config/config', '../../navigation/deep-linker', '../ion', '../../util/util', '../../navigation/nav-controller', '../../navigation/nav-util', '../../platform/platform', './tab-highlight', '../../navigation/view-controller'], factory);
+        define(["require", "exports", '@angular/core', '../../animations/animation', '../app/app', '../../config/config', '../../util/dom', '../../navigation/deep-linker', '../../util/dom-controller', '../../gestures/gesture-controller', '../ion', '../../util/util', '../../navigation/nav-controller', '../../navigation/nav-util', '../../platform/platform', './tab-highlight', './tabs-more-component', './tabs-gestures', '../../navigation/view-controller'], factory);
     }
 })(function (require, exports) {
     "use strict";
     var core_1 = require('@angular/core');
+    var animation_1 = require('../../animations/animation');
     var app_1 = require('../app/app');
     var config_1 = require('../../config/config');
+    var dom_1 = require('../../util/dom');
     var deep_linker_1 = require('../../navigation/deep-linker');
+    var dom_controller_1 = require('../../util/dom-controller');
+    var gesture_controller_1 = require('../../gestures/gesture-controller');
     var ion_1 = require('../ion');
     var util_1 = require('../../util/util');
     var nav_controller_1 = require('../../navigation/nav-controller');
     var nav_util_1 = require('../../navigation/nav-util');
     var platform_1 = require('../../platform/platform');
     var tab_highlight_1 = require('./tab-highlight');
+    var tabs_more_component_1 = require('./tabs-more-component');
+    var tabs_gestures_1 = require('./tabs-gestures');
     var view_controller_1 = require('../../navigation/view-controller');
     /**
      * @name Tabs
@@ -55,6 +61,77 @@ var __extends = (this && this.__extends) || function (d, b) {
      * and a title for iOS. See the [Input Properties](#input-properties)
      * below for the available values of `tabsLayout`.
      *
+     * ### Back Button and History
+     *
+     * Each tab keeps its own stack of pages, and the url has the selected
+     * tab's whole stack. Going back with the browser's back button first goes
+     * back through the selected tab's pages, then through the previously
+     * selected tabs, with each tab's stack restored from the url.
+     *
+     * The `tabsBack` property decides what the app's back button, such as the
+     * hardware back button on Android, does once the selected tab is at its
+     * root page:
+     *
+     * - `tab`: Leaves the tabs, which is the default.
+     * - `history`: Selects the previously selected tabs, one after another.
+     * - `initial`: Selects the first tab which was selected, then leaves the tabs.
+     *
+     * ```html
+     * <ion-tabs tabsBack="history">
+     *   ...
+     * </ion-tabs>
+     * ```
+     *
+     * ### Swiping Between Tabs
+     *
+     * Setting `tabsSwipe` to `true` lets the user switch to the tab beside the
+     * selected tab by dragging the selected tab's root page to the side, which
+     * is how many Material Design apps work. A tab's root page is loaded the
+     * first time it's dragged into view, disabled and hidden tabs are skipped,
+     * and the highlight bar follows the drag when `tabsHighlight` is enabled.
+     * The tab is only selected, and `ionChange` only fires, once the drag is
+     * let go far or fast enough, otherwise the tabs settle back into place.
+     *
+     * Swiping to go back and swiping open a menu both take priority over
+     * swiping the tabs, and pages above a tab's root page can't be swiped.
+     *
+     * ```html
+     * <ion-tabs tabsSwipe="true" tabsHighlight="true">
+     *   ...
+     * </ion-tabs>
+     * ```
+     *
+     * ### More Tab
+     *
+     * By default every tab button is in the tabbar. When `tabsMax` is set and
+     * there are more tabs than that, the last button becomes a "More" tab which
+     * lists the tabs that didn't fit, and selecting one of them shows its pages
+     * within the More tab. Hidden tabs don't count toward `tabsMax`. The title
+     * and icon of the More tab are set with `tabsMoreTitle` and `tabsMoreIcon`.
+     *
+     * The user can reorder the list of the More tab. To keep their order, pass
+     * an object with a `get()` and a `set(order)` method to `tabsMoreStorage`.
+     * The order is an array of each tab's `tabUrlPath`, or its title formatted
+     * for the url, and `get()` may return a promise of it.
+     *
+     * ```html
+     * <ion-tabs tabsMax="4" [tabsMoreStorage]="moreStorage">
+     *   ...
+     * </ion-tabs>
+     * ```
+     *
+     * ```ts
+     * moreStorage = {
+     *   get: () => JSON.parse(localStorage.getItem('moreTabs')),
+     *   set: (order: string[]) => localStorage.setItem('moreTabs', JSON.stringify(order))
+     * };
+     * ```
+     *
+     * A tab in the More tab is still selected with `select()` using its own
+     * index, and the url of its pages is the same as if it was in the tabbar.
+     * `getSelected()` returns the More tab while it's showing one of them,
+     * while `ionChange` emits the tab itself.
+     *
      * ### Selecting a Tab
      *
      * There are different ways you can select a specific tab from the tabs
@@ -157,18 +234,24 @@ var __extends = (this && this.__extends) || function (d, b) {
      */
     var Tabs = (function (_super) {
         __extends(Tabs, _super);
-        function Tabs(parent, viewCtrl, _app, config, elementRef, _platform, renderer, _linker) {
+        function Tabs(parent, viewCtrl, _app, config, elementRef, _platform, renderer, _linker, _gestureCtrl, _domCtrl) {
             _super.call(this, config, elementRef, renderer, 'tabs');
             this.viewCtrl = viewCtrl;
             this._app = _app;
             this._platform = _platform;
             this._linker = _linker;
+            this._gestureCtrl = _gestureCtrl;
+            this._domCtrl = _domCtrl;
             /** @internal */
             this._ids = -1;
             /** @internal */
             this._tabs = [];
             /** @internal */
             this._selectHistory = [];
+            /** @internal */
+            this._moreTabs = [];
+            /** @internal */
+            this._moreRoot = tabs_more_component_1.TabsMoreCmp;
             /**
              * @input {any} Expression to evaluate when the tab changes.
              */
@@ -177,6 +260,11 @@ var __extends = (this && this.__extends) || function (d, b) {
             this.id = 't' + (++tabIds);
             this._sbPadding = config.getBoolean('statusbarPadding');
             this.tabsHighlight = config.getBoolean('tabsHighlight');
+            this.tabsBack = config.get('tabsBack', 'tab');
+            this.tabsSwipe = config.getBoolean('tabsSwipe');
+            this.tabsMax = config.getNumber('tabsMax', 0);
+            this.tabsMoreTitle = config.get('tabsMoreTitle', 'More');
+            this.tabsMoreIcon = config.get('tabsMoreIcon', 'more');
             if (this.parent) {
                 // this Tabs has a parent Nav
                 this.parent.registerChildNav(this);
@@ -218,9 +306,66 @@ var __extends = (this && this.__extends) || function (d, b) {
             enumerable: true,
             configurable: true
         });
+        Object.defineProperty(Tabs.prototype, "tabsSwipe", {
+            /**
+             * @input {boolean} Whether the tabs can be switched by swiping the selected tab's root page to the side. Default: `false`.
+             */
+            get: function () {
+                return this._tabsSwipe;
+            },
+            set: function (val) {
+                this._tabsSwipe = util_1.isTrueProperty(val);
+                if (this._tabsSwipe) {
+                    if (!this._swipeGesture) {
+                        this._swipeGesture = new tabs_gestures_1.TabsSwipeGesture(this, this._gestureCtrl, this._domCtrl);
+                    }
+                    this._swipeGesture.listen();
+                }
+                else if (this._swipeGesture) {
+                    this._swipeGesture.unlisten();
+                    // settle a drag which was still going on back into place
+                    this._swipe && !this._swipeAni && this._swipeEnd(false, 0, 0);
+                }
+            },
+            enumerable: true,
+            configurable: true
+        });
         Tabs.prototype.ngOnDestroy = function () {
+            this._swipeGesture && this._swipeGesture.destroy();
+            this._swipeAni && this._swipeAni.destroy();
+            this._swipeGesture = this._swipeAni = this._swipe = null;
             this.parent.unregisterChildNav(this);
         };
+        /**
+         * @internal
+         */
+        Tabs.prototype.ngAfterContentInit = function () {
+            var _this = this;
+            var max = parseInt(this.tabsMax, 10);
+            var shownTabs = this._tabs.filter(function (t) { return t.show; });
+            if (!(max > 0) || shownTabs.length <= max) {
+                return;
+            }
+            // the last button in the tabbar is taken by the more tab
+            this._hasMore = true;
+            this._moreTabs = shownTabs.slice(max - 1);
+            this._moreTabs.forEach(function (t) {
+                t._overflow = true;
+            });
+            var storage = this.tabsMoreStorage;
+            if (storage) {
+                // a storage which throws right away rejects the promise, rather than init
+                new Promise(function (resolve) {
+                    resolve(storage.get());
+                }).then(function (order) {
+                    if (util_1.isArray(order)) {
+                        _this._sortMore(order);
+                    }
+                }).catch(function (err) {
+                    console.error('Tabs: unable to get the order of the more tabs', err);
+                });
+            }
+        };
         /**
          * @internal
          */
@@ -265,7 +410,11 @@ var __extends = (this && this.__extends) || function (d, b) {
                     if (selectedTabSegment && selectedTabSegment.component) {
                         selectedTab.root = selectedTabSegment.component;
                         selectedTab.rootParams = selectedTabSegment.data;
-                        pageId = selectedTabSegment.id;
+                        selectedTab._segment = selectedTabSegment;
+                        if (!selectedTabSegment.stack || selectedTabSegment.stack.length < 2) {
+                            // a whole stack from the url already has an id for each page
+                            pageId = selectedTabSegment.id;
+                        }
                     }
                 }
                 this.select(selectedTab, {
@@ -291,6 +440,12 @@ var __extends = (this && this.__extends) || function (d, b) {
          * @private
          */
         Tabs.prototype.add = function (tab) {
+            if (tab.getNativeElement().hasAttribute('tabs-more')) {
+                // the more tab is created by the tabs itself, after the
+                // other tabs, so it doesn't change the index of any tab
+                tab._isMore = true;
+                this._moreTab = tab;
+            }
             this._tabs.push(tab);
             return this.id + '-' + (++this._ids);
         };
@@ -304,8 +459,17 @@ var __extends = (this && this.__extends) || function (d, b) {
             if (util_1.isBlank(selectedTab)) {
                 return;
             }
+            var overflowTab;
+            if (selectedTab._overflow && this._moreTab) {
+                // a tab which didn't fit in the tabbar is shown within the more tab
+                overflowTab = selectedTab;
+                selectedTab = this._moreTab;
+            }
             var deselectedTab = this.getSelected();
             if (selectedTab === deselectedTab) {
+                if (overflowTab) {
+                    return this._selectOverflow(overflowTab, opts);
+                }
                 // no change
                 return this._touchActive(selectedTab);
             }
@@ -315,11 +479,14 @@ var __extends = (this && this.__extends) || function (d, b) {
                 deselectedPage && deselectedPage._willLeave(false);
             }
             opts.animate = false;
-            var selectedPage = selectedTab.getActive();
+            // a page which is still preloading enters once it's loaded
+            var selectedPage = selectedTab._preloading ? null : selectedTab.getActive();
             selectedPage && selectedPage._willEnter();
-            selectedTab.load(opts, function (alreadyLoaded) {
-                selectedTab.ionSelect.emit(selectedTab);
-                _this.ionChange.emit(selectedTab);
+            var loadOpts = overflowTab ? { animate: false, updateUrl: false } : opts;
+            var changedTab = overflowTab || selectedTab;
+            selectedTab.load(loadOpts, function (alreadyLoaded) {
+                changedTab.ionSelect.emit(changedTab);
+                _this.ionChange.emit(changedTab);
                 if (selectedTab.root) {
                     // only show the selectedTab if it has a root
                     // it's possible the tab is only for opening modal's or signing out
@@ -331,19 +498,97 @@ var __extends = (this && this.__extends) || function (d, b) {
                     if (_this.tabsHighlight) {
                         _this._highlight.select(selectedTab);
                     }
-                    if (opts.updateUrl !== false) {
-                        _this._linker.navChange(nav_util_1.DIRECTION_SWITCH);
+                    if (overflowTab) {
+                        // the url is updated once the tab's pages are in the more tab
+                        _this._showOverflowTab(overflowTab, false, opts);
+                    }
+                    else if (opts.updateUrl !== false) {
+                        _this._linker.navChange(opts.direction || nav_util_1.DIRECTION_SWITCH);
                     }
                 }
                 selectedPage && selectedPage._didEnter();
                 deselectedPage && deselectedPage._didLeave();
-                // track the order of which tabs have been selected, by their index
-                // do not track if the tab index is the same as the previous
-                if (_this._selectHistory[_this._selectHistory.length - 1] !== selectedTab.id) {
-                    _this._selectHistory.push(selectedTab.id);
-                }
+                _this._trackHistory(changedTab);
             });
         };
+        /**
+         * Shows a tab which didn't fit in the tabbar when the more tab is
+         * already selected, pushing its root page on top of the list.
+         * @internal
+         */
+        Tabs.prototype._selectOverflow = function (tab, opts) {
+            var moreTab = this._moreTab;
+            if (moreTab._overflowTab === tab && moreTab.length() > 1 && !tab._segment) {
+                // no change
+                return;
+            }
+            tab.ionSelect.emit(tab);
+            this.ionChange.emit(tab);
+            this._showOverflowTab(tab, opts.animate !== false, opts);
+            this._trackHistory(tab);
+        };
+        /**
+         * Replaces the pages above the more tab's list with the
+         * pages of a tab which didn't fit in the tabbar.
+         * @internal
+         */
+        Tabs.prototype._showOverflowTab = function (tab, animate, opts) {
+            var moreTab = this._moreTab;
+            var segment = tab._segment;
+            tab._segment = null;
+            // the deep linker already knows which pages the url has for this tab
+            var pages = segment ? this._linker.initViews(segment) : [{ page: tab.root, params: tab.rootParams }];
+            moreTab._overflowTab = tab;
+            if (moreTab.length() > 1) {
+                moreTab.remove(1, moreTab.length() - 1, { animate: false, updateUrl: false });
+            }
+            moreTab.insertPages(1, pages, {
+                animate: animate,
+                updateUrl: opts.updateUrl,
+                id: segment ? null : opts.id
+            });
+        };
+        /**
+         * Tracks the order of which tabs have been selected, by their id.
+         * Does not track if the tab is the same as the previous.
+         * @internal
+         */
+        Tabs.prototype._trackHistory = function (tab) {
+            if (this._selectHistory[this._selectHistory.length - 1] !== tab.id) {
+                this._selectHistory.push(tab.id);
+            }
+        };
+        /**
+         * Sorts the tabs within the more tab by the order of their url selectors.
+         * @internal
+         */
+        Tabs.prototype._sortMore = function (order) {
+            var _this = this;
+            var indexOf = function (t) {
+                var index = order.indexOf(_this._linker.getTabSelector(t));
+                return index > -1 ? index : order.length;
+            };
+            // sort() isn't stable, so tabs missing from the order keep theirs by their index
+            this._moreTabs.sort(function (a, b) { return (indexOf(a) - indexOf(b)) || (a.index - b.index); });
+        };
+        /**
+         * Reorders the tabs within the more tab, and saves
+         * the new order with the `tabsMoreStorage`.
+         * @internal
+         */
+        Tabs.prototype._reorderMore = function (indexes) {
+            var _this = this;
+            util_1.reorderArray(this._moreTabs, indexes);
+            var storage = this.tabsMoreStorage;
+            if (storage) {
+                var order = this._moreTabs.map(function (t) { return _this._linker.getTabSelector(t); });
+                new Promise(function (resolve) {
+                    resolve(storage.set(order));
+                }).catch(function (err) {
+                    console.error('Tabs: unable to save the order of the more tabs', err);
+                });
+            }
+        };
         /**
          * Get the previously selected Tab which is currently not disabled or hidden.
          * @param {boolean} trimHistory If the selection history should be trimmed up to the previous tab selection or not.
@@ -366,6 +611,121 @@ var __extends = (this && this.__extends) || function (d, b) {
             }
             return null;
         };
+        /**
+         * The tab the back button should select when the selected tab is
+         * already at its root page, or `null` if it should leave the tabs.
+         * @internal
+         */
+        Tabs.prototype._getBackTab = function () {
+            var _this = this;
+            if (this.tabsBack === 'history') {
+                return this.previousTab(true);
+            }
+            if (this.tabsBack === 'initial') {
+                var initialTab = this._tabs.find(function (t) { return t.id === _this._selectHistory[0]; });
+                if (initialTab && initialTab !== this.getSelected() && initialTab.enabled && initialTab.show) {
+                    this._selectHistory.splice(1);
+                    return initialTab;
+                }
+            }
+            return null;
+        };
+        /**
+         * The closest tab before, when the direction is `-1`, or after, when the
+         * direction is `1`, the selected tab which can be swiped to.
+         * @internal
+         */
+        Tabs.prototype._getSwipeTab = function (direction) {
+            var index = this.getIndex(this.getSelected());
+            for (var i = index + direction; index > -1 && i > -1 && i < this._tabs.length; i += direction) {
+                var tab = this._tabs[i];
+                if (tab.enabled && tab.show && tab.root && !tab._overflow) {
+                    return tab;
+                }
+            }
+            return null;
+        };
+        /**
+         * @internal
+         */
+        Tabs.prototype._canSwipe = function () {
+            var selectedTab = this.getSelected();
+            // only a tab's root page can be swiped aside, so
+            // dragging a sub page is left to swipe to go back
+            return !!selectedTab && !this._swipe && selectedTab.length() < 2 &&
+                !selectedTab.isTransitioning() && !!(this._getSwipeTab(-1) || this._getSwipeTab(1));
+        };
+        /**
+         * @internal
+         */
+        Tabs.prototype._swipeStart = function () {
+            var swipe = this._swipe = {
+                selectedTab: this.getSelected(),
+                prevTab: this._getSwipeTab(-1),
+                nextTab: this._getSwipeTab(1),
+                width: this.getNativeElement().offsetWidth
+            };
+            showSwipeTab(swipe.prevTab, -swipe.width);
+            showSwipeTab(swipe.nextTab, swipe.width);
+        };
+        /**
+         * @internal
+         */
+        Tabs.prototype._swipeProgress = function (x) {
+            var swipe = this._swipe;
+            if (!swipe) {
+                return;
+            }
+            setTabTransform(swipe.selectedTab, x);
+            swipe.prevTab && setTabTransform(swipe.prevTab, x - swipe.width);
+            swipe.nextTab && setTabTransform(swipe.nextTab, x + swipe.width);
+            var toTab = (x < 0 ? swipe.nextTab : swipe.prevTab);
+            if (this.tabsHighlight && toTab) {
+                this._highlight.progress(swipe.selectedTab, toTab, Math.abs(x) / swipe.width);
+            }
+        };
+        /**
+         * @internal
+         */
+        Tabs.prototype._swipeEnd = function (shouldComplete, x, velocity) {
+            var _this = this;
+            var swipe = this._swipe;
+            if (!swipe) {
+                return;
+            }
+            var toTab = (x < 0 ? swipe.nextTab : swipe.prevTab);
+            shouldComplete = shouldComplete && !!toTab;
+            var endX = shouldComplete ? (x < 0 ? -swipe.width : swipe.width) : 0;
+            // the faster the drag the quicker the tabs settle into place
+            var dur = Math.min(SWIPE_DURATION, Math.abs(endX - x) / Math.max(Math.abs(velocity), 1));
+            var tabs = [swipe.selectedTab, swipe.prevTab, swipe.nextTab].filter(function (t) { return !!t; });
+            var ani = this._swipeAni = new animation_1.Animation();
+            ani.duration(dur).easing('cubic-bezier(0.0, 0.0, 0.2, 1)');
+            tabs.forEach(function (tab) {
+                var offset = (tab === swipe.prevTab ? -swipe.width : tab === swipe.nextTab ? swipe.width : 0);
+                ani.add(new animation_1.Animation(tab.getNativeElement()).fromTo('translateX', (x + offset) + 'px', (endX + offset) + 'px'));
+            });
+            ani.onFinish(function () {
+                _this._swipeAni = _this._swipe = null;
+                tabs.forEach(function (tab) {
+                    setTabTransform(tab, null);
+                });
+                if (shouldComplete) {
+                    // selecting the tab hides the others, and is
+                    // the only time the tabs emit ionChange
+                    _this.select(toTab);
+                }
+                else {
+                    swipe.prevTab && swipe.prevTab.setElementClass('show-tab', false);
+                    swipe.nextTab && swipe.nextTab.setElementClass('show-tab', false);
+                    if (_this.tabsHighlight) {
+                        _this._highlight.select(swipe.selectedTab);
+                    }
+                }
+                ani.destroy();
+            }, true);
+            ani.play();
+        };
         /**
          * @param {number} index Index of the tab you want to get
          * @returns {Tab} Returns the tab who's index matches the one passed
@@ -442,7 +802,7 @@ var __extends = (this && this.__extends) || function (d, b) {
             { type: core_1.Component, args: [{
                         selector: 'ion-tabs',
                         template: '<div class="tabbar" role="tablist" #tabbar>' +
-                            '<a *ngFor="let t of _tabs" [tab]="t" class="tab-button" [class.tab-disabled]="!t.enabled" [class.tab-hidden]="!t.show" role="tab" href="#" (ionSelect)="select($event)">' +
+                            '<a *ngFor="let t of _tabs" [tab]="t" class="tab-button" [class.tab-disabled]="!t.enabled" [class.tab-hidden]="!t.show || t._overflow" role="tab" href="#" (ionSelect)="select($event)">' +
                             '<ion-icon *ngIf="t.tabIcon" [name]="t.tabIcon" [isActive]="t.isSelected" class="tab-button-icon"></ion-icon>' +
                             '<span *ngIf="t.tabTitle" class="tab-button-text">{{t.tabTitle}}</span>' +
                             '<ion-badge *ngIf="t.tabBadge" class="tab-badge" [color]="t.tabBadgeStyle">{{t.tabBadge}}</ion-badge>' +
@@ -451,6 +811,7 @@ var __extends = (this && this.__extends) || function (d, b) {
                             '<div class="tab-highlight"></div>' +
                             '</div>' +
                             '<ng-content></ng-content>' +
+                            '<ion-tab *ngIf="_hasMore" tabs-more [root]="_moreRoot" [tabTitle]="tabsMoreTitle" [tabIcon]="tabsMoreIcon"></ion-tab>' +
                             '<div #portal tab-portal></div>',
                         encapsulation: core_1.ViewEncapsulation.None,
                     },] },
@@ -465,6 +826,8 @@ var __extends = (this && this.__extends) || function (d, b) {
             { type: platform_1.Platform, },
             { type: core_1.Renderer, },
             { type: deep_linker_1.DeepLinker, },
+            { type: gesture_controller_1.GestureController, },
+            { type: dom_controller_1.DomController, },
         ];
         Tabs.propDecorators = {
             'color': [{ type: core_1.Input },],
@@ -473,6 +836,12 @@ var __extends = (this && this.__extends) || function (d, b) {
             'tabsLayout': [{ type: core_1.Input },],
             'tabsPlacement': [{ type: core_1.Input },],
             'tabsHighlight': [{ type: core_1.Input },],
+            'tabsBack': [{ type: core_1.Input },],
+            'tabsSwipe': [{ type: core_1.Input },],
+            'tabsMax': [{ type: core_1.Input },],
+            'tabsMoreTitle': [{ type: core_1.Input },],
+            'tabsMoreIcon': [{ type: core_1.Input },],
+            'tabsMoreStorage': [{ type: core_1.Input },],
             'ionChange': [{ type: core_1.Output },],
             '_highlight': [{ type: core_1.ViewChild, args: [tab_highlight_1.TabHighlight,] },],
             '_tabbar': [{ type: core_1.ViewChild, args: ['tabbar',] },],
@@ -481,6 +850,26 @@ var __extends = (this && this.__extends) || function (d, b) {
         return Tabs;
     }(ion_1.Ion));
     exports.Tabs = Tabs;
+    /**
+     * Shows a tab beside the selected tab while it's being swiped.
+     */
+    function showSwipeTab(tab, x) {
+        if (!tab) {
+            return;
+        }
+        setTabTransform(tab, x);
+        if (tab._loaded) {
+            tab.setElementClass('show-tab', true);
+            return;
+        }
+        // the tab's root page is loaded the first time it's swiped to,
+        // and only enters once the tab is selected
+        tab._preload();
+    }
+    function setTabTransform(tab, x) {
+        tab.getNativeElement().style[dom_1.CSS.transform] = (x === null ? '' : "translate3d(" + x + "px,0,0)");
+    }
     var tabIds = -1;
+    var SWIPE_DURATION = 300;
 });
 //# sourceMappingURL=tabs.js.map
\ No newline at end of file
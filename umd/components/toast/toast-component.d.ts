@@ -1,14 +1,27 @@
-import { AfterViewInit, ElementRef, Renderer } from '@angular/core';
+import { AfterViewInit, ElementRef, OnDestroy, Renderer } from '@angular/core';
 import { Config } from '../../config/config';
+import { DomController } from '../../util/dom-controller';
+import { GestureController } from '../../gestures/gesture-controller';
 import { NavParams } from '../../navigation/nav-params';
+import { ToastButton } from './toast-options';
 import { ViewController } from '../../navigation/view-controller';
 /**
  * @private
  */
-export declare class ToastCmp implements AfterViewInit {
+export declare class ToastCmp implements AfterViewInit, OnDestroy {
     _viewCtrl: ViewController;
     _config: Config;
     _elementRef: ElementRef;
+    private _renderer;
+    private _gestureCtrl;
+    private _domCtrl;
+    private _gesture;
+    private _remaining;
+    private _timerStart;
+    private _hovered;
+    private _dragging;
+    private _lastTouch;
+    private _startX;
     d: {
         message?: string;
         cssClass?: string;
@@ -17,15 +30,39 @@ export declare class ToastCmp implements AfterViewInit {
         closeButtonText?: string;
         dismissOnPageChange?: boolean;
         position?: string;
+        buttons?: ToastButton[];
+        pauseOnHover?: boolean;
+        swipeToDismiss?: boolean;
     };
     descId: string;
     dismissTimeout: number;
     enabled: boolean;
     hdrId: string;
     id: number;
-    constructor(_viewCtrl: ViewController, _config: Config, _elementRef: ElementRef, params: NavParams, renderer: Renderer);
+    constructor(_viewCtrl: ViewController, _config: Config, _elementRef: ElementRef, params: NavParams, _renderer: Renderer, _gestureCtrl: GestureController, _domCtrl: DomController);
     ngAfterViewInit(): void;
     ionViewDidEnter(): void;
     cbClick(): void;
+    btnClick(button: ToastButton): void;
     dismiss(role: any): Promise<any>;
+    /**
+     * Pauses the `duration` timer while the toast is hovered or touched.
+     */
+    pointerEnter(ev: UIEvent): void;
+    pointerLeave(ev: UIEvent): void;
+    _isEmulatedMouse(ev: UIEvent): boolean;
+    _startTimer(): void;
+    _pause(): void;
+    _resume(): void;
+    _onDragStart(x: number): void;
+    _onDragMove(x: number): void;
+    _onDragEnd(x: number): void;
+    /**
+     * Moves the toast away from the edge of the screen, so
+     * stacked toasts at the same position don't overlap.
+     */
+    _setStackOffset(offset: number): void;
+    _getStackHeight(): number;
+    _getElement(selector: string): HTMLElement;
+    ngOnDestroy(): void;
 }
@@ -3,44 +3,63 @@
         var v = factory(require, exports); if (v !== undefined) module.exports = v;
     }
     else if (typeof define === 'function' && define.amd) {
-        define(["require", "exports", '@angular/core', '../../config/config', '../../navigation/nav-params', '../../navigation/view-controller'], factory);
+        define(["require", "exports", '@angular/core', '../../config/config', '../../util/dom', '../../util/dom-controller', '../../gestures/gesture-controller', '../../navigation/nav-params', './toast-gesture', '../../navigation/view-controller'], factory);
     }
 })(function (require, exports) {
     "use strict";
     var core_1 = require('@angular/core');
     var config_1 = require('../../config/config');
+    var dom_1 = require('../../util/dom');
+    var dom_controller_1 = require('../../util/dom-controller');
+    var gesture_controller_1 = require('../../gestures/gesture-controller');
     var nav_params_1 = require('../../navigation/nav-params');
+    var toast_gesture_1 = require('./toast-gesture');
     var view_controller_1 = require('../../navigation/view-controller');
     /**
      * @private
      */
     var ToastCmp = (function () {
-        function ToastCmp(_viewCtrl, _config, _elementRef, params, renderer) {
+        function ToastCmp(_viewCtrl, _config, _elementRef, params, _renderer, _gestureCtrl, _domCtrl) {
             this._viewCtrl = _viewCtrl;
             this._config = _config;
             this._elementRef = _elementRef;
+            this._renderer = _renderer;
+            this._gestureCtrl = _gestureCtrl;
+            this._domCtrl = _domCtrl;
             this.dismissTimeout = undefined;
-            renderer.setElementClass(_elementRef.nativeElement, "toast-" + _config.get('mode'), true);
+            this._remaining = 0;
+            this._hovered = false;
+            this._dragging = false;
+            this._lastTouch = 0;
+            _renderer.setElementClass(_elementRef.nativeElement, "toast-" + _config.get('mode'), true);
             this.d = params.data;
             if (this.d.cssClass) {
                 this.d.cssClass.split(' ').forEach(function (cssClass) {
                     // Make sure the class isn't whitespace, otherwise it throws exceptions
                     if (cssClass.trim() !== '')
-                        renderer.setElementClass(_elementRef.nativeElement, cssClass, true);
+                        _renderer.setElementClass(_elementRef.nativeElement, cssClass, true);
                 });
             }
+            this.d.buttons = (this.d.buttons || []).map(function (button) {
+                if (typeof button === 'string') {
+                    return { text: button };
+                }
+                return button;
+            });
             this.id = (++toastIds);
             if (this.d.message) {
                 this.hdrId = 'toast-hdr-' + this.id;
             }
         }
         ToastCmp.prototype.ngAfterViewInit = function () {
-            var _this = this;
             // if there's a `duration` set, automatically dismiss.
             if (this.d.duration) {
-                this.dismissTimeout = setTimeout(function () {
-                    _this.dismiss('backdrop');
-                }, this.d.duration);
+                this._remaining = this.d.duration;
+                this._startTimer();
+            }
+            if (this.d.swipeToDismiss) {
+                this._gesture = new toast_gesture_1.ToastGesture(this, this._getElement('.toast-container'), this._gestureCtrl, this._domCtrl);
+                this._gesture.listen();
             }
             this.enabled = true;
         };
@@ -59,11 +78,117 @@
                 this.dismiss('close');
             }
         };
+        ToastCmp.prototype.btnClick = function (button) {
+            if (!this.enabled) {
+                return;
+            }
+            var shouldDismiss = true;
+            if (button.handler) {
+                // a handler has been provided, execute it
+                if (button.handler() === false) {
+                    // if the return value of the handler is false then do not dismiss
+                    shouldDismiss = false;
+                }
+            }
+            if (shouldDismiss) {
+                this.dismiss(button.role);
+            }
+        };
         ToastCmp.prototype.dismiss = function (role) {
             clearTimeout(this.dismissTimeout);
             this.dismissTimeout = undefined;
+            this.enabled = false;
             return this._viewCtrl.dismiss(null, role, { disableApp: false });
         };
+        /**
+         * Pauses the `duration` timer while the toast is hovered or touched.
+         */
+        ToastCmp.prototype.pointerEnter = function (ev) {
+            if (this._isEmulatedMouse(ev) || this.d.pauseOnHover === false) {
+                return;
+            }
+            this._hovered = true;
+            this._pause();
+        };
+        ToastCmp.prototype.pointerLeave = function (ev) {
+            if (this._isEmulatedMouse(ev) || !this._hovered) {
+                return;
+            }
+            this._hovered = false;
+            this._resume();
+        };
+        ToastCmp.prototype._isEmulatedMouse = function (ev) {
+            if (ev.type.indexOf('touch') === 0) {
+                this._lastTouch = Date.now();
+                return false;
+            }
+            // browsers fire mouse events after touch events, and
+            // the mouseleave wouldn't come until somewhere else is tapped
+            return (this._lastTouch + MOUSE_WAIT > Date.now());
+        };
+        ToastCmp.prototype._startTimer = function () {
+            var _this = this;
+            this._timerStart = Date.now();
+            this.dismissTimeout = setTimeout(function () {
+                _this.dismiss('backdrop');
+            }, this._remaining);
+        };
+        ToastCmp.prototype._pause = function () {
+            if (this.dismissTimeout === undefined) {
+                return;
+            }
+            clearTimeout(this.dismissTimeout);
+            this.dismissTimeout = undefined;
+            this._remaining -= Date.now() - this._timerStart;
+        };
+        ToastCmp.prototype._resume = function () {
+            if (!this.enabled || !this.d.duration || this.dismissTimeout !== undefined || this._hovered || this._dragging) {
+                return;
+            }
+            this._startTimer();
+        };
+        ToastCmp.prototype._onDragStart = function (x) {
+            this._dragging = true;
+            this._startX = x;
+            this._pause();
+        };
+        ToastCmp.prototype._onDragMove = function (x) {
+            var ele = this._getElement('.toast-container');
+            var deltaX = x - this._startX;
+            var opacity = Math.max(0, 1 - Math.abs(deltaX) / ele.offsetWidth);
+            this._renderer.setElementStyle(ele, dom_1.CSS.transform, "translateX(" + deltaX + "px)");
+            this._renderer.setElementStyle(ele, 'opacity', opacity + '');
+        };
+        ToastCmp.prototype._onDragEnd = function (x) {
+            this._dragging = false;
+            var ele = this._getElement('.toast-container');
+            if (Math.abs(x - this._startX) > ele.offsetWidth * SWIPE_DISMISS_RATIO) {
+                // leave it where it was swiped to while the toast is dismissed
+                this.dismiss('swipe');
+                return;
+            }
+            this._renderer.setElementStyle(ele, dom_1.CSS.transform, '');
+            this._renderer.setElementStyle(ele, 'opacity', '');
+            this._resume();
+        };
+        /**
+         * Moves the toast away from the edge of the screen, so
+         * stacked toasts at the same position don't overlap.
+         */
+        ToastCmp.prototype._setStackOffset = function (offset) {
+            var margin = (this.d.position === 'bottom' ? 'margin-bottom' : 'margin-top');
+            this._renderer.setElementStyle(this._getElement('.toast-wrapper'), margin, offset + 'px');
+        };
+        ToastCmp.prototype._getStackHeight = function () {
+            return this._getElement('.toast-wrapper').offsetHeight;
+        };
+        ToastCmp.prototype._getElement = function (selector) {
+            return this._elementRef.nativeElement.querySelector(selector);
+        };
+        ToastCmp.prototype.ngOnDestroy = function () {
+            clearTimeout(this.dismissTimeout);
+            this._gesture && this._gesture.destroy();
+        };
         ToastCmp.decorators = [
             { type: core_1.Component, args: [{
                         selector: 'ion-toast',
@@ -71,11 +196,14 @@
                             '[class.toast-bottom]="d.position === \'bottom\'" ' +
                             '[class.toast-middle]="d.position === \'middle\'" ' +
                             '[class.toast-top]="d.position === \'top\'"> ' +
-                            '<div class="toast-container"> ' +
+                            '<div class="toast-container" (mouseenter)="pointerEnter($event)" (mouseleave)="pointerLeave($event)" (touchstart)="pointerEnter($event)" (touchend)="pointerLeave($event)" (touchcancel)="pointerLeave($event)"> ' +
                             '<div class="toast-message" id="{{hdrId}}" *ngIf="d.message">{{d.message}}</div> ' +
                             '<button ion-button clear class="toast-button" *ngIf="d.showCloseButton" (click)="cbClick()"> ' +
                             '{{ d.closeButtonText || \'Close\' }} ' +
                             '</button> ' +
+                            '<button ion-button clear class="toast-button" *ngFor="let b of d.buttons" [ngClass]="b.cssClass" (click)="btnClick(b)"> ' +
+                            '{{b.text}} ' +
+                            '</button> ' +
                             '</div> ' +
                             '</div>',
                         host: {
@@ -92,10 +220,14 @@
             { type: core_1.ElementRef, },
             { type: nav_params_1.NavParams, },
             { type: core_1.Renderer, },
+            { type: gesture_controller_1.GestureController, },
+            { type: dom_controller_1.DomController, },
         ];
         return ToastCmp;
     }());
     exports.ToastCmp = ToastCmp;
     var toastIds = -1;
+    var MOUSE_WAIT = 2500;
+    var SWIPE_DISMISS_RATIO = 0.35;
 });
 //# sourceMappingURL=toast-component.js.map
\ No newline at end of file
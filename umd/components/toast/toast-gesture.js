@@ -0,0 +1,53 @@
+var __extends = (this && this.__extends) || function (d, b) {
+    for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
+    function __() { this.constructor = d; }
+    d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+};
+(function (factory) {
+    if (typeof module === 'object' && typeof module.exports === 'object') {
+        var v = factory(require, exports); if (v !== undefined) module.exports = v;
+    }
+    else if (typeof define === 'function' && define.amd) {
+        define(["require", "exports", '../../gestures/gesture-controller', '../../gestures/drag-gesture', '../../util/dom'], factory);
+    }
+})(function (require, exports) {
+    "use strict";
+    var gesture_controller_1 = require('../../gestures/gesture-controller');
+    var drag_gesture_1 = require('../../gestures/drag-gesture');
+    var dom_1 = require('../../util/dom');
+    /**
+     * @private
+     */
+    var ToastGesture = (function (_super) {
+        __extends(ToastGesture, _super);
+        function ToastGesture(toast, element, gestureCtrl, domCtrl) {
+            _super.call(this, element, {
+                direction: 'x',
+                domController: domCtrl,
+                gesture: gestureCtrl.createGesture({
+                    name: gesture_controller_1.GESTURE_TOAST_SWIPE,
+                    priority: 30 /* ToastSwipe */,
+                })
+            });
+            this.toast = toast;
+        }
+        ToastGesture.prototype.canStart = function (ev) {
+            return this.toast.enabled;
+        };
+        ToastGesture.prototype.onDragStart = function (ev) {
+            ev.preventDefault();
+            this.toast._onDragStart(dom_1.pointerCoord(ev).x);
+        };
+        ToastGesture.prototype.onDragMove = function (ev) {
+            ev.preventDefault();
+            this.toast._onDragMove(dom_1.pointerCoord(ev).x);
+        };
+        ToastGesture.prototype.onDragEnd = function (ev) {
+            ev.preventDefault();
+            this.toast._onDragEnd(dom_1.pointerCoord(ev).x);
+        };
+        return ToastGesture;
+    }(drag_gesture_1.PanGesture));
+    exports.ToastGesture = ToastGesture;
+});
+//# sourceMappingURL=toast-gesture.js.map
\ No newline at end of file
@@ -1,4 +1,5 @@
 import { App } from '../app/app';
+import { Config } from '../../config/config';
 import { NavOptions } from '../../navigation/nav-util';
 import { ToastOptions } from './toast-options';
 import { ViewController } from '../../navigation/view-controller';
@@ -7,7 +8,8 @@ import { ViewController } from '../../navigation/view-controller';
  */
 export declare class Toast extends ViewController {
     private _app;
-    constructor(app: App, opts?: ToastOptions);
+    private _ctrl;
+    constructor(app: App, opts?: ToastOptions, _ctrl?: ToastController);
     /**
     * @private
     */
@@ -28,7 +30,22 @@ export declare class Toast extends ViewController {
      */
     present(navOptions?: NavOptions): Promise<any>;
     /**
-     * Dismiss all toast components which have been presented.
+     * @private
+     */
+    _present(navOptions: NavOptions): Promise<any>;
+    /**
+     * Dismiss the toast. If it is still waiting in the queue to be
+     * presented, it is removed from the queue instead.
+     *
+     * @param {any} [data] Data that you want to return when the toast is dismissed.
+     * @param {any} [role ]
+     * @param {NavOptions} NavOptions Options for the dismiss navigation.
+     * @returns {any} data Returns the data passed in, if any.
+     */
+    dismiss(data?: any, role?: any, navOptions?: NavOptions): Promise<any>;
+    /**
+     * Dismiss all toast components which have been presented,
+     * and remove any which are waiting in the queue.
      */
     dismissAll(): void;
 }
@@ -62,6 +79,26 @@ export declare class Toast extends ViewController {
  * method on the Toast instance. The `onDidDismiss` function can be called to perform an action after the toast
  * is dismissed.
  *
+ * ### Queueing and Stacking
+ * Toasts created by the `ToastController` are queued, so only one toast at a time
+ * is shown at each position. Once it has been dismissed, the next toast in the queue
+ * for that position is presented. To show several toasts at once, set the `toastStack`
+ * config to `true`. Stacked toasts at the same position are moved out of each other's way,
+ * with the newest toast nearest the edge of the screen. The `toastMaxStack` config sets
+ * how many toasts are shown at each position before the rest wait in the queue.
+ *
+ * ### Buttons
+ * Along with the close button, toasts can have action buttons. Each button in the
+ * `buttons` option has a `text`, and optionally a `role`, a `cssClass` and a `handler`.
+ * Clicking a button calls its handler and dismisses the toast with the button's role,
+ * unless the handler returns `false`.
+ *
+ * ### Pausing and Swiping
+ * While a toast is hovered or touched, its `duration` timer is paused, so it isn't
+ * dismissed while the user is reading it or reaching for a button. Set `pauseOnHover`
+ * to `false` to keep the timer running. Setting `swipeToDismiss` to `true` lets the user
+ * swipe the toast to either side to dismiss it.
+ *
  * @usage
  * ```ts
  * constructor(private toastCtrl: ToastController) {
@@ -82,6 +119,23 @@ export declare class Toast extends ViewController {
  *   toast.present();
  * }
  * ```
+ *
+ * ```ts
+ * presentUndoToast() {
+ *   let toast = this.toastCtrl.create({
+ *     message: 'Message archived',
+ *     duration: 5000,
+ *     swipeToDismiss: true,
+ *     buttons: [{
+ *       text: 'Undo',
+ *       handler: () => {
+ *         this.unarchive();
+ *       }
+ *     }]
+ *   });
+ *   toast.present();
+ * }
+ * ```
  * @advanced
  * | Property              | Type      | Default         | Description                                                                                                   |
  * |-----------------------|-----------|-----------------|---------------------------------------------------------------------------------------------------------------|
@@ -92,15 +146,62 @@ export declare class Toast extends ViewController {
  * | showCloseButton       | `boolean` | false           | Whether or not to show a button to close the toast.                                                           |
  * | closeButtonText       | `string`  | "Close"         | Text to display in the close button.                                                                          |
  * | dismissOnPageChange   | `boolean` | false           | Whether to dismiss the toast when navigating to a new page.                                                   |
+ * | buttons               | `array`   | -               | Action buttons for the toast. Each button has a `text`, `role`, `cssClass` and `handler`.                     |
+ * | pauseOnHover          | `boolean` | true            | Whether to pause the `duration` timer while the toast is hovered or touched.                                  |
+ * | swipeToDismiss        | `boolean` | false           | Whether the toast can be swiped to either side to dismiss it.                                                 |
  *
  * @demo /docs/v2/demos/src/toast/
  */
 export declare class ToastController {
     private _app;
-    constructor(_app: App);
+    private _config;
+    private _queue;
+    private _visible;
+    constructor(_app: App, _config: Config);
     /**
      * Create a new toast component. See options below
      * @param {ToastOptions} opts Toast options. See the below table for available options.
      */
     create(opts?: ToastOptions): Toast;
+    /**
+     * @private
+     */
+    _enqueue(toast: Toast, navOptions: NavOptions): Promise<any>;
+    /**
+     * @private
+     * Returns `true` if the toast was waiting in the queue.
+     */
+    _dequeue(toast: Toast): boolean;
+    /**
+     * @private
+     */
+    _clear(): void;
+    /**
+     * @private
+     * Presents the queued toasts while there's room for them. Each position
+     * has its own stack, so a toast at the top doesn't wait for one at the bottom.
+     */
+    _next(): void;
+    /**
+     * @private
+     */
+    _show(entry: any): void;
+    /**
+     * @private
+     */
+    _hide(toast: Toast): void;
+    /**
+     * @private
+     * The newest toast is nearest the edge of the screen,
+     * and the older toasts are moved out of its way.
+     */
+    _restack(position: string): void;
+    /**
+     * @private
+     */
+    _getVisible(position: string): Toast[];
+    /**
+     * @private
+     */
+    _getMax(): number;
 }
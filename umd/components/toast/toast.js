@@ -8,12 +8,13 @@ var __extends = (this && this.__extends) || function (d, b) {
         var v = factory(require, exports); if (v !== undefined) module.exports = v;
     }
     else if (typeof define === 'function' && define.amd) {
-        define(["require", "exports", '@angular/core', '../app/app', '../../util/util', './toast-component', '../../navigation/view-controller'], factory);
+        define(["require", "exports", '@angular/core', '../app/app', '../../config/config', '../../util/util', './toast-component', '../../navigation/view-controller'], factory);
     }
 })(function (require, exports) {
     "use strict";
     var core_1 = require('@angular/core');
     var app_1 = require('../app/app');
+    var config_1 = require('../../config/config');
     var util_1 = require('../../util/util');
     var toast_component_1 = require('./toast-component');
     var view_controller_1 = require('../../navigation/view-controller');
@@ -22,11 +23,12 @@ var __extends = (this && this.__extends) || function (d, b) {
      */
     var Toast = (function (_super) {
         __extends(Toast, _super);
-        function Toast(app, opts) {
+        function Toast(app, opts, _ctrl) {
             if (opts === void 0) { opts = {}; }
             opts.dismissOnPageChange = util_1.isPresent(opts.dismissOnPageChange) ? !!opts.dismissOnPageChange : false;
             _super.call(this, toast_component_1.ToastCmp, opts, null);
             this._app = app;
+            this._ctrl = _ctrl;
             // set the position to the bottom if not provided
             if (!opts.position || !this.isValidPosition(opts.position)) {
                 opts.position = TOAST_POSITION_BOTTOM;
@@ -61,12 +63,41 @@ var __extends = (this && this.__extends) || function (d, b) {
         Toast.prototype.present = function (navOptions) {
             if (navOptions === void 0) { navOptions = {}; }
             navOptions.disableApp = false;
+            if (this._ctrl) {
+                // the controller presents it once there's room at its position
+                return this._ctrl._enqueue(this, navOptions);
+            }
+            return this._present(navOptions);
+        };
+        /**
+         * @private
+         */
+        Toast.prototype._present = function (navOptions) {
             return this._app.present(this, navOptions, 3 /* TOAST */);
         };
         /**
-         * Dismiss all toast components which have been presented.
+         * Dismiss the toast. If it is still waiting in the queue to be
+         * presented, it is removed from the queue instead.
+         *
+         * @param {any} [data] Data that you want to return when the toast is dismissed.
+         * @param {any} [role ]
+         * @param {NavOptions} NavOptions Options for the dismiss navigation.
+         * @returns {any} data Returns the data passed in, if any.
+         */
+        Toast.prototype.dismiss = function (data, role, navOptions) {
+            if (this._ctrl && this._ctrl._dequeue(this)) {
+                this._onDidDismiss && this._onDidDismiss(data, role);
+                this._onDidDismiss = null;
+                return Promise.resolve(data);
+            }
+            return _super.prototype.dismiss.call(this, data, role, navOptions);
+        };
+        /**
+         * Dismiss all toast components which have been presented,
+         * and remove any which are waiting in the queue.
          */
         Toast.prototype.dismissAll = function () {
+            this._ctrl && this._ctrl._clear();
             this._nav && this._nav.popAll();
         };
         return Toast;
@@ -102,6 +133,26 @@ var __extends = (this && this.__extends) || function (d, b) {
      * method on the Toast instance. The `onDidDismiss` function can be called to perform an action after the toast
      * is dismissed.
      *
+     * ### Queueing and Stacking
+     * Toasts created by the `ToastController` are queued, so only one toast at a time
+     * is shown at each position. Once it has been dismissed, the next toast in the queue
+     * for that position is presented. To show several toasts at once, set the `toastStack`
+     * config to `true`. Stacked toasts at the same position are moved out of each other's way,
+     * with the newest toast nearest the edge of the screen. The `toastMaxStack` config sets
+     * how many toasts are shown at each position before the rest wait in the queue.
+     *
+     * ### Buttons
+     * Along with the close button, toasts can have action buttons. Each button in the
+     * `buttons` option has a `text`, and optionally a `role`, a `cssClass` and a `handler`.
+     * Clicking a button calls its handler and dismisses the toast with the button's role,
+     * unless the handler returns `false`.
+     *
+     * ### Pausing and Swiping
+     * While a toast is hovered or touched, its `duration` timer is paused, so it isn't
+     * dismissed while the user is reading it or reaching for a button. Set `pauseOnHover`
+     * to `false` to keep the timer running. Setting `swipeToDismiss` to `true` lets the user
+     * swipe the toast to either side to dismiss it.
+     *
      * @usage
      * ```ts
      * constructor(private toastCtrl: ToastController) {
@@ -122,6 +173,23 @@ var __extends = (this && this.__extends) || function (d, b) {
      *   toast.present();
      * }
      * ```
+     *
+     * ```ts
+     * presentUndoToast() {
+     *   let toast = this.toastCtrl.create({
+     *     message: 'Message archived',
+     *     duration: 5000,
+     *     swipeToDismiss: true,
+     *     buttons: [{
+     *       text: 'Undo',
+     *       handler: () => {
+     *         this.unarchive();
+     *       }
+     *     }]
+     *   });
+     *   toast.present();
+     * }
+     * ```
      * @advanced
      * | Property              | Type      | Default         | Description                                                                                                   |
      * |-----------------------|-----------|-----------------|---------------------------------------------------------------------------------------------------------------|
@@ -132,12 +200,18 @@ var __extends = (this && this.__extends) || function (d, b) {
      * | showCloseButton       | `boolean` | false           | Whether or not to show a button to close the toast.                                                           |
      * | closeButtonText       | `string`  | "Close"         | Text to display in the close button.                                                                          |
      * | dismissOnPageChange   | `boolean` | false           | Whether to dismiss the toast when navigating to a new page.                                                   |
+     * | buttons               | `array`   | -               | Action buttons for the toast. Each button has a `text`, `role`, `cssClass` and `handler`.                     |
+     * | pauseOnHover          | `boolean` | true            | Whether to pause the `duration` timer while the toast is hovered or touched.                                  |
+     * | swipeToDismiss        | `boolean` | false           | Whether the toast can be swiped to either side to dismiss it.                                                 |
      *
      * @demo /docs/v2/demos/src/toast/
      */
     var ToastController = (function () {
-        function ToastController(_app) {
+        function ToastController(_app, _config) {
             this._app = _app;
+            this._config = _config;
+            this._queue = [];
+            this._visible = [];
         }
         /**
          * Create a new toast component. See options below
@@ -145,7 +219,115 @@ var __extends = (this && this.__extends) || function (d, b) {
          */
         ToastController.prototype.create = function (opts) {
             if (opts === void 0) { opts = {}; }
-            return new Toast(this._app, opts);
+            return new Toast(this._app, opts, this);
+        };
+        /**
+         * @private
+         */
+        ToastController.prototype._enqueue = function (toast, navOptions) {
+            var _this = this;
+            return new Promise(function (resolve, reject) {
+                _this._queue.push({ toast: toast, navOptions: navOptions, resolve: resolve, reject: reject });
+                _this._next();
+            });
+        };
+        /**
+         * @private
+         * Returns `true` if the toast was waiting in the queue.
+         */
+        ToastController.prototype._dequeue = function (toast) {
+            for (var i = 0; i < this._queue.length; i++) {
+                if (this._queue[i].toast === toast) {
+                    this._queue.splice(i, 1)[0].resolve(false);
+                    return true;
+                }
+            }
+            return false;
+        };
+        /**
+         * @private
+         */
+        ToastController.prototype._clear = function () {
+            this._queue.slice().forEach(function (entry) {
+                entry.toast.dismiss();
+            });
+        };
+        /**
+         * @private
+         * Presents the queued toasts while there's room for them. Each position
+         * has its own stack, so a toast at the top doesn't wait for one at the bottom.
+         */
+        ToastController.prototype._next = function () {
+            var max = this._getMax();
+            for (var i = 0; i < this._queue.length; i++) {
+                var position = this._queue[i].toast.data.position;
+                if (this._getVisible(position).length < max) {
+                    this._show(this._queue.splice(i--, 1)[0]);
+                }
+            }
+        };
+        /**
+         * @private
+         */
+        ToastController.prototype._show = function (entry) {
+            var _this = this;
+            var toast = entry.toast;
+            this._visible.push(toast);
+            toast.willUnload.subscribe(function () {
+                _this._hide(toast);
+            });
+            toast._present(entry.navOptions).then(function (val) {
+                _this._restack(toast.data.position);
+                entry.resolve(val);
+            }, function (err) {
+                _this._hide(toast);
+                entry.reject(err);
+            });
+        };
+        /**
+         * @private
+         */
+        ToastController.prototype._hide = function (toast) {
+            var index = this._visible.indexOf(toast);
+            if (index > -1) {
+                this._visible.splice(index, 1);
+                this._restack(toast.data.position);
+                this._next();
+            }
+        };
+        /**
+         * @private
+         * The newest toast is nearest the edge of the screen,
+         * and the older toasts are moved out of its way.
+         */
+        ToastController.prototype._restack = function (position) {
+            if (!this._config.getBoolean('toastStack')) {
+                return;
+            }
+            var visible = this._getVisible(position);
+            var offset = 0;
+            for (var i = visible.length - 1; i >= 0; i--) {
+                var cmp = visible[i].instance;
+                if (cmp) {
+                    cmp._setStackOffset(offset);
+                    offset += cmp._getStackHeight();
+                }
+            }
+        };
+        /**
+         * @private
+         */
+        ToastController.prototype._getVisible = function (position) {
+            return this._visible.filter(function (toast) { return toast.data.position === position; });
+        };
+        /**
+         * @private
+         */
+        ToastController.prototype._getMax = function () {
+            if (!this._config.getBoolean('toastStack')) {
+                return 1;
+            }
+            return Math.max(1, this._config.getNumber('toastMaxStack', 3));
         };
         ToastController.decorators = [
             { type: core_1.Injectable },
@@ -153,6 +335,7 @@ var __extends = (this && this.__extends) || function (d, b) {
         /** @nocollapse */
         ToastController.ctorParameters = [
             { type: app_1.App, },
+            { type: config_1.Config, },
         ];
         return ToastController;
     }());
@@ -3,7 +3,7 @@
         var v = factory(require, exports); if (v !== undefined) module.exports = v;
     }
     else if (typeof define === 'function' && define.amd) {
-        define(["require", "exports", '@angular/core', './virtual-util', '../../config/config', '../content/content', '../../util/dom-controller', '../../util/util', '../../platform/platform', '../../navigation/view-controller', './virtual-item'], factory);
+        define(["require", "exports", '@angular/core', './virtual-util', '../../config/config', '../content/content', '../../util/dom-controller', '../../util/util', '../../util/ui-event-manager', '../../platform/platform', '../../navigation/view-controller', './virtual-item'], factory);
     }
 })(function (require, exports) {
     "use strict";
@@ -13,6 +13,7 @@
     var content_1 = require('../content/content');
     var dom_controller_1 = require('../../util/dom-controller');
     var util_1 = require('../../util/util');
+    var ui_event_manager_1 = require('../../util/ui-event-manager');
     var platform_1 = require('../../platform/platform');
     var view_controller_1 = require('../../navigation/view-controller');
     var virtual_item_1 = require('./virtual-item');
@@ -105,6 +106,25 @@
      * slightly different heights between platforms, which is perfectly fine.
      *
      *
+     * ### Variable Height Items
+     *
+     * Items don't all need to be the same height. Each cell is measured once
+     * it has rendered, and cells which change size afterwards, such as a card
+     * which expands or an image which loads late, are measured again using a
+     * `ResizeObserver`. Only the cells after a resized cell are moved, and when
+     * cells above the viewable area change size the scroll position follows,
+     * so the viewable cells don't jump. Where `ResizeObserver` isn't available,
+     * cells are only measured again when an image within them has loaded.
+     *
+     *
+     * ### Adding Records Above
+     *
+     * When records are added or removed above the first viewable record, such
+     * as older messages being loaded above a chat, the virtual scroll scrolls
+     * so that record stays where it was. This works well with an
+     * `ion-infinite-scroll` which has its `position` set to `top`.
+     *
+     *
      * ### Images Within Virtual Scroll
      *
      * HTTP requests, image decoding, and image rendering can cause jank while
@@ -232,6 +252,7 @@
             this._nodes = [];
             this._vHeight = 0;
             this._lastCheck = 0;
+            this._resizeEles = [];
             this._data = {
                 scrollTop: 0,
             };
@@ -301,6 +322,7 @@
             // see jank as it loads up, but we're still able to read
             // dimensions because it's still rendered and only opacity hidden
             this._renderer.setElementClass(_elementRef.nativeElement, 'virtual-loading', true);
+            _content.addVirtualScroll(this);
             // wait for the content to be rendered and has readable dimensions
             _content.readReady.subscribe(function () {
                 _this._init = true;
@@ -373,8 +395,9 @@
             if (this._init && this._hasChanges()) {
                 // only continue if we've already initialized
                 // and if there actually are changes
+                var anchor = this._getAnchor(this._changes);
                 this.readUpdate();
-                this.writeUpdate();
+                this.writeUpdate(anchor);
             }
         };
         VirtualScroll.prototype.readUpdate = function () {
@@ -383,17 +406,116 @@
             this._cells.length = 0;
             this._nodes.length = 0;
             this._itmTmp.viewContainer.clear();
+            this._resizeObs && this._resizeObs.disconnect();
+            this._resizeEles.length = 0;
             // ******** DOM READ ****************
             virtual_util_1.calcDimensions(this._data, this._elementRef.nativeElement, this.approxItemWidth, this.approxItemHeight, this.approxHeaderWidth, this.approxHeaderHeight, this.approxFooterWidth, this.approxFooterHeight, this.bufferRatio);
         };
-        VirtualScroll.prototype.writeUpdate = function () {
+        VirtualScroll.prototype.writeUpdate = function (anchor) {
             (void 0) /* console.debug */;
-            virtual_util_1.processRecords(this._data.renderHeight, this._records, this._cells, this._hdrFn, this._ftrFn, this._data);
+            var data = this._data;
+            var cells = this._cells;
+            var stopAtHeight = data.renderHeight;
+            virtual_util_1.processRecords(stopAtHeight, this._records, cells, this._hdrFn, this._ftrFn, data);
             // ******** DOM WRITE ****************
             this.renderVirtual();
+            if (anchor) {
+                // the anchor's record could be further down than what fills the
+                // render height, so keep processing records until it's reached
+                while (cells.length && cells[cells.length - 1].record < anchor.record && !cells[cells.length - 1].isLast) {
+                    stopAtHeight += data.renderHeight;
+                    virtual_util_1.processRecords(stopAtHeight, this._records, cells, this._hdrFn, this._ftrFn, data);
+                }
+                this._scrollToAnchor(anchor);
+            }
         };
         VirtualScroll.prototype._hasChanges = function () {
-            return (util_1.isPresent(this._records) && util_1.isPresent(this._differ) && util_1.isPresent(this._differ.diff(this._records)));
+            this._changes = (util_1.isPresent(this._records) && util_1.isPresent(this._differ)) ? this._differ.diff(this._records) : null;
+            return util_1.isPresent(this._changes);
+        };
+        /**
+         * @private
+         * NO DOM
+         * Returns where the record of the first viewable cell is now, and how
+         * far its cell is from the scroll top, when records have been added or
+         * removed above it. Otherwise returns `null`.
+         */
+        VirtualScroll.prototype._getAnchor = function (changes) {
+            var cells = this._cells;
+            var scrollTop = this._data.scrollTop;
+            var oldIndex = -1;
+            var newIndex = -1;
+            var offset = 0;
+            for (var i = 0; i < cells.length; i++) {
+                if (cells[i].top + cells[i].height > scrollTop) {
+                    oldIndex = cells[i].record;
+                    offset = cells[i].top - scrollTop;
+                    break;
+                }
+            }
+            if (oldIndex < 0) {
+                return null;
+            }
+            changes.forEachItem(function (record) {
+                if (record.previousIndex === oldIndex) {
+                    newIndex = record.currentIndex;
+                }
+            });
+            if (newIndex < 0 || newIndex === oldIndex) {
+                // the record was removed, or nothing changed above it
+                return null;
+            }
+            return { record: newIndex, offset: offset };
+        };
+        /**
+         * @private
+         * DOM WRITE
+         * Scrolls so the anchor's record is where it was before the records
+         * changed, then renders the cells which are viewable from there.
+         */
+        VirtualScroll.prototype._scrollToAnchor = function (anchor) {
+            var _this = this;
+            var nodes = this._nodes;
+            var cells = this._cells;
+            var data = this._data;
+            this._dom.write(function () {
+                var cell;
+                for (var i = 0; i < cells.length; i++) {
+                    if (cells[i].record === anchor.record) {
+                        cell = cells[i];
+                        break;
+                    }
+                }
+                if (!cell) {
+                    return;
+                }
+                var scrollTop = Math.max(cell.top - anchor.offset, 0);
+                // ******** DOM WRITE ****************
+                _this._setHeight(virtual_util_1.estimateHeight(_this._records.length, cells[cells.length - 1], _this._vHeight, 0));
+                _this._content.scrollTop = data.scrollTop = scrollTop;
+                _this._dom.read(function () {
+                    // ******** DOM READ ****************
+                    virtual_util_1.updateDimensions(nodes, cells, data, false);
+                    data.scrollDiff = (scrollTop - _this._lastCheck);
+                    _this._lastCheck = scrollTop;
+                    virtual_util_1.adjustRendered(cells, data);
+                    virtual_util_1.populateNodeData(data.topCell, data.bottomCell, data.viewWidth, data.scrollDiff > 0, cells, _this._records, nodes, _this._itmTmp.viewContainer, _this._itmTmp.templateRef, _this._hdrTmp && _this._hdrTmp.templateRef, _this._ftrTmp && _this._ftrTmp.templateRef, false);
+                    _this._dom.write(function () {
+                        // update the bound context for each node
+                        virtual_util_1.updateNodeContext(nodes, cells, data);
+                        // ******** DOM WRITE ****************
+                        for (var i = 0; i < nodes.length; i++) {
+                            if (nodes[i].hasChanges) {
+                                nodes[i].view.detectChanges();
+                            }
+                        }
+                        // ******** DOM WRITE ****************
+                        virtual_util_1.writeToNodes(nodes, cells, _this._records.length);
+                        _this._observeNodes();
+                        _this._queue = SCROLL_QUEUE_NO_CHANGES;
+                    });
+                });
+            });
         };
         /**
          * @private
@@ -443,6 +565,7 @@
                 virtual_util_1.writeToNodes(nodes, cells, recordsLength);
                 // ******** DOM WRITE ****************
                 _this._setHeight(virtual_util_1.estimateHeight(recordsLength, cells[cells.length - 1], _this._vHeight, 0.25));
+                _this._observeNodes();
                 _this._content.imgsUpdate();
             });
         };
@@ -466,6 +589,7 @@
                     virtual_util_1.writeToNodes(nodes, cells, recordsLength);
                     // ******** DOM WRITE ****************
                     _this._setHeight(virtual_util_1.estimateHeight(recordsLength, cells[cells.length - 1], _this._vHeight, 0.25));
+                    _this._observeNodes();
                     // we're done here, good work
                     _this._queue = SCROLL_QUEUE_NO_CHANGES;
                 });
@@ -535,6 +659,7 @@
                 virtual_util_1.writeToNodes(nodes, cells, recordsLength);
                 // ******** DOM WRITE ****************
                 _this._setHeight(virtual_util_1.estimateHeight(recordsLength, cells[cells.length - 1], _this._vHeight, 0.05));
+                _this._observeNodes();
                 _this._queue = SCROLL_QUEUE_NO_CHANGES;
             });
         };
@@ -557,8 +682,74 @@
                 this._scrollEndSub = this._content.ionScrollEnd.subscribe(function (ev) {
                     _this.scrollEnd(ev);
                 });
+                if (typeof ResizeObserver !== 'undefined') {
+                    this._resizeObs = new ResizeObserver(function (entries) {
+                        var targets = entries.map(function (entry) { return entry.target; });
+                        _this._cellsResized(function (ele) { return targets.indexOf(ele) > -1; });
+                    });
+                }
+                else {
+                    // without ResizeObserver, the most common resize is an
+                    // image which loads after its cell has been rendered
+                    this._unregLoad = ui_event_manager_1.listenEvent(this._elementRef.nativeElement, 'load', false, true, function (ev) {
+                        _this._cellsResized(function (ele) { return ele.contains(ev.target); });
+                    });
+                }
+            }
+        };
+        /**
+         * DOM WRITE
+         */
+        VirtualScroll.prototype._observeNodes = function () {
+            var ele;
+            if (!this._resizeObs) {
+                return;
+            }
+            for (var i = 0; i < this._nodes.length; i++) {
+                ele = virtual_util_1.getElement(this._nodes[i]);
+                // nodes are reused, so each element only needs to be observed once
+                if (ele && this._resizeEles.indexOf(ele) < 0) {
+                    this._resizeEles.push(ele);
+                    this._resizeObs.observe(ele);
+                }
             }
         };
+        /**
+         * @private
+         * Re-reads the cells which changed size, such as an expanding card or
+         * an image which loaded late, and moves the cells after them. The scroll
+         * position follows the first viewable cell, so the cells within view
+         * stay where they are when cells above them change size.
+         */
+        VirtualScroll.prototype._cellsResized = function (isResized) {
+            var _this = this;
+            var nodes = this._nodes;
+            var cells = this._cells;
+            var data = this._data;
+            var anchorDiff = null;
+            this._dom.read(function () {
+                // ******** DOM READ ****************
+                anchorDiff = virtual_util_1.resizeCells(nodes, cells, data, isResized);
+            });
+            this._dom.write(function () {
+                if (anchorDiff === null) {
+                    return;
+                }
+                var recordsLength = _this._records.length;
+                // update the bound context for each node
+                virtual_util_1.updateNodeContext(nodes, cells, data);
+                // ******** DOM WRITE ****************
+                virtual_util_1.writeToNodes(nodes, cells, recordsLength);
+                // ******** DOM WRITE ****************
+                _this._setHeight(virtual_util_1.estimateHeight(recordsLength, cells[cells.length - 1], _this._vHeight, 0.05));
+                if (anchorDiff !== 0) {
+                    // ******** DOM WRITE ****************
+                    data.scrollTop += anchorDiff;
+                    _this._lastCheck += anchorDiff;
+                    _this._content.scrollTop = data.scrollTop;
+                }
+            });
+        };
         /**
          * DOM WRITE
          */
@@ -588,6 +779,9 @@
         VirtualScroll.prototype.ngOnDestroy = function () {
             this._scrollSub && this._scrollSub.unsubscribe();
             this._scrollEndSub && this._scrollEndSub.unsubscribe();
+            this._resizeObs && this._resizeObs.disconnect();
+            this._unregLoad && this._unregLoad();
+            this._content.removeVirtualScroll(this);
         };
         VirtualScroll.decorators = [
             { type: core_1.Directive, args: [{
@@ -3,13 +3,10 @@
         var v = factory(require, exports); if (v !== undefined) module.exports = v;
     }
     else if (typeof define === 'function' && define.amd) {
-        define(["require", "exports", './components/avatar/avatar', './components/backdrop/backdrop', './components/badge/badge', './components/button/button', './components/card/card', './components/checkbox/checkbox', './components/chip/chip', './util/click-block', './components/content/content', './components/datetime/datetime', './components/fab/fab', './components/grid/grid', './components/icon/icon', './components/img/img', './components/infinite-scroll/infinite-scroll', './components/infinite-scroll/infinite-scroll-content', './components/app/app-root', './components/item/item', './components/item/item-reorder', './components/item/item-sliding', './components/label/label', './components/list/list', './components/list/list-header', './components/menu/menu', './components/menu/menu-close', './components/menu/menu-toggle', './components/input/native-input', './components/nav/nav', './components/nav/nav-pop', './components/nav/nav-push', './components/navbar/navbar', './components/note/note', './components/option/option', './components/nav/overlay-portal', './components/picker/picker-component', './components/radio/radio-button', './components/radio/radio-group', './components/range/range', './components/refresher/refresher', './components/refresher/refresher-content', './components/scroll/scroll', './components/searchbar/searchbar', './components/segment/segment', './components/select/select', './components/show-hide-when/show-hide-when', './components/slides/slides', './components/spinner/spinner', './components/tabs/tab', './components/tabs/tabs', './components/tabs/tab-button', './components/tabs/tab-highlight', './components/input/input', './components/thumbnail/thumbnail', './components/toggle/toggle', './components/toolbar/toolbar', './components/toolbar/toolbar-item', './components/toolbar/toolbar-title', './components/typography/typography', './components/virtual-scroll/virtual-scroll', './components/virtual-scroll/virtual-item', './components/ion', './components/action-sheet/action-sheet', './components/alert/alert', './components/app/app', './components/avatar/avatar', './components/backdrop/backdrop', './components/badge/badge', './components/button/button', './components/card/card', './components/checkbox/checkbox', './components/chip/chip', './util/click-block', './components/content/content', './components/datetime/datetime', './components/fab/fab', './components/grid/grid', './components/icon/icon', './components/img/img', './components/infinite-scroll/infinite-scroll', './components/infinite-scroll/infinite-scroll-content', './components/input/input', './components/app/app-root', './components/item/item', './components/item/item-reorder', './components/item/item-sliding', './components/label/label', './components/list/list', './components/list/list-header', './components/loading/loading', './components/menu/menu', './components/menu/menu-close', './components/menu/menu-controller', './components/menu/menu-toggle', './components/menu/menu-types', './components/modal/modal', './components/nav/nav', './components/nav/nav-pop', './components/nav/nav-push', './components/navbar/navbar', './components/input/native-input', './components/note/note', './components/option/option', './components/nav/overlay-portal', './components/picker/picker', './components/popover/popover', './components/radio/radio-button', './components/radio/radio-group', './components/range/range', './components/refresher/refresher', './components/refresher/refresher-content', './components/scroll/scroll', './components/searchbar/searchbar', './components/segment/segment', './components/select/select', './components/show-hide-when/show-hide-when', './components/slides/slides', './components/spinner/spinner', './components/tabs/tab', './components/tabs/tabs', './components/tabs/tab-button', './components/tabs/tab-highlight', './components/tap-click/tap-click', './components/toast/toast', './components/toggle/toggle', './components/toolbar/toolbar', './components/toolbar/toolbar-item', './components/toolbar/toolbar-title', './components/thumbnail/thumbnail', './components/typography/typography', './components/virtual-scroll/virtual-scroll', './components/action-sheet/action-sheet-component', './components/alert/alert-component', './components/loading/loading-component', './components/modal/modal-component', './components/picker/picker-component', './components/popover/popover-component', './components/toast/toast-component'], factory);
+        define(["require", "exports", './components/avatar/avatar', './components/backdrop/backdrop', './components/badge/badge', './components/button/button', './components/card/card', './components/checkbox/checkbox', './components/chip/chip', './util/click-block', './components/content/content', './components/datetime/datetime', './components/fab/fab', './components/grid/grid', './components/icon/icon', './components/img/img', './components/infinite-scroll/infinite-scroll', './components/infinite-scroll/infinite-scroll-content', './components/app/app-root', './components/item/item', './components/item/item-reorder', './components/item/item-sliding', './components/label/label', './components/list/list', './components/list/list-header', './components/master-detail/master-detail', './components/menu/menu', './components/menu/menu-close', './components/menu/menu-toggle', './components/input/native-input', './components/nav/nav', './components/nav/nav-pop', './components/nav/nav-push', './components/navbar/navbar', './components/note/note', './components/option/option', './components/nav/overlay-portal', './components/picker/picker-component', './components/radio/radio-button', './components/radio/radio-group', './components/range/range', './components/refresher/refresher', './components/refresher/refresher-content', './components/scroll/scroll', './components/searchbar/searchbar', './components/segment/segment', './components/select/select', './components/show-hide-when/show-hide-when', './components/slides/slides', './components/spinner/spinner', './components/split-pane/split-pane', './components/tabs/tab', './components/tabs/tabs', './components/tabs/tab-button', './components/tabs/tab-highlight', './components/input/input', './components/thumbnail/thumbnail', './components/toggle/toggle', './components/toolbar/toolbar', './components/toolbar/toolbar-item', './components/toolbar/toolbar-title', './components/typography/typography', './components/virtual-scroll/virtual-scroll', './components/virtual-scroll/virtual-item', './components/ion', './components/action-sheet/action-sheet', './components/alert/alert', './components/app/app', './components/avatar/avatar', './components/backdrop/backdrop', './components/badge/badge', './components/button/button', './components/card/card', './components/checkbox/checkbox', './components/chip/chip', './util/click-block', './components/content/content', './components/datetime/datetime', './components/fab/fab', './components/grid/grid', './components/icon/icon', './components/img/img', './components/infinite-scroll/infinite-scroll', './components/infinite-scroll/infinite-scroll-content', './components/input/input', './components/app/app-root', './components/item/item', './components/item/item-reorder', './components/item/item-sliding', './components/label/label', './components/list/list', './components/list/list-header', './components/loading/loading', './components/master-detail/master-detail', './components/menu/menu', './components/menu/menu-close', './components/menu/menu-controller', './components/menu/menu-toggle', './components/menu/menu-types', './components/modal/modal', './components/nav/nav', './components/nav/nav-pop', './components/nav/nav-push', './components/navbar/navbar', './components/input/native-input', './components/note/note', './components/option/option', './components/nav/overlay-portal', './components/picker/picker', './components/popover/popover', './components/radio/radio-button', './components/radio/radio-group', './components/range/range', './components/refresher/refresher', './components/refresher/refresher-content', './components/scroll/scroll', './components/searchbar/searchbar', './components/segment/segment', './components/select/select', './components/show-hide-when/show-hide-when', './components/slides/slides', './components/spinner/spinner', './components/split-pane/split-pane', './components/tabs/tab', './components/tabs/tabs', './components/tabs/tab-button', './components/tabs/tab-highlight', './components/tap-click/tap-click', './components/toast/toast', './components/toggle/toggle', './components/toolbar/toolbar', './components/toolbar/toolbar-item', './components/toolbar/toolbar-title', './components/thumbnail/thumbnail', './components/typography/typography', './components/virtual-scroll/virtual-scroll', './components/action-sheet/action-sheet-component', './components/alert/alert-component', './components/loading/loading-component', './components/modal/modal-component', './components/picker/picker-component', './components/popover/popover-component', './components/toast/toast-component', './components/select/select-modal-component', './components/select/select-popover-component', './components/tabs/tabs-more-component'], factory);
     }
 })(function (require, exports) {
     "use strict";
-    /**
-     * Import Components
-     */
     var avatar_1 = require('./components/avatar/avatar');
     var backdrop_1 = require('./components/backdrop/backdrop');
     var badge_1 = require('./components/badge/badge');
@@ -33,6 +30,7 @@
     var label_1 = require('./components/label/label');
     var list_1 = require('./components/list/list');
     var list_header_1 = require('./components/list/list-header');
+    var master_detail_1 = require('./components/master-detail/master-detail');
     var menu_1 = require('./components/menu/menu');
     var menu_close_1 = require('./components/menu/menu-close');
     var menu_toggle_1 = require('./components/menu/menu-toggle');
@@ -57,6 +55,7 @@
     var show_hide_when_1 = require('./components/show-hide-when/show-hide-when');
     var slides_1 = require('./components/slides/slides');
     var spinner_1 = require('./components/spinner/spinner');
+    var split_pane_1 = require('./components/split-pane/split-pane');
     var tab_1 = require('./components/tabs/tab');
     var tabs_1 = require('./components/tabs/tabs');
     var tab_button_1 = require('./components/tabs/tab-button');
@@ -150,6 +149,8 @@
     var loading_1 = require('./components/loading/loading');
     exports.Loading = loading_1.Loading;
     exports.LoadingController = loading_1.LoadingController;
+    var master_detail_2 = require('./components/master-detail/master-detail');
+    exports.MasterDetail = master_detail_2.MasterDetail;
     var menu_2 = require('./components/menu/menu');
     exports.Menu = menu_2.Menu;
     var menu_close_2 = require('./components/menu/menu-close');
@@ -218,6 +219,8 @@
     exports.SlideLazy = slides_2.SlideLazy;
     var spinner_2 = require('./components/spinner/spinner');
     exports.Spinner = spinner_2.Spinner;
+    var split_pane_2 = require('./components/split-pane/split-pane');
+    exports.SplitPane = split_pane_2.SplitPane;
     var tab_2 = require('./components/tabs/tab');
     exports.Tab = tab_2.Tab;
     var tabs_2 = require('./components/tabs/tabs');
@@ -264,6 +267,12 @@
     exports.PopoverCmp = popover_component_1.PopoverCmp;
     var toast_component_1 = require('./components/toast/toast-component');
     exports.ToastCmp = toast_component_1.ToastCmp;
+    var select_modal_component_1 = require('./components/select/select-modal-component');
+    exports.SelectModalCmp = select_modal_component_1.SelectModalCmp;
+    var select_popover_component_1 = require('./components/select/select-popover-component');
+    exports.SelectPopoverCmp = select_popover_component_1.SelectPopoverCmp;
+    var tabs_more_component_1 = require('./components/tabs/tabs-more-component');
+    exports.TabsMoreCmp = tabs_more_component_1.TabsMoreCmp;
     /**
      * @private
      * @name IONIC_DIRECTIVES
@@ -309,6 +318,7 @@
         label_1.Label,
         list_1.List,
         list_header_1.ListHeader,
+        master_detail_1.MasterDetail,
         menu_1.Menu,
         menu_close_1.MenuClose,
         menu_toggle_1.MenuToggle,
@@ -342,6 +352,7 @@
         slides_1.Slides,
         slides_1.SlideLazy,
         spinner_1.Spinner,
+        split_pane_1.SplitPane,
         tab_1.Tab,
         tabs_1.Tabs,
         tab_button_1.TabButton,
@@ -9,6 +9,16 @@ export declare const GESTURE_ITEM_SWIPE: string;
 export declare const GESTURE_REFRESHER: string;
 /** @private */
 export declare const GESTURE_TOGGLE: string;
+/** @private */
+export declare const GESTURE_TRANSFORM: string;
+/** @private */
+export declare const GESTURE_PRESS: string;
+/** @private */
+export declare const GESTURE_DOUBLE_TAP: string;
+/** @private */
+export declare const GESTURE_TOAST_SWIPE: string;
+/** @private */
+export declare const GESTURE_TABS_SWIPE: string;
 /**
 * @private
 */
@@ -25,6 +35,11 @@ export declare const enum GesturePriority {
     GoBackSwipe = 20,
     Refresher = 0,
     Toggle = 30,
+    Transform = 30,
+    Press = 10,
+    DoubleTap = 10,
+    ToastSwipe = 30,
+    TabsSwipe = -20,
 }
 /**
 * @private
@@ -19,6 +19,16 @@
     exports.GESTURE_REFRESHER = 'refresher';
     /** @private */
     exports.GESTURE_TOGGLE = 'toggle';
+    /** @private */
+    exports.GESTURE_TRANSFORM = 'transform';
+    /** @private */
+    exports.GESTURE_PRESS = 'press';
+    /** @private */
+    exports.GESTURE_DOUBLE_TAP = 'double-tap';
+    /** @private */
+    exports.GESTURE_TOAST_SWIPE = 'toast-swipe';
+    /** @private */
+    exports.GESTURE_TABS_SWIPE = 'tabs-swipe';
     /**
     * @private
     */
@@ -66,7 +76,7 @@
                 return false;
             }
             var requestedStart = this.requestedStart;
-            var maxPriority = -10000 /* Minimun */;
+            var maxPriority = -10000;
             for (var gestureID in requestedStart) {
                 maxPriority = Math.max(maxPriority, requestedStart[gestureID]);
             }
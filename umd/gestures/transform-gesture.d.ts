@@ -0,0 +1,61 @@
+import { GestureDelegate } from '../gestures/gesture-controller';
+import { DomController } from '../util/dom-controller';
+import { PointerCoordinates } from '../util/dom';
+export interface TransformGestureConfig {
+    pinch?: boolean;
+    rotate?: boolean;
+    threshold?: number;
+    rotateThreshold?: number;
+    gesture?: GestureDelegate;
+    domController?: DomController;
+    zone?: boolean;
+    capture?: boolean;
+    passive?: boolean;
+}
+export interface TransformDetail {
+    scale: number;
+    rotation: number;
+    center: PointerCoordinates;
+}
+/**
+ * A two finger gesture which recognizes pinching, rotating, or both.
+ *
+ * The gesture starts once two fingers are down and have pinched further than
+ * the `threshold` in pixels, or rotated further than the `rotateThreshold` in degrees.
+ * It uses the same `GestureDelegate` priority and capture as the other gestures,
+ * so once a transform has captured, pan gestures such as swipe to go back won't start.
+ *
+ * Subclasses implement `onTransformStart`, `onTransformMove` and `onTransformEnd`.
+ * Each is given the `scale` and `rotation` since the second finger went down,
+ * and the `center` between the two fingers.
+ */
+export declare class TransformGesture {
+    private element;
+    private debouncer;
+    private events;
+    private pointerEvents;
+    private pinchDetector;
+    private rotateDetector;
+    private center;
+    protected started: boolean;
+    private captured;
+    isListening: boolean;
+    protected gestute: GestureDelegate;
+    private eventsConfig;
+    constructor(element: HTMLElement, opts?: TransformGestureConfig);
+    listen(): void;
+    unlisten(): void;
+    destroy(): void;
+    pointerDown(ev: any): boolean;
+    pointerMove(ev: any): void;
+    pointerUp(ev: any): void;
+    tryToCapture(detail: TransformDetail, ev: any): boolean;
+    abort(ev: any): void;
+    getDetail(coordA?: PointerCoordinates, coordB?: PointerCoordinates): TransformDetail;
+    getNativeElement(): HTMLElement;
+    canStart(ev: any): boolean;
+    onTransformStart(detail: TransformDetail, ev: any): void;
+    onTransformMove(detail: TransformDetail, ev: any): void;
+    onTransformEnd(detail: TransformDetail, ev: any): void;
+    notCaptured(ev: any): void;
+}
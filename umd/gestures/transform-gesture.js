@@ -0,0 +1,204 @@
+(function (factory) {
+    if (typeof module === 'object' && typeof module.exports === 'object') {
+        var v = factory(require, exports); if (v !== undefined) module.exports = v;
+    }
+    else if (typeof define === 'function' && define.amd) {
+        define(["require", "exports", '../util/util', './recognizers', '../util/ui-event-manager'], factory);
+    }
+})(function (require, exports) {
+    "use strict";
+    var util_1 = require('../util/util');
+    var recognizers_1 = require('./recognizers');
+    var ui_event_manager_1 = require('../util/ui-event-manager');
+    /**
+     * A two finger gesture which recognizes pinching, rotating, or both.
+     *
+     * The gesture starts once two fingers are down and have pinched further than
+     * the `threshold` in pixels, or rotated further than the `rotateThreshold` in degrees.
+     * It uses the same `GestureDelegate` priority and capture as the other gestures,
+     * so once a transform has captured, pan gestures such as swipe to go back won't start.
+     *
+     * Subclasses implement `onTransformStart`, `onTransformMove` and `onTransformEnd`.
+     * Each is given the `scale` and `rotation` since the second finger went down,
+     * and the `center` between the two fingers.
+     */
+    var TransformGesture = (function () {
+        function TransformGesture(element, opts) {
+            if (opts === void 0) { opts = {}; }
+            this.element = element;
+            this.events = new ui_event_manager_1.UIEventManager(false);
+            this.started = false;
+            this.captured = false;
+            this.isListening = false;
+            util_1.defaults(opts, {
+                pinch: true,
+                rotate: true,
+                threshold: 10,
+                rotateThreshold: 15,
+                zone: true,
+                capture: false,
+                passive: false,
+            });
+            if (opts.domController) {
+                this.debouncer = opts.domController.debouncer();
+            }
+            this.gestute = opts.gesture;
+            this.eventsConfig = {
+                element: this.element,
+                pointerDown: this.pointerDown.bind(this),
+                pointerMove: this.pointerMove.bind(this),
+                pointerUp: this.pointerUp.bind(this),
+                zone: opts.zone,
+                capture: opts.capture,
+                passive: opts.passive
+            };
+            if (opts.pinch) {
+                this.pinchDetector = new recognizers_1.PinchRecognizer(opts.threshold);
+            }
+            if (opts.rotate) {
+                this.rotateDetector = new recognizers_1.RotateRecognizer(opts.rotateThreshold);
+            }
+        }
+        TransformGesture.prototype.listen = function () {
+            if (this.isListening) {
+                return;
+            }
+            this.pointerEvents = this.events.pointerEvents(this.eventsConfig);
+            this.isListening = true;
+        };
+        TransformGesture.prototype.unlisten = function () {
+            if (!this.isListening) {
+                return;
+            }
+            this.gestute && this.gestute.release();
+            this.events.unlistenAll();
+            this.isListening = false;
+        };
+        TransformGesture.prototype.destroy = function () {
+            this.gestute && this.gestute.destroy();
+            this.gestute = null;
+            this.unlisten();
+            this.element = null;
+        };
+        TransformGesture.prototype.pointerDown = function (ev) {
+            if (this.started) {
+                return;
+            }
+            var touches = ev.touches;
+            if (!touches) {
+                // a mouse can't pinch or rotate
+                return false;
+            }
+            if (touches.length < 2) {
+                // keep listening to the first finger until the second one is down
+                return true;
+            }
+            if (!this.canStart(ev)) {
+                return false;
+            }
+            if (this.gestute) {
+                // Release fallback
+                this.gestute.release();
+                // Start gesture
+                if (!this.gestute.start()) {
+                    return false;
+                }
+            }
+            this.started = true;
+            this.captured = false;
+            var coordA = touchCoord(touches[0]);
+            var coordB = touchCoord(touches[1]);
+            this.pinchDetector && this.pinchDetector.start(coordA, coordB);
+            this.rotateDetector && this.rotateDetector.start(coordA, coordB);
+            return true;
+        };
+        TransformGesture.prototype.pointerMove = function (ev) {
+            var _this = this;
+            if (!this.started) {
+                return;
+            }
+            var touches = ev.touches;
+            if (!touches || touches.length < 2) {
+                return;
+            }
+            var coordA = touchCoord(touches[0]);
+            var coordB = touchCoord(touches[1]);
+            // both detectors always need to see the move so their values stay up to date
+            var isPinch = !!this.pinchDetector && this.pinchDetector.detect(coordA, coordB);
+            var isRotate = !!this.rotateDetector && this.rotateDetector.detect(coordA, coordB);
+            var detail = this.getDetail(coordA, coordB);
+            if (this.captured) {
+                if (this.debouncer) {
+                    this.debouncer.write(function () {
+                        _this.onTransformMove(detail, ev);
+                    });
+                }
+                else {
+                    // without a DomController every move is handled right away
+                    this.onTransformMove(detail, ev);
+                }
+                return;
+            }
+            if (isPinch || isRotate) {
+                if (!this.tryToCapture(detail, ev)) {
+                    this.abort(ev);
+                }
+            }
+        };
+        TransformGesture.prototype.pointerUp = function (ev) {
+            this.debouncer && this.debouncer.cancel();
+            this.gestute && this.gestute.release();
+            if (this.captured) {
+                this.onTransformEnd(this.getDetail(), ev);
+            }
+            else if (this.started) {
+                this.notCaptured(ev);
+            }
+            this.captured = false;
+            this.started = false;
+        };
+        TransformGesture.prototype.tryToCapture = function (detail, ev) {
+            if (this.gestute && !this.gestute.capture()) {
+                return false;
+            }
+            this.onTransformStart(detail, ev);
+            this.captured = true;
+            return true;
+        };
+        TransformGesture.prototype.abort = function (ev) {
+            this.started = false;
+            this.captured = false;
+            this.gestute && this.gestute.release();
+            this.pointerEvents.stop();
+            this.notCaptured(ev);
+        };
+        TransformGesture.prototype.getDetail = function (coordA, coordB) {
+            if (coordA && coordB) {
+                this.center = {
+                    x: (coordA.x + coordB.x) / 2,
+                    y: (coordA.y + coordB.y) / 2
+                };
+            }
+            return {
+                scale: this.pinchDetector ? this.pinchDetector.scale() : 1,
+                rotation: this.rotateDetector ? this.rotateDetector.rotation() : 0,
+                center: this.center
+            };
+        };
+        TransformGesture.prototype.getNativeElement = function () {
+            return this.element;
+        };
+        // Implemented in a subclass
+        TransformGesture.prototype.canStart = function (ev) { return true; };
+        TransformGesture.prototype.onTransformStart = function (detail, ev) { };
+        TransformGesture.prototype.onTransformMove = function (detail, ev) { };
+        TransformGesture.prototype.onTransformEnd = function (detail, ev) { };
+        TransformGesture.prototype.notCaptured = function (ev) { };
+        return TransformGesture;
+    }());
+    exports.TransformGesture = TransformGesture;
+    function touchCoord(touch) {
+        return { x: touch.clientX, y: touch.clientY };
+    }
+});
+//# sourceMappingURL=transform-gesture.js.map
\ No newline at end of file
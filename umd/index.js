@@ -3,7 +3,7 @@
         var v = factory(require, exports); if (v !== undefined) module.exports = v;
     }
     else if (typeof define === 'function' && define.amd) {
-        define(["require", "exports", './module', './directives', './gestures/drag-gesture', './gestures/gesture', './gestures/slide-edge-gesture', './gestures/slide-gesture', './gestures/gesture-controller', './util/click-block', './util/events', './util/haptic', './util/ionic-error-handler', './util/keyboard', './util/form', './util/util', './animations/animation', './transitions/page-transition', './transitions/transition', './navigation/nav-controller-base'], factory);
+        define(["require", "exports", './module', './directives', './gestures/drag-gesture', './gestures/gesture', './gestures/slide-edge-gesture', './gestures/slide-gesture', './gestures/tap-gesture', './gestures/transform-gesture', './gestures/gesture-controller', './util/click-block', './util/events', './util/haptic', './util/ionic-error-handler', './util/keyboard', './util/form', './util/util', './animations/animation', './transitions/page-transition', './transitions/transition', './transitions/transition-controller', './navigation/nav-controller-base'], factory);
     }
 })(function (require, exports) {
     "use strict";
@@ -16,6 +16,8 @@
     __export(require('./gestures/gesture'));
     __export(require('./gestures/slide-edge-gesture'));
     __export(require('./gestures/slide-gesture'));
+    __export(require('./gestures/tap-gesture'));
+    __export(require('./gestures/transform-gesture'));
     __export(require('./gestures/gesture-controller'));
     __export(require('./util/click-block'));
     __export(require('./util/events'));
@@ -28,6 +30,7 @@
     __export(require('./animations/animation'));
     __export(require('./transitions/page-transition'));
     __export(require('./transitions/transition'));
+    __export(require('./transitions/transition-controller'));
     __export(require('./navigation/nav-controller-base'));
 });
 //# sourceMappingURL=index.js.map
\ No newline at end of file
@@ -3,7 +3,7 @@
         var v = factory(require, exports); if (v !== undefined) module.exports = v;
     }
     else if (typeof define === 'function' && define.amd) {
-        define(["require", "exports", '@angular/core', '@angular/common', '@angular/platform-browser', '@angular/forms', '@angular/http', './components/action-sheet/action-sheet', './components/alert/alert', './components/app/app', './components/app/app-root', './util/click-block', './config/config', './navigation/deep-linker', './util/dom-controller', './util/events', './util/form', './gestures/gesture-controller', './util/haptic', './components/img/img-loader', './gestures/gesture-config', './util/keyboard', './components/loading/loading', './components/menu/menu-controller', './components/modal/modal', './components/picker/picker', './platform/platform', './platform/platform-registry', './components/popover/popover', './platform/query-params', './components/tap-click/tap-click', './components/toast/toast', './config/mode-registry', './transitions/transition-registry', './transitions/transition-controller', './navigation/url-serializer', './components/action-sheet/action-sheet-component', './components/alert/alert-component', './directives', './components/app/app-root', './components/loading/loading-component', './components/modal/modal-component', './components/picker/picker-component', './components/popover/popover-component', './components/toast/toast-component', './config/config', './util/dom-controller', './platform/platform', './util/haptic', './components/img/img-loader', './platform/query-params', './navigation/deep-linker', './navigation/nav-controller', './navigation/nav-params', './navigation/nav-util', './navigation/url-serializer', './navigation/view-controller'], factory);
+        define(["require", "exports", '@angular/core', '@angular/common', '@angular/platform-browser', '@angular/forms', '@angular/http', './components/action-sheet/action-sheet', './components/alert/alert', './components/app/app', './components/app/app-root', './util/click-block', './config/config', './navigation/deep-linker', './util/dom-controller', './util/events', './util/form', './gestures/gesture-controller', './util/haptic', './components/img/img-loader', './gestures/gesture-config', './util/keyboard', './components/loading/loading', './components/menu/menu-controller', './components/modal/modal', './util/module-loader', './components/picker/picker', './platform/platform', './platform/platform-registry', './components/popover/popover', './platform/query-params', './components/tap-click/tap-click', './components/toast/toast', './config/mode-registry', './transitions/transition-registry', './transitions/transition-controller', './navigation/url-serializer', './components/action-sheet/action-sheet-component', './components/alert/alert-component', './directives', './components/app/app-root', './components/loading/loading-component', './components/modal/modal-component', './components/picker/picker-component', './components/popover/popover-component', './components/select/select-modal-component', './components/select/select-popover-component', './components/tabs/tabs-more-component', './components/toast/toast-component', './config/config', './util/dom-controller', './platform/platform', './util/haptic', './components/img/img-loader', './platform/query-params', './navigation/deep-linker', './navigation/nav-controller', './navigation/nav-params', './navigation/nav-util', './navigation/url-serializer', './navigation/view-controller'], factory);
     }
 })(function (require, exports) {
     "use strict";
@@ -12,9 +12,6 @@
     var platform_browser_1 = require('@angular/platform-browser');
     var forms_1 = require('@angular/forms');
     var http_1 = require('@angular/http');
-    /**
-     * Import Providers
-     */
     var action_sheet_1 = require('./components/action-sheet/action-sheet');
     var alert_1 = require('./components/alert/alert');
     var app_1 = require('./components/app/app');
@@ -33,6 +30,7 @@
     var loading_1 = require('./components/loading/loading');
     var menu_controller_1 = require('./components/menu/menu-controller');
     var modal_1 = require('./components/modal/modal');
+    var module_loader_1 = require('./util/module-loader');
     var picker_1 = require('./components/picker/picker');
     var platform_1 = require('./platform/platform');
     var platform_registry_1 = require('./platform/platform-registry');
@@ -44,9 +42,6 @@
     var transition_registry_1 = require('./transitions/transition-registry');
     var transition_controller_1 = require('./transitions/transition-controller');
     var url_serializer_1 = require('./navigation/url-serializer');
-    /**
-     * Import Overlay Entry Components
-     */
     var action_sheet_component_1 = require('./components/action-sheet/action-sheet-component');
     var alert_component_1 = require('./components/alert/alert-component');
     var directives_1 = require('./directives');
@@ -55,6 +50,9 @@
     var modal_component_1 = require('./components/modal/modal-component');
     var picker_component_1 = require('./components/picker/picker-component');
     var popover_component_1 = require('./components/popover/popover-component');
+    var select_modal_component_1 = require('./components/select/select-modal-component');
+    var select_popover_component_1 = require('./components/select/select-popover-component');
+    var tabs_more_component_1 = require('./components/tabs/tabs-more-component');
     var toast_component_1 = require('./components/toast/toast-component');
     /**
      * Export Providers
@@ -163,8 +161,10 @@
                     { provide: core_1.APP_INITIALIZER, useFactory: transition_registry_1.registerTransitions, deps: [config_1.Config], multi: true },
                     { provide: core_1.APP_INITIALIZER, useFactory: events_1.setupProvideEvents, deps: [platform_1.Platform, dom_controller_1.DomController], multi: true },
                     { provide: core_1.APP_INITIALIZER, useFactory: tap_click_1.setupTapClick, deps: [config_1.Config, app_1.App, core_1.NgZone, gesture_controller_1.GestureController], multi: true },
+                    { provide: core_1.APP_INITIALIZER, useFactory: module_loader_1.setupPreloading, deps: [config_1.Config, deep_linker_1.DeepLinker, core_1.NgZone], multi: true },
                     // useClass
                     { provide: platform_browser_1.HAMMER_GESTURE_CONFIG, useClass: gesture_config_1.IonicGestureConfig },
+                    { provide: core_1.NgModuleFactoryLoader, useClass: core_1.SystemJsNgModuleLoader },
                     // useValue
                     { provide: core_1.ANALYZE_FOR_ENTRY_COMPONENTS, useValue: appRoot, multi: true },
                     // ionic providers
@@ -182,6 +182,7 @@
                     common_1.Location,
                     menu_controller_1.MenuController,
                     modal_1.ModalController,
+                    module_loader_1.ModuleLoader,
                     picker_1.PickerController,
                     popover_1.PopoverController,
                     tap_click_1.TapClick,
@@ -189,7 +190,7 @@
                     transition_controller_1.TransitionController,
                     { provide: common_1.LocationStrategy, useFactory: provideLocationStrategy, deps: [common_1.PlatformLocation, [new core_1.Inject(common_1.APP_BASE_HREF), new core_1.Optional()], config_1.Config] },
                     { provide: url_serializer_1.UrlSerializer, useFactory: url_serializer_1.setupUrlSerializer, deps: [url_serializer_1.DeepLinkConfigToken] },
-                    { provide: deep_linker_1.DeepLinker, useFactory: deep_linker_1.setupDeepLinker, deps: [app_1.App, url_serializer_1.UrlSerializer, common_1.Location] },
+                    { provide: deep_linker_1.DeepLinker, useFactory: deep_linker_1.setupDeepLinker, deps: [app_1.App, url_serializer_1.UrlSerializer, common_1.Location, module_loader_1.ModuleLoader, common_1.LocationStrategy] },
                 ]
             };
         };
@@ -206,6 +207,9 @@
                             modal_component_1.ModalCmp,
                             picker_component_1.PickerCmp,
                             popover_component_1.PopoverCmp,
+                            select_modal_component_1.SelectModalCmp,
+                            select_popover_component_1.SelectPopoverCmp,
+                            tabs_more_component_1.TabsMoreCmp,
                             toast_component_1.ToastCmp
                         ],
                         entryComponents: [
@@ -216,6 +220,9 @@
                             modal_component_1.ModalCmp,
                             picker_component_1.PickerCmp,
                             popover_component_1.PopoverCmp,
+                            select_modal_component_1.SelectModalCmp,
+                            select_popover_component_1.SelectPopoverCmp,
+                            tabs_more_component_1.TabsMoreCmp,
                             toast_component_1.ToastCmp
                         ]
                     },] },
@@ -225,6 +232,56 @@
         return IonicModule;
     }());
     exports.IonicModule = IonicModule;
+    /**
+     * @name IonicPageModule
+     * @description
+     * IonicPageModule is an NgModule for pages which are lazy loaded by the DeepLinker. The page passed
+     * to `forChild` is the component the DeepLinker navigates to once the module has been loaded.
+     *
+     * @usage
+     * ```ts
+     * import { NgModule } from '@angular/core';
+     * import { IonicPageModule } from 'ionic-angular';
+     * import { DetailPage } from './detail';
+     *
+     * @NgModule({
+     *   declarations: [
+     *     DetailPage
+     *   ],
+     *   imports: [
+     *     IonicPageModule.forChild(DetailPage)
+     *   ]
+     * })
+     * export class DetailPageModule {}
+     * ```
+     */
+    var IonicPageModule = (function () {
+        function IonicPageModule() {
+        }
+        /**
+         * Set the page component this lazy loaded module provides
+         * @param {any} page The page component the DeepLinker should navigate to.
+         */
+        IonicPageModule.forChild = function (page) {
+            return {
+                ngModule: IonicPageModule,
+                providers: [
+                    { provide: module_loader_1.LAZY_LOADED_TOKEN, useValue: page },
+                    { provide: core_1.ANALYZE_FOR_ENTRY_COMPONENTS, useValue: page, multi: true },
+                ]
+            };
+        };
+        IonicPageModule.decorators = [
+            { type: core_1.NgModule, args: [{
+                        imports: [IonicModule],
+                        exports: [IonicModule]
+                    },] },
+        ];
+        /** @nocollapse */
+        IonicPageModule.ctorParameters = [];
+        return IonicPageModule;
+    }());
+    exports.IonicPageModule = IonicPageModule;
     /**
      * @private
      */
@@ -89,6 +89,55 @@
      *
      *
      *
+     * ### Query Params
+     *
+     * Data which shouldn't be part of the URL's path can go in the query string instead. The link's `queryParams`
+     * property lists the data keys which are written to, and read from, the query string:
+     *
+     * ```ts
+     *  links: [
+     *    { component: SearchPage, name: 'Search', segment: 'search', queryParams: ['q', 'sort'] }
+     *  ]
+     *  ```
+     *
+     * Pushing `SearchPage` with `{ q: 'ionic', sort: 'new' }` updates the URL to `/search?q=ionic&sort=new`. Query params
+     * the link doesn't list are ignored.
+     *
+     *
+     * ### Optional and Wildcard Segments
+     *
+     * A `:param` part ending with `?` is optional, so a link with the segment `detail/:userId?` matches both
+     * `/detail` and `/detail/4`.
+     *
+     * A `**` part matches the rest of the URL. The parts it matched are kept in the page's data under the `**`
+     * key, so `/files/a/b` gives a `files/**` link the data `{ '**': 'a/b' }`, which is written back into the
+     * URL when the page is navigated to. A link with a segment of just `**` is only used when no other
+     * link matched the URL, which makes it the place for a "page not found" page:
+     *
+     * ```ts
+     *  links: [
+     *    { component: HomePage, name: 'Home', segment: 'home' },
+     *    { component: NotFoundPage, name: 'NotFound', segment: '**' }
+     *  ]
+     *  ```
+     *
+     *
+     * ### Redirects
+     *
+     * A link with `redirectTo` sends the matched part of the URL to another segment. `:param` parts in the
+     * `redirectTo` are filled in from the data of the matched segment:
+     *
+     * ```ts
+     *  links: [
+     *    { name: 'OldDetail', segment: 'user/:userId', redirectTo: 'detail/:userId' },
+     *    { component: DetailPage, name: 'Detail', segment: 'detail/:userId' },
+     *    { name: 'NotFound', segment: '**', redirectTo: 'home' }
+     *  ]
+     *  ```
+     *
+     * The browser's URL is updated to the redirected URL once the page has been shown.
+     *
+     *
      * ### Default History
      *
      * While pages can be navigated to anywhere and loaded at any time, what happens when an app is launched from a deeplink while cold or suspended?
@@ -114,12 +163,83 @@
      *
      * In this example above, if we launch the app at myapp.com/detail/4, then the user will see the DetailPage and then the back button will
      * go to the HomePage.
+     *
+     *
+     * ### Tabs
+     *
+     * The URL of a tab has all of the pages in the tab's stack, such as `/tabs/contacts/list/~/contact/4/history`, as long
+     * as each of the pages has a link. The tab's root page comes first, and the rest of its stack follows the `~`.
+     * Loading the URL, or going back to it with the browser's back button, restores the tab's whole stack. When the
+     * active page within a tab has its own `ion-nav`, the URL has the tab's active page followed by the pages of
+     * that nav instead.
+     *
+     * A tab which is shown within the More tab, because it didn't fit in the tabbar, keeps the same URL it would have
+     * in the tabbar, and loading it selects the More tab with the tab's pages on top of the More tab's list.
+     *
+     *
+     * ### Lazy Loaded Pages
+     *
+     * Pages don't have to be part of the main bundle. Instead of a `component`, a link can provide a `loadChildren`
+     * path to the NgModule of the page, which will be loaded the first time the page is navigated to. The module
+     * provides its page with `IonicPageModule.forChild()`.
+     *
+     * ```ts
+     *  links: [
+     *    { component: HomePage, name: 'Home', segment: 'home' },
+     *    { loadChildren: './pages/detail/detail.module#DetailPageModule', name: 'DetailPage', segment: 'detail/:userId' }
+     *  ]
+     *  ```
+     *
+     * ```ts
+     * @NgModule({
+     *   declarations: [DetailPage],
+     *   imports: [IonicPageModule.forChild(DetailPage)]
+     * })
+     * export class DetailPageModule {}
+     * ```
+     *
+     * A lazy loaded page is navigated to using the name of its link, such as `navCtrl.push('DetailPage')`, and deep links
+     * to it wait for its module to load before the page is shown.
+     *
+     * Setting the `preloadModules` config to `true` loads the lazy modules in the background once the app has started.
+     * Links with a `priority` of `high` are loaded first, followed by the `low` priority links, which is the default.
+     * Links with a priority of `off` are only loaded when they're navigated to.
+     *
+     *
+     * ### Path URLs
+     *
+     * URLs use the hash by default, such as `myapp.com/#/detail/4`. Setting the `locationStrategy` config
+     * to `path` uses HTML5 pushState URLs instead, such as `myapp.com/detail/4`. The server has to respond
+     * with the app's `index.html` for each of the app's URLs.
+     *
+     * ```ts
+     *  imports: [
+     *     IonicModule.forRoot(MyApp, { locationStrategy: 'path' }, {
+     *       links: []
+     *    })
+     *   ]
+     * ```
+     *
+     * Each browser history entry remembers its place in the app's history, and the index of its page
+     * within the stack of its nav, so the browser's back and forward buttons go back and forward through
+     * the app's navigation.
      */
     var DeepLinker = (function () {
-        function DeepLinker(_app, _serializer, _location) {
+        function DeepLinker(_app, _serializer, _location, _moduleLoader, _locationStrategy) {
             this._app = _app;
             this._serializer = _serializer;
             this._location = _location;
+            this._moduleLoader = _moduleLoader;
+            this._locationStrategy = _locationStrategy;
+            /**
+             * @internal
+             */
+            this._historyIndex = -1;
+            /**
+             * The history index of the first entry in `history`.
+             * @internal
+             */
+            this._historyStart = 0;
             /**
              * @internal
              */
@@ -139,59 +259,113 @@
             (void 0) /* console.debug */;
             // update the Path from the browser URL
             this.segments = this._serializer.parse(browserUrl);
-            // remember this URL in our internal history stack
-            this.historyPush(browserUrl);
-            // listen for browser URL changes
-            this._location.subscribe(function (locationChg) {
-                _this.urlChange(normalizeUrl(locationChg.url));
+            var state = getHistoryState();
+            if (isHistoryState(state)) {
+                // the app was reloaded, so pick up where
+                // this browser history entry left off
+                this._historyIndex = state.historyIndex;
+                this._setHistory(state.historyIndex, createHistoryEntry(browserUrl, state));
+            }
+            else {
+                // remember this URL in our internal history stack
+                this.historyPush(browserUrl);
+                this._replaceState(browserUrl);
+            }
+            // listen for browser URL changes, the browser's history
+            // state tells where in the history the new URL is
+            this._location.subscribe(function () {
+                _this.urlChange(normalizeUrl(_this._location.path()), getHistoryState());
             });
         };
         /**
          * The browser's location has been updated somehow.
          * @internal
          */
-        DeepLinker.prototype.urlChange = function (browserUrl) {
-            // do nothing if this url is the same as the current one
-            if (!this.isCurrentUrl(browserUrl)) {
-                if (this.isBackUrl(browserUrl)) {
-                    // scenario 2: user clicked the browser back button
-                    // scenario 4: user changed the browser URL to what was the back url was
-                    // scenario 5: user clicked a link href that was the back url
-                    (void 0) /* console.debug */;
-                    this.historyPop();
-                }
-                else {
-                    // scenario 3: user click forward button
-                    // scenario 4: user changed browser URL that wasn't the back url
-                    // scenario 5: user clicked a link href that wasn't the back url
-                    (void 0) /* console.debug */;
-                    this.historyPush(browserUrl);
+        DeepLinker.prototype.urlChange = function (browserUrl, state) {
+            var _this = this;
+            if (isHistoryState(state)) {
+                // the browser moved to one of our own history entries, which
+                // knows exactly where it is in the history stack
+                if (state.historyIndex === this._historyIndex) {
+                    // already there, such as after calling location.back()
+                    return;
                 }
-                // get the app's root nav
-                var appRootNav = this._app.getRootNav();
-                if (appRootNav) {
-                    if (browserUrl === '/') {
-                        // a url change to the index url
-                        if (util_1.isPresent(this.indexAliasUrl)) {
-                            // we already know the indexAliasUrl
-                            // update the url to use the know alias
-                            browserUrl = this.indexAliasUrl;
-                        }
-                        else {
-                            // the url change is to the root but we don't
-                            // already know the url used. So let's just
-                            // reset the root nav to its root page
-                            appRootNav.goToRoot({
-                                updateUrl: false,
-                                isNavRoot: true
-                            });
-                            return;
-                        }
+                // scenario 2: user clicked the browser back button
+                // scenario 3: user click forward button
+                (void 0) /* console.debug */;
+                this._historyIndex = state.historyIndex;
+                this._setHistory(state.historyIndex, createHistoryEntry(browserUrl, state));
+            }
+            else if (this.isCurrentUrl(browserUrl)) {
+                // do nothing if this url is the same as the current one
+                return;
+            }
+            else if (this.isBackUrl(browserUrl)) {
+                // scenario 2: user clicked the browser back button
+                // scenario 4: user changed the browser URL to what was the back url was
+                // scenario 5: user clicked a link href that was the back url
+                (void 0) /* console.debug */;
+                this.historyPop();
+            }
+            else {
+                // scenario 3: user click forward button
+                // scenario 4: user changed browser URL that wasn't the back url
+                // scenario 5: user clicked a link href that wasn't the back url
+                (void 0) /* console.debug */;
+                this.historyPush(browserUrl);
+                // the browser created this entry, so give it our state
+                this._replaceState(browserUrl);
+            }
+            // get the app's root nav
+            var appRootNav = this._app.getRootNav();
+            if (appRootNav) {
+                if (browserUrl === '/') {
+                    // a url change to the index url
+                    if (util_1.isPresent(this.indexAliasUrl)) {
+                        // we already know the indexAliasUrl
+                        // update the url to use the know alias
+                        browserUrl = this.indexAliasUrl;
+                    }
+                    else {
+                        // the url change is to the root but we don't
+                        // already know the url used. So let's just
+                        // reset the root nav to its root page
+                        appRootNav.goToRoot({
+                            updateUrl: false,
+                            isNavRoot: true
+                        });
+                        return;
                     }
-                    // normal url
-                    this.segments = this._serializer.parse(browserUrl);
-                    this.loadNavFromPath(appRootNav);
                 }
+                // normal url
+                this.segments = this._serializer.parse(browserUrl);
+                // lazy loaded pages in the path need their
+                // modules loaded before the navs can show them
+                this.loadSegmentComponents(this.segments).then(function () {
+                    _this.loadNavFromPath(appRootNav, function () {
+                        // the entry now knows where the navs ended up
+                        _this._updateHistoryNav();
+                    });
+                }).catch(function (err) {
+                    console.error("DeepLinker: unable to load the pages of " + browserUrl + ": " + err);
+                    // the navs stay on their current pages, so
+                    // the url goes back to the one of their stack
+                    _this._resetUrl();
+                });
+            }
+        };
+        /**
+         * Replaces the browser's URL with the URL of the active nav's stack,
+         * without adding a browser history entry.
+         * @internal
+         */
+        DeepLinker.prototype._resetUrl = function () {
+            var activeNav = this._app.getActiveNav();
+            if (activeNav) {
+                this.segments = this.pathFromNavs(activeNav);
+                var browserUrl = this._serializer.serialize(this.segments);
+                this._setHistory(this._historyIndex, this._getNavEntry(browserUrl));
+                this._replaceState(browserUrl);
             }
         };
         /**
@@ -231,19 +405,110 @@
                 // probably navigating forward
                 (void 0) /* console.debug */;
                 this.historyPush(browserUrl);
+                this._pushState(browserUrl);
+            }
+            else {
+                // the same URL, but the page may be at another index of its nav
+                this._updateHistoryNav();
+            }
+        };
+        /**
+         * @internal
+         */
+        DeepLinker.prototype._pushState = function (browserUrl) {
+            if (this._locationStrategy) {
+                this._locationStrategy.pushState(this._getHistoryState(), '', browserUrl, '');
+            }
+            else {
                 this._location.go(browserUrl);
             }
         };
+        /**
+         * @internal
+         */
+        DeepLinker.prototype._replaceState = function (browserUrl) {
+            if (this._locationStrategy) {
+                this._locationStrategy.replaceState(this._getHistoryState(), '', browserUrl, '');
+            }
+            else {
+                this._location.replaceState(browserUrl);
+            }
+        };
         /**
          * @internal
          */
         DeepLinker.prototype.getComponentFromName = function (componentName) {
+            // lazy loaded pages that haven't been loaded yet return their link
+            // name, which the NavController will load before it's created
             var segment = this._serializer.createSegmentFromName(componentName);
             if (segment && segment.component) {
                 return segment.component;
             }
             return null;
         };
+        /**
+         * Resolves with the component for the link's name. If the link is lazy
+         * loaded then its module is loaded first.
+         * @internal
+         */
+        DeepLinker.prototype.loadComponent = function (nameOrComponent) {
+            var link = this._serializer.getLinkFromName(nameOrComponent);
+            if (!link) {
+                return Promise.reject("invalid page component: " + nameOrComponent);
+            }
+            if (link.component) {
+                return Promise.resolve(link.component);
+            }
+            if (!this._moduleLoader) {
+                return Promise.reject("no module loader to load the lazy loaded page: " + link.name);
+            }
+            return this._moduleLoader.load(link.loadChildren).then(function (component) {
+                // from now on the link knows its component, which
+                // lets it be serialized into urls like any other link
+                link.component = component;
+                return component;
+            });
+        };
+        /**
+         * Loads the components of all lazy loaded segments in the path.
+         * @internal
+         */
+        DeepLinker.prototype.loadSegmentComponents = function (segments) {
+            var _this = this;
+            return Promise.all(segments.filter(function (s) { return util_1.isString(s.component); }).map(function (segment) {
+                return _this.loadComponent(segment.component).then(function (component) {
+                    segment.component = component;
+                });
+            }));
+        };
+        /**
+         * Returns the NgModuleRef which loaded a lazy loaded component,
+         * or `null` if the component is part of the app's module.
+         * @internal
+         */
+        DeepLinker.prototype.getNgModuleRef = function (component) {
+            return this._moduleLoader ? this._moduleLoader.getNgModuleRef(component) : null;
+        };
+        /**
+         * Loads the modules of the lazy loaded links with the given priority.
+         * Modules are loaded one after another so they don't compete with the app.
+         * A module which fails to load is logged and skipped, and is attempted
+         * again the next time its page is navigated to.
+         * @internal
+         */
+        DeepLinker.prototype.preloadModules = function (priority) {
+            var _this = this;
+            var links = this._serializer.links.filter(function (link) {
+                return !link.component && util_1.isPresent(link.loadChildren) && (link.priority || 'low') === priority;
+            });
+            return links.reduce(function (promise, link) {
+                return promise.then(function () {
+                    return _this.loadComponent(link.name).catch(function (err) {
+                        console.error("DeepLinker: unable to preload " + link.name + ": " + err);
+                    });
+                });
+            }, Promise.resolve());
+        };
         /**
          * @internal
          */
@@ -275,6 +540,31 @@
             // recursivly climb up the nav ancestors
             // and set each segment's data
             while (nav) {
+                if (!component && !segments.length && nav._isMore && nav.length() < 2) {
+                    // the more tab's list of tabs doesn't have a link, so
+                    // only the selector of the more tab goes into the url
+                    tabSelector = this.getTabSelector(nav);
+                    segments.push({
+                        id: tabSelector,
+                        name: tabSelector,
+                        component: null,
+                        data: null
+                    });
+                    nav = nav.parent && nav.parent.parent;
+                    continue;
+                }
+                if (!component && !segments.length && nav_util_1.isTab(nav)) {
+                    // the lowest nav is a tab, so its pages under the active page
+                    // also go into the url, which lets going back through the
+                    // browser's history restore the tab's whole stack
+                    var stackSegments = this._serializeStack(nav);
+                    if (stackSegments) {
+                        var rootView = nav.getByIndex(nav._isMore ? 1 : 0);
+                        segments.push.apply(segments, stackSegments);
+                        component = rootView.component;
+                        data = rootView.data;
+                    }
+                }
                 // this could be an ion-nav, ion-tab or ion-portal
                 // if a component and data was already passed in then use it
                 // otherwise get this nav's active view controller
@@ -298,7 +588,8 @@
                 if (nav_util_1.isTab(nav)) {
                     // this nav is a Tab, which is a child of Tabs
                     // add a segment to represent which Tab is the selected one
-                    tabSelector = this.getTabSelector(nav);
+                    // the more tab uses the selector of the tab it's showing
+                    tabSelector = this.getTabSelector(nav._isMore && nav._overflowTab ? nav._overflowTab : nav);
                     segments.push({
                         id: tabSelector,
                         name: tabSelector,
@@ -318,6 +609,33 @@
             // segments added from bottom to top, so Ti esrever dna ti pilf
             return segments.reverse();
         };
+        /**
+         * Serializes every page above the root page of the tab, starting with the
+         * active page, followed by the separator which marks where the stack
+         * starts. Returns `null` if any of the pages doesn't have a link.
+         * The root page of the more tab is the root page of the tab it's showing.
+         * @internal
+         */
+        DeepLinker.prototype._serializeStack = function (tab) {
+            var segments = [];
+            var views = tab.getViews();
+            for (var i = views.length - 1; i > (tab._isMore ? 1 : 0); i--) {
+                var segment = this._serializer.serializeComponent(views[i].component, views[i].data);
+                if (!segment) {
+                    return null;
+                }
+                segments.push(segment);
+            }
+            if (segments.length) {
+                segments.push({
+                    id: STACK_SEPARATOR,
+                    name: STACK_SEPARATOR,
+                    component: null,
+                    data: null
+                });
+            }
+            return segments;
+        };
         /**
          * @internal
          */
@@ -365,9 +683,21 @@
                     return path[0];
                 }
                 for (var i = 1; i < path.length; i++) {
-                    if (path[i - 1].navId === nav.parent.id) {
+                    if (path[i - 1].navId === nav.parent.id && path[i].navId !== nav.parent.id) {
                         // this nav's parent segment is the one before this segment's index
                         path[i].navId = nav.id;
+                        if (nav_util_1.isTab(nav) && path[i + 1] && path[i + 1].id === STACK_SEPARATOR) {
+                            // the rest of the tab's stack follows the separator after
+                            // its root page, so the pages of a nav within the tab's
+                            // active page aren't mistaken for the tab's own pages
+                            path[i + 1].navId = nav.id;
+                            var stack = [path[i]];
+                            for (var j = i + 2; j < path.length && path[j].component; j++) {
+                                path[j].navId = nav.id;
+                                stack.push(path[j]);
+                            }
+                            path[i].stack = stack;
+                        }
                         return path[i];
                     }
                 }
@@ -379,6 +709,10 @@
          */
         DeepLinker.prototype.initViews = function (segment) {
             var views;
+            if (segment.stack && segment.stack.length > 1) {
+                // the url has the tab's whole stack, which replaces the default history
+                return stackToViews(segment.stack);
+            }
             if (util_1.isArray(segment.defaultHistory)) {
                 views = nav_util_1.convertToViews(this, segment.defaultHistory);
             }
@@ -422,14 +756,29 @@
                 return;
             }
             if (nav_util_1.isTabs(navInstance)) {
-                navInstance.select(this.getSelectedTabIndex(navInstance, segment.name), {
+                var tab = navInstance.getByIndex(this.getSelectedTabIndex(navInstance, segment.name));
+                if (tab && tab._overflow) {
+                    // the tab didn't fit in the tabbar, so the more tab
+                    // shows the pages the url has for it
+                    tab._segment = this.initNav(tab);
+                }
+                navInstance.select(tab, {
                     updateUrl: false,
                     animate: false
                 });
                 done();
                 return;
             }
+            if (navInstance._isMore) {
+                // the more tab's pages were set when its tab was selected
+                done();
+                return;
+            }
             var nav = navInstance;
+            if (segment.stack && segment.stack.length > 1) {
+                this._loadStackFromSegment(nav, segment, done);
+                return;
+            }
             // walk backwards to see if the exact view we want to show here
             // is already in the stack that we can just pop back to
             var view;
@@ -456,31 +805,93 @@
                 }
             }
             // ok, so they must be pushing a new view to the stack
-            // since we didn't find this same component already in the stack
-            nav.push(segment.component, segment.data, {
+            // since we didn't find this same component already in the stack.
+            // inserted rather than pushed so the master nav of a master-detail
+            // keeps its own segment instead of handing it to its detail nav
+            nav.insert(-1, segment.component, segment.data, {
                 id: segment.id, animate: false, updateUrl: false
             }, done);
         };
         /**
+         * Updates a tab so its stack matches the stack in the url, keeping
+         * the pages at the bottom of its stack which already match.
+         * @internal
+         */
+        DeepLinker.prototype._loadStackFromSegment = function (nav, segment, done) {
+            var stack = segment.stack;
+            var opts = { animate: false, updateUrl: false };
+            var matched = 0;
+            while (matched < stack.length && this._isSegmentView(nav.getByIndex(matched), stack[matched])) {
+                matched++;
+            }
+            if (matched === stack.length) {
+                if (nav.length() === matched) {
+                    // the tab already has the same stack
+                    done();
+                }
+                else {
+                    // the tab is deeper than the url, so go back to its last page
+                    nav.popTo(nav.getByIndex(matched - 1), opts, done);
+                }
+                return;
+            }
+            var views = stackToViews(stack.slice(matched));
+            if (!matched) {
+                nav.setPages(views, opts, done);
+                return;
+            }
+            if (nav.length() > matched) {
+                nav.remove(matched, nav.length() - matched, opts);
+            }
+            nav.insertPages(matched, views, opts, done);
+        };
+        /**
+         * @internal
+         */
+        DeepLinker.prototype._isSegmentView = function (view, segment) {
+            if (!view) {
+                return false;
+            }
+            if (view.id === segment.id) {
+                return true;
+            }
+            var viewSegment = this._serializer.serializeComponent(view.component, view.data);
+            return !!viewSegment && viewSegment.id === segment.id && viewSegment.name === segment.name;
+        };
+        /**
+         * The back URL is the URL of the previous history entry. Within the same
+         * nav, the previous entry's page also has to be below the current one.
          * @internal
          */
         DeepLinker.prototype.isBackUrl = function (browserUrl) {
-            return (browserUrl === this.history[this.history.length - 2]);
+            var backEntry = this._getHistory(this._historyIndex - 1);
+            if (!backEntry || backEntry.url !== browserUrl) {
+                return false;
+            }
+            var currentEntry = this._getHistory(this._historyIndex);
+            return (!currentEntry || backEntry.navId !== currentEntry.navId || backEntry.navIndex < currentEntry.navIndex);
         };
         /**
          * @internal
          */
         DeepLinker.prototype.isCurrentUrl = function (browserUrl) {
-            return (browserUrl === this.history[this.history.length - 1]);
+            var currentEntry = this._getHistory(this._historyIndex);
+            return (!!currentEntry && currentEntry.url === browserUrl);
         };
         /**
          * @internal
          */
         DeepLinker.prototype.historyPush = function (browserUrl) {
             if (!this.isCurrentUrl(browserUrl)) {
-                this.history.push(browserUrl);
-                if (this.history.length > 30) {
+                this._historyIndex++;
+                // a new entry replaces everything forward of the current one
+                this.history.length = Math.max(0, this._historyIndex - this._historyStart);
+                this._setHistory(this._historyIndex, this._getNavEntry(browserUrl));
+                if (this.history.length > MAX_HISTORY) {
+                    // only the most recent entries are kept, the browser's
+                    // history state still knows the place of older entries
                     this.history.shift();
+                    this._historyStart++;
                 }
             }
         };
@@ -488,20 +899,91 @@
          * @internal
          */
         DeepLinker.prototype.historyPop = function () {
-            this.history.pop();
-            if (!this.history.length) {
-                this.historyPush(this._location.path());
+            this._historyIndex = Math.max(0, this._historyIndex - 1);
+            if (!this._getHistory(this._historyIndex)) {
+                this._setHistory(this._historyIndex, this._getNavEntry(normalizeUrl(this._location.path())));
+            }
+        };
+        /**
+         * @internal
+         */
+        DeepLinker.prototype._getHistory = function (historyIndex) {
+            return this.history[historyIndex - this._historyStart] || null;
+        };
+        /**
+         * @internal
+         */
+        DeepLinker.prototype._setHistory = function (historyIndex, entry) {
+            if (historyIndex < this._historyStart || historyIndex > this._historyStart + this.history.length) {
+                // the entry isn't next to the ones we know, so start over from it
+                this.history.length = 0;
+                this._historyStart = historyIndex;
             }
+            this.history[historyIndex - this._historyStart] = entry;
+        };
+        /**
+         * Creates a history entry for the URL with the active nav,
+         * and the index of its active page within the nav's stack.
+         * @internal
+         */
+        DeepLinker.prototype._getNavEntry = function (browserUrl) {
+            var activeNav = this._app.getActiveNav();
+            var activeView = activeNav && activeNav.getActive();
+            return {
+                url: browserUrl,
+                navId: activeNav ? activeNav.id : null,
+                navIndex: activeView ? activeView.index : -1
+            };
+        };
+        /**
+         * Updates the current history entry, and the browser's history state,
+         * with where the active nav's stack is now.
+         * @internal
+         */
+        DeepLinker.prototype._updateHistoryNav = function () {
+            var currentEntry = this._getHistory(this._historyIndex);
+            if (currentEntry) {
+                var navEntry = this._getNavEntry(currentEntry.url);
+                if (navEntry.navId !== currentEntry.navId || navEntry.navIndex !== currentEntry.navIndex) {
+                    this._setHistory(this._historyIndex, navEntry);
+                    this._replaceState(currentEntry.url);
+                }
+            }
+        };
+        /**
+         * The state of the current browser history entry.
+         * @internal
+         */
+        DeepLinker.prototype._getHistoryState = function () {
+            var currentEntry = this._getHistory(this._historyIndex);
+            return {
+                historyIndex: this._historyIndex,
+                navId: currentEntry ? currentEntry.navId : null,
+                navIndex: currentEntry ? currentEntry.navIndex : -1
+            };
         };
         return DeepLinker;
     }());
     exports.DeepLinker = DeepLinker;
-    function setupDeepLinker(app, serializer, location) {
-        var deepLinker = new DeepLinker(app, serializer, location);
+    function setupDeepLinker(app, serializer, location, moduleLoader, locationStrategy) {
+        var deepLinker = new DeepLinker(app, serializer, location, moduleLoader, locationStrategy);
         deepLinker.init();
         return deepLinker;
     }
     exports.setupDeepLinker = setupDeepLinker;
+    function getHistoryState() {
+        return (typeof window !== 'undefined' && window.history && window.history.state) || null;
+    }
+    function isHistoryState(state) {
+        return util_1.isPresent(state) && util_1.isNumber(state.historyIndex) && util_1.isNumber(state.navIndex);
+    }
+    function createHistoryEntry(browserUrl, state) {
+        return {
+            url: browserUrl,
+            navId: state.navId,
+            navIndex: state.navIndex
+        };
+    }
     function normalizeUrl(browserUrl) {
         browserUrl = browserUrl.trim();
         if (browserUrl.charAt(0) !== '/') {
@@ -515,5 +997,14 @@
         return browserUrl;
     }
     exports.normalizeUrl = normalizeUrl;
+    var MAX_HISTORY = 30;
+    var STACK_SEPARATOR = '~';
+    function stackToViews(stack) {
+        return stack.map(function (segment) {
+            var view = new view_controller_1.ViewController(segment.component, segment.data);
+            view.id = segment.id;
+            return view;
+        });
+    }
 });
 //# sourceMappingURL=deep-linker.js.map
\ No newline at end of file
@@ -59,7 +59,7 @@ var __extends = (this && this.__extends) || function (d, b) {
             var isMovingFast = Math.abs(slide.velocity) > 0.4;
             var isInResetZone = Math.abs(slide.delta) < Math.abs(slide.max) * 0.5;
             var shouldComplete = !util_1.swipeShouldReset(isResetDirecction, isMovingFast, isInResetZone);
-            this._nav.swipeBackEnd(shouldComplete, currentStepValue, velocity);
+            this._nav.swipeBackEnd(shouldComplete, currentStepValue, velocity, velocity / slide.max);
         };
         return SwipeBackGesture;
     }(slide_edge_gesture_1.SlideEdgeGesture));
@@ -29,20 +29,37 @@
             if (browserUrl.charAt(0) === '/') {
                 browserUrl = browserUrl.substr(1);
             }
-            // trim off data after ? and #
-            browserUrl = browserUrl.split('?')[0].split('#')[0];
-            return exports.parseUrlParts(browserUrl.split('/'), this.links);
+            // trim off data after #
+            browserUrl = browserUrl.split('#')[0];
+            // the query string is kept for the links which declare query params
+            var queryParams = parseQueryString(browserUrl.split('?')[1]);
+            browserUrl = browserUrl.split('?')[0];
+            var segments;
+            for (var i = 0; i <= MAX_REDIRECTS; i++) {
+                segments = exports.parseUrlParts(browserUrl.split('/'), this.links, queryParams);
+                if (!segments.some(function (s) { return util_1.isPresent(s.redirectTo); })) {
+                    break;
+                }
+                // swap out the redirected parts of the url and try again
+                browserUrl = segments.map(function (s) {
+                    return util_1.isPresent(s.redirectTo) ? createRedirectUrl(s.redirectTo, s.data) : s.id;
+                }).filter(function (part) { return part !== ''; }).join('/');
+            }
+            return segments;
         };
-        UrlSerializer.prototype.createSegmentFromName = function (nameOrComponent) {
-            var configLink = this.links.find(function (link) {
+        UrlSerializer.prototype.getLinkFromName = function (nameOrComponent) {
+            return this.links.find(function (link) {
                 return (link.component === nameOrComponent) ||
                     (link.name === nameOrComponent) ||
-                    (link.component.name === nameOrComponent);
+                    (!!link.component && link.component.name === nameOrComponent);
             });
+        };
+        UrlSerializer.prototype.createSegmentFromName = function (nameOrComponent) {
+            var configLink = this.getLinkFromName(nameOrComponent);
             return configLink ? {
                 id: configLink.name,
                 name: configLink.name,
-                component: configLink.component,
+                component: exports.getLinkComponent(configLink),
                 data: null,
                 defaultHistory: configLink.defaultHistory
             } : null;
@@ -52,7 +69,15 @@
          * into a URL string. Turn each segment into a string and concat them to a URL.
          */
         UrlSerializer.prototype.serialize = function (path) {
-            return '/' + path.map(function (segment) { return segment.id; }).join('/');
+            var queryParams = {};
+            path.forEach(function (segment) {
+                if (segment.queryParams) {
+                    Object.keys(segment.queryParams).forEach(function (key) {
+                        queryParams[key] = segment.queryParams[key];
+                    });
+                }
+            });
+            return '/' + path.map(function (segment) { return segment.id; }).join('/') + serializeQueryString(queryParams);
         };
         /**
          * Serializes a component and its data into a NavSegment.
@@ -67,32 +92,47 @@
             return null;
         };
         UrlSerializer.prototype.createSegment = function (configLink, data) {
-            var urlParts = configLink.parts;
-            if (util_1.isPresent(data)) {
-                // create a copy of the original parts in the link config
-                urlParts = urlParts.slice();
-                // loop through all the data and convert it to a string
-                var keys = Object.keys(data);
-                var keysLength = keys.length;
-                if (keysLength) {
-                    for (var i = 0; i < urlParts.length; i++) {
-                        if (urlParts[i].charAt(0) === ':') {
-                            for (var j = 0; j < keysLength; j++) {
-                                if (urlParts[i] === ":" + keys[j]) {
-                                    // this data goes into the URL part (between slashes)
-                                    urlParts[i] = encodeURIComponent(data[keys[j]]);
-                                    break;
-                                }
-                            }
-                        }
+            var urlParts = [];
+            var queryParams = null;
+            for (var i = 0; i < configLink.partsLen; i++) {
+                var part = configLink.parts[i];
+                if (part.charAt(0) === ':') {
+                    var key = getPartKey(part);
+                    if (util_1.isPresent(data) && util_1.isPresent(data[key])) {
+                        // this data goes into the URL part (between slashes)
+                        urlParts.push(encodeURIComponent(data[key]));
+                    }
+                    else if (!isOptionalPart(part)) {
+                        urlParts.push(part);
+                    }
+                }
+                else if (part === WILDCARD_PART) {
+                    if (util_1.isPresent(data) && util_1.isPresent(data[WILDCARD_PART])) {
+                        // the parts the wildcard matched go back into the URL
+                        String(data[WILDCARD_PART]).split('/').forEach(function (rest) {
+                            urlParts.push(encodeURIComponent(rest));
+                        });
                     }
                 }
+                else {
+                    urlParts.push(part);
+                }
+            }
+            if (util_1.isPresent(data) && configLink.queryParams) {
+                // this data goes into the query string
+                configLink.queryParams.forEach(function (key) {
+                    if (util_1.isPresent(data[key])) {
+                        queryParams = queryParams || {};
+                        queryParams[key] = data[key];
+                    }
+                });
             }
             return {
                 id: urlParts.join('/'),
                 name: configLink.name,
-                component: configLink.component,
+                component: exports.getLinkComponent(configLink),
                 data: data,
+                queryParams: queryParams,
                 defaultHistory: configLink.defaultHistory
             };
         };
@@ -115,15 +155,33 @@
         return UrlSerializer;
     }());
     exports.UrlSerializer = UrlSerializer;
-    exports.parseUrlParts = function (urlParts, configLinks) {
+    exports.parseUrlParts = function (urlParts, configLinks, queryParams) {
         var configLinkLen = configLinks.length;
         var urlPartsLen = urlParts.length;
         var segments = new Array(urlPartsLen);
+        var hasMatch = false;
         for (var i = 0; i < configLinkLen; i++) {
             // compare url parts to config link parts to create nav segments
             var configLink = configLinks[i];
-            if (configLink.partsLen <= urlPartsLen) {
-                exports.fillMatchedUrlParts(segments, urlParts, configLink);
+            if (configLink.minLen <= urlPartsLen && !isFallbackLink(configLink)) {
+                hasMatch = exports.fillMatchedUrlParts(segments, urlParts, configLink, queryParams) || hasMatch;
+            }
+        }
+        if (!hasMatch && urlParts.join('') !== '') {
+            // nothing in the url matched any of the links, so
+            // the entire url goes to the "**" fallback link, if there is one
+            var fallbackLink = configLinks.find(isFallbackLink);
+            if (fallbackLink) {
+                segments.length = 1;
+                segments[0] = {
+                    id: urlParts.join('/'),
+                    name: fallbackLink.name,
+                    component: exports.getLinkComponent(fallbackLink),
+                    data: exports.createMatchedData(urlParts, fallbackLink, queryParams),
+                    redirectTo: fallbackLink.redirectTo,
+                    defaultHistory: fallbackLink.defaultHistory
+                };
+                return segments;
             }
         }
         // remove all the undefined segments
@@ -146,18 +204,11 @@
         }
         return segments;
     };
-    exports.fillMatchedUrlParts = function (segments, urlParts, configLink) {
+    exports.fillMatchedUrlParts = function (segments, urlParts, configLink, queryParams) {
+        var hasMatch = false;
         for (var i = 0; i < urlParts.length; i++) {
-            var urlI = i;
-            for (var j = 0; j < configLink.partsLen; j++) {
-                if (exports.isPartMatch(urlParts[urlI], configLink.parts[j])) {
-                    urlI++;
-                }
-                else {
-                    break;
-                }
-            }
-            if ((urlI - i) === configLink.partsLen) {
+            var urlI = exports.matchUrlParts(urlParts, i, configLink, null);
+            if (urlI > i) {
                 var matchedUrlParts = urlParts.slice(i, urlI);
                 for (var j = i; j < urlI; j++) {
                     urlParts[j] = undefined;
@@ -165,12 +216,50 @@
                 segments[i] = {
                     id: matchedUrlParts.join('/'),
                     name: configLink.name,
-                    component: configLink.component,
-                    data: exports.createMatchedData(matchedUrlParts, configLink),
+                    component: exports.getLinkComponent(configLink),
+                    data: exports.createMatchedData(matchedUrlParts, configLink, queryParams),
+                    redirectTo: configLink.redirectTo,
                     defaultHistory: configLink.defaultHistory
                 };
+                hasMatch = true;
             }
         }
+        return hasMatch;
+    };
+    /**
+     * Walks the link's parts over the url parts, starting at `startIndex`,
+     * and returns the index after the last matched url part. If the link
+     * doesn't match then `startIndex` is returned. When `data` is passed
+     * in it gets the values of the link's `:param` parts, and the url
+     * parts a `**` part took, joined by slashes, under the `**` key.
+     */
+    exports.matchUrlParts = function (urlParts, startIndex, configLink, data) {
+        var urlI = startIndex;
+        for (var j = 0; j < configLink.partsLen; j++) {
+            var part = configLink.parts[j];
+            if (part === WILDCARD_PART) {
+                // catch-all, which is always the last part, takes
+                // every url part which hasn't already been matched
+                var restI = urlI;
+                while (util_1.isPresent(urlParts[urlI])) {
+                    urlI++;
+                }
+                if (data && urlI > restI) {
+                    data[WILDCARD_PART] = urlParts.slice(restI, urlI).map(decodeURIComponent).join('/');
+                }
+                break;
+            }
+            if (exports.isPartMatch(urlParts[urlI], part)) {
+                if (data && part.charAt(0) === ':') {
+                    data[getPartKey(part)] = decodeURIComponent(urlParts[urlI]);
+                }
+                urlI++;
+            }
+            else if (!isOptionalPart(part)) {
+                return startIndex;
+            }
+        }
+        return urlI;
     };
     exports.isPartMatch = function (urlPart, configLinkPart) {
         if (util_1.isPresent(urlPart) && util_1.isPresent(configLinkPart)) {
@@ -181,15 +270,18 @@
         }
         return false;
     };
-    exports.createMatchedData = function (matchedUrlParts, link) {
-        var data = null;
-        for (var i = 0; i < link.partsLen; i++) {
-            if (link.parts[i].charAt(0) === ':') {
-                data = data || {};
-                data[link.parts[i].substring(1)] = decodeURIComponent(matchedUrlParts[i]);
-            }
+    exports.createMatchedData = function (matchedUrlParts, link, queryParams) {
+        var data = {};
+        exports.matchUrlParts(matchedUrlParts, 0, link, data);
+        if (queryParams && link.queryParams) {
+            // only the query params the link asked for are added to its data
+            link.queryParams.forEach(function (key) {
+                if (util_1.isPresent(queryParams[key])) {
+                    data[key] = queryParams[key];
+                }
+            });
         }
-        return data;
+        return Object.keys(data).length ? data : null;
     };
     exports.findLinkByComponentData = function (links, component, instanceData) {
         var foundLink = null;
@@ -221,6 +313,14 @@
         }
         return foundLink;
     };
+    exports.getLinkComponent = function (link) {
+        // a lazy loaded link doesn't have its component until the module
+        // has been loaded, so until then its name stands in for the component
+        if (link.component) {
+            return link.component;
+        }
+        return util_1.isPresent(link.loadChildren) ? link.name : null;
+    };
     exports.normalizeLinks = function (links) {
         for (var i = 0, ilen = links.length; i < ilen; i++) {
             var link = links[i];
@@ -230,19 +330,40 @@
             link.dataKeys = {};
             link.parts = link.segment.split('/');
             link.partsLen = link.parts.length;
+            // the fewest url parts the link can match
+            link.minLen = link.partsLen;
             // used for sorting
             link.staticLen = link.dataLen = 0;
             var stillCountingStatic = true;
             for (var j = 0; j < link.partsLen; j++) {
-                if (link.parts[j].charAt(0) === ':') {
-                    link.dataLen++;
+                var part = link.parts[j];
+                if (part.charAt(0) === ':') {
+                    stillCountingStatic = false;
+                    link.dataKeys[getPartKey(part)] = true;
+                    if (isOptionalPart(part)) {
+                        link.minLen--;
+                    }
+                    else {
+                        link.dataLen++;
+                    }
+                }
+                else if (part === WILDCARD_PART) {
+                    (void 0) /* assert */;
                     stillCountingStatic = false;
-                    link.dataKeys[link.parts[j].substring(1)] = true;
+                    link.dataKeys[WILDCARD_PART] = true;
+                    link.minLen--;
                 }
                 else if (stillCountingStatic) {
                     link.staticLen++;
                 }
             }
+            if (link.queryParams) {
+                // query params are used to find the link, but unlike url
+                // parts a link is still a match when they're missing
+                for (var j = 0; j < link.queryParams.length; j++) {
+                    link.dataKeys[link.queryParams[j]] = true;
+                }
+            }
         }
         // sort by the number of parts, with the links
         // with the most parts first
@@ -272,6 +393,54 @@
         }
         return 0;
     }
+    function isOptionalPart(part) {
+        return part.charAt(0) === ':' && part.charAt(part.length - 1) === '?';
+    }
+    function getPartKey(part) {
+        // ":id" and ":id?" both use the "id" key
+        return isOptionalPart(part) ? part.substring(1, part.length - 1) : part.substring(1);
+    }
+    function isFallbackLink(link) {
+        return link.partsLen === 1 && link.parts[0] === WILDCARD_PART;
+    }
+    function createRedirectUrl(redirectTo, data) {
+        return redirectTo.split('/').map(function (part) {
+            if (part.charAt(0) === ':') {
+                var key = getPartKey(part);
+                return (data && util_1.isPresent(data[key])) ? encodeURIComponent(data[key]) : '';
+            }
+            if (part === WILDCARD_PART) {
+                // carry over the parts of the url the wildcard matched
+                return (data && util_1.isPresent(data[WILDCARD_PART])) ? data[WILDCARD_PART].split('/').map(encodeURIComponent).join('/') : '';
+            }
+            return part;
+        }).filter(function (part) { return part !== ''; }).join('/');
+    }
+    function parseQueryString(queryString) {
+        var queryParams = {};
+        if (queryString) {
+            queryString.split('&').forEach(function (pair) {
+                var keyValue = pair.split('=');
+                if (keyValue[0]) {
+                    queryParams[decodeURIComponent(keyValue[0])] = decodeURIComponent((keyValue[1] || '').replace(/\+/g, ' '));
+                }
+            });
+        }
+        return queryParams;
+    }
+    exports.parseQueryString = parseQueryString;
+    function serializeQueryString(queryParams) {
+        var keys = Object.keys(queryParams);
+        if (!keys.length) {
+            return '';
+        }
+        return '?' + keys.map(function (key) {
+            return encodeURIComponent(key) + '=' + encodeURIComponent(queryParams[key]);
+        }).join('&');
+    }
+    exports.serializeQueryString = serializeQueryString;
+    var WILDCARD_PART = '**';
+    var MAX_REDIRECTS = 10;
     var URL_REPLACE_REG = /\s+|\?|\!|\$|\,|\.|\+|\"|\'|\*|\^|\||\/|\\|\[|\]|#|%|`|>|<|;|:|@|&|=/g;
     /**
      * @private
@@ -5,7 +5,22 @@ import { Transition } from './transition';
  */
 export declare class PageTransition extends Transition {
     enteringPage: Animation;
+    _sharedElements: SharedElement[];
     init(): void;
+    /**
+     * Elements on the leaving and entering pages with the same
+     * `shared-element` attribute value morph from one into the other.
+     * A copy of the entering element is placed over the leaving element,
+     * and it's moved and resized to the entering element's position
+     * while both of the real elements are hidden.
+     * NO DOM
+     */
+    initSharedElements(): void;
+    /**
+     * DOM READ
+     * DOM WRITE
+     */
+    writeSharedElements(): void;
     /**
      * DOM READ
      */
@@ -16,3 +31,9 @@ export declare class PageTransition extends Transition {
     writeDimensions(): void;
     destroy(): void;
 }
+export interface SharedElement {
+    leavingEle: HTMLElement;
+    enteringEle: HTMLElement;
+    cloneEle: HTMLElement;
+    cloneAnimation: Animation;
+}
@@ -12,7 +12,56 @@
     var util_1 = require('../util/util');
     var transition_registry_1 = require('./transition-registry');
     /**
-     * @private
+     * @name TransitionController
+     * @description
+     * The TransitionController creates the animations used when navigating between pages and
+     * presenting overlays. Transitions are looked up by their registered name, which is the
+     * name used by the `animation` nav option, and by the `pageTransition`, `modalEnter`,
+     * `modalLeave`, `popoverEnter`, `popoverLeave`, `toastEnter` and `toastLeave` configs.
+     *
+     * New transitions extend `PageTransition`, or `Transition` for overlays, and are
+     * registered with a name before they're used.
+     *
+     * @usage
+     * ```ts
+     * import { PageTransition, TransitionController } from 'ionic-angular';
+     *
+     * export class FadeThroughTransition extends PageTransition {
+     *   init() {
+     *     super.init();
+     *     ...
+     *   }
+     * }
+     *
+     * @Component({...})
+     * export class MyApp {
+     *   constructor(transitionCtrl: TransitionController) {
+     *     transitionCtrl.register('fade-through', FadeThroughTransition);
+     *   }
+     * }
+     * ```
+     *
+     * ```ts
+     * this.navCtrl.push(DetailPage, null, { animation: 'fade-through' });
+     * ```
+     *
+     * Overlay transitions are registered the same way, with a name for entering and one for
+     * leaving, which are then set as the overlay's configs:
+     *
+     * ```ts
+     * transitionCtrl.register('modal-fade-in', ModalFadeIn);
+     * transitionCtrl.register('modal-fade-out', ModalFadeOut);
+     * ```
+     *
+     * ```ts
+     * IonicModule.forRoot(MyApp, {
+     *   modalEnter: 'modal-fade-in',
+     *   modalLeave: 'modal-fade-out'
+     * })
+     * ```
+     *
+     * Using a name that hasn't been registered is an error, rather than
+     * silently falling back to the default transition.
      */
     var TransitionController = (function () {
         function TransitionController(_config) {
@@ -20,6 +69,28 @@
             this._ids = 0;
             this._trns = {};
         }
+        /**
+         * Register a transition class so it can be used by its name.
+         * Registering a name again replaces its transition.
+         * @param {string} name The name of the transition.
+         * @param {any} transitionClass The class extending `Transition` to create for this name.
+         */
+        TransitionController.prototype.register = function (name, transitionClass) {
+            (void 0) /* assert */;
+            (void 0) /* assert */;
+            this._config.setTransition(name, transitionClass);
+        };
+        /**
+         * Whether a transition has been registered with the name.
+         * @param {string} name The name of the transition.
+         * @returns {boolean}
+         */
+        TransitionController.prototype.has = function (name) {
+            return !!this._config.getTransition(name);
+        };
+        /**
+         * @private
+         */
         TransitionController.prototype.getRootTrnsId = function (nav) {
             var parent = nav.parent;
             while (parent) {
@@ -30,9 +101,15 @@
             }
             return null;
         };
+        /**
+         * @private
+         */
         TransitionController.prototype.nextId = function () {
             return this._ids++;
         };
+        /**
+         * @private
+         */
         TransitionController.prototype.get = function (trnsId, enteringView, leavingView, opts) {
             var trns = transition_registry_1.createTransition(this._config, opts.animation, enteringView, leavingView, opts);
             trns.trnsId = trnsId;
@@ -47,6 +124,9 @@
             }
             return trns;
         };
+        /**
+         * @private
+         */
         TransitionController.prototype.destroy = function (trnsId) {
             if (this._trns[trnsId]) {
                 this._trns[trnsId].destroy();
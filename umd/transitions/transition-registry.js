@@ -60,10 +60,13 @@
     }
     exports.registerTransitions = registerTransitions;
     function createTransition(config, transitionName, enteringView, leavingView, opts) {
+        if (!transitionName) {
+            // no transition name was given, default to ios-transition
+            transitionName = 'ios-transition';
+        }
         var TransitionClass = config.getTransition(transitionName);
         if (!TransitionClass) {
-            // didn't find a transition animation, default to ios-transition
-            TransitionClass = config.getTransition('ios-transition');
+            throw new Error("Unknown transition \"" + transitionName + "\". Transitions must be registered with TransitionController.register() before they can be used.");
         }
         return new TransitionClass(enteringView, leavingView, opts);
     }
@@ -11,6 +11,12 @@ export declare function parseTemplate(template: string): string[];
 export declare function getValueFromFormat(date: DateTimeData, format: string): any;
 export declare function convertFormatToKey(format: string): string;
 export declare function convertDataToISO(data: DateTimeData): string;
+export declare function convertDataToTimeZone(data: DateTimeData, timeZone: string, isLocal?: boolean): void;
+export declare function getTimeZoneOffset(data: DateTimeData, timeZone: string): number;
+export declare function getLocaleNames(locale: string): LocaleData;
+export declare function isLocale24Hour(locale: string): boolean;
+export declare function getLocaleFirstDay(locale: string): number;
+export declare function localizeTemplate(template: string, locale: string): string;
 export interface DateTimeData {
     year?: number;
     month?: number;
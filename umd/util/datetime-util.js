@@ -179,8 +179,13 @@
         for (var i = 1; i < 8; i++) {
             parse[i] = (parse[i] !== undefined ? parseInt(parse[i], 10) : null);
         }
-        var tzOffset = 0;
-        if (util_1.isPresent(parse[9]) && util_1.isPresent(parse[10])) {
+        // a value without an offset is left without one, rather than UTC, so a
+        // time zone can tell it apart and treat it as its own local time
+        var tzOffset = null;
+        if (parse[8] === 'Z') {
+            tzOffset = 0;
+        }
+        else if (util_1.isPresent(parse[9]) && util_1.isPresent(parse[10])) {
             // hours
             tzOffset = parseInt(parse[10], 10) * 60;
             if (util_1.isPresent(parse[11])) {
@@ -320,7 +325,8 @@
                             }
                             else {
                                 // YYYY-MM-DDTHH:mm:SS+/-HH:mm
-                                rtn += (data.tzOffset > 0 ? '+' : '-') + twoDigit(Math.floor(data.tzOffset / 60)) + ':' + twoDigit(data.tzOffset % 60);
+                                var tzOffset = Math.abs(data.tzOffset);
+                                rtn += (data.tzOffset > 0 ? '+' : '-') + twoDigit(Math.floor(tzOffset / 60)) + ':' + twoDigit(tzOffset % 60);
                             }
                         }
                     }
@@ -342,6 +348,248 @@
         return rtn;
     }
     exports.convertDataToISO = convertDataToISO;
+    function convertDataToTimeZone(data, timeZone, isLocal) {
+        // only a full date and time is a moment which can be moved between time zones
+        if (!timeZone || util_1.isBlank(data.year) || util_1.isBlank(data.month) || util_1.isBlank(data.day) || util_1.isBlank(data.hour)) {
+            return;
+        }
+        if (!isLocal && util_1.isPresent(data.tzOffset)) {
+            // move the moment in time to the same moment in the time zone
+            var zoneData = getTimeZoneData(getDataTime(data) - (data.tzOffset * 60000), timeZone);
+            if (zoneData) {
+                util_1.assign(data, zoneData);
+            }
+            return;
+        }
+        // the date and time is already in the time zone, so it only needs the zone's offset
+        var tzOffset = getTimeZoneOffset(data, timeZone);
+        if (util_1.isPresent(tzOffset)) {
+            data.tzOffset = tzOffset;
+        }
+    }
+    exports.convertDataToTimeZone = convertDataToTimeZone;
+    function getTimeZoneOffset(data, timeZone) {
+        // the offset can change during the day, such as with daylight saving time, so the
+        // offset for the date and time as if it was UTC is used to find the actual moment
+        var localTime = getDataTime(data);
+        var zoneData = getTimeZoneData(localTime, timeZone);
+        if (!zoneData) {
+            return null;
+        }
+        zoneData = getTimeZoneData(localTime - (zoneData.tzOffset * 60000), timeZone);
+        return zoneData.tzOffset;
+    }
+    exports.getTimeZoneOffset = getTimeZoneOffset;
+    function getLocaleNames(locale) {
+        var names = {
+            monthNames: [],
+            monthShortNames: [],
+            dayNames: [],
+            dayShortNames: [],
+        };
+        try {
+            var monthFormat = new Intl.DateTimeFormat(locale, { month: 'long', timeZone: 'UTC' });
+            var monthShortFormat = new Intl.DateTimeFormat(locale, { month: 'short', timeZone: 'UTC' });
+            var dayFormat = new Intl.DateTimeFormat(locale, { weekday: 'long', timeZone: 'UTC' });
+            var dayShortFormat = new Intl.DateTimeFormat(locale, { weekday: 'short', timeZone: 'UTC' });
+            for (var i = 0; i < 12; i++) {
+                var month = new Date(Date.UTC(2017, i, 1));
+                names.monthNames.push(monthFormat.format(month));
+                names.monthShortNames.push(monthShortFormat.format(month));
+            }
+            for (var i = 0; i < 7; i++) {
+                // January 1st, 2017 was a Sunday
+                var day = new Date(Date.UTC(2017, 0, i + 1));
+                names.dayNames.push(dayFormat.format(day));
+                names.dayShortNames.push(dayShortFormat.format(day));
+            }
+        }
+        catch (e) {
+            // either Intl isn't available, or the locale isn't valid
+            return null;
+        }
+        return names;
+    }
+    exports.getLocaleNames = getLocaleNames;
+    function isLocale24Hour(locale) {
+        try {
+            return !new Intl.DateTimeFormat(locale, { hour: 'numeric' }).resolvedOptions().hour12;
+        }
+        catch (e) {
+            return null;
+        }
+    }
+    exports.isLocale24Hour = isLocale24Hour;
+    function getLocaleFirstDay(locale) {
+        // the first day of the week, from 0 for Sunday to 6 for Saturday
+        try {
+            var intlLocale = new Intl.Locale(locale);
+            var weekInfo = intlLocale.getWeekInfo ? intlLocale.getWeekInfo() : intlLocale.weekInfo;
+            if (weekInfo) {
+                // the week info counts from 1 for Monday to 7 for Sunday
+                return weekInfo.firstDay % 7;
+            }
+        }
+        catch (e) {
+        }
+        // otherwise go by the locale's region, or the language's most likely region
+        var subtags = locale.split(/[-_]/);
+        var region = subtags.slice(1).filter(function (subtag) { return /^([a-z]{2}|\d{3})$/i.test(subtag); })[0];
+        region = (region || LIKELY_REGIONS[subtags[0].toLowerCase()] || '').toUpperCase();
+        if (SUNDAY_REGIONS.indexOf(region) > -1) {
+            return 0;
+        }
+        if (SATURDAY_REGIONS.indexOf(region) > -1) {
+            return 6;
+        }
+        return 1;
+    }
+    exports.getLocaleFirstDay = getLocaleFirstDay;
+    function localizeTemplate(template, locale) {
+        var cacheKey = locale + '|' + template;
+        var localized = LOCALIZED_TEMPLATES[cacheKey];
+        if (localized === undefined) {
+            localized = template;
+            try {
+                localized = createLocaleTemplate(template, locale);
+            }
+            catch (e) {
+            }
+            LOCALIZED_TEMPLATES[cacheKey] = localized;
+        }
+        return localized;
+    }
+    exports.localizeTemplate = localizeTemplate;
+    function createLocaleTemplate(template, locale) {
+        var formats = parseTemplate(template);
+        var tokens = {};
+        formats.forEach(function (format) {
+            var type = (format === FORMAT_DDDD || format === FORMAT_DDD) ? 'weekday' : convertFormatToKey(format);
+            if (!tokens[type]) {
+                tokens[type] = format;
+            }
+        });
+        var is24Hour = isLocale24Hour(locale);
+        if (tokens.hour && is24Hour !== null) {
+            // use the hour cycle the locale prefers
+            var is12HourFormat = (tokens.hour === FORMAT_hh || tokens.hour === FORMAT_h);
+            if (is24Hour && is12HourFormat) {
+                tokens.hour = (tokens.hour === FORMAT_hh ? FORMAT_HH : FORMAT_H);
+                delete tokens.ampm;
+            }
+            else if (!is24Hour && !is12HourFormat) {
+                tokens.hour = (tokens.hour === FORMAT_HH ? FORMAT_hh : FORMAT_h);
+                tokens.ampm = tokens.ampm || FORMAT_A;
+            }
+        }
+        var opts = { timeZone: 'UTC' };
+        if (tokens.year) {
+            opts.year = (tokens.year === FORMAT_YY ? '2-digit' : 'numeric');
+        }
+        if (tokens.month) {
+            opts.month = (tokens.month === FORMAT_MMMM ? 'long' : tokens.month === FORMAT_MMM ? 'short' : tokens.month === FORMAT_MM ? '2-digit' : 'numeric');
+        }
+        if (tokens.day) {
+            opts.day = 'numeric';
+        }
+        if (tokens.weekday) {
+            opts.weekday = (tokens.weekday === FORMAT_DDDD ? 'long' : 'short');
+        }
+        if (tokens.hour) {
+            opts.hour = 'numeric';
+            opts.hour12 = !!tokens.ampm;
+        }
+        if (tokens.minute) {
+            opts.minute = '2-digit';
+        }
+        if (tokens.second) {
+            opts.second = '2-digit';
+        }
+        // format a date with every part, then swap each part for its token
+        var parts = new Intl.DateTimeFormat(locale, opts).formatToParts(new Date(Date.UTC(2017, 10, 23, 15, 45, 30)));
+        var localized = '';
+        var hasAmPm = false;
+        parts.forEach(function (part) {
+            var type = (part.type === 'dayPeriod' || part.type === 'dayperiod') ? 'ampm' : part.type;
+            if (type === 'literal') {
+                // latin letters in between parts, such as "de" or "at",
+                // would be mistaken for tokens, so only keep everything else
+                localized += part.value.replace(/[a-z]/gi, '');
+            }
+            else if (type === 'ampm') {
+                // am/pm is only recognized after the time, so it's always added at the end
+                hasAmPm = !!tokens.ampm;
+            }
+            else if (type === 'month' && /^\d+$/.test(part.value) && tokens.month !== FORMAT_MM && tokens.month !== FORMAT_M) {
+                // some locales, such as Japanese, write even long month names as numbers
+                localized += FORMAT_M;
+                tokens.month = FORMAT_M;
+            }
+            else if (tokens[type]) {
+                localized += tokens[type];
+            }
+        });
+        localized = localized.replace(/\s+/g, ' ').trim();
+        if (hasAmPm) {
+            localized += ' ' + tokens.ampm;
+        }
+        // the template is only localized if it still has every part
+        var hasAllParts = Object.keys(tokens).every(function (type) {
+            return localized.indexOf(tokens[type]) > -1;
+        });
+        return hasAllParts ? localized : template;
+    }
+    function getTimeZoneData(time, timeZone) {
+        var formatter = getTimeZoneFormatter(timeZone);
+        if (!formatter) {
+            return null;
+        }
+        var parts = {};
+        formatter.formatToParts(new Date(time)).forEach(function (part) {
+            parts[part.type] = parseInt(part.value, 10);
+        });
+        var zoneData = {
+            year: parts.year,
+            month: parts.month,
+            day: parts.day,
+            // some browsers use 24 for midnight
+            hour: parts.hour % 24,
+            minute: parts.minute,
+            second: parts.second,
+        };
+        zoneData.tzOffset = Math.round((getDataTime(zoneData) - Math.floor(time / 1000) * 1000) / 60000);
+        return zoneData;
+    }
+    function getTimeZoneFormatter(timeZone) {
+        var formatter = TIME_ZONE_FORMATTERS[timeZone];
+        if (formatter === undefined) {
+            formatter = null;
+            try {
+                formatter = new Intl.DateTimeFormat('en-US', {
+                    timeZone: timeZone,
+                    hour12: false,
+                    year: 'numeric',
+                    month: 'numeric',
+                    day: 'numeric',
+                    hour: 'numeric',
+                    minute: 'numeric',
+                    second: 'numeric'
+                });
+                if (!formatter.formatToParts) {
+                    console.warn('Time zones require Intl.DateTimeFormat formatToParts()');
+                    formatter = null;
+                }
+            }
+            catch (e) {
+                console.warn("Invalid time zone: \"" + timeZone + "\"");
+            }
+            TIME_ZONE_FORMATTERS[timeZone] = formatter;
+        }
+        return formatter;
+    }
+    function getDataTime(data) {
+        return Date.UTC(data.year, data.month - 1, data.day, data.hour, data.minute || 0, data.second || 0, data.millisecond || 0);
+    }
     function twoDigit(val) {
         return ('0' + (util_1.isPresent(val) ? Math.abs(val) : '0')).slice(-2);
     }
@@ -439,6 +687,19 @@
         'Nov',
         'Dec',
     ];
+    var TIME_ZONE_FORMATTERS = {};
+    var LOCALIZED_TEMPLATES = {};
+    var SUNDAY_REGIONS = [
+        'AG', 'AS', 'BD', 'BR', 'BS', 'BT', 'BW', 'BZ', 'CA', 'CO', 'DM', 'DO', 'ET', 'GT', 'GU', 'HK', 'HN', 'ID',
+        'IL', 'IN', 'JM', 'JP', 'KE', 'KH', 'KR', 'LA', 'MH', 'MM', 'MO', 'MT', 'MX', 'MZ', 'NI', 'NP', 'PA', 'PE',
+        'PH', 'PK', 'PR', 'PT', 'PY', 'SA', 'SG', 'SV', 'TH', 'TT', 'TW', 'UM', 'US', 'VE', 'VI', 'WS', 'YE', 'ZA', 'ZW'
+    ];
+    var SATURDAY_REGIONS = [
+        'AE', 'AF', 'BH', 'DJ', 'DZ', 'EG', 'IQ', 'IR', 'JO', 'KW', 'LY', 'OM', 'QA', 'SD', 'SY'
+    ];
+    var LIKELY_REGIONS = {
+        ar: 'EG', en: 'US', fa: 'IR', he: 'IL', hi: 'IN', id: 'ID', ja: 'JP', ko: 'KR', pt: 'BR', th: 'TH'
+    };
     var VALID_AMPM_PREFIX = [
         FORMAT_hh, FORMAT_h, FORMAT_mm, FORMAT_m, FORMAT_ss, FORMAT_s
     ];
@@ -16,6 +16,10 @@
         Key[Key["ESCAPE"] = 27] = "ESCAPE";
         Key[Key["SPACE"] = 32] = "SPACE";
         Key[Key["TAB"] = 9] = "TAB";
+        Key[Key["PAGE_UP"] = 33] = "PAGE_UP";
+        Key[Key["PAGE_DOWN"] = 34] = "PAGE_DOWN";
+        Key[Key["END"] = 35] = "END";
+        Key[Key["HOME"] = 36] = "HOME";
     })(exports.Key || (exports.Key = {}));
     var Key = exports.Key;
 });
@@ -0,0 +1,84 @@
+import { Injectable, Injector, NgModuleFactoryLoader, OpaqueToken } from '@angular/core';
+/**
+ * @private
+ * Token which lazy loaded modules use to provide the page
+ * component the DeepLinker should navigate to.
+ */
+export var LAZY_LOADED_TOKEN = new OpaqueToken('LZYCMP');
+/**
+ * @private
+ */
+export var ModuleLoader = (function () {
+    function ModuleLoader(_ngModuleLoader, _injector) {
+        this._ngModuleLoader = _ngModuleLoader;
+        this._injector = _injector;
+        this._ngModuleRefs = new Map();
+        this._promises = {};
+    }
+    /**
+     * Load the NgModule found at the `loadChildren` path, such as
+     * `./pages/detail/detail.module#DetailPageModule`, and resolve
+     * with the page component the module provides.
+     */
+    ModuleLoader.prototype.load = function (modulePath) {
+        var _this = this;
+        if (!this._promises[modulePath]) {
+            // only load each module once, every request after the
+            // first one shares the same promise. a loader which throws
+            // right away rejects the promise rather than the caller
+            this._promises[modulePath] = new Promise(function (resolve) {
+                resolve(_this._ngModuleLoader.load(modulePath));
+            }).then(function (ngModuleFactory) {
+                var ngModuleRef = ngModuleFactory.create(_this._injector);
+                var component = ngModuleRef.injector.get(LAZY_LOADED_TOKEN);
+                // remember the module, the app's root resolver and injector
+                // don't know about the lazy loaded component or its providers
+                _this._ngModuleRefs.set(component, ngModuleRef);
+                return component;
+            }).catch(function (err) {
+                // allow a failed module to be attempted again later
+                delete _this._promises[modulePath];
+                throw err;
+            });
+        }
+        return this._promises[modulePath];
+    };
+    /**
+     * Returns the NgModuleRef of the module which loaded
+     * the given component, or `null` if it wasn't lazy loaded.
+     */
+    ModuleLoader.prototype.getNgModuleRef = function (component) {
+        return this._ngModuleRefs.get(component) || null;
+    };
+    ModuleLoader.decorators = [
+        { type: Injectable },
+    ];
+    /** @nocollapse */
+    ModuleLoader.ctorParameters = [
+        { type: NgModuleFactoryLoader, },
+        { type: Injector, },
+    ];
+    return ModuleLoader;
+}());
+/**
+ * @private
+ */
+export function setupPreloading(config, deepLinker, zone) {
+    return function () {
+        if (config.getBoolean('preloadModules')) {
+            // wait for the app to finish its first render, then
+            // load the modules with a `high` priority before the `low` ones
+            zone.runOutsideAngular(function () {
+                setTimeout(function () {
+                    deepLinker.preloadModules('high').then(function () {
+                        return deepLinker.preloadModules('low');
+                    }).catch(function (err) {
+                        console.error('preloading modules failed: ' + err);
+                    });
+                }, PRELOAD_DELAY);
+            });
+        }
+    };
+}
+var PRELOAD_DELAY = 1000;
+//# sourceMappingURL=module-loader.js.map